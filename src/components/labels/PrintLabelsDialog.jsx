@@ -0,0 +1,75 @@
+import { useRef } from "react"
+import { QRCodeSVG } from "qrcode.react"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Printer } from "lucide-react"
+import { printElement } from "@/lib/print"
+
+/**
+ * Print Labels Dialog
+ *
+ * Previews a sheet of QR labels and prints it on its own via printElement.
+ * The code is printed as text under each QR so it can be typed when a label
+ * will not scan.
+ *
+ * @param {Object[]} labels - From getInventoryLabels / getPacketLabel in lib/labels
+ */
+export default function PrintLabelsDialog({ open, onOpenChange, title, labels }) {
+  const sheetRef = useRef(null)
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>{title}</DialogTitle>
+          <DialogDescription>
+            {labels.length} label{labels.length === 1 ? "" : "s"} ready to print
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="max-h-[60vh] overflow-y-auto border rounded-lg bg-slate-50 p-3">
+          <div ref={sheetRef} className="grid grid-cols-2 gap-3 bg-white text-slate-900">
+            {labels.map((label) => (
+              <div
+                key={label.key}
+                className="flex items-center gap-3 border border-slate-900 rounded p-3 break-inside-avoid"
+              >
+                <QRCodeSVG value={label.code} size={88} level="M" className="flex-shrink-0" />
+                <div className="min-w-0 text-xs">
+                  <p className="font-semibold text-sm truncate">{label.title}</p>
+                  <p className="text-slate-600 truncate">{label.subtitle}</p>
+                  {label.details.map((detail) => (
+                    <p key={detail}>{detail}</p>
+                  ))}
+                  <p className="font-mono text-[10px] text-slate-500 mt-1 break-all">
+                    {label.code}
+                  </p>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Close
+          </Button>
+          <Button
+            onClick={() => printElement(sheetRef.current, title)}
+            disabled={labels.length === 0}
+          >
+            <Printer className="h-4 w-4 mr-2" />
+            Print
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
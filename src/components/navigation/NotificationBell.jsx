@@ -0,0 +1,83 @@
+import { useState } from "react"
+import { Link } from "react-router-dom"
+import { Bell, CheckCheck } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Popover, PopoverContent, PopoverTrigger } from "@/components/ui/popover"
+import NotificationItem from "@/features/notifications/components/NotificationItem"
+import { useMarkAllNotificationsRead, useNotifications } from "@/hooks/useNotifications"
+
+const BELL_LIMIT = 8
+
+/**
+ * Notification Bell
+ *
+ * Topbar bell with the unread count and the latest notifications. The inbox
+ * query polls, so new workflow events show up while the user works.
+ */
+export default function NotificationBell() {
+  const [open, setOpen] = useState(false)
+  const { data } = useNotifications({ limit: BELL_LIMIT })
+  const markAllReadMutation = useMarkAllNotificationsRead()
+
+  const notifications = data?.notifications || []
+  const unreadCount = data?.unreadCount || 0
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <button
+          className="p-2 rounded-md text-slate-400 hover:text-slate-600 hover:bg-slate-100 transition-colors relative"
+          aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : "Notifications"}
+        >
+          <Bell className="h-5 w-5" />
+          {unreadCount > 0 && (
+            <span className="absolute -top-0.5 -right-0.5 flex h-4 min-w-4 items-center justify-center rounded-full bg-red-500 px-1 text-[10px] font-semibold text-white">
+              {unreadCount > 9 ? "9+" : unreadCount}
+            </span>
+          )}
+        </button>
+      </PopoverTrigger>
+      <PopoverContent align="end" className="w-96 p-0">
+        <div className="flex items-center justify-between border-b px-3 py-2">
+          <span className="text-sm font-semibold">Notifications</span>
+          <Button
+            variant="ghost"
+            size="sm"
+            className="h-7 text-xs"
+            onClick={() => markAllReadMutation.mutate()}
+            disabled={unreadCount === 0 || markAllReadMutation.isPending}
+          >
+            <CheckCheck className="h-3.5 w-3.5 mr-1" />
+            Mark all read
+          </Button>
+        </div>
+
+        <div className="max-h-96 overflow-y-auto p-1">
+          {notifications.length === 0 ? (
+            <p className="text-sm text-muted-foreground text-center py-8">
+              You&apos;re all caught up
+            </p>
+          ) : (
+            notifications.map((notification) => (
+              <NotificationItem
+                key={notification.id}
+                notification={notification}
+                onOpen={() => setOpen(false)}
+              />
+            ))
+          )}
+        </div>
+
+        <div className="border-t px-3 py-2 text-center">
+          <Link
+            to="/notifications"
+            onClick={() => setOpen(false)}
+            className="text-xs font-medium text-blue-600 hover:underline"
+          >
+            View all notifications
+          </Link>
+        </div>
+      </PopoverContent>
+    </Popover>
+  )
+}
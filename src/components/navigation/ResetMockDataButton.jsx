@@ -0,0 +1,68 @@
+import { useState } from "react"
+import { RotateCcw } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog"
+import { useResetMockDatabase } from "@/hooks/useMockDatabase"
+
+/**
+ * Reset Mock Data Button
+ *
+ * The mock backend persists its state to IndexedDB, so demo and training
+ * sessions survive reloads. This button puts everything back to seed data.
+ */
+export default function ResetMockDataButton() {
+  const [showDialog, setShowDialog] = useState(false)
+  const resetMutation = useResetMockDatabase()
+
+  const handleConfirmedReset = () => {
+    resetMutation.mutate(undefined, {
+      onSettled: () => setShowDialog(false),
+    })
+  }
+
+  return (
+    <>
+      <Button
+        variant="ghost"
+        size="sm"
+        onClick={() => setShowDialog(true)}
+        className="w-full justify-start text-xs text-slate-500 hover:text-red-600"
+        disabled={resetMutation.isPending}
+      >
+        <RotateCcw className="h-3 w-3 mr-2" />
+        Reset demo data
+      </Button>
+
+      <AlertDialog open={showDialog} onOpenChange={setShowDialog}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Reset all demo data?</AlertDialogTitle>
+            <AlertDialogDescription>
+              Every order, packet, inventory movement and workflow change made so far will be
+              discarded and replaced with the original seed data.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={handleConfirmedReset}
+              className="bg-red-600 hover:bg-red-700"
+              disabled={resetMutation.isPending}
+            >
+              {resetMutation.isPending ? "Resetting..." : "Reset"}
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </>
+  )
+}
@@ -15,9 +15,15 @@ import {
   ClipboardCheck,
   Droplets,
   ThumbsUp,
+  BarChart3,
+  ClipboardList,
+  CalendarClock,
+  Contact,
+  Coins,
 } from "lucide-react"
 import { useAuth } from "@/features/auth/hooks/useAuth"
-import { filterNavigationByPermissions } from "@/lib/rbac"
+import { filterNavigationByPermissions, isAdmin } from "@/lib/rbac"
+import ResetMockDataButton from "./ResetMockDataButton"
 
 /**
  * Sidebar Navigation Component - Permission-Based
@@ -40,6 +46,14 @@ const navItems = [
     iconColor: "text-violet-600",
     iconBgColor: "bg-violet-100",
   },
+  {
+    name: "Customers",
+    href: "/customers",
+    icon: Contact,
+    requiredPermissions: ["orders.view"],
+    iconColor: "text-green-600",
+    iconBgColor: "bg-green-100",
+  },
   {
     name: "Inventory",
     href: "/inventory",
@@ -72,6 +86,14 @@ const navItems = [
     iconColor: "text-red-600",
     iconBgColor: "bg-red-100",
   },
+  {
+    name: "Stocktakes",
+    href: "/inventory/stocktakes",
+    icon: ClipboardList,
+    requiredPermissions: ["inventory.count"],
+    iconColor: "text-teal-600",
+    iconBgColor: "bg-teal-100",
+  },
   {
     name: "Fabrication",
     href: "/fabrication",
@@ -117,6 +139,14 @@ const navItems = [
     iconColor: "text-indigo-600",
     iconBgColor: "bg-indigo-100",
   },
+  {
+    name: "Production Schedule",
+    href: "/production/schedule",
+    icon: CalendarClock,
+    requiredPermissions: ["production.manage"],
+    iconColor: "text-indigo-600",
+    iconBgColor: "bg-indigo-100",
+  },
   {
     name: "QA",
     href: "/qa",
@@ -141,11 +171,19 @@ const navItems = [
     iconColor: "text-sky-600",
     iconBgColor: "bg-sky-100",
   },
+  {
+    name: "Reports",
+    href: "/reports",
+    icon: BarChart3,
+    requiredPermissions: ["reports.view"],
+    iconColor: "text-rose-600",
+    iconBgColor: "bg-rose-100",
+  },
   {
     name: "Shopify",
     href: "/shopify",
     icon: ShoppingBag,
-    requiredPermissions: ["orders.view"],
+    requiredPermissions: ["orders.create"],
     iconColor: "text-pink-600",
     iconBgColor: "bg-pink-100",
   },
@@ -165,6 +203,14 @@ const navItems = [
     iconColor: "text-amber-600",
     iconBgColor: "bg-amber-100",
   },
+  {
+    name: "Exchange Rates",
+    href: "/admin/exchange-rates",
+    icon: Coins,
+    requiredPermissions: ["exchange_rates.edit"],
+    iconColor: "text-yellow-600",
+    iconBgColor: "bg-yellow-100",
+  },
 ]
 
 export default function Sidebar() {
@@ -245,6 +291,11 @@ export default function Sidebar() {
                 {user?.permissions?.length || 0} permissions
               </p>
             </div>
+            {isAdmin(user) && (
+              <div className="px-2 pb-2">
+                <ResetMockDataButton />
+              </div>
+            )}
             <div className="px-4 pb-4">
               <div className="text-xs text-slate-400">v1.0.0 - Phase 9</div>
             </div>
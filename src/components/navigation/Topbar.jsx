@@ -1,7 +1,7 @@
 import { useState } from "react"
 import { useAuth } from "@/features/auth/hooks/useAuth"
 import { useLogout } from "@/features/auth/hooks/useAuthMutations"
-import { Bell, LogOut, User } from "lucide-react"
+import { LogOut, User } from "lucide-react"
 import { Button } from "@/components/ui/button"
 import {
   AlertDialog,
@@ -13,6 +13,7 @@ import {
   AlertDialogHeader,
   AlertDialogTitle,
 } from "@/components/ui/alert-dialog"
+import NotificationBell from "./NotificationBell"
 
 /**
  * Topbar Component
@@ -67,15 +68,8 @@ export default function Topbar() {
 
           {/* Right side - user info and actions */}
           <div className="ml-4 flex items-center gap-3">
-            {/* Notifications - placeholder for future feature */}
-            <button
-              className="p-2 rounded-md text-slate-400 hover:text-slate-600 hover:bg-slate-100 transition-colors relative"
-              aria-label="Notifications"
-            >
-              <Bell className="h-5 w-5" />
-              {/* Notification badge - uncomment when you have real notifications */}
-              {/* <span className="absolute top-1 right-1 block h-2 w-2 rounded-full bg-red-500" /> */}
-            </button>
+            {/* Notifications */}
+            <NotificationBell />
 
             {/* User info */}
             <div className="flex items-center gap-3 pl-3 border-l border-slate-200">
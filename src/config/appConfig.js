@@ -3,4 +3,21 @@ export const appConfig = {
   env: import.meta.env.VITE_ENV || "development",
   isDevelopment: import.meta.env.DEV,
   isProduction: import.meta.env.PROD,
+  // Client message transports - a channel without its URL is shown as not configured
+  messaging: {
+    // HTTP-to-SMTP relay, e.g. a local Mailpit catcher: http://localhost:8025/api/v1/send
+    smtpRelayUrl: import.meta.env.VITE_SMTP_RELAY_URL || "",
+    mailFrom: import.meta.env.VITE_MAIL_FROM || "orders@tailor.com",
+    mailFromName: import.meta.env.VITE_MAIL_FROM_NAME || "Tailor Studio",
+    whatsappWebhookUrl: import.meta.env.VITE_WHATSAPP_WEBHOOK_URL || "",
+  },
+  // Letterhead printed on invoices and receipts
+  branding: {
+    name: import.meta.env.VITE_BRAND_NAME || "Tailor Studio",
+    logoUrl: import.meta.env.VITE_BRAND_LOGO_URL || "",
+    address: import.meta.env.VITE_BRAND_ADDRESS || "",
+    phone: import.meta.env.VITE_BRAND_PHONE || "",
+    email: import.meta.env.VITE_BRAND_EMAIL || "orders@tailor.com",
+    website: import.meta.env.VITE_BRAND_WEBSITE || "",
+  },
 }
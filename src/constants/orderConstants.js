@@ -535,41 +535,52 @@ export const PRODUCTION_TASK_TYPES = {
   CUSTOM: "CUSTOM", // For custom task names
 }
 
+/**
+ * defaultMinutes: working time the scheduling board plans for a task of the
+ * type until tasks of it have been completed and timed
+ */
 export const PRODUCTION_TASK_TYPE_CONFIG = {
   ADDA_WORK: {
     label: "Adda Work",
     icon: "Hammer",
     description: "Adda stitching and assembly work",
+    defaultMinutes: 480,
   },
   CUTTING_WORK: {
     label: "Cutting Work",
     icon: "Scissors",
     description: "Fabric cutting and preparation",
+    defaultMinutes: 120,
   },
   IRON_WORK: {
     label: "Iron Work",
     icon: "Flame",
     description: "Ironing and pressing",
+    defaultMinutes: 60,
   },
   TASSELS_WORK: {
     label: "Tassels Work",
     icon: "Sparkles",
     description: "Adding tassels and decorative elements",
+    defaultMinutes: 180,
   },
   ALTERATION_WORK: {
     label: "Alteration Work",
     icon: "Ruler",
     description: "Adjustments and alterations",
+    defaultMinutes: 120,
   },
   EMBROIDERY_WORK: {
     label: "Embroidery Work",
     icon: "Palette",
     description: "Embroidery and decorative stitching",
+    defaultMinutes: 600,
   },
   CUSTOM: {
     label: "Custom Task",
     icon: "Plus",
     description: "Custom task defined by production head",
+    defaultMinutes: 240,
   },
 }
 
@@ -634,6 +645,7 @@ export const PRODUCTION_TIMELINE_EVENTS = {
   PRODUCTION_STARTED: "PRODUCTION_STARTED",
   TASK_STARTED: "TASK_STARTED",
   TASK_COMPLETED: "TASK_COMPLETED",
+  TASK_REASSIGNED: "TASK_REASSIGNED",
   SECTION_PRODUCTION_COMPLETED: "SECTION_PRODUCTION_COMPLETED",
   SECTION_SENT_TO_QA: "SECTION_SENT_TO_QA",
   ORDER_ITEM_PRODUCTION_COMPLETED: "ORDER_ITEM_PRODUCTION_COMPLETED",
@@ -650,6 +662,8 @@ export const PRODUCTION_TIMELINE_MESSAGES = {
     `${taskName} started by ${workerName} for ${sectionName}`,
   TASK_COMPLETED: (taskName, workerName, sectionName, duration) =>
     `${taskName} completed by ${workerName} for ${sectionName} (${duration})`,
+  TASK_REASSIGNED: (taskName, sectionName, fromWorkerName, toWorkerName) =>
+    `${taskName} for ${sectionName} moved from ${fromWorkerName} to ${toWorkerName}`,
   SECTION_PRODUCTION_COMPLETED: (sectionName) =>
     `All tasks completed for ${sectionName} section - Production completed`,
   SECTION_SENT_TO_QA: (sectionName, productionHeadName) =>
@@ -787,6 +801,7 @@ export const PAYMENT_STATUS = {
   EXTRA_PAID: "EXTRA_PAID",
   PENDING: "PENDING",
   PARTIAL: "PARTIAL",
+  REFUNDED: "REFUNDED",
 }
 
 export const PAYMENT_STATUS_CONFIG = {
@@ -794,6 +809,37 @@ export const PAYMENT_STATUS_CONFIG = {
   EXTRA_PAID: { label: "Extra Paid", color: "bg-blue-100 text-blue-800" },
   PENDING: { label: "Pending", color: "bg-red-100 text-red-800" },
   PARTIAL: { label: "Partial", color: "bg-yellow-100 text-yellow-800" },
+  REFUNDED: { label: "Refunded", color: "bg-slate-100 text-slate-800" },
+}
+
+// Payment ledger entries - refunds and chargebacks are stored as negative amounts
+export const PAYMENT_ENTRY_TYPE = {
+  PAYMENT: "PAYMENT",
+  REFUND: "REFUND",
+  CHARGEBACK: "CHARGEBACK",
+}
+
+export const PAYMENT_ENTRY_TYPE_CONFIG = {
+  PAYMENT: { label: "Payment", color: "bg-green-100 text-green-800" },
+  REFUND: { label: "Refund", color: "bg-amber-100 text-amber-800" },
+  CHARGEBACK: { label: "Chargeback", color: "bg-red-100 text-red-800" },
+}
+
+/**
+ * Customer documents generated from an order
+ * Each type is numbered in its own sequence per year (prefix-YYYY-NNNN).
+ * Regenerating keeps the number and adds a version.
+ */
+export const ORDER_DOCUMENT_TYPE = {
+  PROFORMA: "PROFORMA",
+  INVOICE: "INVOICE",
+  RECEIPT: "RECEIPT",
+}
+
+export const ORDER_DOCUMENT_TYPE_CONFIG = {
+  PROFORMA: { label: "Proforma Invoice", prefix: "PF", color: "bg-slate-100 text-slate-800" },
+  INVOICE: { label: "Invoice", prefix: "INV", color: "bg-blue-100 text-blue-800" },
+  RECEIPT: { label: "Payment Receipt", prefix: "RCT", color: "bg-green-100 text-green-800" },
 }
 
 // Size type - standard or custom
@@ -819,6 +865,10 @@ export const STANDARD_SIZES = [
 ]
 
 // Currencies
+// Stock, costs and reports are kept in the base currency; orders may be in any
+// of CURRENCIES and are converted through the exchange-rate table.
+export const BASE_CURRENCY = "PKR"
+
 export const CURRENCIES = [
   { value: "USD", label: "USD - US Dollar" },
   { value: "PKR", label: "PKR - Pakistani Rupee" },
@@ -857,6 +907,27 @@ export const URGENT_FLAGS = [
   { value: "RTS", label: "RTS - Ready to Ship" },
 ]
 
+/**
+ * Where an RTS order item filled from ready stock goes next
+ * QA still photographs the garment for client approval; DISPATCH skips QA and
+ * the client video, so the item only waits for payment approval.
+ */
+export const READY_STOCK_ROUTE = {
+  QA: "QA",
+  DISPATCH: "DISPATCH",
+}
+
+export const READY_STOCK_ROUTE_CONFIG = {
+  QA: {
+    label: "Quality Assurance",
+    description: "QA photographs the garment and the client approves the video",
+  },
+  DISPATCH: {
+    label: "Dispatch",
+    description: "Skips QA and client approval; ships once payments are approved",
+  },
+}
+
 // Height ranges for dropdown (2-inch increments)
 export const HEIGHT_RANGES = [
   { value: "4ft0in-4ft2in", label: "4 ft 0 in - 4 ft 2 in" },
@@ -902,6 +973,11 @@ export const PHASE_14_TIMELINE_EVENTS = {
   CLIENT_ALTERATION_REQUESTED: "CLIENT_ALTERATION_REQUESTED",
   CLIENT_REJECTED_CANCELLED: "CLIENT_REJECTED_CANCELLED",
   CLIENT_RESTART_FROM_SCRATCH: "CLIENT_RESTART_FROM_SCRATCH",
+  CLIENT_MESSAGE_STATUS: "CLIENT_MESSAGE_STATUS",
+  DOCUMENT_GENERATED: "DOCUMENT_GENERATED",
+  PORTAL_LINK_CREATED: "PORTAL_LINK_CREATED",
+  PORTAL_LINK_REVOKED: "PORTAL_LINK_REVOKED",
+  PORTAL_RESPONSE: "PORTAL_RESPONSE",
 
   // Payment Events
   AWAITING_PAYMENT_VERIFICATION: "AWAITING_PAYMENT_VERIFICATION",
@@ -935,6 +1011,15 @@ export const PHASE_14_TIMELINE_MESSAGES = {
     `Order cancelled by client - Reason: ${reason} - ${salesUserName}`,
   CLIENT_RESTART_FROM_SCRATCH: (salesUserName) =>
     `Order reset to start from scratch by client request - ${salesUserName}`,
+  CLIENT_MESSAGE_STATUS: (description, statusLabel, detail) =>
+    `${description} ${statusLabel}${detail ? ` - ${detail}` : ""}`,
+  DOCUMENT_GENERATED: (documentLabel, number, version, userName) =>
+    `${documentLabel} ${number}${version > 1 ? ` regenerated as version ${version}` : " generated"} - ${userName}`,
+  PORTAL_LINK_CREATED: (userName, expiresOn) =>
+    `Customer portal link created, valid until ${expiresOn} - ${userName}`,
+  PORTAL_LINK_REVOKED: (userName) => `Customer portal link revoked - ${userName}`,
+  PORTAL_RESPONSE: (actionLabel, detail) =>
+    `Customer ${actionLabel.toLowerCase()} in the portal${detail ? `: ${detail}` : ""}`,
 
   // Payment Messages
   AWAITING_PAYMENT_VERIFICATION: () => `Order awaiting payment verification`,
@@ -946,3 +1031,291 @@ export const PHASE_14_TIMELINE_MESSAGES = {
   ORDER_DISPATCHED: (courier, trackingNumber) =>
     `Order dispatched via ${courier} - Tracking: ${trackingNumber}`,
 }
+
+// ============================================================================
+// REPORTS: STRUCTURED TIMELINE EVENTS
+// ============================================================================
+
+/**
+ * Order item timeline events that are not owned by a single department
+ * Timeline entries carry one of the *_TIMELINE_EVENTS values in `event` so
+ * reports can be computed without parsing the human-readable `action` text
+ */
+export const ORDER_ITEM_TIMELINE_EVENTS = {
+  STATUS_CHANGED: "STATUS_CHANGED",
+  CUSTOM_BOM_SUBMITTED: "CUSTOM_BOM_SUBMITTED",
+  READY_STOCK_AVAILABLE: "READY_STOCK_AVAILABLE",
+  READY_STOCK_FULFILLED: "READY_STOCK_FULFILLED",
+  READY_STOCK_UNAVAILABLE: "READY_STOCK_UNAVAILABLE",
+}
+
+export const PACKET_TIMELINE_EVENTS = {
+  PACKET_COMPLETED: "PACKET_COMPLETED",
+  PACKET_APPROVED: "PACKET_APPROVED",
+  PACKET_REJECTED: "PACKET_REJECTED",
+}
+
+/**
+ * Departments shown in the throughput report, keyed by the timeline event
+ * that marks a unit of work as done in that department
+ */
+export const REPORT_DEPARTMENTS = [
+  { key: "FABRICATION", label: "Fabrication", event: "CUSTOM_BOM_SUBMITTED", unit: "BOMs" },
+  { key: "PACKET", label: "Packet Creation", event: "PACKET_APPROVED", unit: "Packets" },
+  { key: "DYEING", label: "Dyeing", event: "SECTION_COMPLETED", unit: "Sections" },
+  {
+    key: "PRODUCTION",
+    label: "Production",
+    event: "SECTION_PRODUCTION_COMPLETED",
+    unit: "Sections",
+  },
+  { key: "QA", label: "Quality Assurance", event: "SECTION_QA_APPROVED", unit: "Sections" },
+  { key: "SALES", label: "Sales", event: "CLIENT_APPROVED", unit: "Orders" },
+  { key: "DISPATCH", label: "Dispatch", event: "ORDER_DISPATCHED", unit: "Orders" },
+]
+
+/**
+ * Procurement demand lifecycle
+ * OPEN -> ORDERED -> PARTIALLY_RECEIVED -> RECEIVED -> FULFILLED
+ * Stock-in fills demands (PARTIALLY_RECEIVED / RECEIVED); FULFILLED once the
+ * section's inventory recheck has consumed the material.
+ */
+export const PROCUREMENT_DEMAND_STATUS = {
+  OPEN: "OPEN",
+  ORDERED: "ORDERED",
+  PARTIALLY_RECEIVED: "PARTIALLY_RECEIVED",
+  RECEIVED: "RECEIVED",
+  FULFILLED: "FULFILLED",
+  CANCELLED: "CANCELLED",
+}
+
+/**
+ * Purchase order lifecycle
+ * DRAFT -> SENT -> PARTIALLY_RECEIVED -> RECEIVED
+ * Receiving posts stock-in movements; DRAFT and SENT orders can be cancelled.
+ */
+export const PURCHASE_ORDER_STATUS = {
+  DRAFT: "DRAFT",
+  SENT: "SENT",
+  PARTIALLY_RECEIVED: "PARTIALLY_RECEIVED",
+  RECEIVED: "RECEIVED",
+  CANCELLED: "CANCELLED",
+}
+
+export const PURCHASE_ORDER_STATUS_CONFIG = {
+  DRAFT: { label: "Draft", color: "bg-slate-100 text-slate-700" },
+  SENT: { label: "Sent", color: "bg-yellow-100 text-yellow-800" },
+  PARTIALLY_RECEIVED: { label: "Partially Received", color: "bg-orange-100 text-orange-800" },
+  RECEIVED: { label: "Received", color: "bg-green-100 text-green-800" },
+  CANCELLED: { label: "Cancelled", color: "bg-gray-100 text-gray-800" },
+}
+
+/**
+ * Inventory reservation lifecycle
+ * ACTIVE -> CONSUMED (packet pick) | RELEASED (dyeing rejection, order reset)
+ * ACTIVE reservations are subtracted from on-hand stock to give available stock.
+ */
+export const RESERVATION_STATUS = {
+  ACTIVE: "ACTIVE",
+  CONSUMED: "CONSUMED",
+  RELEASED: "RELEASED",
+}
+
+/**
+ * Stocktake (cycle count) session lifecycle
+ * COUNTING -> SUBMITTED -> POSTED; SUBMITTED can go back to COUNTING, and
+ * unposted sessions can be cancelled. Posting writes ADJUSTMENT movements.
+ */
+export const STOCKTAKE_STATUS = {
+  COUNTING: "COUNTING",
+  SUBMITTED: "SUBMITTED",
+  POSTED: "POSTED",
+  CANCELLED: "CANCELLED",
+}
+
+export const STOCKTAKE_STATUS_CONFIG = {
+  COUNTING: { label: "Counting", color: "bg-blue-100 text-blue-800" },
+  SUBMITTED: { label: "In Review", color: "bg-yellow-100 text-yellow-800" },
+  POSTED: { label: "Posted", color: "bg-green-100 text-green-800" },
+  CANCELLED: { label: "Cancelled", color: "bg-gray-100 text-gray-800" },
+}
+
+export const STOCKTAKE_SCOPE = {
+  CATEGORY: "CATEGORY",
+  RACK_RANGE: "RACK_RANGE",
+}
+
+/**
+ * Stock-holding locations
+ * Simple items keep a balance per location (stock_locations); ready stock
+ * variants are held in the main store. TRANSFER movements move stock between them.
+ */
+export const INVENTORY_LOCATION = {
+  MAIN_STORE: "MAIN_STORE",
+  DYEING_UNIT: "DYEING_UNIT",
+  STITCHING_FLOOR: "STITCHING_FLOOR",
+}
+
+export const INVENTORY_LOCATION_CONFIG = {
+  MAIN_STORE: { label: "Main Store", color: "bg-slate-100 text-slate-800" },
+  DYEING_UNIT: { label: "Dyeing Unit", color: "bg-purple-100 text-purple-800" },
+  STITCHING_FLOOR: { label: "Stitching Floor", color: "bg-amber-100 text-amber-800" },
+}
+
+/**
+ * Inventory categories
+ * READY_STOCK and READY_SAMPLE items hold their stock in size variants.
+ */
+export const INVENTORY_CATEGORY_CONFIG = {
+  FABRIC: { label: "Fabrics" },
+  MULTI_HEAD: { label: "Multi-Head Embroidery" },
+  ADA_MATERIAL: { label: "ADA Materials" },
+  RAW_MATERIAL: { label: "Raw Materials" },
+  READY_STOCK: { label: "Ready Stock" },
+  READY_SAMPLE: { label: "Ready Samples" },
+}
+
+export const VARIANT_CATEGORIES = ["READY_STOCK", "READY_SAMPLE"]
+
+// Units inventory is counted in; BOM lines may use any unit of lib/units that converts to them
+export const INVENTORY_UNITS = ["Yard", "Meter", "Gram", "Piece"]
+
+/**
+ * Workflow events that land in a user's notification inbox
+ * recipientPermissions decides who can receive an event, so the preferences
+ * page only lists the events a user could actually get.
+ */
+export const NOTIFICATION_EVENTS = {
+  PACKET_ASSIGNED: "PACKET_ASSIGNED",
+  SECTIONS_AUTO_ASSIGNED: "SECTIONS_AUTO_ASSIGNED",
+  RE_VIDEO_REQUESTED: "RE_VIDEO_REQUESTED",
+  QA_REJECTED: "QA_REJECTED",
+  PRODUCTION_HEAD_ASSIGNED: "PRODUCTION_HEAD_ASSIGNED",
+  PORTAL_RESPONSE: "PORTAL_RESPONSE",
+}
+
+export const NOTIFICATION_EVENT_CONFIG = {
+  PACKET_ASSIGNED: {
+    label: "Packet assigned",
+    description: "A packet is assigned to you for picking",
+    recipientPermissions: ["fabrication.view"],
+    color: "bg-lime-100 text-lime-800",
+  },
+  SECTIONS_AUTO_ASSIGNED: {
+    label: "Sections auto-assigned",
+    description: "Sections back from a dyeing rejection are added to a packet you picked",
+    recipientPermissions: ["fabrication.view"],
+    color: "bg-fuchsia-100 text-fuchsia-800",
+  },
+  RE_VIDEO_REQUESTED: {
+    label: "Re-video requested",
+    description: "Sales asks QA for a new video of an order item",
+    recipientPermissions: ["qa.upload_video"],
+    color: "bg-teal-100 text-teal-800",
+  },
+  QA_REJECTED: {
+    label: "QA rejection",
+    description: "QA sends a section of an order item you head back to production",
+    recipientPermissions: ["production.view"],
+    color: "bg-red-100 text-red-800",
+  },
+  PRODUCTION_HEAD_ASSIGNED: {
+    label: "Production head assigned",
+    description: "An order item is assigned to you as production head",
+    recipientPermissions: ["production.view"],
+    color: "bg-indigo-100 text-indigo-800",
+  },
+  PORTAL_RESPONSE: {
+    label: "Customer portal response",
+    description: "A customer answers through a portal link you shared",
+    recipientPermissions: ["sales.send_to_client", "orders.approve_customer_forms"],
+    color: "bg-sky-100 text-sky-800",
+  },
+}
+
+/**
+ * Channels a client message can go out on
+ * EMAIL and WHATSAPP deliver through the transports in appConfig.messaging;
+ * MANUAL records a message Sales sent by hand (copied into their own WhatsApp).
+ */
+export const CLIENT_MESSAGE_CHANNEL = {
+  EMAIL: "EMAIL",
+  WHATSAPP: "WHATSAPP",
+  MANUAL: "MANUAL",
+}
+
+export const CLIENT_MESSAGE_CHANNEL_CONFIG = {
+  EMAIL: { label: "Email", recipientLabel: "Customer email" },
+  WHATSAPP: { label: "WhatsApp", recipientLabel: "Customer phone" },
+  MANUAL: { label: "Sent by hand", recipientLabel: "Customer phone" },
+}
+
+/**
+ * Client message delivery lifecycle
+ * QUEUED -> SENT -> DELIVERED -> READ, or QUEUED/SENT -> FAILED.
+ * DELIVERED and READ only arrive as receipts from the WhatsApp webhook.
+ */
+export const CLIENT_MESSAGE_STATUS = {
+  QUEUED: "QUEUED",
+  SENT: "SENT",
+  DELIVERED: "DELIVERED",
+  READ: "READ",
+  FAILED: "FAILED",
+}
+
+export const CLIENT_MESSAGE_STATUS_CONFIG = {
+  QUEUED: { label: "Queued", color: "bg-slate-100 text-slate-800" },
+  SENT: { label: "Sent", color: "bg-blue-100 text-blue-800" },
+  DELIVERED: { label: "Delivered", color: "bg-green-100 text-green-800" },
+  READ: { label: "Read", color: "bg-emerald-100 text-emerald-800" },
+  FAILED: { label: "Failed", color: "bg-red-100 text-red-800" },
+}
+
+/**
+ * Customer portal
+ * A portal link opens one order to the customer without a login. The link is
+ * signed and expires; what the customer does there is kept as proof.
+ */
+export const PORTAL_LINK_DEFAULT_DAYS = 7
+export const PORTAL_LINK_MAX_DAYS = 30
+
+export const PORTAL_LINK_STATUS = {
+  ACTIVE: "ACTIVE",
+  EXPIRED: "EXPIRED",
+  REVOKED: "REVOKED",
+}
+
+export const PORTAL_LINK_STATUS_CONFIG = {
+  ACTIVE: { label: "Active", color: "bg-green-100 text-green-800" },
+  EXPIRED: { label: "Expired", color: "bg-slate-100 text-slate-800" },
+  REVOKED: { label: "Revoked", color: "bg-red-100 text-red-800" },
+}
+
+/**
+ * What a customer can do in the portal
+ * APPROVE_FORM approves an item's order form, APPROVE_VIDEO approves the
+ * order's videos; the change requests keep the order where it is.
+ */
+export const PORTAL_RESPONSE_ACTION = {
+  APPROVE_FORM: "APPROVE_FORM",
+  REQUEST_FORM_CHANGES: "REQUEST_FORM_CHANGES",
+  APPROVE_VIDEO: "APPROVE_VIDEO",
+  REQUEST_ALTERATION: "REQUEST_ALTERATION",
+  COMMENT: "COMMENT",
+}
+
+export const PORTAL_RESPONSE_ACTION_CONFIG = {
+  APPROVE_FORM: { label: "Approved order form", color: "bg-green-100 text-green-800" },
+  REQUEST_FORM_CHANGES: { label: "Asked for form changes", color: "bg-amber-100 text-amber-800" },
+  APPROVE_VIDEO: { label: "Approved videos", color: "bg-green-100 text-green-800" },
+  REQUEST_ALTERATION: { label: "Requested alteration", color: "bg-orange-100 text-orange-800" },
+  COMMENT: { label: "Comment", color: "bg-blue-100 text-blue-800" },
+}
+
+// Parts of an order form the customer can ask to change
+export const ORDER_FORM_SECTIONS = [
+  { value: "style", label: "Style" },
+  { value: "color", label: "Color" },
+  { value: "fabric", label: "Fabric" },
+  { value: "measurements", label: "Measurements" },
+]
@@ -0,0 +1,153 @@
+import { useState } from "react"
+import { format } from "date-fns"
+import { toast } from "sonner"
+import { Loader2 } from "lucide-react"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select"
+import { BASE_CURRENCY, CURRENCIES } from "@/constants/orderConstants"
+import { useCreateExchangeRate, useUpdateExchangeRate } from "@/hooks/useExchangeRates"
+
+const FOREIGN_CURRENCIES = CURRENCIES.filter((c) => c.value !== BASE_CURRENCY)
+
+/**
+ * Add a dated exchange rate, or correct one
+ * Pass `rate` to correct it (the currency can't change); leave it empty to add.
+ * Mount with a `key` so the form resets between rows.
+ */
+export default function ExchangeRateFormDialog({ open, onOpenChange, rate }) {
+  const isEdit = !!rate
+  const [form, setForm] = useState(() => ({
+    currency: rate?.currency || FOREIGN_CURRENCIES[0].value,
+    rate: rate?.rate?.toString() || "",
+    effectiveDate: rate?.effectiveDate || format(new Date(), "yyyy-MM-dd"),
+    notes: rate?.notes || "",
+  }))
+
+  const createRate = useCreateExchangeRate()
+  const updateRate = useUpdateExchangeRate()
+  const isPending = createRate.isPending || updateRate.isPending
+
+  const setField = (field) => (value) => setForm((prev) => ({ ...prev, [field]: value }))
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!(parseFloat(form.rate) > 0)) {
+      toast.error("Enter a rate greater than zero")
+      return
+    }
+
+    const data = {
+      rate: parseFloat(form.rate),
+      effectiveDate: form.effectiveDate,
+      notes: form.notes.trim(),
+    }
+    const options = {
+      onSuccess: () => {
+        toast.success(isEdit ? "Rate corrected" : "Rate added")
+        onOpenChange(false)
+      },
+      onError: (error) => toast.error(error.message || "Failed to save rate"),
+    }
+
+    if (isEdit) {
+      updateRate.mutate({ id: rate.id, data }, options)
+    } else {
+      createRate.mutate({ ...data, currency: form.currency }, options)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-md">
+        <form onSubmit={handleSubmit}>
+          <DialogHeader>
+            <DialogTitle>{isEdit ? "Correct Rate" : "Add Rate"}</DialogTitle>
+            <DialogDescription>
+              {isEdit
+                ? "Payments already recorded keep the rate they were converted at."
+                : "The rate applies from its date until the next rate for the currency."}
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="grid grid-cols-2 gap-4 py-4">
+            <div className="space-y-2">
+              <Label>Currency</Label>
+              <Select value={form.currency} onValueChange={setField("currency")} disabled={isEdit}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {FOREIGN_CURRENCIES.map((c) => (
+                    <SelectItem key={c.value} value={c.value}>
+                      {c.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="rate-effective">Effective From</Label>
+              <Input
+                id="rate-effective"
+                type="date"
+                value={form.effectiveDate}
+                onChange={(e) => setField("effectiveDate")(e.target.value)}
+                disabled={isPending}
+              />
+            </div>
+            <div className="space-y-2 col-span-2">
+              <Label htmlFor="rate-value">
+                {BASE_CURRENCY} per 1 {form.currency} *
+              </Label>
+              <Input
+                id="rate-value"
+                type="number"
+                step="0.0001"
+                min="0"
+                value={form.rate}
+                onChange={(e) => setField("rate")(e.target.value)}
+                disabled={isPending}
+              />
+            </div>
+            <div className="space-y-2 col-span-2">
+              <Label htmlFor="rate-notes">Notes</Label>
+              <Input
+                id="rate-notes"
+                placeholder="e.g., State Bank closing rate"
+                value={form.notes}
+                onChange={(e) => setField("notes")(e.target.value)}
+                disabled={isPending}
+              />
+            </div>
+          </div>
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={isPending}>
+              {isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              {isEdit ? "Save Correction" : "Add Rate"}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,160 @@
+/**
+ * Exchange Rates Page
+ * src/features/admin/pages/ExchangeRatesPage.jsx
+ *
+ * The dated rate table foreign-currency orders are priced with and payments
+ * and reports are converted with. Rates are added with the day they take
+ * effect; earlier rows stay so past orders keep converting at their own date.
+ */
+
+import { useState } from "react"
+import { format, parseISO } from "date-fns"
+import { Loader2, Pencil, Plus } from "lucide-react"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select"
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table"
+import { BASE_CURRENCY } from "@/constants/orderConstants"
+import { getCurrentRates } from "@/lib/currency"
+import { useExchangeRates } from "@/hooks/useExchangeRates"
+import ExchangeRateFormDialog from "../components/ExchangeRateFormDialog"
+
+export default function ExchangeRatesPage() {
+  const [currencyFilter, setCurrencyFilter] = useState("all")
+  const [dialog, setDialog] = useState({ open: false, rate: null, key: 0 })
+
+  const { data: rates = [], isLoading } = useExchangeRates()
+
+  const currentRates = getCurrentRates(rates)
+  const currentIds = new Set(currentRates.map((r) => r.id))
+  const currencies = [...new Set(rates.map((r) => r.currency))]
+  const visibleRates =
+    currencyFilter === "all" ? rates : rates.filter((r) => r.currency === currencyFilter)
+
+  const openDialog = (rate = null) => setDialog((prev) => ({ open: true, rate, key: prev.key + 1 }))
+
+  return (
+    <div className="p-4 md:p-6 space-y-6">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold">Exchange Rates</h1>
+          <p className="text-muted-foreground">
+            {BASE_CURRENCY} value of each order currency, by the date it applies from
+          </p>
+        </div>
+        <Button onClick={() => openDialog()}>
+          <Plus className="h-4 w-4 mr-2" />
+          Add Rate
+        </Button>
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center h-32">
+          <Loader2 className="h-6 w-6 animate-spin" />
+        </div>
+      ) : (
+        <>
+          {/* Rates in force today */}
+          <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-7 gap-3">
+            {currentRates.map((rate) => (
+              <Card key={rate.currency}>
+                <CardContent className="p-4">
+                  <p className="text-xs text-muted-foreground">1 {rate.currency}</p>
+                  <p className="text-lg font-semibold">
+                    {BASE_CURRENCY} {rate.rate.toLocaleString()}
+                  </p>
+                  <p className="text-xs text-muted-foreground">
+                    since {format(parseISO(rate.effectiveDate), "MMM d, yyyy")}
+                  </p>
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+
+          <Card>
+            <CardHeader className="flex flex-row items-center justify-between space-y-0">
+              <CardTitle className="text-base">Rate History</CardTitle>
+              <Select value={currencyFilter} onValueChange={setCurrencyFilter}>
+                <SelectTrigger className="w-40">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All currencies</SelectItem>
+                  {currencies.map((currency) => (
+                    <SelectItem key={currency} value={currency}>
+                      {currency}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </CardHeader>
+            <CardContent className="p-0">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Currency</TableHead>
+                    <TableHead>Effective From</TableHead>
+                    <TableHead className="text-right">{BASE_CURRENCY} per unit</TableHead>
+                    <TableHead>Notes</TableHead>
+                    <TableHead>Added By</TableHead>
+                    <TableHead className="w-12" />
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {visibleRates.map((rate) => (
+                    <TableRow key={rate.id}>
+                      <TableCell className="font-medium">
+                        {rate.currency}
+                        {currentIds.has(rate.id) && (
+                          <Badge className="ml-2 bg-green-100 text-green-800">Current</Badge>
+                        )}
+                      </TableCell>
+                      <TableCell>{format(parseISO(rate.effectiveDate), "MMM d, yyyy")}</TableCell>
+                      <TableCell className="text-right">{rate.rate.toLocaleString()}</TableCell>
+                      <TableCell className="text-sm text-muted-foreground">
+                        {rate.notes || "—"}
+                      </TableCell>
+                      <TableCell className="text-sm">{rate.createdByName}</TableCell>
+                      <TableCell>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          title="Correct rate"
+                          onClick={() => openDialog(rate)}
+                        >
+                          <Pencil className="h-4 w-4" />
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </CardContent>
+          </Card>
+        </>
+      )}
+
+      <ExchangeRateFormDialog
+        key={dialog.key}
+        open={dialog.open}
+        onOpenChange={(open) => setDialog((prev) => ({ ...prev, open }))}
+        rate={dialog.rate}
+      />
+    </div>
+  )
+}
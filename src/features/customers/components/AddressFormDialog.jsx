@@ -0,0 +1,133 @@
+import { useState } from "react"
+import { toast } from "sonner"
+import { Loader2 } from "lucide-react"
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Checkbox } from "@/components/ui/checkbox"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { useAddCustomerAddress, useUpdateCustomerAddress } from "@/hooks/useCustomers"
+
+const EMPTY_ADDRESS = {
+  label: "",
+  street1: "",
+  street2: "",
+  city: "",
+  state: "",
+  postalCode: "",
+  country: "",
+  isDefault: false,
+}
+
+const FIELDS = [
+  { name: "label", label: "Label", placeholder: "e.g., Home, Office, Parents" },
+  { name: "street1", label: "Street Address *", wide: true },
+  { name: "street2", label: "Apartment, suite, etc.", wide: true },
+  { name: "city", label: "City" },
+  { name: "state", label: "State / Province" },
+  { name: "postalCode", label: "Postal Code" },
+  { name: "country", label: "Country" },
+]
+
+/**
+ * Add or edit one of a customer's saved addresses
+ * Mount with a `key` so the form resets when a different address is opened.
+ */
+export default function AddressFormDialog({ open, onOpenChange, customerId, address }) {
+  const isEdit = !!address
+  const [form, setForm] = useState(() => ({ ...EMPTY_ADDRESS, ...address }))
+
+  const addAddress = useAddCustomerAddress()
+  const updateAddress = useUpdateCustomerAddress()
+  const isPending = addAddress.isPending || updateAddress.isPending
+
+  const setField = (field) => (e) => setForm((prev) => ({ ...prev, [field]: e.target.value }))
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!form.street1.trim()) {
+      toast.error("Street address is required")
+      return
+    }
+
+    const data = Object.fromEntries(
+      FIELDS.map((field) => [field.name, form[field.name].trim()]).concat([
+        ["isDefault", form.isDefault],
+      ])
+    )
+    const options = {
+      onSuccess: () => {
+        toast.success(isEdit ? "Address updated" : "Address added")
+        onOpenChange(false)
+      },
+      onError: (error) => toast.error(error.message || "Failed to save address"),
+    }
+
+    if (isEdit) {
+      updateAddress.mutate({ id: customerId, addressId: address.id, data }, options)
+    } else {
+      addAddress.mutate({ id: customerId, data }, options)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <form onSubmit={handleSubmit}>
+          <DialogHeader>
+            <DialogTitle>{isEdit ? "Edit Address" : "Add Address"}</DialogTitle>
+          </DialogHeader>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 py-4">
+            {FIELDS.map((field) => (
+              <div
+                key={field.name}
+                className={`space-y-2 ${field.wide || field.name === "label" ? "sm:col-span-2" : ""}`}
+              >
+                <Label htmlFor={`address-${field.name}`}>{field.label}</Label>
+                <Input
+                  id={`address-${field.name}`}
+                  placeholder={field.placeholder}
+                  value={form[field.name]}
+                  onChange={setField(field.name)}
+                  disabled={isPending}
+                />
+              </div>
+            ))}
+            {!address?.isDefault && (
+              <div className="flex items-center gap-2 sm:col-span-2">
+                <Checkbox
+                  id="address-default"
+                  checked={form.isDefault}
+                  onCheckedChange={(checked) =>
+                    setForm((prev) => ({ ...prev, isDefault: !!checked }))
+                  }
+                  disabled={isPending}
+                />
+                <Label htmlFor="address-default" className="font-normal">
+                  Use as the default shipping address
+                </Label>
+              </div>
+            )}
+          </div>
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={isPending}>
+              {isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              {isEdit ? "Save Changes" : "Add Address"}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
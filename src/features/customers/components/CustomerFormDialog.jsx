@@ -0,0 +1,145 @@
+import { useState } from "react"
+import { toast } from "sonner"
+import { Loader2 } from "lucide-react"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import { useCreateCustomer, useUpdateCustomer } from "@/hooks/useCustomers"
+
+const EMPTY_CUSTOMER = {
+  name: "",
+  email: "",
+  phone: "",
+  notes: "",
+}
+
+const TEXT_FIELDS = [
+  { name: "email", label: "Email", type: "email" },
+  { name: "phone", label: "Phone", placeholder: "e.g., +971501234567" },
+]
+
+/**
+ * Create or edit a customer
+ * Pass `customer` to edit; leave it empty to create. Mount with a `key` so the
+ * form resets when a different customer is opened. Addresses and measurements
+ * are managed on the customer page.
+ */
+export default function CustomerFormDialog({ open, onOpenChange, customer, onSaved }) {
+  const isEdit = !!customer
+  const [form, setForm] = useState(() => ({
+    ...EMPTY_CUSTOMER,
+    ...(customer && {
+      name: customer.name,
+      email: customer.email,
+      phone: customer.phone,
+      notes: customer.notes,
+    }),
+  }))
+
+  const createCustomer = useCreateCustomer()
+  const updateCustomer = useUpdateCustomer()
+  const isPending = createCustomer.isPending || updateCustomer.isPending
+
+  const setField = (field) => (e) => setForm((prev) => ({ ...prev, [field]: e.target.value }))
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!form.name.trim()) {
+      toast.error("Customer name is required")
+      return
+    }
+
+    const data = {
+      name: form.name.trim(),
+      email: form.email.trim(),
+      phone: form.phone.trim(),
+      notes: form.notes.trim(),
+    }
+
+    const options = {
+      onSuccess: (saved) => {
+        toast.success(isEdit ? `${saved.name} updated` : `${saved.name} added`)
+        onOpenChange(false)
+        onSaved?.(saved)
+      },
+      onError: (error) => toast.error(error.message || "Failed to save customer"),
+    }
+
+    if (isEdit) {
+      updateCustomer.mutate({ id: customer.id, data }, options)
+    } else {
+      createCustomer.mutate(data, options)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <form onSubmit={handleSubmit}>
+          <DialogHeader>
+            <DialogTitle>{isEdit ? "Edit Customer" : "Add Customer"}</DialogTitle>
+            <DialogDescription>
+              {isEdit
+                ? "Changes apply to new orders; existing orders keep the details they were placed with."
+                : "Email or phone is used to match Shopify and new orders to this customer."}
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 py-4">
+            <div className="space-y-2 sm:col-span-2">
+              <Label htmlFor="customer-name">Customer Name *</Label>
+              <Input
+                id="customer-name"
+                value={form.name}
+                onChange={setField("name")}
+                disabled={isPending}
+              />
+            </div>
+            {TEXT_FIELDS.map((field) => (
+              <div key={field.name} className="space-y-2">
+                <Label htmlFor={`customer-${field.name}`}>{field.label}</Label>
+                <Input
+                  id={`customer-${field.name}`}
+                  type={field.type || "text"}
+                  placeholder={field.placeholder}
+                  value={form[field.name]}
+                  onChange={setField(field.name)}
+                  disabled={isPending}
+                />
+              </div>
+            ))}
+            <div className="space-y-2 sm:col-span-2">
+              <Label htmlFor="customer-notes">Notes</Label>
+              <Textarea
+                id="customer-notes"
+                rows={2}
+                value={form.notes}
+                onChange={setField("notes")}
+                disabled={isPending}
+              />
+            </div>
+          </div>
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={isPending}>
+              {isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              {isEdit ? "Save Changes" : "Add Customer"}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,46 @@
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select"
+import { useCustomers } from "@/hooks/useCustomers"
+
+const NEW_CUSTOMER = "new"
+
+/**
+ * Customer picker backed by the customer directory
+ * Calls onChange with the selected customer object, or null for "New customer"
+ * (the order is then matched or added to the directory by email or phone).
+ */
+export default function CustomerSelect({ value, onChange, disabled, id }) {
+  const { data: customers = [], isLoading } = useCustomers()
+
+  const handleChange = (customerId) => {
+    onChange(customerId === NEW_CUSTOMER ? null : customers.find((c) => c.id === customerId))
+  }
+
+  return (
+    <Select
+      value={value || NEW_CUSTOMER}
+      onValueChange={handleChange}
+      disabled={disabled || isLoading}
+    >
+      <SelectTrigger id={id}>
+        <SelectValue placeholder={isLoading ? "Loading customers..." : "Select customer"} />
+      </SelectTrigger>
+      <SelectContent>
+        <SelectItem value={NEW_CUSTOMER}>New customer</SelectItem>
+        {customers.map((customer) => (
+          <SelectItem key={customer.id} value={customer.id}>
+            {customer.name}
+            {(customer.email || customer.phone) && (
+              <span className="text-muted-foreground"> · {customer.email || customer.phone}</span>
+            )}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  )
+}
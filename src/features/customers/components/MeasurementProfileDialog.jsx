@@ -0,0 +1,186 @@
+import { useState } from "react"
+import { format } from "date-fns"
+import { toast } from "sonner"
+import { Loader2 } from "lucide-react"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Checkbox } from "@/components/ui/checkbox"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select"
+import { HEIGHT_RANGES } from "@/constants/orderConstants"
+import {
+  MEASUREMENT_CATEGORIES,
+  getMeasurementCategoryById,
+} from "@/constants/measurementCategories"
+import { useAddMeasurementProfile } from "@/hooks/useCustomers"
+
+/**
+ * Record a new dated set of measurements for a customer
+ * Starts from `baseProfile` (usually the latest) so only what changed needs
+ * retyping; saving always adds a profile and never edits the old one.
+ * Mount with a `key` so the form resets between customers.
+ */
+export default function MeasurementProfileDialog({ open, onOpenChange, customerId, baseProfile }) {
+  const today = format(new Date(), "yyyy-MM-dd")
+  const [takenAt, setTakenAt] = useState(today)
+  const [clientHeight, setClientHeight] = useState(baseProfile?.clientHeight || "")
+  const [categories, setCategories] = useState(baseProfile?.categories || [])
+  const [measurements, setMeasurements] = useState(baseProfile?.measurements || {})
+  const [notes, setNotes] = useState("")
+
+  const addProfile = useAddMeasurementProfile()
+
+  const toggleCategory = (categoryId) => {
+    setCategories((prev) =>
+      prev.includes(categoryId) ? prev.filter((id) => id !== categoryId) : [...prev, categoryId]
+    )
+  }
+
+  const setMeasurement = (key) => (e) =>
+    setMeasurements((prev) => ({ ...prev, [key]: e.target.value }))
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (categories.length === 0) {
+      toast.error("Choose at least one measurement category")
+      return
+    }
+
+    addProfile.mutate(
+      {
+        id: customerId,
+        data: { takenAt, clientHeight, categories, measurements, notes: notes.trim() },
+      },
+      {
+        onSuccess: () => {
+          toast.success("Measurements saved")
+          onOpenChange(false)
+        },
+        onError: (error) => toast.error(error.message || "Failed to save measurements"),
+      }
+    )
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <form onSubmit={handleSubmit}>
+          <DialogHeader>
+            <DialogTitle>New Measurements</DialogTitle>
+            <DialogDescription>
+              {baseProfile
+                ? `Starting from the measurements of ${baseProfile.takenAt}. The earlier profile is kept.`
+                : "All measurements are in inches."}
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4 py-4">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label htmlFor="profile-takenAt">Date Taken</Label>
+                <Input
+                  id="profile-takenAt"
+                  type="date"
+                  max={today}
+                  value={takenAt}
+                  onChange={(e) => setTakenAt(e.target.value)}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label>Client Height</Label>
+                <Select value={clientHeight} onValueChange={setClientHeight}>
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select height range" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {HEIGHT_RANGES.map((range) => (
+                      <SelectItem key={range.value} value={range.value}>
+                        {range.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+              {Object.values(MEASUREMENT_CATEGORIES).map((cat) => (
+                <div key={cat.id} className="flex items-center space-x-2">
+                  <Checkbox
+                    id={`profile-${cat.id}`}
+                    checked={categories.includes(cat.id)}
+                    onCheckedChange={() => toggleCategory(cat.id)}
+                  />
+                  <Label htmlFor={`profile-${cat.id}`} className="font-normal">
+                    {cat.name}
+                  </Label>
+                </div>
+              ))}
+            </div>
+
+            {categories.map((catId) => {
+              const category = getMeasurementCategoryById(catId)
+              if (!category) return null
+              return (
+                <div key={catId} className="border rounded-lg p-4">
+                  <h4 className="font-medium mb-4">{category.name}</h4>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                    {category.groups
+                      .flatMap((g) => g.measurements)
+                      .map((m) => (
+                        <div key={m.id}>
+                          <Label className="text-xs text-muted-foreground">{m.label}</Label>
+                          <Input
+                            type="number"
+                            step="0.5"
+                            value={measurements[`${catId}_${m.id}`] || ""}
+                            onChange={setMeasurement(`${catId}_${m.id}`)}
+                          />
+                        </div>
+                      ))}
+                  </div>
+                </div>
+              )
+            })}
+
+            <div className="space-y-2">
+              <Label htmlFor="profile-notes">Notes</Label>
+              <Textarea
+                id="profile-notes"
+                rows={2}
+                placeholder="e.g., Taken at the studio fitting"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+              />
+            </div>
+          </div>
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={addProfile.isPending}>
+              {addProfile.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Save Measurements
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,436 @@
+/**
+ * Customer Detail Page
+ * src/features/customers/pages/CustomerDetailPage.jsx
+ *
+ * One customer: lifetime value, every order they have placed, their dated
+ * measurement profiles and saved addresses. Profiles are never edited; new
+ * measurements are recorded as a new profile so older orders stay traceable.
+ */
+
+import { useState } from "react"
+import { Link, useNavigate, useParams } from "react-router-dom"
+import { format, parseISO } from "date-fns"
+import { toast } from "sonner"
+import { ArrowLeft, Loader2, MapPin, Pencil, Plus, Ruler, Star, Trash2 } from "lucide-react"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table"
+import { HEIGHT_RANGES } from "@/constants/orderConstants"
+import { getMeasurementCategoryById } from "@/constants/measurementCategories"
+import { useAuth } from "@/features/auth/hooks/useAuth"
+import { hasPermission } from "@/lib/rbac"
+import {
+  useCustomer,
+  useDeleteCustomer,
+  useDeleteCustomerAddress,
+  useDeleteMeasurementProfile,
+  useUpdateCustomerAddress,
+} from "@/hooks/useCustomers"
+import { formatAddress, formatCurrency } from "@/utils/formatters"
+import CustomerFormDialog from "../components/CustomerFormDialog"
+import AddressFormDialog from "../components/AddressFormDialog"
+import MeasurementProfileDialog from "../components/MeasurementProfileDialog"
+
+const formatDay = (date) => format(parseISO(date), "MMM d, yyyy")
+
+const getHeightLabel = (value) => HEIGHT_RANGES.find((r) => r.value === value)?.label || value
+
+export default function CustomerDetailPage() {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const { user } = useAuth()
+  const canManage = hasPermission(user, "orders.create") || hasPermission(user, "orders.edit")
+
+  const { data: customer, isLoading, isError } = useCustomer(id)
+  const deleteCustomer = useDeleteCustomer()
+  const updateAddress = useUpdateCustomerAddress()
+  const deleteAddress = useDeleteCustomerAddress()
+  const deleteProfile = useDeleteMeasurementProfile()
+
+  const [showEdit, setShowEdit] = useState(false)
+  const [addressDialog, setAddressDialog] = useState({ open: false, address: null })
+  const [showProfile, setShowProfile] = useState(false)
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <Loader2 className="h-8 w-8 animate-spin" />
+      </div>
+    )
+  }
+
+  if (isError || !customer) {
+    return (
+      <div className="p-6 text-center text-muted-foreground">
+        <p>Customer not found</p>
+        <Button variant="link" asChild>
+          <Link to="/customers">Back to customers</Link>
+        </Button>
+      </div>
+    )
+  }
+
+  const latestProfile = customer.measurementProfiles[0] || null
+
+  const handleDelete = () => {
+    if (!confirm(`Delete ${customer.name} from the customer directory?`)) return
+    deleteCustomer.mutate(customer.id, {
+      onSuccess: () => {
+        toast.success(`${customer.name} deleted`)
+        navigate("/customers")
+      },
+      onError: (error) => toast.error(error.message || "Failed to delete customer"),
+    })
+  }
+
+  const handleMakeDefault = (address) => {
+    updateAddress.mutate(
+      { id: customer.id, addressId: address.id, data: { isDefault: true } },
+      {
+        onSuccess: () => toast.success("Default address updated"),
+        onError: (error) => toast.error(error.message || "Failed to update address"),
+      }
+    )
+  }
+
+  const handleDeleteAddress = (address) => {
+    if (!confirm("Remove this address?")) return
+    deleteAddress.mutate(
+      { id: customer.id, addressId: address.id },
+      {
+        onSuccess: () => toast.success("Address removed"),
+        onError: (error) => toast.error(error.message || "Failed to remove address"),
+      }
+    )
+  }
+
+  const handleDeleteProfile = (profile) => {
+    if (!confirm(`Delete the measurements taken on ${formatDay(profile.takenAt)}?`)) return
+    deleteProfile.mutate(
+      { id: customer.id, profileId: profile.id },
+      {
+        onSuccess: () => toast.success("Measurements deleted"),
+        onError: (error) => toast.error(error.message || "Failed to delete measurements"),
+      }
+    )
+  }
+
+  return (
+    <div className="p-4 md:p-6 max-w-6xl mx-auto space-y-6">
+      {/* Header */}
+      <div>
+        <Button variant="ghost" size="sm" asChild className="mb-2 -ml-2">
+          <Link to="/customers">
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            Customers
+          </Link>
+        </Button>
+        <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold">{customer.name}</h1>
+            <p className="text-muted-foreground">
+              {[customer.email, customer.phone].filter(Boolean).join(" · ") || "No contact details"}
+            </p>
+            {customer.notes && <p className="text-sm mt-1">{customer.notes}</p>}
+          </div>
+          {canManage && (
+            <div className="flex flex-wrap gap-2">
+              <Button variant="outline" onClick={() => setShowEdit(true)}>
+                <Pencil className="h-4 w-4 mr-2" />
+                Edit
+              </Button>
+              <Button
+                variant="outline"
+                onClick={handleDelete}
+                disabled={customer.orderCount > 0 || deleteCustomer.isPending}
+                title={customer.orderCount > 0 ? "Customers with orders cannot be deleted" : ""}
+              >
+                <Trash2 className="h-4 w-4 mr-2" />
+                Delete
+              </Button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Lifetime value */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <Card>
+          <CardContent className="pt-6 space-y-1">
+            <p className="text-sm text-muted-foreground">Orders</p>
+            <p className="text-2xl font-bold">{customer.orderCount}</p>
+            {customer.lastOrderAt && (
+              <p className="text-sm text-muted-foreground">
+                Last order {formatDay(customer.lastOrderAt)}
+              </p>
+            )}
+          </CardContent>
+        </Card>
+        {customer.lifetimeValue.map((value) => (
+          <Card key={value.currency}>
+            <CardContent className="pt-6 space-y-1">
+              <p className="text-sm text-muted-foreground">Lifetime Value ({value.currency})</p>
+              <p className="text-2xl font-bold">{formatCurrency(value.total, value.currency)}</p>
+              <p className="text-sm text-muted-foreground">
+                {formatCurrency(value.paid, value.currency)} paid across {value.orderCount} order
+                {value.orderCount !== 1 ? "s" : ""}
+              </p>
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+
+      <Tabs defaultValue="orders" className="space-y-6">
+        <TabsList>
+          <TabsTrigger value="orders">Orders ({customer.orders.length})</TabsTrigger>
+          <TabsTrigger value="measurements">
+            Measurements ({customer.measurementProfiles.length})
+          </TabsTrigger>
+          <TabsTrigger value="addresses">Addresses ({customer.addresses.length})</TabsTrigger>
+        </TabsList>
+
+        {/* Orders */}
+        <TabsContent value="orders">
+          <Card>
+            <CardContent className="pt-6">
+              {customer.orders.length === 0 ? (
+                <p className="text-center py-8 text-muted-foreground">No orders yet</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Order</TableHead>
+                        <TableHead>Placed</TableHead>
+                        <TableHead>Status</TableHead>
+                        <TableHead className="text-right">Items</TableHead>
+                        <TableHead className="text-right">Total</TableHead>
+                        <TableHead className="text-right">Due</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {customer.orders.map((order) => (
+                        <TableRow key={order.id}>
+                          <TableCell>
+                            <Link
+                              to={`/orders/${order.id}`}
+                              className="font-medium text-blue-600 hover:underline"
+                            >
+                              {order.orderNumber}
+                            </Link>
+                            <p className="text-xs text-muted-foreground">{order.source}</p>
+                          </TableCell>
+                          <TableCell>{formatDay(order.createdAt)}</TableCell>
+                          <TableCell className="text-sm">
+                            {order.statusSummary?.summary || order.status}
+                          </TableCell>
+                          <TableCell className="text-right">{order.itemCount}</TableCell>
+                          <TableCell className="text-right">
+                            {formatCurrency(order.totalAmount, order.currency)}
+                          </TableCell>
+                          <TableCell className="text-right">
+                            {order.remainingAmount > 0
+                              ? formatCurrency(order.remainingAmount, order.currency)
+                              : "—"}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        </TabsContent>
+
+        {/* Measurements */}
+        <TabsContent value="measurements" className="space-y-4">
+          {canManage && (
+            <div className="flex justify-end">
+              <Button onClick={() => setShowProfile(true)}>
+                <Plus className="h-4 w-4 mr-2" />
+                New Measurements
+              </Button>
+            </div>
+          )}
+          {customer.measurementProfiles.length === 0 ? (
+            <Card>
+              <CardContent className="pt-6 text-center py-8 text-muted-foreground">
+                <Ruler className="h-12 w-12 mx-auto mb-3 opacity-50" />
+                <p>No measurements saved</p>
+              </CardContent>
+            </Card>
+          ) : (
+            customer.measurementProfiles.map((profile) => (
+              <Card key={profile.id}>
+                <CardHeader className="flex flex-row items-start justify-between space-y-0">
+                  <div>
+                    <CardTitle className="text-base flex items-center gap-2">
+                      {formatDay(profile.takenAt)}
+                      {profile.id === latestProfile?.id && (
+                        <Badge className="bg-green-100 text-green-800">Latest</Badge>
+                      )}
+                    </CardTitle>
+                    <p className="text-sm text-muted-foreground">
+                      {profile.clientHeight && `${getHeightLabel(profile.clientHeight)} · `}
+                      {profile.orderId ? (
+                        <>
+                          From the order form of{" "}
+                          <Link
+                            to={`/orders/${profile.orderId}`}
+                            className="text-blue-600 hover:underline"
+                          >
+                            {profile.orderNumber}
+                          </Link>
+                        </>
+                      ) : (
+                        "Entered manually"
+                      )}
+                      {profile.createdByName && ` by ${profile.createdByName}`}
+                    </p>
+                    {profile.notes && <p className="text-sm mt-1">{profile.notes}</p>}
+                  </div>
+                  {canManage && (
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      onClick={() => handleDeleteProfile(profile)}
+                      disabled={deleteProfile.isPending}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  )}
+                </CardHeader>
+                <CardContent className="space-y-4">
+                  {profile.categories.map((catId) => {
+                    const category = getMeasurementCategoryById(catId)
+                    if (!category) return null
+                    const values = category.groups
+                      .flatMap((g) => g.measurements)
+                      .filter((m) => profile.measurements[`${catId}_${m.id}`])
+                    return (
+                      <div key={catId}>
+                        <h4 className="text-sm font-medium mb-2">{category.name}</h4>
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-x-4 gap-y-1 text-sm">
+                          {values.map((m) => (
+                            <div key={m.id} className="flex justify-between gap-2">
+                              <span className="text-muted-foreground">{m.label}</span>
+                              <span>{profile.measurements[`${catId}_${m.id}`]} in</span>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    )
+                  })}
+                </CardContent>
+              </Card>
+            ))
+          )}
+        </TabsContent>
+
+        {/* Addresses */}
+        <TabsContent value="addresses" className="space-y-4">
+          {canManage && (
+            <div className="flex justify-end">
+              <Button onClick={() => setAddressDialog({ open: true, address: null })}>
+                <Plus className="h-4 w-4 mr-2" />
+                Add Address
+              </Button>
+            </div>
+          )}
+          {customer.addresses.length === 0 ? (
+            <Card>
+              <CardContent className="pt-6 text-center py-8 text-muted-foreground">
+                <MapPin className="h-12 w-12 mx-auto mb-3 opacity-50" />
+                <p>No saved addresses</p>
+              </CardContent>
+            </Card>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {customer.addresses.map((address) => (
+                <Card key={address.id}>
+                  <CardContent className="pt-6 space-y-3">
+                    <div className="flex items-center gap-2">
+                      <p className="font-medium">{address.label || "Address"}</p>
+                      {address.isDefault && (
+                        <Badge className="bg-blue-100 text-blue-800">Default</Badge>
+                      )}
+                    </div>
+                    <p className="text-sm text-muted-foreground">{formatAddress(address)}</p>
+                    {canManage && (
+                      <div className="flex gap-1">
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => setAddressDialog({ open: true, address })}
+                        >
+                          <Pencil className="h-3.5 w-3.5 mr-1" />
+                          Edit
+                        </Button>
+                        {!address.isDefault && (
+                          <Button
+                            size="sm"
+                            variant="ghost"
+                            onClick={() => handleMakeDefault(address)}
+                            disabled={updateAddress.isPending}
+                          >
+                            <Star className="h-3.5 w-3.5 mr-1" />
+                            Make Default
+                          </Button>
+                        )}
+                        <Button
+                          size="sm"
+                          variant="ghost"
+                          onClick={() => handleDeleteAddress(address)}
+                          disabled={deleteAddress.isPending}
+                        >
+                          <Trash2 className="h-3.5 w-3.5" />
+                        </Button>
+                      </div>
+                    )}
+                  </CardContent>
+                </Card>
+              ))}
+            </div>
+          )}
+        </TabsContent>
+      </Tabs>
+
+      {showEdit && (
+        <CustomerFormDialog
+          key={customer.id}
+          open={showEdit}
+          onOpenChange={setShowEdit}
+          customer={customer}
+        />
+      )}
+      {addressDialog.open && (
+        <AddressFormDialog
+          key={addressDialog.address?.id || "new"}
+          open={addressDialog.open}
+          onOpenChange={(open) => setAddressDialog((prev) => ({ ...prev, open }))}
+          customerId={customer.id}
+          address={addressDialog.address}
+        />
+      )}
+      {showProfile && (
+        <MeasurementProfileDialog
+          key={latestProfile?.id || "new"}
+          open={showProfile}
+          onOpenChange={setShowProfile}
+          customerId={customer.id}
+          baseProfile={latestProfile}
+        />
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,154 @@
+/**
+ * Customers Page
+ * src/features/customers/pages/CustomersPage.jsx
+ *
+ * Customer directory. Lifetime value is shown per currency because orders
+ * are never converted; cancelled orders are left out.
+ */
+
+import { useState } from "react"
+import { Link } from "react-router-dom"
+import { format, parseISO } from "date-fns"
+import { Contact, Loader2, Pencil, Plus, Search } from "lucide-react"
+import { Card, CardContent } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table"
+import { useAuth } from "@/features/auth/hooks/useAuth"
+import { hasPermission } from "@/lib/rbac"
+import { useCustomers } from "@/hooks/useCustomers"
+import { formatCurrency, formatDate } from "@/utils/formatters"
+import CustomerFormDialog from "../components/CustomerFormDialog"
+
+export default function CustomersPage() {
+  const { user } = useAuth()
+  const canManage = hasPermission(user, "orders.create") || hasPermission(user, "orders.edit")
+
+  const [search, setSearch] = useState("")
+  const [dialog, setDialog] = useState({ open: false, customer: null })
+
+  const { data: customers = [], isLoading } = useCustomers(search ? { search } : {})
+
+  const openDialog = (customer = null) => setDialog({ open: true, customer })
+
+  return (
+    <div className="p-4 md:p-6 space-y-6">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold">Customers</h1>
+          <p className="text-muted-foreground">
+            Contact details, saved measurements and order history
+          </p>
+        </div>
+        {canManage && (
+          <Button onClick={() => openDialog()}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add Customer
+          </Button>
+        )}
+      </div>
+
+      <Card>
+        <CardContent className="pt-6 space-y-4">
+          <div className="relative max-w-sm">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-slate-400" />
+            <Input
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search by name, email or phone"
+              className="pl-9"
+            />
+          </div>
+
+          {isLoading ? (
+            <div className="flex items-center justify-center h-32">
+              <Loader2 className="h-6 w-6 animate-spin" />
+            </div>
+          ) : customers.length === 0 ? (
+            <div className="text-center py-8 text-muted-foreground">
+              <Contact className="h-12 w-12 mx-auto mb-3 opacity-50" />
+              <p>No customers found</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Customer</TableHead>
+                    <TableHead>Contact</TableHead>
+                    <TableHead className="text-right">Orders</TableHead>
+                    <TableHead>Last Order</TableHead>
+                    <TableHead className="text-right">Lifetime Value</TableHead>
+                    <TableHead>Measurements</TableHead>
+                    {canManage && <TableHead>Actions</TableHead>}
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {customers.map((customer) => (
+                    <TableRow key={customer.id}>
+                      <TableCell>
+                        <Link
+                          to={`/customers/${customer.id}`}
+                          className="font-medium text-blue-600 hover:underline"
+                        >
+                          {customer.name}
+                        </Link>
+                      </TableCell>
+                      <TableCell className="text-sm">
+                        <p>{customer.email || "—"}</p>
+                        {customer.phone && (
+                          <p className="text-muted-foreground">{customer.phone}</p>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-right">{customer.orderCount}</TableCell>
+                      <TableCell>{formatDate(customer.lastOrderAt)}</TableCell>
+                      <TableCell className="text-right">
+                        {customer.lifetimeValue.length === 0
+                          ? "—"
+                          : customer.lifetimeValue.map((value) => (
+                              <p key={value.currency}>
+                                {formatCurrency(value.total, value.currency)}
+                              </p>
+                            ))}
+                      </TableCell>
+                      <TableCell className="text-sm">
+                        {customer.measurementProfiles.length > 0
+                          ? `Latest ${format(parseISO(customer.measurementProfiles[0].takenAt), "MMM d, yyyy")}`
+                          : "—"}
+                      </TableCell>
+                      {canManage && (
+                        <TableCell>
+                          <Button size="sm" variant="outline" onClick={() => openDialog(customer)}>
+                            <Pencil className="h-3.5 w-3.5 mr-1" />
+                            Edit
+                          </Button>
+                        </TableCell>
+                      )}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {dialog.open && (
+        <CustomerFormDialog
+          key={dialog.customer?.id || "new"}
+          open={dialog.open}
+          onOpenChange={(open) => setDialog((prev) => ({ ...prev, open }))}
+          customer={dialog.customer}
+        />
+      )}
+    </div>
+  )
+}
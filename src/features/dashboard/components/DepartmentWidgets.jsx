@@ -0,0 +1,201 @@
+/**
+ * Department Widgets
+ * src/features/dashboard/components/DepartmentWidgets.jsx
+ *
+ * One widget per department for the home dashboard. Each widget owns its
+ * query, so DashboardPage only mounts (and fetches) the ones the user can see.
+ */
+
+import {
+  Package,
+  ClipboardCheck,
+  Droplets,
+  CheckCircle,
+  ThumbsUp,
+  Truck,
+  AlertTriangle,
+  ShoppingCart,
+} from "lucide-react"
+import { useAuth } from "@/features/auth/hooks/useAuth"
+import { useMyPacketTasks, usePacketCheckQueue } from "@/hooks/usePacket"
+import { useDyeingStats } from "@/hooks/usedyeing"
+import { useQAStats } from "@/hooks/useQA"
+import { useSalesStats } from "@/hooks/useSalesApproval"
+import { useDispatchStats } from "@/hooks/useDispatch"
+import { useLowStockItems } from "@/hooks/useInventory"
+import { useProcurementStats } from "@/hooks/useProcurement"
+import StatWidget from "./StatWidget"
+
+export function MyPacketTasksWidget() {
+  const { user } = useAuth()
+  const { data, isLoading, isError } = useMyPacketTasks(user?.id)
+  const meta = data?.meta || {}
+
+  return (
+    <StatWidget
+      title="My Packet Tasks"
+      icon={Package}
+      iconColor="text-lime-600"
+      iconBgColor="bg-lime-100"
+      href="/packet/my-tasks"
+      isLoading={isLoading}
+      isError={isError}
+      stats={[
+        { label: "To start", value: meta.pending, highlight: true },
+        { label: "In progress", value: meta.inProgress },
+        { label: "Awaiting check", value: meta.completed },
+        { label: "Total assigned", value: meta.total },
+      ]}
+    />
+  )
+}
+
+export function PacketCheckWidget() {
+  const { data, isLoading, isError } = usePacketCheckQueue()
+
+  return (
+    <StatWidget
+      title="Packet Verification"
+      icon={ClipboardCheck}
+      iconColor="text-cyan-600"
+      iconBgColor="bg-cyan-100"
+      href="/packet/check-queue"
+      isLoading={isLoading}
+      isError={isError}
+      stats={[{ label: "Awaiting verification", value: data?.data?.length, highlight: true }]}
+    />
+  )
+}
+
+export function DyeingWidget() {
+  const { user } = useAuth()
+  const { data, isLoading, isError } = useDyeingStats(user?.id)
+
+  return (
+    <StatWidget
+      title="Dyeing"
+      icon={Droplets}
+      iconColor="text-fuchsia-600"
+      iconBgColor="bg-fuchsia-100"
+      href="/dyeing"
+      isLoading={isLoading}
+      isError={isError}
+      stats={[
+        { label: "Available", value: data?.availableCount, highlight: true },
+        { label: "Accepted", value: data?.acceptedCount },
+        { label: "In progress", value: data?.inProgressCount },
+        { label: "Completed today", value: data?.completedTodayCount },
+      ]}
+    />
+  )
+}
+
+export function QAWidget() {
+  const { data, isLoading, isError } = useQAStats()
+
+  return (
+    <StatWidget
+      title="QA"
+      icon={CheckCircle}
+      iconColor="text-teal-600"
+      iconBgColor="bg-teal-100"
+      href="/qa"
+      isLoading={isLoading}
+      isError={isError}
+      stats={[
+        { label: "Pending review", value: data?.pendingReview, highlight: true },
+        { label: "Ready for video", value: data?.readyForVideo },
+        { label: "Ready for sales", value: data?.videoUploaded },
+        { label: "Re-video requests", value: data?.salesRequests, highlight: true },
+      ]}
+    />
+  )
+}
+
+export function SalesWidget() {
+  const { data, isLoading, isError } = useSalesStats()
+
+  return (
+    <StatWidget
+      title="Client Approvals"
+      icon={ThumbsUp}
+      iconColor="text-blue-600"
+      iconBgColor="bg-blue-100"
+      href="/sales/approval"
+      isLoading={isLoading}
+      isError={isError}
+      stats={[
+        { label: "Ready to send", value: data?.readyToSend, highlight: true },
+        { label: "Awaiting client", value: data?.awaitingResponse },
+        { label: "Payment pending", value: data?.paymentPending },
+      ]}
+    />
+  )
+}
+
+export function DispatchWidget() {
+  const { data, isLoading, isError } = useDispatchStats()
+
+  return (
+    <StatWidget
+      title="Dispatch"
+      icon={Truck}
+      iconColor="text-sky-600"
+      iconBgColor="bg-sky-100"
+      href="/dispatch"
+      isLoading={isLoading}
+      isError={isError}
+      stats={[
+        { label: "Ready to ship", value: data?.readyForDispatch, highlight: true },
+        { label: "Dispatched today", value: data?.dispatchedToday },
+        { label: "In transit", value: data?.totalDispatched },
+        { label: "Completed", value: data?.totalCompleted },
+      ]}
+    />
+  )
+}
+
+export function LowStockWidget() {
+  const { data, isLoading, isError } = useLowStockItems()
+
+  return (
+    <StatWidget
+      title="Low Stock"
+      icon={AlertTriangle}
+      iconColor="text-red-600"
+      iconBgColor="bg-red-100"
+      href="/inventory/alerts/low-stock"
+      isLoading={isLoading}
+      isError={isError}
+      stats={[
+        { label: "Below reorder level", value: data?.meta?.total_low_stock_items },
+        {
+          label: "Critical (>50% below)",
+          value: data?.meta?.requires_immediate_attention,
+          highlight: true,
+        },
+      ]}
+    />
+  )
+}
+
+export function ProcurementWidget() {
+  const { data, isLoading, isError } = useProcurementStats()
+  const stats = data?.data || {}
+
+  return (
+    <StatWidget
+      title="Procurement"
+      icon={ShoppingCart}
+      iconColor="text-red-600"
+      iconBgColor="bg-red-100"
+      href="/procurement"
+      isLoading={isLoading}
+      isError={isError}
+      stats={[
+        { label: "Open demands", value: stats.open, highlight: true },
+        { label: "Ordered", value: stats.ordered },
+      ]}
+    />
+  )
+}
@@ -0,0 +1,75 @@
+/**
+ * StatWidget
+ * src/features/dashboard/components/StatWidget.jsx
+ *
+ * Card used by every home dashboard widget: a department title that links
+ * into its page, followed by a row of counters.
+ */
+
+import { Link } from "react-router-dom"
+import { AlertCircle, ArrowRight, Loader2 } from "lucide-react"
+import { Card, CardContent } from "@/components/ui/card"
+
+/**
+ * @param {Object} props
+ * @param {string} props.title - Department / widget name
+ * @param {React.ComponentType} props.icon - lucide icon
+ * @param {string} props.iconColor - Tailwind text color class (matches the sidebar)
+ * @param {string} props.iconBgColor - Tailwind background class (matches the sidebar)
+ * @param {string} props.href - Department page the widget links to
+ * @param {Array<{label: string, value: number, highlight?: boolean}>} props.stats
+ * @param {boolean} [props.isLoading]
+ * @param {boolean} [props.isError]
+ */
+export default function StatWidget({
+  title,
+  icon: Icon,
+  iconColor,
+  iconBgColor,
+  href,
+  stats,
+  isLoading,
+  isError,
+}) {
+  return (
+    <Card className="hover:shadow-md transition-shadow">
+      <CardContent className="p-4">
+        <Link to={href} className="flex items-center justify-between mb-4 group">
+          <div className="flex items-center gap-2">
+            <div className={`p-2 rounded-lg ${iconBgColor}`}>
+              <Icon className={`h-4 w-4 ${iconColor}`} />
+            </div>
+            <span className="font-semibold text-sm text-slate-900">{title}</span>
+          </div>
+          <ArrowRight className="h-4 w-4 text-slate-400 group-hover:text-slate-700" />
+        </Link>
+
+        {isLoading ? (
+          <div className="flex justify-center py-3">
+            <Loader2 className="h-5 w-5 animate-spin text-slate-400" />
+          </div>
+        ) : isError ? (
+          <div className="flex items-center gap-2 text-xs text-red-500 py-3">
+            <AlertCircle className="h-4 w-4" />
+            Failed to load
+          </div>
+        ) : (
+          <div className="grid grid-cols-2 gap-3">
+            {stats.map((stat) => (
+              <div key={stat.label}>
+                <div
+                  className={`text-2xl font-bold ${
+                    stat.highlight && stat.value > 0 ? "text-red-600" : "text-slate-900"
+                  }`}
+                >
+                  {stat.value ?? 0}
+                </div>
+                <div className="text-xs text-slate-500">{stat.label}</div>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
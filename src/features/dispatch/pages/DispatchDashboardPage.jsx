@@ -41,6 +41,7 @@ import {
 } from "lucide-react"
 import { format, formatDistanceToNow, isPast, parseISO } from "date-fns"
 import { useAuth } from "@/features/auth/hooks/useAuth"
+import { WORKFLOW_LEVEL, canTransition } from "@/lib/workflow"
 import {
   useDispatchQueue,
   useDispatched,
@@ -264,14 +265,16 @@ export default function DispatchDashboardPage() {
           </div>
 
           {/* Action */}
-          <Button
-            className="w-full bg-sky-600 hover:bg-sky-700"
-            size="sm"
-            onClick={() => handleOpenDispatchForm(order)}
-          >
-            <Truck className="h-4 w-4 mr-2" />
-            Process Dispatch
-          </Button>
+          {canTransition(WORKFLOW_LEVEL.ORDER, "DISPATCH", order, { user }) && (
+            <Button
+              className="w-full bg-sky-600 hover:bg-sky-700"
+              size="sm"
+              onClick={() => handleOpenDispatchForm(order)}
+            >
+              <Truck className="h-4 w-4 mr-2" />
+              Process Dispatch
+            </Button>
+          )}
         </CardContent>
       </Card>
     )
@@ -340,14 +343,16 @@ export default function DispatchDashboardPage() {
           </div>
 
           {/* Action */}
-          <Button
-            className="w-full bg-green-600 hover:bg-green-700"
-            size="sm"
-            onClick={() => handleOpenCompleteDialog(order)}
-          >
-            <CheckCircle className="h-4 w-4 mr-2" />
-            Mark Completed
-          </Button>
+          {canTransition(WORKFLOW_LEVEL.ORDER, "COMPLETE", order, { user }) && (
+            <Button
+              className="w-full bg-green-600 hover:bg-green-700"
+              size="sm"
+              onClick={() => handleOpenCompleteDialog(order)}
+            >
+              <CheckCircle className="h-4 w-4 mr-2" />
+              Mark Completed
+            </Button>
+          )}
         </CardContent>
       </Card>
     )
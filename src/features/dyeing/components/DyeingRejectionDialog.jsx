@@ -1,6 +1,8 @@
 /**
  * DyeingRejectionDialog.jsx
  * Modal for rejecting sections from dyeing with reason and notes
+ * Shows the material lots of the selected sections, so a color problem can be
+ * traced back to its dye lot
  *
  * File: src/features/dyeing/components/DyeingRejectionDialog.jsx
  */
@@ -22,10 +24,12 @@ import { Alert, AlertDescription } from "@/components/ui/alert"
 import { Checkbox } from "@/components/ui/checkbox"
 import { Loader2, AlertTriangle, XCircle } from "lucide-react"
 import { DYEING_REJECTION_REASONS } from "@/constants/orderConstants"
+import SectionLots from "@/features/inventory/components/SectionLots"
 
 export default function DyeingRejectionDialog({
   open,
   onOpenChange,
+  orderItemId,
   sections = [], // Array of section names to reject
   onConfirm,
   isLoading = false,
@@ -136,6 +140,8 @@ export default function DyeingRejectionDialog({
             </div>
           )}
 
+          {orderItemId && <SectionLots orderItemId={orderItemId} sections={selectedSections} />}
+
           {/* Rejection Reason (Optional) */}
           <div className="space-y-2">
             <Label>Rejection Reason (Optional):</Label>
@@ -20,7 +20,8 @@ import {
 } from "@/components/ui/table"
 import { Collapsible, CollapsibleContent, CollapsibleTrigger } from "@/components/ui/collapsible"
 import { Check, X, Play, ChevronDown, ChevronUp, Package, RefreshCcw } from "lucide-react"
-import { SECTION_STATUS } from "@/constants/orderConstants"
+import { useAuth } from "@/features/auth/hooks/useAuth"
+import { WORKFLOW_LEVEL, canTransition } from "@/lib/workflow"
 import DyeingStatusBadge from "./DyeingStatusBadge"
 
 export default function DyeingSectionCard({
@@ -37,20 +38,18 @@ export default function DyeingSectionCard({
   selectable = false,
   viewMode = "available", // "available" | "my-tasks" | "detail"
 }) {
+  const { user } = useAuth()
   const [isExpanded, setIsExpanded] = useState(true)
 
   const status = sectionData?.status
   const round = sectionData?.dyeingRound || 1
 
-  // Determine which actions are available based on status
-  const canAccept = status === SECTION_STATUS.READY_FOR_DYEING
-  const canReject = [
-    SECTION_STATUS.READY_FOR_DYEING,
-    SECTION_STATUS.DYEING_ACCEPTED,
-    SECTION_STATUS.DYEING_IN_PROGRESS,
-  ].includes(status)
-  const canStart = status === SECTION_STATUS.DYEING_ACCEPTED
-  const canComplete = status === SECTION_STATUS.DYEING_IN_PROGRESS
+  // Determine which actions are available from the workflow table
+  const can = (action) => canTransition(WORKFLOW_LEVEL.SECTION, action, sectionData, { user })
+  const canAccept = can("ACCEPT_DYEING")
+  const canReject = can("REJECT_DYEING")
+  const canStart = can("START_DYEING")
+  const canComplete = can("COMPLETE_DYEING")
 
   // Format section name for display
   const displayName = sectionName.charAt(0).toUpperCase() + sectionName.slice(1)
@@ -281,6 +281,7 @@ export default function DyeingMyTasksPage() {
       <DyeingRejectionDialog
         open={rejectDialog.open}
         onOpenChange={(open) => setRejectDialog({ ...rejectDialog, open })}
+        orderItemId={rejectDialog.task?.orderItemId}
         sections={rejectDialog.sections}
         onConfirm={handleConfirmReject}
         isLoading={rejectMutation.isPending}
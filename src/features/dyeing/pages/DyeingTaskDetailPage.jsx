@@ -485,6 +485,7 @@ export default function DyeingTaskDetailPage() {
       <DyeingRejectionDialog
         open={rejectDialog.open}
         onOpenChange={(open) => setRejectDialog({ ...rejectDialog, open })}
+        orderItemId={orderItemId}
         sections={rejectDialog.sections}
         onConfirm={handleConfirmReject}
         isLoading={rejectMutation.isPending}
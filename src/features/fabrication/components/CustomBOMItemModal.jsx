@@ -27,6 +27,12 @@ import {
   SelectValue,
 } from "@/components/ui/select"
 import { Loader2 } from "lucide-react"
+import {
+  areUnitsCompatible,
+  convertQuantity,
+  getCompatibleUnits,
+  getUnitMismatch,
+} from "@/lib/units"
 
 // Only these inventory categories can be used in BOMs
 const BOM_ALLOWED_CATEGORIES = ["FABRIC", "RAW_MATERIAL", "MULTI_HEAD", "ADDA_MATERIAL"]
@@ -72,19 +78,27 @@ export default function CustomBOMItemModal({
     BOM_ALLOWED_CATEGORIES.includes(item.category)
   )
 
-  // Watch selected inventory item to auto-fill unit
+  // Watch selected inventory item to offer the units it converts to
   const selectedInventoryId = watch("inventory_item_id")
+  const selectedUnit = watch("unit")
+  const watchedQuantity = watch("quantity")
+  const selectedMaterial = bomInventoryItems.find(
+    (item) => item.id.toString() === selectedInventoryId
+  )
+  const stockUnit = selectedMaterial?.unit || "Piece"
 
+  // What the entered quantity comes to in the unit the material is stocked in
+  const stockQuantity =
+    selectedMaterial && selectedUnit !== stockUnit && areUnitsCompatible(selectedUnit, stockUnit)
+      ? convertQuantity(parseFloat(watchedQuantity) || 0, selectedUnit, stockUnit)
+      : null
+
+  // Default to the material's stock unit unless the chosen unit converts to it
   useEffect(() => {
-    if (selectedInventoryId && bomInventoryItems.length > 0) {
-      const selectedItem = bomInventoryItems.find(
-        (item) => item.id.toString() === selectedInventoryId
-      )
-      if (selectedItem) {
-        setValue("unit", selectedItem.unit || "PIECE")
-      }
+    if (selectedMaterial && !areUnitsCompatible(selectedUnit, stockUnit)) {
+      setValue("unit", stockUnit)
     }
-  }, [selectedInventoryId, bomInventoryItems, setValue])
+  }, [selectedMaterial, selectedUnit, stockUnit, setValue])
 
   // Reset form when modal opens/closes or editing item changes
   useEffect(() => {
@@ -217,14 +231,43 @@ export default function CustomBOMItemModal({
 
             <div className="space-y-2">
               <Label htmlFor="unit">Unit</Label>
-              <Input
-                id="unit"
-                placeholder="Auto-filled from material"
-                {...register("unit")}
-                readOnly
-                className="bg-slate-50"
+              <Controller
+                name="unit"
+                control={control}
+                rules={{
+                  validate: (unit) =>
+                    !selectedMaterial ||
+                    areUnitsCompatible(unit, stockUnit) ||
+                    getUnitMismatch(unit, stockUnit),
+                }}
+                render={({ field }) => (
+                  <Select
+                    onValueChange={field.onChange}
+                    value={field.value}
+                    disabled={!selectedMaterial}
+                  >
+                    <SelectTrigger id="unit">
+                      <SelectValue placeholder="Select a material first" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {getCompatibleUnits(stockUnit).map((unit) => (
+                        <SelectItem key={unit} value={unit}>
+                          {unit}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                )}
               />
-              <p className="text-xs text-muted-foreground">Auto-filled from material</p>
+              {errors.unit ? (
+                <p className="text-sm text-red-500">{errors.unit.message}</p>
+              ) : (
+                <p className="text-xs text-muted-foreground">
+                  {stockQuantity !== null
+                    ? `= ${stockQuantity} ${stockUnit} of stock`
+                    : `Stocked in ${selectedMaterial ? stockUnit : "the material's unit"}`}
+                </p>
+              )}
             </div>
           </div>
 
@@ -233,7 +233,9 @@ export default function OrderFormViewFabrication({ order, item }) {
                   >
                     {inc.piece}
                     {inc.price && (
-                      <span className="ml-1 text-green-600">PKR {inc.price.toLocaleString()}</span>
+                      <span className="ml-1 text-green-600">
+                        {order.currency} {inc.price.toLocaleString()}
+                      </span>
                     )}
                   </Badge>
                 ))}
@@ -256,7 +258,7 @@ export default function OrderFormViewFabrication({ order, item }) {
                     {addon.piece}
                     {addon.price && (
                       <span className="ml-1 text-amber-600">
-                        +PKR {addon.price.toLocaleString()}
+                        +{order.currency} {addon.price.toLocaleString()}
                       </span>
                     )}
                   </Badge>
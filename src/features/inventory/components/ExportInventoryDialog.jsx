@@ -0,0 +1,198 @@
+import { useState } from "react"
+import { format, startOfMonth } from "date-fns"
+import { toast } from "sonner"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Separator } from "@/components/ui/separator"
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select"
+import { Download, Loader2 } from "lucide-react"
+import {
+  INVENTORY_ITEM_COLUMNS,
+  STOCK_MOVEMENT_COLUMNS,
+  toInventoryItemRows,
+  toMovementLedgerRows,
+} from "@/lib/inventorySheets"
+import { SPREADSHEET_FORMAT, downloadSpreadsheet } from "@/lib/spreadsheet"
+import { useFetchMovementLedger } from "@/hooks/useInventory"
+
+const today = () => format(new Date(), "yyyy-MM-dd")
+
+/**
+ * Export Inventory Dialog
+ *
+ * Downloads the item list as it is filtered on the list page (in the import
+ * layout, so it can be edited and imported back) or the movement ledger of
+ * all items for a date range, as CSV or Excel.
+ *
+ * @param {Object[]} items - Items currently listed
+ * @param {string} [category] - Category filter of the list, also applied to the ledger
+ */
+export function ExportInventoryDialog({ open, onOpenChange, items, category }) {
+  const fetchLedger = useFetchMovementLedger()
+
+  const [fileFormat, setFileFormat] = useState(SPREADSHEET_FORMAT.CSV)
+  const [from, setFrom] = useState(() => format(startOfMonth(new Date()), "yyyy-MM-dd"))
+  const [to, setTo] = useState(today)
+  const [isExporting, setIsExporting] = useState(null)
+
+  const handleExportItems = async () => {
+    setIsExporting("items")
+    try {
+      await downloadSpreadsheet({
+        fileName: `inventory-${today()}`,
+        columns: INVENTORY_ITEM_COLUMNS,
+        rows: toInventoryItemRows(items),
+        format: fileFormat,
+        sheetName: "Items",
+      })
+    } catch (error) {
+      toast.error(error.message || "Export failed")
+    } finally {
+      setIsExporting(null)
+    }
+  }
+
+  const handleExportLedger = async () => {
+    setIsExporting("ledger")
+    try {
+      const movements = await fetchLedger({ from, to, ...(category && { category }) })
+      if (movements.length === 0) {
+        toast.info("No stock movements in that period")
+        return
+      }
+      await downloadSpreadsheet({
+        fileName: `stock-ledger-${from}-to-${to}`,
+        columns: STOCK_MOVEMENT_COLUMNS,
+        rows: toMovementLedgerRows(movements),
+        format: fileFormat,
+        sheetName: "Ledger",
+      })
+    } catch (error) {
+      toast.error(error.message || "Export failed")
+    } finally {
+      setIsExporting(null)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Export Inventory</DialogTitle>
+          <DialogDescription>
+            Download items or stock movements for a spreadsheet or your accountant
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4 py-2">
+          <div className="space-y-2">
+            <Label>File format</Label>
+            <Select value={fileFormat} onValueChange={setFileFormat}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={SPREADSHEET_FORMAT.CSV}>CSV</SelectItem>
+                <SelectItem value={SPREADSHEET_FORMAT.XLSX}>Excel (.xlsx)</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+
+          <Separator />
+
+          <div className="flex items-center justify-between gap-3">
+            <div>
+              <p className="font-medium text-sm">Item list</p>
+              <p className="text-xs text-muted-foreground">
+                The {items.length} item{items.length === 1 ? "" : "s"} listed with the current
+                filters
+              </p>
+            </div>
+            <Button
+              variant="outline"
+              onClick={handleExportItems}
+              disabled={!!isExporting || items.length === 0}
+            >
+              {isExporting === "items" ? (
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              ) : (
+                <Download className="h-4 w-4 mr-2" />
+              )}
+              Items
+            </Button>
+          </div>
+
+          <Separator />
+
+          <div className="space-y-3">
+            <div>
+              <p className="font-medium text-sm">Movement ledger</p>
+              <p className="text-xs text-muted-foreground">
+                Every stock movement{category ? ` in ${category.replace("_", " ")}` : ""} in the
+                period, with its value at unit cost
+              </p>
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <div className="space-y-1">
+                <Label htmlFor="ledger-from" className="text-xs">
+                  From
+                </Label>
+                <Input
+                  id="ledger-from"
+                  type="date"
+                  value={from}
+                  max={to}
+                  onChange={(e) => setFrom(e.target.value)}
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="ledger-to" className="text-xs">
+                  To
+                </Label>
+                <Input
+                  id="ledger-to"
+                  type="date"
+                  value={to}
+                  min={from}
+                  onChange={(e) => setTo(e.target.value)}
+                />
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Close
+          </Button>
+          <Button
+            onClick={handleExportLedger}
+            disabled={!!isExporting || !from || !to || from > to}
+          >
+            {isExporting === "ledger" ? (
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <Download className="h-4 w-4 mr-2" />
+            )}
+            Export Ledger
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
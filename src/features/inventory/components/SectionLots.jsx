@@ -0,0 +1,69 @@
+import { Link } from "react-router-dom"
+import { Layers } from "lucide-react"
+import { Badge } from "@/components/ui/badge"
+import { useOrderItemLots } from "@/hooks/usePacket"
+import { useAuth } from "@/features/auth/hooks/useAuth"
+
+/**
+ * Section Lots
+ *
+ * Lists the dye lots / batches the picked material of an order item's sections
+ * came from, for the dyeing and QA rejection screens. Each lot links to its
+ * trace for users who can see inventory. Renders nothing when no lot was recorded.
+ *
+ * @param {string} orderItemId
+ * @param {string[]} [sections] - Sections to show, all when omitted
+ */
+export default function SectionLots({ orderItemId, sections }) {
+  const { hasPermission } = useAuth()
+  const { data: sectionLots = [] } = useOrderItemLots(orderItemId)
+
+  const wanted = sections?.map((section) => section.toLowerCase())
+  const shown = sectionLots.filter(
+    (entry) => !wanted || wanted.includes(entry.section.toLowerCase())
+  )
+  if (shown.length === 0) return null
+
+  const canTrace = hasPermission("inventory.view")
+
+  return (
+    <div className="rounded-lg border p-3 space-y-2">
+      <p className="text-sm font-medium flex items-center gap-1">
+        <Layers className="h-4 w-4" />
+        Material lots
+      </p>
+      {shown.map((entry) => (
+        <div key={entry.section} className="space-y-1">
+          {shown.length > 1 && (
+            <p className="text-xs text-muted-foreground capitalize">{entry.section}</p>
+          )}
+          {entry.materials.map((material) => (
+            <div
+              key={material.inventoryItemId}
+              className="flex flex-wrap items-center gap-1 text-sm"
+            >
+              <span>{material.inventoryItemName}</span>
+              {material.lots.map((lot) =>
+                canTrace ? (
+                  <Link
+                    key={lot.lotNumber}
+                    to={`/inventory/${material.inventoryItemId}/lots/${encodeURIComponent(lot.lotNumber)}`}
+                    target="_blank"
+                  >
+                    <Badge variant="outline" className="font-mono hover:bg-muted">
+                      {lot.lotNumber} · {lot.quantity} {material.unit}
+                    </Badge>
+                  </Link>
+                ) : (
+                  <Badge key={lot.lotNumber} variant="outline" className="font-mono">
+                    {lot.lotNumber} · {lot.quantity} {material.unit}
+                  </Badge>
+                )
+              )}
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  )
+}
@@ -22,6 +22,7 @@ import {
 import { Alert, AlertDescription } from "@/components/ui/alert"
 import { Loader2, Package, CheckCircle, AlertCircle } from "lucide-react"
 import { useToast } from "@/hooks/use-toast"
+import { INVENTORY_LOCATION, INVENTORY_LOCATION_CONFIG } from "@/constants/orderConstants"
 
 /**
  * Stock-In Modal Component
@@ -52,6 +53,9 @@ export function StockInModal({ item, open, onClose }) {
   // Form state - these track user input as they fill out the form
   const [quantity, setQuantity] = useState("")
   const [selectedVariantId, setSelectedVariantId] = useState("")
+  const [location, setLocation] = useState(INVENTORY_LOCATION.MAIN_STORE)
+  const [unitCost, setUnitCost] = useState("")
+  const [lotNumber, setLotNumber] = useState("")
   const [referenceNumber, setReferenceNumber] = useState("")
   const [notes, setNotes] = useState("")
 
@@ -94,6 +98,16 @@ export function StockInModal({ item, open, onClose }) {
     // For variant items, include which variant is being updated
     if (item.has_variants && selectedVariantId) {
       stockData.variant_id = parseInt(selectedVariantId)
+    } else {
+      // Simple items are received at a location, ready stock always goes to the main store
+      stockData.location = location
+      // A blank price keeps the weighted average cost where it is
+      if (parseFloat(unitCost) > 0) {
+        stockData.unit_cost = parseFloat(unitCost)
+      }
+      if (lotNumber.trim()) {
+        stockData.lot_number = lotNumber.trim()
+      }
     }
 
     // Call the mutation with success and error handlers
@@ -104,7 +118,9 @@ export function StockInModal({ item, open, onClose }) {
           // Show success toast notification
           toast({
             title: "Stock-In Recorded",
-            description: `Successfully added ${qty} ${item.unit}${qty !== 1 ? "s" : ""} to inventory`,
+            description:
+              result?.message ||
+              `Successfully added ${qty} ${item.unit}${qty !== 1 ? "s" : ""} to inventory`,
           })
 
           // Close the modal - the parent component (detail page) will automatically
@@ -134,6 +150,9 @@ export function StockInModal({ item, open, onClose }) {
     if (!recordStockIn.isPending) {
       setQuantity("")
       setSelectedVariantId("")
+      setLocation(INVENTORY_LOCATION.MAIN_STORE)
+      setUnitCost("")
+      setLotNumber("")
       setReferenceNumber("")
       setNotes("")
       setValidationError("")
@@ -199,6 +218,25 @@ export function StockInModal({ item, open, onClose }) {
             </div>
           )}
 
+          {/* Location Selector */}
+          {!item.has_variants && (
+            <div className="space-y-2">
+              <Label htmlFor="location">Receive Into</Label>
+              <Select value={location} onValueChange={setLocation}>
+                <SelectTrigger id="location">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(INVENTORY_LOCATION_CONFIG).map(([value, config]) => (
+                    <SelectItem key={value} value={value}>
+                      {config.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
           {/* Current Stock Display */}
           <div className="rounded-lg bg-muted p-3 text-sm">
             <div className="flex justify-between items-center mb-1">
@@ -245,6 +283,44 @@ export function StockInModal({ item, open, onClose }) {
             </p>
           </div>
 
+          {/* Unit Cost Input - feeds the weighted average cost of materials */}
+          {!item.has_variants && (
+            <div className="space-y-2">
+              <Label htmlFor="unit-cost">Price Paid per {item.unit} (Optional)</Label>
+              <Input
+                id="unit-cost"
+                type="number"
+                step="0.01"
+                min="0"
+                placeholder={`Average cost: PKR ${(item.unit_cost ?? item.unit_price ?? 0).toLocaleString()}`}
+                value={unitCost}
+                onChange={(e) => setUnitCost(e.target.value)}
+                disabled={recordStockIn.isPending}
+              />
+              <p className="text-xs text-muted-foreground">
+                Updates the weighted average cost used for valuation and order costing
+              </p>
+            </div>
+          )}
+
+          {/* Lot Number Input - lets a bad dye lot be traced to the orders it went into */}
+          {!item.has_variants && (
+            <div className="space-y-2">
+              <Label htmlFor="lot-number">Lot / Batch Number (Optional)</Label>
+              <Input
+                id="lot-number"
+                type="text"
+                placeholder="Dye lot or batch printed on the roll"
+                value={lotNumber}
+                onChange={(e) => setLotNumber(e.target.value)}
+                disabled={recordStockIn.isPending}
+              />
+              <p className="text-xs text-muted-foreground">
+                Receiving more of an existing lot adds to it
+              </p>
+            </div>
+          )}
+
           {/* Reference Number Input */}
           <div className="space-y-2">
             <Label htmlFor="reference">Reference Number (Optional)</Label>
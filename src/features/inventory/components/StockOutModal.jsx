@@ -22,6 +22,10 @@ import {
 import { Alert, AlertDescription } from "@/components/ui/alert"
 import { Loader2, TrendingDown, CheckCircle, AlertCircle } from "lucide-react"
 import { useToast } from "@/hooks/use-toast"
+import { INVENTORY_LOCATION, INVENTORY_LOCATION_CONFIG } from "@/constants/orderConstants"
+
+// Select value for leaving the lot to the backend (unlotted stock, then oldest lot)
+const OLDEST_LOT_FIRST = "oldest"
 
 /**
  * Stock-Out Modal Component
@@ -42,21 +46,33 @@ export function StockOutModal({ item, open, onClose }) {
   // Form state
   const [quantity, setQuantity] = useState("")
   const [selectedVariantId, setSelectedVariantId] = useState("")
+  const [location, setLocation] = useState(INVENTORY_LOCATION.MAIN_STORE)
+  const [lotNumber, setLotNumber] = useState(OLDEST_LOT_FIRST)
   const [referenceNumber, setReferenceNumber] = useState("")
   const [notes, setNotes] = useState("")
 
   // Validation state
   const [validationError, setValidationError] = useState("")
 
+  const openLots = (item.stock_lots || []).filter((lot) => lot.quantity > 0)
+  const selectedLot = openLots.find((lot) => lot.lot_number === lotNumber)
+
+  const locationStock =
+    item.locations?.find((entry) => entry.location === location)?.quantity ??
+    (item.remaining_stock || 0)
+
   /**
    * Get current stock for selected variant or simple item
+   * Stock reserved for orders cannot be deducted, so simple items use available stock,
+   * capped by what is physically held at the chosen location
    */
   const getCurrentStock = () => {
     if (item.has_variants && selectedVariantId) {
       const variant = item.variants.find((v) => v.variant_id === parseInt(selectedVariantId))
       return variant ? variant.remaining_stock : 0
     }
-    return item.remaining_stock || 0
+    const available = Math.min(item.available_stock ?? (item.remaining_stock || 0), locationStock)
+    return selectedLot ? Math.min(available, selectedLot.quantity) : available
   }
 
   /**
@@ -73,7 +89,10 @@ export function StockOutModal({ item, open, onClose }) {
   const currentStock = getCurrentStock()
   const reorderLevel = getReorderLevel()
   const requestedQuantity = parseFloat(quantity) || 0
-  const stockAfterDeduction = currentStock - requestedQuantity
+  const stockBeforeDeduction = item.has_variants
+    ? currentStock
+    : (item.available_stock ?? (item.remaining_stock || 0))
+  const stockAfterDeduction = stockBeforeDeduction - requestedQuantity
   const willBeLowStock = stockAfterDeduction < reorderLevel && stockAfterDeduction >= 0
 
   /**
@@ -111,6 +130,11 @@ export function StockOutModal({ item, open, onClose }) {
 
     if (item.has_variants && selectedVariantId) {
       stockData.variant_id = parseInt(selectedVariantId)
+    } else {
+      stockData.location = location
+      if (selectedLot) {
+        stockData.lot_number = selectedLot.lot_number
+      }
     }
 
     // Submit mutation
@@ -142,6 +166,8 @@ export function StockOutModal({ item, open, onClose }) {
     if (!recordStockOut.isPending) {
       setQuantity("")
       setSelectedVariantId("")
+      setLocation(INVENTORY_LOCATION.MAIN_STORE)
+      setLotNumber(OLDEST_LOT_FIRST)
       setReferenceNumber("")
       setNotes("")
       setValidationError("")
@@ -200,6 +226,47 @@ export function StockOutModal({ item, open, onClose }) {
             </div>
           )}
 
+          {/* Location Selector - ready stock is only held in the main store */}
+          {!item.has_variants && (
+            <div className="space-y-2">
+              <Label htmlFor="location">Take From</Label>
+              <Select value={location} onValueChange={setLocation}>
+                <SelectTrigger id="location">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(INVENTORY_LOCATION_CONFIG).map(([value, config]) => (
+                    <SelectItem key={value} value={value}>
+                      {config.label} -{" "}
+                      {item.locations?.find((entry) => entry.location === value)?.quantity || 0}{" "}
+                      {item.unit}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
+          {/* Lot Selector - which dye lot / batch the material is cut from */}
+          {!item.has_variants && openLots.length > 0 && (
+            <div className="space-y-2">
+              <Label htmlFor="lot">Lot / Batch</Label>
+              <Select value={lotNumber} onValueChange={setLotNumber}>
+                <SelectTrigger id="lot">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={OLDEST_LOT_FIRST}>Oldest stock first</SelectItem>
+                  {openLots.map((lot) => (
+                    <SelectItem key={lot.lot_number} value={lot.lot_number}>
+                      {lot.lot_number} - {lot.quantity} {item.unit}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
           {/* Current Stock Display */}
           <div className="rounded-lg bg-muted p-3 text-sm">
             <div className="flex justify-between items-center mb-1">
@@ -209,9 +276,15 @@ export function StockOutModal({ item, open, onClose }) {
                   ? `${selectedVariant.remaining_stock} ${item.unit}`
                   : item.has_variants
                     ? "Select a size first"
-                    : `${item.remaining_stock} ${item.unit}`}
+                    : `${currentStock} ${item.unit}`}
               </span>
             </div>
+            {!item.has_variants && item.reserved_stock > 0 && (
+              <p className="text-xs text-muted-foreground">
+                {item.reserved_stock} {item.unit} of {item.remaining_stock} on hand is reserved for
+                orders
+              </p>
+            )}
             {currentStock > 0 && currentStock < reorderLevel && (
               <div className="flex items-center gap-1 text-xs text-orange-600 mt-1">
                 <AlertCircle className="h-3 w-3" />
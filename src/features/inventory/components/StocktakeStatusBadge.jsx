@@ -0,0 +1,7 @@
+import { Badge } from "@/components/ui/badge"
+import { STOCKTAKE_STATUS_CONFIG } from "@/constants/orderConstants"
+
+export default function StocktakeStatusBadge({ status }) {
+  const config = STOCKTAKE_STATUS_CONFIG[status] || { label: status, color: "" }
+  return <Badge className={config.color}>{config.label}</Badge>
+}
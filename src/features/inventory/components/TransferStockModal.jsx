@@ -0,0 +1,265 @@
+import { useState } from "react"
+import { useTransferStock } from "@/hooks/useInventory"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { Loader2, ArrowRightLeft, AlertCircle } from "lucide-react"
+import { useToast } from "@/hooks/use-toast"
+import { INVENTORY_LOCATION, INVENTORY_LOCATION_CONFIG } from "@/constants/orderConstants"
+
+/**
+ * Transfer Stock Modal Component
+ *
+ * Moves a simple item's stock between the main store, the dyeing unit and the
+ * stitching floor. The item's total stock does not change, so there is no
+ * reorder warning here, only a check that the source location holds enough.
+ */
+export function TransferStockModal({ item, open, onClose }) {
+  const { toast } = useToast()
+  const transferStock = useTransferStock()
+
+  // Form state
+  const [fromLocation, setFromLocation] = useState(INVENTORY_LOCATION.MAIN_STORE)
+  const [toLocation, setToLocation] = useState(INVENTORY_LOCATION.DYEING_UNIT)
+  const [quantity, setQuantity] = useState("")
+  const [toRackLocation, setToRackLocation] = useState("")
+  const [referenceNumber, setReferenceNumber] = useState("")
+  const [notes, setNotes] = useState("")
+
+  // Validation state
+  const [validationError, setValidationError] = useState("")
+
+  const getLocationStock = (location) =>
+    item.locations?.find((entry) => entry.location === location)?.quantity || 0
+
+  const sourceStock = getLocationStock(fromLocation)
+
+  /**
+   * Handle form submission
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    setValidationError("")
+
+    const qty = parseFloat(quantity)
+    if (isNaN(qty) || qty <= 0) {
+      setValidationError("Please enter a valid quantity greater than zero")
+      return
+    }
+
+    if (fromLocation === toLocation) {
+      setValidationError("Choose two different locations")
+      return
+    }
+
+    if (qty > sourceStock) {
+      setValidationError(
+        `Only ${sourceStock} ${item.unit} held at ${INVENTORY_LOCATION_CONFIG[fromLocation].label}`
+      )
+      return
+    }
+
+    transferStock.mutate(
+      {
+        itemId: item.id,
+        transferData: {
+          from_location: fromLocation,
+          to_location: toLocation,
+          quantity: qty,
+          to_rack_location: toRackLocation.trim() || undefined,
+          reference_number: referenceNumber.trim() || undefined,
+          notes: notes.trim() || undefined,
+        },
+      },
+      {
+        onSuccess: (result) => {
+          toast({
+            title: "Stock Transferred",
+            description: result.message,
+          })
+          onClose()
+        },
+        onError: (error) => {
+          toast({
+            title: "Transfer Failed",
+            description: error.message || "Failed to transfer stock",
+            variant: "destructive",
+          })
+        },
+      }
+    )
+  }
+
+  /**
+   * Handle modal close
+   */
+  const handleClose = () => {
+    if (!transferStock.isPending) {
+      setValidationError("")
+      onClose()
+    }
+  }
+
+  const renderLocationOptions = () =>
+    Object.entries(INVENTORY_LOCATION_CONFIG).map(([value, config]) => (
+      <SelectItem key={value} value={value}>
+        {config.label} - {getLocationStock(value)} {item.unit}
+      </SelectItem>
+    ))
+
+  return (
+    <Dialog open={open} onOpenChange={handleClose}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <ArrowRightLeft className="h-5 w-5 text-blue-600" />
+            Transfer Stock
+          </DialogTitle>
+          <DialogDescription>
+            Move <strong>{item.name}</strong> between locations
+          </DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit} className="space-y-4 py-4">
+          {/* Validation Error */}
+          {validationError && (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{validationError}</AlertDescription>
+            </Alert>
+          )}
+
+          {/* Locations */}
+          <div className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="from-location">From</Label>
+              <Select value={fromLocation} onValueChange={setFromLocation}>
+                <SelectTrigger id="from-location">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>{renderLocationOptions()}</SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="to-location">To</Label>
+              <Select value={toLocation} onValueChange={setToLocation}>
+                <SelectTrigger id="to-location">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>{renderLocationOptions()}</SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          {/* Quantity Input */}
+          <div className="space-y-2">
+            <Label htmlFor="transfer-quantity">
+              Quantity <span className="text-destructive">*</span>
+            </Label>
+            <div className="relative">
+              <Input
+                id="transfer-quantity"
+                type="number"
+                step="0.01"
+                min="0.01"
+                max={sourceStock}
+                placeholder={`Max: ${sourceStock}`}
+                value={quantity}
+                onChange={(e) => setQuantity(e.target.value)}
+                disabled={transferStock.isPending || sourceStock === 0}
+                className="pr-16"
+              />
+              <span className="absolute right-3 top-1/2 -translate-y-1/2 text-sm text-muted-foreground">
+                {item.unit}
+              </span>
+            </div>
+          </div>
+
+          {/* Destination Rack */}
+          <div className="space-y-2">
+            <Label htmlFor="to-rack">Destination Rack (Optional)</Label>
+            <Input
+              id="to-rack"
+              placeholder="e.g., DU-1"
+              value={toRackLocation}
+              onChange={(e) => setToRackLocation(e.target.value)}
+              disabled={transferStock.isPending}
+            />
+            <p className="text-xs text-muted-foreground">
+              Used when this item has no rack at the destination yet
+            </p>
+          </div>
+
+          {/* Reference Number */}
+          <div className="space-y-2">
+            <Label htmlFor="transfer-reference">Reference Number (Optional)</Label>
+            <Input
+              id="transfer-reference"
+              placeholder="Transfer slip number"
+              value={referenceNumber}
+              onChange={(e) => setReferenceNumber(e.target.value)}
+              disabled={transferStock.isPending}
+            />
+          </div>
+
+          {/* Notes */}
+          <div className="space-y-2">
+            <Label htmlFor="transfer-notes">Notes (Optional)</Label>
+            <Textarea
+              id="transfer-notes"
+              rows={2}
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              disabled={transferStock.isPending}
+            />
+          </div>
+        </form>
+
+        <DialogFooter>
+          <Button
+            type="button"
+            variant="outline"
+            onClick={handleClose}
+            disabled={transferStock.isPending}
+          >
+            Cancel
+          </Button>
+          <Button
+            type="submit"
+            onClick={handleSubmit}
+            disabled={transferStock.isPending || sourceStock === 0}
+          >
+            {transferStock.isPending ? (
+              <>
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                Transferring...
+              </>
+            ) : (
+              <>
+                <ArrowRightLeft className="h-4 w-4 mr-2" />
+                Transfer
+              </>
+            )}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
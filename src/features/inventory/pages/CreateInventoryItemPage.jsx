@@ -17,6 +17,7 @@ import {
 import { Alert, AlertDescription } from "@/components/ui/alert"
 import { ArrowLeft, Plus, Trash2, Loader2, AlertCircle, Package } from "lucide-react"
 import { useToast } from "@/hooks/use-toast"
+import VendorSelect from "@/features/procurement/components/VendorSelect"
 
 /**
  * Create Inventory Item Page
@@ -68,6 +69,7 @@ export default function CreateInventoryItemPage() {
       remaining_stock: "",
       reorder_level: "",
       reorder_amount: "",
+      vendor_id: "",
       vendor_name: "",
       vendor_contact: "",
       rack_location: "",
@@ -97,6 +99,16 @@ export default function CreateInventoryItemPage() {
     setValue("category", value)
   }
 
+  /**
+   * Handle vendor change
+   * Copies the vendor's name and phone into the item's vendor fields
+   */
+  const handleVendorChange = (vendor) => {
+    setValue("vendor_id", vendor?.id || "")
+    setValue("vendor_name", vendor?.name || "")
+    setValue("vendor_contact", vendor?.phone || "")
+  }
+
   /**
    * Form submission handler
    * Transforms form data into the format expected by the API,
@@ -110,6 +122,7 @@ export default function CreateInventoryItemPage() {
       category: data.category,
       description: data.description.trim(),
       unit: data.unit.trim(),
+      vendor_id: data.vendor_id || null,
       vendor_name: data.vendor_name.trim(),
       vendor_contact: data.vendor_contact.trim(),
       rack_location: data.rack_location.trim(),
@@ -564,15 +577,18 @@ export default function CreateInventoryItemPage() {
               <CardDescription>Supplier information and storage location</CardDescription>
             </CardHeader>
             <CardContent className="space-y-4">
-              {/* Vendor Name */}
+              {/* Vendor */}
               <div className="space-y-2">
-                <Label htmlFor="vendor_name">Vendor Name</Label>
-                <Input
-                  id="vendor_name"
-                  placeholder="e.g., Silk House Karachi, ADA Materials Bazaar"
-                  {...register("vendor_name")}
+                <Label htmlFor="vendor_id">Vendor</Label>
+                <VendorSelect
+                  id="vendor_id"
+                  value={watch("vendor_id")}
+                  onChange={handleVendorChange}
                   disabled={createItem.isPending}
                 />
+                <p className="text-xs text-muted-foreground">
+                  Purchase orders for this item are suggested to this vendor
+                </p>
               </div>
 
               {/* Vendor Contact */}
@@ -582,6 +598,7 @@ export default function CreateInventoryItemPage() {
                   id="vendor_contact"
                   placeholder="e.g., +92-300-1234567"
                   {...register("vendor_contact")}
+                  readOnly={!!watch("vendor_id")}
                   disabled={createItem.isPending}
                 />
               </div>
@@ -17,6 +17,7 @@ import {
 import { Alert, AlertDescription } from "@/components/ui/alert"
 import { ArrowLeft, Save, Trash2, Loader2, AlertCircle, Package } from "lucide-react"
 import { useToast } from "@/hooks/use-toast"
+import VendorSelect from "@/features/procurement/components/VendorSelect"
 
 /**
  * Edit Inventory Item Page
@@ -50,6 +51,7 @@ export default function EditInventoryItemPage() {
     control,
     watch,
     reset,
+    setValue,
     formState: { errors },
   } = useForm({
     defaultValues: {
@@ -63,6 +65,7 @@ export default function EditInventoryItemPage() {
       remaining_stock: "",
       reorder_level: "",
       reorder_amount: "",
+      vendor_id: "",
       vendor_name: "",
       vendor_contact: "",
       rack_location: "",
@@ -100,6 +103,7 @@ export default function EditInventoryItemPage() {
         remaining_stock: item.remaining_stock || "",
         reorder_level: item.reorder_level || "",
         reorder_amount: item.reorder_amount || "",
+        vendor_id: item.vendor_id || "",
         vendor_name: item.vendor_name || "",
         vendor_contact: item.vendor_contact || "",
         rack_location: item.rack_location || "",
@@ -120,6 +124,16 @@ export default function EditInventoryItemPage() {
     }
   }, [item, formInitialized, reset, replace])
 
+  /**
+   * Handle vendor change
+   * Copies the vendor's name and phone into the item's vendor fields
+   */
+  const handleVendorChange = (vendor) => {
+    setValue("vendor_id", vendor?.id || "")
+    setValue("vendor_name", vendor?.name || "")
+    setValue("vendor_contact", vendor?.phone || "")
+  }
+
   /**
    * Form submission handler
    * Builds the update payload and submits to the API
@@ -131,6 +145,7 @@ export default function EditInventoryItemPage() {
       sku: data.sku.trim().toUpperCase(),
       description: data.description.trim(),
       unit: data.unit.trim(),
+      vendor_id: data.vendor_id || null,
       vendor_name: data.vendor_name.trim(),
       vendor_contact: data.vendor_contact.trim(),
       rack_location: data.rack_location.trim(),
@@ -559,12 +574,18 @@ export default function EditInventoryItemPage() {
           </CardHeader>
           <CardContent className="space-y-4">
             <div className="space-y-2">
-              <Label htmlFor="vendor_name">Vendor Name</Label>
-              <Input
-                id="vendor_name"
-                {...register("vendor_name")}
+              <Label htmlFor="vendor_id">Vendor</Label>
+              <VendorSelect
+                id="vendor_id"
+                value={watch("vendor_id")}
+                onChange={handleVendorChange}
                 disabled={updateItem.isPending}
               />
+              {!watch("vendor_id") && watch("vendor_name") && (
+                <p className="text-xs text-muted-foreground">
+                  Currently recorded as &quot;{watch("vendor_name")}&quot;
+                </p>
+              )}
             </div>
 
             <div className="space-y-2">
@@ -572,8 +593,14 @@ export default function EditInventoryItemPage() {
               <Input
                 id="vendor_contact"
                 {...register("vendor_contact")}
+                readOnly={!!watch("vendor_id")}
                 disabled={updateItem.isPending}
               />
+              {watch("vendor_id") && (
+                <p className="text-xs text-muted-foreground">
+                  Taken from the vendor record; edit it under Procurement → Vendors
+                </p>
+              )}
             </div>
 
             <div className="space-y-2">
@@ -1,6 +1,7 @@
 import { useState } from "react"
-import { useParams, useNavigate } from "react-router-dom"
-import { useInventoryItem, useStockMovements } from "@/hooks/useInventory"
+import { useParams, useNavigate, Link } from "react-router-dom"
+import { useInventoryItem, useStockMovements, useItemReservations } from "@/hooks/useInventory"
+import { useStocktakes } from "@/hooks/useStocktakes"
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
 import { Badge } from "@/components/ui/badge"
@@ -24,9 +25,30 @@ import {
   TrendingUp,
   Clock,
   TrendingDown,
+  Lock,
+  ArrowRightLeft,
+  MapPin,
+  QrCode,
+  ClipboardList,
+  Layers,
 } from "lucide-react"
+import { INVENTORY_LOCATION_CONFIG } from "@/constants/orderConstants"
+import { getInventoryLabels } from "@/lib/labels"
+import PrintLabelsDialog from "@/components/labels/PrintLabelsDialog"
 import { StockInModal } from "../components/StockInModal"
 import { StockOutModal } from "../components/StockOutModal"
+import { TransferStockModal } from "../components/TransferStockModal"
+import StocktakeStatusBadge from "../components/StocktakeStatusBadge"
+
+const getLocationLabel = (location) => INVENTORY_LOCATION_CONFIG[location]?.label || location
+
+// Stock-in adds and transfers move stock; adjustments carry their own sign
+const getQuantitySign = (movement) => {
+  if (movement.movement_type === "STOCK_IN") return "+"
+  if (movement.movement_type === "TRANSFER") return ""
+  if (movement.movement_type === "ADJUSTMENT") return movement.quantity > 0 ? "+" : ""
+  return "-"
+}
 
 /**
  * Inventory Detail Page
@@ -42,6 +64,8 @@ export default function InventoryDetailPage() {
   // Local state for UI controls
   const [showStockInModal, setShowStockInModal] = useState(false)
   const [showStockOutModal, setShowStockOutModal] = useState(false)
+  const [showTransferModal, setShowTransferModal] = useState(false)
+  const [showLabels, setShowLabels] = useState(false)
   const [activeTab, setActiveTab] = useState("overview")
 
   // Fetch the inventory item with isFetching state for background refetch indicator
@@ -60,6 +84,16 @@ export default function InventoryDetailPage() {
     isFetching: movementsFetching,
   } = useStockMovements(parseInt(id))
 
+  // Fetch the order item sections currently holding stock of this item
+  const { data: reservationsData, isLoading: reservationsLoading } = useItemReservations(
+    parseInt(id)
+  )
+
+  // Count sessions this item was on, the audit trail behind its adjustments
+  const { data: stocktakes = [], isLoading: stocktakesLoading } = useStocktakes({
+    inventoryItemId: parseInt(id),
+  })
+
   /**
    * Loading State
    * We show a loading spinner while the initial item data loads
@@ -117,6 +151,9 @@ export default function InventoryDetailPage() {
     ? item.variants.filter((v) => v.remaining_stock < v.reorder_level)
     : []
 
+  // Only simple items (fabrics, materials) are reserved by inventory checks
+  const reservations = reservationsData?.data.reservations || []
+
   /**
    * Main render with tabbed interface and refetch indicators
    * Overview tab shows basic info and stock levels
@@ -168,10 +205,20 @@ export default function InventoryDetailPage() {
 
           {/* Action Buttons */}
           <div className="flex gap-2">
+            <Button variant="outline" onClick={() => setShowLabels(true)}>
+              <QrCode className="h-4 w-4 mr-2" />
+              Labels
+            </Button>
             <Button variant="outline" onClick={() => navigate(`/inventory/${id}/edit`)}>
               <Edit className="h-4 w-4 mr-2" />
               Edit
             </Button>
+            {!item.has_variants && (
+              <Button variant="outline" onClick={() => setShowTransferModal(true)}>
+                <ArrowRightLeft className="h-4 w-4 mr-2" />
+                Transfer
+              </Button>
+            )}
             <Button variant="outline" onClick={() => setShowStockOutModal(true)}>
               <TrendingDown className="h-4 w-4 mr-2" />
               Stock Out
@@ -192,6 +239,22 @@ export default function InventoryDetailPage() {
             Transaction History
             {movementsData?.data.movements && ` (${movementsData.data.movements.length})`}
           </TabsTrigger>
+          {!item.has_variants && (
+            <TabsTrigger value="reservations">
+              Reservations
+              {reservations.length > 0 && ` (${reservations.length})`}
+            </TabsTrigger>
+          )}
+          {!item.has_variants && (
+            <TabsTrigger value="lots">
+              Lots
+              {item.stock_lots?.length > 0 && ` (${item.stock_lots.length})`}
+            </TabsTrigger>
+          )}
+          <TabsTrigger value="stocktakes">
+            Stocktakes
+            {stocktakes.length > 0 && ` (${stocktakes.length})`}
+          </TabsTrigger>
         </TabsList>
 
         {/* Overview Tab */}
@@ -210,6 +273,13 @@ export default function InventoryDetailPage() {
                   {item.unit}
                   {totalStock !== 1 ? "s" : ""}
                 </p>
+                {item.reserved_stock > 0 && (
+                  <p className="text-sm mt-1">
+                    <span className="text-amber-700">{item.reserved_stock} reserved</span>
+                    {" · "}
+                    <span className="font-medium">{item.available_stock} available</span>
+                  </p>
+                )}
               </CardContent>
             </Card>
 
@@ -258,17 +328,10 @@ export default function InventoryDetailPage() {
                 </CardTitle>
               </CardHeader>
               <CardContent>
-                <div className="text-3xl font-bold">
-                  {item.has_variants
-                    ? item.variants
-                        .reduce(
-                          (sum, v) => sum + v.remaining_stock * (v.price || item.base_price || 0),
-                          0
-                        )
-                        .toLocaleString()
-                    : ((item.remaining_stock || 0) * (item.unit_price || 0)).toLocaleString()}
-                </div>
-                <p className="text-sm text-muted-foreground mt-1">PKR</p>
+                <div className="text-3xl font-bold">{(item.stock_value || 0).toLocaleString()}</div>
+                <p className="text-sm text-muted-foreground mt-1">
+                  PKR{!item.has_variants && " at average cost"}
+                </p>
               </CardContent>
             </Card>
 
@@ -285,6 +348,14 @@ export default function InventoryDetailPage() {
                     : item.unit_price?.toLocaleString() || 0}
                 </div>
                 <p className="text-sm text-muted-foreground mt-1">PKR per {item.unit}</p>
+                {!item.has_variants &&
+                  item.unit_cost !== undefined &&
+                  item.unit_cost !== item.unit_price && (
+                    <p className="text-sm mt-1">
+                      Average cost{" "}
+                      <span className="font-medium">PKR {item.unit_cost.toLocaleString()}</span>
+                    </p>
+                  )}
               </CardContent>
             </Card>
           </div>
@@ -357,6 +428,45 @@ export default function InventoryDetailPage() {
             </Card>
           )}
 
+          {/* Stock by Location (simple items) */}
+          {!item.has_variants && item.locations && (
+            <Card className={itemFetching && !itemLoading ? "animate-pulse" : ""}>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <MapPin className="h-5 w-5" />
+                  Stock by Location
+                </CardTitle>
+                <CardDescription>Where this material is physically held</CardDescription>
+              </CardHeader>
+              <CardContent>
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Location</TableHead>
+                      <TableHead>Rack</TableHead>
+                      <TableHead>Quantity</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {item.locations.map((entry) => (
+                      <TableRow key={entry.location}>
+                        <TableCell>
+                          <Badge className={INVENTORY_LOCATION_CONFIG[entry.location]?.color}>
+                            {getLocationLabel(entry.location)}
+                          </Badge>
+                        </TableCell>
+                        <TableCell>{entry.rack_location || "—"}</TableCell>
+                        <TableCell className="font-medium">
+                          {entry.quantity} {item.unit}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </CardContent>
+            </Card>
+          )}
+
           {/* Item Details Card */}
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             <Card>
@@ -443,6 +553,8 @@ export default function InventoryDetailPage() {
                       <TableHead>Date</TableHead>
                       <TableHead>Type</TableHead>
                       <TableHead>Quantity</TableHead>
+                      <TableHead>Location</TableHead>
+                      <TableHead>Unit Cost</TableHead>
                       <TableHead>After Transaction</TableHead>
                       <TableHead>Reference</TableHead>
                       <TableHead>Notes</TableHead>
@@ -465,16 +577,39 @@ export default function InventoryDetailPage() {
                           </Badge>
                         </TableCell>
                         <TableCell className="font-medium">
-                          {movement.movement_type === "STOCK_IN" ? "+" : "-"}
+                          {getQuantitySign(movement)}
                           {movement.quantity} {item.unit}
+                          {movement.lots?.length > 0 && (
+                            <p className="text-xs font-normal text-muted-foreground">
+                              Lot {movement.lots.map((lot) => lot.lot_number).join(", ")}
+                            </p>
+                          )}
+                        </TableCell>
+                        <TableCell className="text-sm">
+                          {movement.movement_type === "TRANSFER"
+                            ? `${getLocationLabel(movement.from_location)} → ${getLocationLabel(movement.to_location)}`
+                            : movement.location
+                              ? getLocationLabel(movement.location)
+                              : "—"}
+                        </TableCell>
+                        <TableCell className="text-sm">
+                          {movement.unit_cost ? `PKR ${movement.unit_cost.toLocaleString()}` : "—"}
                         </TableCell>
                         <TableCell className="text-muted-foreground">
                           {movement.remaining_stock_after} {item.unit}
                         </TableCell>
                         <TableCell>
-                          <code className="text-xs bg-muted px-2 py-1 rounded">
-                            {movement.reference_number}
-                          </code>
+                          {movement.stocktake_id ? (
+                            <Link to={`/inventory/stocktakes/${movement.stocktake_id}`}>
+                              <code className="text-xs bg-muted px-2 py-1 rounded text-primary hover:underline">
+                                {movement.reference_number}
+                              </code>
+                            </Link>
+                          ) : (
+                            <code className="text-xs bg-muted px-2 py-1 rounded">
+                              {movement.reference_number}
+                            </code>
+                          )}
                         </TableCell>
                         <TableCell className="max-w-xs truncate text-sm text-muted-foreground">
                           {movement.notes || "—"}
@@ -493,6 +628,243 @@ export default function InventoryDetailPage() {
             </CardContent>
           </Card>
         </TabsContent>
+
+        {/* Reservations Tab */}
+        {!item.has_variants && (
+          <TabsContent value="reservations" className="mt-6">
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <Lock className="h-5 w-5" />
+                  Reserved Stock
+                </CardTitle>
+                <CardDescription>
+                  Order sections that passed their inventory check and hold this material until the
+                  packet is picked
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                {reservationsLoading ? (
+                  <div className="flex items-center justify-center py-8">
+                    <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+                  </div>
+                ) : reservations.length > 0 ? (
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Order</TableHead>
+                        <TableHead>Product</TableHead>
+                        <TableHead>Section</TableHead>
+                        <TableHead>Quantity</TableHead>
+                        <TableHead>Reserved By</TableHead>
+                        <TableHead>Reserved At</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {reservations.map((reservation) => (
+                        <TableRow key={reservation.id}>
+                          <TableCell>
+                            <Link
+                              to={`/orders/${reservation.orderId}/items/${reservation.orderItemId}`}
+                              className="font-medium text-primary hover:underline"
+                            >
+                              {reservation.orderNumber}
+                            </Link>
+                            {reservation.customerName && (
+                              <p className="text-xs text-muted-foreground">
+                                {reservation.customerName}
+                              </p>
+                            )}
+                          </TableCell>
+                          <TableCell>{reservation.productName || "—"}</TableCell>
+                          <TableCell className="capitalize">{reservation.section}</TableCell>
+                          <TableCell className="font-medium">
+                            {reservation.quantity} {item.unit}
+                          </TableCell>
+                          <TableCell className="text-sm">{reservation.reservedBy}</TableCell>
+                          <TableCell className="text-sm">
+                            {new Date(reservation.createdAt).toLocaleString()}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                ) : (
+                  <div className="py-8 text-center text-muted-foreground">
+                    <Lock className="h-12 w-12 mx-auto mb-3 opacity-50" />
+                    <p>Nothing reserved</p>
+                    <p className="text-sm mt-1">
+                      All {item.remaining_stock} {item.unit} on hand is available
+                    </p>
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          </TabsContent>
+        )}
+
+        {/* Lots Tab */}
+        {!item.has_variants && (
+          <TabsContent value="lots" className="mt-6">
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <Layers className="h-5 w-5" />
+                  Dye Lots / Batches
+                </CardTitle>
+                <CardDescription>
+                  Stock by the lot number it was received under. Open a lot to see every order it
+                  went into.
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                {item.stock_lots?.length > 0 ? (
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Lot</TableHead>
+                        <TableHead>On Hand</TableHead>
+                        <TableHead>Received</TableHead>
+                        <TableHead>Reference</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {item.stock_lots.map((lot) => (
+                        <TableRow key={lot.lot_number}>
+                          <TableCell>
+                            <Link
+                              to={`/inventory/${item.id}/lots/${encodeURIComponent(lot.lot_number)}`}
+                              className="font-mono font-medium text-primary hover:underline"
+                            >
+                              {lot.lot_number}
+                            </Link>
+                          </TableCell>
+                          <TableCell
+                            className={lot.quantity > 0 ? "font-medium" : "text-muted-foreground"}
+                          >
+                            {lot.quantity} {item.unit}
+                          </TableCell>
+                          <TableCell className="text-sm">
+                            {new Date(lot.received_at).toLocaleDateString()}
+                          </TableCell>
+                          <TableCell>
+                            {lot.reference_number ? (
+                              <code className="text-xs bg-muted px-2 py-1 rounded">
+                                {lot.reference_number}
+                              </code>
+                            ) : (
+                              "—"
+                            )}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                ) : (
+                  <div className="py-8 text-center text-muted-foreground">
+                    <Layers className="h-12 w-12 mx-auto mb-3 opacity-50" />
+                    <p>No lots recorded</p>
+                    <p className="text-sm mt-1">
+                      Enter a lot / batch number when receiving stock to track it
+                    </p>
+                  </div>
+                )}
+                {item.stock_lots?.length > 0 && item.unlotted_stock > 0 && (
+                  <p className="text-sm text-muted-foreground mt-4">
+                    {item.unlotted_stock} {item.unit} on hand was received without a lot number.
+                  </p>
+                )}
+              </CardContent>
+            </Card>
+          </TabsContent>
+        )}
+
+        {/* Stocktakes Tab */}
+        <TabsContent value="stocktakes" className="mt-6">
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <ClipboardList className="h-5 w-5" />
+                Stocktakes
+              </CardTitle>
+              <CardDescription>
+                Count sessions that included this item and what they found
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              {stocktakesLoading ? (
+                <div className="flex items-center justify-center py-8">
+                  <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+                </div>
+              ) : stocktakes.length > 0 ? (
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Session</TableHead>
+                      <TableHead>Status</TableHead>
+                      <TableHead>On Record</TableHead>
+                      <TableHead>Counted</TableHead>
+                      <TableHead>Variance</TableHead>
+                      <TableHead>Opened</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {stocktakes.map((stocktake) => {
+                      const lines = stocktake.lines.filter(
+                        (line) => line.inventoryItemId === item.id
+                      )
+                      const counted = lines.filter((line) => line.countedQty !== null)
+                      const variance = counted.reduce((sum, line) => sum + line.variance, 0)
+                      return (
+                        <TableRow key={stocktake.id}>
+                          <TableCell>
+                            <Link
+                              to={`/inventory/stocktakes/${stocktake.id}`}
+                              className="font-medium text-primary hover:underline"
+                            >
+                              {stocktake.sessionNumber}
+                            </Link>
+                            <p className="text-xs text-muted-foreground">{stocktake.scopeLabel}</p>
+                          </TableCell>
+                          <TableCell>
+                            <StocktakeStatusBadge status={stocktake.status} />
+                          </TableCell>
+                          <TableCell>
+                            {lines.reduce((sum, line) => sum + line.systemQty, 0)} {item.unit}
+                          </TableCell>
+                          <TableCell>
+                            {counted.length > 0
+                              ? `${counted.reduce((sum, line) => sum + line.countedQty, 0)} ${item.unit}`
+                              : "—"}
+                          </TableCell>
+                          <TableCell
+                            className={`font-medium ${variance < 0 ? "text-red-600" : variance > 0 ? "text-green-600" : ""}`}
+                          >
+                            {counted.length > 0 ? `${variance > 0 ? "+" : ""}${variance}` : "—"}
+                          </TableCell>
+                          <TableCell className="text-sm">
+                            {new Date(stocktake.createdAt).toLocaleString()}
+                          </TableCell>
+                        </TableRow>
+                      )
+                    })}
+                  </TableBody>
+                </Table>
+              ) : (
+                <div className="py-8 text-center text-muted-foreground">
+                  <ClipboardList className="h-12 w-12 mx-auto mb-3 opacity-50" />
+                  <p>Not counted yet</p>
+                  <p className="text-sm mt-1">
+                    <Link to="/inventory/stocktakes" className="text-primary hover:underline">
+                      Stocktake sessions
+                    </Link>{" "}
+                    that include this item will appear here
+                  </p>
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        </TabsContent>
       </Tabs>
 
       {/* Stock-In Modal */}
@@ -504,6 +876,25 @@ export default function InventoryDetailPage() {
         />
       )}
 
+      {/* Rack Labels */}
+      {showLabels && (
+        <PrintLabelsDialog
+          open={showLabels}
+          onOpenChange={setShowLabels}
+          title={`Labels - ${item.sku}`}
+          labels={getInventoryLabels([item])}
+        />
+      )}
+
+      {/* Transfer Modal */}
+      {showTransferModal && (
+        <TransferStockModal
+          item={item}
+          open={showTransferModal}
+          onClose={() => setShowTransferModal(false)}
+        />
+      )}
+
       {/* Stock-Out Modal */}
       {showStockOutModal && (
         <StockOutModal
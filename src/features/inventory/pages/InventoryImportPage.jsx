@@ -0,0 +1,281 @@
+/**
+ * Inventory Import Page
+ * src/features/inventory/pages/InventoryImportPage.jsx
+ *
+ * Bulk create and update items from a CSV or Excel sheet (columns in
+ * lib/inventorySheets). Choosing a file runs a dry run and shows, per SKU,
+ * whether it will be created or updated and which fields change. Nothing is
+ * saved until "Import" is confirmed; SKUs with errors are skipped.
+ */
+
+import { useRef, useState } from "react"
+import { Link } from "react-router-dom"
+import { toast } from "sonner"
+import {
+  AlertCircle,
+  AlertTriangle,
+  ArrowLeft,
+  Download,
+  FileSpreadsheet,
+  FileUp,
+  Loader2,
+} from "lucide-react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table"
+import { INVENTORY_UNITS, VARIANT_CATEGORIES } from "@/constants/orderConstants"
+import { INVENTORY_ITEM_COLUMNS } from "@/lib/inventorySheets"
+import { SPREADSHEET_ACCEPT, downloadSpreadsheet, readSpreadsheetFile } from "@/lib/spreadsheet"
+import { usePreviewInventoryImport, useImportInventoryItems } from "@/hooks/useInventory"
+
+const ACTION_CONFIG = {
+  create: { label: "New", className: "bg-green-100 text-green-700" },
+  update: { label: "Update", className: "bg-blue-100 text-blue-700" },
+  unchanged: { label: "No changes", className: "bg-slate-100 text-slate-600" },
+  invalid: { label: "Has errors", className: "bg-red-100 text-red-700" },
+}
+
+const formatValue = (value) => (value === null || value === "" ? "—" : String(value))
+
+export default function InventoryImportPage() {
+  const fileInputRef = useRef(null)
+  const [file, setFile] = useState(null)
+  const [report, setReport] = useState(null)
+
+  const previewImport = usePreviewInventoryImport()
+  const importItems = useImportInventoryItems()
+  const isWorking = previewImport.isPending || importItems.isPending
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files?.[0]
+    e.target.value = ""
+    if (!selected) return
+
+    setReport(null)
+    let nextFile
+    try {
+      nextFile = { fileName: selected.name, content: await readSpreadsheetFile(selected) }
+    } catch {
+      toast.error(`Could not read ${selected.name}`)
+      return
+    }
+    setFile(nextFile)
+
+    previewImport.mutate(nextFile, {
+      onSuccess: (response) => setReport(response.data),
+      onError: (error) => toast.error(error.message || "Could not read the file"),
+    })
+  }
+
+  const handleImport = () => {
+    importItems.mutate(file, {
+      onSuccess: (response) => {
+        setReport(response.data)
+        toast.success(response.message)
+      },
+      onError: (error) => toast.error(error.message || "Import failed"),
+    })
+  }
+
+  const handleDownloadTemplate = () =>
+    downloadSpreadsheet({
+      fileName: "inventory-import-template",
+      columns: INVENTORY_ITEM_COLUMNS.filter((column) => column.importable !== false),
+      rows: [],
+    })
+
+  const summary = report?.summary
+  const toApply = summary ? summary.create + summary.update : 0
+
+  return (
+    <div className="container mx-auto py-6 px-4 max-w-7xl space-y-6">
+      {/* Header */}
+      <div>
+        <Button variant="ghost" size="sm" asChild className="mb-2 -ml-2">
+          <Link to="/inventory">
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            Inventory
+          </Link>
+        </Button>
+        <h1 className="text-3xl font-bold tracking-tight">Import Inventory</h1>
+        <p className="text-muted-foreground mt-2">
+          Create and update items in bulk from a CSV or Excel sheet
+        </p>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base flex items-center gap-2">
+            <FileSpreadsheet className="h-4 w-4" />
+            Item sheet
+          </CardTitle>
+          <CardDescription>
+            One row per item, matched by SKU: new SKUs are created, existing ones updated. You will
+            see the changes before anything is saved.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <ul className="list-disc ml-5 space-y-1 text-sm text-muted-foreground">
+            <li>
+              Required for new items: <code>sku</code>, <code>name</code>, <code>category</code>,{" "}
+              <code>unit</code> ({INVENTORY_UNITS.join(", ")}) and <code>price</code>.
+            </li>
+            <li>
+              {VARIANT_CATEGORIES.join(" and ")} items take one row per <code>size</code>, with the
+              item columns repeated on each row.
+            </li>
+            <li>Blank cells keep the current value of an existing item.</li>
+            <li>
+              <code>stock</code> is the opening stock of new items and sizes. Stock of existing
+              items is not changed; correct it with a stocktake.
+            </li>
+            <li>Tip: export the item list, edit it and import it back.</li>
+          </ul>
+
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={SPREADSHEET_ACCEPT}
+            className="hidden"
+            onChange={handleFileChange}
+          />
+          <div className="flex flex-wrap items-center gap-3">
+            <Button variant="outline" onClick={handleDownloadTemplate}>
+              <Download className="h-4 w-4 mr-2" />
+              Template
+            </Button>
+            <Button
+              variant="outline"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={isWorking}
+            >
+              {previewImport.isPending ? (
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              ) : (
+                <FileUp className="h-4 w-4 mr-2" />
+              )}
+              Choose file
+            </Button>
+            {file && <span className="text-sm text-muted-foreground">{file.fileName}</span>}
+            {report?.dryRun && (
+              <Button onClick={handleImport} disabled={isWorking || toApply === 0}>
+                {importItems.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Import {toApply} item{toApply === 1 ? "" : "s"}
+              </Button>
+            )}
+          </div>
+
+          {summary && (
+            <div className="flex flex-wrap gap-2 text-sm">
+              <Badge variant="outline">
+                {summary.rows} rows, {summary.skus} SKUs
+              </Badge>
+              <Badge className={ACTION_CONFIG.create.className}>
+                {summary.create} {report.dryRun ? "to create" : "created"}
+              </Badge>
+              <Badge className={ACTION_CONFIG.update.className}>
+                {summary.update} {report.dryRun ? "to update" : "updated"}
+              </Badge>
+              <Badge className={ACTION_CONFIG.unchanged.className}>
+                {summary.unchanged} unchanged
+              </Badge>
+              <Badge className={ACTION_CONFIG.invalid.className}>
+                {summary.invalid} {report.dryRun ? "with errors" : "skipped"}
+              </Badge>
+            </div>
+          )}
+
+          {report && (
+            <div className="border rounded-lg overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Row</TableHead>
+                    <TableHead>SKU</TableHead>
+                    <TableHead>Item</TableHead>
+                    <TableHead>Action</TableHead>
+                    <TableHead>Changes</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {report.results.map((result) => {
+                    const actionConfig = ACTION_CONFIG[result.action]
+                    return (
+                      <TableRow key={`${result.sku}-${result.rowNumbers[0]}`}>
+                        <TableCell className="text-sm text-muted-foreground">
+                          {result.rowNumbers.join(", ")}
+                        </TableCell>
+                        <TableCell className="font-mono text-sm">
+                          {result.inventoryItemId ? (
+                            <Link
+                              to={`/inventory/${result.inventoryItemId}`}
+                              className="text-primary hover:underline"
+                            >
+                              {result.sku}
+                            </Link>
+                          ) : (
+                            result.sku || "—"
+                          )}
+                        </TableCell>
+                        <TableCell>
+                          {result.name || "—"}
+                          {result.category && (
+                            <p className="text-xs text-muted-foreground">
+                              {result.category.replace("_", " ")}
+                            </p>
+                          )}
+                        </TableCell>
+                        <TableCell>
+                          <Badge className={actionConfig.className}>{actionConfig.label}</Badge>
+                        </TableCell>
+                        <TableCell className="text-sm">
+                          <ul className="space-y-0.5">
+                            {result.errors.map((error) => (
+                              <li key={error} className="flex items-start gap-1 text-red-600">
+                                <AlertCircle className="h-3.5 w-3.5 mt-0.5 shrink-0" />
+                                {error}
+                              </li>
+                            ))}
+                            {result.warnings.map((warning) => (
+                              <li key={warning} className="flex items-start gap-1 text-amber-600">
+                                <AlertTriangle className="h-3.5 w-3.5 mt-0.5 shrink-0" />
+                                {warning}
+                              </li>
+                            ))}
+                            {result.errors.length === 0 &&
+                              result.changes.map((change) => (
+                                <li key={change.field}>
+                                  <span className="text-muted-foreground">{change.field}:</span>{" "}
+                                  {change.from !== null && (
+                                    <>
+                                      <span className="line-through text-muted-foreground">
+                                        {formatValue(change.from)}
+                                      </span>{" "}
+                                      →{" "}
+                                    </>
+                                  )}
+                                  {formatValue(change.to)}
+                                </li>
+                              ))}
+                          </ul>
+                        </TableCell>
+                      </TableRow>
+                    )
+                  })}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
@@ -1,6 +1,6 @@
 import { useState } from "react"
 import { useNavigate } from "react-router-dom"
-import { useInventoryItems } from "@/hooks/useInventory"
+import { useInventoryItems, useInventoryValuation } from "@/hooks/useInventory"
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
 import { Input } from "@/components/ui/input"
 import { Button } from "@/components/ui/button"
@@ -21,7 +21,22 @@ import {
 } from "@/components/ui/table"
 import { Badge } from "@/components/ui/badge"
 import { Alert, AlertDescription } from "@/components/ui/alert"
-import { Loader2, Search, Plus, AlertCircle, Package } from "lucide-react"
+import {
+  Loader2,
+  Search,
+  Plus,
+  AlertCircle,
+  Package,
+  Wallet,
+  QrCode,
+  ClipboardList,
+  Upload,
+  Download,
+} from "lucide-react"
+import { INVENTORY_LOCATION_CONFIG } from "@/constants/orderConstants"
+import { getInventoryLabels } from "@/lib/labels"
+import PrintLabelsDialog from "@/components/labels/PrintLabelsDialog"
+import { ExportInventoryDialog } from "../components/ExportInventoryDialog"
 
 /**
  * Inventory List Page
@@ -31,9 +46,11 @@ import { Loader2, Search, Plus, AlertCircle, Package } from "lucide-react"
  * the data fetching complexity.
  *
  * Key Features:
- * - Real-time filtering by category
+ * - Real-time filtering by category and stock location
  * - Search by name or SKU
  * - Visual indicators for low stock items
+ * - Total inventory valuation at weighted average cost, by category
+ * - Import items from a sheet, export the list or the movement ledger
  * - Click any row to navigate to detail page
  * - Responsive table that works on mobile devices
  *
@@ -54,7 +71,10 @@ export default function InventoryListPage() {
   // Local state for filter controls
   // These are UI state, not server state, so useState is appropriate
   const [category, setCategory] = useState("all")
+  const [location, setLocation] = useState("all")
   const [searchTerm, setSearchTerm] = useState("")
+  const [showLabels, setShowLabels] = useState(false)
+  const [showExport, setShowExport] = useState(false)
 
   // Build filters object to pass to the hook
   // We only include filters that are actually set to avoid unnecessary query params
@@ -62,6 +82,9 @@ export default function InventoryListPage() {
   if (category !== "all") {
     filters.category = category
   }
+  if (location !== "all") {
+    filters.location = location
+  }
   if (searchTerm.trim() !== "") {
     filters.search = searchTerm.trim()
   }
@@ -72,6 +95,10 @@ export default function InventoryListPage() {
   console.log("Filters object:", filters)
   const { data, isLoading, isError, error } = useInventoryItems(filters)
 
+  // Valuation covers all stock regardless of the filters above
+  const { data: valuationData } = useInventoryValuation()
+  const valuation = valuationData?.data
+
   /**
    * Handle row click to navigate to detail page
    * This is a pattern you will use throughout your application where list items
@@ -146,22 +173,71 @@ export default function InventoryListPage() {
           </p>
         </div>
 
-        <Button onClick={handleCreateNew}>
-          <Plus className="h-4 w-4 mr-2" />
-          Add New Item
-        </Button>
+        <div className="flex flex-wrap justify-end gap-2">
+          <Button variant="outline" onClick={() => navigate("/inventory/stocktakes")}>
+            <ClipboardList className="h-4 w-4 mr-2" />
+            Stocktakes
+          </Button>
+          <Button
+            variant="outline"
+            onClick={() => setShowLabels(true)}
+            disabled={items.length === 0}
+          >
+            <QrCode className="h-4 w-4 mr-2" />
+            Print Labels
+          </Button>
+          <Button variant="outline" onClick={() => navigate("/inventory/import")}>
+            <Upload className="h-4 w-4 mr-2" />
+            Import
+          </Button>
+          <Button variant="outline" onClick={() => setShowExport(true)}>
+            <Download className="h-4 w-4 mr-2" />
+            Export
+          </Button>
+          <Button onClick={handleCreateNew}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add New Item
+          </Button>
+        </div>
       </div>
 
+      {/* Inventory Valuation */}
+      {valuation && (
+        <Card className="mb-6">
+          <CardContent className="pt-6">
+            <div className="flex flex-col md:flex-row md:items-center gap-4">
+              <div className="flex items-center gap-3">
+                <Wallet className="h-8 w-8 text-muted-foreground" />
+                <div>
+                  <p className="text-sm text-muted-foreground">Inventory Valuation</p>
+                  <p className="text-2xl font-bold">
+                    {valuation.currency} {valuation.totalValue.toLocaleString()}
+                  </p>
+                </div>
+              </div>
+              <div className="flex flex-wrap gap-2 md:ml-auto">
+                {valuation.categories.map((entry) => (
+                  <Badge key={entry.category} variant="outline" className="font-normal">
+                    {entry.category.replace("_", " ")}:{" "}
+                    <span className="font-medium ml-1">{entry.value.toLocaleString()}</span>
+                  </Badge>
+                ))}
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
       {/* Filters Card */}
       <Card className="mb-6">
         <CardHeader>
           <CardTitle className="text-lg">Filters</CardTitle>
           <CardDescription>
-            Search and filter inventory items by category, name, or SKU
+            Search and filter inventory items by category, location, name, or SKU
           </CardDescription>
         </CardHeader>
         <CardContent>
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
             {/* Category Filter */}
             <div className="space-y-2">
               <label className="text-sm font-medium">Category</label>
@@ -181,6 +257,24 @@ export default function InventoryListPage() {
               </Select>
             </div>
 
+            {/* Location Filter */}
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Location</label>
+              <Select value={location} onValueChange={setLocation}>
+                <SelectTrigger>
+                  <SelectValue placeholder="All Locations" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All Locations</SelectItem>
+                  {Object.entries(INVENTORY_LOCATION_CONFIG).map(([value, config]) => (
+                    <SelectItem key={value} value={value}>
+                      {config.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
             {/* Search Input */}
             <div className="space-y-2">
               <label className="text-sm font-medium">Search</label>
@@ -202,6 +296,7 @@ export default function InventoryListPage() {
             <span>
               Showing {items.length} item{items.length !== 1 ? "s" : ""}
               {category !== "all" && ` in ${category.replace("_", " ")}`}
+              {location !== "all" && ` held at ${INVENTORY_LOCATION_CONFIG[location].label}`}
               {searchTerm && ` matching "${searchTerm}"`}
             </span>
           </div>
@@ -217,11 +312,11 @@ export default function InventoryListPage() {
               <Package className="h-12 w-12 text-muted-foreground mx-auto mb-4" />
               <h3 className="text-lg font-semibold mb-2">No items found</h3>
               <p className="text-muted-foreground mb-4">
-                {searchTerm || category !== "all"
+                {searchTerm || category !== "all" || location !== "all"
                   ? "Try adjusting your filters to see more results"
                   : "Get started by adding your first inventory item"}
               </p>
-              {!searchTerm && category === "all" && (
+              {!searchTerm && category === "all" && location === "all" && (
                 <Button onClick={handleCreateNew}>
                   <Plus className="h-4 w-4 mr-2" />
                   Add First Item
@@ -240,6 +335,7 @@ export default function InventoryListPage() {
                     <TableHead>Stock</TableHead>
                     <TableHead>Unit</TableHead>
                     <TableHead>Location</TableHead>
+                    <TableHead className="text-right">Value (PKR)</TableHead>
                     <TableHead>Status</TableHead>
                   </TableRow>
                 </TableHeader>
@@ -307,14 +403,38 @@ export default function InventoryListPage() {
                             Across {item.variants.length} sizes
                           </div>
                         )}
+                        {item.reserved_stock > 0 && (
+                          <div className="text-xs text-amber-700">
+                            {item.reserved_stock} reserved, {item.available_stock} available
+                          </div>
+                        )}
                       </TableCell>
 
                       {/* Unit */}
                       <TableCell className="text-muted-foreground">{item.unit}</TableCell>
 
-                      {/* Rack Location */}
+                      {/* Rack Location - per location when stock is spread out */}
                       <TableCell>
-                        {item.rack_location || <span className="text-muted-foreground">—</span>}
+                        {(item.locations || [])
+                          .filter((entry) => entry.quantity > 0)
+                          .filter((entry) => location === "all" || entry.location === location)
+                          .map((entry) => (
+                            <div key={entry.location} className="text-sm">
+                              {entry.rack_location || "—"}
+                              <span className="text-xs text-muted-foreground">
+                                {" "}
+                                {INVENTORY_LOCATION_CONFIG[entry.location]?.label} ·{" "}
+                                {entry.quantity}
+                              </span>
+                            </div>
+                          ))}
+                        {!item.locations?.some((entry) => entry.quantity > 0) &&
+                          (item.rack_location || <span className="text-muted-foreground">—</span>)}
+                      </TableCell>
+
+                      {/* Stock Value at average cost */}
+                      <TableCell className="text-right">
+                        {(item.stock_value || 0).toLocaleString()}
                       </TableCell>
 
                       {/* Stock Status */}
@@ -338,6 +458,23 @@ export default function InventoryListPage() {
           )}
         </CardContent>
       </Card>
+
+      {/* Rack labels for the items currently listed */}
+      {showLabels && (
+        <PrintLabelsDialog
+          open={showLabels}
+          onOpenChange={setShowLabels}
+          title="Inventory Labels"
+          labels={getInventoryLabels(items)}
+        />
+      )}
+
+      <ExportInventoryDialog
+        open={showExport}
+        onOpenChange={setShowExport}
+        items={items}
+        category={filters.category}
+      />
     </div>
   )
 }
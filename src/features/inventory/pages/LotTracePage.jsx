@@ -0,0 +1,262 @@
+/**
+ * Lot Trace Page
+ * src/features/inventory/pages/LotTracePage.jsx
+ *
+ * Where a dye lot / batch of a material went: the order item sections whose
+ * packets were picked from it, with the dyeing and QA rejections they had, and
+ * the stock movements that received or took stock from the lot. Used to find
+ * every order affected when a lot turns out to be faulty.
+ */
+
+import { Link, useParams } from "react-router-dom"
+import { format } from "date-fns"
+import { AlertCircle, ArrowLeft, Layers, Loader2 } from "lucide-react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table"
+import { SECTION_STATUS_CONFIG } from "@/constants/orderConstants"
+import { useLotTrace } from "@/hooks/useInventory"
+
+const formatDate = (date) => (date ? format(new Date(date), "MMM d, yyyy HH:mm") : "—")
+
+// Quantities on lots are unsigned except on adjustments
+const getLotChange = (movement) => {
+  if (movement.movement_type === "STOCK_IN") return `+${movement.lot_quantity}`
+  if (movement.movement_type === "ADJUSTMENT") {
+    return movement.lot_quantity > 0 ? `+${movement.lot_quantity}` : `${movement.lot_quantity}`
+  }
+  return `-${movement.lot_quantity}`
+}
+
+export default function LotTracePage() {
+  const { id, lotNumber } = useParams()
+  const { data, isLoading, isError, error } = useLotTrace(id, lotNumber)
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <Loader2 className="h-8 w-8 animate-spin" />
+      </div>
+    )
+  }
+
+  if (isError || !data?.data) {
+    return (
+      <div className="p-6 text-center text-muted-foreground">
+        <p>{error?.message || "Lot not found"}</p>
+        <Button variant="link" asChild>
+          <Link to={`/inventory/${id}`}>Back to item</Link>
+        </Button>
+      </div>
+    )
+  }
+
+  const { item, lot, movements, consumption } = data.data
+  const { meta } = data
+
+  return (
+    <div className="container mx-auto py-6 px-4 max-w-7xl space-y-6">
+      {/* Header */}
+      <div>
+        <Button variant="ghost" size="sm" asChild className="mb-2 -ml-2">
+          <Link to={`/inventory/${item.id}`}>
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            {item.name}
+          </Link>
+        </Button>
+        <h1 className="text-3xl font-bold tracking-tight flex items-center gap-2">
+          <Layers className="h-7 w-7" />
+          Lot {lot.lot_number}
+        </h1>
+        <p className="text-muted-foreground mt-2">
+          {item.sku} · first received {formatDate(lot.received_at)}
+          {lot.reference_number && ` · ${lot.reference_number}`}
+        </p>
+      </div>
+
+      {/* Summary */}
+      <div className="grid gap-4 grid-cols-2 md:grid-cols-4">
+        <Card>
+          <CardHeader className="pb-2">
+            <CardDescription>On hand</CardDescription>
+            <CardTitle className="text-2xl">
+              {lot.quantity} {item.unit}
+            </CardTitle>
+          </CardHeader>
+        </Card>
+        <Card>
+          <CardHeader className="pb-2">
+            <CardDescription>Received</CardDescription>
+            <CardTitle className="text-2xl">
+              {meta.received} {item.unit}
+            </CardTitle>
+          </CardHeader>
+        </Card>
+        <Card>
+          <CardHeader className="pb-2">
+            <CardDescription>Order items</CardDescription>
+            <CardTitle className="text-2xl">{meta.order_items}</CardTitle>
+          </CardHeader>
+        </Card>
+        <Card>
+          <CardHeader className="pb-2">
+            <CardDescription>Rejections</CardDescription>
+            <CardTitle className={`text-2xl ${meta.rejections > 0 ? "text-red-600" : ""}`}>
+              {meta.rejections}
+            </CardTitle>
+          </CardHeader>
+        </Card>
+      </div>
+
+      {/* Order items made from the lot */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base">Used in</CardTitle>
+          <CardDescription>
+            Order item sections whose packets were picked from this lot
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {consumption.length === 0 ? (
+            <p className="text-sm text-muted-foreground text-center py-6">
+              No packet has been picked from this lot yet
+            </p>
+          ) : (
+            <div className="border rounded-lg overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Order</TableHead>
+                    <TableHead>Product</TableHead>
+                    <TableHead>Section</TableHead>
+                    <TableHead className="text-right">Quantity</TableHead>
+                    <TableHead>Picked</TableHead>
+                    <TableHead>Status</TableHead>
+                    <TableHead>Rejections</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {consumption.map((entry) => {
+                    const statusConfig = SECTION_STATUS_CONFIG[entry.sectionStatus]
+                    return (
+                      <TableRow key={`${entry.packetId}-${entry.section}-${entry.pickedAt}`}>
+                        <TableCell>
+                          <Link
+                            to={`/orders/${entry.orderId}/items/${entry.orderItemId}`}
+                            className="font-medium text-primary hover:underline"
+                          >
+                            {entry.orderNumber}
+                          </Link>
+                          {entry.customerName && (
+                            <p className="text-xs text-muted-foreground">{entry.customerName}</p>
+                          )}
+                        </TableCell>
+                        <TableCell>{entry.productName || "—"}</TableCell>
+                        <TableCell className="capitalize">{entry.section}</TableCell>
+                        <TableCell className="text-right">
+                          {entry.quantity} {item.unit}
+                        </TableCell>
+                        <TableCell className="text-sm">{formatDate(entry.pickedAt)}</TableCell>
+                        <TableCell>
+                          <div className="flex flex-wrap gap-1">
+                            {statusConfig && (
+                              <Badge className={statusConfig.color}>{statusConfig.label}</Badge>
+                            )}
+                            {entry.returnedToStock && (
+                              <Badge variant="outline">Returned to stock</Badge>
+                            )}
+                          </div>
+                        </TableCell>
+                        <TableCell className="text-sm">
+                          {entry.rejections.length === 0 ? (
+                            <span className="text-muted-foreground">—</span>
+                          ) : (
+                            <ul className="space-y-1">
+                              {entry.rejections.map((rejection) => (
+                                <li
+                                  key={`${rejection.stage}-${rejection.rejectedAt}`}
+                                  className="flex items-start gap-1 text-red-600"
+                                >
+                                  <AlertCircle className="h-3.5 w-3.5 mt-0.5 shrink-0" />
+                                  <span>
+                                    {rejection.stage === "QA" ? "QA" : "Dyeing"}:{" "}
+                                    {rejection.reason || rejection.reasonCode || "Rejected"}
+                                    <span className="block text-xs text-muted-foreground">
+                                      {formatDate(rejection.rejectedAt)}
+                                    </span>
+                                  </span>
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    )
+                  })}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Stock movements of the lot */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base">Movements</CardTitle>
+          <CardDescription>Receipts, stock-outs and adjustments of this lot</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <div className="border rounded-lg overflow-x-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Date</TableHead>
+                  <TableHead>Type</TableHead>
+                  <TableHead className="text-right">Lot quantity</TableHead>
+                  <TableHead>Reference</TableHead>
+                  <TableHead>By</TableHead>
+                  <TableHead>Notes</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {movements.map((movement) => (
+                  <TableRow key={movement.id}>
+                    <TableCell className="text-sm">
+                      {formatDate(movement.transaction_date)}
+                    </TableCell>
+                    <TableCell>
+                      <Badge
+                        variant={movement.movement_type === "STOCK_IN" ? "default" : "secondary"}
+                      >
+                        {movement.movement_type.replace("_", " ")}
+                      </Badge>
+                    </TableCell>
+                    <TableCell className="text-right font-medium">
+                      {getLotChange(movement)} {item.unit}
+                    </TableCell>
+                    <TableCell className="font-mono text-sm">
+                      {movement.reference_number || "—"}
+                    </TableCell>
+                    <TableCell className="text-sm">{movement.performed_by || "—"}</TableCell>
+                    <TableCell className="text-sm text-muted-foreground">
+                      {movement.notes || "—"}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
@@ -29,6 +29,7 @@ import {
   SelectTrigger,
   SelectValue,
 } from "@/components/ui/select"
+import { INVENTORY_LOCATION_CONFIG } from "@/constants/orderConstants"
 
 /**
  * Low Stock Alerts Page
@@ -66,6 +67,7 @@ export default function LowStockAlertsPage() {
 
   // Add state inside component
   const [categoryFilter, setCategoryFilter] = useState("all")
+  const [locationFilter, setLocationFilter] = useState("all")
   /**
    * Loading state while fetching alerts
    * This initial load might take a moment because the backend is calculating
@@ -114,9 +116,12 @@ export default function LowStockAlertsPage() {
   const alerts = data?.data || []
   const meta = data?.meta || {}
 
-  // Filter alerts by category
-  const filteredAlerts =
-    categoryFilter === "all" ? alerts : alerts.filter((item) => item.category === categoryFilter)
+  // Filter alerts by category and by the location the material is kept at
+  const getLocationEntry = (item) =>
+    item.locations?.find((entry) => entry.location === locationFilter)
+  const filteredAlerts = alerts
+    .filter((item) => categoryFilter === "all" || item.category === categoryFilter)
+    .filter((item) => locationFilter === "all" || getLocationEntry(item))
 
   /**
    * Calculate summary statistics for the dashboard header
@@ -226,6 +231,20 @@ export default function LowStockAlertsPage() {
             ))}
           </SelectContent>
         </Select>
+        <Label>Location</Label>
+        <Select value={locationFilter} onValueChange={setLocationFilter}>
+          <SelectTrigger className="w-[200px]">
+            <SelectValue placeholder="All Locations" />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All Locations</SelectItem>
+            {Object.entries(INVENTORY_LOCATION_CONFIG).map(([value, config]) => (
+              <SelectItem key={value} value={value}>
+                {config.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
       </div>
       {/* Alerts Table or Empty State */}
       <Card>
@@ -317,6 +336,12 @@ export default function LowStockAlertsPage() {
                           <div className={`font-semibold ${severity.color}`}>
                             {item.total_stock} {item.unit}
                           </div>
+                          {locationFilter !== "all" && (
+                            <div className="text-xs text-muted-foreground">
+                              {getLocationEntry(item)?.quantity || 0} at{" "}
+                              {INVENTORY_LOCATION_CONFIG[locationFilter].label}
+                            </div>
+                          )}
                         </TableCell>
 
                         {/* Reorder Level */}
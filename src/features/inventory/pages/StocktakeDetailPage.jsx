@@ -0,0 +1,490 @@
+/**
+ * Stocktake Detail Page
+ * src/features/inventory/pages/StocktakeDetailPage.jsx
+ *
+ * One count session: enter counted quantities line by line, submit for review,
+ * then post the variances (valued at unit cost) as ADJUSTMENT movements with a
+ * reason. Posted and cancelled sessions stay here as the audit record.
+ */
+
+import { useState } from "react"
+import { Link, useParams } from "react-router-dom"
+import { format } from "date-fns"
+import { toast } from "sonner"
+import { ArrowLeft, CheckCircle, Loader2, RotateCcw, Save, Send, XCircle } from "lucide-react"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table"
+import { INVENTORY_LOCATION_CONFIG, STOCKTAKE_STATUS } from "@/constants/orderConstants"
+import { useAuth } from "@/features/auth/hooks/useAuth"
+import { hasPermission } from "@/lib/rbac"
+import {
+  useStocktake,
+  useSaveStocktakeCounts,
+  useSubmitStocktake,
+  useReopenStocktake,
+  usePostStocktake,
+  useCancelStocktake,
+} from "@/hooks/useStocktakes"
+import StocktakeStatusBadge from "../components/StocktakeStatusBadge"
+
+const formatDateTime = (date) => format(new Date(date), "MMM d, yyyy h:mm a")
+
+const formatSigned = (value) => `${value > 0 ? "+" : ""}${value.toLocaleString()}`
+
+const varianceClass = (variance) =>
+  variance > 0 ? "text-green-600" : variance < 0 ? "text-red-600" : "text-muted-foreground"
+
+/** Draft input to a count; empty clears the line */
+const parseCount = (value) => (value === "" ? null : parseFloat(value))
+
+export default function StocktakeDetailPage() {
+  const { id } = useParams()
+  const { user } = useAuth()
+  const canCount = hasPermission(user, "inventory.count")
+  const canAdjust = hasPermission(user, "inventory.adjust")
+
+  const { data: stocktake, isLoading, isError } = useStocktake(id)
+  const saveCounts = useSaveStocktakeCounts()
+  const submitStocktake = useSubmitStocktake()
+  const reopenStocktake = useReopenStocktake()
+  const postStocktake = usePostStocktake()
+  const cancelStocktake = useCancelStocktake()
+
+  // Typed counts not saved yet, by line id
+  const [drafts, setDrafts] = useState({})
+  const [showPost, setShowPost] = useState(false)
+  const [postReason, setPostReason] = useState("")
+  const [showCancel, setShowCancel] = useState(false)
+  const [cancelReason, setCancelReason] = useState("")
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <Loader2 className="h-8 w-8 animate-spin" />
+      </div>
+    )
+  }
+
+  if (isError || !stocktake) {
+    return (
+      <div className="p-6 text-center text-muted-foreground">
+        <p>Stocktake not found</p>
+        <Button variant="link" asChild>
+          <Link to="/inventory/stocktakes">Back to stocktakes</Link>
+        </Button>
+      </div>
+    )
+  }
+
+  const isCounting = stocktake.status === STOCKTAKE_STATUS.COUNTING
+  const isSubmitted = stocktake.status === STOCKTAKE_STATUS.SUBMITTED
+  const isPosted = stocktake.status === STOCKTAKE_STATUS.POSTED
+  const canEdit = canCount && isCounting
+  const { summary } = stocktake
+
+  const getCount = (line) => (line.id in drafts ? parseCount(drafts[line.id]) : line.countedQty)
+  const changedCounts = stocktake.lines
+    .filter((line) => line.id in drafts && parseCount(drafts[line.id]) !== line.countedQty)
+    .map((line) => ({ lineId: line.id, countedQty: parseCount(drafts[line.id]) }))
+  const hasInvalidDraft = changedCounts.some(
+    (count) => count.countedQty !== null && !(count.countedQty >= 0)
+  )
+
+  const handleSave = () => {
+    saveCounts.mutate(
+      { id: stocktake.id, counts: changedCounts },
+      {
+        onSuccess: () => {
+          toast.success(`${changedCounts.length} count(s) saved`)
+          setDrafts({})
+        },
+        onError: (error) => toast.error(error.message || "Failed to save counts"),
+      }
+    )
+  }
+
+  const handleSubmit = async () => {
+    try {
+      if (changedCounts.length > 0) {
+        await saveCounts.mutateAsync({ id: stocktake.id, counts: changedCounts })
+        setDrafts({})
+      }
+      const saved = await submitStocktake.mutateAsync(stocktake.id)
+      toast.success(`${saved.sessionNumber} submitted for review`)
+    } catch (error) {
+      toast.error(error.message || "Failed to submit stocktake")
+    }
+  }
+
+  const handleReopen = () => {
+    reopenStocktake.mutate(stocktake.id, {
+      onSuccess: (saved) => toast.success(`${saved.sessionNumber} reopened for counting`),
+      onError: (error) => toast.error(error.message || "Failed to reopen stocktake"),
+    })
+  }
+
+  const handlePost = () => {
+    postStocktake.mutate(
+      { id: stocktake.id, data: { reason: postReason.trim() } },
+      {
+        onSuccess: (saved) => {
+          toast.success(`${saved.sessionNumber} posted`)
+          setShowPost(false)
+        },
+        onError: (error) => toast.error(error.message || "Failed to post stocktake"),
+      }
+    )
+  }
+
+  const handleCancel = () => {
+    cancelStocktake.mutate(
+      { id: stocktake.id, data: { reason: cancelReason.trim() } },
+      {
+        onSuccess: (saved) => {
+          toast.success(`${saved.sessionNumber} cancelled`)
+          setShowCancel(false)
+        },
+        onError: (error) => toast.error(error.message || "Failed to cancel stocktake"),
+      }
+    )
+  }
+
+  return (
+    <div className="container mx-auto py-6 px-4 max-w-7xl space-y-6">
+      {/* Header */}
+      <div>
+        <Button variant="ghost" size="sm" asChild className="mb-2 -ml-2">
+          <Link to="/inventory/stocktakes">
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            Stocktakes
+          </Link>
+        </Button>
+        <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold flex items-center gap-3">
+              {stocktake.sessionNumber}
+              <StocktakeStatusBadge status={stocktake.status} />
+            </h1>
+            <p className="text-muted-foreground">
+              {stocktake.scopeLabel} · opened by {stocktake.createdBy} on{" "}
+              {formatDateTime(stocktake.createdAt)}
+            </p>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {canEdit && (
+              <>
+                <Button
+                  variant="outline"
+                  onClick={handleSave}
+                  disabled={changedCounts.length === 0 || hasInvalidDraft || saveCounts.isPending}
+                >
+                  {saveCounts.isPending ? (
+                    <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                  ) : (
+                    <Save className="h-4 w-4 mr-2" />
+                  )}
+                  Save Counts
+                </Button>
+                <Button
+                  onClick={handleSubmit}
+                  disabled={hasInvalidDraft || submitStocktake.isPending}
+                >
+                  {submitStocktake.isPending ? (
+                    <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                  ) : (
+                    <Send className="h-4 w-4 mr-2" />
+                  )}
+                  Submit for Review
+                </Button>
+              </>
+            )}
+            {canCount && isSubmitted && (
+              <Button variant="outline" onClick={handleReopen} disabled={reopenStocktake.isPending}>
+                <RotateCcw className="h-4 w-4 mr-2" />
+                Reopen Count
+              </Button>
+            )}
+            {canAdjust && isSubmitted && (
+              <Button onClick={() => setShowPost(true)}>
+                <CheckCircle className="h-4 w-4 mr-2" />
+                Post Adjustments
+              </Button>
+            )}
+            {canCount && (isCounting || isSubmitted) && (
+              <Button variant="outline" onClick={() => setShowCancel(true)}>
+                <XCircle className="h-4 w-4 mr-2" />
+                Cancel
+              </Button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Summary */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <Card>
+          <CardContent className="pt-6">
+            <p className="text-sm text-muted-foreground">Counted</p>
+            <p className="text-2xl font-bold">
+              {summary.countedLines} / {summary.totalLines}
+            </p>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardContent className="pt-6">
+            <p className="text-sm text-muted-foreground">Lines Off</p>
+            <p className="text-2xl font-bold">{summary.varianceLines}</p>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardContent className="pt-6">
+            <p className="text-sm text-muted-foreground">Surplus / Shortage</p>
+            <p className="text-lg font-semibold">
+              <span className="text-green-600">{formatSigned(summary.surplusValue)}</span> /{" "}
+              <span className="text-red-600">{formatSigned(summary.shortageValue)}</span>
+            </p>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardContent className="pt-6">
+            <p className="text-sm text-muted-foreground">Net Variance</p>
+            <p className={`text-2xl font-bold ${varianceClass(summary.netValue)}`}>
+              PKR {formatSigned(summary.netValue)}
+            </p>
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Lines */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base">Count Sheet</CardTitle>
+        </CardHeader>
+        <CardContent className="overflow-x-auto">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Rack</TableHead>
+                <TableHead>Item</TableHead>
+                <TableHead>Location</TableHead>
+                <TableHead className="text-right">On Record</TableHead>
+                <TableHead className="text-right w-32">Counted</TableHead>
+                <TableHead className="text-right">Variance</TableHead>
+                <TableHead className="text-right">Unit Cost</TableHead>
+                <TableHead className="text-right">Value</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {stocktake.lines.map((line) => {
+                const counted = getCount(line)
+                const variance =
+                  counted === null || isNaN(counted) ? null : counted - line.systemQty
+                return (
+                  <TableRow key={line.id}>
+                    <TableCell className="font-mono text-sm">
+                      {line.rackLocation || "TBD"}
+                    </TableCell>
+                    <TableCell>
+                      <Link
+                        to={`/inventory/${line.inventoryItemId}`}
+                        className="font-medium hover:underline"
+                      >
+                        {line.name}
+                      </Link>
+                      {line.size && (
+                        <Badge variant="outline" className="ml-2">
+                          {line.size}
+                        </Badge>
+                      )}
+                      <p className="text-xs text-muted-foreground">{line.sku}</p>
+                    </TableCell>
+                    <TableCell className="text-sm">
+                      {INVENTORY_LOCATION_CONFIG[line.location]?.label || line.location}
+                    </TableCell>
+                    <TableCell className="text-right">
+                      {line.systemQty} {line.unit}
+                    </TableCell>
+                    <TableCell className="text-right">
+                      {canEdit ? (
+                        <Input
+                          type="number"
+                          step="0.01"
+                          min="0"
+                          aria-label={`Counted ${line.name}`}
+                          value={line.id in drafts ? drafts[line.id] : (line.countedQty ?? "")}
+                          onChange={(e) =>
+                            setDrafts((prev) => ({ ...prev, [line.id]: e.target.value }))
+                          }
+                          className="h-8 text-right"
+                        />
+                      ) : counted === null ? (
+                        <span className="text-muted-foreground">Not counted</span>
+                      ) : (
+                        `${counted} ${line.unit}`
+                      )}
+                    </TableCell>
+                    <TableCell className={`text-right font-medium ${varianceClass(variance)}`}>
+                      {variance === null ? "-" : formatSigned(variance)}
+                    </TableCell>
+                    <TableCell className="text-right">{line.unitCost.toLocaleString()}</TableCell>
+                    <TableCell className={`text-right ${varianceClass(variance)}`}>
+                      {variance
+                        ? formatSigned(Math.round(variance * line.unitCost * 100) / 100)
+                        : "-"}
+                    </TableCell>
+                  </TableRow>
+                )
+              })}
+            </TableBody>
+          </Table>
+          {stocktake.notes && (
+            <p className="text-sm text-muted-foreground mt-4 whitespace-pre-line">
+              <span className="font-medium text-slate-700">Notes:</span> {stocktake.notes}
+            </p>
+          )}
+        </CardContent>
+      </Card>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {/* Posting */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-base">Adjustments</CardTitle>
+          </CardHeader>
+          <CardContent className="text-sm space-y-1">
+            {isPosted ? (
+              <>
+                <p>
+                  Posted by {stocktake.postedBy} on {formatDateTime(stocktake.postedAt)}
+                </p>
+                {stocktake.reason && (
+                  <p className="text-muted-foreground">Reason: {stocktake.reason}</p>
+                )}
+                <p className="text-muted-foreground">
+                  {summary.varianceLines} ADJUSTMENT movement(s) with reference{" "}
+                  <span className="font-mono">{stocktake.sessionNumber}</span>
+                </p>
+              </>
+            ) : (
+              <p className="text-muted-foreground">
+                Nothing posted yet. Stock changes only when the session is posted.
+              </p>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* History */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-base">History</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <ul className="space-y-2 text-sm">
+              {[...stocktake.timeline].reverse().map((entry) => (
+                <li key={entry.id} className="border-l-2 border-slate-200 pl-3">
+                  <p>{entry.action}</p>
+                  <p className="text-xs text-muted-foreground">
+                    {entry.user} · {formatDateTime(entry.timestamp)}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Post Dialog */}
+      <Dialog open={showPost} onOpenChange={setShowPost}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Post {stocktake.sessionNumber}?</DialogTitle>
+            <DialogDescription>
+              {summary.varianceLines > 0
+                ? `${summary.varianceLines} item(s) will be adjusted to the counted quantity, net PKR ${formatSigned(summary.netValue)}.`
+                : "Every counted line matches the record, nothing will be adjusted."}
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-2 py-2">
+            <Label htmlFor="post-reason">
+              Reason{summary.varianceLines > 0 ? "" : " (optional)"}
+            </Label>
+            <Textarea
+              id="post-reason"
+              value={postReason}
+              onChange={(e) => setPostReason(e.target.value)}
+              placeholder="e.g., Month-end count, damaged rolls written off"
+            />
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setShowPost(false)}>
+              Back
+            </Button>
+            <Button
+              onClick={handlePost}
+              disabled={
+                (summary.varianceLines > 0 && !postReason.trim()) || postStocktake.isPending
+              }
+            >
+              {postStocktake.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Post Adjustments
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      {/* Cancel Dialog */}
+      <Dialog open={showCancel} onOpenChange={setShowCancel}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Cancel {stocktake.sessionNumber}?</DialogTitle>
+          </DialogHeader>
+          <div className="space-y-2 py-2">
+            <p className="text-sm text-muted-foreground">
+              The counts are kept on the session but no stock is adjusted.
+            </p>
+            <Label htmlFor="cancel-reason">Reason (optional)</Label>
+            <Textarea
+              id="cancel-reason"
+              value={cancelReason}
+              onChange={(e) => setCancelReason(e.target.value)}
+              placeholder="e.g., Started on the wrong racks"
+            />
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setShowCancel(false)}>
+              Keep Session
+            </Button>
+            <Button
+              variant="destructive"
+              onClick={handleCancel}
+              disabled={cancelStocktake.isPending}
+            >
+              {cancelStocktake.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Cancel Session
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  )
+}
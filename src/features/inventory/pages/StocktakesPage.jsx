@@ -0,0 +1,306 @@
+/**
+ * Stocktakes Page
+ * src/features/inventory/pages/StocktakesPage.jsx
+ *
+ * Cycle count sessions, newest first. A new session covers one category or a
+ * range of racks and lists every location (or ready stock size) held there.
+ */
+
+import { useState } from "react"
+import { Link, useNavigate, useSearchParams } from "react-router-dom"
+import { format } from "date-fns"
+import { toast } from "sonner"
+import { ArrowLeft, ClipboardList, Loader2, Plus } from "lucide-react"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select"
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table"
+import { STOCKTAKE_SCOPE, STOCKTAKE_STATUS_CONFIG } from "@/constants/orderConstants"
+import { useAuth } from "@/features/auth/hooks/useAuth"
+import { hasPermission } from "@/lib/rbac"
+import { useStocktakes, useCreateStocktake } from "@/hooks/useStocktakes"
+import StocktakeStatusBadge from "../components/StocktakeStatusBadge"
+
+const ALL = "all"
+
+const CATEGORY_OPTIONS = [
+  { value: "FABRIC", label: "Fabrics" },
+  { value: "MULTI_HEAD", label: "Multi-Head Embroidery" },
+  { value: "ADA_MATERIAL", label: "ADA Materials" },
+  { value: "RAW_MATERIAL", label: "Raw Materials" },
+  { value: "READY_STOCK", label: "Ready Stock" },
+  { value: "READY_SAMPLE", label: "Ready Samples" },
+]
+
+const formatVariance = (value) => `${value > 0 ? "+" : ""}${value.toLocaleString()}`
+
+function NewStocktakeDialog({ open, onOpenChange }) {
+  const navigate = useNavigate()
+  const createStocktake = useCreateStocktake()
+
+  const [scopeType, setScopeType] = useState(STOCKTAKE_SCOPE.CATEGORY)
+  const [category, setCategory] = useState("")
+  const [rackFrom, setRackFrom] = useState("")
+  const [rackTo, setRackTo] = useState("")
+  const [notes, setNotes] = useState("")
+
+  const canCreate =
+    scopeType === STOCKTAKE_SCOPE.CATEGORY ? !!category : !!rackFrom.trim() && !!rackTo.trim()
+
+  const handleCreate = () => {
+    createStocktake.mutate(
+      { scopeType, category, rackFrom, rackTo, notes: notes.trim() },
+      {
+        onSuccess: (stocktake) => {
+          toast.success(`${stocktake.sessionNumber} opened with ${stocktake.lines.length} lines`)
+          onOpenChange(false)
+          navigate(`/inventory/stocktakes/${stocktake.id}`)
+        },
+        onError: (error) => toast.error(error.message || "Failed to open stocktake"),
+      }
+    )
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>New Stocktake</DialogTitle>
+          <DialogDescription>
+            Count everything in one category or on a range of racks
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4 py-2">
+          <div className="space-y-2">
+            <Label>Count by</Label>
+            <Select value={scopeType} onValueChange={setScopeType}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={STOCKTAKE_SCOPE.CATEGORY}>Category</SelectItem>
+                <SelectItem value={STOCKTAKE_SCOPE.RACK_RANGE}>Rack range</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+
+          {scopeType === STOCKTAKE_SCOPE.CATEGORY ? (
+            <div className="space-y-2">
+              <Label>Category</Label>
+              <Select value={category} onValueChange={setCategory}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Select a category" />
+                </SelectTrigger>
+                <SelectContent>
+                  {CATEGORY_OPTIONS.map((option) => (
+                    <SelectItem key={option.value} value={option.value}>
+                      {option.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          ) : (
+            <div className="grid grid-cols-2 gap-3">
+              <div className="space-y-2">
+                <Label htmlFor="rack-from">From rack</Label>
+                <Input
+                  id="rack-from"
+                  value={rackFrom}
+                  onChange={(e) => setRackFrom(e.target.value)}
+                  placeholder="e.g., A1"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="rack-to">To rack</Label>
+                <Input
+                  id="rack-to"
+                  value={rackTo}
+                  onChange={(e) => setRackTo(e.target.value)}
+                  placeholder="e.g., A9"
+                />
+              </div>
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <Label htmlFor="stocktake-notes">Notes (optional)</Label>
+            <Textarea
+              id="stocktake-notes"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              placeholder="e.g., Month-end count"
+            />
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button onClick={handleCreate} disabled={!canCreate || createStocktake.isPending}>
+            {createStocktake.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Start Count
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default function StocktakesPage() {
+  const { user } = useAuth()
+  const canCount = hasPermission(user, "inventory.count")
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [showNew, setShowNew] = useState(false)
+
+  const status = searchParams.get("status") || ALL
+  const { data: stocktakes = [], isLoading } = useStocktakes(status !== ALL ? { status } : {})
+
+  const setStatus = (value) => {
+    const next = new URLSearchParams(searchParams)
+    if (value === ALL) next.delete("status")
+    else next.set("status", value)
+    setSearchParams(next)
+  }
+
+  return (
+    <div className="container mx-auto py-6 px-4 max-w-7xl space-y-6">
+      {/* Header */}
+      <div>
+        <Button variant="ghost" size="sm" asChild className="mb-2 -ml-2">
+          <Link to="/inventory">
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            Inventory
+          </Link>
+        </Button>
+        <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold tracking-tight">Stocktakes</h1>
+            <p className="text-muted-foreground mt-2">
+              Count what is on the racks and post the differences as adjustments
+            </p>
+          </div>
+          {canCount && (
+            <Button onClick={() => setShowNew(true)}>
+              <Plus className="h-4 w-4 mr-2" />
+              New Stocktake
+            </Button>
+          )}
+        </div>
+      </div>
+
+      <Card>
+        <CardHeader className="pb-3">
+          <div className="flex flex-col md:flex-row md:items-center justify-between gap-3">
+            <CardTitle className="text-lg flex items-center gap-2">
+              <ClipboardList className="h-5 w-5" />
+              Sessions
+            </CardTitle>
+            <Select value={status} onValueChange={setStatus}>
+              <SelectTrigger className="w-44">
+                <SelectValue placeholder="Status" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL}>All Statuses</SelectItem>
+                {Object.entries(STOCKTAKE_STATUS_CONFIG).map(([value, config]) => (
+                  <SelectItem key={value} value={value}>
+                    {config.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {isLoading ? (
+            <div className="flex items-center justify-center h-32">
+              <Loader2 className="h-6 w-6 animate-spin" />
+            </div>
+          ) : stocktakes.length === 0 ? (
+            <div className="text-center py-8 text-muted-foreground">
+              <ClipboardList className="h-12 w-12 mx-auto mb-3 opacity-50" />
+              <p>No stocktakes found</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Session</TableHead>
+                    <TableHead>Scope</TableHead>
+                    <TableHead>Status</TableHead>
+                    <TableHead className="text-right">Counted</TableHead>
+                    <TableHead className="text-right">Variances</TableHead>
+                    <TableHead className="text-right">Net Value</TableHead>
+                    <TableHead>Opened</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {stocktakes.map((stocktake) => (
+                    <TableRow key={stocktake.id}>
+                      <TableCell>
+                        <Link
+                          to={`/inventory/stocktakes/${stocktake.id}`}
+                          className="font-medium text-blue-600 hover:underline"
+                        >
+                          {stocktake.sessionNumber}
+                        </Link>
+                      </TableCell>
+                      <TableCell>{stocktake.scopeLabel}</TableCell>
+                      <TableCell>
+                        <StocktakeStatusBadge status={stocktake.status} />
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {stocktake.summary.countedLines} / {stocktake.summary.totalLines}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {stocktake.summary.varianceLines}
+                      </TableCell>
+                      <TableCell
+                        className={`text-right ${stocktake.summary.netValue < 0 ? "text-red-600" : ""}`}
+                      >
+                        PKR {formatVariance(stocktake.summary.netValue)}
+                      </TableCell>
+                      <TableCell className="text-sm text-muted-foreground">
+                        {format(new Date(stocktake.createdAt), "MMM d, yyyy")} ·{" "}
+                        {stocktake.createdBy}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {showNew && <NewStocktakeDialog open={showNew} onOpenChange={setShowNew} />}
+    </div>
+  )
+}
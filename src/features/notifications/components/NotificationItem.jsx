@@ -0,0 +1,58 @@
+/**
+ * NotificationItem.jsx
+ * One inbox row - used by the topbar bell and the notifications page.
+ * Opening a notification marks it read and follows its link.
+ *
+ * File: src/features/notifications/components/NotificationItem.jsx
+ */
+
+import { formatDistanceToNow } from "date-fns"
+import { useNavigate } from "react-router-dom"
+import { Badge } from "@/components/ui/badge"
+import { NOTIFICATION_EVENT_CONFIG } from "@/constants/orderConstants"
+import { useMarkNotificationRead } from "@/hooks/useNotifications"
+
+export default function NotificationItem({ notification, showEvent = false, onOpen }) {
+  const navigate = useNavigate()
+  const markReadMutation = useMarkNotificationRead()
+
+  const config = NOTIFICATION_EVENT_CONFIG[notification.event]
+  const isUnread = !notification.readAt
+
+  const handleOpen = () => {
+    if (isUnread) markReadMutation.mutate(notification.id)
+    if (notification.link) navigate(notification.link)
+    onOpen?.()
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={handleOpen}
+      className={`w-full text-left flex gap-3 px-3 py-2.5 rounded-md transition-colors hover:bg-slate-100 ${
+        isUnread ? "bg-blue-50/60" : ""
+      }`}
+    >
+      <span
+        className={`mt-1.5 h-2 w-2 shrink-0 rounded-full ${isUnread ? "bg-blue-600" : "bg-transparent"}`}
+      />
+      <span className="flex-1 min-w-0 space-y-0.5">
+        <span className="flex items-center gap-2">
+          <span className={`text-sm truncate ${isUnread ? "font-semibold" : "font-medium"}`}>
+            {notification.title}
+          </span>
+          {showEvent && config && (
+            <Badge className={`${config.color} text-[10px] px-1.5 py-0 shrink-0`}>
+              {config.label}
+            </Badge>
+          )}
+        </span>
+        <span className="block text-xs text-slate-600 line-clamp-2">{notification.message}</span>
+        <span className="block text-xs text-muted-foreground">
+          {notification.actorName} ·{" "}
+          {formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })}
+        </span>
+      </span>
+    </button>
+  )
+}
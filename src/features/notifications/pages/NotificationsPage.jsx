@@ -0,0 +1,192 @@
+/**
+ * Notifications Page
+ * src/features/notifications/pages/NotificationsPage.jsx
+ *
+ * The signed-in user's full inbox of workflow events, and which of those
+ * events they want to receive. Muted events are not delivered at all, so
+ * unmuting does not bring back what was missed.
+ */
+
+import { useState } from "react"
+import { Bell, CheckCheck, Loader2, Settings } from "lucide-react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Label } from "@/components/ui/label"
+import { Switch } from "@/components/ui/switch"
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
+import { NOTIFICATION_EVENT_CONFIG } from "@/constants/orderConstants"
+import {
+  useMarkAllNotificationsRead,
+  useNotificationPreferences,
+  useNotifications,
+  useUpdateNotificationPreferences,
+} from "@/hooks/useNotifications"
+import NotificationItem from "../components/NotificationItem"
+
+const INBOX_LIMIT = 200
+
+function InboxTab() {
+  const [unreadOnly, setUnreadOnly] = useState(false)
+  const { data, isLoading } = useNotifications({
+    limit: INBOX_LIMIT,
+    ...(unreadOnly && { status: "unread" }),
+  })
+  const markAllReadMutation = useMarkAllNotificationsRead()
+
+  const notifications = data?.notifications || []
+  const unreadCount = data?.unreadCount || 0
+
+  return (
+    <Card>
+      <CardHeader className="pb-3">
+        <div className="flex flex-col md:flex-row md:items-center justify-between gap-3">
+          <CardTitle className="text-lg flex items-center gap-2">
+            <Bell className="h-5 w-5" />
+            Inbox
+            {unreadCount > 0 && (
+              <span className="text-sm font-normal text-muted-foreground">
+                ({unreadCount} unread)
+              </span>
+            )}
+          </CardTitle>
+          <div className="flex items-center gap-4">
+            <div className="flex items-center gap-2">
+              <Switch id="unread-only" checked={unreadOnly} onCheckedChange={setUnreadOnly} />
+              <Label htmlFor="unread-only">Unread only</Label>
+            </div>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => markAllReadMutation.mutate()}
+              disabled={unreadCount === 0 || markAllReadMutation.isPending}
+            >
+              <CheckCheck className="h-4 w-4 mr-1" />
+              Mark all read
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex items-center justify-center h-32">
+            <Loader2 className="h-6 w-6 animate-spin" />
+          </div>
+        ) : notifications.length === 0 ? (
+          <div className="text-center py-8 text-muted-foreground">
+            <Bell className="h-12 w-12 mx-auto mb-3 opacity-50" />
+            <p>{unreadOnly ? "No unread notifications" : "No notifications yet"}</p>
+          </div>
+        ) : (
+          <div className="divide-y">
+            {notifications.map((notification) => (
+              <NotificationItem key={notification.id} notification={notification} showEvent />
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+function PreferencesForm({ preferences }) {
+  const [mutedEvents, setMutedEvents] = useState(preferences.mutedEvents)
+  const updatePreferencesMutation = useUpdateNotificationPreferences()
+
+  const toggleEvent = (event, enabled) => {
+    setMutedEvents((muted) =>
+      enabled ? muted.filter((e) => e !== event) : [...new Set([...muted, event])]
+    )
+  }
+
+  if (preferences.receivableEvents.length === 0) {
+    return (
+      <p className="text-sm text-muted-foreground py-4">
+        None of the workflow notifications apply to your permissions
+      </p>
+    )
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="divide-y">
+        {preferences.receivableEvents.map((event) => {
+          const config = NOTIFICATION_EVENT_CONFIG[event]
+          return (
+            <div key={event} className="flex items-center justify-between gap-4 py-3">
+              <div>
+                <Label htmlFor={`event-${event}`}>{config.label}</Label>
+                <p className="text-sm text-muted-foreground">{config.description}</p>
+              </div>
+              <Switch
+                id={`event-${event}`}
+                checked={!mutedEvents.includes(event)}
+                onCheckedChange={(enabled) => toggleEvent(event, enabled)}
+              />
+            </div>
+          )
+        })}
+      </div>
+      <div className="flex justify-end">
+        <Button
+          onClick={() => updatePreferencesMutation.mutate(mutedEvents)}
+          disabled={updatePreferencesMutation.isPending}
+        >
+          {updatePreferencesMutation.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+          Save Preferences
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+function PreferencesTab() {
+  const { data: preferences, isLoading } = useNotificationPreferences()
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-lg flex items-center gap-2">
+          <Settings className="h-5 w-5" />
+          Preferences
+        </CardTitle>
+        <CardDescription>Choose which workflow events reach your inbox</CardDescription>
+      </CardHeader>
+      <CardContent>
+        {isLoading || !preferences ? (
+          <div className="flex items-center justify-center h-32">
+            <Loader2 className="h-6 w-6 animate-spin" />
+          </div>
+        ) : (
+          <PreferencesForm key={preferences.updatedAt} preferences={preferences} />
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default function NotificationsPage() {
+  return (
+    <div className="container mx-auto py-6 px-4 max-w-4xl space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-bold tracking-tight">Notifications</h1>
+        <p className="text-muted-foreground mt-2">
+          Packets, rework, re-video requests and assignments that need you
+        </p>
+      </div>
+
+      <Tabs defaultValue="inbox">
+        <TabsList>
+          <TabsTrigger value="inbox">Inbox</TabsTrigger>
+          <TabsTrigger value="preferences">Preferences</TabsTrigger>
+        </TabsList>
+        <TabsContent value="inbox" className="mt-4">
+          <InboxTab />
+        </TabsContent>
+        <TabsContent value="preferences" className="mt-4">
+          <PreferencesTab />
+        </TabsContent>
+      </Tabs>
+    </div>
+  )
+}
@@ -0,0 +1,116 @@
+import { useState } from "react"
+import { format } from "date-fns"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { ChevronDown, ChevronUp, Loader2, Mail, MessageSquare, RotateCw } from "lucide-react"
+import {
+  CLIENT_MESSAGE_CHANNEL_CONFIG,
+  CLIENT_MESSAGE_STATUS,
+  CLIENT_MESSAGE_STATUS_CONFIG,
+} from "@/constants/orderConstants"
+import { useOrderClientMessages, useRetryClientMessage } from "@/hooks/useClientMessages"
+
+/**
+ * ClientMessagesPanel - Messages sent to the customer about an order
+ * Lists each message with its delivery status; failed ones can be retried
+ * by users who can send to clients.
+ */
+export default function ClientMessagesPanel({ orderId, canSend }) {
+  const [expandedId, setExpandedId] = useState(null)
+  const { data: messages, isLoading } = useOrderClientMessages(orderId)
+  const retryMessage = useRetryClientMessage()
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <Loader2 className="h-6 w-6 animate-spin text-slate-400" />
+      </div>
+    )
+  }
+
+  if (!messages?.length) {
+    return (
+      <div className="text-center py-8 text-slate-500">
+        <MessageSquare className="h-8 w-8 mx-auto mb-2 text-slate-300" />
+        No messages have been sent to the customer yet
+      </div>
+    )
+  }
+
+  return (
+    <div className="divide-y">
+      {messages.map((message) => {
+        const statusConfig = CLIENT_MESSAGE_STATUS_CONFIG[message.status]
+        const isExpanded = expandedId === message.id
+
+        return (
+          <div key={message.id} className="py-3">
+            <div className="flex items-start justify-between gap-4">
+              <div className="min-w-0">
+                <div className="flex items-center gap-2">
+                  <Mail className="h-4 w-4 text-slate-400 shrink-0" />
+                  <span className="font-medium truncate">
+                    {message.subject || CLIENT_MESSAGE_CHANNEL_CONFIG[message.channel]?.label}
+                  </span>
+                  <Badge className={statusConfig.color}>{statusConfig.label}</Badge>
+                </div>
+                <p className="text-sm text-slate-500 mt-1">
+                  {CLIENT_MESSAGE_CHANNEL_CONFIG[message.channel]?.label} to {message.to} •{" "}
+                  {message.createdByName} •{" "}
+                  {format(new Date(message.createdAt), "MMM d, yyyy h:mm a")}
+                  {message.attempts > 1 && ` • ${message.attempts} attempts`}
+                </p>
+                {message.error && <p className="text-sm text-red-600 mt-1">{message.error}</p>}
+              </div>
+              <div className="flex items-center gap-1 shrink-0">
+                {canSend && message.status === CLIENT_MESSAGE_STATUS.FAILED && (
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => retryMessage.mutate(message.id)}
+                    disabled={retryMessage.isPending}
+                  >
+                    {retryMessage.isPending && retryMessage.variables === message.id ? (
+                      <Loader2 className="h-3.5 w-3.5 mr-1 animate-spin" />
+                    ) : (
+                      <RotateCw className="h-3.5 w-3.5 mr-1" />
+                    )}
+                    Retry
+                  </Button>
+                )}
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  onClick={() => setExpandedId(isExpanded ? null : message.id)}
+                >
+                  {isExpanded ? (
+                    <ChevronUp className="h-4 w-4" />
+                  ) : (
+                    <ChevronDown className="h-4 w-4" />
+                  )}
+                </Button>
+              </div>
+            </div>
+
+            {isExpanded && (
+              <div className="mt-3 space-y-3">
+                <pre className="bg-slate-50 rounded p-3 text-xs whitespace-pre-wrap font-sans">
+                  {message.body}
+                </pre>
+                <div className="space-y-1">
+                  {message.statusHistory.map((entry, idx) => (
+                    <div key={idx} className="text-xs text-slate-500">
+                      {format(new Date(entry.at), "MMM d, h:mm a")} —{" "}
+                      {CLIENT_MESSAGE_STATUS_CONFIG[entry.status].label}
+                      {entry.detail && ` (${entry.detail})`}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
@@ -0,0 +1,199 @@
+import { useState } from "react"
+import { format } from "date-fns"
+import { toast } from "sonner"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select"
+import { Ban, Copy, Globe, Link2, Loader2 } from "lucide-react"
+import {
+  ORDER_FORM_SECTIONS,
+  PORTAL_LINK_DEFAULT_DAYS,
+  PORTAL_LINK_STATUS,
+  PORTAL_LINK_STATUS_CONFIG,
+  PORTAL_RESPONSE_ACTION_CONFIG,
+} from "@/constants/orderConstants"
+import { useCreatePortalLink, useOrderPortalLinks, useRevokePortalLink } from "@/hooks/usePortal"
+
+const VALIDITY_OPTIONS = [1, 3, 7, 14, 30]
+
+const formatDateTime = (date) => format(new Date(date), "MMM d, yyyy h:mm a")
+
+const getPortalUrl = (link) => `${window.location.origin}/portal/${link.token}`
+
+const sectionLabel = (sectionName) =>
+  ORDER_FORM_SECTIONS.find((s) => s.value === sectionName)?.label || sectionName
+
+/**
+ * CustomerPortalPanel - Links that let the customer answer without logging in
+ * Sales shares a link to the order; the customer reviews the order forms and
+ * videos and approves, asks for changes or comments. Every answer is listed
+ * with the IP address and time it came from as proof.
+ */
+export default function CustomerPortalPanel({ order, canShare }) {
+  const [expiresInDays, setExpiresInDays] = useState(String(PORTAL_LINK_DEFAULT_DAYS))
+  const { data, isLoading } = useOrderPortalLinks(order.id)
+  const createLink = useCreatePortalLink()
+  const revokeLink = useRevokePortalLink()
+
+  const links = data?.links || []
+  const responses = data?.responses || []
+
+  const itemName = (orderItemId) =>
+    order.items?.find((i) => i.id === orderItemId)?.productName || orderItemId
+
+  const handleCopy = async (link) => {
+    try {
+      await navigator.clipboard.writeText(getPortalUrl(link))
+      toast.success("Link copied - send it to the customer")
+    } catch {
+      toast.error("Could not copy the link")
+    }
+  }
+
+  const handleCreate = () =>
+    createLink.mutate(
+      { orderId: order.id, expiresInDays: Number(expiresInDays) },
+      { onSuccess: (link) => handleCopy(link) }
+    )
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <Loader2 className="h-6 w-6 animate-spin text-slate-400" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {canShare && (
+        <div className="flex flex-wrap items-center gap-2">
+          <Select value={expiresInDays} onValueChange={setExpiresInDays}>
+            <SelectTrigger className="w-40">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {VALIDITY_OPTIONS.map((days) => (
+                <SelectItem key={days} value={String(days)}>
+                  Valid {days} {days === 1 ? "day" : "days"}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button size="sm" onClick={handleCreate} disabled={createLink.isPending}>
+            {createLink.isPending ? (
+              <Loader2 className="h-3.5 w-3.5 mr-1 animate-spin" />
+            ) : (
+              <Link2 className="h-3.5 w-3.5 mr-1" />
+            )}
+            Create &amp; Copy Link
+          </Button>
+        </div>
+      )}
+
+      {/* Links */}
+      {links.length === 0 ? (
+        <div className="text-center py-8 text-slate-500">
+          <Globe className="h-8 w-8 mx-auto mb-2 text-slate-300" />
+          No portal links have been shared for this order yet
+        </div>
+      ) : (
+        <div className="divide-y border rounded-lg">
+          {links.map((link) => {
+            const statusConfig = PORTAL_LINK_STATUS_CONFIG[link.status]
+            const isActive = link.status === PORTAL_LINK_STATUS.ACTIVE
+
+            return (
+              <div key={link.id} className="p-3 flex items-start justify-between gap-4">
+                <div className="min-w-0 text-sm">
+                  <div className="flex items-center gap-2">
+                    <Badge className={statusConfig.color}>{statusConfig.label}</Badge>
+                    <span className="text-slate-600">
+                      {link.revokedAt
+                        ? `Revoked by ${link.revokedByName} on ${formatDateTime(link.revokedAt)}`
+                        : `${isActive ? "Expires" : "Expired"} ${formatDateTime(link.expiresAt)}`}
+                    </span>
+                  </div>
+                  <p className="text-slate-500 mt-1">
+                    {link.createdByName} • {formatDateTime(link.createdAt)} •{" "}
+                    {link.openCount > 0
+                      ? `Opened ${link.openCount} ${link.openCount === 1 ? "time" : "times"}, last ${formatDateTime(link.lastOpenedAt)}`
+                      : "Not opened yet"}
+                  </p>
+                </div>
+                {isActive && (
+                  <div className="flex gap-1 shrink-0">
+                    <Button size="sm" variant="ghost" onClick={() => handleCopy(link)}>
+                      <Copy className="h-4 w-4 mr-1" />
+                      Copy
+                    </Button>
+                    {canShare && (
+                      <Button
+                        size="sm"
+                        variant="ghost"
+                        className="text-red-600 hover:text-red-700"
+                        onClick={() => revokeLink.mutate({ orderId: order.id, linkId: link.id })}
+                        disabled={revokeLink.isPending}
+                      >
+                        <Ban className="h-4 w-4 mr-1" />
+                        Revoke
+                      </Button>
+                    )}
+                  </div>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      )}
+
+      {/* Responses - the customer's answers, kept as proof */}
+      {responses.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-sm font-medium text-slate-700">Customer Responses</p>
+          <div className="divide-y border rounded-lg">
+            {responses.map((response) => {
+              const actionConfig = PORTAL_RESPONSE_ACTION_CONFIG[response.action]
+
+              return (
+                <div key={response.id} className="p-3 text-sm space-y-1">
+                  <div className="flex items-center gap-2">
+                    <Badge className={actionConfig.color}>{actionConfig.label}</Badge>
+                    {response.orderItemId && (
+                      <span className="text-slate-700">{itemName(response.orderItemId)}</span>
+                    )}
+                  </div>
+                  {response.sections.length > 0 && (
+                    <ul className="list-disc pl-5 text-slate-700">
+                      {response.sections.map((section, index) => (
+                        <li key={index}>
+                          <span className="capitalize">{sectionLabel(section.sectionName)}</span>
+                          {section.orderItemId !== response.orderItemId &&
+                            ` (${itemName(section.orderItemId)})`}
+                          {section.notes && ` - ${section.notes}`}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  {response.comment && (
+                    <p className="text-slate-700 italic">&quot;{response.comment}&quot;</p>
+                  )}
+                  <p className="text-xs text-slate-500">
+                    {formatDateTime(response.respondedAt)} • IP {response.ip}
+                    {response.userAgent && ` • ${response.userAgent}`}
+                  </p>
+                </div>
+              )
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
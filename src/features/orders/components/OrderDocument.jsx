@@ -0,0 +1,228 @@
+import { forwardRef } from "react"
+import { format, parseISO } from "date-fns"
+import { ORDER_DOCUMENT_TYPE, PAYMENT_ENTRY_TYPE_CONFIG } from "@/constants/orderConstants"
+
+const formatDate = (date) => (date ? format(parseISO(date), "MMMM d, yyyy") : "—")
+
+const formatMoney = (amount) =>
+  (amount || 0).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+
+const TITLES = {
+  [ORDER_DOCUMENT_TYPE.PROFORMA]: "PROFORMA INVOICE",
+  [ORDER_DOCUMENT_TYPE.INVOICE]: "INVOICE",
+  [ORDER_DOCUMENT_TYPE.RECEIPT]: "PAYMENT RECEIPT",
+}
+
+const FOOTNOTES = {
+  [ORDER_DOCUMENT_TYPE.PROFORMA]:
+    "This proforma is a quotation for the order and is not a demand for payment.",
+  [ORDER_DOCUMENT_TYPE.INVOICE]: "Thank you for your order.",
+  [ORDER_DOCUMENT_TYPE.RECEIPT]: "Thank you for your payment.",
+}
+
+function TotalRow({ label, value, bold }) {
+  return (
+    <div className={`flex justify-between px-3 py-1 ${bold ? "font-semibold" : ""}`}>
+      <span>{label}</span>
+      <span>{value}</span>
+    </div>
+  )
+}
+
+/**
+ * OrderDocument - Printable proforma invoice, invoice or payment receipt
+ * Renders the content frozen when the document was generated, so every
+ * version prints as it was issued. Printed on its own via printElement.
+ */
+const OrderDocument = forwardRef(({ document }, ref) => {
+  const { content, type } = document
+  const { branding, customer, currency } = content
+  const isReceipt = type === ORDER_DOCUMENT_TYPE.RECEIPT
+  const money = (amount) => `${currency} ${formatMoney(amount)}`
+
+  return (
+    <div ref={ref} className="bg-white p-8 max-w-3xl mx-auto text-sm text-slate-900">
+      {/* Letterhead */}
+      <div className="flex items-start justify-between border-b-2 border-slate-900 pb-4 mb-6">
+        <div className="flex items-start gap-3">
+          {branding.logoUrl && (
+            <img src={branding.logoUrl} alt={branding.name} className="h-14 w-auto" />
+          )}
+          <div>
+            <p className="text-xl font-bold">{branding.name}</p>
+            {branding.address && <p className="text-slate-600">{branding.address}</p>}
+            <p className="text-slate-600">
+              {[branding.phone, branding.email, branding.website].filter(Boolean).join(" · ")}
+            </p>
+          </div>
+        </div>
+        <div className="text-right">
+          <h1 className="text-2xl font-bold">{TITLES[type]}</h1>
+          <p className="text-slate-600 mt-1">
+            {document.number}
+            {document.version > 1 && ` (version ${document.version})`}
+          </p>
+          <p>
+            <span className="text-slate-500">Date:</span> {formatDate(content.issuedAt)}
+          </p>
+          <p>
+            <span className="text-slate-500">Order:</span> {content.orderNumber}
+          </p>
+          <p>
+            <span className="text-slate-500">Order date:</span> {formatDate(content.orderDate)}
+          </p>
+        </div>
+      </div>
+
+      {/* Customer */}
+      <section className="mb-6">
+        <h2 className="font-semibold bg-slate-100 px-3 py-2 mb-3">
+          {isReceipt ? "Received From" : "Bill To"}
+        </h2>
+        <div className="px-3 space-y-0.5">
+          <p className="font-medium">{customer.name}</p>
+          {customer.address && <p>{customer.address}</p>}
+          {!customer.address && customer.destination && <p>{customer.destination}</p>}
+          {customer.phone && <p>{customer.phone}</p>}
+          {customer.email && <p>{customer.email}</p>}
+        </div>
+      </section>
+
+      {isReceipt ? (
+        /* Receipt - the payment it acknowledges */
+        <section className="mb-6">
+          <h2 className="font-semibold bg-slate-100 px-3 py-2 mb-3">Payment</h2>
+          <div className="grid grid-cols-2 gap-2 px-3">
+            <p>
+              <span className="text-slate-500">Amount received:</span>{" "}
+              <span className="font-semibold">
+                {content.payment.receivedCurrency} {formatMoney(content.payment.receivedAmount)}
+              </span>
+            </p>
+            <p>
+              <span className="text-slate-500">Received on:</span>{" "}
+              {formatDate(content.payment.receivedAt)}
+            </p>
+            <p>
+              <span className="text-slate-500">Method:</span> {content.payment.method}
+            </p>
+            {content.payment.reference && (
+              <p>
+                <span className="text-slate-500">Reference:</span> {content.payment.reference}
+              </p>
+            )}
+            {content.payment.receivedCurrency !== currency && (
+              <p className="col-span-2">
+                <span className="text-slate-500">Credited to the order:</span>{" "}
+                {money(content.payment.amount)}
+              </p>
+            )}
+          </div>
+        </section>
+      ) : (
+        /* Invoice lines */
+        <table className="w-full border-collapse mb-4">
+          <thead>
+            <tr className="bg-slate-100 text-left">
+              <th className="px-3 py-2">#</th>
+              <th className="px-3 py-2">Item</th>
+              <th className="px-3 py-2">Size</th>
+              <th className="px-3 py-2 text-right">Qty</th>
+              <th className="px-3 py-2 text-right">Unit Price</th>
+              <th className="px-3 py-2 text-right">Amount</th>
+            </tr>
+          </thead>
+          <tbody>
+            {content.lines.map((line, index) => (
+              <tr key={index} className="border-b border-slate-200 align-top">
+                <td className="px-3 py-2">{index + 1}</td>
+                <td className="px-3 py-2">
+                  <p className="font-medium">{line.productName}</p>
+                  {line.productSku && <p className="text-xs text-slate-500">{line.productSku}</p>}
+                  {line.includedItems.length > 0 && (
+                    <p className="text-xs text-slate-600 capitalize">
+                      Includes: {line.includedItems.join(", ")}
+                    </p>
+                  )}
+                  {line.addOns.length > 0 && (
+                    <p className="text-xs text-slate-600 capitalize">
+                      Add-ons: {line.addOns.join(", ")}
+                    </p>
+                  )}
+                </td>
+                <td className="px-3 py-2">{line.size || "—"}</td>
+                <td className="px-3 py-2 text-right">{line.quantity}</td>
+                <td className="px-3 py-2 text-right">
+                  {content.linesPriced ? formatMoney(line.unitPrice) : "—"}
+                </td>
+                <td className="px-3 py-2 text-right">
+                  {content.linesPriced ? formatMoney(line.amount) : "—"}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {/* Totals */}
+      <div className="flex justify-end mb-6">
+        <div className="w-72">
+          {!isReceipt && (
+            <>
+              <TotalRow label="Subtotal" value={money(content.subtotal)} />
+              {content.discount > 0 && (
+                <TotalRow label="Discount" value={`- ${money(content.discount)}`} />
+              )}
+              {content.extraCharges > 0 && (
+                <TotalRow label="Extra charges" value={money(content.extraCharges)} />
+              )}
+              {content.adjustment !== 0 && (
+                <TotalRow label="Adjustments" value={money(content.adjustment)} />
+              )}
+            </>
+          )}
+          <div className="border-t border-slate-900 mt-1 pt-1">
+            <TotalRow label="Order total" value={money(content.total)} bold />
+          </div>
+          <TotalRow label="Paid to date" value={money(content.netPaid)} />
+          <div className="bg-slate-100">
+            <TotalRow label="Balance due" value={money(content.balanceDue)} bold />
+          </div>
+        </div>
+      </div>
+
+      {/* Payments received - invoices list the ledger */}
+      {!isReceipt && content.payments.length > 0 && (
+        <section className="mb-6">
+          <h2 className="font-semibold bg-slate-100 px-3 py-2 mb-3">Payments Received</h2>
+          <table className="w-full border-collapse">
+            <tbody>
+              {content.payments.map((payment) => (
+                <tr key={payment.id} className="border-b border-slate-200">
+                  <td className="px-3 py-1">{formatDate(payment.receivedAt)}</td>
+                  <td className="px-3 py-1">
+                    {PAYMENT_ENTRY_TYPE_CONFIG[payment.type]?.label} · {payment.method}
+                    {payment.reference && ` · ${payment.reference}`}
+                  </td>
+                  <td className="px-3 py-1 text-right">{money(payment.amount)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+
+      {/* Footer */}
+      {content.consultantName && (
+        <p className="text-slate-500 mb-2">Your consultant: {content.consultantName}</p>
+      )}
+      <p className="text-center text-xs text-slate-500 mt-10">
+        {FOOTNOTES[type]} Please quote {document.number} with any payment or query.
+      </p>
+    </div>
+  )
+})
+
+OrderDocument.displayName = "OrderDocument"
+
+export default OrderDocument
@@ -0,0 +1,76 @@
+import { useRef, useState } from "react"
+import { toast } from "sonner"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Download, Loader2, Printer } from "lucide-react"
+import { format } from "date-fns"
+import { ORDER_DOCUMENT_TYPE_CONFIG } from "@/constants/orderConstants"
+import { downloadElementPdf, printElement } from "@/lib/print"
+import OrderDocument from "./OrderDocument"
+
+/**
+ * OrderDocumentDialog - Preview one version of an order document
+ * Downloads it as a PDF file or prints it on its own.
+ */
+export default function OrderDocumentDialog({ document, onClose }) {
+  const documentRef = useRef(null)
+  const [isDownloading, setIsDownloading] = useState(false)
+  const fileName = `${document.number}${document.version > 1 ? `-v${document.version}` : ""}`
+
+  const handleDownload = async () => {
+    setIsDownloading(true)
+    try {
+      await downloadElementPdf(documentRef.current, fileName)
+    } catch {
+      toast.error("Failed to create the PDF")
+    } finally {
+      setIsDownloading(false)
+    }
+  }
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-4xl">
+        <DialogHeader>
+          <DialogTitle>
+            {ORDER_DOCUMENT_TYPE_CONFIG[document.type].label} {document.number}
+          </DialogTitle>
+          <DialogDescription>
+            Version {document.version} generated by {document.generatedByName} on{" "}
+            {format(new Date(document.generatedAt), "MMM d, yyyy h:mm a")}
+            {!document.isCurrent && " — superseded by a newer version"}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="max-h-[65vh] overflow-y-auto border rounded-lg bg-slate-50">
+          <OrderDocument ref={documentRef} document={document} />
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose}>
+            Close
+          </Button>
+          <Button variant="outline" onClick={handleDownload} disabled={isDownloading}>
+            {isDownloading ? (
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <Download className="h-4 w-4 mr-2" />
+            )}
+            Download PDF
+          </Button>
+          <Button onClick={() => printElement(documentRef.current, fileName)}>
+            <Printer className="h-4 w-4 mr-2" />
+            Print
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
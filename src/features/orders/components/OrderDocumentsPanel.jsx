@@ -0,0 +1,177 @@
+import { useState } from "react"
+import { format } from "date-fns"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Eye, FileText, Loader2, Receipt, RotateCw } from "lucide-react"
+import {
+  ORDER_DOCUMENT_TYPE,
+  ORDER_DOCUMENT_TYPE_CONFIG,
+  PAYMENT_ENTRY_TYPE,
+} from "@/constants/orderConstants"
+import { getActivePayments } from "@/lib/payments"
+import { useGenerateOrderDocument, useOrderDocuments } from "@/hooks/useOrderDocuments"
+import OrderDocumentDialog from "./OrderDocumentDialog"
+
+const formatGenerated = (document) =>
+  `${document.generatedByName} • ${format(new Date(document.generatedAt), "MMM d, yyyy h:mm a")}`
+
+/**
+ * OrderDocumentsPanel - Proforma, invoice and receipts attached to an order
+ * Users who can generate documents issue them here; generating one that
+ * exists adds a version under the same number. Every version can be opened,
+ * printed or downloaded.
+ */
+export default function OrderDocumentsPanel({ order, canGenerate }) {
+  const [viewing, setViewing] = useState(null)
+  const { data: documents = [], isLoading } = useOrderDocuments(order.id)
+  const generateDocument = useGenerateOrderDocument()
+
+  const currentOf = (type, paymentId = null) =>
+    documents.find(
+      (d) =>
+        d.type === type &&
+        d.isCurrent &&
+        (type !== ORDER_DOCUMENT_TYPE.RECEIPT || d.paymentId === paymentId)
+    )
+
+  const generate = (type, paymentId) =>
+    generateDocument.mutate({ orderId: order.id, type, paymentId })
+
+  const isGenerating = (type, paymentId) =>
+    generateDocument.isPending &&
+    generateDocument.variables?.type === type &&
+    generateDocument.variables?.paymentId === paymentId
+
+  const receivablePayments = getActivePayments(order).filter(
+    (p) => p.type === PAYMENT_ENTRY_TYPE.PAYMENT
+  )
+
+  // Versions grouped under their document number, current version first
+  const byNumber = documents.reduce(
+    (groups, document) => ({
+      ...groups,
+      [document.number]: [...(groups[document.number] || []), document],
+    }),
+    {}
+  )
+
+  const renderGenerateButton = (type, label, paymentId) => {
+    const exists = !!currentOf(type, paymentId)
+    return (
+      <Button
+        size="sm"
+        variant="outline"
+        onClick={() => generate(type, paymentId)}
+        disabled={generateDocument.isPending}
+      >
+        {isGenerating(type, paymentId) ? (
+          <Loader2 className="h-3.5 w-3.5 mr-1 animate-spin" />
+        ) : exists ? (
+          <RotateCw className="h-3.5 w-3.5 mr-1" />
+        ) : (
+          <FileText className="h-3.5 w-3.5 mr-1" />
+        )}
+        {exists ? "Regenerate" : "Generate"} {label}
+      </Button>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {canGenerate && (
+        <div className="space-y-3">
+          <div className="flex flex-wrap gap-2">
+            {renderGenerateButton(ORDER_DOCUMENT_TYPE.PROFORMA, "Proforma")}
+            {renderGenerateButton(ORDER_DOCUMENT_TYPE.INVOICE, "Invoice")}
+          </div>
+          {receivablePayments.length > 0 && (
+            <div className="space-y-2">
+              <p className="text-sm font-medium text-slate-700">Receipts</p>
+              {receivablePayments.map((payment) => (
+                <div
+                  key={payment.id}
+                  className="flex items-center justify-between gap-4 text-sm border rounded-lg px-3 py-2"
+                >
+                  <span className="text-slate-600">
+                    {payment.receivedCurrency || payment.currency}{" "}
+                    {(payment.receivedAmount ?? payment.amount).toLocaleString()} on{" "}
+                    {payment.receivedAt}
+                    {payment.reference && ` • Ref ${payment.reference}`}
+                  </span>
+                  {renderGenerateButton(ORDER_DOCUMENT_TYPE.RECEIPT, "Receipt", payment.id)}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-8">
+          <Loader2 className="h-6 w-6 animate-spin text-slate-400" />
+        </div>
+      ) : documents.length === 0 ? (
+        <div className="text-center py-8 text-slate-500">
+          <Receipt className="h-8 w-8 mx-auto mb-2 text-slate-300" />
+          No documents have been generated for this order yet
+        </div>
+      ) : (
+        <div className="divide-y border rounded-lg">
+          {Object.entries(byNumber).map(([number, versions]) => {
+            const [latest, ...earlier] = versions
+            const typeConfig = ORDER_DOCUMENT_TYPE_CONFIG[latest.type]
+
+            return (
+              <div key={number} className="p-3">
+                <div className="flex items-start justify-between gap-4">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className="font-medium">{number}</span>
+                      <Badge className={typeConfig.color}>{typeConfig.label}</Badge>
+                      <span className="text-xs text-slate-500">v{latest.version}</span>
+                    </div>
+                    <p className="text-sm text-slate-500 mt-1">
+                      {latest.content.payment
+                        ? `${latest.content.payment.receivedCurrency} ${latest.content.payment.receivedAmount.toLocaleString()} received`
+                        : `${latest.content.currency} ${latest.content.total.toLocaleString()}`}{" "}
+                      • {formatGenerated(latest)}
+                    </p>
+                  </div>
+                  <Button size="sm" variant="ghost" onClick={() => setViewing(latest)}>
+                    <Eye className="h-4 w-4 mr-1" />
+                    View
+                  </Button>
+                </div>
+
+                {earlier.length > 0 && (
+                  <div className="mt-2 pl-3 border-l-2 border-slate-100 space-y-1">
+                    {earlier.map((version) => (
+                      <div
+                        key={version.id}
+                        className="flex items-center justify-between text-xs text-slate-500"
+                      >
+                        <span>
+                          v{version.version} • {formatGenerated(version)}
+                        </span>
+                        <Button
+                          size="sm"
+                          variant="ghost"
+                          className="h-6 px-2 text-xs"
+                          onClick={() => setViewing(version)}
+                        >
+                          View
+                        </Button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      )}
+
+      {viewing && <OrderDocumentDialog document={viewing} onClose={() => setViewing(null)} />}
+    </div>
+  )
+}
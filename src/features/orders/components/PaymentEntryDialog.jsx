@@ -0,0 +1,302 @@
+import { useRef, useState } from "react"
+import { format } from "date-fns"
+import { toast } from "sonner"
+import { FileText, Loader2, Upload, X } from "lucide-react"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select"
+import {
+  CURRENCIES,
+  PAYMENT_ENTRY_TYPE,
+  PAYMENT_ENTRY_TYPE_CONFIG,
+  PAYMENT_METHODS,
+} from "@/constants/orderConstants"
+import { convertAmount, getExchangeRate, getMissingRateMessage } from "@/lib/currency"
+import { useAddPayment } from "@/hooks/useOrders"
+import { useExchangeRates } from "@/hooks/useExchangeRates"
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024 // 5MB
+const ACCEPTED_TYPES = ["image/png", "image/jpeg", "image/jpg", "image/webp", "application/pdf"]
+
+const readAsDataUrl = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(new Error("Failed to read file"))
+    reader.readAsDataURL(file)
+  })
+
+/**
+ * PaymentEntryDialog - Record a payment, refund or chargeback on an order
+ * Amounts are entered as positive numbers; the server stores refunds and
+ * chargebacks as negative ledger entries. `netPaid` caps what can be taken
+ * back. Money in another currency is converted to the order currency at the
+ * rate of the received date. Mount with a `key` so the form resets between openings.
+ */
+export default function PaymentEntryDialog({ open, onOpenChange, order, netPaid }) {
+  const fileInputRef = useRef(null)
+  const today = format(new Date(), "yyyy-MM-dd")
+  const [form, setForm] = useState({
+    type: PAYMENT_ENTRY_TYPE.PAYMENT,
+    amount: "",
+    currency: order.currency,
+    method: PAYMENT_METHODS.some((m) => m.value === order.paymentMethod) ? order.paymentMethod : "",
+    receivedAt: today,
+    reference: "",
+    notes: "",
+  })
+  const [receipt, setReceipt] = useState(null) // { name, dataUrl }
+
+  const addPayment = useAddPayment()
+  const { data: rates = [] } = useExchangeRates()
+  const isRefund = form.type !== PAYMENT_ENTRY_TYPE.PAYMENT
+  const typeLabel = PAYMENT_ENTRY_TYPE_CONFIG[form.type].label
+
+  // What the amount counts as against the order balance
+  const isForeign = form.currency !== order.currency
+  const missingRate = isForeign
+    ? getMissingRateMessage(rates, form.currency, order.currency, form.receivedAt)
+    : null
+  const convertedAmount =
+    isForeign && !missingRate && parseFloat(form.amount) > 0
+      ? convertAmount(
+          rates,
+          parseFloat(form.amount),
+          form.currency,
+          order.currency,
+          form.receivedAt
+        )
+      : null
+
+  const setField = (field) => (value) => setForm((prev) => ({ ...prev, [field]: value }))
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ""
+    if (!file) return
+    if (!ACCEPTED_TYPES.includes(file.type)) {
+      toast.error("Receipts must be an image or a PDF")
+      return
+    }
+    if (file.size > MAX_FILE_SIZE) {
+      toast.error(`"${file.name}" exceeds the 5MB limit`)
+      return
+    }
+    try {
+      setReceipt({ name: file.name, dataUrl: await readAsDataUrl(file) })
+    } catch {
+      toast.error("Failed to read the receipt")
+    }
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    const amount = parseFloat(form.amount)
+    if (!amount || amount <= 0) {
+      toast.error("Please enter a valid amount")
+      return
+    }
+    if (!form.method) {
+      toast.error("Please choose a payment method")
+      return
+    }
+    if (missingRate) {
+      toast.error(missingRate)
+      return
+    }
+
+    addPayment.mutate(
+      {
+        orderId: order.id,
+        data: {
+          type: form.type,
+          amount,
+          currency: form.currency,
+          method: form.method,
+          receivedAt: form.receivedAt,
+          reference: form.reference.trim(),
+          receiptUrl: receipt?.dataUrl || null,
+          receiptName: receipt?.name || null,
+          notes: form.notes.trim(),
+        },
+      },
+      {
+        onSuccess: () => {
+          toast.success(`${typeLabel} recorded`)
+          onOpenChange(false)
+        },
+        onError: (error) => toast.error(error.message || `Failed to record ${typeLabel}`),
+      }
+    )
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <form onSubmit={handleSubmit}>
+          <DialogHeader>
+            <DialogTitle>Record {typeLabel}</DialogTitle>
+            <DialogDescription>
+              {isRefund
+                ? `Money returned to the customer. Up to ${order.currency} ${netPaid.toLocaleString()} can be taken back.`
+                : "Money received from the customer. Attach the bank receipt if you have it."}
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 py-4">
+            <div className="space-y-2">
+              <Label>Type</Label>
+              <Select value={form.type} onValueChange={setField("type")}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.values(PAYMENT_ENTRY_TYPE).map((type) => (
+                    <SelectItem key={type} value={type}>
+                      {PAYMENT_ENTRY_TYPE_CONFIG[type].label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="payment-amount">Amount *</Label>
+              <div className="flex gap-2">
+                <Select value={form.currency} onValueChange={setField("currency")}>
+                  <SelectTrigger className="w-24">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {CURRENCIES.map((c) => (
+                      <SelectItem key={c.value} value={c.value}>
+                        {c.value}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Input
+                  id="payment-amount"
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  placeholder="0.00"
+                  value={form.amount}
+                  onChange={(e) => setField("amount")(e.target.value)}
+                />
+              </div>
+              {missingRate ? (
+                <p className="text-xs text-red-600">{missingRate}</p>
+              ) : (
+                convertedAmount !== null && (
+                  <p className="text-xs text-slate-500">
+                    = {order.currency} {convertedAmount.toLocaleString()} at{" "}
+                    {getExchangeRate(rates, form.currency, order.currency, form.receivedAt)}
+                  </p>
+                )
+              )}
+            </div>
+            <div className="space-y-2">
+              <Label>Method *</Label>
+              <Select value={form.method} onValueChange={setField("method")}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Select method" />
+                </SelectTrigger>
+                <SelectContent>
+                  {PAYMENT_METHODS.map((method) => (
+                    <SelectItem key={method.value} value={method.value}>
+                      {method.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="payment-date">{isRefund ? "Date" : "Received On"}</Label>
+              <Input
+                id="payment-date"
+                type="date"
+                max={today}
+                value={form.receivedAt}
+                onChange={(e) => setField("receivedAt")(e.target.value)}
+              />
+            </div>
+            <div className="space-y-2 sm:col-span-2">
+              <Label htmlFor="payment-reference">Bank / Transaction Reference</Label>
+              <Input
+                id="payment-reference"
+                placeholder="e.g., FT24356XK91"
+                value={form.reference}
+                onChange={(e) => setField("reference")(e.target.value)}
+              />
+            </div>
+            <div className="space-y-2 sm:col-span-2">
+              <Label>Receipt</Label>
+              {receipt ? (
+                <div className="flex items-center gap-2 rounded-md border px-3 py-2 text-sm">
+                  <FileText className="h-4 w-4 text-slate-400" />
+                  <span className="flex-1 truncate">{receipt.name}</span>
+                  <Button type="button" variant="ghost" size="sm" onClick={() => setReceipt(null)}>
+                    <X className="h-4 w-4" />
+                  </Button>
+                </div>
+              ) : (
+                <Button
+                  type="button"
+                  variant="outline"
+                  className="w-full"
+                  onClick={() => fileInputRef.current?.click()}
+                >
+                  <Upload className="h-4 w-4 mr-2" />
+                  Upload receipt (image or PDF, max 5MB)
+                </Button>
+              )}
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept={ACCEPTED_TYPES.join(",")}
+                className="hidden"
+                onChange={handleFileChange}
+              />
+            </div>
+            <div className="space-y-2 sm:col-span-2">
+              <Label htmlFor="payment-notes">Notes</Label>
+              <Textarea
+                id="payment-notes"
+                rows={2}
+                placeholder={isRefund ? "Why the money was returned" : ""}
+                value={form.notes}
+                onChange={(e) => setField("notes")(e.target.value)}
+              />
+            </div>
+          </div>
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={addPayment.isPending}>
+              {addPayment.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Record {typeLabel}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
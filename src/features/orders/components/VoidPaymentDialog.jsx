@@ -0,0 +1,78 @@
+import { useState } from "react"
+import { toast } from "sonner"
+import { Loader2 } from "lucide-react"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import { PAYMENT_ENTRY_TYPE_CONFIG } from "@/constants/orderConstants"
+import { useVoidPayment } from "@/hooks/useOrders"
+
+/**
+ * VoidPaymentDialog - Correct a mistaken ledger entry
+ * The entry stays in the payment history marked void with the reason and
+ * stops counting towards the balance.
+ */
+export default function VoidPaymentDialog({ orderId, payment, onClose }) {
+  const [reason, setReason] = useState("")
+  const voidPayment = useVoidPayment()
+
+  const handleVoid = () => {
+    if (!reason.trim()) {
+      toast.error("Please give a reason")
+      return
+    }
+    voidPayment.mutate(
+      { orderId, paymentId: payment.id, reason: reason.trim() },
+      {
+        onSuccess: () => {
+          toast.success("Entry voided")
+          onClose()
+        },
+        onError: (error) => toast.error(error.message || "Failed to void entry"),
+      }
+    )
+  }
+
+  const label = PAYMENT_ENTRY_TYPE_CONFIG[payment.type]?.label || "Payment"
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && onClose()}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Void {label}</DialogTitle>
+          <DialogDescription>
+            {label} of {payment.currency} {Math.abs(payment.amount).toLocaleString()} on{" "}
+            {payment.receivedAt}. It stays in the history but no longer counts.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="space-y-2 py-2">
+          <Label htmlFor="void-reason">Reason *</Label>
+          <Textarea
+            id="void-reason"
+            rows={3}
+            placeholder="e.g., Entered twice; amount typed wrong"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+          />
+        </div>
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button variant="destructive" onClick={handleVoid} disabled={voidPayment.isPending}>
+            {voidPayment.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Void Entry
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
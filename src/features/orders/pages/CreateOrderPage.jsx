@@ -1,8 +1,10 @@
 import { useState, useMemo } from "react"
 import { useNavigate } from "react-router-dom"
 import { useForm, Controller } from "react-hook-form"
+import { format, parseISO } from "date-fns"
 import { useCreateOrder } from "@/hooks/useOrders"
 import { useProducts } from "@/hooks/useProducts"
+import { useExchangeRates } from "@/hooks/useExchangeRates"
 import { useAuth } from "@/features/auth/hooks/useAuth"
 import { Button } from "@/components/ui/button"
 import { Input } from "@/components/ui/input"
@@ -27,6 +29,7 @@ import {
 import { ArrowLeft, Plus, Trash2, Loader2, Save } from "lucide-react"
 import { toast } from "sonner"
 import {
+  BASE_CURRENCY,
   CURRENCIES,
   PAYMENT_METHODS,
   URGENT_FLAGS,
@@ -34,15 +37,29 @@ import {
   SIZE_TYPE,
   STANDARD_SIZES,
 } from "@/constants/orderConstants"
+import { formatAddress } from "@/utils/formatters"
+import { convertAmount, convertPiecePrices, getMissingRateMessage } from "@/lib/currency"
+import CustomerSelect from "@/features/customers/components/CustomerSelect"
+
+const NO_PROFILE = "none"
+
+const formatProfileDate = (profile) =>
+  profile ? format(parseISO(profile.takenAt), "MMM d, yyyy") : "saved profile"
 
 export default function CreateOrderPage() {
   const navigate = useNavigate()
   const { user } = useAuth()
   const createOrder = useCreateOrder()
   const { data: productsData } = useProducts()
+  const { data: rates = [], isLoading: ratesLoading } = useExchangeRates()
 
   const products = productsData?.data || []
 
+  // Customer from the directory; null places the order for a new customer
+  const [customer, setCustomer] = useState(null)
+  const [shippingAddressId, setShippingAddressId] = useState(null)
+  const profiles = customer?.measurementProfiles || []
+
   // Order items state
   const [orderItems, setOrderItems] = useState([])
   const [showItemModal, setShowItemModal] = useState(false)
@@ -59,10 +76,13 @@ export default function CreateOrderPage() {
     handleSubmit,
     control,
     watch,
+    setValue,
     formState: { errors },
   } = useForm({
     defaultValues: {
       customerName: "",
+      customerEmail: "",
+      customerPhone: "",
       destination: "",
       address: "",
       clientHeight: "",
@@ -83,15 +103,25 @@ export default function CreateOrderPage() {
   // Watch discount for real-time calculation
   const discountValue = watch("discount")
   const extraPaymentValue = watch("extraPayment")
+  const currency = watch("currency")
+  const fwdDate = watch("fwdDate")
+
+  // Product prices are kept in the base currency; orders are priced in their own
+  const missingRate = ratesLoading
+    ? null
+    : getMissingRateMessage(rates, BASE_CURRENCY, currency, fwdDate)
+  const toOrderCurrency = (price) =>
+    convertAmount(rates, price || 0, BASE_CURRENCY, currency, fwdDate) ?? 0
 
   // Calculate subtotal from order items
   const calculatedSubtotal = useMemo(() => {
     return orderItems.reduce((sum, item) => {
       const product = products.find((p) => p.id.toString() === item.productId)
-      const productPrice = product?.total_price || 0
+      const productPrice =
+        convertAmount(rates, product?.total_price || 0, BASE_CURRENCY, currency, fwdDate) ?? 0
       return sum + productPrice * (item.quantity || 1)
     }, 0)
-  }, [orderItems, products])
+  }, [orderItems, products, rates, currency, fwdDate])
 
   // Calculate final total after discount
   const calculatedTotal = useMemo(() => {
@@ -100,6 +130,31 @@ export default function CreateOrderPage() {
     return Math.max(0, calculatedSubtotal - discount + extraPayment)
   }, [calculatedSubtotal, discountValue, extraPaymentValue])
 
+  // Fill the customer fields from a saved address
+  const applyAddress = (address) => {
+    setShippingAddressId(address?.id || null)
+    setValue("address", formatAddress(address))
+    setValue("destination", address?.country || "")
+  }
+
+  // Prefill contact details, default address and height from the directory
+  const handleCustomerChange = (selected) => {
+    setCustomer(selected)
+    setOrderItems((items) => items.map((item) => ({ ...item, measurementProfileId: null })))
+    if (!selected) {
+      setShippingAddressId(null)
+      return
+    }
+
+    setValue("customerName", selected.name)
+    setValue("customerEmail", selected.email || "")
+    setValue("customerPhone", selected.phone || "")
+    applyAddress(selected.addresses.find((a) => a.isDefault) || selected.addresses[0])
+    if (selected.measurementProfiles[0]?.clientHeight) {
+      setValue("clientHeight", selected.measurementProfiles[0].clientHeight)
+    }
+  }
+
   // Handle adding new item
   const handleAddItem = () => {
     setCurrentItem({
@@ -113,6 +168,7 @@ export default function CreateOrderPage() {
       includedItems: [],
       selectedAddOns: [],
       availableAddOns: [],
+      measurementProfileId: null,
     })
     setShowItemModal(true)
   }
@@ -159,10 +215,26 @@ export default function CreateOrderPage() {
       toast.error("Please add at least one item to the order")
       return
     }
+    if (missingRate) {
+      toast.error(missingRate)
+      return
+    }
 
     try {
+      const shippingAddress = customer?.addresses.find((a) => a.id === shippingAddressId)
       const orderData = {
         ...data,
+        customerId: customer?.id || null,
+        shippingAddress: shippingAddress
+          ? {
+              street1: shippingAddress.street1,
+              street2: shippingAddress.street2,
+              city: shippingAddress.city,
+              state: shippingAddress.state,
+              postalCode: shippingAddress.postalCode,
+              country: shippingAddress.country,
+            }
+          : null,
         urgent: data.urgent === "none" ? "" : data.urgent,
         discount: parseFloat(data.discount) || 0,
         extraPayment: parseFloat(data.extraPayment) || 0,
@@ -175,9 +247,16 @@ export default function CreateOrderPage() {
           sizeType: item.sizeType,
           size: item.size,
           quantity: item.quantity,
-          unitPrice: item.unitPrice || 0,
-          includedItems: item.includedItems || [], // ADD THIS
-          selectedAddOns: item.selectedAddOns || [], // ADD THIS
+          unitPrice: toOrderCurrency(item.unitPrice),
+          includedItems: convertPiecePrices(rates, item.includedItems, data.currency, data.fwdDate),
+          selectedAddOns: convertPiecePrices(
+            rates,
+            item.selectedAddOns,
+            data.currency,
+            data.fwdDate
+          ),
+          measurementProfileId:
+            item.sizeType === SIZE_TYPE.CUSTOM ? item.measurementProfileId || null : null,
         })),
       }
 
@@ -185,7 +264,7 @@ export default function CreateOrderPage() {
       toast.success("Order created successfully")
       navigate("/orders")
     } catch (error) {
-      toast.error("Failed to create order")
+      toast.error(error.message || "Failed to create order")
     }
   }
 
@@ -209,6 +288,20 @@ export default function CreateOrderPage() {
             <CardTitle>Customer Information</CardTitle>
           </CardHeader>
           <CardContent className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="md:col-span-2">
+              <Label htmlFor="order-customer">Customer</Label>
+              <CustomerSelect
+                id="order-customer"
+                value={customer?.id}
+                onChange={handleCustomerChange}
+              />
+              <p className="text-xs text-muted-foreground mt-1">
+                {customer
+                  ? "Details below are prefilled from the customer directory and can be changed for this order."
+                  : "New customers are added to the directory, or matched to an existing one by email or phone."}
+              </p>
+            </div>
+
             <div>
               <Label>Customer Name *</Label>
               <Input
@@ -227,10 +320,48 @@ export default function CreateOrderPage() {
               <Input {...register("destination")} placeholder="e.g., UAE, USA, UK" />
             </div>
 
+            <div>
+              <Label>Email</Label>
+              <Input
+                type="email"
+                {...register("customerEmail")}
+                placeholder="customer@example.com"
+              />
+            </div>
+
+            <div>
+              <Label>Phone</Label>
+              <Input {...register("customerPhone")} placeholder="e.g., +971501234567" />
+            </div>
+
+            {customer?.addresses.length > 1 && (
+              <div className="md:col-span-2">
+                <Label>Saved Address</Label>
+                <Select
+                  value={shippingAddressId || ""}
+                  onValueChange={(addressId) =>
+                    applyAddress(customer.addresses.find((a) => a.id === addressId))
+                  }
+                >
+                  <SelectTrigger>
+                    <SelectValue placeholder="Choose a saved address" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {customer.addresses.map((address) => (
+                      <SelectItem key={address.id} value={address.id}>
+                        {address.label ? `${address.label}: ` : ""}
+                        {formatAddress(address)}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+
             <div className="md:col-span-2">
               <Label>Full Address</Label>
               <Textarea
-                {...register("address")}
+                {...register("address", { onChange: () => setShippingAddressId(null) })}
                 placeholder="Enter complete shipping address"
                 rows={2}
               />
@@ -305,6 +436,7 @@ export default function CreateOrderPage() {
                   </Select>
                 )}
               />
+              {missingRate && <p className="text-xs text-red-600 mt-1">{missingRate}</p>}
             </div>
 
             <div>
@@ -465,6 +597,14 @@ export default function CreateOrderPage() {
                           {item.sizeType === SIZE_TYPE.STANDARD ? "Standard" : "Custom"} | Qty:{" "}
                           {item.quantity}
                         </p>
+                        {item.measurementProfileId && (
+                          <p className="text-xs text-muted-foreground">
+                            Measurements from{" "}
+                            {formatProfileDate(
+                              profiles.find((p) => p.id === item.measurementProfileId)
+                            )}
+                          </p>
+                        )}
 
                         {/* Show included items */}
                         {item.includedItems && item.includedItems.length > 0 && (
@@ -588,7 +728,8 @@ export default function CreateOrderPage() {
                       className="px-2 py-1 bg-green-100 text-green-800 text-xs rounded-full capitalize"
                     >
                       {item.piece}
-                      {item.price > 0 && ` - PKR ${item.price.toLocaleString()}`}
+                      {item.price > 0 &&
+                        ` - ${currency} ${toOrderCurrency(item.price).toLocaleString()}`}
                     </span>
                   ))}
                 </div>
@@ -627,7 +768,7 @@ export default function CreateOrderPage() {
                       <label htmlFor={`addon-${idx}`} className="text-sm capitalize cursor-pointer">
                         {addon.piece}
                         {addon.price > 0
-                          ? ` (+PKR ${addon.price.toLocaleString()})`
+                          ? ` (+${currency} ${toOrderCurrency(addon.price).toLocaleString()})`
                           : " (Included)"}
                       </label>
                     </div>
@@ -646,6 +787,9 @@ export default function CreateOrderPage() {
                     ...currentItem,
                     sizeType: value,
                     size: "",
+                    // Start custom items from the customer's latest measurements
+                    measurementProfileId:
+                      value === SIZE_TYPE.CUSTOM ? profiles[0]?.id || null : null,
                   })
                 }
               >
@@ -687,6 +831,38 @@ export default function CreateOrderPage() {
               )}
             </div>
 
+            {/* Saved measurements */}
+            {currentItem.sizeType === SIZE_TYPE.CUSTOM && profiles.length > 0 && (
+              <div>
+                <Label>Measurements</Label>
+                <Select
+                  value={currentItem.measurementProfileId || NO_PROFILE}
+                  onValueChange={(value) =>
+                    setCurrentItem({
+                      ...currentItem,
+                      measurementProfileId: value === NO_PROFILE ? null : value,
+                    })
+                  }
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={NO_PROFILE}>Take new measurements</SelectItem>
+                    {profiles.map((profile, index) => (
+                      <SelectItem key={profile.id} value={profile.id}>
+                        {formatProfileDate(profile)}
+                        {index === 0 && " (latest)"}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <p className="text-xs text-muted-foreground mt-1">
+                  Saved measurements prefill the order form for this item.
+                </p>
+              </div>
+            )}
+
             {/* Quantity */}
             <div>
               <Label>Quantity</Label>
@@ -1,27 +1,21 @@
 import { useState } from "react"
 import { useParams, useNavigate, Link } from "react-router-dom"
-import { useOrder, useUpdateOrder, useAddPayment, useDeletePayment } from "@/hooks/useOrders"
+import { useOrder, useOrderCosting, useUpdateOrder } from "@/hooks/useOrders"
 import { useAuth } from "@/features/auth/hooks/useAuth"
+import { hasAnyPermission, hasPermission } from "@/lib/rbac"
+import { getPaymentTotals } from "@/lib/payments"
 import {
   ORDER_ITEM_STATUS_CONFIG,
   ORDER_SOURCE,
   PAYMENT_STATUS,
+  PAYMENT_STATUS_CONFIG,
+  PAYMENT_ENTRY_TYPE_CONFIG,
   CURRENCIES,
   PAYMENT_METHODS,
   SIZE_TYPE,
 } from "@/constants/orderConstants"
 import { Button } from "@/components/ui/button"
-import { Input } from "@/components/ui/input"
-import { Label } from "@/components/ui/label"
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
-import {
-  Dialog,
-  DialogContent,
-  DialogDescription,
-  DialogFooter,
-  DialogHeader,
-  DialogTitle,
-} from "@/components/ui/dialog"
 import {
   Select,
   SelectContent,
@@ -29,7 +23,6 @@ import {
   SelectTrigger,
   SelectValue,
 } from "@/components/ui/select"
-import { toast } from "sonner"
 import {
   ArrowLeft,
   ShoppingBag,
@@ -42,7 +35,7 @@ import {
   Truck,
   FileText,
   Plus,
-  Trash2,
+  Ban,
   ExternalLink,
   Loader2,
   AlertCircle,
@@ -50,7 +43,19 @@ import {
   Package,
   Edit,
   Ruler,
+  TrendingUp,
 } from "lucide-react"
+import ClientMessagesPanel from "../components/ClientMessagesPanel"
+import CustomerPortalPanel from "../components/CustomerPortalPanel"
+import OrderDocumentsPanel from "../components/OrderDocumentsPanel"
+import PaymentEntryDialog from "../components/PaymentEntryDialog"
+import VoidPaymentDialog from "../components/VoidPaymentDialog"
+
+const COSTING_BASIS_CONFIG = {
+  ACTUAL: { label: "Actual", color: "bg-green-100 text-green-700" },
+  PARTIAL: { label: "Partly picked", color: "bg-blue-100 text-blue-700" },
+  ESTIMATED: { label: "Estimated", color: "bg-slate-100 text-slate-700" },
+}
 
 export default function OrderDetailPage() {
   const { id } = useParams()
@@ -58,14 +63,13 @@ export default function OrderDetailPage() {
   const { user } = useAuth()
 
   const { data: order, isLoading, isError } = useOrder(id)
+  const { data: costing } = useOrderCosting(id)
   const updateOrder = useUpdateOrder()
-  const addPayment = useAddPayment()
-  const deletePayment = useDeletePayment()
 
-  // Payment modal state
+  // Payment ledger dialogs
   const [paymentModalOpen, setPaymentModalOpen] = useState(false)
-  const [paymentAmount, setPaymentAmount] = useState("")
-  const [paymentReceipt, setPaymentReceipt] = useState("")
+  const [paymentModalKey, setPaymentModalKey] = useState(0)
+  const [voidingPayment, setVoidingPayment] = useState(null)
 
   // Format helpers
   const formatDate = (dateString) => {
@@ -86,12 +90,7 @@ export default function OrderDetailPage() {
   }
 
   const getPaymentBadge = (status) => {
-    const config = {
-      PAID: "bg-green-100 text-green-700",
-      EXTRA_PAID: "bg-blue-100 text-blue-700",
-      PENDING: "bg-amber-100 text-amber-700",
-    }
-    return config[status] || "bg-slate-100 text-slate-700"
+    return PAYMENT_STATUS_CONFIG[status]?.color || "bg-slate-100 text-slate-700"
   }
 
   const getStatusBadge = (status) => {
@@ -114,46 +113,9 @@ export default function OrderDetailPage() {
     return diffDays
   }
 
-  // Handle add payment
-  const handleAddPayment = () => {
-    if (!paymentAmount || parseFloat(paymentAmount) <= 0) {
-      toast.error("Please enter a valid amount")
-      return
-    }
-
-    addPayment.mutate(
-      {
-        orderId: id,
-        data: {
-          amount: parseFloat(paymentAmount),
-          receiptUrl: paymentReceipt || null,
-        },
-      },
-      {
-        onSuccess: () => {
-          toast.success("Payment added successfully")
-          setPaymentModalOpen(false)
-          setPaymentAmount("")
-          setPaymentReceipt("")
-        },
-        onError: () => {
-          toast.error("Failed to add payment")
-        },
-      }
-    )
-  }
-
-  // Handle delete payment
-  const handleDeletePayment = (paymentId) => {
-    if (!confirm("Are you sure you want to delete this payment?")) return
-
-    deletePayment.mutate(
-      { orderId: id, paymentId },
-      {
-        onSuccess: () => toast.success("Payment deleted"),
-        onError: () => toast.error("Failed to delete payment"),
-      }
-    )
+  const openPaymentModal = () => {
+    setPaymentModalKey((k) => k + 1)
+    setPaymentModalOpen(true)
   }
 
   if (isLoading) {
@@ -177,6 +139,8 @@ export default function OrderDetailPage() {
   }
 
   const delayedDays = calculateDelayedDays()
+  const paymentTotals = getPaymentTotals(order)
+  const canManagePayments = hasPermission(user, "orders.edit")
 
   return (
     <div className="space-y-6">
@@ -226,6 +190,10 @@ export default function OrderDetailPage() {
           <TabsTrigger value="overview">Overview</TabsTrigger>
           <TabsTrigger value="items">Items ({order.items?.length || 0})</TabsTrigger>
           <TabsTrigger value="payments">Payments</TabsTrigger>
+          <TabsTrigger value="costing">Costing</TabsTrigger>
+          <TabsTrigger value="messages">Messages</TabsTrigger>
+          <TabsTrigger value="documents">Documents</TabsTrigger>
+          <TabsTrigger value="portal">Portal</TabsTrigger>
         </TabsList>
 
         {/* Overview Tab */}
@@ -240,7 +208,16 @@ export default function OrderDetailPage() {
               <div className="space-y-3">
                 <div>
                   <p className="text-sm text-slate-500">Customer Name</p>
-                  <p className="font-medium">{order.customerName}</p>
+                  {order.customerId ? (
+                    <Link
+                      to={`/customers/${order.customerId}`}
+                      className="font-medium text-blue-600 hover:underline"
+                    >
+                      {order.customerName}
+                    </Link>
+                  ) : (
+                    <p className="font-medium">{order.customerName}</p>
+                  )}
                 </div>
                 <div>
                   <p className="text-sm text-slate-500">Height</p>
@@ -450,7 +427,7 @@ export default function OrderDetailPage() {
         <TabsContent value="payments" className="space-y-4">
           <div className="bg-white rounded-lg border p-6">
             {/* Payment Summary */}
-            <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 mb-6">
+            <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-4 mb-6">
               <div>
                 <p className="text-sm text-slate-500">Total Amount</p>
                 <p className="text-xl font-semibold">
@@ -458,18 +435,27 @@ export default function OrderDetailPage() {
                 </p>
               </div>
               <div>
-                <p className="text-sm text-slate-500">Total Paid</p>
+                <p className="text-sm text-slate-500">Received</p>
                 <p className="text-xl font-semibold text-green-600">
-                  {formatCurrency(
-                    order.payments?.reduce((sum, p) => sum + p.amount, 0) || 0,
-                    order.currency
-                  )}
+                  {formatCurrency(paymentTotals.received, order.currency)}
+                </p>
+              </div>
+              <div>
+                <p className="text-sm text-slate-500">Refunded</p>
+                <p className="text-xl font-semibold text-red-600">
+                  {formatCurrency(paymentTotals.refunded, order.currency)}
+                </p>
+              </div>
+              <div>
+                <p className="text-sm text-slate-500">Net Paid</p>
+                <p className="text-xl font-semibold">
+                  {formatCurrency(paymentTotals.netPaid, order.currency)}
                 </p>
               </div>
               <div>
                 <p className="text-sm text-slate-500">Remaining</p>
                 <p className="text-xl font-semibold text-amber-600">
-                  {formatCurrency(order.remainingAmount, order.currency)}
+                  {formatCurrency(paymentTotals.remainingAmount, order.currency)}
                 </p>
               </div>
               <div>
@@ -479,7 +465,7 @@ export default function OrderDetailPage() {
                     order.paymentStatus
                   )}`}
                 >
-                  {order.paymentStatus}
+                  {PAYMENT_STATUS_CONFIG[order.paymentStatus]?.label || order.paymentStatus}
                 </span>
               </div>
             </div>
@@ -498,106 +484,292 @@ export default function OrderDetailPage() {
               </div>
             </div>
 
-            {/* Payments List */}
+            {/* Payment Ledger - voided entries stay listed but don't count */}
             <div className="border-t pt-4">
               <div className="flex items-center justify-between mb-4">
                 <h4 className="font-medium text-slate-900">Payment History</h4>
-                <Button size="sm" onClick={() => setPaymentModalOpen(true)}>
-                  <Plus className="h-4 w-4 mr-1" />
-                  Add Payment
-                </Button>
+                {canManagePayments && (
+                  <Button size="sm" onClick={openPaymentModal}>
+                    <Plus className="h-4 w-4 mr-1" />
+                    Record Entry
+                  </Button>
+                )}
               </div>
 
-              {order.payments?.length === 0 ? (
+              {!order.payments?.length ? (
                 <p className="text-slate-500 text-center py-4">No payments recorded</p>
               ) : (
                 <div className="space-y-3">
-                  {order.payments?.map((payment, index) => (
-                    <div
-                      key={payment.id}
-                      className="flex items-center justify-between p-3 bg-slate-50 rounded-lg"
-                    >
-                      <div className="flex items-center gap-3">
-                        <div className="w-8 h-8 bg-green-100 rounded-full flex items-center justify-center">
-                          <CreditCard className="h-4 w-4 text-green-600" />
+                  {order.payments.map((payment) => {
+                    const typeConfig = PAYMENT_ENTRY_TYPE_CONFIG[payment.type]
+                    const isVoided = !!payment.voidedAt
+                    return (
+                      <div
+                        key={payment.id}
+                        className={`flex items-start justify-between gap-4 p-3 rounded-lg ${
+                          isVoided ? "bg-slate-50 opacity-60" : "bg-slate-50"
+                        }`}
+                      >
+                        <div className="flex items-start gap-3 min-w-0">
+                          <div className="w-8 h-8 bg-green-100 rounded-full flex items-center justify-center shrink-0">
+                            <CreditCard className="h-4 w-4 text-green-600" />
+                          </div>
+                          <div className="min-w-0">
+                            <div className="flex flex-wrap items-center gap-2">
+                              <span
+                                className={`px-2 py-0.5 text-xs font-medium rounded ${typeConfig?.color}`}
+                              >
+                                {typeConfig?.label}
+                              </span>
+                              <p className={`font-medium ${isVoided ? "line-through" : ""}`}>
+                                {payment.amount < 0 && "−"}
+                                {formatCurrency(Math.abs(payment.amount), payment.currency)}
+                              </p>
+                              {payment.receivedCurrency !== payment.currency && (
+                                <span className="text-xs text-slate-500">
+                                  received{" "}
+                                  {formatCurrency(
+                                    Math.abs(payment.receivedAmount),
+                                    payment.receivedCurrency
+                                  )}{" "}
+                                  at {payment.exchangeRate}
+                                </span>
+                              )}
+                              {isVoided && (
+                                <span className="px-2 py-0.5 text-xs font-medium rounded bg-slate-200 text-slate-700">
+                                  Void
+                                </span>
+                              )}
+                            </div>
+                            <p className="text-sm text-slate-500">
+                              {formatDate(payment.receivedAt)}
+                              {" · "}
+                              {PAYMENT_METHODS.find((m) => m.value === payment.method)?.label ||
+                                payment.method}
+                              {payment.reference && ` · Ref ${payment.reference}`}
+                            </p>
+                            {payment.notes && (
+                              <p className="text-sm text-slate-600">{payment.notes}</p>
+                            )}
+                            <p className="text-xs text-slate-400">
+                              Recorded by {payment.recordedByName || "—"}
+                            </p>
+                            {isVoided && (
+                              <p className="text-xs text-red-600">
+                                Voided by {payment.voidedByName} on {formatDate(payment.voidedAt)}:{" "}
+                                {payment.voidReason}
+                              </p>
+                            )}
+                          </div>
                         </div>
-                        <div>
-                          <p className="font-medium">
-                            Payment #{index + 1}: {formatCurrency(payment.amount, order.currency)}
-                          </p>
-                          <p className="text-sm text-slate-500">{formatDate(payment.createdAt)}</p>
+                        <div className="flex items-center gap-2 shrink-0">
+                          {payment.receiptUrl && (
+                            <a
+                              href={payment.receiptUrl}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              download={payment.receiptName || undefined}
+                              className="text-sm text-blue-600 hover:underline"
+                            >
+                              View Receipt
+                            </a>
+                          )}
+                          {canManagePayments && !isVoided && (
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              title="Void entry"
+                              onClick={() => setVoidingPayment(payment)}
+                            >
+                              <Ban className="h-4 w-4 text-red-500" />
+                            </Button>
+                          )}
                         </div>
                       </div>
-                      <div className="flex items-center gap-2">
-                        {payment.receiptUrl && (
-                          <a
-                            href={payment.receiptUrl}
-                            target="_blank"
-                            rel="noopener noreferrer"
-                            className="text-sm text-blue-600 hover:underline"
-                          >
-                            View Receipt
-                          </a>
-                        )}
-                        <Button
-                          variant="ghost"
-                          size="sm"
-                          onClick={() => handleDeletePayment(payment.id)}
+                    )
+                  })}
+                </div>
+              )}
+            </div>
+          </div>
+        </TabsContent>
+
+        {/* Costing Tab - material cost against the piece prices */}
+        <TabsContent value="costing" className="space-y-4">
+          <div className="bg-white rounded-lg border p-6">
+            {!costing ? (
+              <div className="flex items-center justify-center py-8">
+                <Loader2 className="h-6 w-6 animate-spin text-slate-400" />
+              </div>
+            ) : (
+              <>
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 mb-6">
+                  <div>
+                    <p className="text-sm text-slate-500">Piece Prices</p>
+                    <p className="text-xl font-semibold">
+                      {formatCurrency(costing.revenue, costing.orderCurrency)}
+                    </p>
+                    {costing.orderCurrency !== costing.currency && costing.revenueBase !== null && (
+                      <p className="text-xs text-slate-500">
+                        {formatCurrency(costing.revenueBase, costing.currency)} at{" "}
+                        {costing.exchangeRate}
+                      </p>
+                    )}
+                  </div>
+                  <div>
+                    <p className="text-sm text-slate-500">Material Cost</p>
+                    <p className="text-xl font-semibold text-amber-600">
+                      {formatCurrency(costing.materialCost, costing.currency)}
+                    </p>
+                    {costing.estimatedCost > 0 && (
+                      <p className="text-xs text-slate-500">
+                        {formatCurrency(costing.estimatedCost, costing.currency)} estimated from BOM
+                      </p>
+                    )}
+                  </div>
+                  {costing.margin !== null ? (
+                    <>
+                      <div>
+                        <p className="text-sm text-slate-500">Margin</p>
+                        <p
+                          className={`text-xl font-semibold ${
+                            costing.margin >= 0 ? "text-green-600" : "text-red-600"
+                          }`}
                         >
-                          <Trash2 className="h-4 w-4 text-red-500" />
-                        </Button>
+                          {formatCurrency(costing.margin, costing.currency)}
+                        </p>
+                      </div>
+                      <div>
+                        <p className="text-sm text-slate-500">Margin %</p>
+                        <p className="text-xl font-semibold flex items-center gap-1">
+                          <TrendingUp className="h-4 w-4 text-slate-400" />
+                          {costing.marginPercent !== null ? `${costing.marginPercent}%` : "—"}
+                        </p>
+                      </div>
+                    </>
+                  ) : (
+                    <div className="col-span-2 text-sm text-slate-500">
+                      Material costs are in {costing.currency}; there is no {costing.orderCurrency}{" "}
+                      exchange rate for the order date, so margin is not shown.
+                    </div>
+                  )}
+                </div>
+
+                <div className="space-y-6">
+                  {costing.items.map((itemCosting) => (
+                    <div key={itemCosting.orderItemId}>
+                      <div className="flex items-center justify-between mb-2">
+                        <h4 className="font-medium text-slate-900">
+                          {itemCosting.productName}
+                          {itemCosting.quantity > 1 && (
+                            <span className="text-slate-500 font-normal">
+                              {" "}
+                              × {itemCosting.quantity}
+                            </span>
+                          )}
+                        </h4>
+                        <span className="text-sm text-slate-600">
+                          Cost {formatCurrency(itemCosting.materialCost, costing.currency)}
+                          {itemCosting.marginPercent !== null &&
+                            ` · Margin ${itemCosting.marginPercent}%`}
+                        </span>
+                      </div>
+                      <div className="border rounded-lg divide-y">
+                        {itemCosting.pieces.map((piece) => (
+                          <div
+                            key={piece.piece}
+                            className="grid grid-cols-2 sm:grid-cols-5 gap-2 px-4 py-2 text-sm"
+                          >
+                            <span className="capitalize font-medium">
+                              {piece.piece}
+                              {piece.isAddOn && (
+                                <span className="text-xs text-slate-500 font-normal">
+                                  {" "}
+                                  (add-on)
+                                </span>
+                              )}
+                            </span>
+                            <span>
+                              <span
+                                className={`px-2 py-0.5 text-xs rounded ${COSTING_BASIS_CONFIG[piece.basis].color}`}
+                              >
+                                {COSTING_BASIS_CONFIG[piece.basis].label}
+                              </span>
+                            </span>
+                            <span className="text-slate-600">
+                              Price {formatCurrency(piece.revenue, costing.orderCurrency)}
+                            </span>
+                            <span className="text-slate-600">
+                              Cost {formatCurrency(piece.materialCost, costing.currency)}
+                            </span>
+                            <span
+                              className={`font-medium ${
+                                piece.margin >= 0 ? "text-green-600" : "text-red-600"
+                              }`}
+                            >
+                              {piece.margin !== null
+                                ? formatCurrency(piece.margin, costing.currency)
+                                : "—"}
+                            </span>
+                          </div>
+                        ))}
                       </div>
                     </div>
                   ))}
                 </div>
-              )}
-            </div>
+              </>
+            )}
           </div>
         </TabsContent>
-      </Tabs>
 
-      {/* Add Payment Modal */}
-      <Dialog open={paymentModalOpen} onOpenChange={setPaymentModalOpen}>
-        <DialogContent>
-          <DialogHeader>
-            <DialogTitle>Add Payment</DialogTitle>
-            <DialogDescription>
-              Record a new payment for this order. Upload a receipt image if available.
-            </DialogDescription>
-          </DialogHeader>
-          <div className="space-y-4 py-4">
-            <div>
-              <Label>Amount ({order.currency})</Label>
-              <Input
-                type="number"
-                placeholder="Enter amount"
-                value={paymentAmount}
-                onChange={(e) => setPaymentAmount(e.target.value)}
-              />
-            </div>
-            <div>
-              <Label>Receipt URL (optional)</Label>
-              <Input
-                placeholder="https://drive.google.com/..."
-                value={paymentReceipt}
-                onChange={(e) => setPaymentReceipt(e.target.value)}
-              />
-              <p className="text-xs text-slate-500 mt-1">
-                Upload receipt to Google Drive and paste the link
-              </p>
-            </div>
+        {/* Messages Tab - what was sent to the customer and whether it arrived */}
+        <TabsContent value="messages" className="space-y-4">
+          <div className="bg-white rounded-lg border p-6">
+            <ClientMessagesPanel
+              orderId={id}
+              canSend={hasPermission(user, "sales.send_to_client")}
+            />
+          </div>
+        </TabsContent>
+
+        {/* Documents Tab - proforma, invoice and payment receipts with their versions */}
+        <TabsContent value="documents" className="space-y-4">
+          <div className="bg-white rounded-lg border p-6">
+            <OrderDocumentsPanel
+              order={order}
+              canGenerate={hasPermission(user, "orders.documents")}
+            />
+          </div>
+        </TabsContent>
+
+        {/* Portal Tab - links shared with the customer and their answers */}
+        <TabsContent value="portal" className="space-y-4">
+          <div className="bg-white rounded-lg border p-6">
+            <CustomerPortalPanel
+              order={order}
+              canShare={hasAnyPermission(user, [
+                "sales.send_to_client",
+                "orders.approve_customer_forms",
+              ])}
+            />
           </div>
-          <DialogFooter>
-            <Button variant="outline" onClick={() => setPaymentModalOpen(false)}>
-              Cancel
-            </Button>
-            <Button onClick={handleAddPayment} disabled={addPayment.isPending}>
-              {addPayment.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
-              Add Payment
-            </Button>
-          </DialogFooter>
-        </DialogContent>
-      </Dialog>
+        </TabsContent>
+      </Tabs>
+
+      <PaymentEntryDialog
+        key={paymentModalKey}
+        open={paymentModalOpen}
+        onOpenChange={setPaymentModalOpen}
+        order={order}
+        netPaid={paymentTotals.netPaid}
+      />
+      {voidingPayment && (
+        <VoidPaymentDialog
+          orderId={id}
+          payment={voidingPayment}
+          onClose={() => setVoidingPayment(null)}
+        />
+      )}
     </div>
   )
 }
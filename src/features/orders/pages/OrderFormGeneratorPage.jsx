@@ -39,6 +39,7 @@ import {
   ClipboardList,
 } from "lucide-react"
 import { toast } from "sonner"
+import { printElement } from "@/lib/print"
 import ImageUploader from "../components/ImageUploader"
 
 // Garment categories config
@@ -122,6 +123,7 @@ export default function OrderFormGeneratorPage() {
     watch,
     reset,
     register,
+    setValue,
     formState: { errors },
   } = useForm({
     defaultValues: {
@@ -205,6 +207,21 @@ export default function OrderFormGeneratorPage() {
     }
   }, [isEditMode, item?.orderForm, reset])
 
+  // Pre-fill custom measurements copied from the customer's saved profile
+  useEffect(() => {
+    if (!isEditMode && !item?.orderForm && item?.measurementProfileId) {
+      setValue("measurements", item.measurements || {})
+      setSelectedCategories(item.measurementCategories || [])
+    }
+  }, [
+    isEditMode,
+    item?.orderForm,
+    item?.measurementProfileId,
+    item?.measurements,
+    item?.measurementCategories,
+    setValue,
+  ])
+
   const isStandardSize = item?.sizeType === SIZE_TYPE.STANDARD
 
   // Get product-specific size measurements from chart
@@ -369,366 +386,10 @@ export default function OrderFormGeneratorPage() {
     }
   }
 
+  // Print the preview on its own, without the page around it
   const handlePrint = () => {
-    const printContent = printRef.current
-    if (!printContent) return
-
-    // Format shipping address
-    const formatAddress = () => {
-      const addr = order?.shippingAddress
-      if (!addr) return order?.address || "—"
-      const parts = [
-        addr.street1,
-        addr.street2,
-        addr.city,
-        addr.state,
-        addr.postalCode,
-        addr.country,
-      ].filter(Boolean)
-      return parts.join(", ") || "—"
-    }
-
-    // Check customization state from generated data for print
-    const printIsStyleCustomized = generatedFormData?.style?.type === CUSTOMIZATION_TYPE.CUSTOMIZED
-    const printIsColorCustomized = generatedFormData?.color?.type === CUSTOMIZATION_TYPE.CUSTOMIZED
-    const printIsFabricCustomized =
-      generatedFormData?.fabric?.type === CUSTOMIZATION_TYPE.CUSTOMIZED
-    const printHasAnyCustomization =
-      printIsStyleCustomized || printIsColorCustomized || printIsFabricCustomized
-
-    // Build garment details HTML conditionally for print
-    const buildGarmentFieldsHTML = (category) => {
-      const notes = generatedFormData?.garmentNotes?.[category]
-      if (!notes) return ""
-      let fields = ""
-      if (printIsStyleCustomized) {
-        fields += `<li><strong>Silhouette:</strong> ${notes.silhouette || "—"}</li>`
-        fields += `<li><strong>Front:</strong> ${notes.front || "—"}</li>`
-        fields += `<li><strong>Back:</strong> ${notes.back || "—"}</li>`
-      }
-      if (printIsColorCustomized) {
-        fields += `<li><strong>Dress Color:</strong> ${notes.dressColor || "—"}</li>`
-      }
-      if (printIsFabricCustomized) {
-        if (!printIsStyleCustomized) {
-          fields += `<li><strong>Front:</strong> ${notes.front || "—"}</li>`
-          fields += `<li><strong>Back:</strong> ${notes.back || "—"}</li>`
-        }
-        fields += `<li><strong>Embroidery/Adda Work:</strong> ${notes.embroidery || "—"}</li>`
-      }
-      return fields
-    }
-
-    const printWindow = window.open("", "_blank")
-    printWindow.document.write(`
-    <!DOCTYPE html>
-    <html>
-      <head>
-        <title>Order Form - ${order?.orderNumber}</title>
-        <style>
-          * { margin: 0; padding: 0; box-sizing: border-box; }
-          body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; padding: 20px; color: #1e293b; }
-          .header { text-align: center; border-bottom: 2px solid #e2e8f0; padding-bottom: 16px; margin-bottom: 20px; }
-          .header h1 { font-size: 24px; font-weight: bold; }
-          .header p { color: #64748b; }
-          .section { background: #f8fafc; border-radius: 8px; padding: 16px; margin-bottom: 16px; }
-          .section-title { font-weight: 600; font-size: 14px; margin-bottom: 12px; padding-bottom: 8px; border-bottom: 1px solid #e2e8f0; }
-          .grid { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; }
-          .grid-2 { display: grid; grid-template-columns: repeat(2, 1fr); gap: 12px; }
-          .field label { font-size: 12px; color: #64748b; display: block; }
-          .field p { font-weight: 600; font-size: 13px; }
-          .product-section { display: flex; gap: 20px; }
-          .product-image { width: 100px; height: 100px; border-radius: 8px; object-fit: cover; border: 1px solid #e2e8f0; }
-          .product-placeholder { width: 100px; height: 100px; border-radius: 8px; background: #e2e8f0; display: flex; align-items: center; justify-content: center; color: #94a3b8; }
-          .measurements-grid { display: grid; grid-template-columns: repeat(4, 1fr); gap: 8px; }
-          .measurement-item { display: flex; justify-content: space-between; padding: 4px 0; font-size: 12px; }
-          .measurement-item span:first-child { color: #64748b; }
-          .measurement-item span:last-child { font-weight: 600; }
-          .notes-section { background: #fef3c7; border-radius: 8px; padding: 16px; margin-bottom: 16px; }
-          .footer { text-align: center; border-top: 1px solid #e2e8f0; padding-top: 16px; color: #64748b; font-size: 12px; }
-          .customization-image { max-width: 150px; max-height: 150px; object-fit: cover; border-radius: 4px; margin-top: 8px; }
-          .sketch-section img { max-width: 300px; border-radius: 4px; }
-          .urgent-badge { background: #fef2f2; color: #dc2626; padding: 2px 8px; border-radius: 4px; font-size: 12px; font-weight: 600; }
-          .source-badge { background: #f0f9ff; color: #0369a1; padding: 2px 8px; border-radius: 4px; font-size: 11px; }
-          .included-items { display: flex; flex-wrap: wrap; gap: 6px; margin-top: 4px; }
-          .included-badge { padding: 4px 10px; border-radius: 12px; font-size: 11px; font-weight: 500; text-transform: capitalize; }
-          .included-badge.green { background: #dcfce7; color: #166534; }
-          .included-badge.amber { background: #fef3c7; color: #92400e; }
-          @media print { body { padding: 0; } .section { break-inside: avoid; } }
-        </style>
-      </head>
-      <body>
-        <div class="header">
-          <h1>ORDER CONFIRMATION FORM</h1>
-          <p>Order #${order?.orderNumber || ""}</p>
-          ${order?.source ? `<span class="source-badge">${order.source}</span>` : ""}
-          ${order?.shopifyOrderNumber ? `<span class="source-badge">Shopify: ${order.shopifyOrderNumber}</span>` : ""}
-        </div>
-
-        <div class="section">
-          <div class="section-title">Order Information</div>
-          <div class="grid">
-            <div class="field"><label>Order No:</label><p>${order?.orderNumber || "—"}</p></div>
-            <div class="field"><label>Order Date:</label><p>${order?.createdAt ? new Date(order.createdAt).toLocaleDateString() : "—"}</p></div>
-            <div class="field"><label>FWD Date:</label><p>${order?.fwdDate ? new Date(order.fwdDate).toLocaleDateString() : "—"}</p></div>
-            <div class="field"><label>Expected Shipping Date:</label><p>${order?.actualShippingDate ? new Date(order.actualShippingDate).toLocaleDateString() : "To be confirmed"}</p></div>
-            <div class="field"><label>Urgent:</label><p>${order?.urgent ? `<span class="urgent-badge">${order.urgent}</span>` : "No"}</p></div>
-            <div class="field"><label>Order Source:</label><p>${order?.source || "Manual"}</p></div>
-          </div>
-        </div>
-
-        <div class="section">
-          <div class="section-title">Payment Information</div>
-          <div class="grid">
-            <div class="field"><label>Payment Status:</label><p>${order?.paymentStatus || "—"}</p></div>
-            <div class="field"><label>Payment Method:</label><p>${order?.paymentMethod?.replace("_", " ") || "—"}</p></div>
-            <div class="field"><label>Currency:</label><p>${order?.currency || "PKR"}</p></div>
-            <div class="field"><label>Total Amount:</label><p>${order?.totalAmount?.toLocaleString() || "0"}</p></div>
-            <div class="field"><label>Total Received:</label><p>${order?.totalReceived?.toLocaleString() || "0"}</p></div>
-            <div class="field"><label>Remaining:</label><p>${order?.remainingAmount?.toLocaleString() || "0"}</p></div>
-          </div>
-        </div>
-
-        <div class="section">
-          <div class="section-title">Client Information</div>
-          <div class="grid">
-            <div class="field"><label>Customer Name:</label><p>${order?.customerName || "—"}</p></div>
-            <div class="field"><label>Email:</label><p>${order?.customerEmail || "—"}</p></div>
-            <div class="field"><label>Phone:</label><p>${order?.customerPhone || "—"}</p></div>
-            <div class="field"><label>Customer Height:</label><p>${order?.clientHeight || "—"}</p></div>
-            <div class="field"><label>Modesty Requirement:</label><p>${order?.modesty || "NO"}</p></div>
-          </div>
-        </div>
-
-        <div class="section">
-          <div class="section-title">Team Information</div>
-          <div class="grid">
-            <div class="field"><label>Fashion Consultant:</label><p>${order?.consultantName || "—"}</p></div>
-            <div class="field"><label>Production Incharge:</label><p>${order?.productionInchargeName || order?.productionInCharge || "Not assigned"}</p></div>
-          </div>
-        </div>
-
-        <div class="section">
-          <div class="section-title">Product Information</div>
-          <div class="product-section">
-            ${productImage ? `<img src="${productImage}" class="product-image" alt="Product" />` : `<div class="product-placeholder">No Image</div>`}
-            <div class="grid-2" style="flex: 1;">
-              <div class="field"><label>Product Name:</label><p>${item?.productName || product?.name || "—"}</p></div>
-              <div class="field"><label>SKU:</label><p>${product?.sku || item?.productSku || "—"}</p></div>
-              <div class="field"><label>Size Type:</label><p>${isStandardSize ? "Standard" : "Custom"}</p></div>
-              <div class="field"><label>Size:</label><p>${isStandardSize ? item?.size : "Custom Measurements"}</p></div>
-              <div class="field"><label>Quantity:</label><p>${item?.quantity || 1}</p></div>
-            </div>
-          </div>
-        </div>
-        
-        <div class="section">
-          <div class="section-title">What's Included</div>
-          <div class="grid-2">
-            <div class="field">
-              <label>Included Items:</label>
-              ${
-                item?.includedItems && item.includedItems.length > 0
-                  ? `<div class="included-items">${item.includedItems.map((i) => `<span class="included-badge green">${i.piece}</span>`).join("")}</div>`
-                  : `<p>None specified</p>`
-              }
-            </div>
-            <div class="field">
-              <label>Selected Add-ons:</label>
-              ${
-                item?.selectedAddOns && item.selectedAddOns.length > 0
-                  ? `<div class="included-items">${item.selectedAddOns.map((a) => `<span class="included-badge amber">${a.piece}</span>`).join("")}</div>`
-                  : `<p>No add-ons selected</p>`
-              }
-            </div>
-          </div>
-        </div>
-
-        <div class="section">
-          <div class="section-title">Customization Options</div>
-          <div class="grid">
-            <div class="field">
-              <label>Style:</label>
-              <p>${generatedFormData?.style?.type || "Original"}</p>
-              ${generatedFormData?.style?.details ? `<p style="font-size:11px;color:#64748b;">${generatedFormData.style.details}</p>` : ""}
-              ${generatedFormData?.style?.image ? `<img src="${generatedFormData.style.image}" class="customization-image" alt="Style reference" />` : ""}
-            </div>
-            <div class="field">
-              <label>Color:</label>
-              <p>${generatedFormData?.color?.type || "Original"}</p>
-              ${generatedFormData?.color?.details ? `<p style="font-size:11px;color:#64748b;">${generatedFormData.color.details}</p>` : ""}
-              ${generatedFormData?.color?.image ? `<img src="${generatedFormData.color.image}" class="customization-image" alt="Color reference" />` : ""}
-            </div>
-            <div class="field">
-              <label>Fabric:</label>
-              <p>${generatedFormData?.fabric?.type || "Original"}</p>
-              ${generatedFormData?.fabric?.details ? `<p style="font-size:11px;color:#64748b;">${generatedFormData.fabric.details}</p>` : ""}
-              ${generatedFormData?.fabric?.image ? `<img src="${generatedFormData.fabric.image}" class="customization-image" alt="Fabric reference" />` : ""}
-            </div>
-          </div>
-        </div>
-
-        ${
-          printHasAnyCustomization
-            ? `
-        <div class="section">
-          <div class="section-title">Garment Details</div>
-          <div class="grid" style="grid-template-columns: repeat(3, 1fr);">
-            ${GARMENT_CATEGORIES.map((cat) => {
-              const notes = generatedFormData?.garmentNotes?.[cat]
-              let content = ""
-              if (printIsStyleCustomized) {
-                content += `<p style="font-weight:600;color:#7c3aed;font-size:10px;text-transform:uppercase;letter-spacing:0.5px;margin:8px 0 4px 0;">Style</p>`
-                content += `<ul style="list-style-type:disc;padding-left:20px;font-size:11px;margin:0 0 6px 0;">`
-                content += `<li>Silhouette: <strong>${notes?.silhouette || "—"}</strong></li>`
-                content += `<li>Front: <strong>${notes?.front || "—"}</strong></li>`
-                content += `<li>Back: <strong>${notes?.back || "—"}</strong></li>`
-                content += `</ul>`
-              }
-              if (printIsColorCustomized) {
-                content += `<p style="font-weight:600;color:#e11d48;font-size:10px;text-transform:uppercase;letter-spacing:0.5px;margin:8px 0 4px 0;">Color</p>`
-                content += `<ul style="list-style-type:disc;padding-left:20px;font-size:11px;margin:0 0 6px 0;">`
-                content += `<li>Dress Color: <strong>${notes?.dressColor || "—"}</strong></li>`
-                content += `</ul>`
-              }
-              if (printIsFabricCustomized) {
-                content += `<p style="font-weight:600;color:#d97706;font-size:10px;text-transform:uppercase;letter-spacing:0.5px;margin:8px 0 4px 0;">Fabric</p>`
-                content += `<ul style="list-style-type:disc;padding-left:20px;font-size:11px;margin:0 0 6px 0;">`
-                if (!printIsStyleCustomized) {
-                  content += `<li>Front: <strong>${notes?.front || "—"}</strong></li>`
-                  content += `<li>Back: <strong>${notes?.back || "—"}</strong></li>`
-                }
-                content += `<li>Embroidery/Adda Work: <strong>${notes?.embroidery || "—"}</strong></li>`
-                content += `</ul>`
-              }
-              return `
-              <div class="field">
-                <label style="font-weight:600;font-size:13px;">${GARMENT_LABELS[cat]}</label>
-                ${content}
-              </div>`
-            }).join("")}
-          </div>
-        </div>
-        `
-            : ""
-        }
-
-        ${
-          isStandardSize
-            ? `
-          <div class="section">
-            <div class="section-title">Standard Size Measurements (${item?.size})</div>
-            ${
-              Object.keys(standardSizeMeasurements).length > 0
-                ? `
-            <div class="measurements-grid">
-              ${Object.entries(standardSizeMeasurements)
-                .map(
-                  ([key, value]) => `
-                <div class="measurement-item"><span>${key.replace(/_/g, " ")}</span><span>${value}"</span></div>
-              `
-                )
-                .join("")}
-            </div>`
-                : `<p style="color:#64748b;font-size:12px;">No size chart configured for this product</p>`
-            }
-            ${
-              heightMeasurements && Object.keys(heightMeasurements).length > 0
-                ? `
-              <div style="margin-top:12px;padding-top:12px;border-top:1px solid #e2e8f0;">
-                <div style="font-weight:500;margin-bottom:8px;">Height-Based Measurements (${order?.clientHeight})</div>
-                <div class="measurements-grid">
-                  ${Object.entries(heightMeasurements)
-                    .map(
-                      ([key, value]) => `
-                    <div class="measurement-item"><span>${key.replace(/_/g, " ")}</span><span>${value}"</span></div>
-                  `
-                    )
-                    .join("")}
-                </div>
-              </div>`
-                : ""
-            }
-          </div>
-        `
-            : `
-          ${
-            generatedFormData?.measurements &&
-            Object.keys(generatedFormData.measurements).length > 0
-              ? `
-            ${selectedCategories
-              .map((catId) => {
-                const category = getMeasurementCategoryById(catId)
-                if (!category) return ""
-                const categoryMeasurements = Object.entries(generatedFormData.measurements).filter(
-                  ([key]) => key.startsWith(catId + "_")
-                )
-                if (categoryMeasurements.length === 0) return ""
-                return `
-                <div class="section">
-                  <div class="section-title">${category.name}</div>
-                  <div class="measurements-grid">
-                    ${categoryMeasurements
-                      .map(([key, value]) => {
-                        const measurementId = key.replace(catId + "_", "")
-                        const measurement = category.groups
-                          .flatMap((g) => g.measurements)
-                          .find((m) => m.id === measurementId)
-                        return `<div class="measurement-item"><span>${measurement?.label || measurementId}</span><span>${value}"</span></div>`
-                      })
-                      .join("")}
-                  </div>
-                </div>`
-              })
-              .join("")}
-          `
-              : ""
-          }
-        `
-        }
-
-        ${
-          generatedFormData?.sketchImage
-            ? `
-          <div class="section sketch-section">
-            <div class="section-title">Design Sketch</div>
-            <img src="${generatedFormData.sketchImage}" alt="Design sketch" />
-          </div>`
-            : ""
-        }
-
-        <div class="section">
-          <div class="section-title">Shipping Details</div>
-          <div class="grid">
-            <div class="field"><label>Destination:</label><p>${order?.destination || "—"}</p></div>
-            <div class="field" style="grid-column: span 2;"><label>Full Address:</label><p>${formatAddress()}</p></div>
-            <div class="field"><label>Tracking ID:</label><p>${order?.preTrackingId || "Not assigned"}</p></div>
-          </div>
-        </div>
-
-        ${
-          generatedFormData?.notes || order?.notes
-            ? `
-          <div class="notes-section">
-            <div class="section-title" style="border:none;margin-bottom:8px;padding-bottom:0;">Additional Notes</div>
-            <p style="font-size:13px;">${generatedFormData?.notes || ""}</p>
-            ${order?.notes ? `<p style="font-size:12px;color:#92400e;margin-top:8px;"><strong>Order Notes:</strong> ${order.notes}</p>` : ""}
-          </div>`
-            : ""
-        }
-
-        <div class="footer">
-          <p>Please confirm these details are correct.</p>
-          <p>Generated on ${new Date().toLocaleString()} by ${user?.name || "System"}</p>
-        </div>
-      </body>
-    </html>
-  `)
-    printWindow.document.close()
-    printWindow.focus()
-    setTimeout(() => {
-      printWindow.print()
-    }, 250)
+    if (!printRef.current) return
+    printElement(printRef.current, `Order Form - ${order?.orderNumber}`)
   }
 
   // Get product image - check multiple sources
@@ -904,7 +565,11 @@ export default function OrderFormGeneratorPage() {
           <Card>
             <CardHeader>
               <CardTitle>Measurement Categories</CardTitle>
-              <CardDescription>Select categories and enter custom measurements</CardDescription>
+              <CardDescription>
+                {item?.measurementProfileId && !isEditMode
+                  ? "Prefilled from the customer's saved measurements; update anything that has changed"
+                  : "Select categories and enter custom measurements"}
+              </CardDescription>
             </CardHeader>
             <CardContent className="space-y-4">
               <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
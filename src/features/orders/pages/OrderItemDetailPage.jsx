@@ -10,6 +10,9 @@ import {
   CUSTOMIZATION_TYPE,
   SECTION_STATUS,
   SECTION_STATUS_CONFIG,
+  READY_STOCK_ROUTE,
+  READY_STOCK_ROUTE_CONFIG,
+  ORDER_FORM_SECTIONS,
 } from "@/constants/orderConstants"
 import PacketTab from "@/features/packet/components/PacketTab"
 
@@ -19,6 +22,13 @@ import { Badge } from "@/components/ui/badge"
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
 import { Dialog, DialogContent, DialogHeader, DialogTitle } from "@/components/ui/dialog"
 import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert"
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select"
 import {
   ArrowLeft,
   FileText,
@@ -37,14 +47,16 @@ import {
   ClipboardCheck,
   Layers,
   XCircle,
+  Shirt,
 } from "lucide-react"
 import { toast } from "sonner"
-import { hasPermission } from "@/lib/rbac"
+import { WORKFLOW_LEVEL, canTransition } from "@/lib/workflow"
 import CustomBOMViewModal from "../components/CustomBOMViewModal"
 import {
   useRunInventoryCheck,
   useRerunSectionInventoryCheck,
   useProcurementDemands,
+  useReadyStockMatch,
 } from "../../../hooks/useProcurement"
 
 /**
@@ -242,6 +254,11 @@ function SectionInventoryResults({
                             </td>
                             <td className="py-1.5 px-2 text-right">
                               {mat.requiredQty} {mat.unit}
+                              {mat.bomUnit && mat.bomUnit !== mat.unit && (
+                                <span className="block text-xs text-muted-foreground">
+                                  {mat.bomQty} {mat.bomUnit} on BOM
+                                </span>
+                              )}
                             </td>
                             <td className="py-1.5 px-2 text-right">
                               {mat.availableQty} {mat.unit}
@@ -300,6 +317,7 @@ export default function OrderItemDetailPage() {
 
   const [showInventoryResults, setShowInventoryResults] = useState(false)
   const [inventoryResults, setInventoryResults] = useState(null)
+  const [readyStockRoute, setReadyStockRoute] = useState(READY_STOCK_ROUTE.QA)
 
   const { data: orderData, isLoading: orderLoading } = useOrder(orderId)
   const { data: itemData, isLoading: itemLoading } = useOrderItem(itemId)
@@ -320,8 +338,19 @@ export default function OrderItemDetailPage() {
   })
   const product = productData?.data
 
-  const canManageForms = hasPermission(user, "orders.manage_customer_forms")
-  const canApprove = hasPermission(user, "orders.approve_customer_forms")
+  // Action buttons follow the workflow table (status + permission + preconditions)
+  const canManageForms = canTransition(WORKFLOW_LEVEL.ORDER_ITEM, "GENERATE_FORM", item, { user })
+  const canApprove = canTransition(WORKFLOW_LEVEL.ORDER_ITEM, "APPROVE_FORM", item, { user })
+  const canRunInventoryCheck = canTransition(
+    WORKFLOW_LEVEL.ORDER_ITEM,
+    "RUN_INVENTORY_CHECK",
+    item,
+    { user }
+  )
+
+  // RTS items of a standard size may be filled from a finished garment instead
+  const { data: readyStockData } = useReadyStockMatch(itemId, { enabled: canRunInventoryCheck })
+  const readyStockMatch = readyStockData?.data
 
   const handleApprove = async () => {
     try {
@@ -336,20 +365,25 @@ export default function OrderItemDetailPage() {
     try {
       const response = await runInventoryCheck.mutateAsync({
         orderItemId: itemId,
-        data: { checkedBy: user?.name || "System" },
+        data: {
+          checkedBy: user?.name || "System",
+          ...(readyStockMatch?.sufficient && { readyStockRoute }),
+        },
       })
 
       const result = response?.data || response
       setInventoryResults(result)
       setShowInventoryResults(true)
 
-      if (result.shortages && result.shortages.length > 0) {
+      if (result.readyStock) {
+        toast.success(response.message || "Filled from ready stock")
+      } else if (result.shortages && result.shortages.length > 0) {
         toast.warning(`Found ${result.shortages.length} material shortage(s)`)
       } else {
         toast.success("All materials available! Ready for production.")
       }
     } catch (error) {
-      toast.error("Failed to run inventory check")
+      toast.error(error.message || "Failed to run inventory check")
       console.error("Inventory check error:", error)
     }
   }
@@ -524,7 +558,7 @@ export default function OrderItemDetailPage() {
                         {included.piece}
                         {included.price > 0 && (
                           <span className="text-green-600 text-xs ml-1">
-                            PKR {included.price.toLocaleString()}
+                            {order.currency} {included.price.toLocaleString()}
                           </span>
                         )}
                       </span>
@@ -549,7 +583,7 @@ export default function OrderItemDetailPage() {
                         {addon.piece}
                         {addon.price > 0 ? (
                           <span className="text-amber-600 text-xs ml-1">
-                            +PKR {addon.price.toLocaleString()}
+                            +{order.currency} {addon.price.toLocaleString()}
                           </span>
                         ) : (
                           <span className="text-amber-600 text-xs ml-1">(Included)</span>
@@ -636,7 +670,7 @@ export default function OrderItemDetailPage() {
             )}
 
           {/* Inventory Check section - show for items in INVENTORY_CHECK status */}
-          {item.status === ORDER_ITEM_STATUS.INVENTORY_CHECK && (
+          {canRunInventoryCheck && (
             <Card>
               <CardContent className="pt-6">
                 <div className="flex items-center justify-between mb-4">
@@ -666,6 +700,43 @@ export default function OrderItemDetailPage() {
                   </Button>
                 </div>
 
+                {readyStockMatch &&
+                  (readyStockMatch.sufficient ? (
+                    <div className="rounded-lg border border-violet-200 bg-violet-50 p-3 mb-4 space-y-3">
+                      <div className="flex items-start gap-2">
+                        <Shirt className="h-4 w-4 mt-0.5 text-violet-600" />
+                        <p className="text-sm text-violet-900">
+                          RTS order: {readyStockMatch.availableQty} x {readyStockMatch.sku} (
+                          {readyStockMatch.inventoryItemName}) in ready stock. The check fills this
+                          item from it instead of making it.
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-3">
+                        <span className="text-sm font-medium text-violet-900">Then send to</span>
+                        <Select value={readyStockRoute} onValueChange={setReadyStockRoute}>
+                          <SelectTrigger className="w-48 bg-white">
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {Object.entries(READY_STOCK_ROUTE_CONFIG).map(([value, config]) => (
+                              <SelectItem key={value} value={value}>
+                                {config.label}
+                              </SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </div>
+                      <p className="text-xs text-violet-700">
+                        {READY_STOCK_ROUTE_CONFIG[readyStockRoute].description}
+                      </p>
+                    </div>
+                  ) : (
+                    <p className="text-sm text-amber-700 mb-4">
+                      Ready stock {readyStockMatch.sku} has {readyStockMatch.availableQty} left,{" "}
+                      {readyStockMatch.requiredQty} needed. The item will be made from its BOM.
+                    </p>
+                  ))}
+
                 {/* Show last check results if available */}
                 {item.lastInventoryCheck && (
                   <p className="text-xs text-muted-foreground">
@@ -676,6 +747,20 @@ export default function OrderItemDetailPage() {
             </Card>
           )}
 
+          {item.readyStockFulfillment && (
+            <Alert className="border-violet-200 bg-violet-50">
+              <Shirt className="h-4 w-4 text-violet-600" />
+              <AlertTitle className="text-violet-900">Filled from ready stock</AlertTitle>
+              <AlertDescription className="text-violet-700">
+                {item.readyStockFulfillment.quantity} x {item.readyStockFulfillment.sku} (
+                {item.readyStockFulfillment.inventoryItemName}) taken out of stock by{" "}
+                {item.readyStockFulfillment.fulfilledBy} on{" "}
+                {new Date(item.readyStockFulfillment.fulfilledAt).toLocaleString()}. Sent to{" "}
+                {READY_STOCK_ROUTE_CONFIG[item.readyStockFulfillment.route]?.label}.
+              </AlertDescription>
+            </Alert>
+          )}
+
           {/* ============================================================ */}
           {/* NEW: Section-Level Inventory Results (for partial workflow) */}
           {/* ============================================================ */}
@@ -730,6 +815,11 @@ export default function OrderItemDetailPage() {
                           <td className="py-2 text-muted-foreground">{req.inventoryItemSku}</td>
                           <td className="py-2 text-right">
                             {req.requiredQty} {req.unit}
+                            {req.bomUnit && req.bomUnit !== req.unit && (
+                              <span className="block text-xs text-muted-foreground">
+                                {req.bomQty} {req.bomUnit} on BOM
+                              </span>
+                            )}
                           </td>
                           <td className="py-2 text-right">
                             {req.availableQty} {req.unit}
@@ -1047,13 +1137,17 @@ export default function OrderItemDetailPage() {
                       <Eye className="h-4 w-4 mr-2" />
                       View Form
                     </Button>
-                    <Button
-                      variant="outline"
-                      onClick={() => navigate(`/orders/${orderId}/items/${itemId}/form?edit=true`)}
-                    >
-                      <Edit className="h-4 w-4 mr-2" />
-                      Edit Form
-                    </Button>
+                    {canManageForms && (
+                      <Button
+                        variant="outline"
+                        onClick={() =>
+                          navigate(`/orders/${orderId}/items/${itemId}/form?edit=true`)
+                        }
+                      >
+                        <Edit className="h-4 w-4 mr-2" />
+                        Edit Form
+                      </Button>
+                    )}
                   </div>
 
                   {/* Version History */}
@@ -1080,25 +1174,63 @@ export default function OrderItemDetailPage() {
                     </div>
                   )}
 
+                  {/* Customer's answer from the portal */}
+                  {item.orderFormChangeRequest && (
+                    <Alert className="border-amber-200 bg-amber-50">
+                      <AlertCircle className="h-4 w-4 text-amber-600" />
+                      <AlertTitle className="text-amber-800">
+                        Customer asked for changes on{" "}
+                        {new Date(item.orderFormChangeRequest.requestedAt).toLocaleString()}
+                      </AlertTitle>
+                      <AlertDescription className="text-amber-800">
+                        <ul className="list-disc pl-4">
+                          {item.orderFormChangeRequest.sections.map((section) => (
+                            <li key={section.sectionName}>
+                              <span className="font-medium">
+                                {ORDER_FORM_SECTIONS.find((s) => s.value === section.sectionName)
+                                  ?.label || section.sectionName}
+                              </span>
+                              {section.notes && ` - ${section.notes}`}
+                            </li>
+                          ))}
+                        </ul>
+                        {item.orderFormChangeRequest.comment && (
+                          <p className="mt-1 italic">
+                            &quot;{item.orderFormChangeRequest.comment}&quot;
+                          </p>
+                        )}
+                        <p className="mt-1">Edit the form to send the customer a new version.</p>
+                      </AlertDescription>
+                    </Alert>
+                  )}
+                  {item.orderFormApproval && (
+                    <div className="flex items-center gap-2 text-sm text-green-600">
+                      <CheckCircle className="h-4 w-4" />
+                      <span>
+                        Approved by {item.orderFormApproval.approvedBy} on{" "}
+                        {new Date(item.orderFormApproval.approvedAt).toLocaleString()}
+                      </span>
+                    </div>
+                  )}
+
                   {/* Approval Button */}
-                  {item.status === ORDER_ITEM_STATUS.AWAITING_CUSTOMER_FORM_APPROVAL &&
-                    canApprove && (
-                      <div className="mt-4 pt-4 border-t">
-                        <Button onClick={handleApprove} disabled={approveForm.isPending}>
-                          {approveForm.isPending ? (
-                            <>
-                              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
-                              Approving...
-                            </>
-                          ) : (
-                            <>
-                              <CheckCircle className="h-4 w-4 mr-2" />
-                              Mark as Customer Approved
-                            </>
-                          )}
-                        </Button>
-                      </div>
-                    )}
+                  {canApprove && (
+                    <div className="mt-4 pt-4 border-t">
+                      <Button onClick={handleApprove} disabled={approveForm.isPending}>
+                        {approveForm.isPending ? (
+                          <>
+                            <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                            Approving...
+                          </>
+                        ) : (
+                          <>
+                            <CheckCircle className="h-4 w-4 mr-2" />
+                            Mark as Customer Approved
+                          </>
+                        )}
+                      </Button>
+                    </div>
+                  )}
                 </div>
               ) : (
                 <div className="space-y-4">
@@ -21,6 +21,7 @@ import { Play, CheckCircle, Loader2, Package, AlertCircle, Clock } from "lucide-
 import { useStartPacket, useCompletePacket } from "@/hooks/usePacket"
 import { useAuth } from "@/features/auth/hooks/useAuth"
 import { PACKET_STATUS } from "@/constants/orderConstants"
+import { WORKFLOW_LEVEL, canTransition, checkTransition } from "@/lib/workflow"
 import { formatDistanceToNow } from "date-fns"
 import PacketStatusBadge from "./PacketStatusBadge"
 
@@ -35,8 +36,11 @@ export default function PacketCreatorActions({ packet }) {
   if (!packet) return null
 
   const isAssignedToMe = packet.assignedTo === user?.id || packet.assignedTo === String(user?.id)
-  const canStart = packet.status === PACKET_STATUS.ASSIGNED && isAssignedToMe
-  const canComplete = packet.status === PACKET_STATUS.IN_PROGRESS && isAssignedToMe
+  const canStart = canTransition(WORKFLOW_LEVEL.PACKET, "START", packet, { user })
+  // Keep the complete button visible (but disabled) while items are still being picked
+  const completeCheck = checkTransition(WORKFLOW_LEVEL.PACKET, "COMPLETE", packet, { user })
+  const canComplete =
+    completeCheck.allowed || (completeCheck.reason === "PRECONDITION" && isAssignedToMe)
   const allItemsPicked = packet.pickedItems === packet.totalItems && packet.totalItems > 0
 
   const handleStart = async () => {
@@ -2,6 +2,9 @@
  * PacketPickList.jsx
  * Material checklist for packet creation
  * Shows all materials to gather with rack locations and pick status
+ * In scan mode items are picked by scanning their rack label instead of ticking
+ * Materials received in dye lots can be picked from a chosen lot; otherwise the
+ * oldest stock is used. Picked lines show the lots they came from.
  */
 
 import { useState } from "react"
@@ -10,6 +13,13 @@ import { Button } from "@/components/ui/button"
 import { Badge } from "@/components/ui/badge"
 import { Checkbox } from "@/components/ui/checkbox"
 import { Progress } from "@/components/ui/progress"
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select"
 import {
   Table,
   TableBody,
@@ -18,15 +28,31 @@ import {
   TableHeader,
   TableRow,
 } from "@/components/ui/table"
-import { Package, MapPin, CheckCircle2, Circle, Loader2, AlertCircle } from "lucide-react"
+import { Package, MapPin, CheckCircle2, Circle, Loader2, AlertCircle, ScanLine } from "lucide-react"
 import { usePickItem } from "@/hooks/usePacket"
 import { useAuth } from "@/features/auth/hooks/useAuth"
-import { PACKET_STATUS, SECTION_STATUS, SECTION_STATUS_CONFIG } from "@/constants/orderConstants"
+import PacketScanPanel from "./PacketScanPanel"
+import {
+  PACKET_STATUS,
+  SECTION_STATUS,
+  SECTION_STATUS_CONFIG,
+  INVENTORY_LOCATION,
+  INVENTORY_LOCATION_CONFIG,
+} from "@/constants/orderConstants"
+
+// Select value for letting the pick take the oldest stock
+const OLDEST_LOT_FIRST = "oldest"
+
+// Pick lists from before locations existed pull from the main store
+const getLocationConfig = (location) =>
+  INVENTORY_LOCATION_CONFIG[location] || INVENTORY_LOCATION_CONFIG[INVENTORY_LOCATION.MAIN_STORE]
 
 export default function PacketPickList({ packet, canPick = false, onItemPicked }) {
   const { user } = useAuth()
   const pickItem = usePickItem()
   const [pickingItemId, setPickingItemId] = useState(null)
+  const [scanMode, setScanMode] = useState(false)
+  const [selectedLots, setSelectedLots] = useState({})
 
   if (!packet || !packet.pickList) {
     return (
@@ -40,8 +66,9 @@ export default function PacketPickList({ packet, canPick = false, onItemPicked }
 
   const { pickList, pickedItems, totalItems } = packet
   const progress = totalItems > 0 ? (pickedItems / totalItems) * 100 : 0
+  const isPicking = canPick && packet.status === PACKET_STATUS.IN_PROGRESS
 
-  const handlePickItem = async (item) => {
+  const handlePickItem = async (item, pickedQty = item.requiredQty) => {
     console.log("[PacketPickList] Picking item:", {
       id: item.id,
       name: item.inventoryItemName,
@@ -56,8 +83,9 @@ export default function PacketPickList({ packet, canPick = false, onItemPicked }
       await pickItem.mutateAsync({
         orderItemId: packet.orderItemId,
         pickItemId: item.id,
-        pickedQty: item.requiredQty,
+        pickedQty,
         userId: user?.id,
+        lotNumber: selectedLots[item.id],
       })
       onItemPicked?.(item)
     } finally {
@@ -81,9 +109,21 @@ export default function PacketPickList({ packet, canPick = false, onItemPicked }
             <Package className="h-4 w-4" />
             Pick List
           </CardTitle>
-          <Badge variant="outline">
-            {pickedItems}/{totalItems} picked
-          </Badge>
+          <div className="flex items-center gap-2">
+            {isPicking && (
+              <Button
+                variant={scanMode ? "default" : "outline"}
+                size="sm"
+                onClick={() => setScanMode((on) => !on)}
+              >
+                <ScanLine className="h-4 w-4 mr-1" />
+                Scan Mode
+              </Button>
+            )}
+            <Badge variant="outline">
+              {pickedItems}/{totalItems} picked
+            </Badge>
+          </div>
         </div>
         <Progress value={progress} className="h-2 mt-2" />
       </CardHeader>
@@ -105,6 +145,14 @@ export default function PacketPickList({ packet, canPick = false, onItemPicked }
       )}
 
       <CardContent className="space-y-4">
+        {isPicking && scanMode && (
+          <PacketScanPanel
+            pickList={pickList}
+            onPick={handlePickItem}
+            isPicking={pickingItemId !== null}
+          />
+        )}
+
         {Object.entries(groupedItems).map(([piece, items]) => (
           <div key={piece} className="space-y-2">
             <div className="flex items-center justify-between">
@@ -139,9 +187,10 @@ export default function PacketPickList({ packet, canPick = false, onItemPicked }
                     <TableHead>
                       <span className="flex items-center gap-1">
                         <MapPin className="h-3 w-3" />
-                        Rack
+                        Location / Rack
                       </span>
                     </TableHead>
+                    <TableHead>Lot</TableHead>
                     <TableHead>Status</TableHead>
                   </TableRow>
                 </TableHeader>
@@ -149,7 +198,7 @@ export default function PacketPickList({ packet, canPick = false, onItemPicked }
                   {items.map((item) => (
                     <TableRow key={item.id} className={item.isPicked ? "bg-green-50/50" : ""}>
                       <TableCell>
-                        {canPick && packet.status === PACKET_STATUS.IN_PROGRESS ? (
+                        {isPicking && !scanMode ? (
                           <Button
                             variant="ghost"
                             size="sm"
@@ -182,12 +231,61 @@ export default function PacketPickList({ packet, canPick = false, onItemPicked }
                       <TableCell className="text-right">
                         <span className="font-medium">{item.requiredQty}</span>
                         <span className="text-muted-foreground ml-1 text-xs">{item.unit}</span>
+                        {item.bomUnit && item.bomUnit !== item.unit && (
+                          <p className="text-xs text-muted-foreground">
+                            {item.bomQty} {item.bomUnit} on BOM
+                          </p>
+                        )}
                       </TableCell>
 
                       <TableCell>
-                        <Badge variant="outline" className="font-mono">
-                          {item.rackLocation || "TBD"}
-                        </Badge>
+                        <div className="flex flex-wrap items-center gap-1">
+                          <Badge className={getLocationConfig(item.location).color}>
+                            {getLocationConfig(item.location).label}
+                          </Badge>
+                          <Badge variant="outline" className="font-mono">
+                            {item.rackLocation || "TBD"}
+                          </Badge>
+                        </div>
+                      </TableCell>
+
+                      <TableCell>
+                        {item.isPicked ? (
+                          <div className="flex flex-wrap gap-1">
+                            {(item.lots || []).map((lot) => (
+                              <Badge key={lot.lotNumber} variant="outline" className="font-mono">
+                                {lot.lotNumber}
+                              </Badge>
+                            ))}
+                            {!item.lots?.length && (
+                              <span className="text-xs text-muted-foreground">—</span>
+                            )}
+                          </div>
+                        ) : isPicking && item.availableLots?.length > 0 ? (
+                          <Select
+                            value={selectedLots[item.id] || OLDEST_LOT_FIRST}
+                            onValueChange={(value) =>
+                              setSelectedLots((prev) => ({
+                                ...prev,
+                                [item.id]: value === OLDEST_LOT_FIRST ? undefined : value,
+                              }))
+                            }
+                          >
+                            <SelectTrigger className="h-8 w-40 text-xs">
+                              <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                              <SelectItem value={OLDEST_LOT_FIRST}>Oldest first</SelectItem>
+                              {item.availableLots.map((lot) => (
+                                <SelectItem key={lot.lotNumber} value={lot.lotNumber}>
+                                  {lot.lotNumber} ({lot.quantity} {item.unit})
+                                </SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                        ) : (
+                          <span className="text-xs text-muted-foreground">—</span>
+                        )}
                       </TableCell>
 
                       <TableCell>
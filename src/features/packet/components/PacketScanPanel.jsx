@@ -0,0 +1,139 @@
+/**
+ * PacketScanPanel.jsx
+ * Scan-to-pick for the packet pick list
+ * Takes a rack label scan (keyboard-wedge scanner or typed code), checks the
+ * SKU and rack against the pick list, then asks for the quantity taken
+ */
+
+import { useEffect, useRef, useState } from "react"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { ScanLine, AlertCircle, Loader2, Check, X } from "lucide-react"
+import { matchPickScan } from "@/lib/labels"
+
+export default function PacketScanPanel({ pickList, onPick, isPicking }) {
+  const scanInputRef = useRef(null)
+  const quantityInputRef = useRef(null)
+  const [code, setCode] = useState("")
+  const [error, setError] = useState("")
+  const [scannedItem, setScannedItem] = useState(null)
+  const [quantity, setQuantity] = useState("")
+
+  // Keep the cursor where the scanner types next
+  useEffect(() => {
+    if (scannedItem) {
+      quantityInputRef.current?.select()
+    } else {
+      scanInputRef.current?.focus()
+    }
+  }, [scannedItem])
+
+  const handleScan = (e) => {
+    e.preventDefault()
+    const result = matchPickScan(pickList, code)
+    setCode("")
+
+    if (result.error) {
+      setError(result.error)
+      scanInputRef.current?.focus()
+      return
+    }
+
+    setError("")
+    setScannedItem(result.item)
+    setQuantity(String(result.item.requiredQty))
+  }
+
+  const resetScan = () => {
+    setScannedItem(null)
+    setQuantity("")
+  }
+
+  const handleConfirm = async (e) => {
+    e.preventDefault()
+    const qty = parseFloat(quantity)
+    if (isNaN(qty) || qty <= 0) {
+      setError("Enter the quantity taken from the rack")
+      return
+    }
+
+    try {
+      await onPick(scannedItem, qty)
+      setError("")
+      resetScan()
+    } catch {
+      // The pick hook already shows the error toast; keep the line to retry
+    }
+  }
+
+  return (
+    <div className="rounded-lg border border-blue-200 bg-blue-50/50 p-3 space-y-3">
+      {!scannedItem ? (
+        <form onSubmit={handleScan} className="space-y-1">
+          <Label htmlFor="pick-scan" className="flex items-center gap-2 text-sm">
+            <ScanLine className="h-4 w-4 text-blue-600" />
+            Scan a rack label or type a SKU
+          </Label>
+          <Input
+            id="pick-scan"
+            ref={scanInputRef}
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="INV|SKU|RACK"
+            autoComplete="off"
+            className="font-mono bg-white"
+          />
+        </form>
+      ) : (
+        <form onSubmit={handleConfirm} className="space-y-2">
+          <div className="text-sm">
+            <p className="font-medium">{scannedItem.inventoryItemName}</p>
+            <p className="text-xs text-muted-foreground">
+              {scannedItem.inventoryItemSku} · Rack {scannedItem.rackLocation || "TBD"} · Required{" "}
+              {scannedItem.requiredQty} {scannedItem.unit}
+            </p>
+          </div>
+          <div className="flex items-end gap-2">
+            <div className="flex-1 space-y-1">
+              <Label htmlFor="pick-quantity" className="text-xs">
+                Quantity taken ({scannedItem.unit})
+              </Label>
+              <Input
+                id="pick-quantity"
+                ref={quantityInputRef}
+                type="number"
+                step="0.01"
+                min="0.01"
+                value={quantity}
+                onChange={(e) => setQuantity(e.target.value)}
+                onKeyDown={(e) => e.key === "Escape" && resetScan()}
+                disabled={isPicking}
+                className="bg-white"
+              />
+            </div>
+            <Button type="submit" disabled={isPicking}>
+              {isPicking ? (
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              ) : (
+                <Check className="h-4 w-4 mr-2" />
+              )}
+              Pick
+            </Button>
+            <Button type="button" variant="outline" onClick={resetScan} disabled={isPicking}>
+              <X className="h-4 w-4" />
+            </Button>
+          </div>
+        </form>
+      )}
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+    </div>
+  )
+}
@@ -4,16 +4,30 @@
  * Combines all packet sub-components based on status and user role
  */
 
+import { useState } from "react"
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
 import { Badge } from "@/components/ui/badge"
 import { Alert, AlertDescription } from "@/components/ui/alert"
 import { Separator } from "@/components/ui/separator"
-import { Loader2, Package, Clock, History, AlertCircle, CheckCircle, XCircle } from "lucide-react"
+import {
+  Loader2,
+  Package,
+  Clock,
+  History,
+  AlertCircle,
+  CheckCircle,
+  XCircle,
+  QrCode,
+} from "lucide-react"
 import { usePacket } from "@/hooks/usePacket"
 import { useAuth } from "@/features/auth/hooks/useAuth"
 import { hasPermission } from "@/lib/rbac"
 import { ORDER_ITEM_STATUS, PACKET_STATUS } from "@/constants/orderConstants"
+import { WORKFLOW_LEVEL, canTransition } from "@/lib/workflow"
 import { format } from "date-fns"
+import { getPacketLabel } from "@/lib/labels"
+import PrintLabelsDialog from "@/components/labels/PrintLabelsDialog"
 
 import PacketStatusBadge from "./PacketStatusBadge"
 import PacketAssignmentPanel from "./PacketAssignmentPanel"
@@ -24,12 +38,12 @@ import PacketCheckPanel from "./PacketCheckPanel"
 export default function PacketTab({ orderItem }) {
   const { user } = useAuth()
   const { data: packetData, isLoading, isError, error } = usePacket(orderItem?.id)
+  const [showLabel, setShowLabel] = useState(false)
 
   const packet = packetData?.data
 
   // Check permissions
   const canAssignPackets = hasPermission(user, "production.assign_tasks")
-  const canApprovePackets = hasPermission(user, "production.approve_packets")
   const canWorkOnPackets =
     hasPermission(user, "fabrication.view") || hasPermission(user, "production.view")
 
@@ -88,7 +102,13 @@ export default function PacketTab({ orderItem }) {
               <Package className="h-5 w-5" />
               Packet: {packet.id}
             </CardTitle>
-            <PacketStatusBadge status={packet.status} />
+            <div className="flex items-center gap-2">
+              <Button variant="outline" size="sm" onClick={() => setShowLabel(true)}>
+                <QrCode className="h-4 w-4 mr-1" />
+                Label
+              </Button>
+              <PacketStatusBadge status={packet.status} />
+            </div>
           </div>
         </CardHeader>
         <CardContent>
@@ -150,7 +170,7 @@ export default function PacketTab({ orderItem }) {
           packet.status === PACKET_STATUS.IN_PROGRESS) && <PacketCreatorActions packet={packet} />}
 
       {/* Check Panel - For Production Head when packet is completed */}
-      {canApprovePackets && packet.status === PACKET_STATUS.COMPLETED && (
+      {canTransition(WORKFLOW_LEVEL.PACKET, "APPROVE", packet, { user }) && (
         <PacketCheckPanel packet={packet} orderItem={orderItem} />
       )}
 
@@ -172,6 +192,15 @@ export default function PacketTab({ orderItem }) {
         </Card>
       )}
 
+      {showLabel && (
+        <PrintLabelsDialog
+          open={showLabel}
+          onOpenChange={setShowLabel}
+          title={`Packet Label - ${packet.id}`}
+          labels={[getPacketLabel(packet, orderItem)]}
+        />
+      )}
+
       {/* Timeline */}
       {packet.timeline && packet.timeline.length > 0 && (
         <Card>
@@ -29,6 +29,7 @@ import {
 import { useMyPacketTasks, useStartPacket } from "@/hooks/usePacket"
 import { useAuth } from "@/features/auth/hooks/useAuth"
 import { PACKET_STATUS, PACKET_STATUS_CONFIG } from "@/constants/orderConstants"
+import { WORKFLOW_LEVEL, canTransition } from "@/lib/workflow"
 import { formatDistanceToNow, format } from "date-fns"
 import PacketStatusBadge from "../components/PacketStatusBadge"
 
@@ -227,7 +228,8 @@ export default function PacketCreatorQueuePage() {
 
 // Packet Card Component
 function PacketCard({ packet, onStart, onView, isStarting }) {
-  const canStart = packet.status === PACKET_STATUS.ASSIGNED
+  const { user } = useAuth()
+  const canStart = canTransition(WORKFLOW_LEVEL.PACKET, "START", packet, { user })
   const canView = packet.status !== PACKET_STATUS.PENDING
 
   return (
@@ -0,0 +1,494 @@
+/**
+ * Customer Portal Page
+ * src/features/portal/pages/CustomerPortalPage.jsx
+ *
+ * Public page a customer reaches through a portal link (/portal/:token), with
+ * no login. They review each item's order form and video and answer:
+ * approve, ask for changes on specific parts, or leave a comment. Answers go
+ * through the same workflow as the approvals Sales records for them.
+ */
+
+import { useState } from "react"
+import { useParams } from "react-router-dom"
+import { format } from "date-fns"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Checkbox } from "@/components/ui/checkbox"
+import { Textarea } from "@/components/ui/textarea"
+import {
+  CheckCircle,
+  Clock,
+  ExternalLink,
+  Link2Off,
+  Loader2,
+  MessageSquare,
+  Scissors,
+} from "lucide-react"
+import {
+  ORDER_FORM_SECTIONS,
+  PORTAL_RESPONSE_ACTION,
+  PORTAL_RESPONSE_ACTION_CONFIG,
+} from "@/constants/orderConstants"
+import { usePortal, usePortalRespond } from "@/hooks/usePortal"
+import OrderFormPreview from "@/features/orders/components/OrderFormPreview"
+
+const formatDateTime = (date) => format(new Date(date), "MMM d, yyyy h:mm a")
+
+const sectionDisplayName = (name) => name.charAt(0).toUpperCase() + name.slice(1).replace(/_/g, " ")
+
+/**
+ * SectionPicker - Checkboxes for the parts to change, each with its own notes
+ * selected maps an option's key to its notes.
+ */
+function SectionPicker({ options, selected, onChange, placeholder }) {
+  const toggle = (key) => {
+    const next = { ...selected }
+    if (key in next) delete next[key]
+    else next[key] = ""
+    onChange(next)
+  }
+
+  return (
+    <div className="space-y-2">
+      {options.map((option) => (
+        <div key={option.key} className="border rounded-lg p-3 space-y-2">
+          <label className="flex items-center gap-2 cursor-pointer">
+            <Checkbox checked={option.key in selected} onCheckedChange={() => toggle(option.key)} />
+            <span className="text-sm font-medium">{option.label}</span>
+          </label>
+          {option.key in selected && (
+            <Textarea
+              placeholder={placeholder(option.label)}
+              value={selected[option.key]}
+              onChange={(e) => onChange({ ...selected, [option.key]: e.target.value })}
+              rows={2}
+              className="text-sm"
+            />
+          )}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+const allNotesFilled = (selected) =>
+  Object.keys(selected).length > 0 && Object.values(selected).every((notes) => notes.trim())
+
+/**
+ * OrderFormReview - Approve an item's order form or ask for changes
+ */
+function OrderFormReview({ item, respond }) {
+  const [requesting, setRequesting] = useState(false)
+  const [selected, setSelected] = useState({})
+
+  const isSending = (action) =>
+    respond.isPending &&
+    respond.variables?.action === action &&
+    respond.variables?.orderItemId === item.id
+
+  const submitChanges = () =>
+    respond.mutate(
+      {
+        action: PORTAL_RESPONSE_ACTION.REQUEST_FORM_CHANGES,
+        orderItemId: item.id,
+        sections: Object.entries(selected).map(([sectionName, notes]) => ({
+          sectionName,
+          notes,
+        })),
+      },
+      {
+        onSuccess: () => {
+          setRequesting(false)
+          setSelected({})
+        },
+      }
+    )
+
+  if (!requesting) {
+    return (
+      <div className="flex flex-wrap gap-2">
+        <Button
+          className="bg-green-600 hover:bg-green-700"
+          onClick={() =>
+            respond.mutate({ action: PORTAL_RESPONSE_ACTION.APPROVE_FORM, orderItemId: item.id })
+          }
+          disabled={respond.isPending}
+        >
+          {isSending(PORTAL_RESPONSE_ACTION.APPROVE_FORM) ? (
+            <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+          ) : (
+            <CheckCircle className="h-4 w-4 mr-2" />
+          )}
+          Approve Order Form
+        </Button>
+        <Button variant="outline" onClick={() => setRequesting(true)} disabled={respond.isPending}>
+          Request Changes
+        </Button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm font-medium">Which parts of the form should we change?</p>
+      <SectionPicker
+        options={ORDER_FORM_SECTIONS.map((s) => ({ key: s.value, label: s.label }))}
+        selected={selected}
+        onChange={setSelected}
+        placeholder={(label) => `What should change in the ${label.toLowerCase()}?`}
+      />
+      <div className="flex gap-2">
+        <Button onClick={submitChanges} disabled={!allNotesFilled(selected) || respond.isPending}>
+          {isSending(PORTAL_RESPONSE_ACTION.REQUEST_FORM_CHANGES) && (
+            <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+          )}
+          Send Changes
+        </Button>
+        <Button variant="outline" onClick={() => setRequesting(false)}>
+          Cancel
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * VideoReview - Approve the order's videos or ask for alterations
+ * Sections from every item can be picked in one request, as staff do it.
+ */
+function VideoReview({ items, respond }) {
+  const [requesting, setRequesting] = useState(false)
+  const [selected, setSelected] = useState({})
+  const [comment, setComment] = useState("")
+
+  const options = items.flatMap((item) =>
+    item.alterableSections.map((sectionName) => ({
+      key: `${item.id}:${sectionName}`,
+      label:
+        items.length > 1
+          ? `${sectionDisplayName(sectionName)} (${item.productName})`
+          : sectionDisplayName(sectionName),
+    }))
+  )
+
+  const submit = (action, data = {}) =>
+    respond.mutate(
+      { action, comment, ...data },
+      {
+        onSuccess: () => {
+          setRequesting(false)
+          setSelected({})
+          setComment("")
+        },
+      }
+    )
+
+  const submitAlteration = () =>
+    submit(PORTAL_RESPONSE_ACTION.REQUEST_ALTERATION, {
+      sections: Object.entries(selected).map(([key, notes]) => {
+        const [orderItemId, sectionName] = key.split(":")
+        return { orderItemId, sectionName, notes }
+      }),
+    })
+
+  const isSending = (action) => respond.isPending && respond.variables?.action === action
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-lg">Your Videos</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-slate-600">
+          Your outfits are ready. Once you are happy with the videos above, approve them and we will
+          prepare your order for dispatch. If anything needs altering, tell us which part.
+        </p>
+
+        {requesting && (
+          <SectionPicker
+            options={options}
+            selected={selected}
+            onChange={setSelected}
+            placeholder={(label) => `What alteration do you want for ${label}?`}
+          />
+        )}
+
+        <Textarea
+          placeholder="Anything else you would like us to know (optional)"
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          rows={2}
+        />
+
+        {requesting ? (
+          <div className="flex gap-2">
+            <Button
+              className="bg-orange-600 hover:bg-orange-700"
+              onClick={submitAlteration}
+              disabled={!allNotesFilled(selected) || respond.isPending}
+            >
+              {isSending(PORTAL_RESPONSE_ACTION.REQUEST_ALTERATION) ? (
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              ) : (
+                <Scissors className="h-4 w-4 mr-2" />
+              )}
+              Send Alteration Request
+            </Button>
+            <Button variant="outline" onClick={() => setRequesting(false)}>
+              Cancel
+            </Button>
+          </div>
+        ) : (
+          <div className="flex flex-wrap gap-2">
+            <Button
+              className="bg-green-600 hover:bg-green-700"
+              onClick={() => submit(PORTAL_RESPONSE_ACTION.APPROVE_VIDEO)}
+              disabled={respond.isPending}
+            >
+              {isSending(PORTAL_RESPONSE_ACTION.APPROVE_VIDEO) ? (
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              ) : (
+                <CheckCircle className="h-4 w-4 mr-2" />
+              )}
+              Approve Videos
+            </Button>
+            {options.length > 0 && (
+              <Button
+                variant="outline"
+                onClick={() => setRequesting(true)}
+                disabled={respond.isPending}
+              >
+                <Scissors className="h-4 w-4 mr-2" />
+                Request Alteration
+              </Button>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+/**
+ * CommentBox - A message that needs no approval
+ */
+function CommentBox({ respond }) {
+  const [comment, setComment] = useState("")
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-lg">Questions or Comments</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <Textarea
+          placeholder="Write to us about your order"
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          rows={3}
+        />
+        <Button
+          variant="outline"
+          onClick={() =>
+            respond.mutate(
+              { action: PORTAL_RESPONSE_ACTION.COMMENT, comment },
+              { onSuccess: () => setComment("") }
+            )
+          }
+          disabled={!comment.trim() || respond.isPending}
+        >
+          <MessageSquare className="h-4 w-4 mr-2" />
+          Send Comment
+        </Button>
+      </CardContent>
+    </Card>
+  )
+}
+
+/**
+ * CustomerPortalPage - The customer's view of their order through a portal link
+ */
+export default function CustomerPortalPage() {
+  const { token } = useParams()
+  const { data: portal, isLoading, error } = usePortal(token)
+  const respond = usePortalRespond(token)
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-slate-50">
+        <Loader2 className="h-8 w-8 animate-spin text-slate-400" />
+      </div>
+    )
+  }
+
+  if (error || !portal) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-slate-50 p-4">
+        <div className="bg-white rounded-lg shadow-lg p-8 max-w-md text-center">
+          <Link2Off className="h-10 w-10 mx-auto mb-3 text-slate-300" />
+          <h1 className="text-xl font-semibold text-slate-900">
+            {error?.status === 410 ? "This link is no longer active" : "This link is not valid"}
+          </h1>
+          <p className="text-slate-600 mt-2">
+            {error?.status === 410
+              ? `${error.message}. Please ask your consultant for a new link.`
+              : "Please check you opened the full link you were sent."}
+          </p>
+        </div>
+      </div>
+    )
+  }
+
+  const { branding, order, items, responses } = portal
+  const itemName = (orderItemId) => items.find((i) => i.id === orderItemId)?.productName
+
+  return (
+    <div className="min-h-screen bg-slate-50">
+      {/* Letterhead */}
+      <header className="bg-white border-b">
+        <div className="max-w-4xl mx-auto px-4 py-4 flex items-center justify-between gap-4">
+          <div className="flex items-center gap-3">
+            {branding.logoUrl && (
+              <img src={branding.logoUrl} alt={branding.name} className="h-10 w-auto" />
+            )}
+            <span className="text-xl font-bold text-slate-900">{branding.name}</span>
+          </div>
+          <div className="text-right text-sm">
+            <p className="font-medium">Order {order.orderNumber}</p>
+            <p className="text-slate-500">Link valid until {formatDateTime(portal.expiresAt)}</p>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-4xl mx-auto px-4 py-8 space-y-6">
+        <div>
+          <h1 className="text-2xl font-bold text-slate-900">Hello {order.customerName}</h1>
+          <p className="text-slate-600 mt-1">
+            Please review your order below. Your answers go straight to our team.
+          </p>
+        </div>
+
+        {order.clientApproved && (
+          <div className="flex items-center gap-2 rounded-lg border border-green-200 bg-green-50 p-4 text-green-800">
+            <CheckCircle className="h-5 w-5" />
+            You have approved your order. Thank you!
+          </div>
+        )}
+
+        {items.map((item) => (
+          <Card key={item.id}>
+            <CardHeader>
+              <CardTitle className="text-lg">
+                {item.productName}
+                {item.quantity > 1 && ` × ${item.quantity}`}
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              {/* Order form */}
+              {item.orderForm && (
+                <div className="space-y-3">
+                  <div className="border rounded-lg overflow-hidden">
+                    <OrderFormPreview order={order} item={item} formData={item.orderForm} />
+                  </div>
+
+                  {item.orderFormApproval ? (
+                    <p className="flex items-center gap-2 text-sm text-green-700">
+                      <CheckCircle className="h-4 w-4" />
+                      Order form approved on {formatDateTime(item.orderFormApproval.approvedAt)}
+                    </p>
+                  ) : item.orderFormChangeRequest ? (
+                    <p className="flex items-center gap-2 text-sm text-amber-700">
+                      <Clock className="h-4 w-4" />
+                      You asked for changes on{" "}
+                      {formatDateTime(item.orderFormChangeRequest.requestedAt)}. We will send you an
+                      updated form.
+                    </p>
+                  ) : (
+                    item.awaitingFormApproval && <OrderFormReview item={item} respond={respond} />
+                  )}
+                </div>
+              )}
+
+              {/* Video */}
+              {item.video && (
+                <div className="space-y-2">
+                  {item.video.youtubeVideoId && (
+                    <div className="aspect-video rounded-lg overflow-hidden bg-black">
+                      <iframe
+                        src={`https://www.youtube.com/embed/${item.video.youtubeVideoId}`}
+                        title={`${item.productName} video`}
+                        className="w-full h-full"
+                        allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
+                        allowFullScreen
+                      />
+                    </div>
+                  )}
+                  <a
+                    href={item.video.youtubeUrl}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="inline-flex items-center gap-1 text-sm text-blue-600 hover:underline"
+                  >
+                    <ExternalLink className="h-3.5 w-3.5" />
+                    Watch on YouTube
+                  </a>
+                </div>
+              )}
+
+              {!item.orderForm && !item.video && (
+                <p className="text-sm text-slate-500">
+                  Nothing to review for this item yet. We will let you know when there is.
+                </p>
+              )}
+            </CardContent>
+          </Card>
+        ))}
+
+        {order.videoReviewOpen && <VideoReview items={items} respond={respond} />}
+
+        <CommentBox respond={respond} />
+
+        {/* Earlier answers */}
+        {responses.length > 0 && (
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-lg">Your Answers</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <div className="divide-y">
+                {responses.map((response) => (
+                  <div key={response.id} className="py-2 text-sm space-y-1">
+                    <div className="flex items-center gap-2">
+                      <Badge className={PORTAL_RESPONSE_ACTION_CONFIG[response.action].color}>
+                        {PORTAL_RESPONSE_ACTION_CONFIG[response.action].label}
+                      </Badge>
+                      {response.orderItemId && (
+                        <span className="text-slate-700">{itemName(response.orderItemId)}</span>
+                      )}
+                      <span className="text-slate-500 ml-auto">
+                        {formatDateTime(response.respondedAt)}
+                      </span>
+                    </div>
+                    {response.sections.map((section, index) => (
+                      <p key={index} className="text-slate-600">
+                        <span className="capitalize">
+                          {ORDER_FORM_SECTIONS.find((s) => s.value === section.sectionName)
+                            ?.label || sectionDisplayName(section.sectionName)}
+                        </span>
+                        {section.notes && ` - ${section.notes}`}
+                      </p>
+                    ))}
+                    {response.comment && (
+                      <p className="text-slate-600 italic">&quot;{response.comment}&quot;</p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </CardContent>
+          </Card>
+        )}
+      </main>
+    </div>
+  )
+}
@@ -0,0 +1,37 @@
+import { NavLink } from "react-router-dom"
+import { AlertTriangle, FileText, Factory } from "lucide-react"
+import { cn } from "@/lib/utils"
+
+const PROCUREMENT_LINKS = [
+  { name: "Demands", href: "/procurement", icon: AlertTriangle, end: true },
+  { name: "Purchase Orders", href: "/procurement/purchase-orders", icon: FileText },
+  { name: "Vendors", href: "/procurement/vendors", icon: Factory },
+]
+
+/**
+ * Links between the procurement pages
+ */
+export default function ProcurementNav() {
+  return (
+    <nav className="flex flex-wrap gap-2">
+      {PROCUREMENT_LINKS.map(({ name, href, icon: Icon, end }) => (
+        <NavLink
+          key={href}
+          to={href}
+          end={end}
+          className={({ isActive }) =>
+            cn(
+              "inline-flex items-center gap-1.5 rounded-md border px-3 py-1.5 text-sm",
+              isActive
+                ? "bg-red-50 border-red-200 text-red-700 font-medium"
+                : "text-slate-600 hover:bg-slate-50"
+            )
+          }
+        >
+          <Icon className="h-4 w-4" />
+          {name}
+        </NavLink>
+      ))}
+    </nav>
+  )
+}
@@ -0,0 +1,109 @@
+import { forwardRef } from "react"
+import { format, parseISO } from "date-fns"
+
+const formatDate = (date) => (date ? format(parseISO(date), "MMMM d, yyyy") : "—")
+
+/**
+ * PurchaseOrderDocument - Printable purchase order
+ * Rendered on the PO detail page and printed on its own via printElement.
+ */
+const PurchaseOrderDocument = forwardRef(({ purchaseOrder }, ref) => {
+  const { vendor } = purchaseOrder
+
+  return (
+    <div ref={ref} className="bg-white p-8 max-w-3xl mx-auto text-sm text-slate-900">
+      {/* Header */}
+      <div className="flex items-start justify-between border-b-2 border-slate-900 pb-4 mb-6">
+        <div>
+          <h1 className="text-2xl font-bold">PURCHASE ORDER</h1>
+          <p className="text-slate-600 mt-1">{purchaseOrder.poNumber}</p>
+        </div>
+        <div className="text-right">
+          <p>
+            <span className="text-slate-500">Date:</span>{" "}
+            {formatDate(purchaseOrder.sentAt || purchaseOrder.createdAt)}
+          </p>
+          <p>
+            <span className="text-slate-500">Deliver by:</span>{" "}
+            <span className="font-medium">{formatDate(purchaseOrder.expectedDeliveryDate)}</span>
+          </p>
+        </div>
+      </div>
+
+      {/* Vendor */}
+      <section className="mb-6">
+        <h2 className="font-semibold bg-slate-100 px-3 py-2 mb-3">Vendor</h2>
+        <div className="grid grid-cols-2 gap-2 px-3">
+          <p className="font-medium col-span-2">{purchaseOrder.vendorName}</p>
+          {vendor?.contactPerson && <p>Attn: {vendor.contactPerson}</p>}
+          {vendor?.phone && <p>{vendor.phone}</p>}
+          {vendor?.email && <p>{vendor.email}</p>}
+          {vendor?.address && <p>{vendor.address}</p>}
+          {vendor?.paymentTerms && (
+            <p>
+              <span className="text-slate-500">Payment terms:</span> {vendor.paymentTerms}
+            </p>
+          )}
+        </div>
+      </section>
+
+      {/* Lines */}
+      <table className="w-full border-collapse mb-6">
+        <thead>
+          <tr className="bg-slate-100 text-left">
+            <th className="px-3 py-2">#</th>
+            <th className="px-3 py-2">Material</th>
+            <th className="px-3 py-2">SKU</th>
+            <th className="px-3 py-2 text-right">Quantity</th>
+            <th className="px-3 py-2 text-right">Unit Price</th>
+            <th className="px-3 py-2 text-right">Amount</th>
+          </tr>
+        </thead>
+        <tbody>
+          {purchaseOrder.lines.map((line, index) => (
+            <tr key={line.id} className="border-b border-slate-200">
+              <td className="px-3 py-2">{index + 1}</td>
+              <td className="px-3 py-2">{line.name}</td>
+              <td className="px-3 py-2 text-slate-600">{line.sku}</td>
+              <td className="px-3 py-2 text-right">
+                {line.quantity} {line.unit}
+              </td>
+              <td className="px-3 py-2 text-right">{line.unitPrice.toLocaleString()}</td>
+              <td className="px-3 py-2 text-right">
+                {(line.quantity * line.unitPrice).toLocaleString()}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr className="font-semibold">
+            <td colSpan={5} className="px-3 py-2 text-right">
+              Total (PKR)
+            </td>
+            <td className="px-3 py-2 text-right">{purchaseOrder.totalAmount.toLocaleString()}</td>
+          </tr>
+        </tfoot>
+      </table>
+
+      {purchaseOrder.notes && (
+        <section className="mb-6">
+          <h2 className="font-semibold bg-slate-100 px-3 py-2 mb-3">Notes</h2>
+          <p className="px-3 whitespace-pre-line">{purchaseOrder.notes}</p>
+        </section>
+      )}
+
+      {/* Footer */}
+      <div className="grid grid-cols-2 gap-8 mt-12 pt-4">
+        <div className="border-t border-slate-400 pt-2 text-slate-500">Authorized by</div>
+        <div className="border-t border-slate-400 pt-2 text-slate-500">Vendor acknowledgement</div>
+      </div>
+      <p className="text-center text-xs text-slate-500 mt-6">
+        Please quote {purchaseOrder.poNumber} on your delivery note and invoice.
+      </p>
+    </div>
+  )
+})
+
+PurchaseOrderDocument.displayName = "PurchaseOrderDocument"
+
+export default PurchaseOrderDocument
@@ -0,0 +1,188 @@
+import { useState } from "react"
+import { toast } from "sonner"
+import { Loader2 } from "lucide-react"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table"
+import { useAuth } from "@/features/auth/hooks/useAuth"
+import { useReceivePurchaseOrder } from "@/hooks/usePurchaseOrders"
+
+const getOutstandingQty = (line) => line.quantity - line.receivedQty
+
+/**
+ * Receive a delivery against a purchase order
+ * Quantities default to everything still outstanding. Each received line
+ * posts a stock-in, which fills the procurement demands on that line first,
+ * under the dye lot / batch number on the roll if one is entered.
+ */
+export default function ReceivePurchaseOrderDialog({ open, onOpenChange, purchaseOrder }) {
+  const { user } = useAuth()
+  const receivePurchaseOrder = useReceivePurchaseOrder()
+
+  const openLines = purchaseOrder.lines.filter((line) => getOutstandingQty(line) > 0)
+  const [quantities, setQuantities] = useState(() =>
+    Object.fromEntries(openLines.map((line) => [line.id, String(getOutstandingQty(line))]))
+  )
+  const [lotNumbers, setLotNumbers] = useState({})
+  const [referenceNumber, setReferenceNumber] = useState("")
+  const [notes, setNotes] = useState("")
+
+  const receivedLines = openLines
+    .map((line) => ({
+      lineId: line.id,
+      quantity: parseFloat(quantities[line.id]) || 0,
+      lotNumber: lotNumbers[line.id]?.trim() || undefined,
+    }))
+    .filter((line) => line.quantity > 0)
+
+  const overReceived = openLines.find(
+    (line) => (parseFloat(quantities[line.id]) || 0) > getOutstandingQty(line)
+  )
+
+  const handleSubmit = () => {
+    receivePurchaseOrder.mutate(
+      {
+        id: purchaseOrder.id,
+        data: {
+          lines: receivedLines,
+          referenceNumber: referenceNumber.trim(),
+          notes: notes.trim(),
+          receivedBy: user?.name,
+        },
+      },
+      {
+        onSuccess: (result) => {
+          const demandsFilled = result.procurement.allocations.length
+          toast.success(`Stock received against ${purchaseOrder.poNumber}`, {
+            description:
+              demandsFilled > 0 ? `Filled ${demandsFilled} procurement demand(s)` : undefined,
+          })
+          onOpenChange(false)
+        },
+        onError: (error) => toast.error(error.message || "Failed to receive stock"),
+      }
+    )
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Receive against {purchaseOrder.poNumber}</DialogTitle>
+          <DialogDescription>
+            Enter what arrived from {purchaseOrder.vendorName}. Stock is added to inventory and
+            waiting orders are rechecked.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4 py-2">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Material</TableHead>
+                <TableHead className="text-right">Outstanding</TableHead>
+                <TableHead className="w-36">Received now</TableHead>
+                <TableHead className="w-36">Lot / batch</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {openLines.map((line) => (
+                <TableRow key={line.id}>
+                  <TableCell>
+                    <p className="font-medium">{line.name}</p>
+                    <p className="text-xs text-muted-foreground">{line.sku}</p>
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {getOutstandingQty(line)} {line.unit}
+                  </TableCell>
+                  <TableCell>
+                    <Input
+                      type="number"
+                      min="0"
+                      max={getOutstandingQty(line)}
+                      step="any"
+                      value={quantities[line.id]}
+                      onChange={(e) =>
+                        setQuantities((prev) => ({ ...prev, [line.id]: e.target.value }))
+                      }
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <Input
+                      value={lotNumbers[line.id] || ""}
+                      onChange={(e) =>
+                        setLotNumbers((prev) => ({ ...prev, [line.id]: e.target.value }))
+                      }
+                      placeholder="Optional"
+                    />
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+
+          {overReceived && (
+            <p className="text-sm text-red-600">
+              Only {getOutstandingQty(overReceived)} {overReceived.unit} of {overReceived.name} is
+              outstanding on this order.
+            </p>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="receive-reference">Vendor delivery note / invoice</Label>
+              <Input
+                id="receive-reference"
+                value={referenceNumber}
+                onChange={(e) => setReferenceNumber(e.target.value)}
+                placeholder="e.g., DN-4512"
+              />
+            </div>
+            <div className="space-y-2 md:col-span-2">
+              <Label htmlFor="receive-notes">Notes</Label>
+              <Textarea
+                id="receive-notes"
+                rows={2}
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                placeholder="Quality observations, short deliveries..."
+              />
+            </div>
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleSubmit}
+            disabled={
+              receivePurchaseOrder.isPending || receivedLines.length === 0 || !!overReceived
+            }
+          >
+            {receivePurchaseOrder.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Receive Stock
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
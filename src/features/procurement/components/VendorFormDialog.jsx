@@ -0,0 +1,165 @@
+import { useState } from "react"
+import { toast } from "sonner"
+import { Loader2 } from "lucide-react"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import { useCreateVendor, useUpdateVendor } from "@/hooks/useVendors"
+
+const EMPTY_VENDOR = {
+  name: "",
+  contactPerson: "",
+  phone: "",
+  email: "",
+  address: "",
+  paymentTerms: "",
+  leadTimeDays: 7,
+  notes: "",
+}
+
+const TEXT_FIELDS = [
+  { name: "contactPerson", label: "Contact Person" },
+  { name: "phone", label: "Phone", placeholder: "e.g., +92-300-1234567" },
+  { name: "email", label: "Email", type: "email" },
+  { name: "paymentTerms", label: "Payment Terms", placeholder: "e.g., Net 30, Advance" },
+]
+
+/**
+ * Create or edit a vendor
+ * Pass `vendor` to edit; leave it empty to create. Mount with a `key` so the
+ * form resets when a different vendor is opened.
+ */
+export default function VendorFormDialog({ open, onOpenChange, vendor }) {
+  const isEdit = !!vendor
+  const [form, setForm] = useState(() => ({ ...EMPTY_VENDOR, ...vendor }))
+
+  const createVendor = useCreateVendor()
+  const updateVendor = useUpdateVendor()
+  const isPending = createVendor.isPending || updateVendor.isPending
+
+  const setField = (field) => (e) => setForm((prev) => ({ ...prev, [field]: e.target.value }))
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!form.name.trim()) {
+      toast.error("Vendor name is required")
+      return
+    }
+
+    const data = {
+      name: form.name.trim(),
+      contactPerson: form.contactPerson.trim(),
+      phone: form.phone.trim(),
+      email: form.email.trim(),
+      address: form.address.trim(),
+      paymentTerms: form.paymentTerms.trim(),
+      leadTimeDays: parseInt(form.leadTimeDays) || 0,
+      notes: form.notes.trim(),
+    }
+
+    const options = {
+      onSuccess: (saved) => {
+        toast.success(isEdit ? `${saved.name} updated` : `${saved.name} added`)
+        onOpenChange(false)
+      },
+      onError: (error) => toast.error(error.message || "Failed to save vendor"),
+    }
+
+    if (isEdit) {
+      updateVendor.mutate({ id: vendor.id, data }, options)
+    } else {
+      createVendor.mutate(data, options)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <form onSubmit={handleSubmit}>
+          <DialogHeader>
+            <DialogTitle>{isEdit ? "Edit Vendor" : "Add Vendor"}</DialogTitle>
+            <DialogDescription>
+              {isEdit
+                ? "Changes to the name and phone are copied to this vendor's inventory items."
+                : "Suppliers you raise purchase orders with."}
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 py-4">
+            <div className="space-y-2 sm:col-span-2">
+              <Label htmlFor="vendor-name">Vendor Name *</Label>
+              <Input
+                id="vendor-name"
+                value={form.name}
+                onChange={setField("name")}
+                disabled={isPending}
+              />
+            </div>
+            {TEXT_FIELDS.map((field) => (
+              <div key={field.name} className="space-y-2">
+                <Label htmlFor={`vendor-${field.name}`}>{field.label}</Label>
+                <Input
+                  id={`vendor-${field.name}`}
+                  type={field.type || "text"}
+                  placeholder={field.placeholder}
+                  value={form[field.name]}
+                  onChange={setField(field.name)}
+                  disabled={isPending}
+                />
+              </div>
+            ))}
+            <div className="space-y-2">
+              <Label htmlFor="vendor-leadTimeDays">Lead Time (days)</Label>
+              <Input
+                id="vendor-leadTimeDays"
+                type="number"
+                min="0"
+                value={form.leadTimeDays}
+                onChange={setField("leadTimeDays")}
+                disabled={isPending}
+              />
+            </div>
+            <div className="space-y-2 sm:col-span-2">
+              <Label htmlFor="vendor-address">Address</Label>
+              <Input
+                id="vendor-address"
+                value={form.address}
+                onChange={setField("address")}
+                disabled={isPending}
+              />
+            </div>
+            <div className="space-y-2 sm:col-span-2">
+              <Label htmlFor="vendor-notes">Notes</Label>
+              <Textarea
+                id="vendor-notes"
+                rows={2}
+                value={form.notes}
+                onChange={setField("notes")}
+                disabled={isPending}
+              />
+            </div>
+          </div>
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={isPending}>
+              {isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              {isEdit ? "Save Changes" : "Add Vendor"}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,45 @@
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select"
+import { useVendors } from "@/hooks/useVendors"
+
+const NO_VENDOR = "none"
+
+/**
+ * Vendor picker backed by the vendors list
+ * Calls onChange with the selected vendor object, or null for "No vendor".
+ * Inactive vendors are only listed when already selected.
+ */
+export default function VendorSelect({ value, onChange, disabled, allowNone = true, id }) {
+  const { data: vendors = [], isLoading } = useVendors()
+  const options = vendors.filter((vendor) => vendor.active || vendor.id === value)
+
+  const handleChange = (vendorId) => {
+    onChange(vendorId === NO_VENDOR ? null : vendors.find((v) => v.id === vendorId))
+  }
+
+  return (
+    <Select
+      value={value || (allowNone ? NO_VENDOR : "")}
+      onValueChange={handleChange}
+      disabled={disabled || isLoading}
+    >
+      <SelectTrigger id={id}>
+        <SelectValue placeholder={isLoading ? "Loading vendors..." : "Select vendor"} />
+      </SelectTrigger>
+      <SelectContent>
+        {allowNone && <SelectItem value={NO_VENDOR}>No vendor</SelectItem>}
+        {options.map((vendor) => (
+          <SelectItem key={vendor.id} value={vendor.id}>
+            {vendor.name}
+            {!vendor.active && " (inactive)"}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  )
+}
@@ -0,0 +1,379 @@
+/**
+ * Create Purchase Order Page
+ * src/features/procurement/pages/CreatePurchaseOrderPage.jsx
+ *
+ * Builds a DRAFT purchase order for one vendor. Choosing a vendor pre-fills
+ * the lines with its open procurement demands and low-stock items; quantities
+ * and agreed prices can be changed and other materials added before saving.
+ */
+
+import { useState } from "react"
+import { Link, useNavigate, useSearchParams } from "react-router-dom"
+import { format, addDays } from "date-fns"
+import { toast } from "sonner"
+import { ArrowLeft, Loader2, Plus, Trash2 } from "lucide-react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select"
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table"
+import { useAuth } from "@/features/auth/hooks/useAuth"
+import { useInventoryItems } from "@/hooks/useInventory"
+import { useCreatePurchaseOrder, usePurchaseOrderSuggestions } from "@/hooks/usePurchaseOrders"
+import { useVendors } from "@/hooks/useVendors"
+import VendorSelect from "../components/VendorSelect"
+
+const DATE_FORMAT = "yyyy-MM-dd"
+
+/**
+ * Editable PO lines from a vendor's suggestions
+ */
+const toLines = (suggestionLines = []) =>
+  suggestionLines.map((line) => ({
+    inventoryItemId: line.inventoryItemId,
+    name: line.name,
+    sku: line.sku,
+    unit: line.unit,
+    quantity: String(line.suggestedQty),
+    unitPrice: String(line.unitPrice),
+    demandIds: line.demandIds,
+    demandQty: line.demandQty,
+    reorderQty: line.reorderQty,
+  }))
+
+export default function CreatePurchaseOrderPage() {
+  const navigate = useNavigate()
+  const { user } = useAuth()
+  const [searchParams] = useSearchParams()
+
+  const { data: suggestions, isLoading: suggestionsLoading } = usePurchaseOrderSuggestions()
+  const { data: vendors = [] } = useVendors()
+  const { data: inventoryData } = useInventoryItems()
+  const createPurchaseOrder = useCreatePurchaseOrder()
+
+  const [vendorId, setVendorId] = useState(searchParams.get("vendorId") || "")
+  const [lines, setLines] = useState(null)
+  const [expectedDeliveryDate, setExpectedDeliveryDate] = useState("")
+  const [notes, setNotes] = useState("")
+  const [itemToAdd, setItemToAdd] = useState("")
+
+  const vendor = vendors.find((v) => v.id === vendorId)
+  const vendorSuggestions = suggestions?.vendors.find((group) => group.vendorId === vendorId)
+
+  // Until the user edits them, the lines follow the selected vendor's suggestions
+  const currentLines = lines ?? toLines(vendorSuggestions?.lines)
+  const defaultDeliveryDate = vendor
+    ? format(addDays(new Date(), vendor.leadTimeDays || 0), DATE_FORMAT)
+    : ""
+
+  const purchasableItems = (inventoryData?.data || []).filter(
+    (item) => !item.has_variants && !currentLines.some((line) => line.inventoryItemId === item.id)
+  )
+
+  const selectVendor = (selected) => {
+    setVendorId(selected?.id || "")
+    setLines(null)
+    setExpectedDeliveryDate("")
+  }
+
+  const updateLine = (index, field, value) => {
+    setLines(currentLines.map((line, i) => (i === index ? { ...line, [field]: value } : line)))
+  }
+
+  const removeLine = (index) => {
+    setLines(currentLines.filter((_, i) => i !== index))
+  }
+
+  const addLine = (itemId) => {
+    const item = purchasableItems.find((i) => String(i.id) === itemId)
+    if (!item) return
+    setLines([
+      ...currentLines,
+      {
+        inventoryItemId: item.id,
+        name: item.name,
+        sku: item.sku,
+        unit: item.unit,
+        quantity: String(item.reorder_amount || 1),
+        unitPrice: String(item.unit_price || 0),
+        demandIds: [],
+        demandQty: 0,
+        reorderQty: 0,
+      },
+    ])
+    setItemToAdd("")
+  }
+
+  const total = currentLines.reduce(
+    (sum, line) => sum + (parseFloat(line.quantity) || 0) * (parseFloat(line.unitPrice) || 0),
+    0
+  )
+
+  const handleSubmit = () => {
+    if (!vendorId) {
+      toast.error("Select a vendor")
+      return
+    }
+    if (currentLines.length === 0) {
+      toast.error("Add at least one material")
+      return
+    }
+
+    createPurchaseOrder.mutate(
+      {
+        vendorId,
+        expectedDeliveryDate: expectedDeliveryDate || defaultDeliveryDate,
+        notes: notes.trim(),
+        createdBy: user?.name,
+        lines: currentLines.map((line) => ({
+          inventoryItemId: line.inventoryItemId,
+          quantity: parseFloat(line.quantity) || 0,
+          unitPrice: parseFloat(line.unitPrice) || 0,
+          demandIds: line.demandIds,
+        })),
+      },
+      {
+        onSuccess: (po) => {
+          toast.success(`${po.poNumber} created`)
+          navigate(`/procurement/purchase-orders/${po.id}`)
+        },
+        onError: (error) => toast.error(error.message || "Failed to create purchase order"),
+      }
+    )
+  }
+
+  return (
+    <div className="p-4 md:p-6 max-w-5xl mx-auto space-y-6">
+      {/* Header */}
+      <div>
+        <Button variant="ghost" size="sm" asChild className="mb-2 -ml-2">
+          <Link to="/procurement/purchase-orders">
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            Purchase Orders
+          </Link>
+        </Button>
+        <h1 className="text-2xl font-bold">New Purchase Order</h1>
+        <p className="text-muted-foreground">
+          Lines are suggested from open procurement demands and low stock
+        </p>
+      </div>
+
+      {/* Suggested vendors */}
+      {!suggestionsLoading && suggestions && (
+        <Card>
+          <CardHeader className="pb-3">
+            <CardTitle className="text-base">Needs ordering</CardTitle>
+            <CardDescription>
+              {suggestions.vendors.length === 0
+                ? "Nothing is waiting to be ordered right now."
+                : "Pick a vendor to start from its suggested lines."}
+            </CardDescription>
+          </CardHeader>
+          {(suggestions.vendors.length > 0 || suggestions.unassigned.length > 0) && (
+            <CardContent className="space-y-3">
+              <div className="flex flex-wrap gap-2">
+                {suggestions.vendors.map((group) => (
+                  <Button
+                    key={group.vendorId}
+                    size="sm"
+                    variant={group.vendorId === vendorId ? "default" : "outline"}
+                    onClick={() => selectVendor({ id: group.vendorId })}
+                  >
+                    {group.vendorName}
+                    <Badge variant="secondary" className="ml-2">
+                      {group.lines.length}
+                    </Badge>
+                  </Button>
+                ))}
+              </div>
+              {suggestions.unassigned.length > 0 && (
+                <p className="text-sm text-amber-700">
+                  No active vendor, set one on the inventory item to get it suggested:{" "}
+                  {suggestions.unassigned.map((line) => line.name).join(", ")}
+                </p>
+              )}
+            </CardContent>
+          )}
+        </Card>
+      )}
+
+      {/* Vendor & delivery */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base">Vendor & Delivery</CardTitle>
+        </CardHeader>
+        <CardContent className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="space-y-2">
+            <Label htmlFor="po-vendor">Vendor *</Label>
+            <VendorSelect
+              id="po-vendor"
+              value={vendorId}
+              onChange={selectVendor}
+              allowNone={false}
+            />
+            {vendor && (
+              <p className="text-xs text-muted-foreground">
+                {vendor.contactPerson} · {vendor.phone}
+                {vendor.paymentTerms && ` · ${vendor.paymentTerms}`}
+              </p>
+            )}
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="po-expected">Expected Delivery</Label>
+            <Input
+              id="po-expected"
+              type="date"
+              value={expectedDeliveryDate || defaultDeliveryDate}
+              min={format(new Date(), DATE_FORMAT)}
+              onChange={(e) => setExpectedDeliveryDate(e.target.value)}
+              disabled={!vendor}
+            />
+            {vendor && (
+              <p className="text-xs text-muted-foreground">Lead time {vendor.leadTimeDays} days</p>
+            )}
+          </div>
+          <div className="space-y-2 md:col-span-2">
+            <Label htmlFor="po-notes">Notes for the vendor</Label>
+            <Textarea
+              id="po-notes"
+              rows={2}
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              placeholder="Delivery instructions, colour references..."
+            />
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Lines */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base">Materials</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {currentLines.length === 0 ? (
+            <p className="text-sm text-muted-foreground">
+              {vendorId ? "No lines yet. Add a material below." : "Select a vendor first."}
+            </p>
+          ) : (
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Material</TableHead>
+                    <TableHead>Reason</TableHead>
+                    <TableHead className="w-32">Quantity</TableHead>
+                    <TableHead className="w-36">Unit Price (PKR)</TableHead>
+                    <TableHead className="text-right">Amount</TableHead>
+                    <TableHead className="w-10" />
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {currentLines.map((line, index) => (
+                    <TableRow key={line.inventoryItemId}>
+                      <TableCell>
+                        <p className="font-medium">{line.name}</p>
+                        <p className="text-xs text-muted-foreground">{line.sku}</p>
+                      </TableCell>
+                      <TableCell className="text-xs space-y-1">
+                        {line.demandIds.length > 0 && (
+                          <Badge variant="outline" className="text-red-700 border-red-200">
+                            {line.demandIds.length} demand(s): {line.demandQty} {line.unit}
+                          </Badge>
+                        )}
+                        {line.reorderQty > 0 && (
+                          <Badge variant="outline" className="text-amber-700 border-amber-200">
+                            Low stock: {line.reorderQty} {line.unit}
+                          </Badge>
+                        )}
+                        {line.demandIds.length === 0 && line.reorderQty === 0 && (
+                          <span className="text-muted-foreground">Added manually</span>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <div className="flex items-center gap-1">
+                          <Input
+                            type="number"
+                            min="0"
+                            step="any"
+                            value={line.quantity}
+                            onChange={(e) => updateLine(index, "quantity", e.target.value)}
+                          />
+                          <span className="text-xs text-muted-foreground">{line.unit}</span>
+                        </div>
+                      </TableCell>
+                      <TableCell>
+                        <Input
+                          type="number"
+                          min="0"
+                          step="any"
+                          value={line.unitPrice}
+                          onChange={(e) => updateLine(index, "unitPrice", e.target.value)}
+                        />
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {(
+                          (parseFloat(line.quantity) || 0) * (parseFloat(line.unitPrice) || 0)
+                        ).toLocaleString()}
+                      </TableCell>
+                      <TableCell>
+                        <Button size="icon" variant="ghost" onClick={() => removeLine(index)}>
+                          <Trash2 className="h-4 w-4 text-red-500" />
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+
+          {vendorId && (
+            <div className="flex items-center gap-2 max-w-md">
+              <Select value={itemToAdd} onValueChange={addLine}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Add material..." />
+                </SelectTrigger>
+                <SelectContent>
+                  {purchasableItems.map((item) => (
+                    <SelectItem key={item.id} value={String(item.id)}>
+                      {item.name} ({item.sku})
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Plus className="h-4 w-4 text-muted-foreground shrink-0" />
+            </div>
+          )}
+
+          <div className="flex items-center justify-between border-t pt-4">
+            <p className="text-lg font-semibold">Total: PKR {total.toLocaleString()}</p>
+            <Button
+              onClick={handleSubmit}
+              disabled={createPurchaseOrder.isPending || !vendorId || currentLines.length === 0}
+            >
+              {createPurchaseOrder.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Create Purchase Order
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
@@ -1,5 +1,5 @@
 import { useState } from "react"
-import { useNavigate } from "react-router-dom"
+import { Link, useNavigate } from "react-router-dom"
 
 import {
   useProcurementDemands,
@@ -34,6 +34,7 @@ import {
 import { Textarea } from "@/components/ui/textarea"
 import {
   Package,
+  PackageCheck,
   Loader2,
   AlertTriangle,
   CheckCircle,
@@ -43,11 +44,18 @@ import {
   Filter,
 } from "lucide-react"
 import { toast } from "sonner"
+import ProcurementNav from "../components/ProcurementNav"
 
 const STATUS_CONFIG = {
   OPEN: { label: "Open", color: "bg-red-100 text-red-800", icon: AlertTriangle },
   ORDERED: { label: "Ordered", color: "bg-yellow-100 text-yellow-800", icon: ShoppingCart },
+  PARTIALLY_RECEIVED: {
+    label: "Partially Received",
+    color: "bg-orange-100 text-orange-800",
+    icon: PackageCheck,
+  },
   RECEIVED: { label: "Received", color: "bg-green-100 text-green-800", icon: CheckCircle },
+  FULFILLED: { label: "Fulfilled", color: "bg-blue-100 text-blue-800", icon: CheckCircle },
   CANCELLED: { label: "Cancelled", color: "bg-gray-100 text-gray-800", icon: Clock },
 }
 
@@ -109,6 +117,8 @@ export default function ProcurementDashboardPage() {
         <p className="text-muted-foreground">Manage material shortages and procurement demands</p>
       </div>
 
+      <ProcurementNav />
+
       {/* Stats Cards */}
       <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
         <Card>
@@ -173,7 +183,9 @@ export default function ProcurementDashboardPage() {
                 <SelectItem value="all">All Statuses</SelectItem>
                 <SelectItem value="OPEN">Open</SelectItem>
                 <SelectItem value="ORDERED">Ordered</SelectItem>
+                <SelectItem value="PARTIALLY_RECEIVED">Partially Received</SelectItem>
                 <SelectItem value="RECEIVED">Received</SelectItem>
+                <SelectItem value="FULFILLED">Fulfilled</SelectItem>
                 <SelectItem value="CANCELLED">Cancelled</SelectItem>
               </SelectContent>
             </Select>
@@ -202,6 +214,7 @@ export default function ProcurementDashboardPage() {
                     <TableHead className="text-right">Required</TableHead>
                     <TableHead className="text-right">Available</TableHead>
                     <TableHead className="text-right">Shortage</TableHead>
+                    <TableHead className="text-right">Received</TableHead>
                     <TableHead>Status</TableHead>
                     <TableHead>Actions</TableHead>
                   </TableRow>
@@ -215,15 +228,6 @@ export default function ProcurementDashboardPage() {
                         <TableCell className="text-muted-foreground">
                           {demand.inventoryItemSku}
                         </TableCell>
-                        <TableCell>
-                          {demand.affectedSection ? (
-                            <Badge variant="outline" className="capitalize">
-                              {demand.affectedSection}
-                            </Badge>
-                          ) : (
-                            <span className="text-muted-foreground text-sm">-</span>
-                          )}
-                        </TableCell>
                         <TableCell>
                           <Button
                             variant="link"
@@ -234,6 +238,15 @@ export default function ProcurementDashboardPage() {
                             <ExternalLink className="h-3 w-3 ml-1" />
                           </Button>
                         </TableCell>
+                        <TableCell>
+                          {demand.affectedSection ? (
+                            <Badge variant="outline" className="capitalize">
+                              {demand.affectedSection}
+                            </Badge>
+                          ) : (
+                            <span className="text-muted-foreground text-sm">-</span>
+                          )}
+                        </TableCell>
                         <TableCell className="text-right">
                           {demand.requiredQty} {demand.unit}
                         </TableCell>
@@ -243,8 +256,19 @@ export default function ProcurementDashboardPage() {
                         <TableCell className="text-right font-medium text-red-600">
                           {demand.shortageQty} {demand.unit}
                         </TableCell>
+                        <TableCell className="text-right">
+                          {demand.receivedQty || 0} {demand.unit}
+                        </TableCell>
                         <TableCell>
                           <Badge className={statusConfig.color}>{statusConfig.label}</Badge>
+                          {demand.purchaseOrderId && (
+                            <Link
+                              to={`/procurement/purchase-orders/${demand.purchaseOrderId}`}
+                              className="block text-xs text-blue-600 hover:underline mt-1"
+                            >
+                              {demand.purchaseOrderNumber}
+                            </Link>
+                          )}
                         </TableCell>
                         <TableCell>
                           <div className="flex gap-1">
@@ -257,7 +281,7 @@ export default function ProcurementDashboardPage() {
                                 Mark Ordered
                               </Button>
                             )}
-                            {demand.status === "ORDERED" && (
+                            {demand.status === "ORDERED" && !demand.purchaseOrderId && (
                               <Button
                                 size="sm"
                                 variant="outline"
@@ -266,7 +290,7 @@ export default function ProcurementDashboardPage() {
                                 Mark Received
                               </Button>
                             )}
-                            {(demand.status === "OPEN" || demand.status === "ORDERED") && (
+                            {["OPEN", "ORDERED", "PARTIALLY_RECEIVED"].includes(demand.status) && (
                               <Button
                                 size="sm"
                                 variant="ghost"
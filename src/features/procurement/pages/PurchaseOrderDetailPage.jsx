@@ -0,0 +1,477 @@
+/**
+ * Purchase Order Detail Page
+ * src/features/procurement/pages/PurchaseOrderDetailPage.jsx
+ *
+ * One purchase order: lines with received quantities, the procurement demands
+ * it covers, receipts and history. Draft -> send -> receive, print the PO
+ * document for the vendor, or cancel before anything has arrived.
+ */
+
+import { useRef, useState } from "react"
+import { Link, useParams } from "react-router-dom"
+import { format, parseISO } from "date-fns"
+import { toast } from "sonner"
+import {
+  ArrowLeft,
+  ExternalLink,
+  Loader2,
+  PackageCheck,
+  Printer,
+  Send,
+  XCircle,
+} from "lucide-react"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Progress } from "@/components/ui/progress"
+import { Textarea } from "@/components/ui/textarea"
+import {
+  Dialog,
+  DialogContent,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table"
+import { PURCHASE_ORDER_STATUS } from "@/constants/orderConstants"
+import { useAuth } from "@/features/auth/hooks/useAuth"
+import { hasPermission } from "@/lib/rbac"
+import { printElement } from "@/lib/print"
+import {
+  usePurchaseOrder,
+  useSendPurchaseOrder,
+  useCancelPurchaseOrder,
+  useUpdatePurchaseOrder,
+} from "@/hooks/usePurchaseOrders"
+import PurchaseOrderStatusBadge from "../components/PurchaseOrderStatusBadge"
+import PurchaseOrderDocument from "../components/PurchaseOrderDocument"
+import ReceivePurchaseOrderDialog from "../components/ReceivePurchaseOrderDialog"
+
+const formatDateTime = (date) => format(new Date(date), "MMM d, yyyy h:mm a")
+
+export default function PurchaseOrderDetailPage() {
+  const { id } = useParams()
+  const { user } = useAuth()
+  const canManage = hasPermission(user, "procurement.manage")
+  const documentRef = useRef(null)
+
+  const { data: po, isLoading, isError } = usePurchaseOrder(id)
+  const sendPurchaseOrder = useSendPurchaseOrder()
+  const cancelPurchaseOrder = useCancelPurchaseOrder()
+  const updatePurchaseOrder = useUpdatePurchaseOrder()
+
+  const [showReceive, setShowReceive] = useState(false)
+  const [showCancel, setShowCancel] = useState(false)
+  const [cancelReason, setCancelReason] = useState("")
+  const [expectedDate, setExpectedDate] = useState(null)
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <Loader2 className="h-8 w-8 animate-spin" />
+      </div>
+    )
+  }
+
+  if (isError || !po) {
+    return (
+      <div className="p-6 text-center text-muted-foreground">
+        <p>Purchase order not found</p>
+        <Button variant="link" asChild>
+          <Link to="/procurement/purchase-orders">Back to purchase orders</Link>
+        </Button>
+      </div>
+    )
+  }
+
+  const isOpen = [
+    PURCHASE_ORDER_STATUS.DRAFT,
+    PURCHASE_ORDER_STATUS.SENT,
+    PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED,
+  ].includes(po.status)
+  const canSend = po.status === PURCHASE_ORDER_STATUS.DRAFT
+  const canReceive = [
+    PURCHASE_ORDER_STATUS.SENT,
+    PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED,
+  ].includes(po.status)
+  const canCancel = [PURCHASE_ORDER_STATUS.DRAFT, PURCHASE_ORDER_STATUS.SENT].includes(po.status)
+  const receivedPercent = po.totalQuantity
+    ? Math.round((po.receivedQuantity / po.totalQuantity) * 100)
+    : 0
+
+  const handleSend = () => {
+    sendPurchaseOrder.mutate(
+      { id: po.id, data: { sentBy: user?.name } },
+      {
+        onSuccess: (saved) => toast.success(`${saved.poNumber} marked as sent`),
+        onError: (error) => toast.error(error.message || "Failed to send purchase order"),
+      }
+    )
+  }
+
+  const handleCancel = () => {
+    cancelPurchaseOrder.mutate(
+      { id: po.id, data: { reason: cancelReason.trim(), cancelledBy: user?.name } },
+      {
+        onSuccess: (saved) => {
+          toast.success(`${saved.poNumber} cancelled`)
+          setShowCancel(false)
+        },
+        onError: (error) => toast.error(error.message || "Failed to cancel purchase order"),
+      }
+    )
+  }
+
+  const handleSaveExpectedDate = () => {
+    updatePurchaseOrder.mutate(
+      { id: po.id, data: { expectedDeliveryDate: expectedDate, updatedBy: user?.name } },
+      {
+        onSuccess: () => {
+          toast.success("Expected delivery updated")
+          setExpectedDate(null)
+        },
+        onError: (error) => toast.error(error.message || "Failed to update purchase order"),
+      }
+    )
+  }
+
+  return (
+    <div className="p-4 md:p-6 max-w-6xl mx-auto space-y-6">
+      {/* Header */}
+      <div>
+        <Button variant="ghost" size="sm" asChild className="mb-2 -ml-2">
+          <Link to="/procurement/purchase-orders">
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            Purchase Orders
+          </Link>
+        </Button>
+        <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold flex items-center gap-3">
+              {po.poNumber}
+              <PurchaseOrderStatusBadge status={po.status} />
+            </h1>
+            <p className="text-muted-foreground">
+              {po.vendorName} · created by {po.createdBy} on {formatDateTime(po.createdAt)}
+            </p>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <Button
+              variant="outline"
+              onClick={() => printElement(documentRef.current, po.poNumber)}
+            >
+              <Printer className="h-4 w-4 mr-2" />
+              Print PO
+            </Button>
+            {canManage && canSend && (
+              <Button onClick={handleSend} disabled={sendPurchaseOrder.isPending}>
+                {sendPurchaseOrder.isPending ? (
+                  <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                ) : (
+                  <Send className="h-4 w-4 mr-2" />
+                )}
+                Mark as Sent
+              </Button>
+            )}
+            {canManage && canReceive && (
+              <Button onClick={() => setShowReceive(true)}>
+                <PackageCheck className="h-4 w-4 mr-2" />
+                Receive Stock
+              </Button>
+            )}
+            {canManage && canCancel && (
+              <Button variant="outline" onClick={() => setShowCancel(true)}>
+                <XCircle className="h-4 w-4 mr-2" />
+                Cancel PO
+              </Button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Summary */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <Card>
+          <CardContent className="pt-6 space-y-1">
+            <p className="text-sm text-muted-foreground">Vendor</p>
+            <p className="font-medium">{po.vendorName}</p>
+            {po.vendor && (
+              <p className="text-sm text-muted-foreground">
+                {po.vendor.contactPerson} · {po.vendor.phone}
+              </p>
+            )}
+          </CardContent>
+        </Card>
+        <Card>
+          <CardContent className="pt-6 space-y-2">
+            <Label htmlFor="po-expected" className="text-sm text-muted-foreground font-normal">
+              Expected Delivery
+            </Label>
+            {canManage && isOpen ? (
+              <div className="flex gap-2">
+                <Input
+                  id="po-expected"
+                  type="date"
+                  value={expectedDate ?? po.expectedDeliveryDate}
+                  onChange={(e) => setExpectedDate(e.target.value)}
+                />
+                {expectedDate && expectedDate !== po.expectedDeliveryDate && (
+                  <Button
+                    size="sm"
+                    onClick={handleSaveExpectedDate}
+                    disabled={updatePurchaseOrder.isPending}
+                  >
+                    Save
+                  </Button>
+                )}
+              </div>
+            ) : (
+              <p className="font-medium">
+                {format(parseISO(po.expectedDeliveryDate), "MMM d, yyyy")}
+              </p>
+            )}
+          </CardContent>
+        </Card>
+        <Card>
+          <CardContent className="pt-6 space-y-2">
+            <div className="flex justify-between text-sm">
+              <span className="text-muted-foreground">Received</span>
+              <span>
+                {po.receivedQuantity} / {po.totalQuantity}
+              </span>
+            </div>
+            <Progress value={receivedPercent} />
+            <p className="font-medium">Total PKR {po.totalAmount.toLocaleString()}</p>
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Lines */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base">Lines</CardTitle>
+        </CardHeader>
+        <CardContent className="overflow-x-auto">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Material</TableHead>
+                <TableHead className="text-right">Ordered</TableHead>
+                <TableHead className="text-right">Received</TableHead>
+                <TableHead className="text-right">Unit Price</TableHead>
+                <TableHead className="text-right">Amount</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {po.lines.map((line) => (
+                <TableRow key={line.id}>
+                  <TableCell>
+                    <Link
+                      to={`/inventory/${line.inventoryItemId}`}
+                      className="font-medium hover:underline"
+                    >
+                      {line.name}
+                    </Link>
+                    <p className="text-xs text-muted-foreground">{line.sku}</p>
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {line.quantity} {line.unit}
+                  </TableCell>
+                  <TableCell
+                    className={`text-right ${line.receivedQty >= line.quantity ? "text-green-600" : ""}`}
+                  >
+                    {line.receivedQty} {line.unit}
+                  </TableCell>
+                  <TableCell className="text-right">{line.unitPrice.toLocaleString()}</TableCell>
+                  <TableCell className="text-right">
+                    {(line.quantity * line.unitPrice).toLocaleString()}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+          {po.notes && (
+            <p className="text-sm text-muted-foreground mt-4 whitespace-pre-line">
+              <span className="font-medium text-slate-700">Notes:</span> {po.notes}
+            </p>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Linked demands */}
+      {po.demands.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-base">Procurement Demands</CardTitle>
+          </CardHeader>
+          <CardContent className="overflow-x-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Material</TableHead>
+                  <TableHead>Order</TableHead>
+                  <TableHead>Section</TableHead>
+                  <TableHead className="text-right">Shortage</TableHead>
+                  <TableHead className="text-right">Received</TableHead>
+                  <TableHead>Status</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {po.demands.map((demand) => (
+                  <TableRow key={demand.id}>
+                    <TableCell>{demand.inventoryItemName}</TableCell>
+                    <TableCell>
+                      <Link
+                        to={`/orders/${demand.orderId}`}
+                        className="inline-flex items-center text-blue-600 hover:underline"
+                      >
+                        View Order
+                        <ExternalLink className="h-3 w-3 ml-1" />
+                      </Link>
+                    </TableCell>
+                    <TableCell>
+                      {demand.affectedSection ? (
+                        <Badge variant="outline" className="capitalize">
+                          {demand.affectedSection}
+                        </Badge>
+                      ) : (
+                        "-"
+                      )}
+                    </TableCell>
+                    <TableCell className="text-right">
+                      {demand.shortageQty} {demand.unit}
+                    </TableCell>
+                    <TableCell className="text-right">
+                      {demand.receivedQty || 0} {demand.unit}
+                    </TableCell>
+                    <TableCell>
+                      <Badge variant="outline">{demand.status.replace(/_/g, " ")}</Badge>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </CardContent>
+        </Card>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {/* Receipts */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-base">Receipts</CardTitle>
+          </CardHeader>
+          <CardContent>
+            {po.receipts.length === 0 ? (
+              <p className="text-sm text-muted-foreground">Nothing received yet</p>
+            ) : (
+              <div className="space-y-3">
+                {po.receipts.map((receipt) => (
+                  <div key={receipt.id} className="border rounded-lg p-3 text-sm space-y-1">
+                    <div className="flex justify-between">
+                      <span className="font-medium">
+                        {receipt.referenceNumber || "No vendor reference"}
+                      </span>
+                      <span className="text-muted-foreground">
+                        {formatDateTime(receipt.receivedAt)}
+                      </span>
+                    </div>
+                    <ul className="text-muted-foreground">
+                      {receipt.lines.map((received) => {
+                        const line = po.lines.find((l) => l.id === received.lineId)
+                        return (
+                          <li key={received.lineId}>
+                            {line?.name}: {received.quantity} {line?.unit}
+                          </li>
+                        )
+                      })}
+                    </ul>
+                    <p className="text-xs text-muted-foreground">
+                      Received by {receipt.receivedBy}
+                      {receipt.notes && ` · ${receipt.notes}`}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* History */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-base">History</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <ul className="space-y-2 text-sm">
+              {[...po.timeline].reverse().map((entry) => (
+                <li key={entry.id} className="border-l-2 border-slate-200 pl-3">
+                  <p>{entry.action}</p>
+                  <p className="text-xs text-muted-foreground">
+                    {entry.user} · {formatDateTime(entry.timestamp)}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Printable document, printed on its own by printElement */}
+      <div className="hidden">
+        <PurchaseOrderDocument ref={documentRef} purchaseOrder={po} />
+      </div>
+
+      {showReceive && (
+        <ReceivePurchaseOrderDialog
+          open={showReceive}
+          onOpenChange={setShowReceive}
+          purchaseOrder={po}
+        />
+      )}
+
+      {/* Cancel Dialog */}
+      <Dialog open={showCancel} onOpenChange={setShowCancel}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Cancel {po.poNumber}?</DialogTitle>
+          </DialogHeader>
+          <div className="space-y-2 py-2">
+            <p className="text-sm text-muted-foreground">
+              Its procurement demands go back to Open so they can be ordered again.
+            </p>
+            <Label htmlFor="cancel-reason">Reason (optional)</Label>
+            <Textarea
+              id="cancel-reason"
+              value={cancelReason}
+              onChange={(e) => setCancelReason(e.target.value)}
+              placeholder="e.g., Vendor out of stock"
+            />
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setShowCancel(false)}>
+              Keep PO
+            </Button>
+            <Button
+              variant="destructive"
+              onClick={handleCancel}
+              disabled={cancelPurchaseOrder.isPending}
+            >
+              {cancelPurchaseOrder.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Cancel PO
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  )
+}
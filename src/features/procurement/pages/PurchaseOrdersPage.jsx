@@ -0,0 +1,213 @@
+/**
+ * Purchase Orders Page
+ * src/features/procurement/pages/PurchaseOrdersPage.jsx
+ *
+ * All purchase orders, newest first, with a shortcut to what still needs
+ * ordering (open demands and low-stock items that are not on a PO).
+ */
+
+import { Link, useSearchParams } from "react-router-dom"
+import { format, isBefore, parseISO, startOfDay } from "date-fns"
+import { FileText, Loader2, Plus, ShoppingCart } from "lucide-react"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select"
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table"
+import { PURCHASE_ORDER_STATUS, PURCHASE_ORDER_STATUS_CONFIG } from "@/constants/orderConstants"
+import { useAuth } from "@/features/auth/hooks/useAuth"
+import { hasPermission } from "@/lib/rbac"
+import { usePurchaseOrders, usePurchaseOrderSuggestions } from "@/hooks/usePurchaseOrders"
+import { useVendors } from "@/hooks/useVendors"
+import ProcurementNav from "../components/ProcurementNav"
+import PurchaseOrderStatusBadge from "../components/PurchaseOrderStatusBadge"
+
+const ALL = "all"
+
+const OPEN_STATUSES = [
+  PURCHASE_ORDER_STATUS.DRAFT,
+  PURCHASE_ORDER_STATUS.SENT,
+  PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED,
+]
+
+const isOverdue = (po) =>
+  OPEN_STATUSES.includes(po.status) &&
+  isBefore(parseISO(po.expectedDeliveryDate), startOfDay(new Date()))
+
+export default function PurchaseOrdersPage() {
+  const { user } = useAuth()
+  const canManage = hasPermission(user, "procurement.manage")
+  const [searchParams, setSearchParams] = useSearchParams()
+
+  const status = searchParams.get("status") || ALL
+  const vendorId = searchParams.get("vendorId") || ALL
+
+  const filters = {
+    ...(status !== ALL && { status }),
+    ...(vendorId !== ALL && { vendorId }),
+  }
+  const { data: purchaseOrders = [], isLoading } = usePurchaseOrders(filters)
+  const { data: vendors = [] } = useVendors()
+  const { data: suggestions } = usePurchaseOrderSuggestions()
+
+  const setFilter = (key) => (value) => {
+    const next = new URLSearchParams(searchParams)
+    if (value === ALL) next.delete(key)
+    else next.set(key, value)
+    setSearchParams(next)
+  }
+
+  const vendorsToOrderFrom = suggestions?.vendors.length || 0
+
+  return (
+    <div className="p-4 md:p-6 space-y-6">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold">Purchase Orders</h1>
+          <p className="text-muted-foreground">Orders placed with vendors and what has arrived</p>
+        </div>
+        {canManage && (
+          <Button asChild>
+            <Link to="/procurement/purchase-orders/new">
+              <Plus className="h-4 w-4 mr-2" />
+              New Purchase Order
+            </Link>
+          </Button>
+        )}
+      </div>
+
+      <ProcurementNav />
+
+      {/* Needs ordering */}
+      {canManage && vendorsToOrderFrom > 0 && (
+        <Card className="border-red-200 bg-red-50">
+          <CardContent className="py-4 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+            <div className="flex items-center gap-3">
+              <ShoppingCart className="h-5 w-5 text-red-600" />
+              <p className="text-sm text-red-900">
+                Open demands or low stock from <strong>{vendorsToOrderFrom}</strong> vendor
+                {vendorsToOrderFrom === 1 ? "" : "s"} are not on a purchase order yet.
+              </p>
+            </div>
+            <Button size="sm" variant="outline" asChild>
+              <Link to="/procurement/purchase-orders/new">Review suggestions</Link>
+            </Button>
+          </CardContent>
+        </Card>
+      )}
+
+      <Card>
+        <CardHeader className="pb-3">
+          <div className="flex flex-col md:flex-row md:items-center justify-between gap-3">
+            <CardTitle className="text-lg flex items-center gap-2">
+              <FileText className="h-5 w-5" />
+              Purchase Orders
+            </CardTitle>
+            <div className="flex gap-2">
+              <Select value={vendorId} onValueChange={setFilter("vendorId")}>
+                <SelectTrigger className="w-48">
+                  <SelectValue placeholder="Vendor" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ALL}>All Vendors</SelectItem>
+                  {vendors.map((vendor) => (
+                    <SelectItem key={vendor.id} value={vendor.id}>
+                      {vendor.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Select value={status} onValueChange={setFilter("status")}>
+                <SelectTrigger className="w-44">
+                  <SelectValue placeholder="Status" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={ALL}>All Statuses</SelectItem>
+                  {Object.entries(PURCHASE_ORDER_STATUS_CONFIG).map(([value, config]) => (
+                    <SelectItem key={value} value={value}>
+                      {config.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {isLoading ? (
+            <div className="flex items-center justify-center h-32">
+              <Loader2 className="h-6 w-6 animate-spin" />
+            </div>
+          ) : purchaseOrders.length === 0 ? (
+            <div className="text-center py-8 text-muted-foreground">
+              <FileText className="h-12 w-12 mx-auto mb-3 opacity-50" />
+              <p>No purchase orders found</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>PO Number</TableHead>
+                    <TableHead>Vendor</TableHead>
+                    <TableHead>Status</TableHead>
+                    <TableHead>Expected Delivery</TableHead>
+                    <TableHead className="text-right">Lines</TableHead>
+                    <TableHead className="text-right">Received</TableHead>
+                    <TableHead className="text-right">Total</TableHead>
+                    <TableHead>Created</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {purchaseOrders.map((po) => (
+                    <TableRow key={po.id}>
+                      <TableCell>
+                        <Link
+                          to={`/procurement/purchase-orders/${po.id}`}
+                          className="font-medium text-blue-600 hover:underline"
+                        >
+                          {po.poNumber}
+                        </Link>
+                      </TableCell>
+                      <TableCell>{po.vendorName}</TableCell>
+                      <TableCell>
+                        <PurchaseOrderStatusBadge status={po.status} />
+                      </TableCell>
+                      <TableCell className={isOverdue(po) ? "text-red-600 font-medium" : ""}>
+                        {format(parseISO(po.expectedDeliveryDate), "MMM d, yyyy")}
+                        {isOverdue(po) && " (overdue)"}
+                      </TableCell>
+                      <TableCell className="text-right">{po.lines.length}</TableCell>
+                      <TableCell className="text-right">
+                        {po.receivedQuantity} / {po.totalQuantity}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        PKR {po.totalAmount.toLocaleString()}
+                      </TableCell>
+                      <TableCell className="text-sm text-muted-foreground">
+                        {format(new Date(po.createdAt), "MMM d, yyyy")}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
@@ -0,0 +1,188 @@
+/**
+ * Vendors Page
+ * src/features/procurement/pages/VendorsPage.jsx
+ *
+ * Supplier list for procurement. Vendors are deactivated rather than deleted
+ * so their purchase orders stay readable.
+ */
+
+import { useState } from "react"
+import { Link } from "react-router-dom"
+import { toast } from "sonner"
+import { Factory, Loader2, Pencil, Plus, Search } from "lucide-react"
+import { Card, CardContent } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Input } from "@/components/ui/input"
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table"
+import { useAuth } from "@/features/auth/hooks/useAuth"
+import { hasPermission } from "@/lib/rbac"
+import { useVendors, useUpdateVendor } from "@/hooks/useVendors"
+import ProcurementNav from "../components/ProcurementNav"
+import VendorFormDialog from "../components/VendorFormDialog"
+
+export default function VendorsPage() {
+  const { user } = useAuth()
+  const canManage = hasPermission(user, "procurement.manage")
+
+  const [search, setSearch] = useState("")
+  const [dialog, setDialog] = useState({ open: false, vendor: null })
+
+  const { data: vendors = [], isLoading } = useVendors(search ? { search } : {})
+  const updateVendor = useUpdateVendor()
+
+  const openDialog = (vendor = null) => setDialog({ open: true, vendor })
+
+  const toggleActive = (vendor) => {
+    updateVendor.mutate(
+      { id: vendor.id, data: { active: !vendor.active } },
+      {
+        onSuccess: (saved) =>
+          toast.success(`${saved.name} ${saved.active ? "reactivated" : "deactivated"}`),
+        onError: (error) => toast.error(error.message || "Failed to update vendor"),
+      }
+    )
+  }
+
+  return (
+    <div className="p-4 md:p-6 space-y-6">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold">Vendors</h1>
+          <p className="text-muted-foreground">Suppliers for fabrics, ADA materials and trims</p>
+        </div>
+        {canManage && (
+          <Button onClick={() => openDialog()}>
+            <Plus className="h-4 w-4 mr-2" />
+            Add Vendor
+          </Button>
+        )}
+      </div>
+
+      <ProcurementNav />
+
+      <Card>
+        <CardContent className="pt-6 space-y-4">
+          <div className="relative max-w-sm">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-slate-400" />
+            <Input
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search by name, contact or phone"
+              className="pl-9"
+            />
+          </div>
+
+          {isLoading ? (
+            <div className="flex items-center justify-center h-32">
+              <Loader2 className="h-6 w-6 animate-spin" />
+            </div>
+          ) : vendors.length === 0 ? (
+            <div className="text-center py-8 text-muted-foreground">
+              <Factory className="h-12 w-12 mx-auto mb-3 opacity-50" />
+              <p>No vendors found</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Vendor</TableHead>
+                    <TableHead>Contact</TableHead>
+                    <TableHead>Payment Terms</TableHead>
+                    <TableHead className="text-right">Lead Time</TableHead>
+                    <TableHead className="text-right">Items</TableHead>
+                    <TableHead className="text-right">Open POs</TableHead>
+                    <TableHead>Status</TableHead>
+                    {canManage && <TableHead>Actions</TableHead>}
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {vendors.map((vendor) => (
+                    <TableRow key={vendor.id}>
+                      <TableCell>
+                        <p className="font-medium">{vendor.name}</p>
+                        {vendor.address && (
+                          <p className="text-xs text-muted-foreground">{vendor.address}</p>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-sm">
+                        <p>{vendor.contactPerson || "—"}</p>
+                        <p className="text-muted-foreground">{vendor.phone}</p>
+                        {vendor.email && <p className="text-muted-foreground">{vendor.email}</p>}
+                      </TableCell>
+                      <TableCell>{vendor.paymentTerms || "—"}</TableCell>
+                      <TableCell className="text-right">{vendor.leadTimeDays} days</TableCell>
+                      <TableCell className="text-right">{vendor.itemCount}</TableCell>
+                      <TableCell className="text-right">
+                        {vendor.openPurchaseOrderCount > 0 ? (
+                          <Link
+                            to={`/procurement/purchase-orders?vendorId=${vendor.id}`}
+                            className="text-blue-600 hover:underline"
+                          >
+                            {vendor.openPurchaseOrderCount}
+                          </Link>
+                        ) : (
+                          0
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {vendor.active ? (
+                          <Badge className="bg-green-100 text-green-800">Active</Badge>
+                        ) : (
+                          <Badge className="bg-gray-100 text-gray-800">Inactive</Badge>
+                        )}
+                      </TableCell>
+                      {canManage && (
+                        <TableCell>
+                          <div className="flex gap-1">
+                            <Button size="sm" variant="outline" onClick={() => openDialog(vendor)}>
+                              <Pencil className="h-3.5 w-3.5 mr-1" />
+                              Edit
+                            </Button>
+                            {vendor.active && (
+                              <Button size="sm" variant="outline" asChild>
+                                <Link to={`/procurement/purchase-orders/new?vendorId=${vendor.id}`}>
+                                  New PO
+                                </Link>
+                              </Button>
+                            )}
+                            <Button
+                              size="sm"
+                              variant="ghost"
+                              onClick={() => toggleActive(vendor)}
+                              disabled={updateVendor.isPending}
+                            >
+                              {vendor.active ? "Deactivate" : "Reactivate"}
+                            </Button>
+                          </div>
+                        </TableCell>
+                      )}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {dialog.open && (
+        <VendorFormDialog
+          key={dialog.vendor?.id || "new"}
+          open={dialog.open}
+          onOpenChange={(open) => setDialog((prev) => ({ ...prev, open }))}
+          vendor={dialog.vendor}
+        />
+      )}
+    </div>
+  )
+}
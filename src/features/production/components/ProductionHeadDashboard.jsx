@@ -6,7 +6,7 @@
  */
 
 import { useState } from "react"
-import { useNavigate } from "react-router-dom"
+import { Link, useNavigate } from "react-router-dom"
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
 import { Badge } from "@/components/ui/badge"
@@ -27,6 +27,7 @@ import {
   Send,
   ChevronDown,
   ChevronUp,
+  CalendarClock,
 } from "lucide-react"
 import { toast } from "sonner"
 import { useMyAssignments, useSendSectionToQA } from "@/hooks/useProduction"
@@ -217,14 +218,22 @@ export default function ProductionHeadDashboard() {
 // Dashboard Header
 function DashboardHeader() {
   return (
-    <div className="flex items-center gap-3">
-      <div className="rounded-full bg-indigo-100 p-2">
-        <Factory className="h-6 w-6 text-indigo-600" />
-      </div>
-      <div>
-        <h1 className="text-2xl font-bold text-slate-900">My Production Assignments</h1>
-        <p className="text-muted-foreground">Manage tasks and track production progress</p>
+    <div className="flex items-center justify-between gap-3">
+      <div className="flex items-center gap-3">
+        <div className="rounded-full bg-indigo-100 p-2">
+          <Factory className="h-6 w-6 text-indigo-600" />
+        </div>
+        <div>
+          <h1 className="text-2xl font-bold text-slate-900">My Production Assignments</h1>
+          <p className="text-muted-foreground">Manage tasks and track production progress</p>
+        </div>
       </div>
+      <Button variant="outline" asChild>
+        <Link to="/production/schedule">
+          <CalendarClock className="h-4 w-4 mr-2" />
+          Schedule
+        </Link>
+      </Button>
     </div>
   )
 }
@@ -0,0 +1,171 @@
+/**
+ * ScheduleWorkerLane.jsx
+ * One worker's column on the scheduling board - their open tasks in planned order.
+ * Tasks that have not been started can be dragged onto another worker's lane.
+ *
+ * File: src/features/production/components/ScheduleWorkerLane.jsx
+ */
+
+import { useState } from "react"
+import { format } from "date-fns"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { AlertTriangle, CalendarDays, GripVertical, Lock } from "lucide-react"
+import { PRODUCTION_TASK_STATUS, PRODUCTION_TASK_STATUS_CONFIG } from "@/constants/orderConstants"
+import { WEEKDAYS, formatWorkMinutes } from "@/lib/productionSchedule"
+
+const formatProjected = (date) => (date ? format(new Date(date), "EEE MMM d, HH:mm") : "—")
+
+// Only tasks nobody has started yet can change hands
+const isMovableTask = (task) =>
+  task.status === PRODUCTION_TASK_STATUS.PENDING || task.status === PRODUCTION_TASK_STATUS.READY
+
+export default function ScheduleWorkerLane({
+  worker,
+  tasks,
+  canMove,
+  draggedTask,
+  onDragTask,
+  onDropTask,
+  onEditCalendar,
+}) {
+  const [isOver, setIsOver] = useState(false)
+
+  const { calendar } = worker
+  const workDays = WEEKDAYS.filter((day) => calendar.workDays.includes(day.value))
+    .map((day) => day.label)
+    .join(" ")
+  const today = format(new Date(), "yyyy-MM-dd")
+  const upcomingTimeOff = (calendar.timeOff || []).filter((off) => (off.to || off.from) >= today)
+
+  const acceptsDrop = !!draggedTask && worker.isActive && draggedTask.workerId !== worker.id
+
+  const handleDragOver = (e) => {
+    if (!acceptsDrop) return
+    e.preventDefault()
+    e.dataTransfer.dropEffect = "move"
+    setIsOver(true)
+  }
+
+  const handleDrop = (e) => {
+    e.preventDefault()
+    setIsOver(false)
+    if (acceptsDrop) onDropTask(worker)
+  }
+
+  return (
+    <Card
+      className={`w-72 shrink-0 transition-colors ${
+        isOver ? "border-indigo-500 bg-indigo-50" : ""
+      } ${worker.isActive ? "" : "opacity-75"}`}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setIsOver(false)}
+      onDrop={handleDrop}
+    >
+      <CardHeader className="pb-3">
+        <div className="flex items-start justify-between gap-2">
+          <div>
+            <CardTitle className="text-base">{worker.name}</CardTitle>
+            <CardDescription className="text-xs">
+              {worker.isActive ? (
+                <>
+                  {workDays} · {calendar.startTime}–{calendar.endTime}
+                </>
+              ) : (
+                "Inactive"
+              )}
+            </CardDescription>
+          </div>
+          {worker.isActive && onEditCalendar && (
+            <Button
+              variant="ghost"
+              size="sm"
+              className="h-7 w-7 p-0"
+              title="Edit calendar"
+              onClick={() => onEditCalendar(worker)}
+            >
+              <CalendarDays className="h-4 w-4" />
+            </Button>
+          )}
+        </div>
+        <div className="flex flex-wrap gap-1 pt-1">
+          <Badge variant="secondary">{formatWorkMinutes(worker.loadMinutes)} queued</Badge>
+          {upcomingTimeOff.length > 0 && (
+            <Badge variant="outline" className="text-amber-700 border-amber-300">
+              {upcomingTimeOff.length} time off
+            </Badge>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-2 min-h-24">
+        {tasks.length === 0 ? (
+          <p className="text-xs text-muted-foreground text-center py-6">No open tasks</p>
+        ) : (
+          tasks.map((task) => {
+            const movable = canMove && isMovableTask(task)
+            const statusConfig = PRODUCTION_TASK_STATUS_CONFIG[task.status]
+
+            return (
+              <div
+                key={task.id}
+                draggable={movable}
+                onDragStart={(e) => {
+                  e.dataTransfer.setData("text/plain", task.id)
+                  e.dataTransfer.effectAllowed = "move"
+                  onDragTask(task)
+                }}
+                onDragEnd={() => onDragTask(null)}
+                className={`rounded-lg border bg-white p-2 text-sm space-y-1 ${
+                  task.atRisk ? "border-red-300" : ""
+                } ${movable ? "cursor-grab active:cursor-grabbing" : ""} ${
+                  draggedTask?.id === task.id ? "opacity-50" : ""
+                }`}
+              >
+                <div className="flex items-center gap-1">
+                  {movable ? (
+                    <GripVertical className="h-3.5 w-3.5 text-slate-400 shrink-0" />
+                  ) : (
+                    <Lock className="h-3.5 w-3.5 text-slate-400 shrink-0" />
+                  )}
+                  <span className="font-medium truncate flex-1">{task.displayName}</span>
+                  {task.atRisk && <AlertTriangle className="h-3.5 w-3.5 text-red-500 shrink-0" />}
+                </div>
+                <p className="text-xs text-muted-foreground truncate">
+                  {task.orderNumber} · {task.sectionName} · step {task.sequenceOrder}
+                </p>
+                <div className="flex items-center justify-between gap-1">
+                  {statusConfig && (
+                    <Badge className={`${statusConfig.color} text-[10px] px-1.5 py-0`}>
+                      {statusConfig.label}
+                    </Badge>
+                  )}
+                  <span
+                    className="text-xs text-muted-foreground"
+                    title={
+                      task.estimateBasis === "LEARNED"
+                        ? "Average of completed tasks"
+                        : "Default estimate"
+                    }
+                  >
+                    {formatWorkMinutes(task.remainingMinutes)}
+                  </span>
+                </div>
+                <p className="text-xs">
+                  {task.projectedFinish ? (
+                    <>
+                      {formatProjected(task.projectedStart)} →{" "}
+                      <span className="font-medium">{formatProjected(task.projectedFinish)}</span>
+                    </>
+                  ) : (
+                    <span className="text-red-600">Cannot be scheduled</span>
+                  )}
+                </p>
+              </div>
+            )
+          })
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -44,7 +44,9 @@ import {
   useCreateSectionTasks,
   useStartSectionProduction,
   useProductionWorkers,
+  useTaskEstimates,
 } from "@/hooks/useProduction"
+import { formatWorkMinutes } from "@/lib/productionSchedule"
 
 // Icon mapping for task types
 const TASK_ICONS = {
@@ -73,6 +75,9 @@ export default function TaskCreationPanel({ orderItemId, sectionName, onClose, o
   // Fetch workers for assignment dropdowns
   const { data: workers = [], isLoading: isLoadingWorkers } = useProductionWorkers()
 
+  // Estimated durations, learned from completed tasks
+  const { data: estimates = [] } = useTaskEstimates()
+
   // Mutations
   const createTasksMutation = useCreateSectionTasks()
   const startProductionMutation = useStartSectionProduction()
@@ -157,6 +162,21 @@ export default function TaskCreationPanel({ orderItemId, sectionName, onClose, o
     setTaskSequence(newSequence)
   }
 
+  // Estimated minutes of a task in the sequence (custom tasks by name, else the custom default)
+  const getEstimatedMinutes = (taskKey) => {
+    const customTask = customTasks.find((t) => t.key === taskKey)
+    const key = customTask ? `CUSTOM:${customTask.name.trim().toLowerCase()}` : taskKey
+    const estimate =
+      estimates.find((e) => e.key === key) ||
+      estimates.find((e) => e.key === PRODUCTION_TASK_TYPES.CUSTOM)
+    return estimate?.minutes || 0
+  }
+
+  const totalEstimatedMinutes = taskSequence.reduce(
+    (sum, taskKey) => sum + getEstimatedMinutes(taskKey),
+    0
+  )
+
   // Build tasks array for submission
   const buildTasksArray = () => {
     return taskSequence.map((taskKey, index) => {
@@ -363,6 +383,15 @@ export default function TaskCreationPanel({ orderItemId, sectionName, onClose, o
               Tasks will be executed in this order. Workers cannot start a task until the previous
               one is complete.
             </p>
+            {totalEstimatedMinutes > 0 && (
+              <p className="text-sm text-slate-500">
+                Estimated working time:{" "}
+                <span className="font-medium text-slate-700">
+                  {formatWorkMinutes(totalEstimatedMinutes)}
+                </span>{" "}
+                if each worker starts as soon as the previous task is done
+              </p>
+            )}
             <div className="space-y-2">
               {taskSequence.map((taskKey, index) => {
                 const isCustom = taskKey.startsWith("CUSTOM_")
@@ -405,6 +434,9 @@ export default function TaskCreationPanel({ orderItemId, sectionName, onClose, o
                     </Badge>
                     <Icon className="h-5 w-5 text-slate-500" />
                     <span className="flex-1 font-medium">{taskName}</span>
+                    <span className="text-xs text-slate-500">
+                      ~{formatWorkMinutes(getEstimatedMinutes(taskKey))}
+                    </span>
                     <Badge variant="secondary">{worker?.name || "Unassigned"}</Badge>
                   </div>
                 )
@@ -0,0 +1,180 @@
+/**
+ * WorkerCalendarDialog.jsx
+ * Edit the days and hours a production worker works, and their time off.
+ * The scheduling board only plans a worker's tasks inside their calendar.
+ *
+ * File: src/features/production/components/WorkerCalendarDialog.jsx
+ */
+
+import { useState } from "react"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Checkbox } from "@/components/ui/checkbox"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { CalendarDays, Loader2, Plus, X } from "lucide-react"
+import { useUpdateWorkerCalendar } from "@/hooks/useProduction"
+import { WEEKDAYS } from "@/lib/productionSchedule"
+
+export default function WorkerCalendarDialog({ worker, onClose }) {
+  const [workDays, setWorkDays] = useState(worker.calendar.workDays)
+  const [startTime, setStartTime] = useState(worker.calendar.startTime)
+  const [endTime, setEndTime] = useState(worker.calendar.endTime)
+  const [timeOff, setTimeOff] = useState(worker.calendar.timeOff || [])
+
+  const updateCalendarMutation = useUpdateWorkerCalendar()
+
+  const toggleDay = (day) => {
+    setWorkDays((days) => (days.includes(day) ? days.filter((d) => d !== day) : [...days, day]))
+  }
+
+  const updateTimeOff = (index, field, value) => {
+    setTimeOff((entries) =>
+      entries.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry))
+    )
+  }
+
+  const handleSave = () => {
+    updateCalendarMutation.mutate(
+      {
+        workerId: worker.id,
+        calendar: {
+          workDays: [...workDays].sort((a, b) => a - b),
+          startTime,
+          endTime,
+          timeOff: timeOff.filter((entry) => entry.from),
+        },
+      },
+      { onSuccess: onClose }
+    )
+  }
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-lg">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <CalendarDays className="h-5 w-5 text-indigo-600" />
+            Calendar for {worker.name}
+          </DialogTitle>
+          <DialogDescription>
+            Tasks are only scheduled on working days, between the start and end time
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-5">
+          {/* Working days */}
+          <div className="space-y-2">
+            <Label>Working days</Label>
+            <div className="flex flex-wrap gap-3">
+              {WEEKDAYS.map((day) => (
+                <label key={day.value} className="flex items-center gap-1.5 text-sm">
+                  <Checkbox
+                    checked={workDays.includes(day.value)}
+                    onCheckedChange={() => toggleDay(day.value)}
+                  />
+                  {day.label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {/* Working hours */}
+          <div className="grid grid-cols-2 gap-3">
+            <div className="space-y-2">
+              <Label htmlFor="calendar-start">Start</Label>
+              <Input
+                id="calendar-start"
+                type="time"
+                value={startTime}
+                onChange={(e) => setStartTime(e.target.value)}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="calendar-end">End</Label>
+              <Input
+                id="calendar-end"
+                type="time"
+                value={endTime}
+                onChange={(e) => setEndTime(e.target.value)}
+              />
+            </div>
+          </div>
+
+          {/* Time off */}
+          <div className="space-y-2">
+            <div className="flex items-center justify-between">
+              <Label>Time off</Label>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() =>
+                  setTimeOff((entries) => [...entries, { from: "", to: "", reason: "" }])
+                }
+              >
+                <Plus className="h-4 w-4 mr-1" />
+                Add
+              </Button>
+            </div>
+            {timeOff.length === 0 ? (
+              <p className="text-sm text-muted-foreground">No time off planned</p>
+            ) : (
+              timeOff.map((entry, index) => (
+                <div key={entry.id || index} className="flex items-center gap-2">
+                  <Input
+                    type="date"
+                    value={entry.from}
+                    onChange={(e) => updateTimeOff(index, "from", e.target.value)}
+                    className="w-36"
+                  />
+                  <span className="text-sm text-muted-foreground">to</span>
+                  <Input
+                    type="date"
+                    value={entry.to}
+                    min={entry.from}
+                    onChange={(e) => updateTimeOff(index, "to", e.target.value)}
+                    className="w-36"
+                  />
+                  <Input
+                    placeholder="Reason"
+                    value={entry.reason}
+                    onChange={(e) => updateTimeOff(index, "reason", e.target.value)}
+                    className="flex-1"
+                  />
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setTimeOff((entries) => entries.filter((_, i) => i !== index))}
+                  >
+                    <X className="h-4 w-4 text-red-500" />
+                  </Button>
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose} disabled={updateCalendarMutation.isPending}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleSave}
+            disabled={updateCalendarMutation.isPending || workDays.length === 0}
+            className="bg-indigo-600 hover:bg-indigo-700"
+          >
+            {updateCalendarMutation.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Save Calendar
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,447 @@
+/**
+ * ProductionSchedulePage.jsx
+ * Scheduling board for production heads - every open task forward-scheduled on
+ * its worker's calendar, with the order items projected to miss their shipping
+ * date. Dragging a task onto another worker previews the new projected dates
+ * before the task is moved.
+ *
+ * File: src/features/production/pages/ProductionSchedulePage.jsx
+ */
+
+import { useState } from "react"
+import { Link } from "react-router-dom"
+import { format } from "date-fns"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table"
+import {
+  AlertCircle,
+  AlertTriangle,
+  ArrowLeft,
+  ArrowRight,
+  CalendarClock,
+  CheckCircle,
+  Loader2,
+} from "lucide-react"
+import { useAuth } from "@/features/auth/hooks/useAuth"
+import { useProductionSchedule, useReassignTask, useSchedulePreview } from "@/hooks/useProduction"
+import { formatWorkMinutes } from "@/lib/productionSchedule"
+import ScheduleWorkerLane from "../components/ScheduleWorkerLane"
+import WorkerCalendarDialog from "../components/WorkerCalendarDialog"
+
+const formatDay = (date) => (date ? format(new Date(date), "MMM d, yyyy") : "—")
+const formatProjected = (date) => (date ? format(new Date(date), "MMM d, HH:mm") : "—")
+
+const DUE_DATE_SOURCE_LABELS = {
+  productionShippingDate: "Shipping",
+  fwdDate: "FWD",
+}
+
+function RiskBadge({ item }) {
+  if (item.unschedulable) {
+    return <Badge className="bg-red-100 text-red-800">Cannot be scheduled</Badge>
+  }
+  if (item.atRisk) {
+    const days = Math.max(1, Math.ceil(item.lateByMinutes / (24 * 60)))
+    return (
+      <Badge className="bg-red-100 text-red-800">
+        Late by {days} day{days === 1 ? "" : "s"}
+      </Badge>
+    )
+  }
+  if (!item.dueDate) {
+    return <Badge variant="outline">No due date</Badge>
+  }
+  return <Badge className="bg-green-100 text-green-800">On track</Badge>
+}
+
+export default function ProductionSchedulePage() {
+  const { hasPermission } = useAuth()
+  const canMove = hasPermission("production.assign_tasks")
+
+  const [draggedTask, setDraggedTask] = useState(null)
+  const [pendingMove, setPendingMove] = useState(null)
+  const [calendarWorker, setCalendarWorker] = useState(null)
+
+  const { data: schedule, isLoading, error } = useProductionSchedule()
+  const previewMutation = useSchedulePreview()
+  const reassignMutation = useReassignTask()
+
+  const handleDropTask = (worker) => {
+    const task = draggedTask
+    setDraggedTask(null)
+    if (!task) return
+
+    setPendingMove({ task, worker })
+    previewMutation.mutate({ [task.id]: worker.id })
+  }
+
+  const closeMoveDialog = () => {
+    setPendingMove(null)
+    previewMutation.reset()
+  }
+
+  const confirmMove = () => {
+    reassignMutation.mutate(
+      { taskId: pendingMove.task.id, workerId: pendingMove.worker.id },
+      { onSuccess: closeMoveDialog }
+    )
+  }
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <Loader2 className="h-8 w-8 animate-spin text-muted-foreground" />
+      </div>
+    )
+  }
+
+  if (error || !schedule) {
+    return (
+      <div className="p-6 text-center text-muted-foreground">
+        <AlertCircle className="h-12 w-12 text-red-500 mx-auto mb-4" />
+        <p>{error?.message || "Could not load the schedule"}</p>
+      </div>
+    )
+  }
+
+  const tasksById = Object.fromEntries(schedule.tasks.map((task) => [task.id, task]))
+
+  return (
+    <div className="p-6 space-y-6">
+      {/* Header */}
+      <div>
+        <Button variant="ghost" size="sm" asChild className="mb-2 -ml-2">
+          <Link to="/production">
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            Production
+          </Link>
+        </Button>
+        <div className="flex items-center gap-3">
+          <div className="rounded-full bg-indigo-100 p-2">
+            <CalendarClock className="h-6 w-6 text-indigo-600" />
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold text-slate-900">Production Schedule</h1>
+            <p className="text-muted-foreground">
+              Open tasks planned on worker calendars against each order&apos;s shipping date
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {/* Summary */}
+      <div className="grid gap-4 grid-cols-1 md:grid-cols-3">
+        <Card>
+          <CardHeader className="pb-2">
+            <CardDescription>Open tasks</CardDescription>
+            <CardTitle className="text-2xl">{schedule.summary.openTasks}</CardTitle>
+          </CardHeader>
+        </Card>
+        <Card>
+          <CardHeader className="pb-2">
+            <CardDescription>Order items in production</CardDescription>
+            <CardTitle className="text-2xl">{schedule.summary.orderItems}</CardTitle>
+          </CardHeader>
+        </Card>
+        <Card>
+          <CardHeader className="pb-2">
+            <CardDescription>Projected to miss their date</CardDescription>
+            <CardTitle className={`text-2xl ${schedule.summary.atRisk > 0 ? "text-red-600" : ""}`}>
+              {schedule.summary.atRisk}
+            </CardTitle>
+          </CardHeader>
+        </Card>
+      </div>
+
+      {/* Order items */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base">Order items</CardTitle>
+          <CardDescription>
+            Projected finish of each item&apos;s last section, soonest due first
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {schedule.orderItems.length === 0 ? (
+            <p className="text-sm text-muted-foreground text-center py-6">
+              No order item has open production tasks
+            </p>
+          ) : (
+            <div className="border rounded-lg overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Order</TableHead>
+                    <TableHead>Product</TableHead>
+                    <TableHead>Sections</TableHead>
+                    <TableHead>Due</TableHead>
+                    <TableHead>Projected finish</TableHead>
+                    <TableHead>Status</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {schedule.orderItems.map((item) => (
+                    <TableRow key={item.orderItemId} className={item.atRisk ? "bg-red-50" : ""}>
+                      <TableCell>
+                        <Link
+                          to={`/production/order-item/${item.orderItemId}`}
+                          className="font-medium text-primary hover:underline"
+                        >
+                          {item.orderNumber}
+                        </Link>
+                        {item.customerName && (
+                          <p className="text-xs text-muted-foreground">{item.customerName}</p>
+                        )}
+                      </TableCell>
+                      <TableCell>{item.productName || "—"}</TableCell>
+                      <TableCell className="text-sm">
+                        {item.sections.map((section) => (
+                          <p key={section.sectionName}>
+                            {section.sectionName}:{" "}
+                            <span className="text-muted-foreground">
+                              {formatProjected(section.projectedFinish)}
+                            </span>
+                          </p>
+                        ))}
+                        {item.sectionsWithoutTasks.length > 0 && (
+                          <p className="text-xs text-amber-700">
+                            No tasks yet: {item.sectionsWithoutTasks.join(", ")}
+                          </p>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-sm">
+                        {formatDay(item.dueDate)}
+                        {item.dueDateSource && (
+                          <p className="text-xs text-muted-foreground">
+                            {DUE_DATE_SOURCE_LABELS[item.dueDateSource]}
+                          </p>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-sm font-medium">
+                        {formatProjected(item.projectedFinish)}
+                      </TableCell>
+                      <TableCell>
+                        <RiskBadge item={item} />
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Board */}
+      <div className="space-y-2">
+        <div>
+          <h2 className="text-lg font-semibold text-slate-900">Workers</h2>
+          <p className="text-sm text-muted-foreground">
+            {canMove
+              ? "Drag a task that has not been started onto another worker to move it"
+              : "Tasks in the order each worker is planned to do them"}
+          </p>
+        </div>
+        <div className="flex gap-4 overflow-x-auto pb-2">
+          {schedule.workers.map((worker) => (
+            <ScheduleWorkerLane
+              key={worker.id}
+              worker={worker}
+              tasks={worker.taskIds.map((id) => tasksById[id])}
+              canMove={canMove}
+              draggedTask={draggedTask}
+              onDragTask={setDraggedTask}
+              onDropTask={handleDropTask}
+              onEditCalendar={setCalendarWorker}
+            />
+          ))}
+        </div>
+      </div>
+
+      {/* Estimates */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base">Task estimates</CardTitle>
+          <CardDescription>
+            Average time of completed tasks of each kind, or the default until one is completed
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <div className="border rounded-lg overflow-x-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Task</TableHead>
+                  <TableHead className="text-right">Estimate</TableHead>
+                  <TableHead>Based on</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {schedule.estimates.map((estimate) => (
+                  <TableRow key={estimate.key}>
+                    <TableCell>{estimate.label}</TableCell>
+                    <TableCell className="text-right font-medium">
+                      {formatWorkMinutes(estimate.minutes)}
+                    </TableCell>
+                    <TableCell className="text-sm text-muted-foreground">
+                      {estimate.basis === "LEARNED"
+                        ? `${estimate.samples} completed task${estimate.samples === 1 ? "" : "s"}`
+                        : "Default"}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        </CardContent>
+      </Card>
+
+      {pendingMove && (
+        <MoveTaskDialog
+          move={pendingMove}
+          schedule={schedule}
+          preview={previewMutation.data}
+          isPreviewing={previewMutation.isPending}
+          previewError={previewMutation.error}
+          isMoving={reassignMutation.isPending}
+          onConfirm={confirmMove}
+          onClose={closeMoveDialog}
+        />
+      )}
+
+      {calendarWorker && (
+        <WorkerCalendarDialog worker={calendarWorker} onClose={() => setCalendarWorker(null)} />
+      )}
+    </div>
+  )
+}
+
+// Confirm a drag: how the moved task and the affected order items' dates change
+function MoveTaskDialog({
+  move,
+  schedule,
+  preview,
+  isPreviewing,
+  previewError,
+  isMoving,
+  onConfirm,
+  onClose,
+}) {
+  const { task, worker } = move
+  const movedTask = preview?.tasks.find((t) => t.id === task.id)
+
+  const changedItems = (preview?.orderItems || [])
+    .map((after) => ({
+      after,
+      before: schedule.orderItems.find((item) => item.orderItemId === after.orderItemId),
+    }))
+    .filter(({ before, after }) => before?.projectedFinish !== after.projectedFinish)
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Move {task.displayName}</DialogTitle>
+          <DialogDescription>
+            {task.orderNumber} · {task.sectionName} from {task.workerName} to {worker.name}
+          </DialogDescription>
+        </DialogHeader>
+
+        {isPreviewing ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+          </div>
+        ) : previewError ? (
+          <p className="text-sm text-red-600">{previewError.message}</p>
+        ) : (
+          <div className="space-y-4 text-sm">
+            <div className="rounded-lg bg-slate-50 p-3 space-y-1">
+              <p className="font-medium">Task finishes</p>
+              <p className="flex items-center gap-2">
+                {formatProjected(task.projectedFinish)}
+                <ArrowRight className="h-4 w-4 text-muted-foreground" />
+                <span className="font-medium">{formatProjected(movedTask?.projectedFinish)}</span>
+              </p>
+            </div>
+
+            {changedItems.length === 0 ? (
+              <p className="text-muted-foreground">No order item&apos;s projected finish changes</p>
+            ) : (
+              <div className="space-y-2">
+                <p className="font-medium">Order items</p>
+                {changedItems.map(({ before, after }) => (
+                  <div
+                    key={after.orderItemId}
+                    className="flex items-center justify-between gap-2 rounded-lg border p-2"
+                  >
+                    <div>
+                      <p className="font-medium">{after.orderNumber}</p>
+                      <p className="text-xs text-muted-foreground">
+                        Due {formatDay(after.dueDate)}
+                      </p>
+                    </div>
+                    <div className="text-right">
+                      <p className="flex items-center gap-1 justify-end">
+                        <span className="text-muted-foreground">
+                          {formatProjected(before?.projectedFinish)}
+                        </span>
+                        <ArrowRight className="h-3.5 w-3.5 text-muted-foreground" />
+                        <span className="font-medium">
+                          {formatProjected(after.projectedFinish)}
+                        </span>
+                      </p>
+                      {after.atRisk ? (
+                        <p className="text-xs text-red-600 flex items-center gap-1 justify-end">
+                          <AlertTriangle className="h-3 w-3" />
+                          Misses its date
+                        </p>
+                      ) : (
+                        after.dueDate && (
+                          <p className="text-xs text-green-700 flex items-center gap-1 justify-end">
+                            <CheckCircle className="h-3 w-3" />
+                            On time
+                          </p>
+                        )
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose} disabled={isMoving}>
+            Cancel
+          </Button>
+          <Button
+            onClick={onConfirm}
+            disabled={isPreviewing || isMoving || !!previewError}
+            className="bg-indigo-600 hover:bg-indigo-700"
+          >
+            {isMoving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Move to {worker.name}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
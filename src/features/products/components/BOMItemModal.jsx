@@ -23,6 +23,12 @@ import {
   SelectValue,
 } from "../../../components/ui/select"
 import { Loader2 } from "lucide-react"
+import {
+  areUnitsCompatible,
+  convertQuantity,
+  getCompatibleUnits,
+  getUnitMismatch,
+} from "@/lib/units"
 
 // Allowed inventory categories for BOMs
 const BOM_ALLOWED_CATEGORIES = ["FABRIC", "RAW_MATERIAL", "MULTI_HEAD", "ADA_MATERIAL"]
@@ -100,20 +106,27 @@ export default function BOMItemModal({
     BOM_ALLOWED_CATEGORIES.includes(item.category)
   )
 
-  // Watch selected inventory item to auto-fill unit
+  // Watch selected inventory item to offer the units it converts to
   const selectedInventoryId = watch("inventory_item_id")
+  const selectedUnit = watch("unit")
+  const watchedQuantity = watch("quantity_per_unit")
+  const selectedMaterial = bomInventoryItems.find(
+    (item) => item.id.toString() === selectedInventoryId
+  )
+  const stockUnit = selectedMaterial?.unit || "Piece"
 
-  // Auto-fill unit when material is selected
+  // What the entered quantity comes to in the unit the material is stocked in
+  const stockQuantity =
+    selectedMaterial && selectedUnit !== stockUnit && areUnitsCompatible(selectedUnit, stockUnit)
+      ? convertQuantity(parseFloat(watchedQuantity) || 0, selectedUnit, stockUnit)
+      : null
+
+  // Default to the material's stock unit unless the chosen unit converts to it
   useEffect(() => {
-    if (selectedInventoryId && bomInventoryItems.length > 0) {
-      const selectedItem = bomInventoryItems.find(
-        (item) => item.id.toString() === selectedInventoryId
-      )
-      if (selectedItem) {
-        setValue("unit", selectedItem.unit || "Piece")
-      }
+    if (selectedMaterial && !areUnitsCompatible(selectedUnit, stockUnit)) {
+      setValue("unit", stockUnit)
     }
-  }, [selectedInventoryId, bomInventoryItems, setValue])
+  }, [selectedMaterial, selectedUnit, stockUnit, setValue])
 
   // Populate form when editing
   useEffect(() => {
@@ -144,7 +157,7 @@ export default function BOMItemModal({
       const itemData = {
         inventory_item_id: parseInt(data.inventory_item_id),
         quantity_per_unit: parseFloat(data.quantity_per_unit),
-        unit: data.unit || selectedItem?.unit || "Piece", // Use inventory item's unit
+        unit: data.unit || selectedItem?.unit || "Piece", // Converted to the stock unit on inventory check
         piece: piece, // Use piece from props, not from form
         notes: data.notes || null,
       }
@@ -258,17 +271,46 @@ export default function BOMItemModal({
               )}
             </div>
 
-            {/* Unit - Read-only, auto-filled from material */}
+            {/* Unit - any unit the material's stock unit converts to */}
             <div className="space-y-2">
               <Label htmlFor="unit">Unit</Label>
-              <Input
-                id="unit"
-                placeholder="Auto-filled from material"
-                {...register("unit")}
-                readOnly
-                className="bg-slate-50"
+              <Controller
+                name="unit"
+                control={control}
+                rules={{
+                  validate: (unit) =>
+                    !selectedMaterial ||
+                    areUnitsCompatible(unit, stockUnit) ||
+                    getUnitMismatch(unit, stockUnit),
+                }}
+                render={({ field }) => (
+                  <Select
+                    onValueChange={field.onChange}
+                    value={field.value}
+                    disabled={!selectedMaterial}
+                  >
+                    <SelectTrigger id="unit">
+                      <SelectValue placeholder="Select a material first" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {getCompatibleUnits(stockUnit).map((unit) => (
+                        <SelectItem key={unit} value={unit}>
+                          {unit}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                )}
               />
-              <p className="text-xs text-muted-foreground">Auto-filled from material</p>
+              {errors.unit ? (
+                <p className="text-sm text-red-500">{errors.unit.message}</p>
+              ) : (
+                <p className="text-xs text-muted-foreground">
+                  {stockQuantity !== null
+                    ? `= ${stockQuantity} ${stockUnit} of stock`
+                    : `Stocked in ${selectedMaterial ? stockUnit : "the material's unit"}`}
+                </p>
+              )}
             </div>
           </div>
 
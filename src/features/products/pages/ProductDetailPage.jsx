@@ -1,5 +1,5 @@
 import { useState, useEffect } from "react"
-import { useParams, useNavigate } from "react-router-dom"
+import { Link, useParams, useNavigate } from "react-router-dom"
 import { ArrowLeft, Edit, Trash2 } from "lucide-react"
 import { useProduct, useDeleteProduct, useProductBOMs } from "../../../hooks/useProducts"
 import { getPieceLabel, isMainGarment, isAddOn } from "@/constants/productConstants"
@@ -299,6 +299,32 @@ export default function ProductDetailPage() {
                 </div>
               </div>
 
+              {product.ready_stock_item && (
+                <div>
+                  <h3 className="font-semibold text-gray-900 mb-3">Ready Stock</h3>
+                  <p className="text-sm text-gray-600 mb-2">
+                    Standard-size RTS orders are filled from{" "}
+                    <Link
+                      to={`/inventory/${product.ready_stock_item.id}`}
+                      className="text-primary hover:underline"
+                    >
+                      {product.ready_stock_item.name} ({product.ready_stock_item.sku})
+                    </Link>{" "}
+                    while the ordered size is in stock.
+                  </p>
+                  <div className="flex flex-wrap gap-2">
+                    {product.ready_stock_item.variants.map((variant) => (
+                      <Badge
+                        key={variant.size}
+                        variant={variant.remaining_stock > 0 ? "secondary" : "outline"}
+                      >
+                        {variant.size}: {variant.remaining_stock}
+                      </Badge>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {product.shopify_product_id && (
                 <div>
                   <h3 className="font-semibold text-gray-900 mb-3">Shopify Integration</h3>
@@ -3,6 +3,7 @@ import { useParams, useNavigate } from "react-router-dom"
 import { useForm, Controller, useFieldArray } from "react-hook-form"
 import { ArrowLeft, Plus, Trash2 } from "lucide-react"
 import { useProduct, useCreateProduct, useUpdateProduct } from "../../../hooks/useProducts"
+import { useInventoryItems } from "../../../hooks/useInventory"
 import { MAIN_GARMENTS, ADD_ONS, getPieceLabel } from "../../../constants/productConstants"
 import { Button } from "../../../components/ui/button"
 import { Input } from "../../../components/ui/input"
@@ -68,6 +69,7 @@ export default function ProductFormPage() {
       image_url: "",
       shopify_product_id: "",
       shopify_variant_id: "",
+      ready_stock_item_id: "none",
       is_active: true,
       product_items: [],
       add_ons: [],
@@ -75,6 +77,10 @@ export default function ProductFormPage() {
     },
   })
 
+  // Finished garments an RTS order for this product can be filled from
+  const { data: readyStockData } = useInventoryItems({ category: "READY_STOCK" })
+  const readyStockItems = readyStockData?.data || []
+
   const createProductMutation = useCreateProduct()
   const updateProductMutation = useUpdateProduct()
 
@@ -112,6 +118,7 @@ export default function ProductFormPage() {
         image_url: product.data.primary_image || product.data.image_url || "",
         shopify_product_id: product.data.shopify_product_id || "",
         shopify_variant_id: product.data.shopify_variant_id || "",
+        ready_stock_item_id: product.data.ready_stock_item_id?.toString() || "none",
         is_active: product.data.is_active ?? true,
         product_items: product.data.product_items || [],
         add_ons: product.data.add_ons || [],
@@ -135,6 +142,8 @@ export default function ProductFormPage() {
         image_url: data.image_url || null,
         shopify_product_id: data.shopify_product_id || null,
         shopify_variant_id: data.shopify_variant_id || null,
+        ready_stock_item_id:
+          data.ready_stock_item_id === "none" ? null : parseInt(data.ready_stock_item_id),
         is_active: data.is_active,
         product_items: data.product_items.map((item) => ({
           piece: item.piece,
@@ -482,6 +491,41 @@ export default function ProductFormPage() {
           </CardContent>
         </Card>
 
+        {/* Ready Stock */}
+        <Card>
+          <CardHeader>
+            <CardTitle>Ready Stock</CardTitle>
+            <CardDescription>
+              Standard-size RTS orders are filled from the size variants of this item while they are
+              in stock
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <div className="space-y-2">
+              <Label htmlFor="ready_stock_item_id">Ready Stock Item</Label>
+              <Controller
+                name="ready_stock_item_id"
+                control={control}
+                render={({ field }) => (
+                  <Select value={field.value} onValueChange={field.onChange}>
+                    <SelectTrigger id="ready_stock_item_id">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="none">None - always made to order</SelectItem>
+                      {readyStockItems.map((item) => (
+                        <SelectItem key={item.id} value={item.id.toString()}>
+                          {item.name} ({item.sku})
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                )}
+              />
+            </div>
+          </CardContent>
+        </Card>
+
         {/* Status */}
         <Card>
           <CardHeader>
@@ -28,6 +28,7 @@ import { useAuth } from "@/features/auth/hooks/useAuth"
 import { useRejectSection } from "@/hooks/useQA"
 import { QA_REJECTION_REASONS } from "@/constants/orderConstants"
 import RoundBadge from "./RoundBadge"
+import SectionLots from "@/features/inventory/components/SectionLots"
 
 export default function QARejectionModal({
   open,
@@ -96,6 +97,8 @@ export default function QARejectionModal({
             </div>
           </div>
 
+          <SectionLots orderItemId={orderItemId} sections={[name]} />
+
           {/* Rejection Reason */}
           <div className="space-y-2">
             <Label htmlFor="reason">Rejection Reason *</Label>
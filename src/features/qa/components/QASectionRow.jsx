@@ -11,6 +11,7 @@ import { Button } from "@/components/ui/button"
 import { CheckCircle, XCircle } from "lucide-react"
 import { useAuth } from "@/features/auth/hooks/useAuth"
 import { useApproveSection } from "@/hooks/useQA"
+import { WORKFLOW_LEVEL, canTransition } from "@/lib/workflow"
 import QARejectionModal from "./QARejectionModal"
 import RoundBadge from "./RoundBadge"
 
@@ -23,6 +24,11 @@ export default function QASectionRow({ orderItemId, section, status }) {
   const { name, displayName, qaData } = section
   const currentRound = qaData?.currentRound || 1
 
+  const canApprove =
+    status === "pending" && canTransition(WORKFLOW_LEVEL.SECTION, "QA_APPROVE", section, { user })
+  const canReject =
+    status === "pending" && canTransition(WORKFLOW_LEVEL.SECTION, "QA_REJECT", section, { user })
+
   const handleApprove = () => {
     approveMutation.mutate({
       orderItemId,
@@ -39,24 +45,28 @@ export default function QASectionRow({ orderItemId, section, status }) {
           {currentRound > 1 && <RoundBadge round={currentRound} />}
         </div>
 
-        {status === "pending" ? (
+        {canApprove || canReject ? (
           <div className="flex gap-2">
-            <Button
-              size="sm"
-              className="h-7 px-3 bg-green-600 hover:bg-green-700 text-white text-xs"
-              onClick={handleApprove}
-              disabled={approveMutation.isPending}
-            >
-              {approveMutation.isPending ? "..." : "Approve"}
-            </Button>
-            <Button
-              size="sm"
-              variant="outline"
-              className="h-7 px-3 text-red-600 border-red-200 hover:bg-red-50 text-xs"
-              onClick={() => setShowRejectModal(true)}
-            >
-              Reject
-            </Button>
+            {canApprove && (
+              <Button
+                size="sm"
+                className="h-7 px-3 bg-green-600 hover:bg-green-700 text-white text-xs"
+                onClick={handleApprove}
+                disabled={approveMutation.isPending}
+              >
+                {approveMutation.isPending ? "..." : "Approve"}
+              </Button>
+            )}
+            {canReject && (
+              <Button
+                size="sm"
+                variant="outline"
+                className="h-7 px-3 text-red-600 border-red-200 hover:bg-red-50 text-xs"
+                onClick={() => setShowRejectModal(true)}
+              >
+                Reject
+              </Button>
+            )}
           </div>
         ) : status === "approved" ? (
           <span className="text-green-600 text-xs flex items-center gap-1">
@@ -0,0 +1,60 @@
+/**
+ * RejectionsReport
+ * src/features/reports/components/RejectionsReport.jsx
+ *
+ * Rejection and rework rates for packet check, dyeing and QA, broken down by
+ * PACKET_REJECTION_REASONS, DYEING_REJECTION_REASONS and QA_REJECTION_REASONS.
+ */
+
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Progress } from "@/components/ui/progress"
+import { useRejectionsReport } from "@/hooks/useReports"
+import ReportQueryState from "./ReportQueryState"
+
+export default function RejectionsReport({ range }) {
+  const { data, isLoading, error } = useRejectionsReport(range)
+
+  if (isLoading || error) return <ReportQueryState isLoading={isLoading} error={error} />
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+      {(data?.departments || []).map((department) => (
+        <Card key={department.key}>
+          <CardHeader className="pb-2">
+            <CardTitle className="text-base">{department.label}</CardTitle>
+            <p className="text-xs text-slate-500">
+              {department.reviewed} {department.unit.toLowerCase()} reviewed · {department.rejected}{" "}
+              rejected
+            </p>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="grid grid-cols-2 gap-3 text-center">
+              <div className="rounded-lg bg-red-50 p-2">
+                <div className="text-xl font-bold text-red-700">{department.rejectionRate}%</div>
+                <div className="text-xs text-red-600">Rejection rate</div>
+              </div>
+              <div className="rounded-lg bg-amber-50 p-2">
+                <div className="text-xl font-bold text-amber-700">{department.reworkRate}%</div>
+                <div className="text-xs text-amber-600">Reworked at least once</div>
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              {department.reasons.map((reason) => (
+                <div key={reason.code} className="space-y-1">
+                  <div className="flex justify-between text-xs">
+                    <span className={reason.count ? "text-slate-700" : "text-slate-400"}>
+                      {reason.label}
+                    </span>
+                    <span className="font-medium">{reason.count}</span>
+                  </div>
+                  <Progress value={reason.share} className="h-1.5" />
+                </div>
+              ))}
+            </div>
+          </CardContent>
+        </Card>
+      ))}
+    </div>
+  )
+}
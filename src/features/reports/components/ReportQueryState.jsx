@@ -0,0 +1,31 @@
+/**
+ * ReportQueryState
+ * src/features/reports/components/ReportQueryState.jsx
+ *
+ * Loading / error placeholder shared by the report tabs.
+ * Renders nothing once the query has data, so callers can do:
+ *   if (isLoading || error) return <ReportQueryState isLoading={isLoading} error={error} />
+ */
+
+import { AlertCircle, Loader2 } from "lucide-react"
+
+export default function ReportQueryState({ isLoading, error }) {
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Loader2 className="h-8 w-8 animate-spin text-rose-500" />
+      </div>
+    )
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-12 text-red-500">
+        <AlertCircle className="h-8 w-8 mx-auto mb-2" />
+        <p>Failed to load report. {error.message}</p>
+      </div>
+    )
+  }
+
+  return null
+}
@@ -0,0 +1,174 @@
+/**
+ * RevenueReport
+ * src/features/reports/components/RevenueReport.jsx
+ *
+ * Order value, receipts, refunds and outstanding balance for orders created in the
+ * selected range, by currency and by source. Cancelled orders are excluded.
+ * Foreign-currency rows also show their base-currency value, and only those
+ * base values are added up across currencies.
+ */
+
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table"
+import { useRevenueReport } from "@/hooks/useReports"
+import ReportQueryState from "./ReportQueryState"
+
+const formatCurrency = (amount, currency = "PKR") => {
+  return `${currency} ${Number(amount || 0).toLocaleString()}`
+}
+
+// Amount in the row's currency, with the base-currency value under it for foreign rows
+const AmountCell = ({ row, field, baseCurrency, sign = 1, className = "" }) => (
+  <TableCell className={`text-right ${className}`}>
+    {formatCurrency(sign * row[field], row.currency)}
+    {row.currency !== baseCurrency && (
+      <div className="text-xs text-slate-400">
+        ≈ {formatCurrency(sign * row[`${field}Base`], baseCurrency)}
+      </div>
+    )}
+  </TableCell>
+)
+
+const CurrencyTotalsTable = ({ rows, firstColumn, baseCurrency }) => (
+  <Table>
+    <TableHeader>
+      <TableRow>
+        <TableHead>{firstColumn.label}</TableHead>
+        <TableHead className="text-right">Orders</TableHead>
+        <TableHead className="text-right">Order value</TableHead>
+        <TableHead className="text-right">Received</TableHead>
+        <TableHead className="text-right">Refunded</TableHead>
+        <TableHead className="text-right">Outstanding</TableHead>
+      </TableRow>
+    </TableHeader>
+    <TableBody>
+      {rows.length === 0 ? (
+        <TableRow>
+          <TableCell colSpan={6} className="text-center text-sm text-slate-400 py-8">
+            No orders in range
+          </TableCell>
+        </TableRow>
+      ) : (
+        rows.map((row) => (
+          <TableRow key={row.key}>
+            <TableCell className="font-medium">{firstColumn.render(row)}</TableCell>
+            <TableCell className="text-right">{row.orderCount}</TableCell>
+            <AmountCell row={row} field="totalAmount" baseCurrency={baseCurrency} />
+            <AmountCell
+              row={row}
+              field="totalReceived"
+              baseCurrency={baseCurrency}
+              className="text-green-700"
+            />
+            {row.totalRefunded > 0 ? (
+              <AmountCell
+                row={row}
+                field="totalRefunded"
+                baseCurrency={baseCurrency}
+                sign={-1}
+                className="text-red-700"
+              />
+            ) : (
+              <TableCell className="text-right text-red-700">—</TableCell>
+            )}
+            <AmountCell
+              row={row}
+              field="outstanding"
+              baseCurrency={baseCurrency}
+              className="text-amber-700"
+            />
+          </TableRow>
+        ))
+      )}
+    </TableBody>
+  </Table>
+)
+
+export default function RevenueReport({ range }) {
+  const { data, isLoading, error } = useRevenueReport(range)
+
+  if (isLoading || error) return <ReportQueryState isLoading={isLoading} error={error} />
+
+  const { baseCurrency, baseTotals } = data
+  const currencyRows = (data?.byCurrency || []).map((row) => ({ ...row, key: row.currency }))
+
+  // One row per source and currency, amounts are never summed across currencies
+  const sourceRows = (data?.bySource || []).flatMap((source) =>
+    source.currencies.map((row) => ({
+      ...row,
+      key: `${source.source}-${row.currency}`,
+      sourceLabel: source.label,
+    }))
+  )
+
+  return (
+    <div className="space-y-4">
+      <p className="text-xs text-slate-500">
+        {data.orderCount} order{data.orderCount === 1 ? "" : "s"} in range
+        {data.cancelledCount > 0 && ` · ${data.cancelledCount} cancelled (excluded)`}
+      </p>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {[
+          { label: "Order value", value: baseTotals.totalAmountBase },
+          { label: "Received", value: baseTotals.totalReceivedBase, color: "text-green-700" },
+          { label: "Refunded", value: -baseTotals.totalRefundedBase, color: "text-red-700" },
+          { label: "Outstanding", value: baseTotals.outstandingBase, color: "text-amber-700" },
+        ].map((tile) => (
+          <Card key={tile.label}>
+            <CardContent className="p-4">
+              <p className="text-xs text-slate-500">
+                {tile.label} ({baseCurrency})
+              </p>
+              <p className={`text-lg font-semibold ${tile.color || ""}`}>
+                {formatCurrency(tile.value, baseCurrency)}
+              </p>
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+      {baseTotals.unconvertedCount > 0 && (
+        <p className="text-xs text-amber-700">
+          {baseTotals.unconvertedCount} order(s) left out of the {baseCurrency} totals: no exchange
+          rate for their currency and date.
+        </p>
+      )}
+
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle className="text-base">By Currency</CardTitle>
+        </CardHeader>
+        <CardContent className="p-0">
+          <CurrencyTotalsTable
+            rows={currencyRows}
+            baseCurrency={baseCurrency}
+            firstColumn={{ label: "Currency", render: (row) => row.currency }}
+          />
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="pb-2">
+          <CardTitle className="text-base">By Source</CardTitle>
+        </CardHeader>
+        <CardContent className="p-0">
+          <CurrencyTotalsTable
+            rows={sourceRows}
+            baseCurrency={baseCurrency}
+            firstColumn={{
+              label: "Source",
+              render: (row) => `${row.sourceLabel} (${row.currency})`,
+            }}
+          />
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
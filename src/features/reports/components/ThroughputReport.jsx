@@ -0,0 +1,57 @@
+/**
+ * ThroughputReport
+ * src/features/reports/components/ThroughputReport.jsx
+ *
+ * Units of work finished per department in the selected range.
+ */
+
+import { formatDistanceToNow, parseISO } from "date-fns"
+import { Card, CardContent } from "@/components/ui/card"
+import { Progress } from "@/components/ui/progress"
+import { useThroughputReport } from "@/hooks/useReports"
+import ReportQueryState from "./ReportQueryState"
+
+export default function ThroughputReport({ range }) {
+  const { data, isLoading, error } = useThroughputReport(range)
+
+  if (isLoading || error) return <ReportQueryState isLoading={isLoading} error={error} />
+
+  const departments = data?.departments || []
+  const maxUnits = Math.max(...departments.map((d) => d.units), 1)
+
+  return (
+    <div className="space-y-4">
+      <p className="text-xs text-slate-500">
+        {data.days} day{data.days === 1 ? "" : "s"} in range. Sections count individually for
+        dyeing, production and QA.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {departments.map((department) => (
+          <Card key={department.key}>
+            <CardContent className="p-4 space-y-3">
+              <div className="flex justify-between items-start">
+                <div>
+                  <div className="font-semibold text-sm text-slate-900">{department.label}</div>
+                  <div className="text-xs text-slate-500">
+                    {department.lastActivityAt
+                      ? `Last activity ${formatDistanceToNow(parseISO(department.lastActivityAt), { addSuffix: true })}`
+                      : "No activity in range"}
+                  </div>
+                </div>
+                <div className="text-right">
+                  <div className="text-2xl font-bold text-slate-900">{department.units}</div>
+                  <div className="text-xs text-slate-500">{department.unit}</div>
+                </div>
+              </div>
+              <Progress value={(department.units / maxUnits) * 100} className="h-2" />
+              <div className="text-xs text-slate-500">
+                {department.averagePerDay} {department.unit.toLowerCase()} / day
+              </div>
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+    </div>
+  )
+}
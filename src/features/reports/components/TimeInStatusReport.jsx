@@ -0,0 +1,94 @@
+/**
+ * TimeInStatusReport
+ * src/features/reports/components/TimeInStatusReport.jsx
+ *
+ * Average time order items spent in each ORDER_ITEM_STATUS.
+ * Averages use stays that ended in the selected range; items still in a
+ * status are listed separately with their current age.
+ */
+
+import { Card, CardContent } from "@/components/ui/card"
+import { Badge } from "@/components/ui/badge"
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table"
+import { ORDER_ITEM_STATUS_CONFIG } from "@/constants/orderConstants"
+import { useTimeInStatusReport } from "@/hooks/useReports"
+import ReportQueryState from "./ReportQueryState"
+
+/**
+ * Format a duration in hours as hours or days
+ */
+const formatHours = (hours) => {
+  if (hours === null || hours === undefined) return "—"
+  if (hours < 48) return `${hours} h`
+  return `${Math.round((hours / 24) * 10) / 10} d`
+}
+
+export default function TimeInStatusReport({ range }) {
+  const { data, isLoading, error } = useTimeInStatusReport(range)
+
+  if (isLoading || error) return <ReportQueryState isLoading={isLoading} error={error} />
+
+  // Hide statuses no item has ever been in
+  const statuses = (data?.statuses || []).filter((s) => s.completedCount > 0 || s.currentCount > 0)
+  const slowest = statuses.reduce(
+    (max, s) => (s.averageHours !== null && s.averageHours > (max?.averageHours ?? -1) ? s : max),
+    null
+  )
+
+  return (
+    <Card>
+      <CardContent className="p-0">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Status</TableHead>
+              <TableHead className="text-right">Completed stays</TableHead>
+              <TableHead className="text-right">Average</TableHead>
+              <TableHead className="text-right">Longest</TableHead>
+              <TableHead className="text-right">Items now</TableHead>
+              <TableHead className="text-right">Avg. age now</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {statuses.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={6} className="text-center text-sm text-slate-400 py-8">
+                  No status history yet
+                </TableCell>
+              </TableRow>
+            ) : (
+              statuses.map((s) => (
+                <TableRow key={s.status}>
+                  <TableCell>
+                    <Badge className={ORDER_ITEM_STATUS_CONFIG[s.status]?.color || ""}>
+                      {s.label}
+                    </Badge>
+                    {slowest?.status === s.status && (
+                      <span className="ml-2 text-xs text-red-600 font-medium">Slowest</span>
+                    )}
+                  </TableCell>
+                  <TableCell className="text-right">{s.completedCount}</TableCell>
+                  <TableCell className="text-right font-medium">
+                    {formatHours(s.averageHours)}
+                  </TableCell>
+                  <TableCell className="text-right">{formatHours(s.maxHours)}</TableCell>
+                  <TableCell className="text-right">{s.currentCount}</TableCell>
+                  <TableCell className="text-right">
+                    {formatHours(s.currentAverageAgeHours)}
+                  </TableCell>
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,151 @@
+/**
+ * Reports Page
+ * src/features/reports/pages/ReportsPage.jsx
+ *
+ * Management reports, computed by /api/reports/* from the order timelines.
+ * Tab 1: Throughput — units finished per department
+ * Tab 2: Time in Status — how long items sit in each ORDER_ITEM_STATUS
+ * Tab 3: Rejections — rejection / rework rates by reason
+ * Tab 4: Revenue — order value by currency and source
+ */
+
+import { useState } from "react"
+import { format, subDays } from "date-fns"
+import { Activity, BarChart3, Clock, DollarSign, RotateCcw } from "lucide-react"
+import { Card, CardContent } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
+import ThroughputReport from "../components/ThroughputReport"
+import TimeInStatusReport from "../components/TimeInStatusReport"
+import RejectionsReport from "../components/RejectionsReport"
+import RevenueReport from "../components/RevenueReport"
+
+const DATE_FORMAT = "yyyy-MM-dd"
+
+const RANGE_PRESETS = [
+  { label: "Last 7 days", days: 7 },
+  { label: "Last 30 days", days: 30 },
+  { label: "Last 90 days", days: 90 },
+  { label: "All time", days: null },
+]
+
+const getPresetRange = (days) =>
+  days
+    ? {
+        from: format(subDays(new Date(), days - 1), DATE_FORMAT),
+        to: format(new Date(), DATE_FORMAT),
+      }
+    : { from: "", to: "" }
+
+export default function ReportsPage() {
+  const [activeTab, setActiveTab] = useState("throughput")
+  const [range, setRange] = useState(() => getPresetRange(30))
+
+  const handleRangeChange = (field) => (e) => {
+    setRange((prev) => ({ ...prev, [field]: e.target.value }))
+  }
+
+  const isPresetActive = (days) => {
+    const preset = getPresetRange(days)
+    return preset.from === range.from && preset.to === range.to
+  }
+
+  return (
+    <div className="p-4 md:p-6 max-w-6xl mx-auto">
+      {/* Page Header */}
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-slate-900 flex items-center gap-2">
+          <BarChart3 className="h-6 w-6 text-rose-600" />
+          Reports & Analytics
+        </h1>
+        <p className="text-sm text-slate-500">
+          Throughput, turnaround, rework and revenue computed from order activity
+        </p>
+      </div>
+
+      {/* Date Range */}
+      <Card className="mb-6">
+        <CardContent className="p-4 flex flex-col md:flex-row md:items-end gap-4">
+          <div className="grid grid-cols-2 gap-3">
+            <div className="space-y-1">
+              <Label htmlFor="report-from" className="text-xs">
+                From
+              </Label>
+              <Input
+                id="report-from"
+                type="date"
+                value={range.from}
+                max={range.to || undefined}
+                onChange={handleRangeChange("from")}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="report-to" className="text-xs">
+                To
+              </Label>
+              <Input
+                id="report-to"
+                type="date"
+                value={range.to}
+                min={range.from || undefined}
+                onChange={handleRangeChange("to")}
+              />
+            </div>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {RANGE_PRESETS.map((preset) => (
+              <Button
+                key={preset.label}
+                size="sm"
+                variant={isPresetActive(preset.days) ? "default" : "outline"}
+                onClick={() => setRange(getPresetRange(preset.days))}
+              >
+                {preset.label}
+              </Button>
+            ))}
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Tabs */}
+      <Tabs value={activeTab} onValueChange={setActiveTab}>
+        <TabsList className="grid w-full grid-cols-2 md:grid-cols-4 mb-4 h-auto">
+          <TabsTrigger value="throughput" className="text-xs">
+            <Activity className="h-4 w-4 mr-1" />
+            Throughput
+          </TabsTrigger>
+          <TabsTrigger value="time-in-status" className="text-xs">
+            <Clock className="h-4 w-4 mr-1" />
+            Time in Status
+          </TabsTrigger>
+          <TabsTrigger value="rejections" className="text-xs">
+            <RotateCcw className="h-4 w-4 mr-1" />
+            Rejections
+          </TabsTrigger>
+          <TabsTrigger value="revenue" className="text-xs">
+            <DollarSign className="h-4 w-4 mr-1" />
+            Revenue
+          </TabsTrigger>
+        </TabsList>
+
+        <TabsContent value="throughput">
+          <ThroughputReport range={range} />
+        </TabsContent>
+
+        <TabsContent value="time-in-status">
+          <TimeInStatusReport range={range} />
+        </TabsContent>
+
+        <TabsContent value="rejections">
+          <RejectionsReport range={range} />
+        </TabsContent>
+
+        <TabsContent value="revenue">
+          <RevenueReport range={range} />
+        </TabsContent>
+      </Tabs>
+    </div>
+  )
+}
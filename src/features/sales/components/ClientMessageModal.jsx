@@ -0,0 +1,258 @@
+/**
+ * Client Message Modal
+ * src/features/sales/components/ClientMessageModal.jsx
+ *
+ * Compose a message to the client from a template filled with the order's
+ * video links. Sales picks the channel (email, WhatsApp, or sent by hand from
+ * their own phone) and can edit the text before it goes out.
+ *
+ * Triggered from: Tab 1 "Send to Client for Approval" (mode "request" - also
+ * moves the order to AWAITING_CLIENT_APPROVAL) and Tab 2 "Send Reminder"
+ * (mode "followup").
+ *
+ * Props:
+ *   open    — boolean
+ *   order   — the order object
+ *   mode    — "request" | "followup"
+ *   onClose — callback to close modal
+ */
+
+import { useState } from "react"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select"
+import { toast } from "sonner"
+import { AlertTriangle, Copy, Loader2, Send } from "lucide-react"
+import { CLIENT_MESSAGE_CHANNEL } from "@/constants/orderConstants"
+import { useSendOrderToClient } from "@/hooks/useSalesApproval"
+import {
+  useClientMessageChannels,
+  useClientMessagePreview,
+  useSendClientMessage,
+} from "@/hooks/useClientMessages"
+
+const DEFAULT_TEMPLATE = {
+  request: "APPROVAL_REQUEST",
+  followup: "APPROVAL_REMINDER",
+}
+
+/**
+ * Editable subject and body, seeded from the template preview
+ * Remounted (by key) whenever the channel or template changes.
+ */
+function MessageEditor({ preview, channel, isPending, submitLabel, onSubmit, onCancel }) {
+  const [subject, setSubject] = useState(preview.subject || "")
+  const [body, setBody] = useState(preview.body)
+
+  const isEmail = channel === CLIENT_MESSAGE_CHANNEL.EMAIL
+  const isManual = channel === CLIENT_MESSAGE_CHANNEL.MANUAL
+  const isValid = !!preview.recipient && !!body.trim() && (!isEmail || !!subject.trim())
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(body)
+      toast.success("Message copied - paste it into WhatsApp")
+    } catch {
+      toast.error("Could not copy the message")
+    }
+  }
+
+  return (
+    <>
+      <div className="space-y-4">
+        <div className="bg-gray-50 rounded-lg p-3 text-sm">
+          <span className="text-gray-500">To:</span>{" "}
+          {preview.recipient ? (
+            <span className="font-medium">
+              {preview.recipient.toName} &lt;{preview.recipient.to}&gt;
+            </span>
+          ) : (
+            <span className="text-red-600">
+              The order has no {isEmail ? "email address" : "phone number"}
+            </span>
+          )}
+        </div>
+
+        {isEmail && (
+          <div className="space-y-2">
+            <Label htmlFor="message-subject">Subject *</Label>
+            <Input
+              id="message-subject"
+              value={subject}
+              onChange={(e) => setSubject(e.target.value)}
+            />
+          </div>
+        )}
+
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <Label htmlFor="message-body">Message *</Label>
+            {isManual && (
+              <Button variant="ghost" size="sm" className="h-7" onClick={handleCopy}>
+                <Copy className="h-3.5 w-3.5 mr-1" />
+                Copy
+              </Button>
+            )}
+          </div>
+          <Textarea
+            id="message-body"
+            value={body}
+            onChange={(e) => setBody(e.target.value)}
+            rows={10}
+            className="font-mono text-xs"
+          />
+          {isManual && (
+            <p className="text-xs text-muted-foreground">
+              Send this from your own WhatsApp, then record it here.
+            </p>
+          )}
+        </div>
+      </div>
+
+      <DialogFooter className="gap-2 sm:gap-0">
+        <Button variant="outline" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button onClick={() => onSubmit({ subject, body })} disabled={!isValid || isPending}>
+          {isPending ? (
+            <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+          ) : (
+            <Send className="h-4 w-4 mr-2" />
+          )}
+          {isManual ? "Record as Sent" : submitLabel}
+        </Button>
+      </DialogFooter>
+    </>
+  )
+}
+
+export default function ClientMessageModal({ open, order, mode = "request", onClose }) {
+  const [selectedChannel, setSelectedChannel] = useState(null)
+  const [selectedTemplate, setSelectedTemplate] = useState(null)
+  const templateKey = selectedTemplate || DEFAULT_TEMPLATE[mode]
+
+  const { data: options } = useClientMessageChannels()
+  // Until Sales picks one, use the first channel that can actually send
+  const channel =
+    selectedChannel ||
+    options?.channels.find((c) => c.configured)?.key ||
+    CLIENT_MESSAGE_CHANNEL.MANUAL
+  const { data: preview, isLoading: previewLoading } = useClientMessagePreview({
+    orderId: open ? order?.orderId : null,
+    templateKey,
+    channel,
+  })
+  const sendToClientMutation = useSendOrderToClient()
+  const sendMessageMutation = useSendClientMessage()
+
+  const channelOption = options?.channels.find((c) => c.key === channel)
+  const isPending = sendToClientMutation.isPending || sendMessageMutation.isPending
+
+  const handleClose = () => {
+    onClose()
+    setTimeout(() => {
+      setSelectedChannel(null)
+      setSelectedTemplate(null)
+    }, 200)
+  }
+
+  const handleSubmit = ({ subject, body }) => {
+    const message = { channel, templateKey, subject, body }
+    if (mode === "request") {
+      sendToClientMutation.mutate({ orderId: order.orderId, message }, { onSuccess: handleClose })
+    } else {
+      sendMessageMutation.mutate({ orderId: order.orderId, ...message }, { onSuccess: handleClose })
+    }
+  }
+
+  if (!order) return null
+
+  return (
+    <Dialog open={open} onOpenChange={handleClose}>
+      <DialogContent className="sm:max-w-xl">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Send className="h-5 w-5 text-blue-600" />
+            {mode === "request" ? "Send to Client for Approval" : "Send Reminder"}
+          </DialogTitle>
+          <DialogDescription>
+            {order.orderNumber} • {order.customerName}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="grid grid-cols-2 gap-3">
+          <div className="space-y-2">
+            <Label>Channel</Label>
+            <Select value={channel} onValueChange={setSelectedChannel}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {(options?.channels || []).map((c) => (
+                  <SelectItem key={c.key} value={c.key} disabled={!c.configured}>
+                    {c.label}
+                    {!c.configured && " (not configured)"}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="space-y-2">
+            <Label>Template</Label>
+            <Select value={templateKey} onValueChange={setSelectedTemplate}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {(options?.templates || []).map((t) => (
+                  <SelectItem key={t.key} value={t.key}>
+                    {t.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+
+        {channelOption && !channelOption.configured && (
+          <div className="bg-amber-50 border border-amber-200 rounded-lg p-3 flex gap-2 text-sm text-amber-800">
+            <AlertTriangle className="h-4 w-4 shrink-0 mt-0.5" />
+            {channelOption.notConfiguredReason}. Choose another channel.
+          </div>
+        )}
+
+        {previewLoading || !preview ? (
+          <div className="flex items-center justify-center py-12">
+            <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+          </div>
+        ) : (
+          <MessageEditor
+            key={`${channel}-${templateKey}`}
+            preview={preview}
+            channel={channel}
+            isPending={isPending || (channelOption && !channelOption.configured)}
+            submitLabel={mode === "request" ? "Send & Await Approval" : "Send Reminder"}
+            onSubmit={handleSubmit}
+            onCancel={handleClose}
+          />
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
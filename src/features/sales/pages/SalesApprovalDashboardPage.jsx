@@ -7,7 +7,11 @@
  * Tab 2: Awaiting Response — Orders sent, awaiting client feedback
  * Tab 3: Payment Verification — Client approved, verifying payments
  *
+ * Modals triggered from Tab 1:
+ * - ClientMessageModal (compose the approval request, then send)
+ *
  * Modals triggered from Tab 2:
+ * - ClientMessageModal (reminder)
  * - ClientApprovalModal (screenshot upload)
  * - RejectionOptionsModal → ReVideoRequestModal / AlterationRequestModal /
  *   StartFromScratchModal / CancellationConfirmModal
@@ -33,24 +37,33 @@ import {
   XCircle,
   Eye,
   Scissors,
+  BellRing,
 } from "lucide-react"
-import { format, formatDistanceToNow } from "date-fns"
+import { format, formatDistanceToNow, parseISO } from "date-fns"
 import { useAuth } from "@/features/auth/hooks/useAuth"
 import {
   useApprovalQueue,
   useAwaitingResponse,
   useAwaitingPayment,
   useSalesStats,
-  useSendOrderToClient,
   useMarkClientApproved,
   useApprovePayments,
 } from "@/hooks/useSalesApproval"
+import { WORKFLOW_LEVEL, canTransition } from "@/lib/workflow"
+import { hasPermission } from "@/lib/rbac"
+import {
+  BASE_CURRENCY,
+  CLIENT_MESSAGE_CHANNEL_CONFIG,
+  CLIENT_MESSAGE_STATUS_CONFIG,
+  PAYMENT_ENTRY_TYPE_CONFIG,
+} from "@/constants/orderConstants"
 import ClientApprovalModal from "../components/ClientApprovalModal"
 import RejectionOptionsModal from "../components/RejectionOptionsModal"
 import ReVideoRequestModal from "../components/ReVideoRequestModal"
 import AlterationRequestModal from "../components/AlterationRequestModal"
 import CancellationConfirmModal from "../components/CancellationConfirmModal"
 import StartFromScratchModal from "../components/StartFromScratchModal"
+import ClientMessageModal from "../components/ClientMessageModal"
 
 export default function SalesApprovalDashboardPage() {
   const { user } = useAuth()
@@ -64,6 +77,7 @@ export default function SalesApprovalDashboardPage() {
   const [alterationModal, setAlterationModal] = useState({ open: false, order: null })
   const [cancelModal, setCancelModal] = useState({ open: false, order: null })
   const [scratchModal, setScratchModal] = useState({ open: false, order: null })
+  const [messageModal, setMessageModal] = useState({ open: false, order: null, mode: "request" })
 
   // ── Queries ──────────────────────────────────────────────────────────
   const { data: stats, isLoading: statsLoading } = useSalesStats()
@@ -80,7 +94,6 @@ export default function SalesApprovalDashboardPage() {
   } = useAwaitingPayment()
 
   // ── Mutations ────────────────────────────────────────────────────────
-  const sendToClientMutation = useSendOrderToClient()
   const approvePaymentsMutation = useApprovePayments()
 
   // ── Search filter ────────────────────────────────────────────────────
@@ -98,7 +111,11 @@ export default function SalesApprovalDashboardPage() {
 
   // ── Handlers ─────────────────────────────────────────────────────────
   const handleSendToClient = (order) => {
-    sendToClientMutation.mutate({ orderId: order.orderId, sentBy: user?.id })
+    setMessageModal({ open: true, order, mode: "request" })
+  }
+
+  const handleSendReminder = (order) => {
+    setMessageModal({ open: true, order, mode: "followup" })
   }
 
   const handleClientApproved = (order) => {
@@ -163,7 +180,8 @@ export default function SalesApprovalDashboardPage() {
 
       <CardContent className="p-4">
         <div className="text-sm text-gray-600 mb-3">
-          {order.items?.length || 0} Order Items • Total: PKR {order.totalAmount?.toLocaleString()}
+          {order.items?.length || 0} Order Items • Total: {order.currency}{" "}
+          {order.totalAmount?.toLocaleString()}
         </div>
 
         {/* Order Items with Videos */}
@@ -191,18 +209,12 @@ export default function SalesApprovalDashboardPage() {
           ))}
         </div>
 
-        <Button
-          className="w-full"
-          onClick={() => handleSendToClient(order)}
-          disabled={sendToClientMutation.isPending}
-        >
-          {sendToClientMutation.isPending ? (
-            <Loader2 className="h-4 w-4 animate-spin mr-2" />
-          ) : (
+        {canTransition(WORKFLOW_LEVEL.ORDER, "SEND_TO_CLIENT", order, { user }) && (
+          <Button className="w-full" onClick={() => handleSendToClient(order)}>
             <Send className="h-4 w-4 mr-2" />
-          )}
-          Send to Client for Approval
-        </Button>
+            Send to Client for Approval
+          </Button>
+        )}
       </CardContent>
     </Card>
   )
@@ -213,6 +225,8 @@ export default function SalesApprovalDashboardPage() {
   const renderAwaitingCard = (order) => {
     const sentAt = order.clientApprovalData?.sentToClientAt
     const timeAgo = sentAt ? formatDistanceToNow(new Date(sentAt), { addSuffix: true }) : null
+    const latestMessage = order.latestClientMessage
+    const latestMessageStatus = latestMessage && CLIENT_MESSAGE_STATUS_CONFIG[latestMessage.status]
 
     return (
       <Card key={order.orderId} className="overflow-hidden border-2 border-amber-300 bg-amber-50">
@@ -232,6 +246,36 @@ export default function SalesApprovalDashboardPage() {
             </div>
           )}
 
+          {/* Latest message to the client */}
+          {latestMessage && (
+            <div className="flex items-center justify-between gap-2 bg-white rounded p-2 mb-3 border">
+              <div className="text-xs text-gray-600 min-w-0">
+                <div className="truncate">
+                  {CLIENT_MESSAGE_CHANNEL_CONFIG[latestMessage.channel]?.label} to{" "}
+                  {latestMessage.to}
+                </div>
+                {latestMessage.error && (
+                  <div className="text-red-600 truncate">{latestMessage.error}</div>
+                )}
+              </div>
+              <Badge className={`${latestMessageStatus.color} shrink-0`}>
+                {latestMessageStatus.label}
+              </Badge>
+            </div>
+          )}
+
+          {hasPermission(user, "sales.send_to_client") && (
+            <Button
+              size="sm"
+              variant="outline"
+              className="w-full mb-4"
+              onClick={() => handleSendReminder(order)}
+            >
+              <BellRing className="h-3.5 w-3.5 mr-1" />
+              Send Reminder
+            </Button>
+          )}
+
           {/* Video Links */}
           <div className="bg-white rounded p-3 mb-4 border">
             <div className="text-xs text-gray-500 mb-1">Videos sent to client:</div>
@@ -302,29 +346,47 @@ export default function SalesApprovalDashboardPage() {
               )
             }
 
-            // Normal state — show action buttons
-            // Normal state — show action buttons
+            // Normal state — show the client responses the workflow allows
+            const canMarkApproved = canTransition(
+              WORKFLOW_LEVEL.ORDER,
+              "MARK_CLIENT_APPROVED",
+              order,
+              { user }
+            )
+            const canMarkNotSatisfied = [
+              "REQUEST_REVIDEO",
+              "REQUEST_ALTERATION",
+              "CANCEL_BY_CLIENT",
+              "START_FROM_SCRATCH",
+            ].some((action) => canTransition(WORKFLOW_LEVEL.ORDER, action, order, { user }))
+
+            if (!canMarkApproved && !canMarkNotSatisfied) return null
+
             return (
               <>
                 <div className="text-xs text-gray-500 mb-2">Client Response:</div>
                 <div className="grid grid-cols-2 gap-2">
-                  <Button
-                    size="sm"
-                    className="bg-green-600 hover:bg-green-700 text-white"
-                    onClick={() => handleClientApproved(order)}
-                  >
-                    <CheckCircle className="h-3.5 w-3.5 mr-1" />
-                    Client Approved
-                  </Button>
-                  <Button
-                    size="sm"
-                    variant="outline"
-                    className="border-red-200 text-red-600 hover:bg-red-50"
-                    onClick={() => handleClientNotSatisfied(order)}
-                  >
-                    <XCircle className="h-3.5 w-3.5 mr-1" />
-                    Client Not Satisfied
-                  </Button>
+                  {canMarkApproved && (
+                    <Button
+                      size="sm"
+                      className="bg-green-600 hover:bg-green-700 text-white"
+                      onClick={() => handleClientApproved(order)}
+                    >
+                      <CheckCircle className="h-3.5 w-3.5 mr-1" />
+                      Client Approved
+                    </Button>
+                  )}
+                  {canMarkNotSatisfied && (
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      className="border-red-200 text-red-600 hover:bg-red-50"
+                      onClick={() => handleClientNotSatisfied(order)}
+                    >
+                      <XCircle className="h-3.5 w-3.5 mr-1" />
+                      Client Not Satisfied
+                    </Button>
+                  )}
                 </div>
               </>
             )
@@ -338,9 +400,9 @@ export default function SalesApprovalDashboardPage() {
   // TAB 3: Payment Verification — Verify payments & dispatch
   // ════════════════════════════════════════════════════════════════════════
   const renderPaymentCard = (order) => {
-    const totalPaid = (order.payments || []).reduce((sum, p) => sum + (p.amount || 0), 0)
-    const remaining = (order.totalAmount || 0) - totalPaid
-    const canApprove = remaining <= 0
+    const { totalPaid = 0, remainingAmount: remaining = 0 } = order
+    const isFullyPaid = remaining <= 0
+    const canApprove = canTransition(WORKFLOW_LEVEL.ORDER, "APPROVE_PAYMENTS", order, { user })
 
     return (
       <Card key={order.orderId} className="overflow-hidden border-2 border-purple-300 bg-purple-50">
@@ -358,20 +420,30 @@ export default function SalesApprovalDashboardPage() {
           <div className="bg-white rounded p-3 mb-3 border">
             <div className="flex justify-between text-sm mb-2">
               <span>Order Total:</span>
-              <span className="font-bold">PKR {order.totalAmount?.toLocaleString()}</span>
+              <span className="font-bold">
+                {order.currency} {order.totalAmount?.toLocaleString()}
+              </span>
             </div>
             <div className="flex justify-between text-sm mb-2">
               <span>Total Paid:</span>
-              <span className={`font-bold ${canApprove ? "text-green-600" : "text-amber-600"}`}>
-                PKR {totalPaid.toLocaleString()}
+              <span className={`font-bold ${isFullyPaid ? "text-green-600" : "text-amber-600"}`}>
+                {order.currency} {totalPaid.toLocaleString()}
               </span>
             </div>
             <div className="flex justify-between text-sm">
               <span>Remaining:</span>
-              <span className={`font-bold ${canApprove ? "text-green-600" : "text-red-600"}`}>
-                PKR {remaining.toLocaleString()}
+              <span className={`font-bold ${isFullyPaid ? "text-green-600" : "text-red-600"}`}>
+                {order.currency} {remaining.toLocaleString()}
               </span>
             </div>
+            {order.currency !== BASE_CURRENCY && (
+              <div className="flex justify-between text-xs text-gray-500 mt-2">
+                <span>Received in {BASE_CURRENCY}:</span>
+                <span>
+                  {BASE_CURRENCY} {(order.totalPaidBase || 0).toLocaleString()}
+                </span>
+              </div>
+            )}
           </div>
 
           {/* Payment History */}
@@ -384,12 +456,22 @@ export default function SalesApprovalDashboardPage() {
                     key={payment.id || idx}
                     className="bg-white rounded p-2 border flex justify-between items-center"
                   >
-                    <div>
-                      <div className="text-sm">PKR {payment.amount?.toLocaleString()}</div>
+                    <div className={payment.voidedAt ? "opacity-50" : ""}>
+                      <div className={`text-sm ${payment.voidedAt ? "line-through" : ""}`}>
+                        {payment.receivedCurrency || order.currency}{" "}
+                        {(payment.receivedAmount ?? payment.amount)?.toLocaleString()}
+                        {payment.type && (
+                          <span className="text-xs text-gray-500 ml-2">
+                            {PAYMENT_ENTRY_TYPE_CONFIG[payment.type]?.label}
+                          </span>
+                        )}
+                      </div>
                       <div className="text-xs text-gray-500">
-                        {payment.createdAt
-                          ? format(new Date(payment.createdAt), "MMM d, yyyy")
+                        {payment.receivedAt
+                          ? format(parseISO(payment.receivedAt), "MMM d, yyyy")
                           : "N/A"}
+                        {payment.reference && ` • Ref ${payment.reference}`}
+                        {payment.voidedAt && ` • Void: ${payment.voidReason}`}
                       </div>
                     </div>
                     {payment.receiptUrl && (
@@ -428,6 +510,20 @@ export default function SalesApprovalDashboardPage() {
             </>
           )}
 
+          {/* Approved by the client in the customer portal */}
+          {order.clientApprovalData?.portalResponseId && (
+            <>
+              <div className="text-xs text-gray-500 mb-2">Client Approval Proof:</div>
+              <div className="bg-white rounded p-2 border mb-3 text-xs text-gray-700">
+                Approved in the customer portal on{" "}
+                {new Date(order.clientApprovalData.approvedAt).toLocaleString()}
+                {order.clientApprovalData.clientNotes && (
+                  <p className="italic mt-1">&quot;{order.clientApprovalData.clientNotes}&quot;</p>
+                )}
+              </div>
+            </>
+          )}
+
           <Button
             className="w-full bg-green-600 hover:bg-green-700"
             onClick={() => handleApprovePayments(order)}
@@ -438,9 +534,9 @@ export default function SalesApprovalDashboardPage() {
             ) : (
               <CheckCircle className="h-4 w-4 mr-2" />
             )}
-            {canApprove
+            {isFullyPaid
               ? "Payments Verified — Send to Dispatch"
-              : `Outstanding: PKR ${remaining.toLocaleString()}`}
+              : `Outstanding: ${order.currency} ${remaining.toLocaleString()}`}
           </Button>
         </CardContent>
       </Card>
@@ -604,6 +700,14 @@ export default function SalesApprovalDashboardPage() {
         onClose={() => setCancelModal({ open: false, order: null })}
       />
 
+      {/* Approval request / reminder */}
+      <ClientMessageModal
+        open={messageModal.open}
+        order={messageModal.order}
+        mode={messageModal.mode}
+        onClose={() => setMessageModal({ open: false, order: null, mode: "request" })}
+      />
+
       {/* Start from Scratch */}
       <StartFromScratchModal
         open={scratchModal.open}
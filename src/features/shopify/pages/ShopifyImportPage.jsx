@@ -0,0 +1,240 @@
+/**
+ * Shopify Import Page
+ * src/features/shopify/pages/ShopifyImportPage.jsx
+ *
+ * Turns a Shopify order export (Admin API JSON or the admin CSV export) into
+ * orders. Choosing a file runs a dry-run preview; nothing is created until
+ * "Import" is confirmed. Orders already imported (same Shopify order id) are
+ * shown as duplicates and skipped.
+ */
+
+import { useRef, useState } from "react"
+import { Link } from "react-router-dom"
+import { toast } from "sonner"
+import { AlertCircle, FileUp, Loader2, ShoppingBag, Webhook } from "lucide-react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table"
+import { appConfig } from "@/config/appConfig"
+import { useAuth } from "@/features/auth/hooks/useAuth"
+import { usePreviewShopifyImport, useImportShopifyOrders } from "@/hooks/useShopify"
+
+const RESULT_STATUS_CONFIG = {
+  ready: { label: "Ready", className: "bg-blue-100 text-blue-700" },
+  created: { label: "Created", className: "bg-green-100 text-green-700" },
+  duplicate: { label: "Already imported", className: "bg-slate-100 text-slate-600" },
+  failed: { label: "Cannot import", className: "bg-red-100 text-red-700" },
+}
+
+export default function ShopifyImportPage() {
+  const { user } = useAuth()
+  const fileInputRef = useRef(null)
+  const [file, setFile] = useState(null)
+  const [report, setReport] = useState(null)
+
+  const previewImport = usePreviewShopifyImport()
+  const importOrders = useImportShopifyOrders()
+  const isWorking = previewImport.isPending || importOrders.isPending
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files?.[0]
+    e.target.value = ""
+    if (!selected) return
+
+    const nextFile = { fileName: selected.name, content: await selected.text() }
+    setFile(nextFile)
+    setReport(null)
+
+    previewImport.mutate(nextFile, {
+      onSuccess: setReport,
+      onError: (error) => toast.error(error.message || "Could not read the file"),
+    })
+  }
+
+  const handleImport = () => {
+    importOrders.mutate(
+      { ...file, importedBy: user?.name },
+      {
+        onSuccess: (data) => {
+          setReport(data)
+          toast.success(`Imported ${data.summary.created} Shopify order(s)`)
+        },
+        onError: (error) => toast.error(error.message || "Import failed"),
+      }
+    )
+  }
+
+  const summary = report?.summary
+
+  return (
+    <div className="p-4 md:p-6 max-w-6xl mx-auto space-y-6">
+      {/* Page Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-slate-900 flex items-center gap-2">
+          <ShoppingBag className="h-6 w-6 text-pink-600" />
+          Shopify Orders
+        </h1>
+        <p className="text-sm text-slate-500">
+          Import Shopify orders instead of entering them by hand
+        </p>
+      </div>
+
+      {/* File Import */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base">Import Shopify export</CardTitle>
+          <CardDescription>
+            Orders JSON from the Shopify Admin API or the CSV from Orders → Export. You will see a
+            preview before anything is created.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,.csv,application/json,text/csv"
+            className="hidden"
+            onChange={handleFileChange}
+          />
+          <div className="flex flex-wrap items-center gap-3">
+            <Button
+              variant="outline"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={isWorking}
+            >
+              {previewImport.isPending ? (
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              ) : (
+                <FileUp className="h-4 w-4 mr-2" />
+              )}
+              Choose file
+            </Button>
+            {file && <span className="text-sm text-slate-600">{file.fileName}</span>}
+            {report?.dryRun && (
+              <Button onClick={handleImport} disabled={isWorking || summary.ready === 0}>
+                {importOrders.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Import {summary.ready} order{summary.ready === 1 ? "" : "s"}
+              </Button>
+            )}
+          </div>
+
+          {summary && (
+            <div className="flex flex-wrap gap-2 text-sm">
+              <Badge variant="outline">{summary.total} in file</Badge>
+              {report.dryRun ? (
+                <Badge className={RESULT_STATUS_CONFIG.ready.className}>
+                  {summary.ready} ready
+                </Badge>
+              ) : (
+                <Badge className={RESULT_STATUS_CONFIG.created.className}>
+                  {summary.created} created
+                </Badge>
+              )}
+              <Badge className={RESULT_STATUS_CONFIG.duplicate.className}>
+                {summary.duplicates} already imported
+              </Badge>
+              <Badge className={RESULT_STATUS_CONFIG.failed.className}>
+                {summary.failed} cannot import
+              </Badge>
+            </div>
+          )}
+
+          {report && (
+            <div className="border rounded-lg overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Shopify Order</TableHead>
+                    <TableHead>Customer</TableHead>
+                    <TableHead className="text-center">Items</TableHead>
+                    <TableHead>Status</TableHead>
+                    <TableHead>Details</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {report.results.map((result, index) => {
+                    const statusConfig = RESULT_STATUS_CONFIG[result.status]
+                    return (
+                      <TableRow key={`${result.shopifyOrderId}-${index}`}>
+                        <TableCell className="font-medium">{result.shopifyOrderNumber}</TableCell>
+                        <TableCell>{result.customerName || "—"}</TableCell>
+                        <TableCell className="text-center">{result.itemCount}</TableCell>
+                        <TableCell>
+                          <Badge className={statusConfig.className}>{statusConfig.label}</Badge>
+                        </TableCell>
+                        <TableCell className="text-sm">
+                          {result.errors.length > 0 ? (
+                            <ul className="text-red-600 space-y-0.5">
+                              {result.errors.map((error) => (
+                                <li key={error} className="flex items-start gap-1">
+                                  <AlertCircle className="h-3.5 w-3.5 mt-0.5 shrink-0" />
+                                  {error}
+                                </li>
+                              ))}
+                            </ul>
+                          ) : result.orderId ? (
+                            <Link
+                              to={`/orders/${result.orderId}`}
+                              className="text-blue-600 hover:underline"
+                            >
+                              {result.orderNumber}
+                            </Link>
+                          ) : (
+                            <span className="text-slate-400">—</span>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    )
+                  })}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Webhook */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-base flex items-center gap-2">
+            <Webhook className="h-4 w-4 text-slate-500" />
+            Order webhook
+          </CardTitle>
+          <CardDescription>
+            Point the Shopify <strong>Order creation</strong> webhook (JSON) at this endpoint to
+            create orders as they are placed.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-3 text-sm text-slate-600">
+          <code className="block bg-slate-100 rounded px-3 py-2 text-slate-800">
+            POST {appConfig.apiBaseUrl}/shopify/webhooks/orders-create
+          </code>
+          <ul className="list-disc ml-5 space-y-1">
+            <li>Line items are matched to products by SKU.</li>
+            <li>
+              The variant title (or a <em>Size</em> property) sets the size; anything other than a
+              standard size is imported as custom.
+            </li>
+            <li>
+              Add-ons come from an <em>Add-ons</em> line item property, e.g. <code>pouch</code>;
+              height from a <em>Height</em> property.
+            </li>
+            <li>Orders with an unknown SKU or add-on are rejected so nothing is half-imported.</li>
+            <li>Repeated deliveries of the same Shopify order are ignored.</li>
+            <li>
+              Deliveries without a valid <code>X-Shopify-Hmac-Sha256</code> signature are refused.
+            </li>
+          </ul>
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
@@ -35,7 +35,7 @@ export {
   orderKeys,
   // Payments
   useAddPayment,
-  useDeletePayment,
+  useVoidPayment,
   // Order Items
   useOrderItem,
   useUpdateOrderItem,
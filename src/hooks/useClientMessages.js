@@ -0,0 +1,135 @@
+/**
+ * Client Messages React Query Hooks
+ * src/hooks/useClientMessages.js
+ *
+ * Queries: channels & templates, an order's messages, template preview
+ * Mutations: send a follow-up, retry a failed message
+ * Sending changes what the sales tabs show, so it refreshes them too.
+ */
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query"
+import { toast } from "sonner"
+import { clientMessagesApi } from "@/services/api/clientMessagesApi"
+import { CLIENT_MESSAGE_STATUS } from "@/constants/orderConstants"
+import { salesKeys } from "./useSalesApproval"
+
+// ============================================================================
+// QUERY KEYS
+// ============================================================================
+
+export const clientMessageKeys = {
+  all: ["client-messages"],
+  channels: () => [...clientMessageKeys.all, "channels"],
+  order: (orderId) => [...clientMessageKeys.all, "order", orderId],
+  preview: (params) => [...clientMessageKeys.all, "preview", params],
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Hook to fetch the channels and templates
+ */
+export function useClientMessageChannels() {
+  return useQuery({
+    queryKey: clientMessageKeys.channels(),
+    queryFn: clientMessagesApi.getChannels,
+    staleTime: 5 * 60 * 1000,
+  })
+}
+
+/**
+ * Hook to fetch an order's messages
+ * @param {string} orderId
+ */
+export function useOrderClientMessages(orderId) {
+  return useQuery({
+    queryKey: clientMessageKeys.order(orderId),
+    queryFn: () => clientMessagesApi.getOrderMessages(orderId),
+    enabled: !!orderId,
+    refetchInterval: 30 * 1000, // Delivery receipts arrive on their own
+  })
+}
+
+/**
+ * Hook to fill a template for an order
+ * @param {Object} params - { orderId, templateKey, channel }
+ */
+export function useClientMessagePreview(params) {
+  return useQuery({
+    queryKey: clientMessageKeys.preview(params),
+    queryFn: () => clientMessagesApi.previewMessage(params),
+    enabled: !!params.orderId && !!params.templateKey && !!params.channel,
+  })
+}
+
+// ============================================================================
+// MUTATIONS
+// ============================================================================
+
+/**
+ * Refresh everything that shows a message's status
+ */
+const invalidateMessageQueries = (queryClient, orderId) => {
+  queryClient.invalidateQueries({ queryKey: clientMessageKeys.order(orderId) })
+  queryClient.invalidateQueries({ queryKey: salesKeys.awaitingResponse() })
+  queryClient.invalidateQueries({ queryKey: ["orders"] })
+}
+
+/**
+ * Toast the outcome of a delivery attempt
+ */
+export const toastDeliveryResult = (message, sentText) => {
+  if (message?.status === CLIENT_MESSAGE_STATUS.FAILED) {
+    toast.error("Message could not be sent", {
+      description: `${message.error}. You can retry it from the order's messages.`,
+    })
+  } else {
+    toast.success(sentText)
+  }
+}
+
+/**
+ * Hook to send a follow-up message
+ */
+export function useSendClientMessage() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (data) => clientMessagesApi.sendMessage(data),
+    onSuccess: (message) => {
+      invalidateMessageQueries(queryClient, message.orderId)
+      toastDeliveryResult(message, `Message sent to ${message.to}`)
+    },
+    onError: (error) => {
+      toast.error("Failed to send message", { description: error.message })
+    },
+  })
+}
+
+/**
+ * Hook to deliver a failed message again
+ */
+export function useRetryClientMessage() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (id) => clientMessagesApi.retryMessage(id),
+    onSuccess: (message) => {
+      invalidateMessageQueries(queryClient, message.orderId)
+      toastDeliveryResult(message, `Message sent to ${message.to}`)
+    },
+    onError: (error) => {
+      toast.error("Failed to retry message", { description: error.message })
+    },
+  })
+}
+
+export default {
+  useClientMessageChannels,
+  useOrderClientMessages,
+  useClientMessagePreview,
+  useSendClientMessage,
+  useRetryClientMessage,
+}
@@ -0,0 +1,163 @@
+/**
+ * Customers React Query Hooks
+ * src/hooks/useCustomers.js
+ *
+ * Queries: customer list, customer detail (with orders)
+ * Mutations: create, update, delete, addresses, measurement profiles
+ * Address and profile mutations return the whole updated customer.
+ */
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query"
+import { customersApi } from "@/services/api/customersApi"
+
+// ============================================================================
+// QUERY KEYS
+// ============================================================================
+
+export const customerKeys = {
+  all: ["customers"],
+  lists: () => [...customerKeys.all, "list"],
+  list: (filters) => [...customerKeys.lists(), filters],
+  details: () => [...customerKeys.all, "detail"],
+  detail: (id) => [...customerKeys.details(), id],
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Hook to fetch customers
+ * @param {Object} [filters] - { search }
+ */
+export function useCustomers(filters = {}) {
+  return useQuery({
+    queryKey: customerKeys.list(filters),
+    queryFn: () => customersApi.getCustomers(filters),
+  })
+}
+
+/**
+ * Hook to fetch a customer with their orders
+ * @param {string} id
+ */
+export function useCustomer(id) {
+  return useQuery({
+    queryKey: customerKeys.detail(id),
+    queryFn: () => customersApi.getCustomerById(id),
+    enabled: !!id,
+  })
+}
+
+// ============================================================================
+// MUTATIONS
+// ============================================================================
+
+/**
+ * Hook to create a customer
+ */
+export function useCreateCustomer() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (data) => customersApi.createCustomer(data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: customerKeys.lists() })
+    },
+  })
+}
+
+/**
+ * Hook to update a customer
+ */
+export function useUpdateCustomer() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ id, data }) => customersApi.updateCustomer(id, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: customerKeys.all })
+    },
+  })
+}
+
+/**
+ * Hook to delete a customer
+ */
+export function useDeleteCustomer() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (id) => customersApi.deleteCustomer(id),
+    onSuccess: (_, id) => {
+      queryClient.removeQueries({ queryKey: customerKeys.detail(id) })
+      queryClient.invalidateQueries({ queryKey: customerKeys.lists() })
+    },
+  })
+}
+
+/**
+ * Shared wiring for mutations that return the updated customer
+ */
+function useCustomerMutation(mutationFn) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: customerKeys.all })
+    },
+  })
+}
+
+/**
+ * Hook to add an address
+ */
+export function useAddCustomerAddress() {
+  return useCustomerMutation(({ id, data }) => customersApi.addAddress(id, data))
+}
+
+/**
+ * Hook to update an address
+ */
+export function useUpdateCustomerAddress() {
+  return useCustomerMutation(({ id, addressId, data }) =>
+    customersApi.updateAddress(id, addressId, data)
+  )
+}
+
+/**
+ * Hook to remove an address
+ */
+export function useDeleteCustomerAddress() {
+  return useCustomerMutation(({ id, addressId }) => customersApi.deleteAddress(id, addressId))
+}
+
+/**
+ * Hook to record new measurements
+ */
+export function useAddMeasurementProfile() {
+  return useCustomerMutation(({ id, data }) => customersApi.addMeasurementProfile(id, data))
+}
+
+/**
+ * Hook to remove a measurement profile
+ */
+export function useDeleteMeasurementProfile() {
+  return useCustomerMutation(({ id, profileId }) =>
+    customersApi.deleteMeasurementProfile(id, profileId)
+  )
+}
+
+export default {
+  useCustomers,
+  useCustomer,
+  useCreateCustomer,
+  useUpdateCustomer,
+  useDeleteCustomer,
+  useAddCustomerAddress,
+  useUpdateCustomerAddress,
+  useDeleteCustomerAddress,
+  useAddMeasurementProfile,
+  useDeleteMeasurementProfile,
+}
@@ -0,0 +1,72 @@
+/**
+ * Exchange Rates React Query Hooks
+ * src/hooks/useExchangeRates.js
+ *
+ * Queries: rate table (convert with the helpers in lib/currency.js)
+ * Mutations: add, correct (costing and reports read the table, so they refresh too)
+ */
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query"
+import { exchangeRatesApi } from "@/services/api/exchangeRatesApi"
+import { orderKeys } from "./useOrders"
+import { reportsKeys } from "./useReports"
+
+// ============================================================================
+// QUERY KEYS
+// ============================================================================
+
+export const exchangeRateKeys = {
+  all: ["exchangeRates"],
+  list: () => [...exchangeRateKeys.all, "list"],
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Hook to fetch the whole rate table
+ */
+export function useExchangeRates() {
+  return useQuery({
+    queryKey: exchangeRateKeys.list(),
+    queryFn: () => exchangeRatesApi.getExchangeRates(),
+  })
+}
+
+// ============================================================================
+// MUTATIONS
+// ============================================================================
+
+const useInvalidateRates = () => {
+  const queryClient = useQueryClient()
+  return () => {
+    queryClient.invalidateQueries({ queryKey: exchangeRateKeys.all })
+    queryClient.invalidateQueries({ queryKey: orderKeys.all })
+    queryClient.invalidateQueries({ queryKey: reportsKeys.all })
+  }
+}
+
+/**
+ * Hook to add a rate
+ */
+export function useCreateExchangeRate() {
+  const invalidate = useInvalidateRates()
+
+  return useMutation({
+    mutationFn: (data) => exchangeRatesApi.createExchangeRate(data),
+    onSuccess: invalidate,
+  })
+}
+
+/**
+ * Hook to correct a rate
+ */
+export function useUpdateExchangeRate() {
+  const invalidate = useInvalidateRates()
+
+  return useMutation({
+    mutationFn: ({ id, data }) => exchangeRatesApi.updateExchangeRate(id, data),
+    onSuccess: invalidate,
+  })
+}
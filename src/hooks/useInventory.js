@@ -1,5 +1,8 @@
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query"
 import { inventoryApi } from "@/services/api/inventoryApi"
+import { orderKeys, orderItemKeys } from "./useOrders"
+import { procurementKeys } from "./useProcurement"
+import { packetKeys } from "./usePacket"
 
 /**
  * Inventory React Query Hooks
@@ -46,7 +49,11 @@ export const inventoryKeys = {
   details: () => [...inventoryKeys.all, "detail"],
   detail: (id) => [...inventoryKeys.details(), id],
   lowStock: () => [...inventoryKeys.all, "lowStock"],
+  valuation: () => [...inventoryKeys.all, "valuation"],
   movements: (id) => [...inventoryKeys.all, "movements", id],
+  reservations: (id) => [...inventoryKeys.all, "reservations", id],
+  lotTrace: (id, lotNumber) => [...inventoryKeys.all, "lotTrace", id, lotNumber],
+  ledger: (filters) => [...inventoryKeys.all, "ledger", filters],
 }
 
 /**
@@ -188,6 +195,29 @@ export function useLowStockItems(options = {}) {
   })
 }
 
+/**
+ * useInventoryValuation
+ *
+ * Fetches the total value of stock on hand, split by category. Any stock
+ * transaction or price edit changes it, so the stock mutations below
+ * invalidate it alongside the low stock query.
+ *
+ * @param {Object} options - Additional React Query options
+ * @returns {Object} Query result with { totalValue, currency, categories }
+ *
+ * Example usage:
+ *   const { data: valuation } = useInventoryValuation()
+ *   return <p>Stock value: PKR {valuation?.data.totalValue.toLocaleString()}</p>
+ */
+export function useInventoryValuation(options = {}) {
+  return useQuery({
+    queryKey: inventoryKeys.valuation(),
+    queryFn: () => inventoryApi.getInventoryValuation(),
+    staleTime: 30 * 1000,
+    ...options,
+  })
+}
+
 /**
  * useStockMovements
  *
@@ -238,6 +268,51 @@ export function useStockMovements(itemId, options = {}) {
   })
 }
 
+/**
+ * useItemReservations
+ *
+ * Fetches the active reservations holding stock of an inventory item, i.e. which
+ * order item sections have passed their inventory check but not been picked yet.
+ * Used on the item detail page next to the movement history. The inventory check,
+ * packet pick and dyeing rejection mutations invalidate the whole inventory key,
+ * so this refreshes whenever a reservation is made, consumed or released.
+ *
+ * @param {number} itemId - ID of the inventory item
+ * @param {Object} options - Additional React Query options
+ * @returns {Object} Query result with reservations array
+ */
+export function useItemReservations(itemId, options = {}) {
+  return useQuery({
+    queryKey: inventoryKeys.reservations(itemId),
+    queryFn: () => inventoryApi.getItemReservations(itemId),
+    staleTime: 30 * 1000,
+    enabled: !!itemId,
+    ...options,
+  })
+}
+
+/**
+ * useLotTrace
+ *
+ * Fetches where a dye lot / batch of an item went: its receipts and stock-outs,
+ * and the order item sections cut from it with any dyeing or QA rejections.
+ * Picks and rejections invalidate the whole inventory key, so it stays current.
+ *
+ * @param {number} itemId - ID of the inventory item
+ * @param {string} lotNumber - Lot number to trace
+ * @param {Object} options - Additional React Query options
+ * @returns {Object} Query result with item, lot, movements and consumption
+ */
+export function useLotTrace(itemId, lotNumber, options = {}) {
+  return useQuery({
+    queryKey: inventoryKeys.lotTrace(itemId, lotNumber),
+    queryFn: () => inventoryApi.getLotTrace(itemId, lotNumber),
+    staleTime: 30 * 1000,
+    enabled: !!itemId && !!lotNumber,
+    ...options,
+  })
+}
+
 /**
  * useCreateInventoryItem
  *
@@ -292,6 +367,7 @@ export function useCreateInventoryItem() {
       // This keeps all components displaying inventory lists automatically up to date
       queryClient.invalidateQueries({ queryKey: inventoryKeys.lists() })
       queryClient.invalidateQueries({ queryKey: inventoryKeys.lowStock() })
+      queryClient.invalidateQueries({ queryKey: inventoryKeys.valuation() })
     },
   })
 }
@@ -343,6 +419,7 @@ export function useUpdateInventoryItem() {
 
       // Invalidate low stock if the update might have changed stock levels
       queryClient.invalidateQueries({ queryKey: inventoryKeys.lowStock() })
+      queryClient.invalidateQueries({ queryKey: inventoryKeys.valuation() })
     },
   })
 }
@@ -356,6 +433,8 @@ export function useUpdateInventoryItem() {
  * 2. A new movement record is created (affects movements query)
  * 3. The item might move from low stock to adequate stock (affects low stock query)
  * 4. The item appears updated in any lists (affects list queries)
+ * 5. Received stock can fill procurement demands and move waiting order items
+ *    on to packet creation (affects procurement, order and packet queries)
  *
  * We invalidate all of these to ensure complete consistency across the application.
  * This might seem like overkill, but React Query is smart about only refetching
@@ -405,6 +484,7 @@ export function useRecordStockIn() {
 
       // Invalidate low stock query since this item might no longer be low stock
       queryClient.invalidateQueries({ queryKey: inventoryKeys.lowStock() })
+      queryClient.invalidateQueries({ queryKey: inventoryKeys.valuation() })
 
       // IMPORTANT: Force immediate refetch of the detail query
       // This ensures the UI updates immediately without waiting for React Query's timing
@@ -418,6 +498,14 @@ export function useRecordStockIn() {
         queryKey: inventoryKeys.movements(variables.itemId),
         exact: true,
       })
+
+      // Stock went to procurement demands: their order items may have moved on
+      if (data?.data?.procurement?.allocations?.length > 0) {
+        queryClient.invalidateQueries({ queryKey: procurementKeys.all })
+        queryClient.invalidateQueries({ queryKey: orderKeys.all })
+        queryClient.invalidateQueries({ queryKey: orderItemKeys.all })
+        queryClient.invalidateQueries({ queryKey: packetKeys.all })
+      }
     },
   })
 }
@@ -473,6 +561,7 @@ export function useRecordStockOut() {
 
       // Invalidate low stock query since this item might now be low stock
       queryClient.invalidateQueries({ queryKey: inventoryKeys.lowStock() })
+      queryClient.invalidateQueries({ queryKey: inventoryKeys.valuation() })
 
       // Force immediate refetch
       queryClient.refetchQueries({
@@ -488,6 +577,38 @@ export function useRecordStockOut() {
   })
 }
 
+/**
+ * useTransferStock
+ *
+ * Moves stock between locations. The item total does not change, but its
+ * per-location balances do, so the detail, history and lists are refreshed.
+ *
+ * @returns {Object} Mutation object with mutate function and state
+ *
+ * Example usage:
+ *   const transferStock = useTransferStock()
+ *
+ *   transferStock.mutate({
+ *     itemId: item.id,
+ *     transferData: { from_location: "MAIN_STORE", to_location: "DYEING_UNIT", quantity: 12 },
+ *   })
+ */
+export function useTransferStock() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ itemId, transferData }) => inventoryApi.transferStock(itemId, transferData),
+
+    onSuccess: (data, variables) => {
+      queryClient.invalidateQueries({ queryKey: inventoryKeys.detail(variables.itemId) })
+      queryClient.invalidateQueries({ queryKey: inventoryKeys.movements(variables.itemId) })
+      queryClient.invalidateQueries({ queryKey: inventoryKeys.lists() })
+      queryClient.invalidateQueries({ queryKey: inventoryKeys.lowStock() })
+      queryClient.invalidateQueries({ queryKey: inventoryKeys.valuation() })
+    },
+  })
+}
+
 /**
  * useDeleteInventoryItem
  *
@@ -527,3 +648,57 @@ export function useDeleteInventoryItem() {
     },
   })
 }
+
+/**
+ * useFetchMovementLedger
+ *
+ * Returns a function that loads the movement ledger for a date range. The
+ * ledger is only needed when the user exports it, so instead of a query that
+ * runs on render this fetches on demand through the query cache (an export
+ * repeated with the same filters is served from cache while it is fresh).
+ *
+ * Example usage:
+ *   const fetchLedger = useFetchMovementLedger()
+ *   const movements = await fetchLedger({ from: "2024-03-01", to: "2024-03-31" })
+ */
+export function useFetchMovementLedger() {
+  const queryClient = useQueryClient()
+
+  return (filters = {}) =>
+    queryClient.fetchQuery({
+      queryKey: inventoryKeys.ledger(filters),
+      queryFn: async () => (await inventoryApi.getMovementLedger(filters)).data,
+      staleTime: 30 * 1000,
+    })
+}
+
+/**
+ * usePreviewInventoryImport
+ *
+ * Dry run of an item sheet import: validates the rows and reports what each
+ * SKU would get, without saving anything.
+ */
+export function usePreviewInventoryImport() {
+  return useMutation({
+    mutationFn: (params) => inventoryApi.importInventoryItems({ ...params, dryRun: true }),
+  })
+}
+
+/**
+ * useImportInventoryItems
+ *
+ * Imports an item sheet for real. New items appear in the lists and updated
+ * reorder levels can change the low stock alerts, so everything inventory is
+ * refreshed.
+ */
+export function useImportInventoryItems() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (params) => inventoryApi.importInventoryItems({ ...params, dryRun: false }),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: inventoryKeys.all })
+    },
+  })
+}
@@ -0,0 +1,21 @@
+import { useMutation, useQueryClient } from "@tanstack/react-query"
+import { toast } from "sonner"
+
+import { resetMockDatabase } from "../services/api/mockDatabaseApi"
+
+// Reset the mock backend to seed data and drop every cached query
+export const useResetMockDatabase = () => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: resetMockDatabase,
+    onSuccess: () => {
+      queryClient.invalidateQueries()
+      queryClient.refetchQueries({ type: "active" })
+      toast.success("Demo data reset to seed data")
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to reset demo data")
+    },
+  })
+}
@@ -0,0 +1,124 @@
+/**
+ * Notifications React Query Hooks
+ * src/hooks/useNotifications.js
+ *
+ * Queries: inbox (polled so the topbar bell stays live), preferences
+ * Mutations: mark read, mark all read, save preferences
+ * The cache is cleared on logout, so keys do not carry the user.
+ */
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query"
+import { notificationsApi } from "@/services/api/notificationsApi"
+import { useToast } from "@/hooks/use-toast"
+
+// ============================================================================
+// QUERY KEYS
+// ============================================================================
+
+export const notificationKeys = {
+  all: ["notifications"],
+  lists: () => [...notificationKeys.all, "list"],
+  list: (filters) => [...notificationKeys.lists(), filters],
+  preferences: () => [...notificationKeys.all, "preferences"],
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Hook to fetch the signed-in user's inbox with its unread count
+ * @param {Object} [filters] - { status: "unread", limit }
+ */
+export function useNotifications(filters = {}) {
+  return useQuery({
+    queryKey: notificationKeys.list(filters),
+    queryFn: () => notificationsApi.getNotifications(filters),
+    staleTime: 10 * 1000,
+    refetchInterval: 20 * 1000, // New events show up without a reload
+  })
+}
+
+/**
+ * Hook to fetch which events the user can receive and which they muted
+ */
+export function useNotificationPreferences() {
+  return useQuery({
+    queryKey: notificationKeys.preferences(),
+    queryFn: notificationsApi.getNotificationPreferences,
+  })
+}
+
+// ============================================================================
+// MUTATIONS
+// ============================================================================
+
+/**
+ * Hook to mark one notification read
+ */
+export function useMarkNotificationRead() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (id) => notificationsApi.markNotificationRead(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: notificationKeys.lists() })
+    },
+  })
+}
+
+/**
+ * Hook to mark the whole inbox read
+ */
+export function useMarkAllNotificationsRead() {
+  const queryClient = useQueryClient()
+  const { toast } = useToast()
+
+  return useMutation({
+    mutationFn: notificationsApi.markAllNotificationsRead,
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: notificationKeys.lists() })
+    },
+    onError: (error) => {
+      toast({
+        title: "Failed to Mark as Read",
+        description: error.message || "An error occurred",
+        variant: "destructive",
+      })
+    },
+  })
+}
+
+/**
+ * Hook to save the events the user does not want to receive
+ */
+export function useUpdateNotificationPreferences() {
+  const queryClient = useQueryClient()
+  const { toast } = useToast()
+
+  return useMutation({
+    mutationFn: (mutedEvents) => notificationsApi.updateNotificationPreferences(mutedEvents),
+    onSuccess: (preferences) => {
+      queryClient.setQueryData(notificationKeys.preferences(), preferences)
+      toast({
+        title: "Preferences Saved",
+        description: "Your notification preferences were updated",
+      })
+    },
+    onError: (error) => {
+      toast({
+        title: "Failed to Save Preferences",
+        description: error.message || "An error occurred",
+        variant: "destructive",
+      })
+    },
+  })
+}
+
+export default {
+  useNotifications,
+  useNotificationPreferences,
+  useMarkNotificationRead,
+  useMarkAllNotificationsRead,
+  useUpdateNotificationPreferences,
+}
@@ -0,0 +1,70 @@
+/**
+ * Order Documents React Query Hooks
+ * src/hooks/useOrderDocuments.js
+ *
+ * Queries: an order's documents (every version)
+ * Mutations: generate / regenerate (written to the order timeline, so the order refreshes too)
+ */
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query"
+import { toast } from "sonner"
+import { orderDocumentsApi } from "@/services/api/orderDocumentsApi"
+import { ORDER_DOCUMENT_TYPE_CONFIG } from "@/constants/orderConstants"
+import { orderKeys } from "./useOrders"
+
+// ============================================================================
+// QUERY KEYS
+// ============================================================================
+
+export const orderDocumentKeys = {
+  all: ["orderDocuments"],
+  order: (orderId) => [...orderDocumentKeys.all, "order", orderId],
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Hook to fetch an order's documents
+ * @param {string} orderId
+ */
+export function useOrderDocuments(orderId) {
+  return useQuery({
+    queryKey: orderDocumentKeys.order(orderId),
+    queryFn: () => orderDocumentsApi.getOrderDocuments(orderId),
+    enabled: !!orderId,
+  })
+}
+
+// ============================================================================
+// MUTATIONS
+// ============================================================================
+
+/**
+ * Hook to generate a document
+ */
+export function useGenerateOrderDocument() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ orderId, type, paymentId }) =>
+      orderDocumentsApi.generateOrderDocument(orderId, { type, paymentId }),
+    onSuccess: (document) => {
+      queryClient.invalidateQueries({ queryKey: orderDocumentKeys.order(document.orderId) })
+      queryClient.invalidateQueries({ queryKey: orderKeys.detail(document.orderId) })
+      toast.success(
+        `${ORDER_DOCUMENT_TYPE_CONFIG[document.type].label} ${document.number}` +
+          (document.version > 1 ? ` version ${document.version} generated` : " generated")
+      )
+    },
+    onError: (error) => {
+      toast.error("Failed to generate document", { description: error.message })
+    },
+  })
+}
+
+export default {
+  useOrderDocuments,
+  useGenerateOrderDocument,
+}
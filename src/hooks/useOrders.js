@@ -7,11 +7,12 @@ import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query"
 import {
   getOrders,
   getOrderById,
+  getOrderCosting,
   createOrder,
   updateOrder,
   deleteOrder,
   addPayment,
-  deletePayment,
+  voidPayment,
   getOrderItemById,
   updateOrderItem,
   addOrderItem,
@@ -22,6 +23,8 @@ import {
   updateOrderItemStatus,
 } from "@/services/api/ordersApi"
 import { fabricationKeys } from "./useFabrication"
+import { customerKeys } from "./useCustomers"
+import { salesKeys } from "./useSalesApproval"
 
 // Query keys
 export const orderKeys = {
@@ -30,6 +33,7 @@ export const orderKeys = {
   list: (filters) => [...orderKeys.lists(), filters],
   details: () => [...orderKeys.all, "detail"],
   detail: (id) => [...orderKeys.details(), id],
+  costing: (id) => [...orderKeys.all, "costing", id],
 }
 
 export const orderItemKeys = {
@@ -62,6 +66,18 @@ export const useOrder = (orderId) => {
   })
 }
 
+/**
+ * Hook to fetch material cost and margin for an order
+ */
+export const useOrderCosting = (orderId, options = {}) => {
+  return useQuery({
+    queryKey: orderKeys.costing(orderId),
+    queryFn: () => getOrderCosting(orderId),
+    enabled: !!orderId,
+    ...options,
+  })
+}
+
 /**
  * Hook to create new order
  */
@@ -72,6 +88,8 @@ export const useCreateOrder = () => {
     mutationFn: createOrder,
     onSuccess: () => {
       queryClient.invalidateQueries({ queryKey: orderKeys.lists() })
+      // New orders may add a customer or change their lifetime value
+      queryClient.invalidateQueries({ queryKey: customerKeys.all })
     },
   })
 }
@@ -108,7 +126,7 @@ export const useDeleteOrder = () => {
 // ==================== PAYMENTS ====================
 
 /**
- * Hook to add payment to order
+ * Hook to add a payment, refund or chargeback to an order
  */
 export const useAddPayment = () => {
   const queryClient = useQueryClient()
@@ -118,21 +136,25 @@ export const useAddPayment = () => {
     onSuccess: (data, variables) => {
       queryClient.invalidateQueries({ queryKey: orderKeys.detail(variables.orderId) })
       queryClient.invalidateQueries({ queryKey: orderKeys.lists() })
+      queryClient.invalidateQueries({ queryKey: salesKeys.all })
+      queryClient.invalidateQueries({ queryKey: customerKeys.all })
     },
   })
 }
 
 /**
- * Hook to delete payment from order
+ * Hook to void a payment ledger entry
  */
-export const useDeletePayment = () => {
+export const useVoidPayment = () => {
   const queryClient = useQueryClient()
 
   return useMutation({
-    mutationFn: ({ orderId, paymentId }) => deletePayment(orderId, paymentId),
+    mutationFn: ({ orderId, paymentId, reason }) => voidPayment(orderId, paymentId, reason),
     onSuccess: (data, variables) => {
       queryClient.invalidateQueries({ queryKey: orderKeys.detail(variables.orderId) })
       queryClient.invalidateQueries({ queryKey: orderKeys.lists() })
+      queryClient.invalidateQueries({ queryKey: salesKeys.all })
+      queryClient.invalidateQueries({ queryKey: customerKeys.all })
     },
   })
 }
@@ -225,6 +247,9 @@ export const useGenerateOrderForm = () => {
       const itemId = variables.itemId
       const orderId = data?.data?.orderId || data?.orderId
 
+      // Custom measurements are saved to the customer's profiles
+      queryClient.invalidateQueries({ queryKey: customerKeys.details() })
+
       // Invalidate and force refetch order item
       queryClient.invalidateQueries({ queryKey: orderItemKeys.detail(itemId) })
       queryClient.refetchQueries({ queryKey: orderItemKeys.detail(itemId), type: 'active' })
@@ -273,7 +298,7 @@ export const useApproveOrderForm = () => {
       // CRITICAL: Invalidate and force refetch ALL fabrication queries
       // This ensures the Fabrication Queue updates immediately when a custom item is approved
       queryClient.invalidateQueries({ queryKey: fabricationKeys.all })
-      queryClient.refetchQueries({ queryKey: fabricationKeys.all, type: 'all' })
+      queryClient.refetchQueries({ queryKey: fabricationKeys.all, type: "all" })
     },
   })
 }
@@ -8,6 +8,7 @@
 
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query"
 import { toast } from "sonner"
+import { httpClient } from "@/services/http/httpClient"
 
 // ============================================================================
 // QUERY KEYS
@@ -20,6 +21,7 @@ export const packetKeys = {
   myTasks: (userId, dateFilters = {}) => [...packetKeys.all, "my-tasks", userId, dateFilters],
   checkQueue: () => [...packetKeys.all, "check-queue"],
   detail: (orderItemId) => [...packetKeys.all, "detail", orderItemId],
+  lots: (orderItemId) => [...packetKeys.all, "lots", orderItemId],
 }
 
 // ============================================================================
@@ -35,9 +37,7 @@ const packetApi = {
     if (filters.status) params.append("status", filters.status)
     if (filters.assignedTo) params.append("assignedTo", filters.assignedTo)
 
-    const response = await fetch(`/api/packets?${params}`)
-    if (!response.ok) throw new Error("Failed to fetch packets")
-    return response.json()
+    return httpClient.get(`/packets?${params}`)
   },
 
   /**
@@ -62,114 +62,93 @@ const packetApi = {
     if (dateFilters.dateTo) params.append("dateTo", dateFilters.dateTo)
     if (dateFilters.filterType) params.append("filterType", dateFilters.filterType)
 
-    const response = await fetch(`/api/packets/my-tasks?${params}`)
-    if (!response.ok) throw new Error("Failed to fetch my packet tasks")
-    return response.json()
+    return httpClient.get(`/packets/my-tasks?${params}`)
   },
 
   /**
    * Get packets awaiting verification (production head)
    */
   getCheckQueue: async () => {
-    const response = await fetch("/api/packets/check-queue")
-    if (!response.ok) throw new Error("Failed to fetch packet check queue")
-    return response.json()
+    return httpClient.get("/packets/check-queue")
   },
 
   /**
    * Get packet for a specific order item
    */
   getPacket: async (orderItemId) => {
-    const response = await fetch(`/api/order-items/${orderItemId}/packet`)
-    if (!response.ok) {
-      if (response.status === 404) return null
-      throw new Error("Failed to fetch packet")
+    try {
+      return await httpClient.get(`/order-items/${orderItemId}/packet`)
+    } catch (error) {
+      if (error.status === 404) return null
+      throw error
     }
-    return response.json()
+  },
+
+  /**
+   * Get the lots each section's picked material came from
+   */
+  getOrderItemLots: async (orderItemId) => {
+    return httpClient.get(`/order-items/${orderItemId}/lots`)
   },
 
   /**
    * Assign packet to fabrication team member
    */
   assignPacket: async ({ orderItemId, assignToUserId, assignedByUserId }) => {
-    const response = await fetch(`/api/order-items/${orderItemId}/packet/assign`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ assignToUserId, assignedByUserId }),
+    return httpClient.post(`/order-items/${orderItemId}/packet/assign`, {
+      assignToUserId,
+      assignedByUserId,
     })
-    const data = await response.json()
-    if (!response.ok) throw new Error(data.message || "Failed to assign packet")
-    return data
   },
 
   /**
    * Start picking materials for packet
    */
   startPacket: async ({ orderItemId, userId }) => {
-    const response = await fetch(`/api/order-items/${orderItemId}/packet/start`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ userId }),
-    })
-    const data = await response.json()
-    if (!response.ok) throw new Error(data.message || "Failed to start packet")
-    return data
+    return httpClient.post(`/order-items/${orderItemId}/packet/start`, { userId })
   },
 
   /**
    * Mark a pick list item as picked
    */
-  pickItem: async ({ orderItemId, pickItemId, pickedQty, userId, notes }) => {
-    const response = await fetch(`/api/order-items/${orderItemId}/packet/pick-item`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ pickItemId, pickedQty, userId, notes }),
+  pickItem: async ({ orderItemId, pickItemId, pickedQty, userId, notes, lotNumber }) => {
+    return httpClient.post(`/order-items/${orderItemId}/packet/pick-item`, {
+      pickItemId,
+      pickedQty,
+      userId,
+      notes,
+      lotNumber,
     })
-    const data = await response.json()
-    if (!response.ok) throw new Error(data.message || "Failed to pick item")
-    return data
   },
 
   /**
    * Mark packet as complete
    */
   completePacket: async ({ orderItemId, userId, notes }) => {
-    const response = await fetch(`/api/order-items/${orderItemId}/packet/complete`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ userId, notes }),
-    })
-    const data = await response.json()
-    if (!response.ok) throw new Error(data.message || "Failed to complete packet")
-    return data
+    return httpClient.post(`/order-items/${orderItemId}/packet/complete`, { userId, notes })
   },
 
   /**
    * Approve packet (production head)
    */
   approvePacket: async ({ orderItemId, userId, isReadyStock, notes }) => {
-    const response = await fetch(`/api/order-items/${orderItemId}/packet/approve`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ userId, isReadyStock, notes }),
+    return httpClient.post(`/order-items/${orderItemId}/packet/approve`, {
+      userId,
+      isReadyStock,
+      notes,
     })
-    const data = await response.json()
-    if (!response.ok) throw new Error(data.message || "Failed to approve packet")
-    return data
   },
 
   /**
    * Reject packet (production head)
    */
   rejectPacket: async ({ orderItemId, userId, reasonCode, reason, notes }) => {
-    const response = await fetch(`/api/order-items/${orderItemId}/packet/reject`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ userId, reasonCode, reason, notes }),
+    return httpClient.post(`/order-items/${orderItemId}/packet/reject`, {
+      userId,
+      reasonCode,
+      reason,
+      notes,
     })
-    const data = await response.json()
-    if (!response.ok) throw new Error(data.message || "Failed to reject packet")
-    return data
   },
 }
 
@@ -225,6 +204,19 @@ export function usePacket(orderItemId) {
   })
 }
 
+/**
+ * useOrderItemLots - Lots the picked material of each section came from
+ * Shown when dyeing or QA reject a section, to spot a bad dye lot
+ */
+export function useOrderItemLots(orderItemId, options = {}) {
+  return useQuery({
+    queryKey: packetKeys.lots(orderItemId),
+    queryFn: async () => (await packetApi.getOrderItemLots(orderItemId)).data,
+    enabled: !!orderItemId,
+    ...options,
+  })
+}
+
 // ============================================================================
 // MUTATION HOOKS (with forced refetch)
 // ============================================================================
@@ -312,6 +304,10 @@ export function usePickItem() {
         exact: true,
       })
 
+      // Picking consumes the item's reservation and takes the stock out of its lots
+      queryClient.invalidateQueries({ queryKey: packetKeys.lots(variables.orderItemId) })
+      queryClient.invalidateQueries({ queryKey: ["inventory"] })
+
       toast.success(data.message || "Item picked")
     },
 
@@ -0,0 +1,122 @@
+/**
+ * Customer Portal React Query Hooks
+ * src/hooks/usePortal.js
+ *
+ * Queries: an order's portal links and responses (staff), the portal itself (customer)
+ * Mutations: create / revoke a link, the customer's response
+ */
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query"
+import { toast } from "sonner"
+import { portalApi } from "@/services/api/portalApi"
+import { orderKeys } from "./useOrders"
+
+// ============================================================================
+// QUERY KEYS
+// ============================================================================
+
+export const portalKeys = {
+  all: ["portal"],
+  order: (orderId) => [...portalKeys.all, "order", orderId],
+  view: (token) => [...portalKeys.all, "view", token],
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Hook to fetch an order's portal links and the customer's responses
+ * @param {string} orderId
+ */
+export function useOrderPortalLinks(orderId) {
+  return useQuery({
+    queryKey: portalKeys.order(orderId),
+    queryFn: () => portalApi.getOrderPortalLinks(orderId),
+    enabled: !!orderId,
+  })
+}
+
+/**
+ * Hook to fetch the portal for a link token
+ * Not retried: an invalid or expired link won't become valid.
+ * @param {string} token
+ */
+export function usePortal(token) {
+  return useQuery({
+    queryKey: portalKeys.view(token),
+    queryFn: () => portalApi.getPortal(token),
+    enabled: !!token,
+    retry: false,
+  })
+}
+
+// ============================================================================
+// MUTATIONS
+// ============================================================================
+
+/**
+ * Hook to create a portal link
+ */
+export function useCreatePortalLink() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ orderId, expiresInDays }) =>
+      portalApi.createPortalLink(orderId, { expiresInDays }),
+    onSuccess: (link) => {
+      queryClient.invalidateQueries({ queryKey: portalKeys.order(link.orderId) })
+      queryClient.invalidateQueries({ queryKey: orderKeys.detail(link.orderId) })
+      toast.success("Portal link created")
+    },
+    onError: (error) => {
+      toast.error("Failed to create portal link", { description: error.message })
+    },
+  })
+}
+
+/**
+ * Hook to revoke a portal link
+ */
+export function useRevokePortalLink() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ orderId, linkId }) => portalApi.revokePortalLink(orderId, linkId),
+    onSuccess: (link) => {
+      queryClient.invalidateQueries({ queryKey: portalKeys.order(link.orderId) })
+      queryClient.invalidateQueries({ queryKey: orderKeys.detail(link.orderId) })
+      toast.success("Portal link revoked")
+    },
+    onError: (error) => {
+      toast.error("Failed to revoke portal link", { description: error.message })
+    },
+  })
+}
+
+/**
+ * Hook to send the customer's response from the portal
+ * @param {string} token
+ */
+export function usePortalRespond(token) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (data) => portalApi.respondInPortal(token, data),
+    onSuccess: (view) => {
+      queryClient.setQueryData(portalKeys.view(token), view)
+      toast.success("Thank you - we have your answer")
+    },
+    onError: (error) => {
+      toast.error("Your answer could not be sent", { description: error.message })
+    },
+  })
+}
+
+export default {
+  useOrderPortalLinks,
+  usePortal,
+  useCreatePortalLink,
+  useRevokePortalLink,
+  usePortalRespond,
+}
@@ -8,6 +8,7 @@ import {
   fetchProcurementStats,
   runInventoryCheck,
   rerunSectionInventoryCheck,
+  fetchReadyStockMatch,
 } from "../services/api/procurementApi"
 
 import { orderKeys, orderItemKeys } from "./useOrders"
@@ -75,6 +76,15 @@ export const useDeleteProcurementDemand = () => {
   })
 }
 
+// Ready stock an RTS order item can be filled from; refetched with the item
+export const useReadyStockMatch = (orderItemId, { enabled = true } = {}) => {
+  return useQuery({
+    queryKey: [...orderItemKeys.detail(orderItemId), "ready-stock"],
+    queryFn: () => fetchReadyStockMatch(orderItemId),
+    enabled: !!orderItemId && enabled,
+  })
+}
+
 // Run inventory check
 export const useRunInventoryCheck = () => {
   const queryClient = useQueryClient()
@@ -103,6 +113,9 @@ export const useRunInventoryCheck = () => {
       // Invalidate and force refetch procurement queries
       queryClient.invalidateQueries({ queryKey: procurementKeys.all })
       queryClient.refetchQueries({ queryKey: procurementKeys.all, type: "active" })
+
+      // Passing sections reserve stock
+      queryClient.invalidateQueries({ queryKey: ["inventory"] })
     },
   })
 }
@@ -135,6 +148,9 @@ export const useRerunSectionInventoryCheck = () => {
       queryClient.invalidateQueries({ queryKey: procurementKeys.all })
       queryClient.refetchQueries({ queryKey: procurementKeys.all, type: "active" })
 
+      // Passing sections reserve stock
+      queryClient.invalidateQueries({ queryKey: ["inventory"] })
+
       // Invalidate packet queries
       queryClient.invalidateQueries({ queryKey: ["packet"] })
       queryClient.refetchQueries({ queryKey: ["packet"], type: "active" })
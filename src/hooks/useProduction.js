@@ -37,6 +37,10 @@ export const productionKeys = {
 
   // Worker Tasks
   workerTasks: (userId) => [...productionKeys.all, "worker-tasks", userId],
+
+  // Scheduling Board
+  schedule: () => [...productionKeys.all, "schedule"],
+  taskEstimates: () => [...productionKeys.all, "task-estimates"],
 }
 
 // ============================================================================
@@ -150,6 +154,33 @@ export function useWorkerTasks(userId) {
   })
 }
 
+// ============================================================================
+// SCHEDULING BOARD QUERIES
+// ============================================================================
+
+/**
+ * Get the forward schedule of open tasks on worker calendars
+ */
+export function useProductionSchedule() {
+  return useQuery({
+    queryKey: productionKeys.schedule(),
+    queryFn: productionApi.getSchedule,
+    staleTime: 30 * 1000,
+    refetchInterval: 60 * 1000, // Projections move with the clock
+  })
+}
+
+/**
+ * Get estimated durations per task type
+ */
+export function useTaskEstimates() {
+  return useQuery({
+    queryKey: productionKeys.taskEstimates(),
+    queryFn: productionApi.getTaskEstimates,
+    staleTime: 5 * 60 * 1000,
+  })
+}
+
 // ============================================================================
 // MUTATIONS
 // ============================================================================
@@ -422,6 +453,74 @@ export function useSendSectionToQA() {
   })
 }
 
+/**
+ * Preview the schedule with tasks moved to other workers (nothing is saved)
+ */
+export function useSchedulePreview() {
+  return useMutation({
+    mutationFn: (reassignments) => productionApi.previewSchedule(reassignments),
+  })
+}
+
+/**
+ * Move a task that has not been started to another worker
+ */
+export function useReassignTask() {
+  const queryClient = useQueryClient()
+  const { toast } = useToast()
+
+  return useMutation({
+    mutationFn: ({ taskId, workerId }) => productionApi.reassignTask(taskId, { workerId }),
+
+    onSuccess: (data) => {
+      // Schedule, worker task lists and section timelines all change
+      queryClient.invalidateQueries({ queryKey: productionKeys.all })
+
+      toast({
+        title: "Task Moved",
+        description: data?.message || "Task moved to the new worker",
+      })
+    },
+
+    onError: (error) => {
+      toast({
+        title: "Failed to Move Task",
+        description: error.message || "An error occurred",
+        variant: "destructive",
+      })
+    },
+  })
+}
+
+/**
+ * Update a worker's calendar
+ */
+export function useUpdateWorkerCalendar() {
+  const queryClient = useQueryClient()
+  const { toast } = useToast()
+
+  return useMutation({
+    mutationFn: ({ workerId, calendar }) => productionApi.updateWorkerCalendar(workerId, calendar),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: productionKeys.schedule() })
+
+      toast({
+        title: "Calendar Saved",
+        description: "Projected dates have been recalculated",
+      })
+    },
+
+    onError: (error) => {
+      toast({
+        title: "Failed to Save Calendar",
+        description: error.message || "An error occurred",
+        variant: "destructive",
+      })
+    },
+  })
+}
+
 // ============================================================================
 // EXPORT
 // ============================================================================
@@ -439,6 +538,8 @@ export default {
   useSectionTasks,
   useSectionTimeline,
   useWorkerTasks,
+  useProductionSchedule,
+  useTaskEstimates,
 
   // Mutations
   useAssignProductionHead,
@@ -448,4 +549,7 @@ export default {
   useStartTask,
   useCompleteTask,
   useSendSectionToQA,
+  useSchedulePreview,
+  useReassignTask,
+  useUpdateWorkerCalendar,
 }
@@ -0,0 +1,153 @@
+/**
+ * Purchase Orders React Query Hooks
+ * src/hooks/usePurchaseOrders.js
+ *
+ * Queries: list, reorder suggestions, detail
+ * Mutations: create, update, send, cancel, receive
+ * Creating or cancelling a PO changes procurement demand status; receiving
+ * also moves stock and can release order item sections.
+ */
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query"
+import { purchaseOrdersApi } from "@/services/api/purchaseOrdersApi"
+import { procurementKeys } from "./useProcurement"
+import { inventoryKeys } from "./useInventory"
+import { orderKeys, orderItemKeys } from "./useOrders"
+import { packetKeys } from "./usePacket"
+import { vendorKeys } from "./useVendors"
+
+// ============================================================================
+// QUERY KEYS
+// ============================================================================
+
+export const purchaseOrderKeys = {
+  all: ["purchase-orders"],
+  lists: () => [...purchaseOrderKeys.all, "list"],
+  list: (filters) => [...purchaseOrderKeys.lists(), filters],
+  suggestions: () => [...purchaseOrderKeys.all, "suggestions"],
+  details: () => [...purchaseOrderKeys.all, "detail"],
+  detail: (id) => [...purchaseOrderKeys.details(), id],
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Hook to fetch purchase orders
+ * @param {Object} [filters] - { status, vendorId }
+ */
+export function usePurchaseOrders(filters = {}) {
+  return useQuery({
+    queryKey: purchaseOrderKeys.list(filters),
+    queryFn: () => purchaseOrdersApi.getPurchaseOrders(filters),
+  })
+}
+
+/**
+ * Hook to fetch what should be ordered next, grouped by vendor
+ */
+export function usePurchaseOrderSuggestions() {
+  return useQuery({
+    queryKey: purchaseOrderKeys.suggestions(),
+    queryFn: purchaseOrdersApi.getPurchaseOrderSuggestions,
+  })
+}
+
+/**
+ * Hook to fetch a single purchase order
+ * @param {string} id
+ */
+export function usePurchaseOrder(id) {
+  return useQuery({
+    queryKey: purchaseOrderKeys.detail(id),
+    queryFn: () => purchaseOrdersApi.getPurchaseOrderById(id),
+    enabled: !!id,
+  })
+}
+
+// ============================================================================
+// MUTATIONS
+// ============================================================================
+
+/**
+ * Shared invalidation for changes that link or unlink procurement demands
+ */
+const invalidatePurchasing = (queryClient) => {
+  queryClient.invalidateQueries({ queryKey: purchaseOrderKeys.all })
+  queryClient.invalidateQueries({ queryKey: procurementKeys.all })
+  queryClient.invalidateQueries({ queryKey: vendorKeys.all })
+}
+
+/**
+ * Hook to create a DRAFT purchase order
+ */
+export function useCreatePurchaseOrder() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (data) => purchaseOrdersApi.createPurchaseOrder(data),
+    onSuccess: () => invalidatePurchasing(queryClient),
+  })
+}
+
+/**
+ * Hook to change the expected delivery date or notes
+ */
+export function useUpdatePurchaseOrder() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ id, data }) => purchaseOrdersApi.updatePurchaseOrder(id, data),
+    onSuccess: (po) => {
+      queryClient.invalidateQueries({ queryKey: purchaseOrderKeys.detail(po.id) })
+      queryClient.invalidateQueries({ queryKey: purchaseOrderKeys.lists() })
+    },
+  })
+}
+
+/**
+ * Hook to mark a purchase order as sent
+ */
+export function useSendPurchaseOrder() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ id, data }) => purchaseOrdersApi.sendPurchaseOrder(id, data),
+    onSuccess: () => invalidatePurchasing(queryClient),
+  })
+}
+
+/**
+ * Hook to cancel a purchase order
+ */
+export function useCancelPurchaseOrder() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ id, data }) => purchaseOrdersApi.cancelPurchaseOrder(id, data),
+    onSuccess: () => invalidatePurchasing(queryClient),
+  })
+}
+
+/**
+ * Hook to receive stock against a purchase order
+ */
+export function useReceivePurchaseOrder() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ id, data }) => purchaseOrdersApi.receivePurchaseOrder(id, data),
+    onSuccess: (result) => {
+      invalidatePurchasing(queryClient)
+      queryClient.invalidateQueries({ queryKey: inventoryKeys.all })
+
+      // Stock went to procurement demands: their order items may have moved on
+      if (result.procurement.allocations.length > 0) {
+        queryClient.invalidateQueries({ queryKey: orderKeys.all })
+        queryClient.invalidateQueries({ queryKey: orderItemKeys.all })
+        queryClient.invalidateQueries({ queryKey: packetKeys.all })
+      }
+    },
+  })
+}
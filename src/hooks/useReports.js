@@ -0,0 +1,74 @@
+/**
+ * Reports React Query Hooks
+ * src/hooks/useReports.js
+ *
+ * Queries: throughput, time in status, rejections, revenue
+ * The date range is part of every query key so each range is cached separately.
+ */
+
+import { useQuery } from "@tanstack/react-query"
+import { reportsApi } from "@/services/api/reportsApi"
+
+// ============================================================================
+// QUERY KEYS
+// ============================================================================
+
+export const reportsKeys = {
+  all: ["reports"],
+  throughput: (range) => [...reportsKeys.all, "throughput", range],
+  timeInStatus: (range) => [...reportsKeys.all, "time-in-status", range],
+  rejections: (range) => [...reportsKeys.all, "rejections", range],
+  revenue: (range) => [...reportsKeys.all, "revenue", range],
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Hook to fetch units finished per department
+ * @param {Object} range - { from, to }
+ */
+export function useThroughputReport(range) {
+  return useQuery({
+    queryKey: reportsKeys.throughput(range),
+    queryFn: () => reportsApi.getThroughput(range),
+    staleTime: 60 * 1000,
+  })
+}
+
+/**
+ * Hook to fetch average time in each order item status
+ * @param {Object} range - { from, to }
+ */
+export function useTimeInStatusReport(range) {
+  return useQuery({
+    queryKey: reportsKeys.timeInStatus(range),
+    queryFn: () => reportsApi.getTimeInStatus(range),
+    staleTime: 60 * 1000,
+  })
+}
+
+/**
+ * Hook to fetch rejection and rework rates
+ * @param {Object} range - { from, to }
+ */
+export function useRejectionsReport(range) {
+  return useQuery({
+    queryKey: reportsKeys.rejections(range),
+    queryFn: () => reportsApi.getRejections(range),
+    staleTime: 60 * 1000,
+  })
+}
+
+/**
+ * Hook to fetch revenue by currency and source
+ * @param {Object} range - { from, to }
+ */
+export function useRevenueReport(range) {
+  return useQuery({
+    queryKey: reportsKeys.revenue(range),
+    queryFn: () => reportsApi.getRevenue(range),
+    staleTime: 60 * 1000,
+  })
+}
@@ -21,6 +21,7 @@ import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query"
 import { salesApprovalApi } from "@/services/api/salesApprovalApi"
 import { qaKeys } from "@/hooks/useQA"
 import { toast } from "sonner"
+import { CLIENT_MESSAGE_STATUS } from "@/constants/orderConstants"
 
 // ============================================================================
 // QUERY KEYS
@@ -115,21 +116,30 @@ export function useSendOrderToClient() {
   const qc = useQueryClient()
 
   return useMutation({
-    mutationFn: ({ orderId, sentBy }) =>
-      salesApprovalApi.sendOrderToClient(orderId, { sentBy }),
+    mutationFn: ({ orderId, message }) => salesApprovalApi.sendOrderToClient(orderId, { message }),
 
     onSuccess: (data) => {
       const orderNumber = data.orderNumber || "Order"
 
-      toast.success(`${orderNumber} sent to client`, {
-        description: "Awaiting client response",
-      })
+      // The order moves on even when the message fails; it can be retried from the outbox
+      if (data.clientMessage?.status === CLIENT_MESSAGE_STATUS.FAILED) {
+        toast.error(`${orderNumber} marked as sent, but the message failed`, {
+          description: `${data.clientMessage.error}. Retry it from the order's messages.`,
+        })
+      } else {
+        toast.success(`${orderNumber} sent to client`, {
+          description: data.clientMessage
+            ? `Approval request sent to ${data.clientMessage.to}`
+            : "Awaiting client response",
+        })
+      }
 
       // Invalidate: order moves from Tab 1 → Tab 2
       qc.invalidateQueries({ queryKey: salesKeys.approvalQueue() })
       qc.invalidateQueries({ queryKey: salesKeys.awaitingResponse() })
       qc.invalidateQueries({ queryKey: salesKeys.stats() })
       qc.invalidateQueries({ queryKey: ["orders"] })
+      qc.invalidateQueries({ queryKey: ["client-messages"] })
 
       // Force immediate refetch
       qc.refetchQueries({ queryKey: salesKeys.approvalQueue() })
@@ -0,0 +1,33 @@
+/**
+ * Shopify React Query Hooks
+ * src/hooks/useShopify.js
+ *
+ * Mutations: preview (dry run) and import of a Shopify export file
+ */
+
+import { useMutation, useQueryClient } from "@tanstack/react-query"
+import { shopifyApi } from "@/services/api/shopifyApi"
+import { orderKeys } from "./useOrders"
+
+/**
+ * Hook to map a Shopify export without creating anything
+ */
+export function usePreviewShopifyImport() {
+  return useMutation({
+    mutationFn: (params) => shopifyApi.importOrders({ ...params, dryRun: true }),
+  })
+}
+
+/**
+ * Hook to import a Shopify export; refreshes the orders list
+ */
+export function useImportShopifyOrders() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (params) => shopifyApi.importOrders({ ...params, dryRun: false }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: orderKeys.lists() })
+    },
+  })
+}
@@ -0,0 +1,138 @@
+/**
+ * Stocktakes React Query Hooks
+ * src/hooks/useStocktakes.js
+ *
+ * Queries: list, detail
+ * Mutations: create, save counts, submit, reopen, post, cancel
+ * Posting adjusts stock, so it also refreshes inventory.
+ */
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query"
+import { stocktakesApi } from "@/services/api/stocktakesApi"
+import { inventoryKeys } from "./useInventory"
+
+// ============================================================================
+// QUERY KEYS
+// ============================================================================
+
+export const stocktakeKeys = {
+  all: ["stocktakes"],
+  lists: () => [...stocktakeKeys.all, "list"],
+  list: (filters) => [...stocktakeKeys.lists(), filters],
+  details: () => [...stocktakeKeys.all, "detail"],
+  detail: (id) => [...stocktakeKeys.details(), id],
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Hook to fetch stocktake sessions
+ * @param {Object} [filters] - { status, inventoryItemId }
+ */
+export function useStocktakes(filters = {}) {
+  return useQuery({
+    queryKey: stocktakeKeys.list(filters),
+    queryFn: () => stocktakesApi.getStocktakes(filters),
+  })
+}
+
+/**
+ * Hook to fetch a single stocktake session
+ * @param {string} id
+ */
+export function useStocktake(id) {
+  return useQuery({
+    queryKey: stocktakeKeys.detail(id),
+    queryFn: () => stocktakesApi.getStocktakeById(id),
+    enabled: !!id,
+  })
+}
+
+// ============================================================================
+// MUTATIONS
+// ============================================================================
+
+/**
+ * Put the returned session in the detail cache and refresh the lists
+ */
+const updateStocktakeCache = (queryClient, stocktake) => {
+  queryClient.setQueryData(stocktakeKeys.detail(stocktake.id), stocktake)
+  queryClient.invalidateQueries({ queryKey: stocktakeKeys.lists() })
+}
+
+/**
+ * Hook to open a count session
+ */
+export function useCreateStocktake() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (data) => stocktakesApi.createStocktake(data),
+    onSuccess: (stocktake) => updateStocktakeCache(queryClient, stocktake),
+  })
+}
+
+/**
+ * Hook to save counted quantities
+ */
+export function useSaveStocktakeCounts() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ id, counts }) => stocktakesApi.saveStocktakeCounts(id, counts),
+    onSuccess: (stocktake) => updateStocktakeCache(queryClient, stocktake),
+  })
+}
+
+/**
+ * Hook to submit a session for review
+ */
+export function useSubmitStocktake() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (id) => stocktakesApi.submitStocktake(id),
+    onSuccess: (stocktake) => updateStocktakeCache(queryClient, stocktake),
+  })
+}
+
+/**
+ * Hook to reopen a submitted session for counting
+ */
+export function useReopenStocktake() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (id) => stocktakesApi.reopenStocktake(id),
+    onSuccess: (stocktake) => updateStocktakeCache(queryClient, stocktake),
+  })
+}
+
+/**
+ * Hook to post a session's variances as stock adjustments
+ */
+export function usePostStocktake() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ id, data }) => stocktakesApi.postStocktake(id, data),
+    onSuccess: (stocktake) => {
+      updateStocktakeCache(queryClient, stocktake)
+      queryClient.invalidateQueries({ queryKey: inventoryKeys.all })
+    },
+  })
+}
+
+/**
+ * Hook to cancel an unposted session
+ */
+export function useCancelStocktake() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ id, data }) => stocktakesApi.cancelStocktake(id, data),
+    onSuccess: (stocktake) => updateStocktakeCache(queryClient, stocktake),
+  })
+}
@@ -0,0 +1,85 @@
+/**
+ * Vendors React Query Hooks
+ * src/hooks/useVendors.js
+ *
+ * Queries: vendor list, vendor detail
+ * Mutations: create, update (renames also refresh inventory, which copies the name)
+ */
+
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query"
+import { vendorsApi } from "@/services/api/vendorsApi"
+import { inventoryKeys } from "./useInventory"
+
+// ============================================================================
+// QUERY KEYS
+// ============================================================================
+
+export const vendorKeys = {
+  all: ["vendors"],
+  lists: () => [...vendorKeys.all, "list"],
+  list: (filters) => [...vendorKeys.lists(), filters],
+  details: () => [...vendorKeys.all, "detail"],
+  detail: (id) => [...vendorKeys.details(), id],
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Hook to fetch vendors
+ * @param {Object} [filters] - { search, active }
+ */
+export function useVendors(filters = {}) {
+  return useQuery({
+    queryKey: vendorKeys.list(filters),
+    queryFn: () => vendorsApi.getVendors(filters),
+  })
+}
+
+/**
+ * Hook to fetch a vendor with its items and purchase orders
+ * @param {string} id
+ */
+export function useVendor(id) {
+  return useQuery({
+    queryKey: vendorKeys.detail(id),
+    queryFn: () => vendorsApi.getVendorById(id),
+    enabled: !!id,
+  })
+}
+
+// ============================================================================
+// MUTATIONS
+// ============================================================================
+
+/**
+ * Hook to create a vendor
+ */
+export function useCreateVendor() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (data) => vendorsApi.createVendor(data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: vendorKeys.lists() })
+    },
+  })
+}
+
+/**
+ * Hook to update a vendor
+ */
+export function useUpdateVendor() {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ id, data }) => vendorsApi.updateVendor(id, data),
+    onSuccess: (vendor) => {
+      queryClient.invalidateQueries({ queryKey: vendorKeys.all })
+      if (vendor.itemCount > 0) {
+        queryClient.invalidateQueries({ queryKey: inventoryKeys.all })
+      }
+    },
+  })
+}
@@ -0,0 +1,117 @@
+/**
+ * CSV Utilities
+ * src/lib/csv.js
+ *
+ * Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and line breaks
+ * inside quotes. Enough for spreadsheet and Shopify admin exports. The writers
+ * produce the same dialect, so an exported file imports back unchanged.
+ */
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsvRows(text) {
+  const rows = []
+  let row = []
+  let field = ""
+  let inQuotes = false
+
+  // Strip a UTF-8 BOM (Excel / Shopify exports start with one)
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+      continue
+    }
+
+    if (char === '"') {
+      inQuotes = true
+    } else if (char === ",") {
+      row.push(field)
+      field = ""
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ""
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((value) => value.trim() !== ""))
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name
+ * @param {string} text
+ * @returns {Object[]}
+ */
+export function parseCsv(text) {
+  const [header = [], ...rows] = parseCsvRows(text)
+  const columns = header.map((column) => column.trim())
+
+  return rows.map((row) =>
+    Object.fromEntries(columns.map((column, index) => [column, row[index] ?? ""]))
+  )
+}
+
+// Text a spreadsheet would run as a formula when the file is opened
+const FORMULA_PREFIX = /^[=+\-@\t\r]/
+
+/**
+ * Quote a field when it holds a separator, quote or line break, and defuse
+ * text that a spreadsheet would read as a formula (numbers are left as they are)
+ */
+function escapeCsvField(value) {
+  if (value === null || value === undefined) return ""
+  let field = String(value)
+
+  if (typeof value === "string" && FORMULA_PREFIX.test(field) && isNaN(Number(field))) {
+    field = `'${field}`
+  }
+
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field
+}
+
+/**
+ * Write rows (arrays of values) as CSV text
+ * @param {Array[]} rows
+ * @returns {string}
+ */
+export function toCsvRows(rows) {
+  return rows.map((row) => row.map(escapeCsvField).join(",")).join("\r\n")
+}
+
+/**
+ * Write objects as CSV text with a header row
+ * @param {Object[]} rows
+ * @param {{ key: string, label?: string }[]} columns - Column order; the header
+ *   is the label, or the key when there is none
+ * @returns {string}
+ */
+export function toCsv(rows, columns) {
+  return toCsvRows([
+    columns.map((column) => column.label ?? column.key),
+    ...rows.map((row) => columns.map((column) => row[column.key])),
+  ])
+}
@@ -0,0 +1,95 @@
+/**
+ * Currency Conversion
+ * src/lib/currency.js
+ *
+ * Amounts are converted through a dated exchange-rate table. Each row gives
+ * how many units of the base currency (PKR) one unit of a currency was worth
+ * from its effective date until the next row for that currency. Conversions
+ * between two foreign currencies go through the base currency.
+ *
+ * The functions take the rate table as an argument so the mock handlers and
+ * the pages (which load it with useExchangeRates) convert the same way.
+ */
+
+import { BASE_CURRENCY } from "@/constants/orderConstants"
+
+export const roundMoney = (amount) => Math.round(amount * 100) / 100
+
+// Rates are kept to 6 decimals so PKR -> USD stays meaningful
+const roundRate = (rate) => Math.round(rate * 1000000) / 1000000
+
+// "2024-03-15T10:00:00Z" and "2024-03-15" both compare as the day
+const toDay = (date) => (date ? String(date).slice(0, 10) : new Date().toISOString().slice(0, 10))
+
+/**
+ * The table row in force for a currency on a date
+ * @returns {Object|null} Latest row effective on or before the date, null when there is none
+ */
+export const findExchangeRate = (rates, currency, date) => {
+  const day = toDay(date)
+  return (
+    rates
+      .filter((r) => r.currency === currency && r.effectiveDate <= day)
+      .sort((a, b) => b.effectiveDate.localeCompare(a.effectiveDate))[0] || null
+  )
+}
+
+/**
+ * Base-currency units per unit of the currency on a date
+ * @returns {number|null} 1 for the base currency, null when no rate is in force
+ */
+export const getBaseRate = (rates, currency, date) => {
+  if (!currency || currency === BASE_CURRENCY) return 1
+  return findExchangeRate(rates, currency, date)?.rate ?? null
+}
+
+/**
+ * Units of `to` one unit of `from` buys on a date
+ * @returns {number|null} null when either currency has no rate in force
+ */
+export const getExchangeRate = (rates, from, to, date) => {
+  if (from === to) return 1
+  const fromRate = getBaseRate(rates, from, date)
+  const toRate = getBaseRate(rates, to, date)
+  if (fromRate === null || toRate === null) return null
+  return roundRate(fromRate / toRate)
+}
+
+/**
+ * Convert an amount between currencies at the rates in force on a date
+ * @returns {number|null} Rounded to 2 decimals, null when a rate is missing
+ */
+export const convertAmount = (rates, amount, from, to, date) => {
+  if (from === to) return amount
+  const fromRate = getBaseRate(rates, from, date)
+  const toRate = getBaseRate(rates, to, date)
+  if (fromRate === null || toRate === null) return null
+  return roundMoney((amount * fromRate) / toRate)
+}
+
+/**
+ * Why an amount cannot be converted on a date, or null when it can
+ */
+export const getMissingRateMessage = (rates, from, to, date) => {
+  const missing = [from, to].filter((currency) => getBaseRate(rates, currency, date) === null)
+  if (missing.length === 0) return null
+  return `No ${missing.join(" or ")} exchange rate in force on ${toDay(date)}`
+}
+
+/**
+ * The newest row of every currency, for showing today's rates
+ */
+export const getCurrentRates = (rates, date) => {
+  const currencies = [...new Set(rates.map((r) => r.currency))]
+  return currencies.map((currency) => findExchangeRate(rates, currency, date)).filter(Boolean)
+}
+
+/**
+ * Product pieces ({ piece, price }) with their base-currency prices converted
+ * for an order in another currency; pieces are returned as is when a rate is missing
+ */
+export const convertPiecePrices = (rates, pieces, to, date) =>
+  (pieces || []).map((piece) => ({
+    ...piece,
+    price: convertAmount(rates, piece.price || 0, BASE_CURRENCY, to, date) ?? piece.price,
+  }))
@@ -0,0 +1,150 @@
+/**
+ * Inventory Sheets
+ * src/lib/inventorySheets.js
+ *
+ * Column layouts for the inventory spreadsheets, shared by the export buttons
+ * and the import endpoint so an exported item list imports back unchanged:
+ *
+ * - Items: one row per simple item, one row per size for ready stock (the
+ *   item columns repeat on each size row). Import upserts by sku.
+ * - Movement ledger: every stock movement with the item it moved, oldest first.
+ */
+
+import { INVENTORY_LOCATION_CONFIG } from "@/constants/orderConstants"
+
+/**
+ * Item sheet columns. `importable: false` columns are exported for reference
+ * and ignored on import; `stock` only sets the opening stock of new items and sizes.
+ */
+export const INVENTORY_ITEM_COLUMNS = [
+  { key: "sku" },
+  { key: "name" },
+  { key: "category" },
+  { key: "unit" },
+  { key: "size" },
+  { key: "variant_sku" },
+  { key: "price" },
+  { key: "reorder_level" },
+  { key: "reorder_amount" },
+  { key: "rack_location" },
+  { key: "vendor_id" },
+  { key: "description" },
+  { key: "notes" },
+  { key: "stock" },
+  { key: "unit_cost", importable: false },
+  { key: "stock_value", importable: false },
+]
+
+export const STOCK_MOVEMENT_COLUMNS = [
+  { key: "date", label: "Date" },
+  { key: "reference", label: "Reference" },
+  { key: "type", label: "Type" },
+  { key: "sku", label: "SKU" },
+  { key: "item", label: "Item" },
+  { key: "size", label: "Size" },
+  { key: "location", label: "Location" },
+  { key: "quantity", label: "Quantity" },
+  { key: "lots", label: "Lots" },
+  { key: "stock_change", label: "Stock Change" },
+  { key: "unit", label: "Unit" },
+  { key: "unit_cost", label: "Unit Cost" },
+  { key: "value", label: "Value" },
+  { key: "balance_after", label: "Balance After" },
+  { key: "performed_by", label: "Performed By" },
+  { key: "notes", label: "Notes" },
+]
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100
+
+/**
+ * Item sheet rows for items from the inventory API
+ * @param {Object[]} items - With unit_cost / stock_value from the list endpoint
+ */
+export const toInventoryItemRows = (items) =>
+  items.flatMap((item) => {
+    const itemFields = {
+      sku: item.sku,
+      name: item.name,
+      category: item.category,
+      unit: item.unit,
+      rack_location: item.rack_location || "",
+      vendor_id: item.vendor_id || "",
+      description: item.description || "",
+      notes: item.notes || "",
+    }
+
+    if (!item.has_variants) {
+      return [
+        {
+          ...itemFields,
+          price: item.unit_price,
+          reorder_level: item.reorder_level,
+          reorder_amount: item.reorder_amount,
+          stock: item.remaining_stock,
+          unit_cost: item.unit_cost,
+          stock_value: item.stock_value,
+        },
+      ]
+    }
+
+    return item.variants.map((variant) => ({
+      ...itemFields,
+      size: variant.size,
+      variant_sku: variant.sku,
+      price: variant.price,
+      reorder_level: variant.reorder_level,
+      reorder_amount: variant.reorder_amount,
+      stock: variant.remaining_stock,
+      unit_cost: variant.price,
+      stock_value: roundMoney(variant.remaining_stock * variant.price),
+    }))
+  })
+
+/**
+ * Net change a movement made to the item's stock; transfers move stock
+ * between locations without changing the total
+ */
+export const getStockChange = (movement) => {
+  switch (movement.movement_type) {
+    case "STOCK_IN":
+      return movement.quantity
+    case "STOCK_OUT":
+      return -movement.quantity
+    case "TRANSFER":
+      return 0
+    default:
+      return movement.quantity
+  }
+}
+
+const getLocationLabel = (location) => INVENTORY_LOCATION_CONFIG[location]?.label || location || ""
+
+/**
+ * Ledger rows for movements from the movement ledger endpoint
+ * @param {Object[]} movements - With item_name, item_sku, unit, size, performed_by
+ */
+export const toMovementLedgerRows = (movements) =>
+  movements.map((movement) => {
+    const stockChange = getStockChange(movement)
+    return {
+      date: movement.transaction_date,
+      reference: movement.reference_number,
+      type: movement.movement_type,
+      sku: movement.item_sku,
+      item: movement.item_name,
+      size: movement.size || "",
+      location:
+        movement.movement_type === "TRANSFER"
+          ? `${getLocationLabel(movement.from_location)} -> ${getLocationLabel(movement.to_location)}`
+          : getLocationLabel(movement.location),
+      quantity: movement.quantity,
+      lots: (movement.lots || []).map((lot) => `${lot.lot_number} x ${lot.quantity}`).join("; "),
+      stock_change: stockChange,
+      unit: movement.unit,
+      unit_cost: movement.unit_cost ?? "",
+      value: movement.unit_cost ? roundMoney(stockChange * movement.unit_cost) : "",
+      balance_after: movement.remaining_stock_after,
+      performed_by: movement.performed_by || "",
+      notes: movement.notes || "",
+    }
+  })
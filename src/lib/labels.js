@@ -0,0 +1,150 @@
+/**
+ * Label Codes
+ * src/lib/labels.js
+ *
+ * Codes printed as QR on rack and packet labels. They are plain text so a
+ * keyboard-wedge scanner types them like a keyboard would, and the same text
+ * printed under the QR can be typed in by hand:
+ *
+ *   INV|<sku>|<rack>                          - inventory item on a rack
+ *   PKT|<packetId>|<orderItemId>|<sections>   - packet, sections comma separated
+ *
+ * Anything else is read as a bare SKU, so a picker can type the SKU off the
+ * bin when a label is missing.
+ */
+
+import { INVENTORY_LOCATION_CONFIG } from "@/constants/orderConstants"
+
+export const LABEL_TYPE = {
+  INVENTORY: "INV",
+  PACKET: "PKT",
+}
+
+const SEPARATOR = "|"
+
+const sameCode = (a, b) => String(a || "").toUpperCase() === String(b || "").toUpperCase()
+
+/**
+ * Sections a packet holds: the included ones for a partial packet, otherwise
+ * every piece on its pick list
+ */
+const getPacketSections = (packet) =>
+  packet.sectionsIncluded?.length > 0
+    ? packet.sectionsIncluded
+    : [...new Set((packet.pickList || []).map((item) => item.piece).filter(Boolean))]
+
+export const encodeInventoryLabel = (sku, rackLocation) =>
+  [LABEL_TYPE.INVENTORY, sku, rackLocation || ""].join(SEPARATOR)
+
+export const encodePacketLabel = (packet) =>
+  [LABEL_TYPE.PACKET, packet.id, packet.orderItemId, getPacketSections(packet).join(",")].join(
+    SEPARATOR
+  )
+
+/**
+ * Read a scanned or typed code
+ * @returns {Object|null} { type: INV, sku, rackLocation } or
+ *   { type: PKT, packetId, orderItemId, sections }; null for an empty code
+ */
+export const parseLabelCode = (rawCode) => {
+  const code = String(rawCode || "").trim()
+  if (!code) return null
+
+  const [type, ...parts] = code.split(SEPARATOR).map((part) => part.trim())
+
+  if (type.toUpperCase() === LABEL_TYPE.PACKET) {
+    return {
+      type: LABEL_TYPE.PACKET,
+      packetId: parts[0] || "",
+      orderItemId: parts[1] || "",
+      sections: parts[2] ? parts[2].split(",") : [],
+    }
+  }
+
+  if (type.toUpperCase() === LABEL_TYPE.INVENTORY) {
+    return { type: LABEL_TYPE.INVENTORY, sku: parts[0] || "", rackLocation: parts[1] || null }
+  }
+
+  return { type: LABEL_TYPE.INVENTORY, sku: code, rackLocation: null }
+}
+
+/**
+ * Rack labels for inventory items, one per location the item has a rack at
+ * @param {Object[]} items - Items from the inventory API (with locations)
+ */
+export const getInventoryLabels = (items) =>
+  items.flatMap((item) => {
+    const racks = (item.locations || []).filter((entry) => entry.rack_location)
+    const entries = racks.length > 0 ? racks : [{ rack_location: item.rack_location }]
+
+    return entries.map((entry) => ({
+      key: `${item.id}-${entry.location || "main"}`,
+      code: encodeInventoryLabel(item.sku, entry.rack_location),
+      title: item.name,
+      subtitle: item.sku,
+      details: [
+        `Rack ${entry.rack_location || "TBD"}`,
+        INVENTORY_LOCATION_CONFIG[entry.location]?.label,
+      ].filter(Boolean),
+    }))
+  })
+
+/**
+ * Label for a packet
+ * @param {Object} packet
+ * @param {Object} [orderItem] - Adds the product name to the label
+ */
+export const getPacketLabel = (packet, orderItem) => ({
+  key: packet.id,
+  code: encodePacketLabel(packet),
+  title: packet.id,
+  subtitle: [orderItem?.productName, packet.orderItemId].filter(Boolean).join(" · "),
+  details: [`Sections: ${getPacketSections(packet).join(", ") || "—"}`],
+})
+
+/**
+ * Find the pick list line a scan is for
+ *
+ * The SKU has to be on the pick list with a line still to pick, and a rack on
+ * the label has to be the rack the line says to pull from (a TBD rack takes
+ * any). A bare SKU has no rack to check.
+ *
+ * @param {Object[]} pickList - packet.pickList
+ * @param {string} rawCode - Scanned or typed code
+ * @returns {{ item: Object } | { error: string }}
+ */
+export const matchPickScan = (pickList, rawCode) => {
+  const scan = parseLabelCode(rawCode)
+  if (!scan) return { error: "Scan a rack label or type a SKU" }
+
+  if (scan.type === LABEL_TYPE.PACKET) {
+    return { error: "That is a packet label. Scan the label on the material's rack." }
+  }
+
+  const lines = pickList.filter((item) => sameCode(item.inventoryItemSku, scan.sku))
+  if (lines.length === 0) {
+    return { error: `${scan.sku} is not on this pick list` }
+  }
+
+  const openLines = lines.filter((item) => !item.isPicked)
+  if (openLines.length === 0) {
+    return { error: `${lines[0].inventoryItemName} has already been picked` }
+  }
+
+  if (!scan.rackLocation) return { item: openLines[0] }
+
+  const item = openLines.find(
+    (line) =>
+      !line.rackLocation ||
+      line.rackLocation === "TBD" ||
+      sameCode(line.rackLocation, scan.rackLocation)
+  )
+  if (!item) {
+    const expected = [...new Set(openLines.map((line) => line.rackLocation))].join(" or ")
+    return {
+      error: `Wrong rack: ${openLines[0].inventoryItemName} is picked from rack ${expected}, not ${scan.rackLocation}`,
+    }
+  }
+
+  return { item }
+}
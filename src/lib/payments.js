@@ -0,0 +1,78 @@
+/**
+ * Payment Ledger
+ * src/lib/payments.js
+ *
+ * An order's payments are an append-only ledger. Payments are positive
+ * entries; refunds and chargebacks are negative entries. Mistakes are voided
+ * with a reason instead of deleted, and voided entries no longer count.
+ *
+ * Every balance (net paid, remaining amount, payment status) is derived here
+ * so the orders, sales, dispatch and report handlers and the workflow
+ * preconditions all agree on what "fully paid" means.
+ *
+ * Entry amounts are in the order currency, converted when the money came in
+ * another currency (receivedAmount / receivedCurrency), and baseAmount is the
+ * same money in the base currency on the day it was received.
+ */
+
+import { PAYMENT_ENTRY_TYPE, PAYMENT_STATUS } from "@/constants/orderConstants"
+import { roundMoney } from "./currency"
+
+/**
+ * Entries that count towards the balance
+ */
+export const getActivePayments = (order) => (order.payments || []).filter((p) => !p.voidedAt)
+
+/**
+ * Sign an amount for its entry type: refunds and chargebacks take money back
+ */
+export const toLedgerAmount = (type, amount) =>
+  type === PAYMENT_ENTRY_TYPE.PAYMENT ? Math.abs(amount) : -Math.abs(amount)
+
+const sumOf = (entries, field) => roundMoney(entries.reduce((sum, p) => sum + p[field], 0))
+
+/**
+ * @returns {{ received, refunded, netPaid, remainingAmount, receivedBase, refundedBase, netPaidBase }}
+ *   received - sum of payments, refunded - sum of refunds and chargebacks (positive),
+ *   remainingAmount - never below zero; overpayment shows as EXTRA_PAID,
+ *   *Base - the same totals in the base currency at the rates of the received dates
+ */
+export const getPaymentTotals = (order) => {
+  const active = getActivePayments(order)
+  const payments = active.filter((p) => p.amount > 0)
+  const refunds = active.filter((p) => p.amount < 0)
+  const received = sumOf(payments, "amount")
+  const refunded = -sumOf(refunds, "amount")
+  const netPaid = roundMoney(received - refunded)
+  const receivedBase = sumOf(payments, "baseAmount")
+  const refundedBase = -sumOf(refunds, "baseAmount")
+
+  return {
+    received,
+    refunded,
+    netPaid,
+    remainingAmount: Math.max(roundMoney((order.totalAmount || 0) - netPaid), 0),
+    receivedBase,
+    refundedBase,
+    netPaidBase: roundMoney(receivedBase - refundedBase),
+  }
+}
+
+export const getPaymentStatus = (order) => {
+  const { refunded, netPaid } = getPaymentTotals(order)
+  const totalAmount = order.totalAmount || 0
+
+  if (netPaid <= 0) return refunded > 0 ? PAYMENT_STATUS.REFUNDED : PAYMENT_STATUS.PENDING
+  if (netPaid > totalAmount) return PAYMENT_STATUS.EXTRA_PAID
+  if (netPaid === totalAmount) return PAYMENT_STATUS.PAID
+  return PAYMENT_STATUS.PARTIAL
+}
+
+/**
+ * Store the derived balance on the order after any ledger or total change
+ */
+export const recalculatePayments = (order) => {
+  order.paymentStatus = getPaymentStatus(order)
+  order.remainingAmount = getPaymentTotals(order).remainingAmount
+  return order
+}
@@ -32,6 +32,8 @@ export const PERMISSION_GROUPS = {
       "inventory.delete": "Delete inventory items",
       "inventory.stock_in": "Add stock (stock-in)",
       "inventory.stock_out": "Remove stock (stock-out)",
+      "inventory.count": "Run stocktake counts",
+      "inventory.adjust": "Post stocktake adjustments",
     },
   },
 
@@ -66,6 +68,7 @@ export const PERMISSION_GROUPS = {
       "orders.delete": "Delete orders",
       "orders.manage_customer_forms": "Manage customer forms",
       "orders.approve_customer_forms": "Approve customer forms",
+      "orders.documents": "Generate invoices and receipts",
     },
   },
 
@@ -163,6 +166,14 @@ export const PERMISSION_GROUPS = {
       "reports.view": "View reports",
     },
   },
+
+  EXCHANGE_RATES: {
+    label: "Exchange Rates",
+    description: "Maintain the rates foreign-currency orders and payments convert at",
+    permissions: {
+      "exchange_rates.edit": "Add and correct exchange rates",
+    },
+  },
 }
 
 /**
@@ -209,6 +220,7 @@ export const ROLE_TEMPLATES = {
       "orders.create",
       "orders.manage_customer_forms",
       "orders.approve_customer_forms",
+      "orders.documents",
       "inventory.view",
       "products.view",
       "sales.view",
@@ -293,6 +305,7 @@ export const ROLE_TEMPLATES = {
       "procurement.manage",
       "inventory.view",
       "inventory.stock_in",
+      "inventory.count",
       "orders.view",
     ],
   },
@@ -0,0 +1,82 @@
+/**
+ * Print Utilities
+ * src/lib/print.js
+ *
+ * Prints one element of the page on its own, e.g. a purchase order document,
+ * without the app shell around it, or downloads it as a PDF file.
+ */
+
+const escapeHtml = (text) =>
+  String(text).replace(
+    /[&<>"']/g,
+    (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]
+  )
+
+/**
+ * Print the element on its own with the app's stylesheets
+ * It is rendered in a hidden, sandboxed iframe, so nothing in the copied
+ * markup can run scripts or reach the app.
+ * @param {HTMLElement} element
+ * @param {string} title - Document title, shown in the print dialog
+ */
+export function printElement(element, title) {
+  // Copy the app's styles so Tailwind classes render the same in the frame
+  const styles = [...document.querySelectorAll('style, link[rel="stylesheet"]')]
+    .map((node) => node.outerHTML)
+    .join("\n")
+
+  const frame = document.createElement("iframe")
+  frame.setAttribute("sandbox", "allow-same-origin allow-modals")
+  frame.setAttribute("aria-hidden", "true")
+  frame.style.cssText = "position:fixed;right:0;bottom:0;width:0;height:0;border:0;"
+  frame.srcdoc = `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <title>${escapeHtml(title)}</title>
+    ${styles}
+  </head>
+  <body>${element.outerHTML}</body>
+</html>`
+
+  // Wait for linked stylesheets before opening the print dialog
+  frame.onload = () => {
+    const printWindow = frame.contentWindow
+    printWindow.onafterprint = () => frame.remove()
+    printWindow.focus()
+    printWindow.print()
+  }
+  document.body.appendChild(frame)
+}
+
+/**
+ * Download the element as a PDF file on A4 pages
+ * The element is drawn to an image (html2canvas-pro reads Tailwind's oklch
+ * colours) and split across as many pages as it needs. Both libraries are
+ * only loaded when a PDF is first downloaded.
+ * @param {HTMLElement} element
+ * @param {string} title - Document title and file name (without extension)
+ */
+export async function downloadElementPdf(element, title) {
+  const [{ default: html2canvas }, { jsPDF }] = await Promise.all([
+    import("html2canvas-pro"),
+    import("jspdf"),
+  ])
+
+  const canvas = await html2canvas(element, { scale: 2, backgroundColor: "#ffffff" })
+  const pdf = new jsPDF({ unit: "mm", format: "a4" })
+  pdf.setProperties({ title })
+
+  const pageWidth = pdf.internal.pageSize.getWidth()
+  const pageHeight = pdf.internal.pageSize.getHeight()
+  const imageHeight = (canvas.height * pageWidth) / canvas.width
+  const image = canvas.toDataURL("image/jpeg", 0.95)
+
+  // One tall image, moved up a page height on each new page
+  for (let offset = 0; offset < imageHeight - 1; offset += pageHeight) {
+    if (offset > 0) pdf.addPage()
+    pdf.addImage(image, "JPEG", 0, -offset, pageWidth, imageHeight)
+  }
+
+  pdf.save(`${title}.pdf`)
+}
@@ -0,0 +1,189 @@
+/**
+ * Production Scheduling
+ * src/lib/productionSchedule.js
+ *
+ * Forward scheduling of production tasks on worker calendars. The tasks of an
+ * order item section form a chain run in sequenceOrder: a task can start once
+ * the task before it has finished and its worker is free, and only runs in its
+ * worker's working hours. Whichever waiting task can start first is planned
+ * next; when two could start at the same time the one due sooner wins.
+ *
+ * Times are worked out in the local time zone.
+ */
+
+import { format } from "date-fns"
+
+export const DEFAULT_WORKER_CALENDAR = {
+  workDays: [1, 2, 3, 4, 5, 6], // Date#getDay, Monday to Saturday
+  startTime: "09:00",
+  endTime: "18:00",
+  timeOff: [], // [{ id, from: "yyyy-MM-dd", to: "yyyy-MM-dd", reason }]
+}
+
+export const WEEKDAYS = [
+  { value: 1, label: "Mon" },
+  { value: 2, label: "Tue" },
+  { value: 3, label: "Wed" },
+  { value: 4, label: "Thu" },
+  { value: 5, label: "Fri" },
+  { value: 6, label: "Sat" },
+  { value: 0, label: "Sun" },
+]
+
+// A calendar without a working day in this many days is treated as never working
+const MAX_SEARCH_DAYS = 366
+
+const MINUTE_MS = 60 * 1000
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time || "").split(":")
+  return Number(hours) * 60 + (Number(minutes) || 0)
+}
+
+// `date` at the given minutes past its local midnight
+const atMinutes = (date, minutes) => {
+  const result = new Date(date)
+  result.setHours(0, 0, 0, 0)
+  result.setMinutes(minutes)
+  return result
+}
+
+const isDayOff = (calendar, date) => {
+  if (!calendar.workDays.includes(date.getDay())) return true
+  const day = format(date, "yyyy-MM-dd")
+  return (calendar.timeOff || []).some((off) => day >= off.from && day <= (off.to || off.from))
+}
+
+/**
+ * Working minutes in one day of the calendar
+ */
+export const getWorkingMinutesPerDay = (calendar) =>
+  Math.max(0, toMinutes(calendar.endTime) - toMinutes(calendar.startTime))
+
+/**
+ * Earliest moment at or after `date` the calendar is working
+ * @returns {Date|null} null when the calendar has no working time in the next year
+ */
+export const nextWorkingTime = (calendar, date) => {
+  const dayStartMinutes = toMinutes(calendar.startTime)
+  const dayEndMinutes = toMinutes(calendar.endTime)
+  if (!(dayEndMinutes > dayStartMinutes)) return null
+
+  let current = new Date(date)
+  for (let day = 0; day < MAX_SEARCH_DAYS; day++) {
+    if (!isDayOff(calendar, current)) {
+      const dayStart = atMinutes(current, dayStartMinutes)
+      if (current < dayStart) return dayStart
+      if (current < atMinutes(current, dayEndMinutes)) return current
+    }
+    current = atMinutes(current, 24 * 60)
+  }
+  return null
+}
+
+/**
+ * Lay `minutes` of work on the calendar from `date` on, skipping the hours and
+ * days it is not working
+ * @returns {{ start: Date, finish: Date }|null} null when the calendar runs out
+ */
+export const placeOnCalendar = (calendar, date, minutes) => {
+  const start = nextWorkingTime(calendar, date)
+  if (!start) return null
+
+  let current = start
+  let remaining = Math.max(0, minutes)
+  while (remaining > 0) {
+    const dayEnd = atMinutes(current, toMinutes(calendar.endTime))
+    const available = (dayEnd - current) / MINUTE_MS
+    if (remaining <= available) {
+      return { start, finish: new Date(current.getTime() + remaining * MINUTE_MS) }
+    }
+    remaining -= available
+    current = nextWorkingTime(calendar, dayEnd)
+    if (!current) return null
+  }
+  return { start, finish: current }
+}
+
+// Chains due sooner first, chains without a due date last
+const compareDue = (a, b) => {
+  if (a.dueAt && b.dueAt) return a.dueAt - b.dueAt
+  if (a.dueAt) return -1
+  if (b.dueAt) return 1
+  return 0
+}
+
+/**
+ * Forward-schedule task chains on their workers' calendars
+ *
+ * @param {Array} chains - [{ key, dueAt: Date|null, tasks: [{ id, workerId, minutes }] }],
+ *   tasks in sequence order and completed ones left out. Work already done on an
+ *   in-progress task should be taken off its minutes.
+ * @param {Object} options - { now: Date, getCalendar: (workerId) => calendar }
+ * @returns {Object} { tasks: { [taskId]: { start, finish } }, chains: { [key]: finish } }
+ *   Dates are null for tasks that cannot be placed (their worker, or a worker
+ *   before them in the chain, never works)
+ */
+export const scheduleTaskChains = (chains, { now, getCalendar }) => {
+  const workerFreeAt = {}
+  const tasks = {}
+  const heads = chains.map((chain) => ({ chain, index: 0, readyAt: now, blocked: false }))
+
+  for (;;) {
+    let next = null
+
+    heads.forEach((head) => {
+      if (head.blocked || head.index >= head.chain.tasks.length) return
+      const task = head.chain.tasks[head.index]
+      const calendar = getCalendar(task.workerId)
+      const freeAt = workerFreeAt[task.workerId] || now
+      const span = placeOnCalendar(
+        calendar,
+        freeAt > head.readyAt ? freeAt : head.readyAt,
+        task.minutes
+      )
+      if (!span) {
+        head.blocked = true
+        return
+      }
+      if (
+        !next ||
+        span.start < next.span.start ||
+        (span.start.getTime() === next.span.start.getTime() &&
+          compareDue(head.chain, next.head.chain) < 0)
+      ) {
+        next = { head, task, span }
+      }
+    })
+
+    if (!next) break
+
+    tasks[next.task.id] = next.span
+    workerFreeAt[next.task.workerId] = next.span.finish
+    next.head.readyAt = next.span.finish
+    next.head.index += 1
+  }
+
+  const chainFinish = {}
+  heads.forEach((head) => {
+    head.chain.tasks.slice(head.index).forEach((task) => {
+      tasks[task.id] = { start: null, finish: null }
+    })
+    chainFinish[head.chain.key] =
+      head.blocked || head.chain.tasks.length === 0 ? null : head.readyAt
+  })
+
+  return { tasks, chains: chainFinish }
+}
+
+/**
+ * Working time for display, e.g. "2h 30m"
+ */
+export const formatWorkMinutes = (minutes) => {
+  if (!minutes) return "—"
+  const rounded = Math.round(minutes)
+  if (rounded < 60) return `${rounded}m`
+  const hours = Math.floor(rounded / 60)
+  const mins = rounded % 60
+  return mins > 0 ? `${hours}h ${mins}m` : `${hours}h`
+}
@@ -0,0 +1,108 @@
+/**
+ * Spreadsheet Files
+ * src/lib/spreadsheet.js
+ *
+ * Reads an uploaded CSV or Excel (.xlsx) file as CSV text for the import
+ * endpoints, and downloads rows as CSV or .xlsx. Excel support loads exceljs
+ * on first use so it stays out of the main bundle.
+ */
+
+import { toCsv, toCsvRows } from "./csv"
+
+export const SPREADSHEET_FORMAT = {
+  CSV: "csv",
+  XLSX: "xlsx",
+}
+
+export const SPREADSHEET_ACCEPT =
+  ".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+
+const XLSX_MIME = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+
+const isXlsxFile = (fileName) => fileName?.toLowerCase().endsWith(".xlsx")
+
+/** Plain value of an exceljs cell (formulas give their result, links their text) */
+const getCellText = (value) => {
+  if (value === null || value === undefined) return ""
+  if (value instanceof Date) return value.toISOString()
+  if (typeof value === "object") {
+    if ("result" in value) return getCellText(value.result)
+    if ("text" in value) return getCellText(value.text)
+    if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join("")
+  }
+  return String(value)
+}
+
+/**
+ * Read a CSV or .xlsx file (first worksheet) as CSV text
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+export async function readSpreadsheetFile(file) {
+  if (!isXlsxFile(file.name)) return file.text()
+
+  const { default: ExcelJS } = await import("exceljs")
+  const workbook = new ExcelJS.Workbook()
+  await workbook.xlsx.load(await file.arrayBuffer())
+
+  const worksheet = workbook.worksheets[0]
+  if (!worksheet) return ""
+
+  const rows = []
+  worksheet.eachRow({ includeEmpty: false }, (row) => {
+    // row.values is 1-based; index 0 is always empty
+    rows.push(row.values.slice(1).map(getCellText))
+  })
+  return toCsvRows(rows)
+}
+
+const saveBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement("a")
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Download rows as a CSV or .xlsx file
+ * @param {Object} params
+ * @param {string} params.fileName - Without extension
+ * @param {{ key: string, label?: string }[]} params.columns
+ * @param {Object[]} params.rows
+ * @param {string} [params.format] - SPREADSHEET_FORMAT, defaults to CSV
+ * @param {string} [params.sheetName] - Worksheet name for .xlsx
+ */
+export async function downloadSpreadsheet({
+  fileName,
+  columns,
+  rows,
+  format = SPREADSHEET_FORMAT.CSV,
+  sheetName = "Sheet1",
+}) {
+  if (format !== SPREADSHEET_FORMAT.XLSX) {
+    // The BOM makes Excel open the file as UTF-8
+    const csv = `\uFEFF${toCsv(rows, columns)}`
+    saveBlob(new Blob([csv], { type: "text/csv;charset=utf-8" }), `${fileName}.csv`)
+    return
+  }
+
+  const { default: ExcelJS } = await import("exceljs")
+  const workbook = new ExcelJS.Workbook()
+  const worksheet = workbook.addWorksheet(sheetName)
+
+  worksheet.columns = columns.map((column) => ({
+    header: column.label ?? column.key,
+    key: column.key,
+    width: Math.max(12, (column.label ?? column.key).length + 2),
+  }))
+  worksheet.getRow(1).font = { bold: true }
+  worksheet.views = [{ state: "frozen", ySplit: 1 }]
+  rows.forEach((row) => worksheet.addRow(row))
+
+  const buffer = await workbook.xlsx.writeBuffer()
+  saveBlob(new Blob([buffer], { type: XLSX_MIME }), `${fileName}.xlsx`)
+}
@@ -0,0 +1,127 @@
+/**
+ * Units of Measure
+ * src/lib/units.js
+ *
+ * Registry of the units BOM lines and inventory are written in, with the
+ * factor that converts each to the base unit of its dimension (meter, gram,
+ * piece). BOM quantities are converted to the unit the material is stocked in
+ * before they are compared with stock; units of different dimensions
+ * (meters of a material stocked in grams) cannot be converted.
+ *
+ * Unit names are matched case-insensitively, singular or plural ("yards"),
+ * and by their short forms ("m", "kg").
+ */
+
+export const UNIT_DIMENSION = {
+  LENGTH: "LENGTH",
+  MASS: "MASS",
+  COUNT: "COUNT",
+}
+
+export const UNIT_DIMENSION_CONFIG = {
+  LENGTH: { label: "Length", baseUnit: "Meter" },
+  MASS: { label: "Weight", baseUnit: "Gram" },
+  COUNT: { label: "Count", baseUnit: "Piece" },
+}
+
+/** factor: how many base units of the dimension one of the unit is */
+export const UNIT_REGISTRY = {
+  Meter: { dimension: UNIT_DIMENSION.LENGTH, factor: 1, aliases: ["m", "metre"] },
+  Centimeter: { dimension: UNIT_DIMENSION.LENGTH, factor: 0.01, aliases: ["cm", "centimetre"] },
+  Yard: { dimension: UNIT_DIMENSION.LENGTH, factor: 0.9144, aliases: ["yd", "yds"] },
+  Inch: { dimension: UNIT_DIMENSION.LENGTH, factor: 0.0254, aliases: ["in", "inches"] },
+  Gram: { dimension: UNIT_DIMENSION.MASS, factor: 1, aliases: ["g", "gm", "gms"] },
+  Kilogram: { dimension: UNIT_DIMENSION.MASS, factor: 1000, aliases: ["kg", "kgs"] },
+  Piece: { dimension: UNIT_DIMENSION.COUNT, factor: 1, aliases: ["pc", "pcs"] },
+  Dozen: { dimension: UNIT_DIMENSION.COUNT, factor: 12, aliases: ["dz"] },
+}
+
+export const UNIT_NAMES = Object.keys(UNIT_REGISTRY)
+
+// Quantities are kept to 4 decimals so 1 Meter in Yards stays readable
+const roundQuantity = (quantity) => Math.round(quantity * 10000) / 10000
+
+/**
+ * Registry name of a unit as written on an item or BOM line
+ * @returns {string|null} e.g. "Yard" for "yards", null for units not in the registry
+ */
+export const normalizeUnit = (unit) => {
+  const text = String(unit ?? "")
+    .trim()
+    .toLowerCase()
+  if (!text) return null
+
+  return (
+    UNIT_NAMES.find((name) => {
+      const lower = name.toLowerCase()
+      return (
+        text === lower ||
+        text === `${lower}s` ||
+        UNIT_REGISTRY[name].aliases.includes(text) ||
+        UNIT_REGISTRY[name].aliases.some((alias) => text === `${alias}s`)
+      )
+    }) || null
+  )
+}
+
+const isSameUnit = (a, b) =>
+  String(a ?? "")
+    .trim()
+    .toLowerCase() ===
+  String(b ?? "")
+    .trim()
+    .toLowerCase()
+
+/**
+ * Whether a quantity in one unit can be expressed in the other. Units outside
+ * the registry only convert to themselves.
+ */
+export const areUnitsCompatible = (fromUnit, toUnit) => {
+  if (isSameUnit(fromUnit, toUnit)) return true
+  const from = normalizeUnit(fromUnit)
+  const to = normalizeUnit(toUnit)
+  return !!from && !!to && UNIT_REGISTRY[from].dimension === UNIT_REGISTRY[to].dimension
+}
+
+/**
+ * Units a quantity of the given unit can be written in, the unit itself first
+ * @returns {string[]} Registry names, or just the unit when it is not in the registry
+ */
+export const getCompatibleUnits = (unit) => {
+  const name = normalizeUnit(unit)
+  if (!name) return unit ? [unit] : []
+  const { dimension } = UNIT_REGISTRY[name]
+  return [
+    name,
+    ...UNIT_NAMES.filter((other) => other !== name && UNIT_REGISTRY[other].dimension === dimension),
+  ]
+}
+
+/**
+ * Why a quantity cannot be converted, or null when it can
+ */
+export const getUnitMismatch = (fromUnit, toUnit) => {
+  if (areUnitsCompatible(fromUnit, toUnit)) return null
+  const unknown = [fromUnit, toUnit].filter((unit) => !normalizeUnit(unit))
+  if (unknown.length > 0) {
+    return `Unknown unit ${unknown.map((unit) => `"${unit || ""}"`).join(" and ")}, cannot convert ${fromUnit || "—"} to ${toUnit || "—"}`
+  }
+  const fromDimension = UNIT_DIMENSION_CONFIG[UNIT_REGISTRY[normalizeUnit(fromUnit)].dimension]
+  const toDimension = UNIT_DIMENSION_CONFIG[UNIT_REGISTRY[normalizeUnit(toUnit)].dimension]
+  return `Cannot convert ${fromUnit} (${fromDimension.label.toLowerCase()}) to ${toUnit} (${toDimension.label.toLowerCase()})`
+}
+
+/**
+ * Convert a quantity between units of the same dimension
+ * @throws {Error} When the units are unknown or of different dimensions
+ */
+export const convertQuantity = (quantity, fromUnit, toUnit) => {
+  if (isSameUnit(fromUnit, toUnit)) return quantity
+
+  const mismatch = getUnitMismatch(fromUnit, toUnit)
+  if (mismatch) throw new Error(mismatch)
+
+  const from = UNIT_REGISTRY[normalizeUnit(fromUnit)]
+  const to = UNIT_REGISTRY[normalizeUnit(toUnit)]
+  return roundQuantity((quantity * from.factor) / to.factor)
+}
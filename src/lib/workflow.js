@@ -0,0 +1,653 @@
+/**
+ * Workflow State Machine
+ * src/lib/workflow.js
+ *
+ * One declarative table of every legal status move for orders, order items,
+ * sections and packets. The MSW handlers check it before mutating anything and
+ * answer illegal moves with a 409; the UI reads the same table to decide which
+ * action buttons to show.
+ *
+ * Edge shape:
+ *   ACTION_NAME: {
+ *     label,          // Button / log label
+ *     from,           // Array of statuses, or "*" for any status
+ *     notFrom,        // Optional - statuses excluded when from is "*"
+ *     to,             // Target status, or array when the handler picks one from data
+ *     permissions,    // Actor needs ANY of these (checked when the actor is known)
+ *     preconditions,  // Names from WORKFLOW_PRECONDITIONS, all must pass
+ *     system,         // true = only performed by the server as a side-effect
+ *   }
+ *
+ * Order item statuses that are recomputed from section statuses (PARTIALLY_IN_DYEING,
+ * PARTIAL_IN_PRODUCTION, ...) are derived values, not edges, so they are not listed.
+ */
+
+import {
+  ORDER_STATUS,
+  ORDER_ITEM_STATUS,
+  SECTION_STATUS,
+  PACKET_STATUS,
+  READY_STOCK_ROUTE,
+} from "@/constants/orderConstants"
+import { getPaymentTotals } from "./payments"
+import { hasAnyPermission } from "./rbac"
+
+export const WORKFLOW_LEVEL = {
+  ORDER: "ORDER",
+  ORDER_ITEM: "ORDER_ITEM",
+  SECTION: "SECTION",
+  PACKET: "PACKET",
+}
+
+const LEVEL_LABELS = {
+  ORDER: "Order",
+  ORDER_ITEM: "Order item",
+  SECTION: "Section",
+  PACKET: "Packet",
+}
+
+// Order statuses reached once QA has handed the order to Sales
+const ORDER_STATUSES_WITH_SALES = [
+  ORDER_STATUS.READY_FOR_CLIENT_APPROVAL,
+  ORDER_STATUS.AWAITING_CLIENT_APPROVAL,
+  ORDER_STATUS.AWAITING_ACCOUNT_APPROVAL,
+  ORDER_STATUS.READY_FOR_DISPATCH,
+  ORDER_STATUS.DISPATCHED,
+  ORDER_STATUS.COMPLETED,
+  ORDER_STATUS.CANCELLED,
+  ORDER_STATUS.CANCELLED_BY_CLIENT,
+]
+
+const INVENTORY_CHECK_PERMISSIONS = [
+  "orders.edit",
+  "orders.manage_customer_forms",
+  "inventory.stock_out",
+]
+
+// ============================================================================
+// PRECONDITIONS
+// ============================================================================
+
+const sameUser = (a, b) => a !== null && a !== undefined && String(a) === String(b)
+
+// Items filled from ready stock and sent straight to dispatch never get a client video
+const skipsClientVideo = (item) => item.readyStockFulfillment?.route === READY_STOCK_ROUTE.DISPATCH
+
+/**
+ * Named guards referenced by the transition table.
+ * Each returns an error message when the move is not allowed, or null.
+ *
+ * @param {Object} entity - The order / order item / section / packet being moved
+ * @param {Object} context - { user, userId, orderItem, orderItems, ... }
+ */
+export const WORKFLOW_PRECONDITIONS = {
+  orderFormGenerated: (item) =>
+    item.orderFormGenerated ? null : "Order form has not been generated yet",
+
+  customBOMHasItems: (item) =>
+    item.customBOM?.items?.length > 0
+      ? null
+      : "Custom BOM must have at least one item before submitting",
+
+  allSectionsQAApproved: (item) => {
+    const sections = Object.values(item.sectionStatuses || {})
+    return sections.length > 0 && sections.every((s) => s.status === SECTION_STATUS.QA_APPROVED)
+      ? null
+      : "All sections must be QA_APPROVED before uploading video"
+  },
+
+  hasReVideoRequest: (item) =>
+    item.reVideoRequest ? null : "No re-video request found for this order item",
+
+  allOrderItemsHaveVideos: (order, { orderItems = [] }) =>
+    orderItems.length > 0 &&
+    orderItems.every((oi) => oi.videoData?.youtubeUrl || skipsClientVideo(oi))
+      ? null
+      : "All order items must have videos uploaded before sending to Sales",
+
+  orderFullyPaid: (order) => {
+    const { netPaid: totalPaid, remainingAmount } = getPaymentTotals(order)
+    return totalPaid >= order.totalAmount
+      ? null
+      : `Payment insufficient. Total: ${order.currency} ${order.totalAmount}, Paid: ${order.currency} ${totalPaid}, Remaining: ${order.currency} ${remainingAmount}`
+  },
+
+  noOtherDyeingAssignee: (section, { orderItem, userId }) => {
+    const otherAssignee = Object.values(orderItem?.sectionStatuses || {}).find(
+      (s) =>
+        s.dyeingAcceptedBy &&
+        !sameUser(s.dyeingAcceptedBy, userId) &&
+        [SECTION_STATUS.DYEING_ACCEPTED, SECTION_STATUS.DYEING_IN_PROGRESS].includes(s.status)
+    )
+    return otherAssignee ? "Another user has already accepted tasks for this order item" : null
+  },
+
+  acceptedByActor: (section, { userId }) =>
+    sameUser(section.dyeingAcceptedBy, userId)
+      ? null
+      : "Only the user who accepted this section can move it",
+
+  packetAssignedToActor: (packet, { userId }) =>
+    sameUser(packet.assignedTo, userId) ? null : "Only the assigned user can work on this packet",
+
+  allPacketItemsPicked: (packet) => {
+    const unPicked = (packet.pickList || []).filter((item) => !item.isPicked).length
+    return unPicked === 0
+      ? null
+      : `${unPicked} items not yet picked. Please pick all items before completing.`
+  },
+}
+
+// ============================================================================
+// TRANSITION TABLE
+// ============================================================================
+
+export const WORKFLOW_TRANSITIONS = {
+  [WORKFLOW_LEVEL.ORDER]: {
+    SEND_TO_SALES: {
+      label: "Send to Sales",
+      from: "*",
+      notFrom: ORDER_STATUSES_WITH_SALES,
+      to: ORDER_STATUS.READY_FOR_CLIENT_APPROVAL,
+      permissions: ["qa.send_to_sales"],
+      preconditions: ["allOrderItemsHaveVideos"],
+    },
+    SEND_TO_CLIENT: {
+      label: "Send to Client",
+      from: [ORDER_STATUS.READY_FOR_CLIENT_APPROVAL],
+      to: ORDER_STATUS.AWAITING_CLIENT_APPROVAL,
+      permissions: ["sales.send_to_client"],
+    },
+    MARK_CLIENT_APPROVED: {
+      label: "Client Approved",
+      from: [ORDER_STATUS.AWAITING_CLIENT_APPROVAL],
+      to: ORDER_STATUS.AWAITING_ACCOUNT_APPROVAL,
+      permissions: ["sales.mark_client_approved", "sales.mark_approved"],
+    },
+    REQUEST_REVIDEO: {
+      label: "Request Re-video",
+      from: [ORDER_STATUS.AWAITING_CLIENT_APPROVAL],
+      to: ORDER_STATUS.AWAITING_CLIENT_APPROVAL,
+      permissions: ["sales.request_revideo"],
+    },
+    REQUEST_ALTERATION: {
+      label: "Request Alteration",
+      from: [ORDER_STATUS.AWAITING_CLIENT_APPROVAL],
+      to: ORDER_STATUS.AWAITING_CLIENT_APPROVAL,
+      permissions: ["sales.request_alteration"],
+    },
+    CANCEL_BY_CLIENT: {
+      label: "Client Rejected",
+      from: [ORDER_STATUS.AWAITING_CLIENT_APPROVAL],
+      to: ORDER_STATUS.CANCELLED_BY_CLIENT,
+      permissions: ["sales.cancel_order"],
+    },
+    START_FROM_SCRATCH: {
+      label: "Start from Scratch",
+      from: [ORDER_STATUS.AWAITING_CLIENT_APPROVAL],
+      to: ORDER_STATUS.INVENTORY_CHECK,
+      permissions: ["sales.start_from_scratch"],
+    },
+    // Every item of an RTS order was filled from ready stock for dispatch
+    FULFILL_FROM_READY_STOCK: {
+      label: "Filled from Ready Stock",
+      from: "*",
+      notFrom: ORDER_STATUSES_WITH_SALES,
+      to: ORDER_STATUS.AWAITING_ACCOUNT_APPROVAL,
+      system: true,
+    },
+    APPROVE_PAYMENTS: {
+      label: "Approve Payments",
+      from: [ORDER_STATUS.AWAITING_ACCOUNT_APPROVAL],
+      to: ORDER_STATUS.READY_FOR_DISPATCH,
+      permissions: ["sales.approve_payments"],
+      preconditions: ["orderFullyPaid"],
+    },
+    DISPATCH: {
+      label: "Dispatch",
+      from: [ORDER_STATUS.READY_FOR_DISPATCH],
+      to: ORDER_STATUS.DISPATCHED,
+      permissions: ["dispatch.manage"],
+    },
+    COMPLETE: {
+      label: "Mark Completed",
+      from: [ORDER_STATUS.DISPATCHED],
+      to: ORDER_STATUS.COMPLETED,
+      permissions: ["dispatch.manage"],
+    },
+  },
+
+  [WORKFLOW_LEVEL.ORDER_ITEM]: {
+    GENERATE_FORM: {
+      label: "Generate Order Form",
+      from: [
+        ORDER_ITEM_STATUS.RECEIVED,
+        ORDER_ITEM_STATUS.AWAITING_CUSTOMER_FORM_APPROVAL,
+        ORDER_ITEM_STATUS.FABRICATION_BESPOKE,
+        ORDER_ITEM_STATUS.INVENTORY_CHECK,
+      ],
+      to: ORDER_ITEM_STATUS.AWAITING_CUSTOMER_FORM_APPROVAL,
+      permissions: ["orders.manage_customer_forms"],
+    },
+    APPROVE_FORM: {
+      label: "Mark as Customer Approved",
+      from: [ORDER_ITEM_STATUS.AWAITING_CUSTOMER_FORM_APPROVAL],
+      to: [ORDER_ITEM_STATUS.FABRICATION_BESPOKE, ORDER_ITEM_STATUS.INVENTORY_CHECK],
+      permissions: ["orders.approve_customer_forms"],
+      preconditions: ["orderFormGenerated"],
+    },
+    SUBMIT_CUSTOM_BOM: {
+      label: "Submit Custom BOM",
+      from: [ORDER_ITEM_STATUS.FABRICATION_BESPOKE],
+      to: ORDER_ITEM_STATUS.INVENTORY_CHECK,
+      permissions: ["fabrication.create_bom", "fabrication.edit_bom"],
+      preconditions: ["customBOMHasItems"],
+    },
+    RUN_INVENTORY_CHECK: {
+      label: "Run Inventory Check",
+      from: [ORDER_ITEM_STATUS.INVENTORY_CHECK],
+      to: [
+        ORDER_ITEM_STATUS.CREATE_PACKET,
+        ORDER_ITEM_STATUS.PARTIAL_CREATE_PACKET,
+        ORDER_ITEM_STATUS.AWAITING_MATERIAL,
+      ],
+      permissions: INVENTORY_CHECK_PERMISSIONS,
+    },
+    FULFILL_FROM_READY_STOCK: {
+      label: "Fill from Ready Stock",
+      from: [ORDER_ITEM_STATUS.INVENTORY_CHECK],
+      to: [ORDER_ITEM_STATUS.QUALITY_ASSURANCE, ORDER_ITEM_STATUS.READY_FOR_DISPATCH],
+      permissions: INVENTORY_CHECK_PERMISSIONS,
+    },
+    UPLOAD_VIDEO: {
+      label: "Upload Video",
+      from: [ORDER_ITEM_STATUS.ALL_SECTIONS_QA_APPROVED, ORDER_ITEM_STATUS.VIDEO_UPLOADED],
+      to: ORDER_ITEM_STATUS.VIDEO_UPLOADED,
+      permissions: ["qa.upload_video"],
+      preconditions: ["allSectionsQAApproved"],
+    },
+    UPLOAD_REVIDEO: {
+      label: "Upload Re-video",
+      from: [
+        ORDER_ITEM_STATUS.VIDEO_UPLOADED,
+        ORDER_ITEM_STATUS.READY_FOR_CLIENT_APPROVAL,
+        ORDER_ITEM_STATUS.AWAITING_CLIENT_APPROVAL,
+      ],
+      to: ORDER_ITEM_STATUS.VIDEO_UPLOADED,
+      permissions: ["qa.upload_video"],
+      preconditions: ["hasReVideoRequest"],
+    },
+    MATERIAL_RECEIVED: {
+      label: "Material Received",
+      from: [ORDER_ITEM_STATUS.AWAITING_MATERIAL, ORDER_ITEM_STATUS.PARTIAL_CREATE_PACKET],
+      to: [ORDER_ITEM_STATUS.CREATE_PACKET, ORDER_ITEM_STATUS.PARTIAL_CREATE_PACKET],
+      system: true,
+    },
+    // Cascades driven by the order-level actions above
+    SEND_TO_SALES: {
+      label: "Send to Sales",
+      from: [ORDER_ITEM_STATUS.VIDEO_UPLOADED],
+      to: ORDER_ITEM_STATUS.READY_FOR_CLIENT_APPROVAL,
+      system: true,
+    },
+    SEND_TO_CLIENT: {
+      label: "Send to Client",
+      from: [ORDER_ITEM_STATUS.READY_FOR_CLIENT_APPROVAL],
+      to: ORDER_ITEM_STATUS.AWAITING_CLIENT_APPROVAL,
+      system: true,
+    },
+    MARK_CLIENT_APPROVED: {
+      label: "Client Approved",
+      from: [ORDER_ITEM_STATUS.AWAITING_CLIENT_APPROVAL, ORDER_ITEM_STATUS.VIDEO_UPLOADED],
+      to: ORDER_ITEM_STATUS.CLIENT_APPROVED,
+      system: true,
+    },
+    REQUEST_ALTERATION: {
+      label: "Request Alteration",
+      from: [
+        ORDER_ITEM_STATUS.AWAITING_CLIENT_APPROVAL,
+        ORDER_ITEM_STATUS.VIDEO_UPLOADED,
+        ORDER_ITEM_STATUS.ALTERATION_REQUIRED,
+      ],
+      to: ORDER_ITEM_STATUS.ALTERATION_REQUIRED,
+      system: true,
+    },
+    CANCEL_BY_CLIENT: {
+      label: "Client Rejected",
+      from: "*",
+      to: ORDER_ITEM_STATUS.CANCELLED_BY_CLIENT,
+      system: true,
+    },
+    START_FROM_SCRATCH: {
+      label: "Start from Scratch",
+      from: "*",
+      to: ORDER_ITEM_STATUS.INVENTORY_CHECK,
+      system: true,
+    },
+    APPROVE_PAYMENTS: {
+      label: "Approve Payments",
+      from: [ORDER_ITEM_STATUS.CLIENT_APPROVED],
+      to: ORDER_ITEM_STATUS.READY_FOR_DISPATCH,
+      system: true,
+    },
+    DISPATCH: {
+      label: "Dispatch",
+      from: [ORDER_ITEM_STATUS.READY_FOR_DISPATCH],
+      to: ORDER_ITEM_STATUS.DISPATCHED,
+      system: true,
+    },
+    COMPLETE: {
+      label: "Mark Completed",
+      from: [ORDER_ITEM_STATUS.DISPATCHED],
+      to: ORDER_ITEM_STATUS.COMPLETED,
+      system: true,
+    },
+  },
+
+  [WORKFLOW_LEVEL.SECTION]: {
+    RECHECK_INVENTORY: {
+      label: "Re-run Inventory Check",
+      from: [SECTION_STATUS.AWAITING_MATERIAL, SECTION_STATUS.PENDING_INVENTORY_CHECK],
+      to: [SECTION_STATUS.INVENTORY_PASSED, SECTION_STATUS.AWAITING_MATERIAL],
+      permissions: INVENTORY_CHECK_PERMISSIONS,
+    },
+    VERIFY_PACKET: {
+      label: "Verify Packet",
+      from: [
+        SECTION_STATUS.INVENTORY_PASSED,
+        SECTION_STATUS.CREATE_PACKET,
+        SECTION_STATUS.PACKET_CREATED,
+        SECTION_STATUS.PACKET_VERIFIED,
+      ],
+      to: SECTION_STATUS.READY_FOR_DYEING,
+      permissions: ["production.approve_packets"],
+    },
+    ACCEPT_DYEING: {
+      label: "Accept for Dyeing",
+      from: [SECTION_STATUS.READY_FOR_DYEING],
+      to: SECTION_STATUS.DYEING_ACCEPTED,
+      permissions: ["dyeing.accept"],
+      preconditions: ["noOtherDyeingAssignee"],
+    },
+    START_DYEING: {
+      label: "Start Dyeing",
+      from: [SECTION_STATUS.DYEING_ACCEPTED],
+      to: SECTION_STATUS.DYEING_IN_PROGRESS,
+      permissions: ["dyeing.start"],
+      preconditions: ["acceptedByActor"],
+    },
+    COMPLETE_DYEING: {
+      label: "Complete Dyeing",
+      from: [SECTION_STATUS.DYEING_ACCEPTED, SECTION_STATUS.DYEING_IN_PROGRESS],
+      to: SECTION_STATUS.READY_FOR_PRODUCTION,
+      permissions: ["dyeing.complete"],
+      preconditions: ["acceptedByActor"],
+    },
+    REJECT_DYEING: {
+      label: "Reject",
+      from: [
+        SECTION_STATUS.READY_FOR_DYEING,
+        SECTION_STATUS.DYEING_ACCEPTED,
+        SECTION_STATUS.DYEING_IN_PROGRESS,
+      ],
+      to: SECTION_STATUS.PENDING_INVENTORY_CHECK,
+      permissions: ["dyeing.accept"],
+    },
+    START_REWORK: {
+      label: "Create Rework Tasks",
+      from: [SECTION_STATUS.QA_REJECTED, SECTION_STATUS.READY_FOR_PRODUCTION],
+      to: SECTION_STATUS.READY_FOR_PRODUCTION,
+      permissions: ["production.assign_tasks"],
+    },
+    START_PRODUCTION: {
+      label: "Start Production",
+      from: [SECTION_STATUS.READY_FOR_PRODUCTION, SECTION_STATUS.DYEING_COMPLETED],
+      to: SECTION_STATUS.IN_PRODUCTION,
+      permissions: ["production.assign_tasks", "production.manage"],
+    },
+    COMPLETE_PRODUCTION: {
+      label: "Production Completed",
+      from: [SECTION_STATUS.IN_PRODUCTION],
+      to: SECTION_STATUS.PRODUCTION_COMPLETED,
+      system: true,
+    },
+    SEND_TO_QA: {
+      label: "Send to QA",
+      from: [SECTION_STATUS.PRODUCTION_COMPLETED],
+      to: SECTION_STATUS.QA_PENDING,
+      permissions: ["production.send_to_qa"],
+    },
+    QA_APPROVE: {
+      label: "Approve",
+      from: [SECTION_STATUS.QA_PENDING],
+      to: SECTION_STATUS.QA_APPROVED,
+      permissions: ["qa.approve"],
+    },
+    QA_REJECT: {
+      label: "Reject",
+      from: [SECTION_STATUS.QA_PENDING],
+      to: SECTION_STATUS.QA_REJECTED,
+      permissions: ["qa.reject", "qa.request_rework"],
+    },
+    REQUEST_ALTERATION: {
+      label: "Request Alteration",
+      from: [SECTION_STATUS.QA_APPROVED],
+      to: SECTION_STATUS.READY_FOR_PRODUCTION,
+      system: true,
+    },
+  },
+
+  [WORKFLOW_LEVEL.PACKET]: {
+    ASSIGN: {
+      label: "Assign",
+      from: [PACKET_STATUS.PENDING, PACKET_STATUS.ASSIGNED],
+      to: PACKET_STATUS.ASSIGNED,
+      permissions: ["production.assign_tasks"],
+    },
+    START: {
+      label: "Start Picking",
+      from: [PACKET_STATUS.ASSIGNED],
+      to: PACKET_STATUS.IN_PROGRESS,
+      permissions: [],
+      preconditions: ["packetAssignedToActor"],
+    },
+    // Picking keeps the packet IN_PROGRESS; it takes stock out of inventory
+    PICK_ITEM: {
+      label: "Pick Item",
+      from: [PACKET_STATUS.IN_PROGRESS],
+      to: PACKET_STATUS.IN_PROGRESS,
+      permissions: [],
+    },
+    COMPLETE: {
+      label: "Mark Complete",
+      from: [PACKET_STATUS.IN_PROGRESS],
+      to: PACKET_STATUS.COMPLETED,
+      permissions: [],
+      preconditions: ["packetAssignedToActor", "allPacketItemsPicked"],
+    },
+    APPROVE: {
+      label: "Approve Packet",
+      from: [PACKET_STATUS.COMPLETED],
+      to: PACKET_STATUS.APPROVED,
+      permissions: ["production.approve_packets"],
+    },
+    REJECT: {
+      label: "Reject Packet",
+      from: [PACKET_STATUS.COMPLETED],
+      to: PACKET_STATUS.ASSIGNED,
+      permissions: ["production.approve_packets"],
+    },
+  },
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Look up a transition by level and action name
+ * @throws {Error} for unknown actions - that is a programming error, not a user error
+ */
+export function getTransition(level, action) {
+  const transition = WORKFLOW_TRANSITIONS[level]?.[action]
+  if (!transition) {
+    throw new Error(`Unknown workflow transition: ${level}.${action}`)
+  }
+  return transition
+}
+
+const isFromAllowed = (transition, status) => {
+  if (transition.from === "*") {
+    return !(transition.notFrom || []).includes(status)
+  }
+  return transition.from.includes(status)
+}
+
+const getTargets = (transition) => (Array.isArray(transition.to) ? transition.to : [transition.to])
+
+/**
+ * Build the 409/403 response body for a refused transition
+ */
+const buildRefusal = (level, action, transition, status, reason, message) => ({
+  allowed: false,
+  reason,
+  httpStatus: reason === "PERMISSION" ? 403 : 409,
+  body: {
+    success: false,
+    error: reason === "PERMISSION" ? "Forbidden" : "Invalid transition",
+    code: reason === "PERMISSION" ? "PERMISSION_DENIED" : "INVALID_TRANSITION",
+    message,
+    details: {
+      level,
+      action,
+      currentStatus: status ?? null,
+      allowedFrom: transition.from,
+      requiredPermissions: transition.permissions || [],
+    },
+  },
+})
+
+/**
+ * Check whether an entity may take a transition
+ *
+ * Permission checks only run when the acting user is known (context.user);
+ * system transitions are never permission-checked because the server performs
+ * them as a side-effect of another action.
+ *
+ * @param {string} level - WORKFLOW_LEVEL value
+ * @param {string} action - Action name in WORKFLOW_TRANSITIONS[level]
+ * @param {Object} entity - Object with a `status` field
+ * @param {Object} context - { user, userId, ...data needed by preconditions }
+ * @returns {Object} { allowed: true, transition } or { allowed: false, reason, httpStatus, body }
+ */
+export function checkTransition(level, action, entity, context = {}) {
+  const transition = getTransition(level, action)
+  const status = entity?.status
+  const ctx = { ...context, userId: context.userId ?? context.user?.id }
+  const entityLabel = LEVEL_LABELS[level]
+
+  if (!isFromAllowed(transition, status)) {
+    return buildRefusal(
+      level,
+      action,
+      transition,
+      status,
+      "STATUS",
+      `Cannot ${transition.label.toLowerCase()}: ${entityLabel.toLowerCase()} is ${status || "without a status"}`
+    )
+  }
+
+  if (
+    !transition.system &&
+    ctx.user &&
+    transition.permissions?.length > 0 &&
+    !hasAnyPermission(ctx.user, transition.permissions)
+  ) {
+    return buildRefusal(
+      level,
+      action,
+      transition,
+      status,
+      "PERMISSION",
+      `Missing permission for ${transition.label.toLowerCase()}: requires ${transition.permissions.join(" or ")}`
+    )
+  }
+
+  for (const name of transition.preconditions || []) {
+    const failure = WORKFLOW_PRECONDITIONS[name](entity, ctx)
+    if (failure) {
+      return buildRefusal(level, action, transition, status, "PRECONDITION", failure)
+    }
+  }
+
+  return { allowed: true, transition }
+}
+
+/**
+ * Boolean shorthand for checkTransition
+ */
+export function canTransition(level, action, entity, context = {}) {
+  return checkTransition(level, action, entity, context).allowed
+}
+
+/**
+ * Check a section-level transition for several sections of one order item.
+ * Sections are matched case-insensitively, like the handlers store them.
+ *
+ * @returns {Object} { allowed: true } or the first refusal with the offending sections listed
+ */
+export function checkSectionTransitions(action, orderItem, sectionNames, context = {}) {
+  const refusals = []
+
+  sectionNames.forEach((name) => {
+    const section = orderItem.sectionStatuses?.[name.toLowerCase()]
+    const result = checkTransition(WORKFLOW_LEVEL.SECTION, action, section, {
+      ...context,
+      orderItem,
+    })
+    if (!result.allowed) refusals.push({ name, result })
+  })
+
+  if (refusals.length === 0) return { allowed: true }
+
+  const [first] = refusals
+  return {
+    ...first.result,
+    body: {
+      ...first.result.body,
+      message: `${first.result.body.message} (sections: ${refusals.map((r) => r.name).join(", ")})`,
+      details: { ...first.result.body.details, sections: refusals.map((r) => r.name) },
+    },
+  }
+}
+
+/**
+ * List the user-facing transitions an entity can take right now.
+ * Used by the UI to decide which action buttons to render.
+ *
+ * @returns {Array<Object>} [{ action, label, to, ... }]
+ */
+export function getAvailableTransitions(level, entity, context = {}) {
+  return Object.entries(WORKFLOW_TRANSITIONS[level] || {})
+    .filter(([, transition]) => !transition.system)
+    .filter(([action]) => canTransition(level, action, entity, context))
+    .map(([action, transition]) => ({ action, ...transition }))
+}
+
+/**
+ * Find the user-facing transition that moves an entity from one status to another.
+ * Used by generic update endpoints that receive a raw target status. System
+ * transitions are never matched: they only happen as a side-effect of their
+ * own endpoint, so a raw status edit can't stand in for them.
+ *
+ * @returns {Object|null} { action, ...transition }
+ */
+export function findTransitionBetween(level, fromStatus, toStatus) {
+  const match = Object.entries(WORKFLOW_TRANSITIONS[level] || {}).find(
+    ([, transition]) =>
+      !transition.system &&
+      isFromAllowed(transition, fromStatus) &&
+      getTargets(transition).includes(toStatus)
+  )
+  return match ? { action: match[0], ...match[1] } : null
+}
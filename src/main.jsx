@@ -11,8 +11,8 @@ import "./index.css"
 
 // Initialize MSW in development
 async function enableMocking() {
-  const { worker } = await import("./mocks/browser")
-  await worker.start({
+  const { startMockWorker } = await import("./mocks/browser")
+  await startMockWorker({
     onUnhandledRequest: "bypass",
   })
 }
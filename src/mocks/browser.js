@@ -13,6 +13,19 @@ import { productionHandlers } from "./handlers/productionHandlers"
 import { qaHandlers } from "./handlers/qaHandlers"
 import { salesApprovalHandlers } from "./handlers/salesApprovalHandlers"
 import { dispatchHandlers } from "./handlers/dispatchHandlers"
+import { mockDatabaseHandlers } from "./handlers/mockDatabaseHandlers"
+import { reportsHandlers } from "./handlers/reportsHandlers"
+import { shopifyHandlers } from "./handlers/shopifyHandlers"
+import { vendorHandlers } from "./handlers/vendorHandlers"
+import { purchaseOrderHandlers } from "./handlers/purchaseOrderHandlers"
+import { stocktakeHandlers } from "./handlers/stocktakeHandlers"
+import { notificationsHandlers } from "./handlers/notificationsHandlers"
+import { clientMessagesHandlers } from "./handlers/clientMessagesHandlers"
+import { customersHandlers } from "./handlers/customersHandlers"
+import { exchangeRatesHandlers } from "./handlers/exchangeRatesHandlers"
+import { orderDocumentsHandlers } from "./handlers/orderDocumentsHandlers"
+import { portalHandlers } from "./handlers/portalHandlers"
+import { hydrateMockDatabase, schedulePersistMockDatabase } from "./data/mockDatabase"
 // Combine all handlers as we add more features
 // For now, we only have auth handlers
 const handlers = [
@@ -30,6 +43,18 @@ const handlers = [
   ...qaHandlers,
   ...salesApprovalHandlers,
   ...dispatchHandlers,
+  ...mockDatabaseHandlers,
+  ...reportsHandlers,
+  ...shopifyHandlers,
+  ...vendorHandlers,
+  ...purchaseOrderHandlers,
+  ...stocktakeHandlers,
+  ...notificationsHandlers,
+  ...clientMessagesHandlers,
+  ...customersHandlers,
+  ...exchangeRatesHandlers,
+  ...orderDocumentsHandlers,
+  ...portalHandlers,
   // Future handlers will be added here:
   // ...orderHandlers,
   // ...inventoryHandlers,
@@ -37,3 +62,22 @@ const handlers = [
 ]
 
 export const worker = setupWorker(...handlers)
+
+const READ_ONLY_METHODS = ["GET", "HEAD", "OPTIONS"]
+
+/**
+ * Start the worker with persisted mock data
+ * Restores the last IndexedDB snapshot before any handler runs, then
+ * snapshots again after every mocked request that can mutate state.
+ */
+export async function startMockWorker(options) {
+  await hydrateMockDatabase()
+
+  worker.events.on("response:mocked", ({ request }) => {
+    if (!READ_ONLY_METHODS.includes(request.method)) {
+      schedulePersistMockDatabase()
+    }
+  })
+
+  return worker.start(options)
+}
@@ -0,0 +1,101 @@
+/**
+ * Client Message Channels
+ * src/mocks/clientMessageChannels.js
+ *
+ * Transports the client message outbox delivers through, keyed by
+ * CLIENT_MESSAGE_CHANNEL. Each channel says whether it is configured and
+ * sends one message, resolving to the provider's message ID or throwing with
+ * the reason it failed. Add a channel here to make it available to Sales.
+ *
+ * EMAIL posts to an HTTP-to-SMTP relay in Mailpit's send API format, so a
+ * local Mailpit catcher (`mailpit --api-cors "*"`) receives every message.
+ * WHATSAPP posts { reference, to, text } to a webhook in front of the
+ * WhatsApp provider; the provider reports delivery back on
+ * POST /api/client-messages/webhooks/status with the same reference, signed
+ * with the shared secret in X-Webhook-Signature.
+ *
+ * The real network is reached with msw's bypass so the worker does not
+ * intercept the transport call.
+ */
+
+import { bypass } from "msw"
+import { appConfig } from "@/config/appConfig"
+import { CLIENT_MESSAGE_CHANNEL } from "@/constants/orderConstants"
+
+// Give up on a transport that does not answer
+const SEND_TIMEOUT_MS = 15000
+
+/**
+ * POST JSON to a transport and return the parsed reply
+ * Throws with the transport's own error text when it refuses the message
+ */
+const postJson = async (url, payload) => {
+  let response
+  try {
+    response = await fetch(
+      bypass(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(SEND_TIMEOUT_MS),
+      })
+    )
+  } catch (error) {
+    throw new Error(
+      error.name === "TimeoutError" ? `No answer from ${url}` : `Could not reach ${url}`
+    )
+  }
+
+  const text = await response.text()
+  if (!response.ok) {
+    throw new Error(`${response.status} ${response.statusText}${text ? ` - ${text}` : ""}`)
+  }
+
+  try {
+    return text ? JSON.parse(text) : {}
+  } catch {
+    return {}
+  }
+}
+
+const emailChannel = {
+  isConfigured: () => !!appConfig.messaging.smtpRelayUrl,
+  notConfiguredReason: "Email is not configured (set VITE_SMTP_RELAY_URL)",
+  send: async (message) => {
+    const { smtpRelayUrl, mailFrom, mailFromName } = appConfig.messaging
+    const reply = await postJson(smtpRelayUrl, {
+      From: { Email: mailFrom, Name: mailFromName },
+      To: [{ Email: message.to, Name: message.toName || "" }],
+      Subject: message.subject,
+      Text: message.body,
+      Headers: { "X-Tailor-Message-Id": message.id },
+    })
+    return reply.ID || reply.id || null
+  },
+}
+
+const whatsappChannel = {
+  isConfigured: () => !!appConfig.messaging.whatsappWebhookUrl,
+  notConfiguredReason: "WhatsApp is not configured (set VITE_WHATSAPP_WEBHOOK_URL)",
+  send: async (message) => {
+    const reply = await postJson(appConfig.messaging.whatsappWebhookUrl, {
+      reference: message.id,
+      to: message.to,
+      text: message.body,
+    })
+    return reply.id || reply.messageId || null
+  },
+}
+
+// Sales sends the text from their own phone; nothing to transport
+const manualChannel = {
+  isConfigured: () => true,
+  notConfiguredReason: null,
+  send: async () => null,
+}
+
+export const clientMessageChannels = {
+  [CLIENT_MESSAGE_CHANNEL.EMAIL]: emailChannel,
+  [CLIENT_MESSAGE_CHANNEL.WHATSAPP]: whatsappChannel,
+  [CLIENT_MESSAGE_CHANNEL.MANUAL]: manualChannel,
+}
@@ -0,0 +1,277 @@
+/**
+ * Mock Client Messages
+ * src/mocks/data/mockClientMessages.js
+ *
+ * Outbox of messages sent to customers, built from templates filled with the
+ * order's details and its items' YouTube links. A message is queued, handed
+ * to its channel (clientMessageChannels) and every status it reaches is
+ * written to the order timeline, so the timeline shows when the client was
+ * contacted and whether it arrived.
+ */
+
+import { mockOrderItems } from "./mockOrders"
+import { clientMessageChannels } from "../clientMessageChannels"
+import {
+  CLIENT_MESSAGE_CHANNEL,
+  CLIENT_MESSAGE_CHANNEL_CONFIG,
+  CLIENT_MESSAGE_STATUS,
+  CLIENT_MESSAGE_STATUS_CONFIG,
+  PHASE_14_TIMELINE_EVENTS,
+  PHASE_14_TIMELINE_MESSAGES,
+} from "@/constants/orderConstants"
+
+// ============================================================================
+// TEMPLATES
+// ============================================================================
+
+/**
+ * Template placeholders: {{customerName}}, {{orderNumber}}, {{videoLinks}},
+ * {{senderName}}. The subject is only used by email.
+ */
+export const CLIENT_MESSAGE_TEMPLATES = {
+  APPROVAL_REQUEST: {
+    key: "APPROVAL_REQUEST",
+    name: "Approval request",
+    subject: "Your order {{orderNumber}} is ready for your approval",
+    body: [
+      "Dear {{customerName}},",
+      "",
+      "Your order {{orderNumber}} is ready. Please watch the videos of your outfit below and let us know whether you approve it or would like any changes.",
+      "",
+      "{{videoLinks}}",
+      "",
+      "Kind regards,",
+      "{{senderName}}",
+    ].join("\n"),
+  },
+  APPROVAL_REMINDER: {
+    key: "APPROVAL_REMINDER",
+    name: "Approval reminder",
+    subject: "Reminder: your order {{orderNumber}} is waiting for your approval",
+    body: [
+      "Dear {{customerName}},",
+      "",
+      "Just a reminder that your order {{orderNumber}} is waiting for your approval. You can watch the videos here:",
+      "",
+      "{{videoLinks}}",
+      "",
+      "Please reply to let us know if you approve it or would like any changes.",
+      "",
+      "Kind regards,",
+      "{{senderName}}",
+    ].join("\n"),
+  },
+}
+
+const fillTemplate = (text, context) =>
+  text.replace(/\{\{(\w+)\}\}/g, (placeholder, key) => context[key] ?? placeholder)
+
+// ============================================================================
+// OUTBOX
+// ============================================================================
+
+/**
+ * Client Message Structure:
+ * {
+ *   id: string,
+ *   orderId: string,
+ *   orderNumber: string,
+ *   channel: string,              // CLIENT_MESSAGE_CHANNEL
+ *   templateKey: string|null,
+ *   to: string,                   // Email address or phone number
+ *   toName: string,
+ *   subject: string|null,
+ *   body: string,
+ *   status: string,               // CLIENT_MESSAGE_STATUS
+ *   providerMessageId: string|null,
+ *   error: string|null,
+ *   attempts: number,
+ *   statusHistory: [{ status, at, detail }],
+ *   createdAt: string,
+ *   createdBy: number,
+ *   createdByName: string,
+ *   updatedAt: string,
+ * }
+ */
+export const mockClientMessages = []
+
+export const generateClientMessageId = () =>
+  `msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+
+export const getOrderClientMessages = (orderId) =>
+  mockClientMessages
+    .filter((m) => m.orderId === orderId)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+
+/**
+ * Where a channel delivers to for an order, or null when the order lacks it
+ */
+export const getMessageRecipient = (order, channel) => {
+  const to =
+    channel === CLIENT_MESSAGE_CHANNEL.EMAIL
+      ? order.customerEmail?.trim()
+      : order.customerPhone?.replace(/[^\d+]/g, "")
+  return to ? { to, toName: order.customerName || "" } : null
+}
+
+/**
+ * Fill a template for an order
+ * @returns {{ subject: string|null, body: string }}
+ */
+export const renderClientMessage = (order, templateKey, channel, sender) => {
+  const template = CLIENT_MESSAGE_TEMPLATES[templateKey]
+
+  const videoLinks = mockOrderItems
+    .filter((oi) => oi.orderId === order.id && oi.videoData?.youtubeUrl)
+    .map((oi) => `- ${oi.productName}: ${oi.videoData.youtubeUrl}`)
+    .join("\n")
+
+  const context = {
+    customerName: order.customerName || "Customer",
+    orderNumber: order.orderNumber,
+    videoLinks: videoLinks || "(videos will follow shortly)",
+    senderName: sender?.name || "",
+  }
+
+  return {
+    subject:
+      channel === CLIENT_MESSAGE_CHANNEL.EMAIL ? fillTemplate(template.subject, context) : null,
+    body: fillTemplate(template.body, context),
+  }
+}
+
+const describeMessage = (message) => {
+  const template = CLIENT_MESSAGE_TEMPLATES[message.templateKey]
+  return `${template?.name || "Message"} via ${CLIENT_MESSAGE_CHANNEL_CONFIG[message.channel].label} to ${message.to}`
+}
+
+/**
+ * Move a message to a status and record it on the order timeline
+ */
+export const setClientMessageStatus = (order, message, status, { detail = null, user } = {}) => {
+  const now = new Date().toISOString()
+
+  message.status = status
+  message.updatedAt = now
+  message.statusHistory.push({ status, at: now, detail })
+
+  const statusLabel = CLIENT_MESSAGE_STATUS_CONFIG[status].label.toLowerCase()
+  if (!order.timeline) order.timeline = []
+  order.timeline.push({
+    id: `log-${Date.now()}-${message.id}-${status.toLowerCase()}`,
+    action: PHASE_14_TIMELINE_MESSAGES.CLIENT_MESSAGE_STATUS(
+      describeMessage(message),
+      statusLabel,
+      detail
+    ),
+    user: user || "System",
+    timestamp: now,
+    event: PHASE_14_TIMELINE_EVENTS.CLIENT_MESSAGE_STATUS,
+    messageId: message.id,
+    messageStatus: status,
+  })
+}
+
+/**
+ * Put a message in the outbox
+ * Callers validate it with getClientMessageDraftError first.
+ */
+export const queueClientMessage = (order, { channel, templateKey, subject, body, sender }) => {
+  const now = new Date().toISOString()
+  const message = {
+    id: generateClientMessageId(),
+    orderId: order.id,
+    orderNumber: order.orderNumber,
+    channel,
+    templateKey: templateKey || null,
+    ...getMessageRecipient(order, channel),
+    subject: channel === CLIENT_MESSAGE_CHANNEL.EMAIL ? subject || "" : null,
+    body,
+    status: CLIENT_MESSAGE_STATUS.QUEUED,
+    providerMessageId: null,
+    error: null,
+    attempts: 0,
+    statusHistory: [],
+    createdAt: now,
+    createdBy: sender.id,
+    createdByName: sender.name,
+    updatedAt: now,
+  }
+
+  mockClientMessages.push(message)
+  setClientMessageStatus(order, message, CLIENT_MESSAGE_STATUS.QUEUED, { user: sender.name })
+  return message
+}
+
+/**
+ * Hand a queued (or failed) message to its channel
+ * Never throws: a transport failure leaves the message FAILED with the reason.
+ */
+export const deliverClientMessage = async (order, message, user) => {
+  const channel = clientMessageChannels[message.channel]
+  message.attempts += 1
+
+  if (!channel.isConfigured()) {
+    message.error = channel.notConfiguredReason
+    setClientMessageStatus(order, message, CLIENT_MESSAGE_STATUS.FAILED, {
+      detail: message.error,
+    })
+    return message
+  }
+
+  try {
+    message.providerMessageId = await channel.send(message)
+    message.error = null
+    // A hand-sent message was sent by the user who recorded it
+    setClientMessageStatus(order, message, CLIENT_MESSAGE_STATUS.SENT, {
+      user: message.channel === CLIENT_MESSAGE_CHANNEL.MANUAL ? user?.name : null,
+    })
+  } catch (error) {
+    message.error = error.message
+    setClientMessageStatus(order, message, CLIENT_MESSAGE_STATUS.FAILED, { detail: error.message })
+  }
+
+  return message
+}
+
+// A receipt can only move a message forward
+const RECEIPT_TRANSITIONS = {
+  [CLIENT_MESSAGE_STATUS.DELIVERED]: [CLIENT_MESSAGE_STATUS.SENT],
+  [CLIENT_MESSAGE_STATUS.READ]: [CLIENT_MESSAGE_STATUS.SENT, CLIENT_MESSAGE_STATUS.DELIVERED],
+  [CLIENT_MESSAGE_STATUS.FAILED]: [CLIENT_MESSAGE_STATUS.SENT, CLIENT_MESSAGE_STATUS.DELIVERED],
+}
+
+export const RECEIPT_STATUSES = Object.keys(RECEIPT_TRANSITIONS)
+
+/**
+ * Apply a delivery receipt from a provider
+ * @returns {boolean} false when the receipt is stale (e.g. DELIVERED after READ)
+ */
+export const applyDeliveryReceipt = (order, message, status, error) => {
+  if (!RECEIPT_TRANSITIONS[status]?.includes(message.status)) return false
+
+  if (status === CLIENT_MESSAGE_STATUS.FAILED) message.error = error || "Delivery failed"
+  setClientMessageStatus(order, message, status, {
+    detail: status === CLIENT_MESSAGE_STATUS.FAILED ? message.error : null,
+  })
+  return true
+}
+
+/**
+ * Check a message Sales is about to send
+ * @returns {string|null} What is wrong with it, or null when it can be queued
+ */
+export const getClientMessageDraftError = (order, { channel, templateKey, subject, body }) => {
+  if (!clientMessageChannels[channel]) return `Unknown channel: ${channel}`
+  if (templateKey && !CLIENT_MESSAGE_TEMPLATES[templateKey]) {
+    return `Unknown template: ${templateKey}`
+  }
+  if (!getMessageRecipient(order, channel)) {
+    return `Order has no ${CLIENT_MESSAGE_CHANNEL_CONFIG[channel].recipientLabel.toLowerCase()}`
+  }
+  if (channel === CLIENT_MESSAGE_CHANNEL.EMAIL && !subject?.trim()) {
+    return "Email subject is required"
+  }
+  if (!body?.trim()) return "Message text is required"
+  return null
+}
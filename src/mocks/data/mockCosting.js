@@ -0,0 +1,293 @@
+/**
+ * Mock Costing Service
+ * src/mocks/data/mockCosting.js
+ *
+ * Values stock and order items in PKR. Simple items carry a weighted average
+ * cost (average_cost) that every priced stock-in moves; until the first one it
+ * is the item's unit_price. Ready stock is valued at its variant price.
+ *
+ * An order item's material cost is what its packet picks consumed, at the cost
+ * recorded on the pick. Picks put back into stock after a dyeing rejection no
+ * longer count. Sections that have not been picked yet are estimated from the
+ * custom or standard BOM at today's average cost. An item filled from ready
+ * stock costs the variant it took, shared over its pieces by price.
+ *
+ * Piece prices are in the order currency. Margins are worked out in PKR, with
+ * the prices converted at the rate of the order date; an order whose currency
+ * has no rate for that date gets no margin.
+ */
+
+import { mockInventoryItems } from "./mockInventory"
+import { getPacketByOrderItemId } from "./mockPackets"
+import { mockReservations } from "./mockReservations"
+import { getActiveBOM, getBOMItems } from "./mockProducts"
+import { mockExchangeRates } from "./mockExchangeRates"
+import { BASE_CURRENCY, SIZE_TYPE } from "@/constants/orderConstants"
+import { getExchangeRate, roundMoney } from "@/lib/currency"
+import { toStockQuantity } from "@/utils/inventoryCheck"
+
+// Price converted to PKR and what is left of it after material cost
+const withMargin = (revenue, materialCost, rate) => {
+  const revenueBase = rate === null ? null : roundMoney(revenue * rate)
+  return {
+    revenueBase,
+    margin: revenueBase === null ? null : roundMoney(revenueBase - materialCost),
+  }
+}
+
+const sumOrNull = (rows, field) =>
+  rows.some((row) => row[field] === null)
+    ? null
+    : roundMoney(rows.reduce((sum, row) => sum + row[field], 0))
+
+/**
+ * Current cost of one unit of an item (or of one ready stock variant)
+ */
+export const getUnitCost = (item, variantId = null) => {
+  if (!item) return 0
+  if (item.has_variants) {
+    const variant = variantId ? item.variants.find((v) => v.variant_id === variantId) : null
+    return variant?.price || item.base_price || 0
+  }
+  return item.average_cost ?? item.unit_price ?? 0
+}
+
+/**
+ * Move a simple item's weighted average cost for a receipt
+ * Call before the received quantity is added to remaining_stock.
+ *
+ * @param {Object} item - Simple inventory item (updated in place)
+ * @param {number} quantity - Quantity received
+ * @param {number} [unitCost] - Price paid per unit, defaults to the current average
+ * @returns {number} The unit cost the receipt was booked at
+ */
+export const applyReceiptCost = (item, quantity, unitCost) => {
+  const currentCost = getUnitCost(item)
+  const receiptCost = unitCost > 0 ? unitCost : currentCost
+  const stockBefore = Math.max(0, item.remaining_stock || 0)
+
+  item.average_cost = roundMoney(
+    (stockBefore * currentCost + quantity * receiptCost) / (stockBefore + quantity)
+  )
+  return receiptCost
+}
+
+/**
+ * Stock value of one item at its current cost
+ */
+export const getStockValue = (item) => {
+  if (item.has_variants) {
+    return item.variants.reduce(
+      (sum, v) => sum + v.remaining_stock * getUnitCost(item, v.variant_id),
+      0
+    )
+  }
+  return (item.remaining_stock || 0) * getUnitCost(item)
+}
+
+/**
+ * Total inventory valuation, split by category
+ */
+export const getInventoryValuation = () => {
+  const byCategory = {}
+
+  mockInventoryItems.forEach((item) => {
+    if (!byCategory[item.category]) {
+      byCategory[item.category] = { category: item.category, itemCount: 0, value: 0 }
+    }
+    byCategory[item.category].itemCount += 1
+    byCategory[item.category].value += getStockValue(item)
+  })
+
+  const categories = Object.values(byCategory)
+    .map((entry) => ({ ...entry, value: roundMoney(entry.value) }))
+    .sort((a, b) => b.value - a.value)
+
+  return {
+    currency: "PKR",
+    totalValue: roundMoney(categories.reduce((sum, entry) => sum + entry.value, 0)),
+    itemCount: mockInventoryItems.length,
+    categories,
+  }
+}
+
+/**
+ * BOM lines for an order item, from its custom BOM or the product's active BOM
+ */
+const getOrderItemBOMLines = (orderItem) => {
+  if (orderItem.sizeType === SIZE_TYPE.CUSTOM && orderItem.customBOM) {
+    return (orderItem.customBOM.items || []).map((bomItem) => ({
+      inventoryItemId: parseInt(bomItem.inventory_item_id),
+      quantity: parseFloat(bomItem.quantity) || 0,
+      unit: bomItem.unit,
+      piece: bomItem.piece,
+    }))
+  }
+
+  const activeBOM = getActiveBOM(orderItem.productId, orderItem.size)
+  if (!activeBOM) return []
+
+  return getBOMItems(activeBOM.id).map((bomItem) => ({
+    inventoryItemId: parseInt(bomItem.inventory_item_id),
+    quantity: parseFloat(bomItem.quantity_per_unit) || 0,
+    unit: bomItem.unit,
+    piece: bomItem.piece,
+  }))
+}
+
+/**
+ * A BOM line's quantity in the unit its material is stocked (and costed) in
+ * A line whose unit can't be converted is left uncosted; the inventory check
+ * already refuses such a BOM.
+ */
+const getStockQuantity = (line, inventoryItem) => {
+  try {
+    return toStockQuantity(line.quantity, line.unit, inventoryItem)
+  } catch {
+    return 0
+  }
+}
+
+// Totals of one order item from its costed pieces
+const summarizeItemCosting = (orderItem, quantity, pieces) => {
+  const revenue = roundMoney(pieces.reduce((sum, p) => sum + p.revenue, 0))
+  const revenueBase = sumOrNull(pieces, "revenueBase")
+  const materialCost = roundMoney(pieces.reduce((sum, p) => sum + p.materialCost, 0))
+  const margin = revenueBase === null ? null : roundMoney(revenueBase - materialCost)
+
+  return {
+    orderItemId: orderItem.id,
+    productName: orderItem.productName,
+    quantity,
+    pieces,
+    revenue,
+    revenueBase,
+    actualCost: roundMoney(pieces.reduce((sum, p) => sum + p.actualCost, 0)),
+    estimatedCost: roundMoney(pieces.reduce((sum, p) => sum + p.estimatedCost, 0)),
+    materialCost,
+    margin,
+    marginPercent: revenueBase > 0 ? roundMoney((margin / revenueBase) * 100) : null,
+  }
+}
+
+/**
+ * Material cost and margin of one order item, per piece
+ *
+ * Each piece's price comes from includedItems / selectedAddOns. A piece is
+ * ACTUAL once every pick for it has been consumed, PARTIAL while some are
+ * still outstanding and ESTIMATED before anything was picked.
+ *
+ * @param {number|null} rate - PKR per unit of the order currency, null when unknown
+ */
+export const getOrderItemCosting = (orderItem, rate = 1) => {
+  const quantity = orderItem.quantity || 1
+  const packet = getPacketByOrderItemId(orderItem.id)
+  const bomLines = getOrderItemBOMLines(orderItem)
+  const returnedPickIds = new Set(
+    mockReservations
+      .filter((r) => r.orderItemId === orderItem.id && r.returnedAt)
+      .map((r) => r.pickItemId)
+  )
+
+  const pricedPieces = [
+    ...(orderItem.includedItems || []).map((p) => ({ ...p, isAddOn: false })),
+    ...(orderItem.selectedAddOns || []).map((p) => ({ ...p, isAddOn: true })),
+  ]
+
+  const readyStock = orderItem.readyStockFulfillment
+  if (readyStock) {
+    const readyStockCost = readyStock.quantity * readyStock.unitCost
+    const pricedTotal = pricedPieces.reduce((sum, p) => sum + (p.price || 0), 0)
+
+    const pieces = pricedPieces.map(({ piece, price, isAddOn }) => {
+      const share = pricedTotal > 0 ? (price || 0) / pricedTotal : 1 / pricedPieces.length
+      const revenue = (price || 0) * quantity
+      const materialCost = roundMoney(readyStockCost * share)
+      return {
+        piece,
+        isAddOn,
+        revenue,
+        actualCost: materialCost,
+        estimatedCost: 0,
+        materialCost,
+        ...withMargin(revenue, materialCost, rate),
+        basis: "ACTUAL",
+      }
+    })
+    return summarizeItemCosting(orderItem, quantity, pieces)
+  }
+
+  const pieces = pricedPieces.map(({ piece, price, isAddOn }) => {
+    const pieceKey = (piece || "").toLowerCase()
+    const picks = (packet?.pickList || []).filter(
+      (pick) => (pick.piece || "").toLowerCase() === pieceKey
+    )
+    const pickedItems = picks.filter((pick) => pick.isPicked && !returnedPickIds.has(pick.id))
+
+    const actualCost = pickedItems.reduce((sum, pick) => {
+      const inventoryItem = mockInventoryItems.find((inv) => inv.id === pick.inventoryItemId)
+      return sum + pick.pickedQty * (pick.unitCost ?? getUnitCost(inventoryItem))
+    }, 0)
+
+    // Estimate whatever has not been picked from the BOM
+    const pickedIds = new Set(pickedItems.map((pick) => pick.inventoryItemId))
+    const estimatedCost = bomLines
+      .filter((line) => (line.piece || "").toLowerCase() === pieceKey)
+      .filter((line) => !pickedIds.has(line.inventoryItemId))
+      .reduce((sum, line) => {
+        const inventoryItem = mockInventoryItems.find((inv) => inv.id === line.inventoryItemId)
+        return sum + getStockQuantity(line, inventoryItem) * quantity * getUnitCost(inventoryItem)
+      }, 0)
+
+    const revenue = (price || 0) * quantity
+    const materialCost = roundMoney(actualCost + estimatedCost)
+
+    return {
+      piece,
+      isAddOn,
+      revenue,
+      actualCost: roundMoney(actualCost),
+      estimatedCost: roundMoney(estimatedCost),
+      materialCost,
+      ...withMargin(revenue, materialCost, rate),
+      basis:
+        pickedItems.length === 0
+          ? "ESTIMATED"
+          : estimatedCost > 0 || pickedItems.length < picks.length
+            ? "PARTIAL"
+            : "ACTUAL",
+    }
+  })
+
+  return summarizeItemCosting(orderItem, quantity, pieces)
+}
+
+/**
+ * Material cost and margin of a whole order (order with its items attached)
+ * Costs and margins are in PKR (`currency`); revenue is in `orderCurrency`
+ * and revenueBase is the same in PKR at `exchangeRate`.
+ */
+export const getOrderCosting = (order) => {
+  const orderDate = order.fwdDate || order.createdAt
+  const exchangeRate = getExchangeRate(mockExchangeRates, order.currency, BASE_CURRENCY, orderDate)
+  const items = order.items.map((item) => getOrderItemCosting(item, exchangeRate))
+  const revenue = roundMoney(items.reduce((sum, item) => sum + item.revenue, 0))
+  const revenueBase = sumOrNull(items, "revenueBase")
+  const materialCost = roundMoney(items.reduce((sum, item) => sum + item.materialCost, 0))
+  const margin = revenueBase === null ? null : roundMoney(revenueBase - materialCost)
+
+  return {
+    orderId: order.id,
+    currency: BASE_CURRENCY,
+    orderCurrency: order.currency,
+    exchangeRate,
+    items,
+    revenue,
+    revenueBase,
+    actualCost: roundMoney(items.reduce((sum, item) => sum + item.actualCost, 0)),
+    estimatedCost: roundMoney(items.reduce((sum, item) => sum + item.estimatedCost, 0)),
+    materialCost,
+    margin,
+    marginPercent: revenueBase > 0 ? roundMoney((margin / revenueBase) * 100) : null,
+  }
+}
@@ -0,0 +1,490 @@
+/**
+ * Mock Customers Data
+ * src/mocks/data/mockCustomers.js
+ *
+ * Customer directory. Orders link to their customer with customerId but keep
+ * their own copy of the name, contact details and address, so editing a
+ * customer never rewrites an order that has already shipped.
+ *
+ * Measurement profiles are dated and never edited: taking new measurements
+ * adds a profile, and the latest one prefills custom-size order items.
+ * Measurements use the order form's keys (`${categoryId}_${measurementId}`,
+ * see measurementCategories.js) so a profile can be copied onto an item as is.
+ */
+
+import { mockOrders } from "./mockOrders"
+import { ORDER_STATUS } from "@/constants/orderConstants"
+import { getPaymentTotals } from "@/lib/payments"
+
+/**
+ * Customer Structure:
+ * {
+ *   id: string,
+ *   name: string,
+ *   email: string,
+ *   phone: string,
+ *   notes: string,
+ *   addresses: [{
+ *     id, label, street1, street2, city, state, postalCode, country,
+ *     isDefault: boolean,          // Exactly one address is the default
+ *   }],
+ *   measurementProfiles: [{
+ *     id,
+ *     takenAt: string,             // Date the measurements were taken (YYYY-MM-DD)
+ *     clientHeight: string,        // HEIGHT_RANGES value
+ *     categories: string[],        // Measurement category ids
+ *     measurements: Object,        // { [`${categoryId}_${measurementId}`]: value }
+ *     notes: string,
+ *     source: "MANUAL" | "ORDER_FORM",
+ *     orderId: string|null,        // Set when saved from an order form
+ *     orderNumber: string|null,
+ *     orderItemId: string|null,
+ *     createdAt, createdBy, createdByName,
+ *   }],
+ *   createdAt: string,
+ *   updatedAt: string,
+ * }
+ */
+
+export const MEASUREMENT_PROFILE_SOURCE = {
+  MANUAL: "MANUAL",
+  ORDER_FORM: "ORDER_FORM",
+}
+
+export const mockCustomers = [
+  {
+    id: "cust-001",
+    name: "Aisha Rahman",
+    email: "aisha.rahman@email.com",
+    phone: "+971501234567",
+    notes: "VIP bridal client",
+    addresses: [
+      {
+        id: "addr-001",
+        label: "Home",
+        street1: "Villa 23, Palm Jumeirah",
+        street2: "",
+        city: "Dubai",
+        state: "Dubai",
+        postalCode: "12345",
+        country: "UAE",
+        isDefault: true,
+      },
+    ],
+    measurementProfiles: [
+      {
+        id: "mp-001",
+        takenAt: "2024-06-02",
+        clientHeight: "5ft6in-5ft8in",
+        categories: ["bridal"],
+        measurements: {
+          bridal_shoulder: "14",
+          bridal_round_chest: "35",
+          bridal_round_waist: "27.5",
+          bridal_round_hip: "37.5",
+          bridal_round_armhole: "15.5",
+          bridal_sleeve_length: "21",
+        },
+        notes: "Engagement outfit",
+        source: MEASUREMENT_PROFILE_SOURCE.MANUAL,
+        orderId: null,
+        orderNumber: null,
+        orderItemId: null,
+        createdAt: "2024-06-02T12:00:00Z",
+        createdBy: 2,
+        createdByName: "Sarah Sales",
+      },
+      {
+        id: "mp-002",
+        takenAt: "2024-12-19",
+        clientHeight: "5ft6in-5ft8in",
+        categories: ["bridal"],
+        measurements: {
+          bridal_shoulder: "14.5",
+          bridal_round_chest: "36",
+          bridal_round_waist: "28",
+          bridal_round_hip: "38",
+          bridal_round_armhole: "16",
+          bridal_sleeve_length: "21",
+          bridal_lehnga_front_length: "41",
+        },
+        notes: "Taken at the studio before the wedding order",
+        source: MEASUREMENT_PROFILE_SOURCE.MANUAL,
+        orderId: null,
+        orderNumber: null,
+        orderItemId: null,
+        createdAt: "2024-12-19T15:00:00Z",
+        createdBy: 2,
+        createdByName: "Sarah Sales",
+      },
+    ],
+    createdAt: "2024-06-02T12:00:00Z",
+    updatedAt: "2024-12-19T15:00:00Z",
+  },
+  {
+    id: "cust-002",
+    name: "Fatima Al-Maktoum",
+    email: "fatima.maktoum@email.com",
+    phone: "+971509876543",
+    notes: "",
+    addresses: [
+      {
+        id: "addr-002",
+        label: "Home",
+        street1: "Tower 5, Downtown Dubai",
+        street2: "Apt 2301",
+        city: "Dubai",
+        state: "Dubai",
+        postalCode: "54321",
+        country: "UAE",
+        isDefault: true,
+      },
+    ],
+    measurementProfiles: [
+      {
+        id: "mp-003",
+        takenAt: "2024-12-22",
+        clientHeight: "5ft3in-5ft5in",
+        categories: ["gown_lehnga"],
+        measurements: {
+          gown_lehnga_shoulder: "14",
+          gown_lehnga_round_chest: "34",
+          gown_lehnga_round_waist: "26",
+          gown_lehnga_round_hip: "36",
+          gown_lehnga_lower_length: "40",
+        },
+        notes: "",
+        source: MEASUREMENT_PROFILE_SOURCE.MANUAL,
+        orderId: null,
+        orderNumber: null,
+        orderItemId: null,
+        createdAt: "2024-12-22T14:30:00Z",
+        createdBy: 2,
+        createdByName: "Sarah Sales",
+      },
+    ],
+    createdAt: "2024-12-22T14:00:00Z",
+    updatedAt: "2024-12-22T14:30:00Z",
+  },
+  {
+    id: "cust-003",
+    name: "Zara Khan",
+    email: "zara.khan@email.com",
+    phone: "+441234567890",
+    notes: "",
+    addresses: [
+      {
+        id: "addr-003",
+        label: "Home",
+        street1: "45 Baker Street",
+        street2: "Flat 3B",
+        city: "London",
+        state: "Greater London",
+        postalCode: "W1U 8EW",
+        country: "UK",
+        isDefault: true,
+      },
+    ],
+    measurementProfiles: [],
+    createdAt: "2024-12-15T09:00:00Z",
+    updatedAt: "2024-12-15T09:00:00Z",
+  },
+  {
+    id: "cust-004",
+    name: "Priya Sharma",
+    email: "priya.sharma@email.com",
+    phone: "+919876543210",
+    notes: "",
+    addresses: [
+      {
+        id: "addr-004",
+        label: "Home",
+        street1: "12 MG Road",
+        street2: "",
+        city: "Mumbai",
+        state: "Maharashtra",
+        postalCode: "400001",
+        country: "India",
+        isDefault: true,
+      },
+    ],
+    measurementProfiles: [],
+    createdAt: "2024-12-24T08:00:00Z",
+    updatedAt: "2024-12-24T08:00:00Z",
+  },
+  {
+    id: "cust-005",
+    name: "Maria Rodriguez",
+    email: "maria.rodriguez@email.com",
+    phone: "+12125551234",
+    notes: "",
+    addresses: [
+      {
+        id: "addr-005",
+        label: "Office",
+        street1: "789 Fifth Avenue",
+        street2: "Suite 500",
+        city: "New York",
+        state: "NY",
+        postalCode: "10022",
+        country: "USA",
+        isDefault: true,
+      },
+    ],
+    measurementProfiles: [],
+    createdAt: "2024-12-23T10:00:00Z",
+    updatedAt: "2024-12-23T10:00:00Z",
+  },
+  {
+    id: "cust-006",
+    name: "Emma Thompson",
+    email: "emma.thompson@email.com",
+    phone: "+447890123456",
+    notes: "",
+    addresses: [
+      {
+        id: "addr-006",
+        label: "Home",
+        street1: "10 Downing Street",
+        street2: "",
+        city: "London",
+        state: "Greater London",
+        postalCode: "SW1A 2AA",
+        country: "UK",
+        isDefault: true,
+      },
+    ],
+    measurementProfiles: [],
+    createdAt: "2024-12-18T11:00:00Z",
+    updatedAt: "2024-12-18T11:00:00Z",
+  },
+  {
+    id: "cust-007",
+    name: "Sophia Chen",
+    email: "sophia.chen@email.com",
+    phone: "+8613812345678",
+    notes: "",
+    addresses: [
+      {
+        id: "addr-007",
+        label: "Home",
+        street1: "88 Nanjing Road",
+        street2: "Building A",
+        city: "Shanghai",
+        state: "Shanghai",
+        postalCode: "200001",
+        country: "China",
+        isDefault: true,
+      },
+    ],
+    measurementProfiles: [],
+    createdAt: "2024-12-24T10:00:00Z",
+    updatedAt: "2024-12-24T10:00:00Z",
+  },
+  {
+    id: "cust-008",
+    name: "Amelia Williams",
+    email: "amelia.williams@email.com",
+    phone: "+61412345678",
+    notes: "",
+    addresses: [
+      {
+        id: "addr-008",
+        label: "Home",
+        street1: "42 George Street",
+        street2: "",
+        city: "Sydney",
+        state: "NSW",
+        postalCode: "2000",
+        country: "Australia",
+        isDefault: true,
+      },
+    ],
+    measurementProfiles: [],
+    createdAt: "2024-12-22T09:00:00Z",
+    updatedAt: "2024-12-22T09:00:00Z",
+  },
+]
+
+// ============================================================================
+// IDS & LOOKUPS
+// ============================================================================
+
+const randomSuffix = () => Math.random().toString(36).substr(2, 6)
+
+export const generateCustomerId = () => `cust-${Date.now()}-${randomSuffix()}`
+export const generateCustomerAddressId = () => `addr-${Date.now()}-${randomSuffix()}`
+export const generateMeasurementProfileId = () => `mp-${Date.now()}-${randomSuffix()}`
+
+export const getCustomerById = (id) => mockCustomers.find((c) => c.id === id)
+
+const normalizeEmail = (email) => email?.trim().toLowerCase() || ""
+const normalizePhone = (phone) => phone?.replace(/\D/g, "") || ""
+
+/**
+ * Find a customer by email or phone (phone compared on digits only)
+ * @param {Object} contact - { email, phone }
+ * @param {string} [exceptId] - Ignore this customer (when checking for duplicates)
+ */
+export const findCustomerByContact = ({ email, phone }, exceptId) => {
+  const e = normalizeEmail(email)
+  const p = normalizePhone(phone)
+  if (!e && !p) return null
+  return (
+    mockCustomers.find(
+      (c) =>
+        c.id !== exceptId &&
+        ((e && normalizeEmail(c.email) === e) || (p && normalizePhone(c.phone) === p))
+    ) || null
+  )
+}
+
+export const getDefaultAddress = (customer) =>
+  customer.addresses.find((a) => a.isDefault) || customer.addresses[0] || null
+
+/**
+ * Profiles newest first: by the date they were taken, then when recorded
+ */
+export const sortMeasurementProfiles = (profiles) =>
+  [...profiles].sort(
+    (a, b) => b.takenAt.localeCompare(a.takenAt) || b.createdAt.localeCompare(a.createdAt)
+  )
+
+export const getLatestMeasurementProfile = (customer) =>
+  sortMeasurementProfiles(customer.measurementProfiles)[0] || null
+
+// ============================================================================
+// ORDERS & LIFETIME VALUE
+// ============================================================================
+
+const CANCELLED_STATUSES = [ORDER_STATUS.CANCELLED, ORDER_STATUS.CANCELLED_BY_CLIENT]
+
+export const getCustomerOrders = (customerId) =>
+  mockOrders
+    .filter((o) => o.customerId === customerId)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+
+const getAmountPaid = (order) => getPaymentTotals(order).netPaid
+
+/**
+ * What a customer has ordered, per currency (orders are never converted)
+ * Cancelled orders are left out.
+ * @returns {Array<{ currency, orderCount, total, paid }>}
+ */
+export const getCustomerLifetimeValue = (customerId) => {
+  const byCurrency = {}
+  getCustomerOrders(customerId)
+    .filter((o) => !CANCELLED_STATUSES.includes(o.status))
+    .forEach((order) => {
+      const currency = order.currency || "PKR"
+      if (!byCurrency[currency]) {
+        byCurrency[currency] = { currency, orderCount: 0, total: 0, paid: 0 }
+      }
+      byCurrency[currency].orderCount += 1
+      byCurrency[currency].total += order.totalAmount || 0
+      byCurrency[currency].paid += getAmountPaid(order)
+    })
+  return Object.values(byCurrency).sort((a, b) => b.total - a.total)
+}
+
+// ============================================================================
+// LINKING ORDERS
+// ============================================================================
+
+/**
+ * Customer for a new order: the one with the same email or phone, otherwise a
+ * new customer built from the order's details
+ * @param {Object} details - { customerName, customerEmail, customerPhone, shippingAddress, address, destination }
+ */
+export const findOrCreateCustomerForOrder = (details, now = new Date().toISOString()) => {
+  const existing = findCustomerByContact({
+    email: details.customerEmail,
+    phone: details.customerPhone,
+  })
+  if (existing) return existing
+
+  const shipping = details.shippingAddress
+  const hasAddress = shipping?.street1 || details.address
+  const customer = {
+    id: generateCustomerId(),
+    name: details.customerName?.trim() || "Customer",
+    email: details.customerEmail?.trim() || "",
+    phone: details.customerPhone?.trim() || "",
+    notes: "",
+    addresses: hasAddress
+      ? [
+          {
+            id: generateCustomerAddressId(),
+            label: "Shipping",
+            street1: shipping?.street1 || details.address,
+            street2: shipping?.street2 || "",
+            city: shipping?.city || "",
+            state: shipping?.state || "",
+            postalCode: shipping?.postalCode || "",
+            country: shipping?.country || details.destination || "",
+            isDefault: true,
+          },
+        ]
+      : [],
+    measurementProfiles: [],
+    createdAt: now,
+    updatedAt: now,
+  }
+  mockCustomers.push(customer)
+  return customer
+}
+
+/**
+ * Prefill a custom-size order item from a measurement profile
+ */
+export const applyMeasurementProfile = (item, profile) => {
+  item.measurementCategories = [...profile.categories]
+  item.measurements = { ...profile.measurements }
+  item.measurementProfileId = profile.id
+}
+
+const sameMeasurements = (a, b) => {
+  const keys = Object.keys(a).filter((k) => a[k] !== "" && a[k] !== undefined)
+  return (
+    keys.length === Object.keys(b).filter((k) => b[k] !== "" && b[k] !== undefined).length &&
+    keys.every((k) => String(a[k]) === String(b[k]))
+  )
+}
+
+/**
+ * Save the measurements of a generated custom order form as a new profile,
+ * unless they are the same as the customer's latest profile
+ * @returns {Object|null} The new profile
+ */
+export const saveProfileFromOrderForm = (
+  customer,
+  { order, item, formData, user, clientHeight }
+) => {
+  const measurements = Object.fromEntries(
+    Object.entries(formData.measurements || {}).filter(([, value]) => value !== "" && value != null)
+  )
+  if (Object.keys(measurements).length === 0) return null
+
+  const latest = getLatestMeasurementProfile(customer)
+  if (latest && sameMeasurements(latest.measurements, measurements)) return null
+
+  const now = new Date().toISOString()
+  const profile = {
+    id: generateMeasurementProfileId(),
+    takenAt: now.split("T")[0],
+    clientHeight: clientHeight || "",
+    categories: [...(formData.selectedCategories || [])],
+    measurements,
+    notes: `From the order form for ${item.productName}`,
+    source: MEASUREMENT_PROFILE_SOURCE.ORDER_FORM,
+    orderId: order.id,
+    orderNumber: order.orderNumber,
+    orderItemId: item.id,
+    createdAt: now,
+    createdBy: user.id,
+    createdByName: user.name,
+  }
+  customer.measurementProfiles.push(profile)
+  customer.updatedAt = now
+  return profile
+}
@@ -0,0 +1,253 @@
+/**
+ * Mock Database Persistence
+ * src/mocks/data/mockDatabase.js
+ *
+ * The MSW handlers keep their state in module-level arrays (mockOrders, mockOrderItems,
+ * mockInventoryItems, ...). Those arrays are rebuilt from seed data on every page load,
+ * so this module snapshots them into IndexedDB after each mutating request and puts
+ * them back when the worker starts.
+ *
+ * Collections are always restored IN PLACE (splice / key copy) because the handlers
+ * hold direct references to the exported arrays and objects.
+ */
+
+import { mockOrders, mockOrderItems } from "./mockOrders"
+import { mockInventoryItems, mockStockMovements } from "./mockInventory"
+import { mockProcurementDemands } from "./mockProcurementDemands"
+import { mockVendors } from "./mockVendors"
+import { mockPurchaseOrders } from "./mockPurchaseOrders"
+import { mockStocktakes } from "./mockStocktakes"
+import { mockReservations } from "./mockReservations"
+import { mockPackets } from "./mockPackets"
+import { mockDyeingTasks } from "./mockDyeingTasks"
+import {
+  mockProductionTasks,
+  mockProductionAssignments,
+  roundRobinState,
+} from "./mockProductionTasks"
+import { mockWorkerCalendars } from "./mockProductionSchedule"
+import { mockNotifications, mockNotificationPreferences } from "./mockNotifications"
+import { mockClientMessages } from "./mockClientMessages"
+import { mockCustomers } from "./mockCustomers"
+import { mockExchangeRates } from "./mockExchangeRates"
+import { mockOrderDocuments } from "./mockOrderDocuments"
+import { mockPortalLinks, mockPortalResponses } from "./mockPortalLinks"
+import { mockProducts, mockBOMs, mockBOMItems } from "./mockProducts"
+import { mockUsers } from "./mockUser"
+import { mockStandardSizeChart, mockStandardHeightChart } from "./mockMeasurementCharts"
+
+const DB_NAME = "tailor-oms-mock-db"
+const DB_VERSION = 1
+const STORE_NAME = "collections"
+
+// Bump this when the seed data shape changes so stale snapshots are discarded
+const SCHEMA_VERSION = 12
+const META_KEY = "__meta__"
+
+// ============================================================================
+// COLLECTION REGISTRY
+// ============================================================================
+
+/**
+ * Every persisted collection, keyed by its store key.
+ * Getters are used (instead of the values) because some modules export `let`
+ * bindings that can be reassigned, e.g. mockProcurementDemands.
+ */
+const collections = {}
+
+/**
+ * Register a collection for persistence
+ * The seed is deep-cloned at registration time so "reset" can restore it later.
+ *
+ * @param {string} key - Store key
+ * @param {Function} getter - Returns the live array or object
+ */
+export const registerMockCollection = (key, getter) => {
+  collections[key] = {
+    getter,
+    seed: structuredClone(getter()),
+  }
+}
+
+registerMockCollection("orders", () => mockOrders)
+registerMockCollection("orderItems", () => mockOrderItems)
+registerMockCollection("inventoryItems", () => mockInventoryItems)
+registerMockCollection("stockMovements", () => mockStockMovements)
+registerMockCollection("procurementDemands", () => mockProcurementDemands)
+registerMockCollection("vendors", () => mockVendors)
+registerMockCollection("purchaseOrders", () => mockPurchaseOrders)
+registerMockCollection("stocktakes", () => mockStocktakes)
+registerMockCollection("reservations", () => mockReservations)
+registerMockCollection("packets", () => mockPackets)
+registerMockCollection("dyeingTasks", () => mockDyeingTasks)
+registerMockCollection("productionTasks", () => mockProductionTasks)
+registerMockCollection("productionAssignments", () => mockProductionAssignments)
+registerMockCollection("roundRobinState", () => roundRobinState)
+registerMockCollection("workerCalendars", () => mockWorkerCalendars)
+registerMockCollection("notifications", () => mockNotifications)
+registerMockCollection("notificationPreferences", () => mockNotificationPreferences)
+registerMockCollection("clientMessages", () => mockClientMessages)
+registerMockCollection("customers", () => mockCustomers)
+registerMockCollection("exchangeRates", () => mockExchangeRates)
+registerMockCollection("orderDocuments", () => mockOrderDocuments)
+registerMockCollection("portalLinks", () => mockPortalLinks)
+registerMockCollection("portalResponses", () => mockPortalResponses)
+registerMockCollection("products", () => mockProducts)
+registerMockCollection("boms", () => mockBOMs)
+registerMockCollection("bomItems", () => mockBOMItems)
+registerMockCollection("users", () => mockUsers)
+registerMockCollection("standardSizeChart", () => mockStandardSizeChart)
+registerMockCollection("standardHeightChart", () => mockStandardHeightChart)
+
+/**
+ * Replace the contents of a live collection without changing its identity
+ */
+const restoreInPlace = (target, value) => {
+  if (Array.isArray(target)) {
+    target.splice(0, target.length, ...structuredClone(value))
+    return
+  }
+
+  Object.keys(target).forEach((key) => delete target[key])
+  Object.assign(target, structuredClone(value))
+}
+
+// ============================================================================
+// INDEXEDDB HELPERS
+// ============================================================================
+
+const isIndexedDBAvailable = () => typeof indexedDB !== "undefined"
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+const promisifyRequest = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+
+let dbPromise = null
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+        request.result.createObjectStore(STORE_NAME)
+      }
+    }
+    dbPromise = promisifyRequest(request)
+  }
+  return dbPromise
+}
+
+/**
+ * Run a callback against the collections store inside a single transaction
+ */
+const withStore = async (mode, callback) => {
+  const db = await openDatabase()
+  const transaction = db.transaction(STORE_NAME, mode)
+  const result = callback(transaction.objectStore(STORE_NAME))
+
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve()
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+
+  return result
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Load the last snapshot from IndexedDB into the live collections.
+ * Collections missing from the snapshot keep their seed data.
+ *
+ * @returns {Promise<boolean>} true if a snapshot was restored
+ */
+export const hydrateMockDatabase = async () => {
+  if (!isIndexedDBAvailable()) return false
+
+  try {
+    const keys = [META_KEY, ...Object.keys(collections)]
+    const requests = await withStore("readonly", (store) => keys.map((key) => store.get(key)))
+
+    // Requests are complete once the transaction is, so results can be read directly
+    const snapshot = {}
+    keys.forEach((key, index) => {
+      snapshot[key] = requests[index].result
+    })
+
+    if (!snapshot[META_KEY] || snapshot[META_KEY].schemaVersion !== SCHEMA_VERSION) {
+      return false
+    }
+
+    Object.entries(collections).forEach(([key, { getter }]) => {
+      if (snapshot[key] !== undefined) {
+        restoreInPlace(getter(), snapshot[key])
+      }
+    })
+
+    console.log("[Mock DB] Restored snapshot from", snapshot[META_KEY].savedAt)
+    return true
+  } catch (error) {
+    console.error("[Mock DB] Failed to restore snapshot:", error)
+    return false
+  }
+}
+
+/**
+ * Write every collection to IndexedDB
+ */
+export const persistMockDatabase = async () => {
+  if (!isIndexedDBAvailable()) return
+
+  try {
+    await withStore("readwrite", (store) => {
+      Object.entries(collections).forEach(([key, { getter }]) => {
+        store.put(structuredClone(getter()), key)
+      })
+      store.put({ schemaVersion: SCHEMA_VERSION, savedAt: new Date().toISOString() }, META_KEY)
+    })
+  } catch (error) {
+    console.error("[Mock DB] Failed to save snapshot:", error)
+  }
+}
+
+let persistScheduled = false
+
+/**
+ * Coalesce several mutations finishing in the same tick into one write
+ */
+export const schedulePersistMockDatabase = () => {
+  if (persistScheduled) return
+  persistScheduled = true
+
+  setTimeout(() => {
+    persistScheduled = false
+    persistMockDatabase()
+  }, 0)
+}
+
+/**
+ * Restore every collection to its seed data and drop the saved snapshot
+ */
+export const resetMockDatabase = async () => {
+  Object.values(collections).forEach(({ getter, seed }) => {
+    restoreInPlace(getter(), seed)
+  })
+
+  if (!isIndexedDBAvailable()) return
+
+  try {
+    await withStore("readwrite", (store) => {
+      store.clear()
+    })
+  } catch (error) {
+    console.error("[Mock DB] Failed to clear snapshot:", error)
+  }
+}
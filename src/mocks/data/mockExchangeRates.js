@@ -0,0 +1,77 @@
+/**
+ * Mock Exchange Rates Data
+ * src/mocks/data/mockExchangeRates.js
+ *
+ * Dated exchange-rate table maintained by admins. A row applies from its
+ * effective date until the next row for the same currency, so adding a rate
+ * never changes how earlier orders and payments were converted. See
+ * src/lib/currency.js for the lookups.
+ */
+
+import { getMissingRateMessage } from "@/lib/currency"
+
+/**
+ * Exchange Rate Structure:
+ * {
+ *   id: string,
+ *   currency: string,        // CURRENCIES value other than the base currency
+ *   rate: number,            // Base currency (PKR) per one unit of the currency
+ *   effectiveDate: string,   // YYYY-MM-DD
+ *   notes: string,
+ *   createdBy: number|null,
+ *   createdByName: string,
+ *   createdAt: string,
+ *   updatedAt: string,
+ * }
+ */
+
+const seedRate = (id, currency, rate, effectiveDate) => ({
+  id,
+  currency,
+  rate,
+  effectiveDate,
+  notes: "",
+  createdBy: 1,
+  createdByName: "Admin User",
+  createdAt: `${effectiveDate}T09:00:00Z`,
+  updatedAt: `${effectiveDate}T09:00:00Z`,
+})
+
+export const mockExchangeRates = [
+  seedRate("fx-001", "USD", 282.5, "2024-01-01"),
+  seedRate("fx-002", "GBP", 359.0, "2024-01-01"),
+  seedRate("fx-003", "EUR", 311.0, "2024-01-01"),
+  seedRate("fx-004", "AED", 76.9, "2024-01-01"),
+  seedRate("fx-005", "SAR", 75.3, "2024-01-01"),
+  seedRate("fx-006", "CAD", 212.0, "2024-01-01"),
+  seedRate("fx-007", "AUD", 191.5, "2024-01-01"),
+  seedRate("fx-008", "USD", 278.2, "2024-07-01"),
+  seedRate("fx-009", "GBP", 355.4, "2024-07-01"),
+  seedRate("fx-010", "EUR", 301.6, "2024-07-01"),
+  seedRate("fx-011", "AED", 75.7, "2024-07-01"),
+  seedRate("fx-012", "SAR", 74.1, "2024-07-01"),
+  seedRate("fx-013", "CAD", 203.8, "2024-07-01"),
+  seedRate("fx-014", "AUD", 186.0, "2024-07-01"),
+  seedRate("fx-015", "USD", 280.1, "2025-01-01"),
+  seedRate("fx-016", "GBP", 350.7, "2025-01-01"),
+  seedRate("fx-017", "EUR", 290.4, "2025-01-01"),
+  seedRate("fx-018", "AED", 76.2, "2025-01-01"),
+  seedRate("fx-019", "SAR", 74.6, "2025-01-01"),
+  seedRate("fx-020", "CAD", 195.2, "2025-01-01"),
+  seedRate("fx-021", "AUD", 175.3, "2025-01-01"),
+]
+
+// ============================================================================
+// IDS & LOOKUPS
+// ============================================================================
+
+export const generateExchangeRateId = () =>
+  `fx-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`
+
+export const getExchangeRateById = (id) => mockExchangeRates.find((r) => r.id === id)
+
+/**
+ * Why an amount can't be converted on a date with the live table, or null
+ */
+export const getMissingRate = (from, to, date) =>
+  getMissingRateMessage(mockExchangeRates, from, to, date)
@@ -28,12 +28,19 @@
  * Each item tracks:
  * - Current stock levels (remaining_stock or per-variant for ready stock)
  * - Reorder thresholds (reorder_level) for low stock alerts
- * - Vendor information for procurement
- * - Storage location (rack) for warehouse organization
+ * - Vendor information for procurement (vendor_id links to mockVendors; name and
+ *   contact are kept as a denormalized copy)
+ * - Storage location (rack) for warehouse organization. Simple items also keep
+ *   per-location balances in stock_locations (main store, dyeing unit, stitching
+ *   floor); remaining_stock is their total and rack_location the main store rack
+ * - Dye lots / batches (stock_lots) for simple items: how much of the stock came
+ *   in under each lot number, whichever location it now sits at
  * - Unit pricing for cost tracking
  * - Visual reference (image_url) for identification
  */
 
+import { INVENTORY_LOCATION } from "@/constants/orderConstants"
+
 export const mockInventoryItems = [
   // ============================================================================
   // FABRIC CATEGORY - Base cloth materials measured in yards
@@ -52,6 +59,7 @@ export const mockInventoryItems = [
     reorder_amount: 30.0,
     has_variants: false, // Fabrics don't come in sizes
     image_url: "/images/inventory/fabrics/tissue-silk-ivory.jpg",
+    vendor_id: "vendor-001",
     vendor_name: "Silk House Karachi",
     vendor_contact: "+92-300-1234567",
     rack_location: "A3",
@@ -73,6 +81,7 @@ export const mockInventoryItems = [
     reorder_amount: 20.0,
     has_variants: false,
     image_url: "/images/inventory/fabrics/kimkhab-gold.jpg",
+    vendor_id: "vendor-002",
     vendor_name: "Premium Fabrics Ltd",
     vendor_contact: "+92-321-9876543",
     rack_location: "A4",
@@ -94,6 +103,7 @@ export const mockInventoryItems = [
     reorder_amount: 35.0,
     has_variants: false,
     image_url: "/images/inventory/fabrics/p-raw-silk-natural.jpg",
+    vendor_id: "vendor-001",
     vendor_name: "Silk House Karachi",
     vendor_contact: "+92-300-1234567",
     rack_location: "A2",
@@ -115,6 +125,7 @@ export const mockInventoryItems = [
     reorder_amount: 36.0,
     has_variants: false,
     image_url: "/images/inventory/fabrics/cotton-silk-blend.jpg",
+    vendor_id: "vendor-003",
     vendor_name: "Cotton Traders Lahore",
     vendor_contact: "+92-333-5555666",
     rack_location: "A1",
@@ -136,6 +147,7 @@ export const mockInventoryItems = [
     reorder_amount: 50.0,
     has_variants: false,
     image_url: "/images/inventory/fabrics/chiffon-light.jpg",
+    vendor_id: "vendor-004",
     vendor_name: "Fabric World",
     vendor_contact: "+92-345-7778889",
     rack_location: "A5",
@@ -157,6 +169,7 @@ export const mockInventoryItems = [
     reorder_amount: 25.0,
     has_variants: false,
     image_url: "/images/inventory/fabrics/net-mesh.jpg",
+    vendor_id: "vendor-004",
     vendor_name: "Fabric World",
     vendor_contact: "+92-345-7778889",
     rack_location: "A6",
@@ -178,6 +191,7 @@ export const mockInventoryItems = [
     reorder_amount: 32.0,
     has_variants: false,
     image_url: "/images/inventory/fabrics/raw-silk-butti.jpg",
+    vendor_id: "vendor-001",
     vendor_name: "Silk House Karachi",
     vendor_contact: "+92-300-1234567",
     rack_location: "A7",
@@ -203,6 +217,7 @@ export const mockInventoryItems = [
     reorder_amount: 15.0,
     has_variants: false,
     image_url: "/images/inventory/multi-head/mh-organza-pattern.jpg",
+    vendor_id: "vendor-005",
     vendor_name: "Embroidery Masters",
     vendor_contact: "+92-300-9998887",
     rack_location: "B1",
@@ -224,6 +239,7 @@ export const mockInventoryItems = [
     reorder_amount: 40.0,
     has_variants: false,
     image_url: "/images/inventory/multi-head/border-embroidered.jpg",
+    vendor_id: "vendor-005",
     vendor_name: "Embroidery Masters",
     vendor_contact: "+92-300-9998887",
     rack_location: "B2",
@@ -245,6 +261,7 @@ export const mockInventoryItems = [
     reorder_amount: 26.0,
     has_variants: false,
     image_url: "/images/inventory/multi-head/neckline-design.jpg",
+    vendor_id: "vendor-005",
     vendor_name: "Embroidery Masters",
     vendor_contact: "+92-300-9998887",
     rack_location: "B3",
@@ -266,6 +283,7 @@ export const mockInventoryItems = [
     reorder_amount: 33.0,
     has_variants: false,
     image_url: "/images/inventory/multi-head/sleeve-panel.jpg",
+    vendor_id: "vendor-005",
     vendor_name: "Embroidery Masters",
     vendor_contact: "+92-300-9998887",
     rack_location: "B4",
@@ -287,6 +305,7 @@ export const mockInventoryItems = [
     reorder_amount: 22.0,
     has_variants: false,
     image_url: "/images/inventory/multi-head/ghera-border.jpg",
+    vendor_id: "vendor-005",
     vendor_name: "Embroidery Masters",
     vendor_contact: "+92-300-9998887",
     rack_location: "B5",
@@ -313,6 +332,7 @@ export const mockInventoryItems = [
     reorder_amount: 700.0,
     has_variants: false,
     image_url: "/images/inventory/ada-materials/champagne-karti.jpg",
+    vendor_id: "vendor-006",
     vendor_name: "ADA Materials Bazaar",
     vendor_contact: "+92-321-1112223",
     rack_location: "C1",
@@ -334,6 +354,7 @@ export const mockInventoryItems = [
     reorder_amount: 800.0,
     has_variants: false,
     image_url: "/images/inventory/ada-materials/champagne-badaam.jpg",
+    vendor_id: "vendor-006",
     vendor_name: "ADA Materials Bazaar",
     vendor_contact: "+92-321-1112223",
     rack_location: "C2",
@@ -355,6 +376,7 @@ export const mockInventoryItems = [
     reorder_amount: 550.0,
     has_variants: false,
     image_url: "/images/inventory/ada-materials/kulfi-beads.jpg",
+    vendor_id: "vendor-006",
     vendor_name: "ADA Materials Bazaar",
     vendor_contact: "+92-321-1112223",
     rack_location: "C3",
@@ -376,6 +398,7 @@ export const mockInventoryItems = [
     reorder_amount: 650.0,
     has_variants: false,
     image_url: "/images/inventory/ada-materials/behti-round.jpg",
+    vendor_id: "vendor-006",
     vendor_name: "ADA Materials Bazaar",
     vendor_contact: "+92-321-1112223",
     rack_location: "C4",
@@ -397,6 +420,7 @@ export const mockInventoryItems = [
     reorder_amount: 600.0,
     has_variants: false,
     image_url: "/images/inventory/ada-materials/bajra-moti.jpg",
+    vendor_id: "vendor-007",
     vendor_name: "Pearl House",
     vendor_contact: "+92-333-4445556",
     rack_location: "C5",
@@ -418,6 +442,7 @@ export const mockInventoryItems = [
     reorder_amount: 550.0,
     has_variants: false,
     image_url: "/images/inventory/ada-materials/betkhi-moti.jpg",
+    vendor_id: "vendor-007",
     vendor_name: "Pearl House",
     vendor_contact: "+92-333-4445556",
     rack_location: "C6",
@@ -439,6 +464,7 @@ export const mockInventoryItems = [
     reorder_amount: 300.0,
     has_variants: false,
     image_url: "/images/inventory/ada-materials/drop-crystal.jpg",
+    vendor_id: "vendor-008",
     vendor_name: "Crystal Imports",
     vendor_contact: "+92-345-6667778",
     rack_location: "C7",
@@ -460,6 +486,7 @@ export const mockInventoryItems = [
     reorder_amount: 400.0,
     has_variants: false,
     image_url: "/images/inventory/ada-materials/crystal-4no.jpg",
+    vendor_id: "vendor-008",
     vendor_name: "Crystal Imports",
     vendor_contact: "+92-345-6667778",
     rack_location: "C8",
@@ -481,6 +508,7 @@ export const mockInventoryItems = [
     reorder_amount: 750.0,
     has_variants: false,
     image_url: "/images/inventory/ada-materials/sitara-3no.jpg",
+    vendor_id: "vendor-009",
     vendor_name: "Sequin Suppliers",
     vendor_contact: "+92-300-7778889",
     rack_location: "C9",
@@ -501,6 +529,7 @@ export const mockInventoryItems = [
     reorder_amount: 650.0,
     has_variants: false,
     image_url: "/images/inventory/ada-materials/sitara-6no.jpg",
+    vendor_id: "vendor-009",
     vendor_name: "Sequin Suppliers",
     vendor_contact: "+92-300-7778889",
     rack_location: "C10",
@@ -522,6 +551,7 @@ export const mockInventoryItems = [
     reorder_amount: 550.0,
     has_variants: false,
     image_url: "/images/inventory/ada-materials/sitara-8no.jpg",
+    vendor_id: "vendor-009",
     vendor_name: "Sequin Suppliers",
     vendor_contact: "+92-300-7778889",
     rack_location: "C11",
@@ -542,6 +572,7 @@ export const mockInventoryItems = [
     reorder_amount: 400.0,
     has_variants: false,
     image_url: "/images/inventory/ada-materials/antique-sitara.jpg",
+    vendor_id: "vendor-009",
     vendor_name: "Sequin Suppliers",
     vendor_contact: "+92-300-7778889",
     rack_location: "C12",
@@ -563,6 +594,7 @@ export const mockInventoryItems = [
     reorder_amount: 550.0,
     has_variants: false,
     image_url: "/images/inventory/ada-materials/silver-nagh.jpg",
+    vendor_id: "vendor-010",
     vendor_name: "Metallic Crafts",
     vendor_contact: "+92-321-8889990",
     rack_location: "C13",
@@ -584,6 +616,7 @@ export const mockInventoryItems = [
     reorder_amount: 400.0,
     has_variants: false,
     image_url: "/images/inventory/ada-materials/white-pearl-3no.jpg",
+    vendor_id: "vendor-007",
     vendor_name: "Pearl House",
     vendor_contact: "+92-333-4445556",
     rack_location: "C14",
@@ -605,6 +638,7 @@ export const mockInventoryItems = [
     reorder_amount: 550.0,
     has_variants: false,
     image_url: "/images/inventory/ada-materials/white-pearl-6no.jpg",
+    vendor_id: "vendor-007",
     vendor_name: "Pearl House",
     vendor_contact: "+92-333-4445556",
     rack_location: "C15",
@@ -626,6 +660,7 @@ export const mockInventoryItems = [
     reorder_amount: 350.0,
     has_variants: false,
     image_url: "/images/inventory/ada-materials/kashti.jpg",
+    vendor_id: "vendor-006",
     vendor_name: "ADA Materials Bazaar",
     vendor_contact: "+92-321-1112223",
     rack_location: "C16",
@@ -646,6 +681,7 @@ export const mockInventoryItems = [
     reorder_amount: 800.0,
     has_variants: false,
     image_url: "/images/inventory/ada-materials/sitara-plate.jpg",
+    vendor_id: "vendor-009",
     vendor_name: "Sequin Suppliers",
     vendor_contact: "+92-300-7778889",
     rack_location: "C17",
@@ -667,6 +703,7 @@ export const mockInventoryItems = [
     reorder_amount: 600.0,
     has_variants: false,
     image_url: "/images/inventory/ada-materials/nagh-gold.jpg",
+    vendor_id: "vendor-010",
     vendor_name: "Metallic Crafts",
     vendor_contact: "+92-321-8889990",
     rack_location: "C18",
@@ -688,6 +725,7 @@ export const mockInventoryItems = [
     reorder_amount: 400.0,
     has_variants: false,
     image_url: "/images/inventory/ada-materials/patti-sitara.jpg",
+    vendor_id: "vendor-009",
     vendor_name: "Sequin Suppliers",
     vendor_contact: "+92-300-7778889",
     rack_location: "C19",
@@ -709,6 +747,7 @@ export const mockInventoryItems = [
     reorder_amount: 450.0,
     has_variants: false,
     image_url: "/images/inventory/ada-materials/kerki-3no.jpg",
+    vendor_id: "vendor-006",
     vendor_name: "ADA Materials Bazaar",
     vendor_contact: "+92-321-1112223",
     rack_location: "C20",
@@ -730,6 +769,7 @@ export const mockInventoryItems = [
     reorder_amount: 300.0,
     has_variants: false,
     image_url: "/images/inventory/ada-materials/crystal-kulfi.jpg",
+    vendor_id: "vendor-008",
     vendor_name: "Crystal Imports",
     vendor_contact: "+92-345-6667778",
     rack_location: "C21",
@@ -751,6 +791,7 @@ export const mockInventoryItems = [
     reorder_amount: 550.0,
     has_variants: false,
     image_url: "/images/inventory/ada-materials/tekenor-sitara.jpg",
+    vendor_id: "vendor-009",
     vendor_name: "Sequin Suppliers",
     vendor_contact: "+92-300-7778889",
     rack_location: "C22",
@@ -771,6 +812,7 @@ export const mockInventoryItems = [
     reorder_amount: 550.0,
     has_variants: false,
     image_url: "/images/inventory/ada-materials/sika.jpg",
+    vendor_id: "vendor-006",
     vendor_name: "ADA Materials Bazaar",
     vendor_contact: "+92-321-1112223",
     rack_location: "C23",
@@ -796,6 +838,7 @@ export const mockInventoryItems = [
     reorder_amount: 70.0,
     has_variants: false,
     image_url: "/images/inventory/raw-materials/lace-golden.jpg",
+    vendor_id: "vendor-011",
     vendor_name: "Trim & Lace Co",
     vendor_contact: "+92-333-9990001",
     rack_location: "D1",
@@ -816,6 +859,7 @@ export const mockInventoryItems = [
     reorder_amount: 70.0,
     has_variants: false,
     image_url: "/images/inventory/raw-materials/lace-silver.jpg",
+    vendor_id: "vendor-011",
     vendor_name: "Trim & Lace Co",
     vendor_contact: "+92-333-9990001",
     rack_location: "D2",
@@ -836,6 +880,7 @@ export const mockInventoryItems = [
     reorder_amount: 70.0,
     has_variants: false,
     image_url: "/images/inventory/raw-materials/badam-lace.jpg",
+    vendor_id: "vendor-011",
     vendor_name: "Trim & Lace Co",
     vendor_contact: "+92-333-9990001",
     rack_location: "D3",
@@ -857,6 +902,7 @@ export const mockInventoryItems = [
     reorder_amount: 30.0,
     has_variants: false,
     image_url: "/images/inventory/raw-materials/tensel-organza.jpg",
+    vendor_id: "vendor-004",
     vendor_name: "Fabric World",
     vendor_contact: "+92-345-7778889",
     rack_location: "D4",
@@ -877,6 +923,7 @@ export const mockInventoryItems = [
     reorder_amount: 1000.0,
     has_variants: false,
     image_url: "/images/inventory/raw-materials/durka.jpg",
+    vendor_id: "vendor-011",
     vendor_name: "Trim & Lace Co",
     vendor_contact: "+92-333-9990001",
     rack_location: "D5",
@@ -898,6 +945,7 @@ export const mockInventoryItems = [
     reorder_amount: 800.0,
     has_variants: false,
     image_url: "/images/inventory/raw-materials/champagne-durka.jpg",
+    vendor_id: "vendor-011",
     vendor_name: "Trim & Lace Co",
     vendor_contact: "+92-333-9990001",
     rack_location: "D6",
@@ -918,6 +966,7 @@ export const mockInventoryItems = [
     reorder_amount: 700.0,
     has_variants: false,
     image_url: "/images/inventory/raw-materials/pearl-durka.jpg",
+    vendor_id: "vendor-011",
     vendor_name: "Trim & Lace Co",
     vendor_contact: "+92-333-9990001",
     rack_location: "D7",
@@ -988,6 +1037,7 @@ export const mockInventoryItems = [
     // Main product image (can be used when showing all sizes together)
     image_url: "/images/products/goldess/goldess-main.jpg",
 
+    vendor_id: null,
     vendor_name: "Internal Production",
     vendor_contact: "N/A",
     rack_location: "E1",
@@ -1051,6 +1101,7 @@ export const mockInventoryItems = [
 
     image_url: "/images/products/mauve-magic/mauve-main.jpg",
 
+    vendor_id: null,
     vendor_name: "Internal Production",
     vendor_contact: "N/A",
     rack_location: "E2",
@@ -1114,6 +1165,7 @@ export const mockInventoryItems = [
 
     image_url: "/images/products/ivory-muse/ivory-main.jpg",
 
+    vendor_id: null,
     vendor_name: "Internal Production",
     vendor_contact: "N/A",
     rack_location: "E3",
@@ -1177,6 +1229,7 @@ export const mockInventoryItems = [
 
     image_url: "/images/products/princess-solara/solara-main.jpg",
 
+    vendor_id: null,
     vendor_name: "Internal Production",
     vendor_contact: "N/A",
     rack_location: "E4",
@@ -1215,6 +1268,7 @@ export const mockInventoryItems = [
 
     image_url: "/images/samples/aqua-princess/aqua-display.jpg",
 
+    vendor_id: null,
     vendor_name: "Internal Production",
     vendor_contact: "N/A",
     rack_location: "F1",
@@ -1248,6 +1302,7 @@ export const mockInventoryItems = [
 
     image_url: "/images/samples/coral-elegance/coral-display.jpg",
 
+    vendor_id: null,
     vendor_name: "Internal Production",
     vendor_contact: "N/A",
     rack_location: "F2",
@@ -1257,6 +1312,211 @@ export const mockInventoryItems = [
   },
 ]
 
+/**
+ * Seed stock held away from the main store
+ * Everything not listed here sits on the item's main store rack.
+ */
+const SEED_OFF_STORE_STOCK = {
+  1: [{ location: INVENTORY_LOCATION.DYEING_UNIT, rack_location: "DU-1", quantity: 10 }],
+  5: [{ location: INVENTORY_LOCATION.DYEING_UNIT, rack_location: "DU-1", quantity: 18 }],
+  6: [{ location: INVENTORY_LOCATION.DYEING_UNIT, rack_location: "DU-2", quantity: 8 }],
+  13: [{ location: INVENTORY_LOCATION.STITCHING_FLOOR, rack_location: "SF-1", quantity: 150 }],
+  15: [{ location: INVENTORY_LOCATION.STITCHING_FLOOR, rack_location: "SF-1", quantity: 100 }],
+  21: [{ location: INVENTORY_LOCATION.STITCHING_FLOOR, rack_location: "SF-2", quantity: 150 }],
+  36: [{ location: INVENTORY_LOCATION.STITCHING_FLOOR, rack_location: "SF-3", quantity: 20 }],
+}
+
+mockInventoryItems.forEach((item) => {
+  if (item.has_variants) return
+  const offStore = SEED_OFF_STORE_STOCK[item.id] || []
+  const offStoreQty = offStore.reduce((sum, entry) => sum + entry.quantity, 0)
+  item.stock_locations = [
+    {
+      location: INVENTORY_LOCATION.MAIN_STORE,
+      rack_location: item.rack_location,
+      quantity: item.remaining_stock - offStoreQty,
+    },
+    ...offStore,
+  ]
+})
+
+/**
+ * Seed dye lots of the fabrics. Stock not covered by a lot is unlotted.
+ */
+const SEED_LOTS = {
+  1: [
+    { lot_number: "TS-2403-A", quantity: 30, received_at: "2024-03-10T14:30:00Z" },
+    { lot_number: "TS-2404-B", quantity: 15, received_at: "2024-04-05T10:00:00Z" },
+  ],
+  2: [{ lot_number: "KK-2403-A", quantity: 28, received_at: "2024-03-12T11:00:00Z" }],
+  3: [
+    { lot_number: "PR-2402-A", quantity: 20, received_at: "2024-02-20T09:30:00Z" },
+    { lot_number: "PR-2404-B", quantity: 35, received_at: "2024-04-10T12:00:00Z" },
+  ],
+  4: [{ lot_number: "CS-2403-A", quantity: 72, received_at: "2024-03-18T15:00:00Z" }],
+  5: [
+    { lot_number: "CH-2403-A", quantity: 48, received_at: "2024-03-05T10:00:00Z" },
+    { lot_number: "CH-2404-B", quantity: 40, received_at: "2024-04-12T10:00:00Z" },
+  ],
+  6: [{ lot_number: "NT-2403-A", quantity: 42, received_at: "2024-03-22T13:00:00Z" }],
+  7: [{ lot_number: "RB-2403-A", quantity: 18, received_at: "2024-03-01T09:00:00Z" }],
+}
+
+Object.entries(SEED_LOTS).forEach(([itemId, lots]) => {
+  const item = mockInventoryItems.find((i) => i.id === Number(itemId))
+  item.stock_lots = lots.map((lot) => ({ ...lot, reference_number: null }))
+})
+
+// ============================================================================
+// LOCATION HELPERS
+// ============================================================================
+
+/**
+ * Per-location balances of an item
+ * Ready stock variants are all held in the main store.
+ */
+export const getItemLocations = (item) => {
+  if (item.has_variants) {
+    return [
+      {
+        location: INVENTORY_LOCATION.MAIN_STORE,
+        rack_location: item.rack_location,
+        quantity: item.variants.reduce((sum, v) => sum + v.remaining_stock, 0),
+      },
+    ]
+  }
+  return (
+    item.stock_locations || [
+      {
+        location: INVENTORY_LOCATION.MAIN_STORE,
+        rack_location: item.rack_location,
+        quantity: item.remaining_stock || 0,
+      },
+    ]
+  )
+}
+
+export const getLocationStock = (item, location) =>
+  getItemLocations(item).find((entry) => entry.location === location)?.quantity || 0
+
+/**
+ * Change a simple item's balance at one location and recompute remaining_stock
+ * as the total. The location entry is created on its first stock.
+ *
+ * @param {Object} item - Simple inventory item (updated in place)
+ * @param {string} location - INVENTORY_LOCATION value
+ * @param {number} delta - Positive to add, negative to take out
+ * @param {string} [rackLocation] - Rack to record for a new location entry
+ */
+export const adjustLocationStock = (item, location, delta, rackLocation) => {
+  item.stock_locations = getItemLocations(item)
+
+  let entry = item.stock_locations.find((e) => e.location === location)
+  if (!entry) {
+    entry = { location, rack_location: rackLocation || "", quantity: 0 }
+    item.stock_locations.push(entry)
+  } else if (rackLocation && !entry.rack_location) {
+    entry.rack_location = rackLocation
+  }
+
+  entry.quantity += delta
+  item.remaining_stock = item.stock_locations.reduce((sum, e) => sum + e.quantity, 0)
+  return entry
+}
+
+/**
+ * Where to pull a quantity from: the main store when it holds enough,
+ * otherwise whichever location holds the most. That may still be less than
+ * the quantity; callers taking stock must check.
+ */
+export const suggestPickLocation = (item, quantity) => {
+  const locations = getItemLocations(item)
+  const mainStore = locations.find((e) => e.location === INVENTORY_LOCATION.MAIN_STORE)
+  if (mainStore && mainStore.quantity >= quantity) return mainStore
+  return locations.reduce((best, e) => (e.quantity > best.quantity ? e : best), locations[0])
+}
+
+// ============================================================================
+// LOT HELPERS
+// ============================================================================
+
+/**
+ * Dye lots / batches of a simple item, oldest receipt first
+ * Each lot is { lot_number, quantity, received_at, reference_number }.
+ */
+export const getItemLots = (item) =>
+  [...(item.stock_lots || [])].sort((a, b) => a.received_at.localeCompare(b.received_at))
+
+/** Stock received without a lot number, or from before lots were tracked */
+export const getUnlottedStock = (item) =>
+  Math.max(
+    0,
+    (item.remaining_stock || 0) -
+      (item.stock_lots || []).reduce((sum, lot) => sum + lot.quantity, 0)
+  )
+
+/**
+ * Add stock to a lot, creating it on its first receipt
+ *
+ * @param {Object} item - Simple inventory item (updated in place)
+ * @param {string} lotNumber
+ * @param {number} quantity
+ * @param {Object} [receipt] - { received_at, reference_number } for a new lot
+ */
+export const addLotStock = (item, lotNumber, quantity, receipt = {}) => {
+  item.stock_lots = item.stock_lots || []
+  let lot = item.stock_lots.find((l) => l.lot_number === lotNumber)
+  if (!lot) {
+    lot = {
+      lot_number: lotNumber,
+      quantity: 0,
+      received_at: receipt.received_at || new Date().toISOString(),
+      reference_number: receipt.reference_number || null,
+    }
+    item.stock_lots.push(lot)
+  }
+  lot.quantity += quantity
+  return lot
+}
+
+/**
+ * Take a quantity out of an item's lots. Call it before the item's stock is
+ * reduced. The chosen lot is used first; otherwise unlotted stock goes first
+ * (it is the oldest), then lots oldest receipt first.
+ *
+ * @param {Object} item - Simple inventory item (updated in place)
+ * @param {number} quantity
+ * @param {string} [lotNumber] - Lot the material was physically taken from
+ * @returns {{ lot_number: string, quantity: number }[]} Quantity taken per lot
+ */
+export const takeLotStock = (item, quantity, lotNumber) => {
+  const unlotted = getUnlottedStock(item)
+  const taken = []
+  const take = (lot, qty) => {
+    if (qty <= 0) return 0
+    lot.quantity -= qty
+    taken.push({ lot_number: lot.lot_number, quantity: qty })
+    return qty
+  }
+
+  let remaining = quantity
+  const chosen = lotNumber && item.stock_lots?.find((l) => l.lot_number === lotNumber)
+  if (chosen) remaining -= take(chosen, Math.min(remaining, chosen.quantity))
+
+  remaining -= Math.min(remaining, unlotted)
+  getItemLots(item).forEach((lot) => {
+    remaining -= take(lot, Math.min(remaining, lot.quantity))
+  })
+
+  // Empty lots stay listed for tracing; only the quantity goes to zero
+  return taken
+}
+
+/** Put quantities taken by takeLotStock back into their lots */
+export const returnLotStock = (item, lots = []) => {
+  lots.forEach((lot) => addLotStock(item, lot.lot_number, lot.quantity))
+}
+
 /**
  * Mock Stock Movements
  *
@@ -1270,6 +1530,11 @@ export const mockInventoryItems = [
  * - STOCK_IN: Materials received from vendor (increases stock)
  * - STOCK_OUT: Materials consumed in production (decreases stock)
  * - ADJUSTMENT: Manual corrections for inventory discrepancies
+ * - TRANSFER: Stock moved between locations (from_location -> to_location),
+ *   the item total is unchanged
+ *
+ * STOCK_IN / STOCK_OUT movements record the location they happened at, and
+ * lots: [{ lot_number, quantity }] for the dye lots they added to or took from.
  */
 export const mockStockMovements = [
   {
@@ -1281,6 +1546,7 @@ export const mockStockMovements = [
     remaining_stock_after: 45.0, // After some consumption
     transaction_date: "2024-03-10T14:30:00Z",
     reference_number: "PO-2024-0045",
+    lots: [{ lot_number: "TS-2403-A", quantity: 50 }],
     notes: "Purchase order from Silk House, Invoice #SH-1234",
     performed_by_user_id: 1, // Admin
     created_at: "2024-03-10T14:30:00Z",
@@ -0,0 +1,417 @@
+/**
+ * Inventory Import
+ * src/mocks/data/mockInventoryImport.js
+ *
+ * Plans and applies an item sheet import (layout in lib/inventorySheets).
+ * Rows are grouped by SKU: a SKU that exists is updated, a new one is created.
+ * A blank cell keeps the current value, so a sheet with only a few columns
+ * is a partial update. Stock is never changed on existing items or sizes:
+ * `stock` is the opening stock of new ones, and a different figure for an
+ * existing one is reported as a warning (counts are corrected by a stocktake).
+ */
+
+import {
+  INVENTORY_CATEGORY_CONFIG,
+  INVENTORY_LOCATION,
+  INVENTORY_UNITS,
+  VARIANT_CATEGORIES,
+} from "@/constants/orderConstants"
+import { INVENTORY_ITEM_COLUMNS } from "@/lib/inventorySheets"
+import { mockInventoryItems, adjustLocationStock } from "./mockInventory"
+import { getVendorById } from "./mockVendors"
+
+export const IMPORT_ACTION = {
+  CREATE: "create",
+  UPDATE: "update",
+  UNCHANGED: "unchanged",
+  INVALID: "invalid",
+}
+
+const IMPORTABLE_KEYS = INVENTORY_ITEM_COLUMNS.filter((c) => c.importable !== false).map(
+  (c) => c.key
+)
+
+// Columns that describe the item and repeat on every size row
+const ITEM_TEXT_FIELDS = ["name", "rack_location", "vendor_id", "description", "notes"]
+
+const sameText = (a, b) => String(a || "").toLowerCase() === String(b || "").toLowerCase()
+
+/** "Variant SKU" / "variant sku" -> "variant_sku" */
+const normalizeHeader = (header) =>
+  header
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, "_")
+
+const normalizeCategory = (value) => value.toUpperCase().replace(/[\s-]+/g, "_")
+
+const normalizeUnit = (value) => INVENTORY_UNITS.find((unit) => sameText(unit, value))
+
+/** undefined for a blank cell, NaN for text that is not a number */
+const parseNumber = (value) => (value === "" ? undefined : Number(value.replace(/,/g, "")))
+
+/**
+ * Read the sheet rows into trimmed values keyed by column, with the sheet row
+ * number (header is row 1) for error messages
+ */
+const readRows = (rows) =>
+  rows.map((row, index) => {
+    const values = { rowNumber: index + 2 }
+    Object.entries(row).forEach(([header, value]) => {
+      const key = normalizeHeader(header)
+      if (IMPORTABLE_KEYS.includes(key)) values[key] = String(value ?? "").trim()
+    })
+    IMPORTABLE_KEYS.forEach((key) => {
+      values[key] = values[key] ?? ""
+    })
+    return values
+  })
+
+/**
+ * The value the rows of one SKU give a column: blank when no row fills it,
+ * an error when rows disagree
+ */
+const getGroupValue = (rows, key, errors) => {
+  const values = [...new Set(rows.map((row) => row[key]).filter((value) => value !== ""))]
+  if (values.length > 1) errors.push(`Rows disagree on ${key}: ${values.join(", ")}`)
+  return values[0] ?? ""
+}
+
+/**
+ * Check the number columns of a row
+ * @returns {Object} { price, reorder_level, reorder_amount, stock } (undefined when blank)
+ */
+const readRowNumbers = (row, errors) => {
+  const numbers = {}
+  ;["price", "reorder_level", "reorder_amount", "stock"].forEach((key) => {
+    const value = parseNumber(row[key])
+    if (value !== undefined && !(value >= 0)) {
+      errors.push(`Row ${row.rowNumber}: ${key} must be a number of 0 or more`)
+    }
+    numbers[key] = value >= 0 ? value : undefined
+  })
+  return numbers
+}
+
+const addChange = (changes, field, from, to) => {
+  if (to === undefined || to === "" || to === (from ?? "")) return
+  changes.push({ field, from: from ?? null, to })
+}
+
+/** Variant SKUs held by other items (or other sizes), for duplicate checks */
+const getTakenVariantSkus = (item, size) =>
+  mockInventoryItems.flatMap((other) =>
+    (other.variants || [])
+      .filter((variant) => !(other === item && sameText(variant.size, size)))
+      .map((variant) => variant.sku.toLowerCase())
+  )
+
+/**
+ * Plan one SKU: validate its rows and work out the changes
+ */
+const planGroup = (sku, rows) => {
+  const errors = []
+  const warnings = []
+  const changes = []
+  const existing = mockInventoryItems.find((item) => sameText(item.sku, sku))
+
+  const itemValues = Object.fromEntries(
+    ITEM_TEXT_FIELDS.map((key) => [key, getGroupValue(rows, key, errors)])
+  )
+
+  // Category and unit
+  const categoryValue = getGroupValue(rows, "category", errors)
+  const category = categoryValue ? normalizeCategory(categoryValue) : existing?.category
+  if (categoryValue && !INVENTORY_CATEGORY_CONFIG[category]) {
+    errors.push(
+      `Unknown category "${categoryValue}" (use ${Object.keys(INVENTORY_CATEGORY_CONFIG).join(", ")})`
+    )
+  } else if (existing && category !== existing.category) {
+    errors.push(`Category can't change on import (${existing.category} to ${category})`)
+  } else if (!category) {
+    errors.push("category is required for a new item")
+  }
+
+  const unitValue = getGroupValue(rows, "unit", errors)
+  const unit = unitValue ? normalizeUnit(unitValue) : existing?.unit
+  if (unitValue && !unit) {
+    errors.push(`Unknown unit "${unitValue}" (use ${INVENTORY_UNITS.join(", ")})`)
+  } else if (existing && unit !== existing.unit) {
+    errors.push(`Unit can't change on import (${existing.unit} to ${unit})`)
+  } else if (!unit) {
+    errors.push("unit is required for a new item")
+  }
+
+  if (!existing && !itemValues.name) errors.push("name is required for a new item")
+
+  if (itemValues.vendor_id && !getVendorById(itemValues.vendor_id)) {
+    errors.push(`Unknown vendor ${itemValues.vendor_id}`)
+  }
+
+  ITEM_TEXT_FIELDS.forEach((key) => addChange(changes, key, existing?.[key], itemValues[key]))
+
+  const hasVariants = VARIANT_CATEGORIES.includes(category)
+  const variants = []
+  let simpleNumbers = {}
+
+  if (!hasVariants) {
+    if (rows.length > 1) {
+      errors.push(
+        `SKU appears on ${rows.length} rows (rows ${rows.map((r) => r.rowNumber).join(", ")})`
+      )
+    }
+    rows
+      .filter((row) => row.size || row.variant_sku)
+      .forEach((row) =>
+        errors.push(`Row ${row.rowNumber}: only ready stock and samples have sizes`)
+      )
+
+    simpleNumbers = readRowNumbers(rows[0], errors)
+    if (!existing && simpleNumbers.price === undefined) {
+      errors.push("price is required for a new item")
+    }
+    addChange(changes, "price", existing?.unit_price, simpleNumbers.price)
+    addChange(changes, "reorder_level", existing?.reorder_level, simpleNumbers.reorder_level)
+    addChange(changes, "reorder_amount", existing?.reorder_amount, simpleNumbers.reorder_amount)
+
+    if (existing) {
+      if (simpleNumbers.stock !== undefined && simpleNumbers.stock !== existing.remaining_stock) {
+        warnings.push(
+          `Stock is not changed by import (sheet ${simpleNumbers.stock}, on hand ${existing.remaining_stock})`
+        )
+      }
+    } else {
+      addChange(changes, "stock", null, simpleNumbers.stock ?? 0)
+    }
+  } else {
+    const seenSizes = []
+    const seenSkus = []
+    rows.forEach((row) => {
+      if (!row.size) {
+        errors.push(`Row ${row.rowNumber}: size is required for ready stock`)
+        return
+      }
+      if (seenSizes.some((size) => sameText(size, row.size))) {
+        errors.push(`Row ${row.rowNumber}: size ${row.size} appears twice`)
+        return
+      }
+      seenSizes.push(row.size)
+
+      const numbers = readRowNumbers(row, errors)
+      const variant = existing?.variants.find((v) => sameText(v.size, row.size))
+      const variantSku = row.variant_sku || (variant ? "" : `${sku}-${row.size}`.toUpperCase())
+
+      if (
+        variantSku &&
+        (seenSkus.includes(variantSku.toLowerCase()) ||
+          getTakenVariantSkus(existing, row.size).includes(variantSku.toLowerCase()))
+      ) {
+        errors.push(`Row ${row.rowNumber}: variant SKU ${variantSku} is already in use`)
+      }
+      if (variantSku) seenSkus.push(variantSku.toLowerCase())
+
+      if (variant) {
+        addChange(changes, `${variant.size} variant_sku`, variant.sku, row.variant_sku)
+        addChange(changes, `${variant.size} price`, variant.price, numbers.price)
+        addChange(
+          changes,
+          `${variant.size} reorder_level`,
+          variant.reorder_level,
+          numbers.reorder_level
+        )
+        addChange(
+          changes,
+          `${variant.size} reorder_amount`,
+          variant.reorder_amount,
+          numbers.reorder_amount
+        )
+        if (numbers.stock !== undefined && numbers.stock !== variant.remaining_stock) {
+          warnings.push(
+            `${variant.size}: stock is not changed by import (sheet ${numbers.stock}, on hand ${variant.remaining_stock})`
+          )
+        }
+      } else {
+        if (numbers.price === undefined) {
+          errors.push(`Row ${row.rowNumber}: price is required for new size ${row.size}`)
+        }
+        changes.push({
+          field: `size ${row.size}`,
+          from: null,
+          to: `added, stock ${numbers.stock ?? 0}`,
+        })
+      }
+
+      variants.push({ size: row.size, sku: variantSku, variant, ...numbers })
+    })
+  }
+
+  const action =
+    errors.length > 0
+      ? IMPORT_ACTION.INVALID
+      : !existing
+        ? IMPORT_ACTION.CREATE
+        : changes.length > 0
+          ? IMPORT_ACTION.UPDATE
+          : IMPORT_ACTION.UNCHANGED
+
+  return {
+    sku: existing?.sku || sku,
+    name: itemValues.name || existing?.name || "",
+    category: category || "",
+    inventoryItemId: existing?.id || null,
+    rowNumbers: rows.map((row) => row.rowNumber),
+    action,
+    changes,
+    warnings,
+    errors,
+    // What apply needs, dropped from the response
+    values: { ...itemValues, category, unit, hasVariants, variants, ...simpleNumbers },
+  }
+}
+
+/**
+ * Validate sheet rows and work out what importing them would do
+ * @param {Object[]} rows - parseCsv output
+ * @returns {Object[]} One plan per SKU, in sheet order
+ */
+export const planInventoryImport = (rows) => {
+  const groups = new Map()
+  const plans = []
+
+  readRows(rows).forEach((row) => {
+    if (!row.sku) {
+      plans.push({
+        sku: "",
+        name: row.name,
+        category: row.category,
+        inventoryItemId: null,
+        rowNumbers: [row.rowNumber],
+        action: IMPORT_ACTION.INVALID,
+        changes: [],
+        warnings: [],
+        errors: [`Row ${row.rowNumber}: sku is required`],
+      })
+      return
+    }
+    const key = row.sku.toLowerCase()
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(row)
+  })
+
+  groups.forEach((groupRows) => plans.push(planGroup(groupRows[0].sku, groupRows)))
+  return plans.sort((a, b) => a.rowNumbers[0] - b.rowNumbers[0])
+}
+
+const buildVariant = (variantId, entry, item) => ({
+  variant_id: variantId,
+  size: entry.size,
+  sku: entry.sku,
+  remaining_stock: entry.stock ?? 0,
+  reorder_level: entry.reorder_level ?? 1,
+  reorder_amount: entry.reorder_amount ?? 5,
+  price: entry.price,
+  image_url: item.image_url,
+})
+
+const createItem = (values, sku, now) => {
+  const vendor = values.vendor_id && getVendorById(values.vendor_id)
+  const item = {
+    id: Math.max(0, ...mockInventoryItems.map((i) => i.id)) + 1,
+    name: values.name,
+    sku,
+    category: values.category,
+    description: values.description,
+    unit: values.unit,
+    has_variants: values.hasVariants,
+    image_url: "/images/inventory/placeholder.jpg",
+    vendor_id: values.vendor_id || null,
+    vendor_name: vendor?.name || "",
+    vendor_contact: vendor?.phone || "",
+    rack_location: values.rack_location,
+    notes: values.notes,
+    created_at: now,
+    updated_at: now,
+  }
+
+  if (values.hasVariants) {
+    item.base_price = values.variants[0].price
+    item.variants = values.variants.map((entry, index) => buildVariant(index + 1, entry, item))
+  } else {
+    item.unit_price = values.price
+    item.remaining_stock = values.stock ?? 0
+    item.reorder_level = values.reorder_level ?? 0
+    item.reorder_amount = values.reorder_amount ?? 0
+    // Opening stock is held in the main store
+    item.stock_locations = [
+      {
+        location: INVENTORY_LOCATION.MAIN_STORE,
+        rack_location: item.rack_location,
+        quantity: item.remaining_stock,
+      },
+    ]
+  }
+
+  mockInventoryItems.push(item)
+  return item
+}
+
+const updateItem = (item, values, now) => {
+  ITEM_TEXT_FIELDS.forEach((key) => {
+    if (values[key]) item[key] = values[key]
+  })
+  const vendor = values.vendor_id && getVendorById(values.vendor_id)
+  if (vendor) {
+    item.vendor_name = vendor.name
+    item.vendor_contact = vendor.phone
+  }
+
+  if (values.hasVariants) {
+    values.variants.forEach((entry) => {
+      if (!entry.variant) {
+        const variantId = Math.max(0, ...item.variants.map((v) => v.variant_id)) + 1
+        item.variants.push(buildVariant(variantId, entry, item))
+        return
+      }
+      if (entry.sku) entry.variant.sku = entry.sku
+      if (entry.price !== undefined) entry.variant.price = entry.price
+      if (entry.reorder_level !== undefined) entry.variant.reorder_level = entry.reorder_level
+      if (entry.reorder_amount !== undefined) entry.variant.reorder_amount = entry.reorder_amount
+    })
+  } else {
+    if (values.price !== undefined) item.unit_price = values.price
+    if (values.reorder_level !== undefined) item.reorder_level = values.reorder_level
+    if (values.reorder_amount !== undefined) item.reorder_amount = values.reorder_amount
+    // The rack on the item is the main store rack
+    if (values.rack_location) {
+      adjustLocationStock(item, INVENTORY_LOCATION.MAIN_STORE, 0).rack_location =
+        values.rack_location
+    }
+  }
+
+  item.updated_at = now
+}
+
+/**
+ * Create and update the items of every valid plan; invalid and unchanged
+ * plans are skipped
+ * @param {Object[]} plans - From planInventoryImport
+ * @returns {Object[]} The plans, with the id of each created item
+ */
+export const applyInventoryImport = (plans) => {
+  const now = new Date().toISOString()
+
+  return plans.map((plan) => {
+    if (plan.action === IMPORT_ACTION.CREATE) {
+      const item = createItem(plan.values, plan.sku, now)
+      return { ...plan, inventoryItemId: item.id }
+    }
+    if (plan.action === IMPORT_ACTION.UPDATE) {
+      updateItem(
+        mockInventoryItems.find((item) => item.id === plan.inventoryItemId),
+        plan.values,
+        now
+      )
+    }
+    return plan
+  })
+}
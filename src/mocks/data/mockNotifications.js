@@ -0,0 +1,127 @@
+/**
+ * Mock Notifications
+ * src/mocks/data/mockNotifications.js
+ *
+ * Per-user inbox of workflow events. Handlers call publishNotification after
+ * the change they announce has been made; the topbar bell polls the inbox.
+ * A notification goes to every listed recipient who is active, can receive
+ * the event (NOTIFICATION_EVENT_CONFIG.recipientPermissions) and has not
+ * muted it. Nobody is notified about their own action.
+ */
+
+import { mockUsers } from "./mockUser"
+import { hasAnyPermission } from "@/lib/rbac"
+import { NOTIFICATION_EVENT_CONFIG } from "@/constants/orderConstants"
+
+/**
+ * Notification Structure:
+ * {
+ *   id: string,
+ *   userId: number,          // Recipient
+ *   event: string,           // NOTIFICATION_EVENTS
+ *   title: string,
+ *   message: string,
+ *   link: string|null,       // App route the notification opens
+ *   orderId: string|null,
+ *   orderItemId: string|null,
+ *   actorId: number|null,
+ *   actorName: string,
+ *   readAt: string|null,
+ *   createdAt: string,
+ * }
+ */
+export const mockNotifications = []
+
+/**
+ * Preferences Structure:
+ * {
+ *   userId: number,
+ *   mutedEvents: string[],   // NOTIFICATION_EVENTS the user does not want
+ *   updatedAt: string,
+ * }
+ *
+ * Users without an entry receive every event they can receive.
+ */
+export const mockNotificationPreferences = []
+
+export const generateNotificationId = () =>
+  `ntf-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+
+export const getNotificationPreferences = (userId) => {
+  const saved = mockNotificationPreferences.find((p) => p.userId === userId)
+  return saved || { userId, mutedEvents: [], updatedAt: null }
+}
+
+export const saveNotificationPreferences = (userId, mutedEvents) => {
+  const preferences = { userId, mutedEvents, updatedAt: new Date().toISOString() }
+  const index = mockNotificationPreferences.findIndex((p) => p.userId === userId)
+  if (index === -1) {
+    mockNotificationPreferences.push(preferences)
+  } else {
+    mockNotificationPreferences[index] = preferences
+  }
+  return preferences
+}
+
+/**
+ * Events a user could receive, given their permissions
+ */
+export const getReceivableEvents = (user) =>
+  Object.keys(NOTIFICATION_EVENT_CONFIG).filter((event) =>
+    hasAnyPermission(user, NOTIFICATION_EVENT_CONFIG[event].recipientPermissions)
+  )
+
+/**
+ * IDs of active users holding a permission
+ */
+export const getUserIdsWithPermission = (permission) =>
+  mockUsers.filter((u) => u.is_active && u.permissions?.includes(permission)).map((u) => u.id)
+
+/**
+ * Deliver an event to its recipients' inboxes
+ *
+ * @param {string} event - NOTIFICATION_EVENTS
+ * @param {Object} payload
+ * @param {Array<number|string>} payload.recipientIds
+ * @param {string} payload.title
+ * @param {string} payload.message
+ * @param {string} [payload.link]
+ * @param {string} [payload.orderId]
+ * @param {string} [payload.orderItemId]
+ * @param {Object} [payload.actor] - User who caused the event; null for the system
+ * @returns {Array} The notifications created
+ */
+export const publishNotification = (
+  event,
+  { recipientIds, title, message, link = null, orderId = null, orderItemId = null, actor = null }
+) => {
+  const now = new Date().toISOString()
+  const ids = [...new Set(recipientIds.filter(Boolean).map((id) => parseInt(id)))]
+
+  const created = ids
+    .map((id) => mockUsers.find((u) => u.id === id))
+    .filter(
+      (recipient) =>
+        recipient?.is_active &&
+        recipient.id !== actor?.id &&
+        getReceivableEvents(recipient).includes(event) &&
+        !getNotificationPreferences(recipient.id).mutedEvents.includes(event)
+    )
+    .map((recipient) => ({
+      id: generateNotificationId(),
+      userId: recipient.id,
+      event,
+      title,
+      message,
+      link,
+      orderId,
+      orderItemId,
+      actorId: actor?.id || null,
+      actorName: actor?.name || "System",
+      readAt: null,
+      createdAt: now,
+    }))
+
+  mockNotifications.push(...created)
+  return created
+}
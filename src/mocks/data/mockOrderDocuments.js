@@ -0,0 +1,242 @@
+/**
+ * Mock Order Documents
+ * src/mocks/data/mockOrderDocuments.js
+ *
+ * Proforma invoices, invoices and payment receipts generated from an order.
+ * A document stores everything it shows (letterhead, customer, items,
+ * totals, ledger) as it was when generated, so an issued invoice reads the
+ * same later even if the order changes. Regenerating keeps the document's
+ * number and adds a new version; earlier versions stay attached to the order.
+ */
+
+import { mockOrderItems } from "./mockOrders"
+import { appConfig } from "@/config/appConfig"
+import { getActivePayments, getPaymentTotals } from "@/lib/payments"
+import { roundMoney } from "@/lib/currency"
+import { formatAddress } from "@/utils/formatters"
+import {
+  ORDER_DOCUMENT_TYPE,
+  ORDER_DOCUMENT_TYPE_CONFIG,
+  ORDER_STATUS,
+  PAYMENT_ENTRY_TYPE,
+  PAYMENT_METHODS,
+  PHASE_14_TIMELINE_EVENTS,
+  PHASE_14_TIMELINE_MESSAGES,
+} from "@/constants/orderConstants"
+
+/**
+ * Order Document Structure:
+ * {
+ *   id: string,
+ *   orderId: string,
+ *   orderNumber: string,
+ *   type: string,             // ORDER_DOCUMENT_TYPE
+ *   number: string,           // e.g. INV-2025-0001, shared by all versions
+ *   version: number,
+ *   isCurrent: boolean,       // false once a newer version is generated
+ *   paymentId: string|null,   // the ledger entry a receipt is for
+ *   content: Object,          // see buildDocumentContent
+ *   generatedBy: number,
+ *   generatedByName: string,
+ *   generatedAt: string,
+ * }
+ */
+
+export const mockOrderDocuments = []
+
+export const generateOrderDocumentId = () =>
+  `doc-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`
+
+/**
+ * Every version of an order's documents, newest first
+ */
+export const getOrderDocuments = (orderId) =>
+  mockOrderDocuments
+    .filter((d) => d.orderId === orderId)
+    .sort((a, b) => new Date(b.generatedAt) - new Date(a.generatedAt) || b.version - a.version)
+
+const findCurrentDocument = (orderId, type, paymentId) =>
+  mockOrderDocuments.find(
+    (d) =>
+      d.orderId === orderId &&
+      d.type === type &&
+      d.isCurrent &&
+      (type !== ORDER_DOCUMENT_TYPE.RECEIPT || d.paymentId === paymentId)
+  )
+
+/**
+ * Next number in a type's sequence for the year, e.g. INV-2025-0007
+ * Numbers are never reused: regenerating keeps the number it was given.
+ */
+const nextDocumentNumber = (type, date) => {
+  const prefix = `${ORDER_DOCUMENT_TYPE_CONFIG[type].prefix}-${date.getFullYear()}-`
+  const last = mockOrderDocuments
+    .filter((d) => d.number.startsWith(prefix))
+    .reduce((max, d) => Math.max(max, parseInt(d.number.slice(prefix.length), 10)), 0)
+  return `${prefix}${String(last + 1).padStart(4, "0")}`
+}
+
+const CANCELLED_STATUSES = [ORDER_STATUS.CANCELLED, ORDER_STATUS.CANCELLED_BY_CLIENT]
+
+/**
+ * Why a document can't be generated for the order, or null
+ */
+export const getDocumentError = (order, type, payment) => {
+  if (!ORDER_DOCUMENT_TYPE_CONFIG[type]) return `Unknown document type "${type}"`
+
+  const items = mockOrderItems.filter((i) => i.orderId === order.id)
+  if (items.length === 0) return "The order has no items to invoice"
+
+  if (type === ORDER_DOCUMENT_TYPE.RECEIPT) {
+    if (!payment) return "Choose the payment to issue a receipt for"
+    if (payment.type !== PAYMENT_ENTRY_TYPE.PAYMENT) return "Receipts are only issued for payments"
+    if (payment.voidedAt) return "This payment was voided"
+    return null
+  }
+
+  if (CANCELLED_STATUSES.includes(order.status)) {
+    return `Cancelled orders can't be given a ${ORDER_DOCUMENT_TYPE_CONFIG[type].label.toLowerCase()}`
+  }
+  return null
+}
+
+const methodLabel = (method) => PAYMENT_METHODS.find((m) => m.value === method)?.label || method
+
+const toLedgerLine = (payment) => ({
+  id: payment.id,
+  type: payment.type,
+  receivedAt: payment.receivedAt,
+  method: methodLabel(payment.method),
+  reference: payment.reference || "",
+  amount: payment.amount,
+  receivedAmount: payment.receivedAmount ?? payment.amount,
+  receivedCurrency: payment.receivedCurrency || payment.currency,
+})
+
+const sumPiecePrices = (item) =>
+  [...(item.includedItems || []), ...(item.selectedAddOns || [])].reduce(
+    (sum, piece) => sum + (piece.price || 0),
+    0
+  )
+
+/**
+ * Unit price of an item: its own unitPrice, else the prices of its included
+ * pieces and add-ons. An order with a single unpriced item is priced from the
+ * order's subtotal. Returns 0 when the item can't be priced.
+ */
+const getLineUnitPrice = (item, items, orderSubtotal) => {
+  const quantity = item.quantity || 1
+  if (item.unitPrice > 0) return item.unitPrice
+
+  const piecesPrice = sumPiecePrices(item)
+  if (piecesPrice > 0) return piecesPrice
+  if (items.length === 1 && orderSubtotal > 0) return roundMoney(orderSubtotal / quantity)
+  return 0
+}
+
+/**
+ * Everything a document shows, frozen at generation
+ *
+ * The order total is what the customer owes, so it is always the document's
+ * total. Line amounts are only shown when every item can be priced; any
+ * difference between the priced lines and the total is shown as an adjustment.
+ */
+const buildDocumentContent = (order, type, payment, now) => {
+  const items = mockOrderItems.filter((i) => i.orderId === order.id)
+  const discount = order.discount || 0
+  const extraCharges = order.extraPayment || 0
+  const total = order.totalAmount || 0
+  const orderSubtotal = roundMoney(total + discount - extraCharges)
+
+  const lines = items.map((item) => {
+    const quantity = item.quantity || 1
+    const unitPrice = getLineUnitPrice(item, items, orderSubtotal)
+    return {
+      productName: item.productName,
+      productSku: item.productSku || "",
+      size: item.size || "",
+      quantity,
+      unitPrice,
+      amount: roundMoney(unitPrice * quantity),
+      includedItems: (item.includedItems || []).map((i) => i.piece),
+      addOns: (item.selectedAddOns || []).map((a) => a.piece),
+    }
+  })
+
+  const linesPriced = lines.every((line) => line.unitPrice > 0)
+  const subtotal = linesPriced
+    ? roundMoney(lines.reduce((sum, line) => sum + line.amount, 0))
+    : orderSubtotal
+  const { netPaid, remainingAmount } = getPaymentTotals(order)
+
+  return {
+    branding: { ...appConfig.branding },
+    issuedAt: now,
+    orderNumber: order.orderNumber,
+    orderDate: order.fwdDate || order.createdAt,
+    consultantName: order.consultantName || "",
+    currency: order.currency,
+    customer: {
+      name: order.customerName,
+      email: order.customerEmail || "",
+      phone: order.customerPhone || "",
+      address: formatAddress(order.shippingAddress) || order.address || "",
+      destination: order.destination || "",
+    },
+    lines,
+    linesPriced,
+    subtotal,
+    discount,
+    extraCharges,
+    adjustment: roundMoney(total - (subtotal - discount + extraCharges)),
+    total,
+    payments: getActivePayments(order).map(toLedgerLine),
+    netPaid,
+    balanceDue: remainingAmount,
+    payment: type === ORDER_DOCUMENT_TYPE.RECEIPT ? toLedgerLine(payment) : null,
+  }
+}
+
+/**
+ * Generate a document, or a new version of the one already issued
+ * Callers validate with getDocumentError first.
+ */
+export const generateOrderDocument = (order, { type, payment }, user) => {
+  const now = new Date()
+  const previous = findCurrentDocument(order.id, type, payment?.id)
+  if (previous) previous.isCurrent = false
+
+  const document = {
+    id: generateOrderDocumentId(),
+    orderId: order.id,
+    orderNumber: order.orderNumber,
+    type,
+    number: previous?.number || nextDocumentNumber(type, now),
+    version: (previous?.version || 0) + 1,
+    isCurrent: true,
+    paymentId: payment?.id || null,
+    content: buildDocumentContent(order, type, payment, now.toISOString()),
+    generatedBy: user.id,
+    generatedByName: user.name,
+    generatedAt: now.toISOString(),
+  }
+  mockOrderDocuments.push(document)
+
+  if (!order.timeline) order.timeline = []
+  order.timeline.push({
+    id: `log-${Date.now()}-${document.id}`,
+    action: PHASE_14_TIMELINE_MESSAGES.DOCUMENT_GENERATED(
+      ORDER_DOCUMENT_TYPE_CONFIG[type].label,
+      document.number,
+      document.version,
+      user.name
+    ),
+    user: user.name,
+    timestamp: document.generatedAt,
+    event: PHASE_14_TIMELINE_EVENTS.DOCUMENT_GENERATED,
+    documentId: document.id,
+  })
+  order.updatedAt = document.generatedAt
+
+  return document
+}
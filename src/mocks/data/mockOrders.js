@@ -4,12 +4,17 @@
  */
 
 import {
+  BASE_CURRENCY,
   ORDER_ITEM_STATUS,
   ORDER_SOURCE,
+  PAYMENT_ENTRY_TYPE,
   PAYMENT_STATUS,
   SIZE_TYPE,
   CUSTOMIZATION_TYPE,
 } from "@/constants/orderConstants"
+import { getPaymentTotals, toLedgerAmount } from "@/lib/payments"
+import { convertAmount, getExchangeRate } from "@/lib/currency"
+import { mockExchangeRates } from "./mockExchangeRates"
 
 // Order Items - stored separately for easier management
 export let mockOrderItems = [
@@ -492,6 +497,7 @@ export let mockOrders = [
     shopifyOrderNumber: null,
     source: ORDER_SOURCE.MANUAL,
     status: ORDER_ITEM_STATUS.IN_PRODUCTION,
+    customerId: "cust-001",
     customerName: "Aisha Rahman",
     customerEmail: "aisha.rahman@email.com",
     customerPhone: "+971501234567",
@@ -509,8 +515,31 @@ export let mockOrders = [
     totalAmount: 575000,
     paymentStatus: PAYMENT_STATUS.PARTIAL,
     paymentMethod: "Bank Transfer",
-    payments: [],
-    totalReceived: 300000,
+    payments: [
+      {
+        id: "pay-seed-001",
+        type: PAYMENT_ENTRY_TYPE.PAYMENT,
+        amount: 300000,
+        currency: "PKR",
+        receivedAmount: 300000,
+        receivedCurrency: "PKR",
+        exchangeRate: 1,
+        baseAmount: 300000,
+        method: "wire_transfer",
+        receivedAt: "2024-12-20",
+        reference: "",
+        receiptUrl: null,
+        receiptName: null,
+        notes: "",
+        recordedBy: 2,
+        recordedByName: "Sarah Sales",
+        createdAt: "2024-12-20T10:00:00Z",
+        voidedAt: null,
+        voidedBy: null,
+        voidedByName: null,
+        voidReason: null,
+      },
+    ],
     remainingAmount: 275000,
     consultantName: "Sarah Khan",
     productionInCharge: "Mohammad Aslam",
@@ -531,6 +560,7 @@ export let mockOrders = [
     shopifyOrderNumber: "#1002",
     source: ORDER_SOURCE.SHOPIFY,
     status: ORDER_ITEM_STATUS.AWAITING_CUSTOMER_FORM_APPROVAL,
+    customerId: "cust-002",
     customerName: "Fatima Al-Maktoum",
     customerEmail: "fatima.maktoum@email.com",
     customerPhone: "+971509876543",
@@ -549,7 +579,6 @@ export let mockOrders = [
     paymentStatus: PAYMENT_STATUS.PENDING,
     paymentMethod: "Credit Card",
     payments: [],
-    totalReceived: 0,
     remainingAmount: 575000,
     consultantName: "Fatima Ali",
     productionInCharge: null,
@@ -570,6 +599,7 @@ export let mockOrders = [
     shopifyOrderNumber: null,
     source: ORDER_SOURCE.MANUAL,
     status: ORDER_ITEM_STATUS.DISPATCHED,
+    customerId: "cust-003",
     customerName: "Zara Khan",
     customerEmail: "zara.khan@email.com",
     customerPhone: "+441234567890",
@@ -587,8 +617,31 @@ export let mockOrders = [
     totalAmount: 62000,
     paymentStatus: PAYMENT_STATUS.PAID,
     paymentMethod: "Bank Transfer",
-    payments: [],
-    totalReceived: 62000,
+    payments: [
+      {
+        id: "pay-seed-003",
+        type: PAYMENT_ENTRY_TYPE.PAYMENT,
+        amount: 62000,
+        currency: "PKR",
+        receivedAmount: 62000,
+        receivedCurrency: "PKR",
+        exchangeRate: 1,
+        baseAmount: 62000,
+        method: "wire_transfer",
+        receivedAt: "2024-12-15",
+        reference: "",
+        receiptUrl: null,
+        receiptName: null,
+        notes: "",
+        recordedBy: 2,
+        recordedByName: "Sarah Sales",
+        createdAt: "2024-12-15T09:00:00Z",
+        voidedAt: null,
+        voidedBy: null,
+        voidedByName: null,
+        voidReason: null,
+      },
+    ],
     remainingAmount: 0,
     consultantName: "Sarah Khan",
     productionInCharge: "Mohammad Aslam",
@@ -609,6 +662,7 @@ export let mockOrders = [
     shopifyOrderNumber: "#1004",
     source: ORDER_SOURCE.SHOPIFY,
     status: ORDER_ITEM_STATUS.RECEIVED,
+    customerId: "cust-004",
     customerName: "Priya Sharma",
     customerEmail: "priya.sharma@email.com",
     customerPhone: "+919876543210",
@@ -626,8 +680,31 @@ export let mockOrders = [
     totalAmount: 180000,
     paymentStatus: PAYMENT_STATUS.PAID,
     paymentMethod: "Credit Card",
-    payments: [],
-    totalReceived: 180000,
+    payments: [
+      {
+        id: "pay-seed-004",
+        type: PAYMENT_ENTRY_TYPE.PAYMENT,
+        amount: 180000,
+        currency: "PKR",
+        receivedAmount: 180000,
+        receivedCurrency: "PKR",
+        exchangeRate: 1,
+        baseAmount: 180000,
+        method: "credit_card",
+        receivedAt: "2024-12-24",
+        reference: "",
+        receiptUrl: null,
+        receiptName: null,
+        notes: "",
+        recordedBy: 2,
+        recordedByName: "Sarah Sales",
+        createdAt: "2024-12-24T08:00:00Z",
+        voidedAt: null,
+        voidedBy: null,
+        voidedByName: null,
+        voidReason: null,
+      },
+    ],
     remainingAmount: 0,
     consultantName: "Fatima Ali",
     productionInCharge: null,
@@ -648,6 +725,7 @@ export let mockOrders = [
     shopifyOrderNumber: null,
     source: ORDER_SOURCE.MANUAL,
     status: ORDER_ITEM_STATUS.AWAITING_MATERIAL,
+    customerId: "cust-005",
     customerName: "Maria Rodriguez",
     customerEmail: "maria.rodriguez@email.com",
     customerPhone: "+12125551234",
@@ -665,8 +743,31 @@ export let mockOrders = [
     totalAmount: 160000,
     paymentStatus: PAYMENT_STATUS.PARTIAL,
     paymentMethod: "Wire Transfer",
-    payments: [],
-    totalReceived: 80000,
+    payments: [
+      {
+        id: "pay-seed-005",
+        type: PAYMENT_ENTRY_TYPE.PAYMENT,
+        amount: 80000,
+        currency: "PKR",
+        receivedAmount: 80000,
+        receivedCurrency: "PKR",
+        exchangeRate: 1,
+        baseAmount: 80000,
+        method: "wire_transfer",
+        receivedAt: "2024-12-23",
+        reference: "",
+        receiptUrl: null,
+        receiptName: null,
+        notes: "",
+        recordedBy: 2,
+        recordedByName: "Sarah Sales",
+        createdAt: "2024-12-23T10:00:00Z",
+        voidedAt: null,
+        voidedBy: null,
+        voidedByName: null,
+        voidReason: null,
+      },
+    ],
     remainingAmount: 80000,
     consultantName: "Sarah Khan",
     productionInCharge: "Mohammad Aslam",
@@ -687,6 +788,7 @@ export let mockOrders = [
     shopifyOrderNumber: "#1006",
     source: ORDER_SOURCE.SHOPIFY,
     status: ORDER_ITEM_STATUS.PRODUCTION_COMPLETED,
+    customerId: "cust-006",
     customerName: "Emma Thompson",
     customerEmail: "emma.thompson@email.com",
     customerPhone: "+447890123456",
@@ -704,8 +806,31 @@ export let mockOrders = [
     totalAmount: 180000,
     paymentStatus: PAYMENT_STATUS.PAID,
     paymentMethod: "Credit Card",
-    payments: [],
-    totalReceived: 180000,
+    payments: [
+      {
+        id: "pay-seed-006",
+        type: PAYMENT_ENTRY_TYPE.PAYMENT,
+        amount: 180000,
+        currency: "PKR",
+        receivedAmount: 180000,
+        receivedCurrency: "PKR",
+        exchangeRate: 1,
+        baseAmount: 180000,
+        method: "credit_card",
+        receivedAt: "2024-12-18",
+        reference: "",
+        receiptUrl: null,
+        receiptName: null,
+        notes: "",
+        recordedBy: 2,
+        recordedByName: "Sarah Sales",
+        createdAt: "2024-12-18T11:00:00Z",
+        voidedAt: null,
+        voidedBy: null,
+        voidedByName: null,
+        voidReason: null,
+      },
+    ],
     remainingAmount: 0,
     consultantName: "Fatima Ali",
     productionInCharge: "Mohammad Aslam",
@@ -726,6 +851,7 @@ export let mockOrders = [
     shopifyOrderNumber: null,
     source: ORDER_SOURCE.MANUAL,
     status: ORDER_ITEM_STATUS.INVENTORY_CHECK,
+    customerId: "cust-007",
     customerName: "Sophia Chen",
     customerEmail: "sophia.chen@email.com",
     customerPhone: "+8613812345678",
@@ -743,8 +869,31 @@ export let mockOrders = [
     totalAmount: 58000,
     paymentStatus: PAYMENT_STATUS.PAID,
     paymentMethod: "Alipay",
-    payments: [],
-    totalReceived: 58000,
+    payments: [
+      {
+        id: "pay-seed-007",
+        type: PAYMENT_ENTRY_TYPE.PAYMENT,
+        amount: 58000,
+        currency: "PKR",
+        receivedAmount: 58000,
+        receivedCurrency: "PKR",
+        exchangeRate: 1,
+        baseAmount: 58000,
+        method: "other",
+        receivedAt: "2024-12-24",
+        reference: "",
+        receiptUrl: null,
+        receiptName: null,
+        notes: "",
+        recordedBy: 2,
+        recordedByName: "Sarah Sales",
+        createdAt: "2024-12-24T10:00:00Z",
+        voidedAt: null,
+        voidedBy: null,
+        voidedByName: null,
+        voidReason: null,
+      },
+    ],
     remainingAmount: 0,
     consultantName: "Sarah Khan",
     productionInCharge: null,
@@ -765,6 +914,7 @@ export let mockOrders = [
     shopifyOrderNumber: "#1008",
     source: ORDER_SOURCE.SHOPIFY,
     status: ORDER_ITEM_STATUS.READY_FOR_PRODUCTION,
+    customerId: "cust-008",
     customerName: "Amelia Williams",
     customerEmail: "amelia.williams@email.com",
     customerPhone: "+61412345678",
@@ -782,8 +932,31 @@ export let mockOrders = [
     totalAmount: 68000,
     paymentStatus: PAYMENT_STATUS.PAID,
     paymentMethod: "Credit Card",
-    payments: [],
-    totalReceived: 68000,
+    payments: [
+      {
+        id: "pay-seed-008",
+        type: PAYMENT_ENTRY_TYPE.PAYMENT,
+        amount: 68000,
+        currency: "PKR",
+        receivedAmount: 68000,
+        receivedCurrency: "PKR",
+        exchangeRate: 1,
+        baseAmount: 68000,
+        method: "credit_card",
+        receivedAt: "2024-12-22",
+        reference: "",
+        receiptUrl: null,
+        receiptName: null,
+        notes: "",
+        recordedBy: 2,
+        recordedByName: "Sarah Sales",
+        createdAt: "2024-12-22T09:00:00Z",
+        voidedAt: null,
+        voidedBy: null,
+        voidedByName: null,
+        voidReason: null,
+      },
+    ],
     remainingAmount: 0,
     consultantName: "Fatima Ali",
     productionInCharge: "Mohammad Aslam",
@@ -823,13 +996,7 @@ export const getAllOrdersWithItems = () => {
 }
 
 // Calculate remaining amount
-export const calculateRemainingAmount = (order) => {
-  if (order.payments && order.payments.length > 0) {
-    const totalPaid = order.payments.reduce((sum, p) => sum + p.amount, 0)
-    return order.totalAmount - totalPaid
-  }
-  return order.remainingAmount || order.totalAmount - (order.totalReceived || 0)
-}
+export const calculateRemainingAmount = (order) => getPaymentTotals(order).remainingAmount
 
 // Calculate delayed days
 export const calculateDelayedDays = (order) => {
@@ -871,7 +1038,7 @@ export const getOrderStatusSummary = (orderId) => {
 // Generate new order number
 export const generateOrderNumber = () => {
   const year = new Date().getFullYear()
-  const count = mockOrders.filter((o) => o.source === ORDER_SOURCE.MANUAL).length + 1
+  const count = mockOrders.filter((o) => o.orderNumber?.startsWith(`ORD-${year}-`)).length + 1
   return `ORD-${year}-${String(count).padStart(3, "0")}`
 }
 
@@ -881,3 +1048,56 @@ export const generateOrderItemId = () =>
   `item-${String(mockOrderItems.length + 1).padStart(3, "0")}`
 export const generatePaymentId = () => `pay-${String(Date.now())}`
 export const generateTimelineId = () => `log-${String(Date.now())}`
+
+/**
+ * Build a payment ledger entry
+ * `amount` and `currency` are what was actually received (or paid back). The
+ * entry also carries that amount in the order currency, which is what counts
+ * towards the balance, and in the base currency for reports, both converted
+ * at the rates in force on the received date. Callers check the rates exist
+ * first (getMissingRate).
+ */
+export const createPaymentEntry = (
+  {
+    type = PAYMENT_ENTRY_TYPE.PAYMENT,
+    amount,
+    currency,
+    method = "",
+    receivedAt,
+    reference = "",
+    receiptUrl = null,
+    receiptName = null,
+    notes = "",
+  },
+  order,
+  user,
+  now = new Date().toISOString()
+) => {
+  const day = receivedAt || now.split("T")[0]
+  const receivedAmount = toLedgerAmount(type, amount)
+  const exchangeRate = getExchangeRate(mockExchangeRates, currency, order.currency, day)
+
+  return {
+    id: generatePaymentId(),
+    type,
+    amount: convertAmount(mockExchangeRates, receivedAmount, currency, order.currency, day),
+    currency: order.currency,
+    receivedAmount,
+    receivedCurrency: currency,
+    exchangeRate,
+    baseAmount: convertAmount(mockExchangeRates, receivedAmount, currency, BASE_CURRENCY, day),
+    method,
+    receivedAt: day,
+    reference,
+    receiptUrl,
+    receiptName,
+    notes,
+    recordedBy: user?.id ?? null,
+    recordedByName: user?.name || "System",
+    createdAt: now,
+    voidedAt: null,
+    voidedBy: null,
+    voidedByName: null,
+    voidReason: null,
+  }
+}
@@ -6,16 +6,53 @@
  * The fabrication team gathers materials from inventory based on the pick list.
  */
 
-import { PACKET_STATUS } from "@/constants/orderConstants"
+import { PACKET_STATUS, INVENTORY_LOCATION } from "@/constants/orderConstants"
+import { suggestPickLocation } from "./mockInventory"
+import { areUnitsCompatible, convertQuantity } from "@/lib/units"
 
-// Counter for generating unique IDs
-let packetIdCounter = 1
+/**
+ * Where the fabrication team should pull a material from
+ * Unknown items fall back to the main store with the rack still to be decided
+ */
+const getPickLocation = (inventoryItem, requiredQty) => {
+  const source = suggestPickLocation(inventoryItem, requiredQty)
+  return {
+    location: source?.location || INVENTORY_LOCATION.MAIN_STORE,
+    rackLocation: source?.rack_location || inventoryItem.rack_location || "TBD",
+  }
+}
+
+/**
+ * Quantity a pick list line asks for, in the unit the material is stocked in
+ * Requirements from the inventory check are already in the stock unit and
+ * carry the BOM quantity (bomQty / bomUnit), shown to the picker for reference.
+ * A requirement whose unit cannot be converted keeps its own unit.
+ */
+const getPickQuantity = (req, inventoryItem) => {
+  const stockUnit = inventoryItem.unit || req.unit || "Unit"
+  const converts = !req.unit || areUnitsCompatible(req.unit, stockUnit)
+  return {
+    requiredQty:
+      converts && req.unit
+        ? convertQuantity(req.requiredQty, req.unit, stockUnit)
+        : req.requiredQty,
+    unit: converts ? stockUnit : req.unit,
+    bomQty: req.bomQty ?? null,
+    bomUnit: req.bomUnit ?? null,
+  }
+}
 
 /**
  * Generate a unique packet ID
+ * Continues from the highest existing ID so packets restored from the
+ * persisted mock database never collide with new ones
  */
 export const generatePacketId = () => {
-  return `packet-${String(packetIdCounter++).padStart(3, "0")}`
+  const highestId = mockPackets.reduce((max, p) => {
+    const numericId = parseInt(String(p.id).replace("packet-", ""), 10)
+    return Number.isNaN(numericId) ? max : Math.max(max, numericId)
+  }, 0)
+  return `packet-${String(highestId + 1).padStart(3, "0")}`
 }
 
 /**
@@ -46,6 +83,48 @@ export const getPacketsAwaitingCheck = () => {
   return mockPackets.filter((p) => p.status === PACKET_STATUS.COMPLETED)
 }
 
+/**
+ * Lots the picked material of an order item section came from
+ * Pick list lines keep lots: [{ lotNumber, quantity }] once their stock is taken.
+ */
+export const getSectionLots = (orderItemId, section) => {
+  const packet = getPacketByOrderItemId(orderItemId)
+  if (!packet) return []
+
+  return packet.pickList
+    .filter(
+      (item) => (item.piece || "").toLowerCase() === section.toLowerCase() && item.lots?.length > 0
+    )
+    .map((item) => ({
+      inventoryItemId: item.inventoryItemId,
+      inventoryItemName: item.inventoryItemName,
+      inventoryItemSku: item.inventoryItemSku,
+      inventoryItemCategory: item.inventoryItemCategory,
+      unit: item.unit,
+      lots: item.lots,
+    }))
+}
+
+/**
+ * Every pick that took material from a lot, including lines dropped from a
+ * packet when their section was re-processed after a dyeing rejection
+ *
+ * @returns {{ packet: Object, pickItem: Object, quantity: number, removed: boolean }[]}
+ */
+export const getLotPicks = (inventoryItemId, lotNumber) =>
+  mockPackets.flatMap((packet) =>
+    [
+      ...packet.pickList.map((pickItem) => ({ pickItem, removed: false })),
+      ...(packet.removedPickListItems || []).map((pickItem) => ({ pickItem, removed: true })),
+    ]
+      .filter(({ pickItem }) => pickItem.inventoryItemId === inventoryItemId)
+      .flatMap(({ pickItem, removed }) =>
+        (pickItem.lots || [])
+          .filter((lot) => lot.lotNumber === lotNumber)
+          .map((lot) => ({ packet, pickItem, quantity: lot.quantity, removed }))
+      )
+  )
+
 /**
  * Create a packet from material requirements
  * This is called when an order item enters CREATE_PACKET status
@@ -67,6 +146,7 @@ export const createPacketFromRequirements = (
   const pickList = materialRequirements.map((req, index) => {
     // Get the full inventory item details
     const inventoryItem = inventoryItemsMap[req.inventoryItemId] || {}
+    const quantity = getPickQuantity(req, inventoryItem)
 
     return {
       id: `pick-${orderItemId}-${index + 1}`,
@@ -77,10 +157,9 @@ export const createPacketFromRequirements = (
       inventoryItemSku: inventoryItem.sku || req.inventoryItemSku || "",
       inventoryItemCategory: inventoryItem.category || req.category || "",
       // Quantity and unit
-      requiredQty: req.requiredQty,
-      unit: inventoryItem.unit || req.unit || "Unit",
+      ...quantity,
       // Location info for warehouse staff
-      rackLocation: inventoryItem.rack_location || "TBD",
+      ...getPickLocation(inventoryItem, quantity.requiredQty),
       // Piece/section this material is for
       piece: req.piece || "General",
       // Picking status
@@ -166,6 +245,7 @@ export const createPartialPacketFromRequirements = (
 
   const pickList = materialRequirements.map((req, index) => {
     const inventoryItem = inventoryItemsMap[req.inventoryItemId] || {}
+    const quantity = getPickQuantity(req, inventoryItem)
     return {
       id: `pick-${orderItemId}-${index + 1}`,
       inventoryItemId: req.inventoryItemId,
@@ -173,9 +253,8 @@ export const createPartialPacketFromRequirements = (
         inventoryItem.name || req.inventoryItemName || `Item ${req.inventoryItemId}`,
       inventoryItemSku: inventoryItem.sku || req.inventoryItemSku || "",
       inventoryItemCategory: inventoryItem.category || req.category || "",
-      requiredQty: req.requiredQty,
-      unit: inventoryItem.unit || req.unit || "Unit",
-      rackLocation: inventoryItem.rack_location || "TBD",
+      ...quantity,
+      ...getPickLocation(inventoryItem, quantity.requiredQty),
       piece: req.piece || "General",
       isPicked: false,
       pickedQty: 0,
@@ -330,15 +409,15 @@ export const addMaterialsToExistingPacket = (
 
   const newPickItems = newMaterialRequirements.map((req, index) => {
     const inventoryItem = inventoryItemsMap[req.inventoryItemId] || {}
+    const quantity = getPickQuantity(req, inventoryItem)
     return {
       id: `pick-${packet.orderItemId}-${startIndex + index + 1}`,
       inventoryItemId: req.inventoryItemId,
       inventoryItemName: inventoryItem.name || req.inventoryItemName,
       inventoryItemSku: inventoryItem.sku || req.inventoryItemSku || "",
       inventoryItemCategory: inventoryItem.category || "",
-      requiredQty: req.requiredQty,
-      unit: inventoryItem.unit || req.unit || "Unit",
-      rackLocation: inventoryItem.rack_location || "TBD",
+      ...quantity,
+      ...getPickLocation(inventoryItem, quantity.requiredQty),
       piece: req.piece || "General",
       isPicked: false,
       pickedQty: 0,
@@ -481,6 +560,7 @@ export const samplePacket = {
       inventoryItemCategory: "RAW_MATERIAL",
       requiredQty: 10,
       unit: "Yard",
+      location: INVENTORY_LOCATION.MAIN_STORE,
       rackLocation: "A7",
       piece: "kaftan",
       isPicked: true,
@@ -496,6 +576,7 @@ export const samplePacket = {
       inventoryItemCategory: "ADA_MATERIAL",
       requiredQty: 50,
       unit: "Gram",
+      location: INVENTORY_LOCATION.MAIN_STORE,
       rackLocation: "B3",
       piece: "pouch",
       isPicked: false,
@@ -511,6 +592,7 @@ export const samplePacket = {
       inventoryItemCategory: "FABRIC",
       requiredQty: 3.5,
       unit: "Meter",
+      location: INVENTORY_LOCATION.MAIN_STORE,
       rackLocation: "C2",
       piece: "kaftan",
       isPicked: false,
@@ -0,0 +1,277 @@
+/**
+ * Mock Customer Portal Links
+ * src/mocks/data/mockPortalLinks.js
+ *
+ * Links that open one order to its customer without a login. A link's token
+ * carries the link id and expiry signed with a server secret, so a token that
+ * was edited or made up is refused before any order data is read. Sales can
+ * revoke a link at any time.
+ *
+ * Everything the customer does in the portal is kept as a portal response,
+ * with the IP address and time it came from, as proof of what they approved.
+ */
+
+import {
+  PHASE_14_TIMELINE_EVENTS,
+  PHASE_14_TIMELINE_MESSAGES,
+  PORTAL_LINK_STATUS,
+  PORTAL_RESPONSE_ACTION_CONFIG,
+} from "@/constants/orderConstants"
+
+// Signing key - a real backend keeps this in its environment, never in the client
+const PORTAL_LINK_SECRET = "mock-portal-link-secret"
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Portal Link Structure:
+ * {
+ *   id: string,
+ *   orderId: string,
+ *   orderNumber: string,
+ *   token: string,            // <payload>.<signature>, both base64url
+ *   expiresAt: string,
+ *   revokedAt: string|null,
+ *   revokedByName: string|null,
+ *   lastOpenedAt: string|null,
+ *   openCount: number,
+ *   createdBy: number,
+ *   createdByName: string,
+ *   createdAt: string,
+ * }
+ */
+export const mockPortalLinks = []
+
+/**
+ * Portal Response Structure:
+ * {
+ *   id: string,
+ *   linkId: string,
+ *   orderId: string,
+ *   orderNumber: string,
+ *   action: string,           // PORTAL_RESPONSE_ACTION
+ *   orderItemId: string|null, // the item a form response is for
+ *   sections: [{ orderItemId, sectionName, notes }],
+ *   comment: string,
+ *   ip: string,
+ *   userAgent: string,
+ *   respondedAt: string,
+ * }
+ */
+export const mockPortalResponses = []
+
+export const generatePortalLinkId = () =>
+  `plink-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`
+
+export const generatePortalResponseId = () =>
+  `presp-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`
+
+/**
+ * Name portal actions are recorded under on timelines
+ */
+export const getPortalActorName = (order) => `${order.customerName || "Customer"} (customer portal)`
+
+// ============================================================================
+// TOKENS
+// ============================================================================
+
+const toBase64Url = (bytes) =>
+  btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "")
+
+const fromBase64Url = (text) => atob(text.replace(/-/g, "+").replace(/_/g, "/"))
+
+const sign = async (text) => {
+  const encoder = new TextEncoder()
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(PORTAL_LINK_SECRET),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  )
+  return toBase64Url(await crypto.subtle.sign("HMAC", key, encoder.encode(text)))
+}
+
+const createToken = async (link) => {
+  const payload = toBase64Url(
+    new TextEncoder().encode(
+      JSON.stringify({ lid: link.id, oid: link.orderId, exp: Date.parse(link.expiresAt) })
+    )
+  )
+  return `${payload}.${await sign(payload)}`
+}
+
+/**
+ * Check a portal token
+ * Unknown or tampered tokens are 404 so they reveal nothing; expired and
+ * revoked links are 410 so the customer knows to ask for a new one.
+ *
+ * @returns {Promise<{ link?: Object, status?: number, error?: string }>}
+ */
+export const verifyPortalToken = async (token) => {
+  const invalid = { status: 404, error: "This link is not valid" }
+  const [payload, signature] = (token || "").split(".")
+  if (!payload || !signature || signature !== (await sign(payload))) return invalid
+
+  let claims
+  try {
+    claims = JSON.parse(fromBase64Url(payload))
+  } catch {
+    return invalid
+  }
+
+  const link = mockPortalLinks.find((l) => l.id === claims.lid && l.orderId === claims.oid)
+  if (!link) return invalid
+  if (link.revokedAt) return { status: 410, error: "This link has been withdrawn" }
+  if (claims.exp <= Date.now()) return { status: 410, error: "This link has expired" }
+
+  return { link }
+}
+
+// ============================================================================
+// LINKS
+// ============================================================================
+
+export const getPortalLinkStatus = (link) => {
+  if (link.revokedAt) return PORTAL_LINK_STATUS.REVOKED
+  if (Date.parse(link.expiresAt) <= Date.now()) return PORTAL_LINK_STATUS.EXPIRED
+  return PORTAL_LINK_STATUS.ACTIVE
+}
+
+/**
+ * An order's links with their current status, newest first
+ */
+export const getOrderPortalLinks = (orderId) =>
+  mockPortalLinks
+    .filter((l) => l.orderId === orderId)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map((link) => ({ ...link, status: getPortalLinkStatus(link) }))
+
+/**
+ * Create a link to the order that is valid for a number of days
+ * Callers validate expiresInDays against PORTAL_LINK_MAX_DAYS first.
+ */
+export const createPortalLink = async (order, { expiresInDays }, user) => {
+  const now = new Date()
+  const link = {
+    id: generatePortalLinkId(),
+    orderId: order.id,
+    orderNumber: order.orderNumber,
+    token: null,
+    expiresAt: new Date(now.getTime() + expiresInDays * DAY_MS).toISOString(),
+    revokedAt: null,
+    revokedByName: null,
+    lastOpenedAt: null,
+    openCount: 0,
+    createdBy: user.id,
+    createdByName: user.name,
+    createdAt: now.toISOString(),
+  }
+  link.token = await createToken(link)
+  mockPortalLinks.push(link)
+
+  if (!order.timeline) order.timeline = []
+  order.timeline.push({
+    id: `log-${Date.now()}-${link.id}`,
+    action: PHASE_14_TIMELINE_MESSAGES.PORTAL_LINK_CREATED(
+      user.name,
+      new Date(link.expiresAt).toLocaleDateString("en-US", {
+        month: "short",
+        day: "numeric",
+        year: "numeric",
+      })
+    ),
+    user: user.name,
+    timestamp: link.createdAt,
+    event: PHASE_14_TIMELINE_EVENTS.PORTAL_LINK_CREATED,
+    portalLinkId: link.id,
+  })
+  order.updatedAt = link.createdAt
+
+  return { ...link, status: getPortalLinkStatus(link) }
+}
+
+export const revokePortalLink = (order, link, user) => {
+  const now = new Date().toISOString()
+  link.revokedAt = now
+  link.revokedByName = user.name
+
+  if (!order.timeline) order.timeline = []
+  order.timeline.push({
+    id: `log-${Date.now()}-${link.id}-revoked`,
+    action: PHASE_14_TIMELINE_MESSAGES.PORTAL_LINK_REVOKED(user.name),
+    user: user.name,
+    timestamp: now,
+    event: PHASE_14_TIMELINE_EVENTS.PORTAL_LINK_REVOKED,
+    portalLinkId: link.id,
+  })
+  order.updatedAt = now
+
+  return { ...link, status: getPortalLinkStatus(link) }
+}
+
+export const markPortalLinkOpened = (link) => {
+  link.lastOpenedAt = new Date().toISOString()
+  link.openCount += 1
+}
+
+// ============================================================================
+// RESPONSES
+// ============================================================================
+
+/**
+ * An order's portal responses, newest first
+ */
+export const getOrderPortalResponses = (orderId) =>
+  mockPortalResponses
+    .filter((r) => r.orderId === orderId)
+    .sort((a, b) => new Date(b.respondedAt) - new Date(a.respondedAt))
+
+/**
+ * Build the record of what the customer sent, with where and when it came from
+ * Not stored yet: the handler applies the action first (pointing at the
+ * response id as its proof) and saves the response once it went through.
+ */
+export const createPortalResponse = (
+  link,
+  { action, orderItemId, sections, comment },
+  { ip, userAgent }
+) => ({
+  id: generatePortalResponseId(),
+  linkId: link.id,
+  orderId: link.orderId,
+  orderNumber: link.orderNumber,
+  action,
+  orderItemId: orderItemId || null,
+  sections: sections || [],
+  comment: comment?.trim() || "",
+  ip,
+  userAgent,
+  respondedAt: new Date().toISOString(),
+})
+
+/**
+ * Store a response and write it to the order timeline
+ */
+export const savePortalResponse = (order, response, detail) => {
+  mockPortalResponses.push(response)
+
+  if (!order.timeline) order.timeline = []
+  order.timeline.push({
+    id: `log-${Date.now()}-${response.id}`,
+    action: PHASE_14_TIMELINE_MESSAGES.PORTAL_RESPONSE(
+      PORTAL_RESPONSE_ACTION_CONFIG[response.action].label,
+      detail
+    ),
+    user: getPortalActorName(order),
+    timestamp: response.respondedAt,
+    event: PHASE_14_TIMELINE_EVENTS.PORTAL_RESPONSE,
+    portalResponseId: response.id,
+  })
+  order.updatedAt = response.respondedAt
+
+  return response
+}
@@ -3,6 +3,8 @@
  * Stores material shortages that need to be procured
  */
 
+import { PROCUREMENT_DEMAND_STATUS } from "@/constants/orderConstants"
+
 /**
  * Procurement Demand Structure:
  * {
@@ -15,9 +17,13 @@
  *   requiredQty: number,
  *   availableQty: number,
  *   shortageQty: number,
- *   unit: string,
+ *   receivedQty: number,      // Filled by stock-in, up to shortageQty
+ *   allocations: [{ quantity, reference, movementId, receivedAt }],
+ *   unit: string,             // Stock unit of the material; BOM quantities are converted to it
  *   affectedSection: string,  // NEW - Which section this shortage affects (e.g., "Dupatta")
- *   status: "OPEN" | "ORDERED" | "RECEIVED" | "CANCELLED",
+ *   status: PROCUREMENT_DEMAND_STATUS,
+ *   purchaseOrderId: string | null,     // PO this demand was ordered on
+ *   purchaseOrderNumber: string | null,
  *   createdAt: string,
  *   updatedAt: string,
  *   notes: string,
@@ -55,3 +61,106 @@ export const updateProcurementDemand = (id, updates) => {
 export const deleteProcurementDemandsByOrderItem = (orderItemId) => {
   mockProcurementDemands = mockProcurementDemands.filter((pd) => pd.orderItemId !== orderItemId)
 }
+
+/** Demands still waiting for material */
+const RECEIVABLE_STATUSES = [
+  PROCUREMENT_DEMAND_STATUS.OPEN,
+  PROCUREMENT_DEMAND_STATUS.ORDERED,
+  PROCUREMENT_DEMAND_STATUS.PARTIALLY_RECEIVED,
+]
+
+/** Quantity a demand is still waiting for */
+export const getOutstandingDemandQty = (pd) => Math.max(0, pd.shortageQty - (pd.receivedQty || 0))
+
+/**
+ * Drop an order item's OPEN demands before its inventory check raises them again
+ * Demands already on a purchase order are kept, so receiving against the PO
+ * line still allocates to them.
+ * @returns {Array} The kept demands still waiting for material
+ */
+export const clearOpenDemands = (orderItemId) => {
+  for (let i = mockProcurementDemands.length - 1; i >= 0; i--) {
+    const pd = mockProcurementDemands[i]
+    if (pd.orderItemId === orderItemId && pd.status === PROCUREMENT_DEMAND_STATUS.OPEN) {
+      mockProcurementDemands.splice(i, 1)
+    }
+  }
+  return mockProcurementDemands.filter(
+    (pd) => pd.orderItemId === orderItemId && RECEIVABLE_STATUSES.includes(pd.status)
+  )
+}
+
+/**
+ * Withdraw the demands of an order item that no longer needs material, e.g.
+ * one filled from ready stock. OPEN demands are dropped; demands on a purchase
+ * order are CANCELLED with the reason, so the PO line still shows what it was for.
+ * @returns {Array} The demands cancelled
+ */
+export const cancelOrderItemDemands = (orderItemId, reason, now = new Date().toISOString()) => {
+  const cancelled = clearOpenDemands(orderItemId)
+  cancelled.forEach((pd) => {
+    pd.status = PROCUREMENT_DEMAND_STATUS.CANCELLED
+    pd.notes = reason
+    pd.updatedAt = now
+  })
+  return cancelled
+}
+
+/**
+ * Allocate a stock-in to the open demands for that material, oldest first.
+ * Each demand takes up to its outstanding shortage and becomes RECEIVED, or
+ * PARTIALLY_RECEIVED if the stock runs out first.
+ *
+ * @param {number} inventoryItemId
+ * @param {number} quantity - Quantity received
+ * @param {Object} receipt - { reference, movementId, receivedAt }
+ * @param {Object} [options]
+ * @param {string[]} [options.preferredDemandIds] - Filled before the others,
+ *   e.g. the demands a purchase order line was raised for
+ * @returns {{ allocations: Array, unallocatedQty: number }}
+ */
+export const allocateStockInToDemands = (
+  inventoryItemId,
+  quantity,
+  receipt,
+  { preferredDemandIds = [] } = {}
+) => {
+  let remainingQty = quantity
+  const allocations = []
+  const isPreferred = (pd) => (preferredDemandIds.includes(pd.id) ? 0 : 1)
+
+  mockProcurementDemands
+    .filter(
+      (pd) => pd.inventoryItemId === inventoryItemId && RECEIVABLE_STATUSES.includes(pd.status)
+    )
+    .sort(
+      (a, b) => isPreferred(a) - isPreferred(b) || new Date(a.createdAt) - new Date(b.createdAt)
+    )
+    .forEach((pd) => {
+      const outstandingQty = pd.shortageQty - (pd.receivedQty || 0)
+      const allocatedQty = Math.min(outstandingQty, remainingQty)
+      if (allocatedQty <= 0) return
+
+      remainingQty -= allocatedQty
+      pd.receivedQty = (pd.receivedQty || 0) + allocatedQty
+      pd.status =
+        pd.receivedQty >= pd.shortageQty
+          ? PROCUREMENT_DEMAND_STATUS.RECEIVED
+          : PROCUREMENT_DEMAND_STATUS.PARTIALLY_RECEIVED
+      pd.allocations = [...(pd.allocations || []), { quantity: allocatedQty, ...receipt }]
+      pd.updatedAt = receipt.receivedAt
+
+      allocations.push({
+        demandId: pd.id,
+        orderId: pd.orderId,
+        orderItemId: pd.orderItemId,
+        affectedSection: pd.affectedSection,
+        allocatedQty,
+        receivedQty: pd.receivedQty,
+        shortageQty: pd.shortageQty,
+        status: pd.status,
+      })
+    })
+
+  return { allocations, unallocatedQty: remainingQty }
+}
@@ -0,0 +1,365 @@
+/**
+ * Mock Production Schedule
+ * src/mocks/data/mockProductionSchedule.js
+ *
+ * Worker calendars, task duration estimates and the forward schedule of open
+ * production tasks the scheduling board shows. A task type is estimated at the
+ * average duration of its completed tasks (completeTask records it in minutes)
+ * and at its defaultMinutes until one has been completed; custom tasks are
+ * estimated by name. Durations are recorded start to finish, so a task left
+ * overnight makes its type's estimate err on the long side.
+ *
+ * Each order item is due on its order's productionShippingDate, or fwdDate when
+ * no shipping date is set.
+ */
+
+import { endOfDay, parseISO } from "date-fns"
+import { mockProductionTasks } from "./mockProductionTasks"
+import { mockOrderItems, mockOrders } from "./mockOrders"
+import { getActiveProductionWorkers, getUserById } from "./mockUser"
+import {
+  PRODUCTION_TASK_STATUS,
+  PRODUCTION_TASK_TYPES,
+  PRODUCTION_TASK_TYPE_CONFIG,
+  SECTION_STATUS,
+} from "@/constants/orderConstants"
+import { DEFAULT_WORKER_CALENDAR, scheduleTaskChains } from "@/lib/productionSchedule"
+
+export const ESTIMATE_BASIS = {
+  LEARNED: "LEARNED",
+  DEFAULT: "DEFAULT",
+}
+
+// Least work left planned for an in-progress task that has run past its estimate
+const MIN_REMAINING_MINUTES = 30
+
+// Sections waiting for the production head to create their tasks
+const AWAITING_TASK_STATUSES = [
+  SECTION_STATUS.READY_FOR_PRODUCTION,
+  SECTION_STATUS.DYEING_COMPLETED,
+  SECTION_STATUS.QA_REJECTED,
+]
+
+// ============================================================================
+// WORKER CALENDARS
+// ============================================================================
+
+/**
+ * Calendar Structure:
+ * {
+ *   workerId: number,
+ *   workDays: number[],      // Date#getDay values
+ *   startTime: "HH:mm",
+ *   endTime: "HH:mm",
+ *   timeOff: [{ id, from: "yyyy-MM-dd", to: "yyyy-MM-dd", reason }],
+ *   updatedAt: string,
+ *   updatedBy: string,
+ * }
+ *
+ * Workers without an entry work the default calendar.
+ */
+export const mockWorkerCalendars = [
+  {
+    workerId: 19,
+    workDays: [1, 2, 3, 4, 5],
+    startTime: "10:00",
+    endTime: "19:00",
+    timeOff: [],
+    updatedAt: "2025-01-10T09:00:00Z",
+    updatedBy: "Mike Supervisor",
+  },
+  {
+    workerId: 20,
+    workDays: [1, 2, 3, 4, 5, 6],
+    startTime: "09:00",
+    endTime: "14:00",
+    timeOff: [],
+    updatedAt: "2025-01-10T09:00:00Z",
+    updatedBy: "Mike Supervisor",
+  },
+]
+
+/**
+ * Calendar of a worker, the default one when none has been set
+ */
+export const getWorkerCalendar = (workerId) => {
+  const calendar = mockWorkerCalendars.find((c) => c.workerId === parseInt(workerId))
+  return calendar || { workerId: parseInt(workerId), ...DEFAULT_WORKER_CALENDAR, updatedAt: null }
+}
+
+/**
+ * Create or replace a worker's calendar
+ */
+export const saveWorkerCalendar = (workerId, calendar, user) => {
+  const saved = {
+    workerId: parseInt(workerId),
+    workDays: calendar.workDays,
+    startTime: calendar.startTime,
+    endTime: calendar.endTime,
+    timeOff: calendar.timeOff,
+    updatedAt: new Date().toISOString(),
+    updatedBy: user.name,
+  }
+
+  const index = mockWorkerCalendars.findIndex((c) => c.workerId === saved.workerId)
+  if (index === -1) {
+    mockWorkerCalendars.push(saved)
+  } else {
+    mockWorkerCalendars[index] = saved
+  }
+  return saved
+}
+
+// ============================================================================
+// DURATION ESTIMATES
+// ============================================================================
+
+const getEstimateKey = (task) =>
+  task.taskType === PRODUCTION_TASK_TYPES.CUSTOM && task.customTaskName
+    ? `CUSTOM:${task.customTaskName.trim().toLowerCase()}`
+    : task.taskType
+
+/**
+ * Display name of a task, its custom name for custom tasks
+ */
+export const getTaskLabel = (task) =>
+  task.taskType === PRODUCTION_TASK_TYPES.CUSTOM
+    ? task.customTaskName || PRODUCTION_TASK_TYPE_CONFIG.CUSTOM.label
+    : PRODUCTION_TASK_TYPE_CONFIG[task.taskType]?.label || task.taskType
+
+/**
+ * Duration estimates learned from completed tasks
+ *
+ * @returns {Object[]} [{ key, taskType, label, minutes, basis, samples }], one per task
+ *   type and one per custom task name that has been completed
+ */
+export const getTaskDurationEstimates = () => {
+  const timed = {}
+  mockProductionTasks.forEach((task) => {
+    if (task.status !== PRODUCTION_TASK_STATUS.COMPLETED || !(task.duration > 0)) return
+    const key = getEstimateKey(task)
+    timed[key] = timed[key] || { task, durations: [] }
+    timed[key].durations.push(task.duration)
+  })
+
+  const toEstimate = (key, taskType, label) => {
+    const durations = timed[key]?.durations || []
+    if (durations.length === 0) {
+      return {
+        key,
+        taskType,
+        label,
+        minutes: PRODUCTION_TASK_TYPE_CONFIG[taskType].defaultMinutes,
+        basis: ESTIMATE_BASIS.DEFAULT,
+        samples: 0,
+      }
+    }
+    return {
+      key,
+      taskType,
+      label,
+      minutes: Math.round(durations.reduce((sum, d) => sum + d, 0) / durations.length),
+      basis: ESTIMATE_BASIS.LEARNED,
+      samples: durations.length,
+    }
+  }
+
+  const typeEstimates = Object.values(PRODUCTION_TASK_TYPES).map((taskType) =>
+    toEstimate(taskType, taskType, PRODUCTION_TASK_TYPE_CONFIG[taskType].label)
+  )
+  const customEstimates = Object.entries(timed)
+    .filter(([key]) => key.startsWith("CUSTOM:"))
+    .map(([key, { task }]) => toEstimate(key, PRODUCTION_TASK_TYPES.CUSTOM, getTaskLabel(task)))
+
+  return [...typeEstimates, ...customEstimates]
+}
+
+/**
+ * Estimate for one task: its custom name, else its type
+ */
+const findEstimate = (estimates, task) =>
+  estimates.find((e) => e.key === getEstimateKey(task)) ||
+  estimates.find((e) => e.key === task.taskType) ||
+  estimates.find((e) => e.key === PRODUCTION_TASK_TYPES.CUSTOM)
+
+// ============================================================================
+// SCHEDULE
+// ============================================================================
+
+const getDueDate = (order) => {
+  if (order?.productionShippingDate) {
+    return { dueDate: order.productionShippingDate, dueDateSource: "productionShippingDate" }
+  }
+  if (order?.fwdDate) {
+    return { dueDate: order.fwdDate, dueDateSource: "fwdDate" }
+  }
+  return { dueDate: null, dueDateSource: null }
+}
+
+const toISO = (date) => (date ? date.toISOString() : null)
+
+/**
+ * Forward schedule of every open production task
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.reassignments] - { [taskId]: workerId } moves to plan with,
+ *   without changing the tasks (drag previews)
+ * @param {Date} [options.now]
+ * @returns {Object} { workers, tasks, orderItems, estimates, summary, generatedAt }
+ */
+export const buildProductionSchedule = ({ reassignments = {}, now = new Date() } = {}) => {
+  const estimates = getTaskDurationEstimates()
+
+  // Group open tasks into section chains
+  const chainsByKey = {}
+  mockProductionTasks.forEach((task) => {
+    if (task.status === PRODUCTION_TASK_STATUS.COMPLETED) return
+    const orderItem = mockOrderItems.find((item) => item.id === task.orderItemId)
+    if (!orderItem) return
+
+    const key = `${task.orderItemId}|${task.sectionName.toLowerCase()}`
+    if (!chainsByKey[key]) {
+      const order = mockOrders.find((o) => o.id === orderItem.orderId)
+      const { dueDate } = getDueDate(order)
+      chainsByKey[key] = {
+        key,
+        orderItemId: orderItem.id,
+        sectionName: task.sectionName,
+        dueAt: dueDate ? endOfDay(parseISO(dueDate)) : null,
+        tasks: [],
+      }
+    }
+
+    const estimate = findEstimate(estimates, task)
+    let minutes = estimate.minutes
+    if (task.status === PRODUCTION_TASK_STATUS.IN_PROGRESS && task.startedAt) {
+      const elapsed = (now - new Date(task.startedAt)) / (60 * 1000)
+      minutes = Math.max(estimate.minutes - elapsed, MIN_REMAINING_MINUTES)
+    }
+
+    chainsByKey[key].tasks.push({
+      task,
+      id: task.id,
+      workerId: parseInt(reassignments[task.id] ?? task.assignedToId),
+      minutes,
+      estimate,
+    })
+  })
+
+  const chains = Object.values(chainsByKey)
+  chains.forEach((chain) => chain.tasks.sort((a, b) => a.task.sequenceOrder - b.task.sequenceOrder))
+
+  const planned = scheduleTaskChains(chains, { now, getCalendar: getWorkerCalendar })
+
+  // Order items, projected to finish with their last section
+  const orderItemIds = [...new Set(chains.map((chain) => chain.orderItemId))]
+  const orderItems = orderItemIds.map((orderItemId) => {
+    const orderItem = mockOrderItems.find((item) => item.id === orderItemId)
+    const order = mockOrders.find((o) => o.id === orderItem.orderId)
+    const { dueDate, dueDateSource } = getDueDate(order)
+    const itemChains = chains.filter((chain) => chain.orderItemId === orderItemId)
+
+    const finishes = itemChains.map((chain) => planned.chains[chain.key])
+    const projectedFinish = finishes.includes(null)
+      ? null
+      : new Date(Math.max(...finishes.map((finish) => finish.getTime())))
+    const dueAt = dueDate ? endOfDay(parseISO(dueDate)) : null
+
+    const plannedSections = itemChains.map((chain) => chain.sectionName.toLowerCase())
+    const sectionsWithoutTasks = Object.entries(orderItem.sectionStatuses || {})
+      .filter(
+        ([section, data]) =>
+          AWAITING_TASK_STATUSES.includes(data.status) && !plannedSections.includes(section)
+      )
+      .map(([section]) => section.charAt(0).toUpperCase() + section.slice(1))
+
+    return {
+      orderItemId,
+      orderId: orderItem.orderId,
+      orderNumber: order?.orderNumber || `ORD-${orderItem.orderId}`,
+      customerName: order?.customerName || null,
+      productName: orderItem.productName,
+      productImage: orderItem.productImage,
+      dueDate,
+      dueDateSource,
+      projectedFinish: toISO(projectedFinish),
+      lateByMinutes:
+        projectedFinish && dueAt ? Math.max(0, Math.round((projectedFinish - dueAt) / 60000)) : 0,
+      atRisk: !!dueAt && (!projectedFinish || projectedFinish > dueAt),
+      unschedulable: !projectedFinish,
+      sections: itemChains.map((chain) => ({
+        sectionName: chain.sectionName,
+        openTasks: chain.tasks.length,
+        projectedFinish: toISO(planned.chains[chain.key]),
+      })),
+      sectionsWithoutTasks,
+    }
+  })
+
+  const itemsById = Object.fromEntries(orderItems.map((item) => [item.orderItemId, item]))
+
+  const tasks = chains.flatMap((chain) =>
+    chain.tasks.map(({ task, workerId, minutes, estimate }) => {
+      const item = itemsById[chain.orderItemId]
+      const worker = getUserById(workerId)
+      return {
+        id: task.id,
+        orderItemId: task.orderItemId,
+        orderId: item.orderId,
+        orderNumber: item.orderNumber,
+        customerName: item.customerName,
+        productName: item.productName,
+        sectionName: task.sectionName,
+        taskType: task.taskType,
+        customTaskName: task.customTaskName,
+        displayName: getTaskLabel(task),
+        sequenceOrder: task.sequenceOrder,
+        status: task.status,
+        workerId,
+        workerName: worker?.name || task.assignedToName,
+        reassigned: workerId !== parseInt(task.assignedToId),
+        estimatedMinutes: estimate.minutes,
+        estimateBasis: estimate.basis,
+        remainingMinutes: Math.round(minutes),
+        projectedStart: toISO(planned.tasks[task.id].start),
+        projectedFinish: toISO(planned.tasks[task.id].finish),
+        dueDate: item.dueDate,
+        atRisk: item.atRisk,
+      }
+    })
+  )
+
+  // One lane per active worker, plus inactive workers still holding open tasks
+  const workerIds = [
+    ...getActiveProductionWorkers().map((worker) => worker.id),
+    ...tasks.map((task) => task.workerId),
+  ]
+  const workers = [...new Set(workerIds)].map((workerId) => {
+    const worker = getUserById(workerId)
+    const workerTasks = tasks
+      .filter((task) => task.workerId === workerId)
+      .sort((a, b) => (a.projectedStart || "~").localeCompare(b.projectedStart || "~"))
+    return {
+      id: workerId,
+      name: worker?.name || `Worker ${workerId}`,
+      isActive: !!worker?.is_active,
+      calendar: getWorkerCalendar(workerId),
+      taskIds: workerTasks.map((task) => task.id),
+      loadMinutes: workerTasks.reduce((sum, task) => sum + task.remainingMinutes, 0),
+      freeFrom: workerTasks.at(-1)?.projectedFinish || null,
+    }
+  })
+
+  return {
+    workers,
+    tasks,
+    orderItems: orderItems.sort((a, b) => (a.dueDate || "~").localeCompare(b.dueDate || "~")),
+    estimates,
+    summary: {
+      openTasks: tasks.length,
+      orderItems: orderItems.length,
+      atRisk: orderItems.filter((item) => item.atRisk).length,
+    },
+    generatedAt: now.toISOString(),
+  }
+}
@@ -7,6 +7,8 @@
  * - subtotal: Sum of all item prices
  * - discount: Fixed discount amount in PKR
  * - total_price: subtotal - discount
+ * - ready_stock_item_id: READY_STOCK inventory item sold as this product, so
+ *   standard-size RTS orders can be filled from its size variants
  */
 
 /**
@@ -344,6 +346,7 @@ export const mockProducts = [
     },
     shopify_product_id: null,
     shopify_variant_id: null,
+    ready_stock_item_id: null,
     created_at: "2024-01-15T10:00:00Z",
     updated_at: "2024-04-20T14:30:00Z",
   },
@@ -512,6 +515,7 @@ export const mockProducts = [
     },
     shopify_product_id: null,
     shopify_variant_id: null,
+    ready_stock_item_id: null,
     created_at: "2024-01-20T11:00:00Z",
     updated_at: "2024-04-21T15:00:00Z",
   },
@@ -683,6 +687,7 @@ export const mockProducts = [
     },
     shopify_product_id: null,
     shopify_variant_id: null,
+    ready_stock_item_id: null,
     created_at: "2024-02-01T09:00:00Z",
     updated_at: "2024-04-22T10:00:00Z",
   },
@@ -847,6 +852,7 @@ export const mockProducts = [
     },
     shopify_product_id: null,
     shopify_variant_id: null,
+    ready_stock_item_id: null,
     created_at: "2024-02-10T12:00:00Z",
     updated_at: "2024-04-23T13:00:00Z",
   },
@@ -1019,6 +1025,7 @@ export const mockProducts = [
 
     shopify_product_id: null,
     shopify_variant_id: null,
+    ready_stock_item_id: null,
     created_at: "2024-02-15T14:00:00Z",
     updated_at: "2024-04-24T15:00:00Z",
   },
@@ -1187,6 +1194,7 @@ export const mockProducts = [
 
     shopify_product_id: null,
     shopify_variant_id: null,
+    ready_stock_item_id: null,
     created_at: "2024-02-20T10:00:00Z",
     updated_at: "2024-04-25T11:00:00Z",
   },
@@ -1357,6 +1365,7 @@ export const mockProducts = [
 
     shopify_product_id: null,
     shopify_variant_id: null,
+    ready_stock_item_id: null,
     created_at: "2024-03-01T09:00:00Z",
     updated_at: "2024-04-26T10:00:00Z",
   },
@@ -1527,6 +1536,7 @@ export const mockProducts = [
 
     shopify_product_id: null,
     shopify_variant_id: null,
+    ready_stock_item_id: 43,
     created_at: "2024-03-05T11:00:00Z",
     updated_at: "2024-04-27T12:00:00Z",
   },
@@ -1690,6 +1700,7 @@ export const mockProducts = [
     },
     shopify_product_id: null,
     shopify_variant_id: null,
+    ready_stock_item_id: null,
     created_at: "2024-03-10T14:00:00Z",
     updated_at: "2024-04-28T15:00:00Z",
   },
@@ -1859,6 +1870,7 @@ export const mockProducts = [
     },
     shopify_product_id: null,
     shopify_variant_id: null,
+    ready_stock_item_id: 45,
     created_at: "2024-03-15T10:00:00Z",
     updated_at: "2024-04-29T11:00:00Z",
   },
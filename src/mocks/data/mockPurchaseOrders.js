@@ -0,0 +1,58 @@
+/**
+ * Mock Purchase Orders Data
+ * src/mocks/data/mockPurchaseOrders.js
+ *
+ * A purchase order groups procurement demands and low-stock reorders for one
+ * vendor. Receiving against a PO posts stock-in movements.
+ */
+
+/**
+ * Purchase Order Structure:
+ * {
+ *   id: string,
+ *   poNumber: string,              // PO-YYYY-NNNN
+ *   vendorId: string,
+ *   vendorName: string,
+ *   status: PURCHASE_ORDER_STATUS,
+ *   expectedDeliveryDate: string,  // yyyy-MM-dd
+ *   notes: string,
+ *   lines: [{
+ *     id: string,
+ *     inventoryItemId: number,
+ *     name: string,
+ *     sku: string,
+ *     unit: string,
+ *     quantity: number,
+ *     unitPrice: number,           // Agreed price for this PO
+ *     receivedQty: number,
+ *     demandIds: string[],         // Procurement demands this line covers
+ *   }],
+ *   receipts: [{
+ *     id, referenceNumber, notes, receivedBy, receivedAt,
+ *     lines: [{ lineId, inventoryItemId, quantity, movementId }],
+ *   }],
+ *   timeline: [{ id, action, user, timestamp }],
+ *   createdBy: string,
+ *   sentAt: string | null,
+ *   createdAt: string,
+ *   updatedAt: string,
+ * }
+ */
+
+export const mockPurchaseOrders = []
+
+// Helper functions
+export const generatePurchaseOrderId = () =>
+  `po-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+
+export const generatePurchaseOrderNumber = () => {
+  const year = new Date().getFullYear()
+  const count = mockPurchaseOrders.filter((po) => po.poNumber?.startsWith(`PO-${year}-`)).length + 1
+  return `PO-${year}-${String(count).padStart(4, "0")}`
+}
+
+export const getPurchaseOrderById = (id) => mockPurchaseOrders.find((po) => po.id === id)
+
+/** Total value of a purchase order at the agreed prices */
+export const getPurchaseOrderTotal = (po) =>
+  po.lines.reduce((sum, line) => sum + line.quantity * line.unitPrice, 0)
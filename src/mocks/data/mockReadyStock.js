@@ -0,0 +1,159 @@
+/**
+ * Mock Ready Stock Fulfillment
+ * src/mocks/data/mockReadyStock.js
+ *
+ * Standard-size items of RTS (ready to ship) orders can be filled with a
+ * finished garment instead of being made. A product points at the READY_STOCK
+ * inventory item it is sold as (ready_stock_item_id); the variant of the order
+ * item's size is reserved and taken out of stock in one step, and the item
+ * skips packets, dyeing and production. When the variant has run out the item
+ * goes through the normal BOM inventory check.
+ */
+
+import { mockInventoryItems, mockStockMovements } from "./mockInventory"
+import { mockProducts } from "./mockProducts"
+import { createReservation } from "./mockReservations"
+import { getUnitCost } from "./mockCosting"
+import {
+  CUSTOMIZATION_TYPE,
+  INVENTORY_LOCATION,
+  RESERVATION_STATUS,
+  SIZE_TYPE,
+} from "@/constants/orderConstants"
+
+const RTS_FLAG = "RTS"
+
+// Reservation section of a garment taken whole from ready stock
+export const READY_STOCK_SECTION = "ready stock"
+
+/**
+ * Fulfillment Structure (orderItem.readyStockFulfillment):
+ * {
+ *   inventoryItemId: number,
+ *   inventoryItemName: string,
+ *   variantId: number,
+ *   sku: string,                 // Variant SKU
+ *   size: string,
+ *   quantity: number,
+ *   unitCost: number,            // Booked as the item's material cost
+ *   route: READY_STOCK_ROUTE,
+ *   reservationId: string,
+ *   movementId: number,          // STOCK_OUT movement of the variant
+ *   fulfilledAt: string,
+ *   fulfilledBy: string,
+ * }
+ */
+
+// Style, colour or fabric changes mean the garment has to be made
+const isCustomized = (orderItem) =>
+  [orderItem.style, orderItem.color, orderItem.fabric].some(
+    (option) => option?.type === CUSTOMIZATION_TYPE.CUSTOMIZED
+  )
+
+/**
+ * Ready stock variant a standard-size item of an RTS order can be filled from
+ *
+ * @param {Object} orderItem
+ * @param {Object} order - The item's order, for its urgent flag
+ * @returns {Object|null} { inventoryItemId, inventoryItemName, variantId, sku, size,
+ *   requiredQty, availableQty, sufficient }, or null when the item cannot come from
+ *   ready stock (not RTS, custom size or customized, product not linked, no variant
+ *   of its size)
+ */
+export const getReadyStockMatch = (orderItem, order) => {
+  if (order?.urgent !== RTS_FLAG) return null
+  if (orderItem.sizeType !== SIZE_TYPE.STANDARD || isCustomized(orderItem)) return null
+
+  const product = mockProducts.find((p) => p.id === orderItem.productId)
+  if (!product?.ready_stock_item_id) return null
+
+  const inventoryItem = mockInventoryItems.find((inv) => inv.id === product.ready_stock_item_id)
+  const size = String(orderItem.size || "").toUpperCase()
+  const variant = inventoryItem?.variants?.find((v) => String(v.size).toUpperCase() === size)
+  if (!variant) return null
+
+  const requiredQty = orderItem.quantity || 1
+  const availableQty = Math.max(0, variant.remaining_stock || 0)
+
+  return {
+    inventoryItemId: inventoryItem.id,
+    inventoryItemName: inventoryItem.name,
+    variantId: variant.variant_id,
+    sku: variant.sku,
+    size: variant.size,
+    requiredQty,
+    availableQty,
+    sufficient: availableQty >= requiredQty,
+  }
+}
+
+/**
+ * Reserve the matched variant for the order item and take it out of stock
+ * straight away. Check match.sufficient first.
+ *
+ * @param {Object} orderItem - Order item being filled (not modified)
+ * @param {Object} match - From getReadyStockMatch
+ * @param {Object} context - { route, user, now }
+ * @returns {Object} The fulfillment record to keep on the order item
+ */
+export const fulfillFromReadyStock = (orderItem, match, { route, user, now }) => {
+  const inventoryItem = mockInventoryItems.find((inv) => inv.id === match.inventoryItemId)
+  const variant = inventoryItem.variants.find((v) => v.variant_id === match.variantId)
+
+  const reservation = createReservation(
+    {
+      inventoryItemId: match.inventoryItemId,
+      variantId: match.variantId,
+      requiredQty: match.requiredQty,
+    },
+    {
+      orderId: orderItem.orderId,
+      orderItemId: orderItem.id,
+      section: READY_STOCK_SECTION,
+      reservedBy: user.name,
+    }
+  )
+
+  variant.remaining_stock -= match.requiredQty
+  inventoryItem.updated_at = now
+
+  const unitCost = getUnitCost(inventoryItem, match.variantId)
+  const movement = {
+    id: mockStockMovements.length + 1,
+    inventory_item_id: match.inventoryItemId,
+    variant_id: match.variantId,
+    movement_type: "STOCK_OUT",
+    quantity: match.requiredQty,
+    location: INVENTORY_LOCATION.MAIN_STORE,
+    unit_cost: unitCost,
+    lots: [],
+    remaining_stock_after: variant.remaining_stock,
+    transaction_date: now,
+    reference_number: `ORDER-${orderItem.orderId}-ITEM-${orderItem.id}`,
+    notes: `Ready stock ${match.sku} for RTS order item ${orderItem.id}`,
+    performed_by_user_id: user.id,
+    created_at: now,
+  }
+  mockStockMovements.push(movement)
+
+  reservation.status = RESERVATION_STATUS.CONSUMED
+  reservation.consumedQty = match.requiredQty
+  reservation.movementId = movement.id
+  reservation.consumedAt = now
+  reservation.updatedAt = now
+
+  return {
+    inventoryItemId: match.inventoryItemId,
+    inventoryItemName: match.inventoryItemName,
+    variantId: match.variantId,
+    sku: match.sku,
+    size: match.size,
+    quantity: match.requiredQty,
+    unitCost,
+    route,
+    reservationId: reservation.id,
+    movementId: movement.id,
+    fulfilledAt: now,
+    fulfilledBy: user.name,
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * Mock Inventory Reservations Data
+ * src/mocks/data/mockReservations.js
+ *
+ * A passing inventory check reserves material per order item and section
+ * instead of deducting it. Stock only leaves inventory when the packet item
+ * is picked; a dyeing rejection or order reset releases what is still held.
+ */
+
+import { RESERVATION_STATUS } from "@/constants/orderConstants"
+
+/**
+ * Reservation Structure:
+ * {
+ *   id: string,
+ *   inventoryItemId: number,
+ *   variantId: number | null,      // Ready stock variant, for items filled from ready stock
+ *   orderId: string,
+ *   orderItemId: string,
+ *   section: string,               // Lowercase section key, e.g. "shirt"
+ *   quantity: number,              // Quantity held
+ *   consumedQty: number,           // Quantity taken out of stock by the pick
+ *   status: RESERVATION_STATUS,
+ *   reservedBy: string,
+ *   releaseReason: string | null,
+ *   pickItemId: string | null,     // Packet pick list item that consumed it
+ *   movementId: number | null,     // STOCK_OUT movement posted on pick
+ *   returnedAt: string | null,     // Picked stock put back after a dyeing rejection
+ *   returnMovementId: number | null,
+ *   createdAt: string,
+ *   consumedAt: string | null,
+ *   releasedAt: string | null,
+ *   updatedAt: string,
+ * }
+ */
+
+export const mockReservations = []
+
+// Helper functions
+export const generateReservationId = () =>
+  `res-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+
+export const getActiveReservations = (inventoryItemId) =>
+  mockReservations.filter(
+    (r) => r.inventoryItemId === inventoryItemId && r.status === RESERVATION_STATUS.ACTIVE
+  )
+
+/** Quantity of an inventory item held by ACTIVE reservations */
+export const getReservedQty = (inventoryItemId) =>
+  getActiveReservations(inventoryItemId).reduce((sum, r) => sum + r.quantity, 0)
+
+/**
+ * Stock that can still be committed: on-hand minus reserved
+ * Variant items are only reserved by ready stock fulfillment, which consumes
+ * the reservation straight away, so they are never held here.
+ */
+export const getAvailableQty = (inventoryItem) => {
+  if (!inventoryItem) return 0
+  return Math.max(0, (inventoryItem.remaining_stock || 0) - getReservedQty(inventoryItem.id))
+}
+
+/**
+ * Reserve material for an order item section
+ *
+ * @param {Object} requirement - Passing requirement from the inventory check
+ * @param {Object} context - { orderId, orderItemId, section, reservedBy }
+ * @returns {Object} The new reservation
+ */
+export const createReservation = (requirement, { orderId, orderItemId, section, reservedBy }) => {
+  const now = new Date().toISOString()
+  const reservation = {
+    id: generateReservationId(),
+    inventoryItemId: requirement.inventoryItemId,
+    variantId: requirement.variantId ?? null,
+    orderId,
+    orderItemId,
+    section: section.toLowerCase(),
+    quantity: requirement.requiredQty,
+    consumedQty: 0,
+    status: RESERVATION_STATUS.ACTIVE,
+    reservedBy: reservedBy || "System",
+    releaseReason: null,
+    pickItemId: null,
+    movementId: null,
+    returnedAt: null,
+    returnMovementId: null,
+    createdAt: now,
+    consumedAt: null,
+    releasedAt: null,
+    updatedAt: now,
+  }
+  mockReservations.push(reservation)
+  return reservation
+}
+
+/**
+ * Find the ACTIVE reservation behind a packet pick list item
+ */
+export const findReservationForPick = (orderItemId, pickItem) =>
+  mockReservations.find(
+    (r) =>
+      r.orderItemId === orderItemId &&
+      r.inventoryItemId === pickItem.inventoryItemId &&
+      r.section === (pickItem.piece || "").toLowerCase() &&
+      r.status === RESERVATION_STATUS.ACTIVE
+  )
+
+/**
+ * CONSUMED reservations of an order item section whose stock has not been
+ * returned yet
+ */
+export const getPickedReservations = (orderItemId, section) =>
+  mockReservations.filter(
+    (r) =>
+      r.orderItemId === orderItemId &&
+      r.section === section.toLowerCase() &&
+      r.status === RESERVATION_STATUS.CONSUMED &&
+      !r.returnedAt
+  )
+
+/**
+ * Release ACTIVE reservations for an order item (optionally only some sections)
+ *
+ * @param {string} orderItemId
+ * @param {Object} options - { sections?: string[], reason: string }
+ * @returns {Array} Released reservations
+ */
+export const releaseReservations = (orderItemId, { sections, reason }) => {
+  const now = new Date().toISOString()
+  const sectionKeys = sections?.map((s) => s.toLowerCase())
+
+  const released = mockReservations.filter(
+    (r) =>
+      r.orderItemId === orderItemId &&
+      r.status === RESERVATION_STATUS.ACTIVE &&
+      (!sectionKeys || sectionKeys.includes(r.section))
+  )
+
+  released.forEach((r) => {
+    r.status = RESERVATION_STATUS.RELEASED
+    r.releaseReason = reason
+    r.releasedAt = now
+    r.updatedAt = now
+  })
+
+  return released
+}
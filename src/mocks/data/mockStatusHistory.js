@@ -0,0 +1,41 @@
+/**
+ * Order Item Status History
+ * src/mocks/data/mockStatusHistory.js
+ *
+ * Every change of an order item's status goes through setOrderItemStatus,
+ * which appends a STATUS_CHANGED entry to the item timeline naming the user
+ * who made it. The time-in-status report is computed from these entries.
+ */
+
+import { ORDER_ITEM_STATUS_CONFIG, ORDER_ITEM_TIMELINE_EVENTS } from "@/constants/orderConstants"
+
+const getStatusLabel = (status) => ORDER_ITEM_STATUS_CONFIG[status]?.label || status
+
+/**
+ * Move an order item to a status and record the change on its timeline
+ * Nothing is recorded when the item is already in that status.
+ *
+ * @param {Object} item - Order item, changed in place
+ * @param {string} toStatus - ORDER_ITEM_STATUS value
+ * @param {Object|string} [actor] - Acting user, or the name to record; changes
+ *   the server makes on its own (stock arriving, a Shopify import) are "System"
+ * @param {string} [timestamp] - When the change happened, defaults to now
+ * @returns {Object} The item
+ */
+export const setOrderItemStatus = (item, toStatus, actor, timestamp = new Date().toISOString()) => {
+  const fromStatus = item.status
+  item.status = toStatus
+  if (fromStatus === toStatus) return item
+
+  if (!item.timeline) item.timeline = []
+  item.timeline.push({
+    id: `log-${Date.now()}-${item.id}-status`,
+    action: `Status changed from ${getStatusLabel(fromStatus)} to ${getStatusLabel(toStatus)}`,
+    user: (typeof actor === "string" ? actor : actor?.name) || "System",
+    timestamp,
+    event: ORDER_ITEM_TIMELINE_EVENTS.STATUS_CHANGED,
+    fromStatus,
+    toStatus,
+  })
+  return item
+}
@@ -0,0 +1,68 @@
+/**
+ * Mock Stocktakes Data
+ * src/mocks/data/mockStocktakes.js
+ *
+ * A stocktake (cycle count) session reconciles remaining_stock with what is
+ * physically on the racks for one category or a range of racks. Posting it
+ * writes an ADJUSTMENT movement for every counted line that is off.
+ */
+
+/**
+ * Stocktake Structure:
+ * {
+ *   id: string,
+ *   sessionNumber: string,         // ST-YYYY-NNNN
+ *   status: STOCKTAKE_STATUS,
+ *   scope: {
+ *     type: STOCKTAKE_SCOPE,
+ *     category: string | null,     // CATEGORY scope
+ *     rackFrom: string | null,     // RACK_RANGE scope, inclusive
+ *     rackTo: string | null,
+ *   },
+ *   notes: string,
+ *   lines: [{
+ *     id: string,
+ *     inventoryItemId: number,
+ *     variantId: number | null,    // Ready stock size being counted
+ *     size: string | null,
+ *     name: string,
+ *     sku: string,
+ *     unit: string,
+ *     location: INVENTORY_LOCATION,
+ *     rackLocation: string,
+ *     systemQty: number,           // Stock on record, refreshed when the line is counted
+ *     countedQty: number | null,   // null until counted
+ *     unitCost: number,            // Cost per unit when counted, values the variance
+ *     countedBy: string | null,
+ *     countedAt: string | null,
+ *     movementId: number | null,   // ADJUSTMENT posted for this line
+ *   }],
+ *   reason: string | null,         // Why the variances were posted
+ *   timeline: [{ id, action, user, timestamp }],
+ *   createdBy: string,
+ *   submittedAt: string | null,
+ *   postedBy: string | null,
+ *   postedAt: string | null,
+ *   createdAt: string,
+ *   updatedAt: string,
+ * }
+ */
+
+export const mockStocktakes = []
+
+// Helper functions
+export const generateStocktakeId = () =>
+  `st-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+
+export const generateStocktakeNumber = () => {
+  const year = new Date().getFullYear()
+  const count =
+    mockStocktakes.filter((st) => st.sessionNumber?.startsWith(`ST-${year}-`)).length + 1
+  return `ST-${year}-${String(count).padStart(4, "0")}`
+}
+
+export const getStocktakeById = (id) => mockStocktakes.find((st) => st.id === id)
+
+/** Counted minus recorded quantity; null while the line is uncounted */
+export const getLineVariance = (line) =>
+  line.countedQty === null ? null : line.countedQty - line.systemQty
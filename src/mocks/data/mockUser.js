@@ -69,6 +69,8 @@ export const mockUsers = [
       "inventory.delete",
       "inventory.stock_in",
       "inventory.stock_out",
+      "inventory.count",
+      "inventory.adjust",
       // Products & BOMhttps://docs.google.com/spreadsheets/d/1jr4dSwP4UM97H0q6BRL1XSbj-5S-gTthBooGTN0gdfw/edit?usp=sharing
       "products.view",
       "products.create",
@@ -85,6 +87,7 @@ export const mockUsers = [
       "orders.delete",
       "orders.manage_customer_forms",
       "orders.approve_customer_forms",
+      "orders.documents",
       // Production
       "production.view",
       "production.manage",
@@ -102,6 +105,7 @@ export const mockUsers = [
       "dispatch.manage",
       // Reports
       "reports.view",
+      "exchange_rates.edit",
       "fabrication.view",
       "fabrication.create_bom",
       "fabrication.edit_bom",
@@ -150,6 +154,7 @@ export const mockUsers = [
       "orders.create",
       "orders.manage_customer_forms",
       "orders.approve_customer_forms",
+      "orders.documents",
       "inventory.view",
       "products.view",
       "sales.view_approval_queue", // NEW
@@ -217,6 +222,7 @@ export const mockUsers = [
       "procurement.manage",
       "inventory.view",
       "inventory.stock_in",
+      "inventory.count",
       "orders.view",
     ],
     created_at: "2024-02-15T00:00:00Z",
@@ -270,6 +276,7 @@ export const mockUsers = [
       "orders.create",
       "orders.manage_customer_forms",
       "orders.approve_customer_forms",
+      "orders.documents",
       "inventory.view",
       "products.view",
     ],
@@ -289,6 +296,7 @@ export const mockUsers = [
       "orders.create",
       "orders.manage_customer_forms",
       "orders.approve_customer_forms",
+      "orders.documents",
       "inventory.view",
       "products.view",
     ],
@@ -308,6 +316,7 @@ export const mockUsers = [
       "orders.create",
       "orders.manage_customer_forms",
       "orders.approve_customer_forms",
+      "orders.documents",
       "inventory.view",
       "products.view",
     ],
@@ -0,0 +1,193 @@
+/**
+ * Mock Vendors Data
+ * src/mocks/data/mockVendors.js
+ *
+ * Suppliers that purchase orders are raised against. Inventory items point at
+ * their usual supplier with vendor_id.
+ */
+
+/**
+ * Vendor Structure:
+ * {
+ *   id: string,
+ *   name: string,
+ *   contactPerson: string,
+ *   phone: string,
+ *   email: string,
+ *   address: string,
+ *   paymentTerms: string,   // e.g. "Advance", "Net 30"
+ *   leadTimeDays: number,   // Used for the default expected delivery date
+ *   notes: string,
+ *   active: boolean,        // Inactive vendors are kept for history but can't get new POs
+ *   createdAt: string,
+ *   updatedAt: string,
+ * }
+ */
+
+export const mockVendors = [
+  {
+    id: "vendor-001",
+    name: "Silk House Karachi",
+    contactPerson: "Imran Siddiqui",
+    phone: "+92-300-1234567",
+    email: "orders@silkhouse.pk",
+    address: "Shop 14, Cloth Market, Karachi",
+    paymentTerms: "Net 30",
+    leadTimeDays: 7,
+    notes: "Tissue silk and kimkhab",
+    active: true,
+    createdAt: "2024-01-10T09:00:00Z",
+    updatedAt: "2024-01-10T09:00:00Z",
+  },
+  {
+    id: "vendor-002",
+    name: "Premium Fabrics Ltd",
+    contactPerson: "Sana Malik",
+    phone: "+92-321-9876543",
+    email: "sales@premiumfabrics.pk",
+    address: "Plot 22, SITE Area, Karachi",
+    paymentTerms: "Net 30",
+    leadTimeDays: 10,
+    notes: "",
+    active: true,
+    createdAt: "2024-01-10T09:00:00Z",
+    updatedAt: "2024-01-10T09:00:00Z",
+  },
+  {
+    id: "vendor-003",
+    name: "Cotton Traders Lahore",
+    contactPerson: "Bilal Ahmed",
+    phone: "+92-333-5555666",
+    email: "bilal@cottontraders.pk",
+    address: "Azam Cloth Market, Lahore",
+    paymentTerms: "Advance",
+    leadTimeDays: 5,
+    notes: "",
+    active: true,
+    createdAt: "2024-01-10T09:00:00Z",
+    updatedAt: "2024-01-10T09:00:00Z",
+  },
+  {
+    id: "vendor-004",
+    name: "Fabric World",
+    contactPerson: "Ayesha Khan",
+    phone: "+92-345-7778889",
+    email: "info@fabricworld.pk",
+    address: "Liberty Market, Lahore",
+    paymentTerms: "Net 15",
+    leadTimeDays: 7,
+    notes: "",
+    active: true,
+    createdAt: "2024-01-10T09:00:00Z",
+    updatedAt: "2024-01-10T09:00:00Z",
+  },
+  {
+    id: "vendor-005",
+    name: "Embroidery Masters",
+    contactPerson: "Usman Tariq",
+    phone: "+92-300-9998887",
+    email: "production@embroiderymasters.pk",
+    address: "Industrial Estate, Faisalabad",
+    paymentTerms: "50% Advance",
+    leadTimeDays: 14,
+    notes: "Multi-head pieces are made to order",
+    active: true,
+    createdAt: "2024-01-10T09:00:00Z",
+    updatedAt: "2024-01-10T09:00:00Z",
+  },
+  {
+    id: "vendor-006",
+    name: "ADA Materials Bazaar",
+    contactPerson: "Farhan Qureshi",
+    phone: "+92-321-1112223",
+    email: "orders@adabazaar.pk",
+    address: "Jodia Bazaar, Karachi",
+    paymentTerms: "Cash on delivery",
+    leadTimeDays: 3,
+    notes: "",
+    active: true,
+    createdAt: "2024-01-10T09:00:00Z",
+    updatedAt: "2024-01-10T09:00:00Z",
+  },
+  {
+    id: "vendor-007",
+    name: "Pearl House",
+    contactPerson: "Hina Javed",
+    phone: "+92-333-4445556",
+    email: "hina@pearlhouse.pk",
+    address: "Anarkali Bazaar, Lahore",
+    paymentTerms: "Net 15",
+    leadTimeDays: 5,
+    notes: "",
+    active: true,
+    createdAt: "2024-01-10T09:00:00Z",
+    updatedAt: "2024-01-10T09:00:00Z",
+  },
+  {
+    id: "vendor-008",
+    name: "Crystal Imports",
+    contactPerson: "Kamran Shah",
+    phone: "+92-345-6667778",
+    email: "kamran@crystalimports.pk",
+    address: "Saddar, Karachi",
+    paymentTerms: "Advance",
+    leadTimeDays: 21,
+    notes: "Imported stock, longer lead time",
+    active: true,
+    createdAt: "2024-01-10T09:00:00Z",
+    updatedAt: "2024-01-10T09:00:00Z",
+  },
+  {
+    id: "vendor-009",
+    name: "Sequin Suppliers",
+    contactPerson: "Nadia Hussain",
+    phone: "+92-300-7778889",
+    email: "sales@sequinsuppliers.pk",
+    address: "Shah Alam Market, Lahore",
+    paymentTerms: "Cash on delivery",
+    leadTimeDays: 4,
+    notes: "",
+    active: true,
+    createdAt: "2024-01-10T09:00:00Z",
+    updatedAt: "2024-01-10T09:00:00Z",
+  },
+  {
+    id: "vendor-010",
+    name: "Metallic Crafts",
+    contactPerson: "Adeel Raza",
+    phone: "+92-321-8889990",
+    email: "adeel@metalliccrafts.pk",
+    address: "Gulberg III, Lahore",
+    paymentTerms: "Net 30",
+    leadTimeDays: 10,
+    notes: "",
+    active: true,
+    createdAt: "2024-01-10T09:00:00Z",
+    updatedAt: "2024-01-10T09:00:00Z",
+  },
+  {
+    id: "vendor-011",
+    name: "Trim & Lace Co",
+    contactPerson: "Rabia Aslam",
+    phone: "+92-333-9990001",
+    email: "orders@trimlace.pk",
+    address: "Tariq Road, Karachi",
+    paymentTerms: "Net 15",
+    leadTimeDays: 5,
+    notes: "",
+    active: true,
+    createdAt: "2024-01-10T09:00:00Z",
+    updatedAt: "2024-01-10T09:00:00Z",
+  },
+]
+
+// Helper functions
+export const generateVendorId = () => {
+  const maxNumber = mockVendors.reduce((max, vendor) => {
+    const number = parseInt(vendor.id.replace("vendor-", ""), 10)
+    return Number.isNaN(number) ? max : Math.max(max, number)
+  }, 0)
+  return `vendor-${String(maxNumber + 1).padStart(3, "0")}`
+}
+
+export const getVendorById = (id) => mockVendors.find((vendor) => vendor.id === id)
@@ -0,0 +1,224 @@
+/**
+ * Client Messages MSW Handlers
+ * src/mocks/handlers/clientMessagesHandlers.js
+ *
+ * Outbox for messages to customers. The approval request itself is sent by
+ * POST /api/sales/order/:orderId/send-to-client; these endpoints preview
+ * templates, send follow-ups while the client has not answered, retry failed
+ * messages and take delivery receipts from the WhatsApp provider.
+ *
+ * Endpoints:
+ *   GET  /api/client-messages/channels         - Channels (and whether configured) and templates
+ *   GET  /api/client-messages?orderId=         - An order's messages, newest first
+ *   POST /api/client-messages/preview          - Fill a template for an order
+ *   POST /api/client-messages                  - Send a follow-up to a client awaiting approval
+ *   POST /api/client-messages/:id/retry        - Deliver a FAILED message again
+ *   POST /api/client-messages/webhooks/status  - Delivery receipt { reference, status, error }
+ *
+ * The delivery receipt comes from the provider, not a logged-in user; it is
+ * accepted only with a valid X-Webhook-Signature.
+ */
+
+import { http, HttpResponse } from "msw"
+import { appConfig } from "@/config/appConfig"
+import { mockOrders } from "../data/mockOrders"
+import {
+  CLIENT_MESSAGE_TEMPLATES,
+  RECEIPT_STATUSES,
+  mockClientMessages,
+  applyDeliveryReceipt,
+  deliverClientMessage,
+  getClientMessageDraftError,
+  getMessageRecipient,
+  getOrderClientMessages,
+  queueClientMessage,
+  renderClientMessage,
+} from "../data/mockClientMessages"
+import { clientMessageChannels } from "../clientMessageChannels"
+import {
+  CLIENT_MESSAGE_CHANNEL_CONFIG,
+  CLIENT_MESSAGE_STATUS,
+  ORDER_STATUS,
+} from "@/constants/orderConstants"
+import { authorizeRequest } from "../requestAuth"
+import { verifyWebhookSignature } from "../webhookSignature"
+
+const BASE_URL = `${appConfig.apiBaseUrl}/client-messages`
+
+const findOrder = (orderId) => mockOrders.find((o) => o.id === orderId)
+
+// Webhook signing key - a real backend keeps this in its environment, never in the client
+const DELIVERY_RECEIPT_SECRET = "mock-delivery-receipt-secret"
+
+const errorResponse = (status, error) => HttpResponse.json({ success: false, error }, { status })
+
+/**
+ * GET /api/client-messages/channels
+ */
+const getChannels = http.get(`${BASE_URL}/channels`, ({ request }) => {
+  const { denied } = authorizeRequest(request)
+  if (denied) return denied
+
+  return HttpResponse.json({
+    success: true,
+    data: {
+      channels: Object.entries(clientMessageChannels).map(([key, channel]) => ({
+        key,
+        ...CLIENT_MESSAGE_CHANNEL_CONFIG[key],
+        configured: channel.isConfigured(),
+        notConfiguredReason: channel.isConfigured() ? null : channel.notConfiguredReason,
+      })),
+      templates: Object.values(CLIENT_MESSAGE_TEMPLATES).map(({ key, name }) => ({ key, name })),
+    },
+  })
+})
+
+/**
+ * GET /api/client-messages?orderId=
+ */
+const getMessages = http.get(BASE_URL, ({ request }) => {
+  const { denied } = authorizeRequest(request, ["orders.view", "sales.view"])
+  if (denied) return denied
+
+  const orderId = new URL(request.url).searchParams.get("orderId")
+  if (!orderId) return errorResponse(400, "orderId is required")
+
+  return HttpResponse.json({ success: true, data: getOrderClientMessages(orderId) })
+})
+
+/**
+ * POST /api/client-messages/preview
+ * Body: { orderId, templateKey, channel }
+ */
+const previewMessage = http.post(`${BASE_URL}/preview`, async ({ request }) => {
+  const { user, denied } = authorizeRequest(request, "sales.send_to_client")
+  if (denied) return denied
+
+  const { orderId, templateKey, channel } = await request.json()
+  const order = findOrder(orderId)
+  if (!order) return errorResponse(404, "Order not found")
+  if (!CLIENT_MESSAGE_TEMPLATES[templateKey]) return errorResponse(400, "Unknown template")
+  if (!clientMessageChannels[channel]) return errorResponse(400, "Unknown channel")
+
+  return HttpResponse.json({
+    success: true,
+    data: {
+      ...renderClientMessage(order, templateKey, channel, user),
+      recipient: getMessageRecipient(order, channel),
+    },
+  })
+})
+
+/**
+ * POST /api/client-messages
+ * Body: { orderId, channel, templateKey, subject, body }
+ */
+const sendMessage = http.post(BASE_URL, async ({ request }) => {
+  const { user, denied } = authorizeRequest(request, "sales.send_to_client")
+  if (denied) return denied
+
+  const { orderId, ...draft } = await request.json()
+  const order = findOrder(orderId)
+  if (!order) return errorResponse(404, "Order not found")
+
+  if (order.status !== ORDER_STATUS.AWAITING_CLIENT_APPROVAL) {
+    return errorResponse(409, "Follow-ups can only be sent while the client's approval is awaited")
+  }
+
+  const draftError = getClientMessageDraftError(order, draft)
+  if (draftError) return errorResponse(400, draftError)
+
+  const message = queueClientMessage(order, { ...draft, sender: user })
+  await deliverClientMessage(order, message, user)
+  order.updatedAt = new Date().toISOString()
+
+  console.log(`✉️ Client message ${message.id} for ${order.orderNumber}: ${message.status}`)
+
+  return HttpResponse.json({
+    success: true,
+    data: message,
+    message:
+      message.status === CLIENT_MESSAGE_STATUS.FAILED
+        ? `Message could not be sent: ${message.error}`
+        : "Message sent",
+  })
+})
+
+/**
+ * POST /api/client-messages/:id/retry
+ */
+const retryMessage = http.post(`${BASE_URL}/:id/retry`, async ({ params, request }) => {
+  const { user, denied } = authorizeRequest(request, "sales.send_to_client")
+  if (denied) return denied
+
+  const message = mockClientMessages.find((m) => m.id === params.id)
+  if (!message) return errorResponse(404, "Message not found")
+  if (message.status !== CLIENT_MESSAGE_STATUS.FAILED) {
+    return errorResponse(409, "Only failed messages can be retried")
+  }
+
+  const order = findOrder(message.orderId)
+  await deliverClientMessage(order, message, user)
+
+  return HttpResponse.json({
+    success: true,
+    data: message,
+    message:
+      message.status === CLIENT_MESSAGE_STATUS.FAILED
+        ? `Message could not be sent: ${message.error}`
+        : "Message sent",
+  })
+})
+
+/**
+ * POST /api/client-messages/webhooks/status
+ * Called by the WhatsApp provider. Body: { reference, status, error }
+ * reference is the message ID posted with the message; the provider's own
+ * message ID is accepted too. 401 unless X-Webhook-Signature signs the body.
+ */
+const deliveryReceipt = http.post(`${BASE_URL}/webhooks/status`, async ({ request }) => {
+  const body = await request.text()
+  const signature = request.headers.get("X-Webhook-Signature")
+  if (!(await verifyWebhookSignature(body, signature, DELIVERY_RECEIPT_SECRET))) {
+    return errorResponse(401, "Invalid webhook signature")
+  }
+
+  let receipt
+  try {
+    receipt = JSON.parse(body)
+  } catch {
+    return errorResponse(400, "Receipt body must be JSON")
+  }
+
+  const { reference, status, error } = receipt
+  const message = mockClientMessages.find(
+    (m) => m.id === reference || (m.providerMessageId && m.providerMessageId === reference)
+  )
+  if (!message) return errorResponse(404, `No message with reference ${reference}`)
+
+  const normalizedStatus = String(status || "").toUpperCase()
+  if (!RECEIPT_STATUSES.includes(normalizedStatus)) {
+    return errorResponse(400, `Receipt status must be one of ${RECEIPT_STATUSES.join(", ")}`)
+  }
+
+  const applied = applyDeliveryReceipt(findOrder(message.orderId), message, normalizedStatus, error)
+
+  return HttpResponse.json({
+    success: true,
+    data: { id: message.id, status: message.status, applied },
+  })
+})
+
+export const clientMessagesHandlers = [
+  // Channels & templates
+  getChannels,
+  previewMessage,
+
+  // Outbox
+  getMessages,
+  sendMessage,
+  retryMessage,
+
+  // Provider callbacks
+  deliveryReceipt,
+]
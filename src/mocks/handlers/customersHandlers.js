@@ -0,0 +1,457 @@
+/**
+ * Customer MSW Handlers
+ * src/mocks/handlers/customersHandlers.js
+ *
+ * Customer directory with saved addresses and dated measurement profiles.
+ * Orders copy the customer's details when they are created, so edits here
+ * only affect new orders. A customer with orders cannot be deleted.
+ *
+ * Endpoints:
+ *   GET    /api/customers                                   - List (?search=)
+ *   GET    /api/customers/:id                               - Customer with orders and lifetime value
+ *   POST   /api/customers                                   - Create
+ *   PUT    /api/customers/:id                               - Update name, contact details, notes
+ *   DELETE /api/customers/:id                               - Delete (only without orders)
+ *   POST   /api/customers/:id/addresses                     - Add an address
+ *   PUT    /api/customers/:id/addresses/:addressId          - Update an address (isDefault: true moves the default)
+ *   DELETE /api/customers/:id/addresses/:addressId          - Remove an address
+ *   POST   /api/customers/:id/measurement-profiles          - Record new measurements
+ *   DELETE /api/customers/:id/measurement-profiles/:profileId - Remove a profile recorded by mistake
+ */
+
+import { http, HttpResponse } from "msw"
+import { appConfig } from "@/config/appConfig"
+import {
+  MEASUREMENT_PROFILE_SOURCE,
+  mockCustomers,
+  findCustomerByContact,
+  generateCustomerAddressId,
+  generateCustomerId,
+  generateMeasurementProfileId,
+  getCustomerById,
+  getCustomerLifetimeValue,
+  getCustomerOrders,
+  getLatestMeasurementProfile,
+  sortMeasurementProfiles,
+} from "../data/mockCustomers"
+import { calculateRemainingAmount, getOrderStatusSummary } from "../data/mockOrders"
+import { getMeasurementIdsForCategory } from "@/constants/measurementCategories"
+import { authorizeRequest } from "../requestAuth"
+
+const BASE_URL = `${appConfig.apiBaseUrl}/customers`
+
+// Anyone who takes orders can keep the directory up to date
+const MANAGE_PERMISSIONS = ["orders.create", "orders.edit"]
+
+const CUSTOMER_FIELDS = ["name", "email", "phone", "notes"]
+const ADDRESS_FIELDS = ["label", "street1", "street2", "city", "state", "postalCode", "country"]
+
+const pickFields = (data, fields) =>
+  Object.fromEntries(
+    fields
+      .filter((f) => data[f] !== undefined)
+      .map((f) => [f, typeof data[f] === "string" ? data[f].trim() : data[f]])
+  )
+
+const errorResponse = (status, error, message) =>
+  HttpResponse.json({ success: false, error, message }, { status })
+
+const notFound = () => errorResponse(404, "Not found", "Customer not found")
+
+/**
+ * @returns {string|null} Why the contact details clash with another customer
+ */
+const getDuplicateMessage = ({ email, phone }, exceptId) => {
+  const duplicate = findCustomerByContact({ email, phone }, exceptId)
+  return duplicate ? `${duplicate.name} already has this email or phone number` : null
+}
+
+/**
+ * Customer plus the figures used by the customer list
+ */
+const withSummary = (customer) => {
+  const orders = getCustomerOrders(customer.id)
+  return {
+    ...customer,
+    measurementProfiles: sortMeasurementProfiles(customer.measurementProfiles),
+    latestMeasurementProfileId: getLatestMeasurementProfile(customer)?.id || null,
+    orderCount: orders.length,
+    lastOrderAt: orders[0]?.createdAt || null,
+    lifetimeValue: getCustomerLifetimeValue(customer.id),
+  }
+}
+
+const touch = (customer) => {
+  customer.updatedAt = new Date().toISOString()
+}
+
+/**
+ * Keep exactly one default address
+ */
+const setDefaultAddress = (customer, addressId) => {
+  customer.addresses.forEach((a) => {
+    a.isDefault = a.id === addressId
+  })
+}
+
+/**
+ * GET /api/customers?search=
+ */
+const getCustomers = http.get(BASE_URL, ({ request }) => {
+  const { denied } = authorizeRequest(request, "orders.view")
+  if (denied) return denied
+
+  const search = new URL(request.url).searchParams.get("search")?.trim().toLowerCase()
+  let customers = [...mockCustomers]
+
+  if (search) {
+    const digits = search.replace(/\D/g, "")
+    customers = customers.filter(
+      (c) =>
+        c.name.toLowerCase().includes(search) ||
+        c.email?.toLowerCase().includes(search) ||
+        (digits && c.phone?.replace(/\D/g, "").includes(digits))
+    )
+  }
+
+  customers.sort((a, b) => a.name.localeCompare(b.name))
+
+  return HttpResponse.json({ success: true, data: customers.map(withSummary) })
+})
+
+/**
+ * GET /api/customers/:id
+ */
+const getCustomer = http.get(`${BASE_URL}/:id`, ({ params, request }) => {
+  const { denied } = authorizeRequest(request, "orders.view")
+  if (denied) return denied
+
+  const customer = getCustomerById(params.id)
+  if (!customer) return notFound()
+
+  const orders = getCustomerOrders(customer.id).map((order) => ({
+    id: order.id,
+    orderNumber: order.orderNumber,
+    source: order.source,
+    status: order.status,
+    currency: order.currency,
+    totalAmount: order.totalAmount,
+    remainingAmount: calculateRemainingAmount(order),
+    statusSummary: getOrderStatusSummary(order.id),
+    itemCount: order.itemIds.length,
+    createdAt: order.createdAt,
+  }))
+
+  return HttpResponse.json({ success: true, data: { ...withSummary(customer), orders } })
+})
+
+/**
+ * POST /api/customers
+ * Body: { name, email, phone, notes, address? }
+ */
+const createCustomer = http.post(BASE_URL, async ({ request }) => {
+  const { denied } = authorizeRequest(request, MANAGE_PERMISSIONS)
+  if (denied) return denied
+
+  const data = await request.json()
+  const fields = pickFields(data, CUSTOMER_FIELDS)
+
+  if (!fields.name) return errorResponse(400, "Validation failed", "Customer name is required")
+  const duplicate = getDuplicateMessage(fields)
+  if (duplicate) return errorResponse(400, "Duplicate customer", duplicate)
+
+  const now = new Date().toISOString()
+  const customer = {
+    id: generateCustomerId(),
+    name: "",
+    email: "",
+    phone: "",
+    notes: "",
+    ...fields,
+    addresses: data.address?.street1
+      ? [
+          {
+            id: generateCustomerAddressId(),
+            label: "Home",
+            street2: "",
+            city: "",
+            state: "",
+            postalCode: "",
+            country: "",
+            ...pickFields(data.address, ADDRESS_FIELDS),
+            isDefault: true,
+          },
+        ]
+      : [],
+    measurementProfiles: [],
+    createdAt: now,
+    updatedAt: now,
+  }
+
+  mockCustomers.push(customer)
+
+  return HttpResponse.json(
+    { success: true, data: withSummary(customer), message: `Customer ${customer.name} created` },
+    { status: 201 }
+  )
+})
+
+/**
+ * PUT /api/customers/:id
+ */
+const updateCustomer = http.put(`${BASE_URL}/:id`, async ({ params, request }) => {
+  const { denied } = authorizeRequest(request, MANAGE_PERMISSIONS)
+  if (denied) return denied
+
+  const customer = getCustomerById(params.id)
+  if (!customer) return notFound()
+
+  const fields = pickFields(await request.json(), CUSTOMER_FIELDS)
+  if (fields.name !== undefined && !fields.name) {
+    return errorResponse(400, "Validation failed", "Customer name is required")
+  }
+  const duplicate = getDuplicateMessage(
+    { email: fields.email ?? customer.email, phone: fields.phone ?? customer.phone },
+    customer.id
+  )
+  if (duplicate) return errorResponse(400, "Duplicate customer", duplicate)
+
+  Object.assign(customer, fields)
+  touch(customer)
+
+  return HttpResponse.json({
+    success: true,
+    data: withSummary(customer),
+    message: `Customer ${customer.name} updated`,
+  })
+})
+
+/**
+ * DELETE /api/customers/:id
+ */
+const deleteCustomer = http.delete(`${BASE_URL}/:id`, ({ params, request }) => {
+  const { denied } = authorizeRequest(request, MANAGE_PERMISSIONS)
+  if (denied) return denied
+
+  const index = mockCustomers.findIndex((c) => c.id === params.id)
+  if (index === -1) return notFound()
+
+  const orderCount = getCustomerOrders(params.id).length
+  if (orderCount > 0) {
+    return errorResponse(
+      409,
+      "Customer has orders",
+      `${mockCustomers[index].name} has ${orderCount} order(s) and cannot be deleted`
+    )
+  }
+
+  const [removed] = mockCustomers.splice(index, 1)
+  return HttpResponse.json({ success: true, message: `Customer ${removed.name} deleted` })
+})
+
+// ==================== ADDRESSES ====================
+
+/**
+ * POST /api/customers/:id/addresses
+ * Body: { label, street1, street2, city, state, postalCode, country, isDefault }
+ */
+const addAddress = http.post(`${BASE_URL}/:id/addresses`, async ({ params, request }) => {
+  const { denied } = authorizeRequest(request, MANAGE_PERMISSIONS)
+  if (denied) return denied
+
+  const customer = getCustomerById(params.id)
+  if (!customer) return notFound()
+
+  const data = await request.json()
+  const fields = pickFields(data, ADDRESS_FIELDS)
+  if (!fields.street1) return errorResponse(400, "Validation failed", "Street address is required")
+
+  const address = {
+    id: generateCustomerAddressId(),
+    label: "",
+    street2: "",
+    city: "",
+    state: "",
+    postalCode: "",
+    country: "",
+    ...fields,
+    isDefault: false,
+  }
+  customer.addresses.push(address)
+  if (data.isDefault || customer.addresses.length === 1) setDefaultAddress(customer, address.id)
+  touch(customer)
+
+  return HttpResponse.json(
+    { success: true, data: withSummary(customer), message: "Address added" },
+    { status: 201 }
+  )
+})
+
+/**
+ * PUT /api/customers/:id/addresses/:addressId
+ */
+const updateAddress = http.put(
+  `${BASE_URL}/:id/addresses/:addressId`,
+  async ({ params, request }) => {
+    const { denied } = authorizeRequest(request, MANAGE_PERMISSIONS)
+    if (denied) return denied
+
+    const customer = getCustomerById(params.id)
+    if (!customer) return notFound()
+    const address = customer.addresses.find((a) => a.id === params.addressId)
+    if (!address) return errorResponse(404, "Not found", "Address not found")
+
+    const data = await request.json()
+    const fields = pickFields(data, ADDRESS_FIELDS)
+    if (fields.street1 !== undefined && !fields.street1) {
+      return errorResponse(400, "Validation failed", "Street address is required")
+    }
+
+    Object.assign(address, fields)
+    if (data.isDefault) setDefaultAddress(customer, address.id)
+    touch(customer)
+
+    return HttpResponse.json({
+      success: true,
+      data: withSummary(customer),
+      message: "Address updated",
+    })
+  }
+)
+
+/**
+ * DELETE /api/customers/:id/addresses/:addressId
+ * Removing the default makes the first remaining address the default.
+ */
+const deleteAddress = http.delete(`${BASE_URL}/:id/addresses/:addressId`, ({ params, request }) => {
+  const { denied } = authorizeRequest(request, MANAGE_PERMISSIONS)
+  if (denied) return denied
+
+  const customer = getCustomerById(params.id)
+  if (!customer) return notFound()
+  const index = customer.addresses.findIndex((a) => a.id === params.addressId)
+  if (index === -1) return errorResponse(404, "Not found", "Address not found")
+
+  const [removed] = customer.addresses.splice(index, 1)
+  if (removed.isDefault && customer.addresses.length > 0) {
+    setDefaultAddress(customer, customer.addresses[0].id)
+  }
+  touch(customer)
+
+  return HttpResponse.json({
+    success: true,
+    data: withSummary(customer),
+    message: "Address removed",
+  })
+})
+
+// ==================== MEASUREMENT PROFILES ====================
+
+/**
+ * POST /api/customers/:id/measurement-profiles
+ * Body: { takenAt, clientHeight, categories, measurements, notes }
+ * Measurements outside the chosen categories and empty values are dropped.
+ */
+const addMeasurementProfile = http.post(
+  `${BASE_URL}/:id/measurement-profiles`,
+  async ({ params, request }) => {
+    const { user, denied } = authorizeRequest(request, MANAGE_PERMISSIONS)
+    if (denied) return denied
+
+    const customer = getCustomerById(params.id)
+    if (!customer) return notFound()
+
+    const data = await request.json()
+    const categories = (data.categories || []).filter(
+      (catId) => getMeasurementIdsForCategory(catId).length > 0
+    )
+    if (categories.length === 0) {
+      return errorResponse(400, "Validation failed", "Choose at least one measurement category")
+    }
+
+    const allowedKeys = new Set(
+      categories.flatMap((catId) => getMeasurementIdsForCategory(catId).map((m) => `${catId}_${m}`))
+    )
+    const measurements = Object.fromEntries(
+      Object.entries(data.measurements || {})
+        .filter(([key, value]) => allowedKeys.has(key) && String(value ?? "").trim() !== "")
+        .map(([key, value]) => [key, String(value).trim()])
+    )
+    if (Object.keys(measurements).length === 0) {
+      return errorResponse(400, "Validation failed", "Enter at least one measurement")
+    }
+
+    const now = new Date().toISOString()
+    const takenAt = data.takenAt || now.split("T")[0]
+    if (takenAt > now.split("T")[0]) {
+      return errorResponse(400, "Validation failed", "Measurements cannot be dated in the future")
+    }
+
+    const profile = {
+      id: generateMeasurementProfileId(),
+      takenAt,
+      clientHeight: data.clientHeight || "",
+      categories,
+      measurements,
+      notes: data.notes?.trim() || "",
+      source: MEASUREMENT_PROFILE_SOURCE.MANUAL,
+      orderId: null,
+      orderNumber: null,
+      orderItemId: null,
+      createdAt: now,
+      createdBy: user.id,
+      createdByName: user.name,
+    }
+    customer.measurementProfiles.push(profile)
+    touch(customer)
+
+    return HttpResponse.json(
+      { success: true, data: withSummary(customer), message: "Measurements saved" },
+      { status: 201 }
+    )
+  }
+)
+
+/**
+ * DELETE /api/customers/:id/measurement-profiles/:profileId
+ * Order items prefilled from the profile keep their copy of the measurements.
+ */
+const deleteMeasurementProfile = http.delete(
+  `${BASE_URL}/:id/measurement-profiles/:profileId`,
+  ({ params, request }) => {
+    const { denied } = authorizeRequest(request, MANAGE_PERMISSIONS)
+    if (denied) return denied
+
+    const customer = getCustomerById(params.id)
+    if (!customer) return notFound()
+    const index = customer.measurementProfiles.findIndex((p) => p.id === params.profileId)
+    if (index === -1) return errorResponse(404, "Not found", "Measurement profile not found")
+
+    customer.measurementProfiles.splice(index, 1)
+    touch(customer)
+
+    return HttpResponse.json({
+      success: true,
+      data: withSummary(customer),
+      message: "Measurement profile removed",
+    })
+  }
+)
+
+export const customersHandlers = [
+  // Customers
+  getCustomers,
+  getCustomer,
+  createCustomer,
+  updateCustomer,
+  deleteCustomer,
+
+  // Addresses
+  addAddress,
+  updateAddress,
+  deleteAddress,
+
+  // Measurement profiles
+  addMeasurementProfile,
+  deleteMeasurementProfile,
+]
@@ -17,8 +17,15 @@
 import { http, HttpResponse } from "msw"
 import { appConfig } from "@/config/appConfig"
 import { mockOrders, mockOrderItems, getOrderWithItems, generateTimelineId } from "../data/mockOrders"
-import { mockUsers } from "../data/mockUser"
-import { ORDER_STATUS, ORDER_ITEM_STATUS } from "@/constants/orderConstants"
+import {
+  ORDER_STATUS,
+  ORDER_ITEM_STATUS,
+  PHASE_14_TIMELINE_EVENTS,
+} from "@/constants/orderConstants"
+import { WORKFLOW_LEVEL, checkTransition, canTransition } from "@/lib/workflow"
+import { getPaymentTotals } from "@/lib/payments"
+import { setOrderItemStatus } from "../data/mockStatusHistory"
+import { authorizeTransition } from "../requestAuth"
 
 const BASE_URL = `${appConfig.apiBaseUrl}/dispatch`
 
@@ -28,8 +35,6 @@ const BASE_URL = `${appConfig.apiBaseUrl}/dispatch`
 
 const findOrder = (orderId) => mockOrders.find((o) => o.id === orderId)
 const findOrderIndex = (orderId) => mockOrders.findIndex((o) => o.id === orderId)
-const findUser = (userId) =>
-  mockUsers.find((u) => u.id === userId || u.id === parseInt(userId) || u.id === String(userId))
 
 const getOrderItems = (orderId) => mockOrderItems.filter((oi) => oi.orderId === orderId)
 
@@ -48,7 +53,7 @@ const buildDispatchOrderResponse = (order) => {
     status: oi.status,
   }))
 
-  const totalPaid = (order.payments || []).reduce((sum, p) => sum + p.amount, 0)
+  const { netPaid: totalPaid, remainingAmount } = getPaymentTotals(order)
 
   return {
     orderId: order.id,
@@ -64,7 +69,7 @@ const buildDispatchOrderResponse = (order) => {
     totalAmount: order.totalAmount,
     currency: order.currency || "PKR",
     totalPaid,
-    remainingAmount: order.totalAmount - totalPaid,
+    remainingAmount,
     paymentStatus: order.paymentStatus,
     items,
     itemCount: items.length,
@@ -175,7 +180,9 @@ const dispatchOrder = http.post(
   `${BASE_URL}/order/:orderId/dispatch`,
   async ({ params, request }) => {
     const { orderId } = params
-    const { courier, trackingNumber, dispatchDate, notes, dispatchedBy } = await request.json()
+    const { user, denied } = authorizeTransition(request, WORKFLOW_LEVEL.ORDER, "DISPATCH")
+    if (denied) return denied
+    const { courier, trackingNumber, dispatchDate, notes } = await request.json()
 
     console.log(`🚚 POST /api/dispatch/order/${orderId}/dispatch`)
 
@@ -187,14 +194,9 @@ const dispatchOrder = http.post(
     const order = mockOrders[orderIndex]
 
     // Validate status
-    if (order.status !== ORDER_STATUS.READY_FOR_DISPATCH) {
-      return HttpResponse.json(
-        {
-          success: false,
-          error: `Order must be in READY_FOR_DISPATCH status. Current: ${order.status}`,
-        },
-        { status: 400 }
-      )
+    const check = checkTransition(WORKFLOW_LEVEL.ORDER, "DISPATCH", order, { user })
+    if (!check.allowed) {
+      return HttpResponse.json(check.body, { status: check.httpStatus })
     }
 
     // Validate required fields
@@ -206,7 +208,6 @@ const dispatchOrder = http.post(
     }
 
     const now = new Date().toISOString()
-    const dispatchedByUser = findUser(dispatchedBy)
 
     // Update order status
     mockOrders[orderIndex] = {
@@ -219,8 +220,8 @@ const dispatchOrder = http.post(
         trackingNumber,
         dispatchDate,
         notes: notes || "",
-        dispatchedBy,
-        dispatchedByName: dispatchedByUser?.name || "Dispatch User",
+        dispatchedBy: user.id,
+        dispatchedByName: user.name,
         dispatchedAt: now,
       },
       updatedAt: now,
@@ -231,10 +232,9 @@ const dispatchOrder = http.post(
     orderItems.forEach((oi) => {
       const itemIndex = mockOrderItems.findIndex((i) => i.id === oi.id)
       if (itemIndex !== -1) {
-        mockOrderItems[itemIndex] = {
-          ...mockOrderItems[itemIndex],
-          status: ORDER_ITEM_STATUS.DISPATCHED,
-          updatedAt: now,
+        mockOrderItems[itemIndex] = { ...mockOrderItems[itemIndex], updatedAt: now }
+        if (canTransition(WORKFLOW_LEVEL.ORDER_ITEM, "DISPATCH", mockOrderItems[itemIndex])) {
+          setOrderItemStatus(mockOrderItems[itemIndex], ORDER_ITEM_STATUS.DISPATCHED, user, now)
         }
 
         // Add timeline entry to each item
@@ -244,8 +244,9 @@ const dispatchOrder = http.post(
         mockOrderItems[itemIndex].timeline.push({
           id: generateTimelineId(),
           action: `Order dispatched via ${courier} — Tracking: ${trackingNumber}`,
-          user: dispatchedByUser?.name || "Dispatch User",
+          user: user.name,
           timestamp: now,
+          event: PHASE_14_TIMELINE_EVENTS.ORDER_DISPATCHED,
         })
       }
     })
@@ -269,7 +270,8 @@ const completeOrder = http.post(
   `${BASE_URL}/order/:orderId/complete`,
   async ({ params, request }) => {
     const { orderId } = params
-    const { completedBy } = await request.json()
+    const { user, denied } = authorizeTransition(request, WORKFLOW_LEVEL.ORDER, "COMPLETE")
+    if (denied) return denied
 
     console.log(`✅ POST /api/dispatch/order/${orderId}/complete`)
 
@@ -281,25 +283,19 @@ const completeOrder = http.post(
     const order = mockOrders[orderIndex]
 
     // Validate status
-    if (order.status !== ORDER_STATUS.DISPATCHED) {
-      return HttpResponse.json(
-        {
-          success: false,
-          error: `Order must be in DISPATCHED status. Current: ${order.status}`,
-        },
-        { status: 400 }
-      )
+    const check = checkTransition(WORKFLOW_LEVEL.ORDER, "COMPLETE", order, { user })
+    if (!check.allowed) {
+      return HttpResponse.json(check.body, { status: check.httpStatus })
     }
 
     const now = new Date().toISOString()
-    const completedByUser = findUser(completedBy)
 
     // Update order status
     mockOrders[orderIndex] = {
       ...order,
       status: ORDER_STATUS.COMPLETED,
       completedAt: now,
-      completedBy,
+      completedBy: user.id,
       updatedAt: now,
     }
 
@@ -308,10 +304,9 @@ const completeOrder = http.post(
     orderItems.forEach((oi) => {
       const itemIndex = mockOrderItems.findIndex((i) => i.id === oi.id)
       if (itemIndex !== -1) {
-        mockOrderItems[itemIndex] = {
-          ...mockOrderItems[itemIndex],
-          status: ORDER_ITEM_STATUS.COMPLETED,
-          updatedAt: now,
+        mockOrderItems[itemIndex] = { ...mockOrderItems[itemIndex], updatedAt: now }
+        if (canTransition(WORKFLOW_LEVEL.ORDER_ITEM, "COMPLETE", mockOrderItems[itemIndex])) {
+          setOrderItemStatus(mockOrderItems[itemIndex], ORDER_ITEM_STATUS.COMPLETED, user, now)
         }
 
         if (!mockOrderItems[itemIndex].timeline) {
@@ -320,7 +315,7 @@ const completeOrder = http.post(
         mockOrderItems[itemIndex].timeline.push({
           id: generateTimelineId(),
           action: "Order marked as completed — delivery confirmed",
-          user: completedByUser?.name || "Dispatch User",
+          user: user.name,
           timestamp: now,
         })
       }
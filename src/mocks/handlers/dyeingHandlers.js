@@ -17,15 +17,27 @@
 import { http, HttpResponse } from "msw"
 import { getDyeingTaskByOrderItemId } from "../data/mockDyeingTasks"
 import { mockOrderItems, mockOrders } from "../data/mockOrders"
-import { mockInventoryItems, mockStockMovements } from "../data/mockInventory"
-import { mockPackets } from "../data/mockPackets"
+import {
+  mockInventoryItems,
+  mockStockMovements,
+  adjustLocationStock,
+  returnLotStock,
+} from "../data/mockInventory"
+import { applyReceiptCost } from "../data/mockCosting"
+import { mockPackets, getSectionLots } from "../data/mockPackets"
+import { getPickedReservations, releaseReservations } from "../data/mockReservations"
 import { mockUsers } from "../data/mockUser"
+import { setOrderItemStatus } from "../data/mockStatusHistory"
 import {
   ORDER_ITEM_STATUS,
   SECTION_STATUS,
   PACKET_STATUS,
   DYEING_REJECTION_REASONS,
+  DYEING_TIMELINE_EVENTS,
+  INVENTORY_LOCATION,
 } from "../../constants/orderConstants"
+import { WORKFLOW_LEVEL, checkSectionTransitions } from "@/lib/workflow"
+import { authorizeTransition } from "../requestAuth"
 
 const BASE_URL = "/api/dyeing"
 
@@ -681,14 +693,14 @@ const acceptSections = http.post(
     await new Promise((resolve) => setTimeout(resolve, 300))
 
     const { orderItemId } = params
+    const { user, denied } = authorizeTransition(request, WORKFLOW_LEVEL.SECTION, "ACCEPT_DYEING")
+    if (denied) return denied
+    const userId = user.id
     const data = await request.json()
-    const { userId, sections } = data // sections is array of section names to accept
+    const { sections } = data // sections is array of section names to accept
 
-    if (!userId || !sections || sections.length === 0) {
-      return HttpResponse.json(
-        { success: false, error: "userId and sections are required" },
-        { status: 400 }
-      )
+    if (!sections || sections.length === 0) {
+      return HttpResponse.json({ success: false, error: "sections are required" }, { status: 400 })
     }
 
     const orderItemIndex = mockOrderItems.findIndex((item) => item.id === orderItemId)
@@ -697,43 +709,12 @@ const acceptSections = http.post(
     }
 
     const orderItem = mockOrderItems[orderItemIndex]
-    const user = findUser(userId)
     const now = new Date().toISOString()
 
-    // Validate all sections are in READY_FOR_DYEING status
-    const invalidSections = sections.filter((sectionName) => {
-      const sectionKey = sectionName.toLowerCase()
-      const section = orderItem.sectionStatuses?.[sectionKey]
-      return !section || section.status !== SECTION_STATUS.READY_FOR_DYEING
-    })
-
-    if (invalidSections.length > 0) {
-      return HttpResponse.json(
-        {
-          success: false,
-          error: `Sections not ready for dyeing: ${invalidSections.join(", ")}`,
-        },
-        { status: 400 }
-      )
-    }
-
-    // Check if order item already has a different user assigned
-    const existingAssignee = Object.values(orderItem.sectionStatuses || {}).find(
-      (s) =>
-        s.dyeingAcceptedBy &&
-        s.dyeingAcceptedBy !== userId &&
-        s.dyeingAcceptedBy !== parseInt(userId) &&
-        [SECTION_STATUS.DYEING_ACCEPTED, SECTION_STATUS.DYEING_IN_PROGRESS].includes(s.status)
-    )
-
-    if (existingAssignee) {
-      return HttpResponse.json(
-        {
-          success: false,
-          error: "Another user has already accepted tasks for this order item",
-        },
-        { status: 400 }
-      )
+    // Sections must be READY_FOR_DYEING and not held by another dyeing user
+    const check = checkSectionTransitions("ACCEPT_DYEING", orderItem, sections, { user, userId })
+    if (!check.allowed) {
+      return HttpResponse.json(check.body, { status: check.httpStatus })
     }
 
     // Accept the sections
@@ -745,21 +726,21 @@ const acceptSections = http.post(
           status: SECTION_STATUS.DYEING_ACCEPTED,
           dyeingAcceptedAt: now,
           dyeingAcceptedBy: userId,
-          dyeingAcceptedByName: user?.name || "Unknown User",
+          dyeingAcceptedByName: user.name,
           updatedAt: now,
         }
       }
     })
 
     // Update order item status
-    orderItem.status = calculateOrderItemStatus(orderItem)
+    setOrderItemStatus(orderItem, calculateOrderItemStatus(orderItem), user, now)
     orderItem.updatedAt = now
 
     // Add timeline entry
     orderItem.timeline.push({
       id: `log-${Date.now()}`,
       action: `Dyeing accepted for sections: ${sections.join(", ")}`,
-      user: user?.name || "Unknown User",
+      user: user.name,
       timestamp: now,
     })
 
@@ -784,14 +765,14 @@ const startDyeing = http.post(
     await new Promise((resolve) => setTimeout(resolve, 300))
 
     const { orderItemId } = params
+    const { user, denied } = authorizeTransition(request, WORKFLOW_LEVEL.SECTION, "START_DYEING")
+    if (denied) return denied
+    const userId = user.id
     const data = await request.json()
-    const { userId, sections } = data
+    const { sections } = data
 
-    if (!userId || !sections || sections.length === 0) {
-      return HttpResponse.json(
-        { success: false, error: "userId and sections are required" },
-        { status: 400 }
-      )
+    if (!sections || sections.length === 0) {
+      return HttpResponse.json({ success: false, error: "sections are required" }, { status: 400 })
     }
 
     const orderItemIndex = mockOrderItems.findIndex((item) => item.id === orderItemId)
@@ -800,28 +781,12 @@ const startDyeing = http.post(
     }
 
     const orderItem = mockOrderItems[orderItemIndex]
-    const user = findUser(userId)
     const now = new Date().toISOString()
 
-    // Validate sections are in DYEING_ACCEPTED and belong to this user
-    const invalidSections = sections.filter((sectionName) => {
-      const sectionKey = sectionName.toLowerCase()
-      const section = orderItem.sectionStatuses?.[sectionKey]
-      if (!section || section.status !== SECTION_STATUS.DYEING_ACCEPTED) return true
-      if (
-        section.dyeingAcceptedBy !== userId &&
-        section.dyeingAcceptedBy !== parseInt(userId) &&
-        section.dyeingAcceptedBy !== String(userId)
-      )
-        return true
-      return false
-    })
-
-    if (invalidSections.length > 0) {
-      return HttpResponse.json(
-        { success: false, error: `Invalid sections: ${invalidSections.join(", ")}` },
-        { status: 400 }
-      )
+    // Sections must be DYEING_ACCEPTED by this user
+    const check = checkSectionTransitions("START_DYEING", orderItem, sections, { user, userId })
+    if (!check.allowed) {
+      return HttpResponse.json(check.body, { status: check.httpStatus })
     }
 
     // Start dyeing for sections
@@ -838,14 +803,14 @@ const startDyeing = http.post(
     })
 
     // Update order item status
-    orderItem.status = calculateOrderItemStatus(orderItem)
+    setOrderItemStatus(orderItem, calculateOrderItemStatus(orderItem), user, now)
     orderItem.updatedAt = now
 
     // Add timeline entry
     orderItem.timeline.push({
       id: `log-${Date.now()}`,
       action: `Dyeing started for sections: ${sections.join(", ")}`,
-      user: user?.name || "Unknown User",
+      user: user.name,
       timestamp: now,
     })
 
@@ -863,14 +828,14 @@ const completeDyeing = http.post(
     await new Promise((resolve) => setTimeout(resolve, 300))
 
     const { orderItemId } = params
+    const { user, denied } = authorizeTransition(request, WORKFLOW_LEVEL.SECTION, "COMPLETE_DYEING")
+    if (denied) return denied
+    const userId = user.id
     const data = await request.json()
-    const { userId, sections } = data
+    const { sections } = data
 
-    if (!userId || !sections || sections.length === 0) {
-      return HttpResponse.json(
-        { success: false, error: "userId and sections are required" },
-        { status: 400 }
-      )
+    if (!sections || sections.length === 0) {
+      return HttpResponse.json({ success: false, error: "sections are required" }, { status: 400 })
     }
 
     const orderItemIndex = mockOrderItems.findIndex((item) => item.id === orderItemId)
@@ -879,36 +844,15 @@ const completeDyeing = http.post(
     }
 
     const orderItem = mockOrderItems[orderItemIndex]
-    const user = findUser(userId)
     const now = new Date().toISOString()
 
-    // Validate sections are in DYEING_IN_PROGRESS and belong to this user
-    const invalidSections = sections.filter((sectionName) => {
-      const sectionKey = sectionName.toLowerCase()
-      const section = orderItem.sectionStatuses?.[sectionKey]
-      if (!section) return true
-      // Allow completing from either DYEING_ACCEPTED or DYEING_IN_PROGRESS
-      if (
-        ![SECTION_STATUS.DYEING_ACCEPTED, SECTION_STATUS.DYEING_IN_PROGRESS].includes(
-          section.status
-        )
-      ) {
-        return true
-      }
-      if (
-        section.dyeingAcceptedBy !== userId &&
-        section.dyeingAcceptedBy !== parseInt(userId) &&
-        section.dyeingAcceptedBy !== String(userId)
-      )
-        return true
-      return false
+    // Sections must be DYEING_ACCEPTED or DYEING_IN_PROGRESS and belong to this user
+    const check = checkSectionTransitions("COMPLETE_DYEING", orderItem, sections, {
+      user,
+      userId,
     })
-
-    if (invalidSections.length > 0) {
-      return HttpResponse.json(
-        { success: false, error: `Invalid sections: ${invalidSections.join(", ")}` },
-        { status: 400 }
-      )
+    if (!check.allowed) {
+      return HttpResponse.json(check.body, { status: check.httpStatus })
     }
 
     // Complete dyeing for sections - move to READY_FOR_PRODUCTION
@@ -924,17 +868,18 @@ const completeDyeing = http.post(
       }
     })
 
-    // Update order item status
-    orderItem.status = calculateOrderItemStatus(orderItem)
-
-    // Check if ALL sections are now ready for production
+    // Update order item status, ready for production once ALL sections are
     const allSectionsReady = Object.values(orderItem.sectionStatuses || {}).every(
       (s) => s.status === SECTION_STATUS.READY_FOR_PRODUCTION
     )
-
-    if (allSectionsReady) {
-      orderItem.status = ORDER_ITEM_STATUS.READY_FOR_PRODUCTION
-    }
+    setOrderItemStatus(
+      orderItem,
+      allSectionsReady
+        ? ORDER_ITEM_STATUS.READY_FOR_PRODUCTION
+        : calculateOrderItemStatus(orderItem),
+      user,
+      now
+    )
 
     orderItem.updatedAt = now
 
@@ -942,8 +887,10 @@ const completeDyeing = http.post(
     orderItem.timeline.push({
       id: `log-${Date.now()}`,
       action: `Dyeing completed for sections: ${sections.join(", ")}. ${allSectionsReady ? "All sections ready for production." : ""}`,
-      user: user?.name || "Unknown User",
+      user: user.name,
       timestamp: now,
+      event: DYEING_TIMELINE_EVENTS.SECTION_COMPLETED,
+      sections,
     })
 
     return HttpResponse.json({
@@ -967,13 +914,16 @@ const rejectSections = http.post(
     await new Promise((resolve) => setTimeout(resolve, 400))
 
     const { orderItemId } = params
+    const { user, denied } = authorizeTransition(request, WORKFLOW_LEVEL.SECTION, "REJECT_DYEING")
+    if (denied) return denied
+    const userId = user.id
     const data = await request.json()
-    const { userId, sections, reasonCode, notes } = data
+    const { sections, reasonCode, notes } = data
 
     // Notes are required for rejection
-    if (!userId || !sections || sections.length === 0 || !notes) {
+    if (!sections || sections.length === 0 || !notes) {
       return HttpResponse.json(
-        { success: false, error: "userId, sections, and notes are required" },
+        { success: false, error: "sections and notes are required" },
         { status: 400 }
       )
     }
@@ -984,7 +934,6 @@ const rejectSections = http.post(
     }
 
     const orderItem = mockOrderItems[orderItemIndex]
-    const user = findUser(userId)
     const now = new Date().toISOString()
 
     // Get rejection reason label
@@ -993,25 +942,10 @@ const rejectSections = http.post(
         ? DYEING_REJECTION_REASONS[reasonCode].label
         : "Unspecified reason"
 
-    // Validate sections are in a dyeing state
-    const invalidSections = sections.filter((sectionName) => {
-      const sectionKey = sectionName.toLowerCase()
-      const section = orderItem.sectionStatuses?.[sectionKey]
-      if (!section) return true
-
-      // Can reject from READY_FOR_DYEING, DYEING_ACCEPTED, or DYEING_IN_PROGRESS
-      return ![
-        SECTION_STATUS.READY_FOR_DYEING,
-        SECTION_STATUS.DYEING_ACCEPTED,
-        SECTION_STATUS.DYEING_IN_PROGRESS,
-      ].includes(section.status)
-    })
-
-    if (invalidSections.length > 0) {
-      return HttpResponse.json(
-        { success: false, error: `Cannot reject sections: ${invalidSections.join(", ")}` },
-        { status: 400 }
-      )
+    // Can reject from READY_FOR_DYEING, DYEING_ACCEPTED, or DYEING_IN_PROGRESS
+    const check = checkSectionTransitions("REJECT_DYEING", orderItem, sections, { user, userId })
+    if (!check.allowed) {
+      return HttpResponse.json(check.body, { status: check.httpStatus })
     }
 
     // Track what needs to happen for each rejected section
@@ -1043,10 +977,12 @@ const rejectSections = http.post(
         // Set rejection data
         dyeingRejectedAt: now,
         dyeingRejectedBy: userId,
-        dyeingRejectedByName: user?.name || "Unknown User",
+        dyeingRejectedByName: user.name,
         dyeingRejectionReasonCode: reasonCode || null,
         dyeingRejectionReason: rejectionReason,
         dyeingRejectionNotes: notes,
+        // Lots the rejected material came from, kept for the lot trace
+        dyeingRejectedLots: getSectionLots(orderItemId, sectionName),
 
         // Increment round for tracking
         dyeingRound: (sectionData.dyeingRound || 1) + 1,
@@ -1067,39 +1003,72 @@ const rejectSections = http.post(
         previousFabricationUser: previousFabricationUserName,
       })
 
-      // Release inventory for this section
-      const sectionMaterials =
-        orderItem.materialRequirements?.filter((m) => m.piece?.toLowerCase() === sectionKey) || []
+      // Release reservations that were never picked for this section
+      releaseReservations(orderItemId, {
+        sections: [sectionName],
+        reason: `Dyeing rejection: ${rejectionReason}`,
+      }).forEach((reservation) => {
+        inventoryReleased.push({
+          inventoryItemId: reservation.inventoryItemId,
+          name: mockInventoryItems.find((inv) => inv.id === reservation.inventoryItemId)?.name,
+          quantity: reservation.quantity,
+          section: sectionName,
+          reservationId: reservation.id,
+          movementId: null,
+        })
+      })
 
-      sectionMaterials.forEach((material) => {
-        // Find inventory item and release stock
-        const invIndex = mockInventoryItems.findIndex((inv) => inv.id === material.inventoryItemId)
+      // Return picked material to stock; the section's next inventory check reserves it again.
+      // It is booked back at the dyeing unit, where the rejected material physically is.
+      getPickedReservations(orderItemId, sectionName).forEach((reservation) => {
+        const invIndex = mockInventoryItems.findIndex(
+          (inv) => inv.id === reservation.inventoryItemId
+        )
         if (invIndex !== -1) {
           const previousStock = mockInventoryItems[invIndex].remaining_stock
-          mockInventoryItems[invIndex].remaining_stock += material.requiredQty
+          const pickMovement = mockStockMovements.find((m) => m.id === reservation.movementId)
+          const unitCost = applyReceiptCost(
+            mockInventoryItems[invIndex],
+            reservation.consumedQty,
+            pickMovement?.unit_cost
+          )
+          adjustLocationStock(
+            mockInventoryItems[invIndex],
+            INVENTORY_LOCATION.DYEING_UNIT,
+            reservation.consumedQty
+          )
+          returnLotStock(mockInventoryItems[invIndex], pickMovement?.lots)
           mockInventoryItems[invIndex].updatedAt = now
 
           // Create inventory movement record for audit trail
           const movement = {
             id: mockStockMovements.length + 1,
-            inventory_item_id: material.inventoryItemId,
+            inventory_item_id: reservation.inventoryItemId,
             variant_id: null,
             movement_type: "STOCK_IN",
-            quantity: material.requiredQty,
+            quantity: reservation.consumedQty,
+            location: INVENTORY_LOCATION.DYEING_UNIT,
+            unit_cost: unitCost,
+            lots: pickMovement?.lots || [],
             remaining_stock_after: mockInventoryItems[invIndex].remaining_stock,
             transaction_date: now,
             reference_number: `DYEING-REJECT-${orderItemId}-${sectionName.toUpperCase()}`,
             notes: `Stock released from dyeing rejection. Section: ${sectionName}. Reason: ${rejectionReason}`,
-            performed_by_user_id: parseInt(userId) || 1,
+            performed_by_user_id: userId,
             created_at: now,
           }
           mockStockMovements.push(movement)
 
+          reservation.returnedAt = now
+          reservation.returnMovementId = movement.id
+          reservation.updatedAt = now
+
           inventoryReleased.push({
-            inventoryItemId: material.inventoryItemId,
-            name: material.inventoryItemName,
-            quantity: material.requiredQty,
+            inventoryItemId: reservation.inventoryItemId,
+            name: mockInventoryItems[invIndex].name,
+            quantity: reservation.consumedQty,
             section: sectionName,
+            reservationId: reservation.id,
             movementId: movement.id,
             previousStock,
             newStock: mockInventoryItems[invIndex].remaining_stock,
@@ -1139,7 +1108,7 @@ const rejectSections = http.post(
     })
 
     // Update order item status
-    orderItem.status = calculateOrderItemStatus(orderItem)
+    let nextStatus = calculateOrderItemStatus(orderItem)
 
     // If some sections were in dyeing and got rejected, we might need to go back to partial states
     const sectionStatuses = Object.values(orderItem.sectionStatuses || {})
@@ -1161,7 +1130,7 @@ const rejectSections = http.post(
     )
 
     if (hasInDyeing && hasAwaitingOrPacket) {
-      orderItem.status = ORDER_ITEM_STATUS.PARTIALLY_IN_DYEING
+      nextStatus = ORDER_ITEM_STATUS.PARTIALLY_IN_DYEING
     } else if (!hasInDyeing && hasAwaitingOrPacket) {
       // Determine appropriate packet/inventory status
       const hasAwaiting = sectionStatuses.some((s) => s.status === SECTION_STATUS.AWAITING_MATERIAL)
@@ -1170,20 +1139,24 @@ const rejectSections = http.post(
       )
 
       if (hasPendingCheck) {
-        orderItem.status = ORDER_ITEM_STATUS.INVENTORY_CHECK
+        nextStatus = ORDER_ITEM_STATUS.INVENTORY_CHECK
       } else if (hasAwaiting) {
-        orderItem.status = ORDER_ITEM_STATUS.AWAITING_MATERIAL
+        nextStatus = ORDER_ITEM_STATUS.AWAITING_MATERIAL
       }
     }
 
+    setOrderItemStatus(orderItem, nextStatus, user, now)
     orderItem.updatedAt = now
 
     // Add timeline entry
     orderItem.timeline.push({
       id: `log-${Date.now()}`,
       action: `Dyeing rejected for sections: ${sections.join(", ")}. Reason: ${rejectionReason}. Notes: ${notes}`,
-      user: user?.name || "Unknown User",
+      user: user.name,
       timestamp: now,
+      event: DYEING_TIMELINE_EVENTS.SECTION_REJECTED,
+      sections,
+      reasonCode: reasonCode || null,
     })
 
     // Add separate timeline entries for inventory release
@@ -0,0 +1,143 @@
+/**
+ * Exchange Rate MSW Handlers
+ * src/mocks/handlers/exchangeRatesHandlers.js
+ *
+ * The dated exchange-rate table used to price foreign-currency orders, convert
+ * payments and report in the base currency. A new rate is added with the day
+ * it takes effect; correcting a row only changes conversions made after the
+ * edit, because payments keep the rate they were recorded at.
+ *
+ * Endpoints:
+ *   GET /api/exchange-rates      - All rows, newest first per currency (?currency=)
+ *   POST /api/exchange-rates     - Add a rate
+ *   PUT /api/exchange-rates/:id  - Correct a rate, its effective date or notes
+ */
+
+import { http, HttpResponse } from "msw"
+import { appConfig } from "@/config/appConfig"
+import {
+  mockExchangeRates,
+  generateExchangeRateId,
+  getExchangeRateById,
+} from "../data/mockExchangeRates"
+import { BASE_CURRENCY, CURRENCIES } from "@/constants/orderConstants"
+import { authorizeRequest } from "../requestAuth"
+
+const BASE_URL = `${appConfig.apiBaseUrl}/exchange-rates`
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+const invalid = (message) =>
+  HttpResponse.json({ success: false, error: "Validation failed", message }, { status: 400 })
+
+/**
+ * Why a rate row can't be saved, or null
+ */
+const validateRate = ({ currency, rate, effectiveDate }, exceptId) => {
+  if (currency === BASE_CURRENCY) {
+    return `${BASE_CURRENCY} is the base currency and always converts at 1`
+  }
+  if (!CURRENCIES.some((c) => c.value === currency)) return `Unknown currency "${currency}"`
+  if (!(Number(rate) > 0)) return "Enter a rate greater than zero"
+  if (!DATE_PATTERN.test(effectiveDate || "")) return "Enter the date the rate takes effect"
+
+  const duplicate = mockExchangeRates.find(
+    (r) => r.id !== exceptId && r.currency === currency && r.effectiveDate === effectiveDate
+  )
+  if (duplicate) {
+    return `${currency} already has a rate from ${effectiveDate}; edit that one instead`
+  }
+  return null
+}
+
+const sortRates = (rates) =>
+  [...rates].sort(
+    (a, b) => a.currency.localeCompare(b.currency) || b.effectiveDate.localeCompare(a.effectiveDate)
+  )
+
+export const exchangeRatesHandlers = [
+  // ==================== GET ALL RATES ====================
+  http.get(BASE_URL, async ({ request }) => {
+    console.log("💱 GET /api/exchange-rates")
+
+    const currency = new URL(request.url).searchParams.get("currency")
+    const rates = currency
+      ? mockExchangeRates.filter((r) => r.currency === currency)
+      : mockExchangeRates
+
+    return HttpResponse.json({ success: true, data: sortRates(rates) })
+  }),
+
+  // ==================== ADD RATE ====================
+  http.post(BASE_URL, async ({ request }) => {
+    const { user, denied } = authorizeRequest(request, "exchange_rates.edit")
+    if (denied) return denied
+
+    const data = await request.json()
+    console.log("💱 POST /api/exchange-rates", data.currency, data.effectiveDate)
+
+    const error = validateRate(data)
+    if (error) return invalid(error)
+
+    const now = new Date().toISOString()
+    const rate = {
+      id: generateExchangeRateId(),
+      currency: data.currency,
+      rate: Number(data.rate),
+      effectiveDate: data.effectiveDate,
+      notes: data.notes?.trim() || "",
+      createdBy: user.id,
+      createdByName: user.name,
+      createdAt: now,
+      updatedAt: now,
+    }
+    mockExchangeRates.push(rate)
+
+    return HttpResponse.json(
+      {
+        success: true,
+        data: rate,
+        message: `${rate.currency} rate from ${rate.effectiveDate} added`,
+      },
+      { status: 201 }
+    )
+  }),
+
+  // ==================== UPDATE RATE ====================
+  http.put(`${BASE_URL}/:id`, async ({ params, request }) => {
+    const { denied } = authorizeRequest(request, "exchange_rates.edit")
+    if (denied) return denied
+
+    const data = await request.json()
+    console.log(`💱 PUT /api/exchange-rates/${params.id}`)
+
+    const rate = getExchangeRateById(params.id)
+    if (!rate) {
+      return HttpResponse.json(
+        { success: false, error: "Not found", message: "Exchange rate not found" },
+        { status: 404 }
+      )
+    }
+
+    const updated = {
+      currency: rate.currency,
+      rate: data.rate ?? rate.rate,
+      effectiveDate: data.effectiveDate ?? rate.effectiveDate,
+    }
+    const error = validateRate(updated, rate.id)
+    if (error) return invalid(error)
+
+    Object.assign(rate, {
+      rate: Number(updated.rate),
+      effectiveDate: updated.effectiveDate,
+      notes: data.notes !== undefined ? data.notes.trim() : rate.notes,
+      updatedAt: new Date().toISOString(),
+    })
+
+    return HttpResponse.json({
+      success: true,
+      data: rate,
+      message: `${rate.currency} rate from ${rate.effectiveDate} updated`,
+    })
+  }),
+]
@@ -5,10 +5,31 @@
 
 import { http, HttpResponse } from "msw"
 import { mockOrders, mockOrderItems } from "../data/mockOrders"
-import { ORDER_ITEM_STATUS, SIZE_TYPE } from "@/constants/orderConstants"
+import { setOrderItemStatus } from "../data/mockStatusHistory"
+import {
+  ORDER_ITEM_STATUS,
+  SIZE_TYPE,
+  ORDER_ITEM_TIMELINE_EVENTS,
+} from "@/constants/orderConstants"
+import { WORKFLOW_LEVEL, checkTransition } from "@/lib/workflow"
+import { authorizeRequest, authorizeTransition } from "../requestAuth"
+import { findBOMUnitMismatches } from "@/utils/inventoryCheck"
 
 const BASE_URL = "/api/fabrication"
 
+// Either permission lets a user work on the pieces of a custom BOM
+const BOM_EDIT_PERMISSIONS = ["fabrication.create_bom", "fabrication.edit_bom"]
+
+/**
+ * 400 response when BOM lines are written in units their materials' stock
+ * units cannot be converted to, otherwise null
+ */
+const rejectBOMUnits = (bomItems) => {
+  const mismatches = findBOMUnitMismatches(bomItems)
+  if (mismatches.length === 0) return null
+  return HttpResponse.json({ error: mismatches.join("; ") }, { status: 400 })
+}
+
 // Helper to generate unique IDs
 const generateId = () => `cbom-item-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
 
@@ -179,6 +200,8 @@ export const fabricationHandlers = [
    */
   http.post(`${BASE_URL}/items/:itemId/custom-bom`, async ({ params, request }) => {
     const { itemId } = params
+    const { user, denied } = authorizeRequest(request, "fabrication.create_bom")
+    if (denied) return denied
     const data = await request.json()
 
     const itemIndex = mockOrderItems.findIndex((i) => i.id === itemId)
@@ -204,6 +227,9 @@ export const fabricationHandlers = [
       )
     }
 
+    const unitRejection = rejectBOMUnits(data.items)
+    if (unitRejection) return unitRejection
+
     const now = new Date().toISOString()
 
     // Derive pieces from includedItems and selectedAddOns
@@ -219,9 +245,9 @@ export const fabricationHandlers = [
       pieces: pieces,
       items: data.items || [], // BOM items array
       createdAt: now,
-      createdBy: data.createdBy || "System",
+      createdBy: user.name,
       updatedAt: now,
-      updatedBy: data.createdBy || "System",
+      updatedBy: user.name,
     }
 
     mockOrderItems[itemIndex].customBOM = customBOM
@@ -231,7 +257,7 @@ export const fabricationHandlers = [
     mockOrderItems[itemIndex].timeline.push({
       id: `log-${Date.now()}`,
       action: "Custom BOM created",
-      user: data.createdBy || "System",
+      user: user.name,
       timestamp: now,
     })
 
@@ -247,6 +273,8 @@ export const fabricationHandlers = [
    */
   http.put(`${BASE_URL}/items/:itemId/custom-bom`, async ({ params, request }) => {
     const { itemId } = params
+    const { user, denied } = authorizeRequest(request, "fabrication.edit_bom")
+    if (denied) return denied
     const data = await request.json()
 
     const itemIndex = mockOrderItems.findIndex((i) => i.id === itemId)
@@ -271,6 +299,9 @@ export const fabricationHandlers = [
       )
     }
 
+    const unitRejection = rejectBOMUnits(data.items)
+    if (unitRejection) return unitRejection
+
     const now = new Date().toISOString()
 
     // Update the custom BOM
@@ -278,7 +309,7 @@ export const fabricationHandlers = [
       ...item.customBOM,
       items: data.items || item.customBOM.items,
       updatedAt: now,
-      updatedBy: data.updatedBy || "System",
+      updatedBy: user.name,
     }
     mockOrderItems[itemIndex].updatedAt = now
 
@@ -296,6 +327,8 @@ export const fabricationHandlers = [
     `${BASE_URL}/items/:itemId/custom-bom/pieces/:piece/items`,
     async ({ params, request }) => {
       const { itemId, piece } = params
+      const { user, denied } = authorizeRequest(request, BOM_EDIT_PERMISSIONS)
+      if (denied) return denied
       const data = await request.json()
 
       const itemIndex = mockOrderItems.findIndex((i) => i.id === itemId)
@@ -313,6 +346,9 @@ export const fabricationHandlers = [
         )
       }
 
+      const unitRejection = rejectBOMUnits([{ ...data, piece }])
+      if (unitRejection) return unitRejection
+
       const now = new Date().toISOString()
 
       // Initialize customBOM if it doesn't exist
@@ -327,9 +363,9 @@ export const fabricationHandlers = [
           pieces: pieces,
           items: [],
           createdAt: now,
-          createdBy: data.addedBy || "System",
+          createdBy: user.name,
           updatedAt: now,
-          updatedBy: data.addedBy || "System",
+          updatedBy: user.name,
         }
       }
 
@@ -348,7 +384,7 @@ export const fabricationHandlers = [
 
       mockOrderItems[itemIndex].customBOM.items.push(newBOMItem)
       mockOrderItems[itemIndex].customBOM.updatedAt = now
-      mockOrderItems[itemIndex].customBOM.updatedBy = data.addedBy || "System"
+      mockOrderItems[itemIndex].customBOM.updatedBy = user.name
       mockOrderItems[itemIndex].updatedAt = now
 
       return HttpResponse.json({
@@ -369,6 +405,8 @@ export const fabricationHandlers = [
     `${BASE_URL}/items/:itemId/custom-bom/pieces/:piece/items/:bomItemId`,
     async ({ params, request }) => {
       const { itemId, piece, bomItemId } = params
+      const { user, denied } = authorizeRequest(request, BOM_EDIT_PERMISSIONS)
+      if (denied) return denied
       const data = await request.json()
 
       const itemIndex = mockOrderItems.findIndex((i) => i.id === itemId)
@@ -397,6 +435,9 @@ export const fabricationHandlers = [
         return HttpResponse.json({ error: "BOM item not found" }, { status: 404 })
       }
 
+      const unitRejection = rejectBOMUnits([{ ...data, piece }])
+      if (unitRejection) return unitRejection
+
       const now = new Date().toISOString()
 
       // Update the BOM item
@@ -411,7 +452,7 @@ export const fabricationHandlers = [
         updatedAt: now,
       }
       mockOrderItems[itemIndex].customBOM.updatedAt = now
-      mockOrderItems[itemIndex].customBOM.updatedBy = data.updatedBy || "System"
+      mockOrderItems[itemIndex].customBOM.updatedBy = user.name
       mockOrderItems[itemIndex].updatedAt = now
 
       return HttpResponse.json({
@@ -427,8 +468,10 @@ export const fabricationHandlers = [
    */
   http.delete(
     `${BASE_URL}/items/:itemId/custom-bom/pieces/:piece/items/:bomItemId`,
-    ({ params }) => {
+    ({ params, request }) => {
       const { itemId, piece, bomItemId } = params
+      const { user, denied } = authorizeRequest(request, BOM_EDIT_PERMISSIONS)
+      if (denied) return denied
 
       const itemIndex = mockOrderItems.findIndex((i) => i.id === itemId)
       if (itemIndex === -1) {
@@ -461,6 +504,7 @@ export const fabricationHandlers = [
       // Remove the BOM item
       mockOrderItems[itemIndex].customBOM.items.splice(bomItemIndex, 1)
       mockOrderItems[itemIndex].customBOM.updatedAt = now
+      mockOrderItems[itemIndex].customBOM.updatedBy = user.name
       mockOrderItems[itemIndex].updatedAt = now
 
       return HttpResponse.json({
@@ -476,7 +520,12 @@ export const fabricationHandlers = [
    */
   http.post(`${BASE_URL}/items/:itemId/custom-bom/submit`, async ({ params, request }) => {
     const { itemId } = params
-    const data = await request.json()
+    const { user, denied } = authorizeTransition(
+      request,
+      WORKFLOW_LEVEL.ORDER_ITEM,
+      "SUBMIT_CUSTOM_BOM"
+    )
+    if (denied) return denied
 
     const itemIndex = mockOrderItems.findIndex((i) => i.id === itemId)
     if (itemIndex === -1) {
@@ -485,36 +534,27 @@ export const fabricationHandlers = [
 
     const item = mockOrderItems[itemIndex]
 
-    // Validate status
-    if (item.status !== ORDER_ITEM_STATUS.FABRICATION_BESPOKE) {
-      return HttpResponse.json(
-        { error: "Item is not in FABRICATION_BESPOKE status" },
-        { status: 400 }
-      )
-    }
-
-    // Validate custom BOM exists and has items
-    if (!item.customBOM || !item.customBOM.items || item.customBOM.items.length === 0) {
-      return HttpResponse.json(
-        { error: "Custom BOM must have at least one item before submitting" },
-        { status: 400 }
-      )
+    // Validate status and that the custom BOM has items
+    const check = checkTransition(WORKFLOW_LEVEL.ORDER_ITEM, "SUBMIT_CUSTOM_BOM", item, { user })
+    if (!check.allowed) {
+      return HttpResponse.json(check.body, { status: check.httpStatus })
     }
 
     const now = new Date().toISOString()
 
     // Transition to INVENTORY_CHECK
-    mockOrderItems[itemIndex].status = ORDER_ITEM_STATUS.INVENTORY_CHECK
+    setOrderItemStatus(mockOrderItems[itemIndex], ORDER_ITEM_STATUS.INVENTORY_CHECK, user, now)
     mockOrderItems[itemIndex].customBOM.submittedAt = now
-    mockOrderItems[itemIndex].customBOM.submittedBy = data.submittedBy || "System"
+    mockOrderItems[itemIndex].customBOM.submittedBy = user.name
     mockOrderItems[itemIndex].updatedAt = now
 
     // Add timeline entry
     mockOrderItems[itemIndex].timeline.push({
       id: `log-${Date.now()}`,
       action: "Custom BOM submitted - Ready for inventory check",
-      user: data.submittedBy || "System",
+      user: user.name,
       timestamp: now,
+      event: ORDER_ITEM_TIMELINE_EVENTS.CUSTOM_BOM_SUBMITTED,
     })
 
     // Update parent order status if needed
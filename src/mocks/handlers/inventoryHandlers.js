@@ -1,5 +1,36 @@
 import { http, HttpResponse } from "msw"
-import { mockInventoryItems, mockStockMovements } from "../data/mockInventory"
+import {
+  mockInventoryItems,
+  mockStockMovements,
+  getItemLocations,
+  getLocationStock,
+  adjustLocationStock,
+  getItemLots,
+  getUnlottedStock,
+  addLotStock,
+  takeLotStock,
+} from "../data/mockInventory"
+import { allocateStockInToDemands } from "../data/mockProcurementDemands"
+import { getVendorById } from "../data/mockVendors"
+import { mockOrders, mockOrderItems } from "../data/mockOrders"
+import { getLotPicks } from "../data/mockPackets"
+import { getActiveReservations, getReservedQty } from "../data/mockReservations"
+import {
+  getUnitCost,
+  applyReceiptCost,
+  getStockValue,
+  getInventoryValuation,
+} from "../data/mockCosting"
+import {
+  IMPORT_ACTION,
+  planInventoryImport,
+  applyInventoryImport,
+} from "../data/mockInventoryImport"
+import { getUserById } from "../data/mockUser"
+import { rerunSectionInventoryCheck } from "./ordersHandlers"
+import { authorizeRequest } from "../requestAuth"
+import { parseCsv } from "@/lib/csv"
+import { INVENTORY_LOCATION, INVENTORY_LOCATION_CONFIG } from "@/constants/orderConstants"
 
 /**
  * Inventory MSW Handlers
@@ -9,6 +40,8 @@ import { mockInventoryItems, mockStockMovements } from "../data/mockInventory"
  * - Variant items (ready stock) with multiple sizes each having separate stock
  * - Stock movements and transaction history
  * - Low stock alerts based on reorder thresholds
+ * - Item sheet import (upsert by SKU) and the movement ledger for exports
+ * - Dye lot / batch quantities and the trace of where a lot was used
  *
  * The handlers are designed to mirror what a real Laravel/PostgreSQL backend would do,
  * but they run entirely in the browser during development using MSW.
@@ -38,6 +71,218 @@ function isLowStock(item) {
   return item.remaining_stock < item.reorder_level
 }
 
+/**
+ * Add reserved / available stock to an item response
+ * Only simple items (fabrics, materials) are reserved by inventory checks,
+ * so variant items report nothing reserved.
+ */
+function withStockFigures(item) {
+  const reservedStock = item.has_variants ? 0 : getReservedQty(item.id)
+  const totalStock = calculateTotalStock(item)
+  return {
+    ...item,
+    total_stock: totalStock,
+    reserved_stock: reservedStock,
+    available_stock: Math.max(0, totalStock - reservedStock),
+    locations: getItemLocations(item),
+    stock_lots: item.has_variants ? [] : getItemLots(item),
+    unlotted_stock: item.has_variants ? 0 : getUnlottedStock(item),
+    unit_cost: getUnitCost(item),
+    stock_value: getStockValue(item),
+    is_low_stock: isLowStock(item),
+  }
+}
+
+/**
+ * Validate an optional location from a request body
+ * Returns an error response, or null when the location is usable
+ */
+function rejectInvalidLocation(item, location) {
+  if (!location) return null
+
+  if (!INVENTORY_LOCATION_CONFIG[location]) {
+    return HttpResponse.json(
+      {
+        success: false,
+        error: "Validation failed",
+        message: `Unknown location ${location}`,
+      },
+      { status: 400 }
+    )
+  }
+
+  if (item.has_variants && location !== INVENTORY_LOCATION.MAIN_STORE) {
+    return HttpResponse.json(
+      {
+        success: false,
+        error: "Validation failed",
+        message: "Ready stock is only held in the main store",
+      },
+      { status: 400 }
+    )
+  }
+
+  return null
+}
+
+/**
+ * Validate an optional lot number for a simple item
+ * When a quantity is given the lot must also hold that much.
+ * Returns an error response, or null when the lot is usable
+ */
+export function rejectInvalidLot(item, lotNumber, quantity) {
+  if (!lotNumber) return null
+
+  if (item.has_variants) {
+    return HttpResponse.json(
+      {
+        success: false,
+        error: "Validation failed",
+        message: "Lots are only tracked for items without size variants",
+      },
+      { status: 400 }
+    )
+  }
+
+  if (quantity === undefined) return null
+
+  const lot = getItemLots(item).find((l) => l.lot_number === lotNumber)
+  if (!lot || lot.quantity < quantity) {
+    return HttpResponse.json(
+      {
+        success: false,
+        error: "Insufficient stock",
+        message: lot
+          ? `Only ${lot.quantity} ${item.unit}${lot.quantity === 1 ? "" : "s"} left in lot ${lotNumber}, cannot deduct ${quantity}`
+          : `${item.name} has no lot ${lotNumber}`,
+      },
+      { status: 400 }
+    )
+  }
+
+  return null
+}
+
+/**
+ * Copy the linked vendor's name and phone onto the item data when vendor_id
+ * is set, so the denormalized vendor_name / vendor_contact stay accurate
+ */
+function withVendorDetails(data) {
+  const vendor = data.vendor_id && getVendorById(data.vendor_id)
+  if (!vendor) return data
+  return { ...data, vendor_name: vendor.name, vendor_contact: vendor.phone }
+}
+
+/**
+ * Apply a validated stock-in to an item: raise its stock, record the STOCK_IN
+ * movement, fill the procurement demands waiting on the material and re-run
+ * the section inventory check of every order item whose demands were filled.
+ * Shared by the stock-in endpoint and purchase order receiving.
+ *
+ * @param {Object} item - Inventory item (updated in place)
+ * @param {Object} stockIn
+ * @param {number} stockIn.quantity
+ * @param {number} [stockIn.variant_id] - Required for variant items
+ * @param {string} [stockIn.reference_number] - PO number or invoice reference
+ * @param {string} [stockIn.notes]
+ * @param {string[]} [stockIn.preferredDemandIds] - Demands to fill first
+ * @param {string} [stockIn.location] - Receiving location, defaults to the main store
+ * @param {number} [stockIn.unit_cost] - Price paid per unit, moves the weighted average cost
+ * @param {string} [stockIn.lot_number] - Dye lot / batch the stock came in under (simple items)
+ * @param {number} performedBy - ID of the user booking the receipt
+ * @returns {{ movement: Object, newStockLevel: number, procurement: Object }}
+ */
+export function applyStockIn(item, stockIn, performedBy) {
+  let newStockLevel = 0
+  let unitCost = 0
+  let lots = []
+  const location = stockIn.location || INVENTORY_LOCATION.MAIN_STORE
+  const lotNumber = stockIn.lot_number?.trim()
+
+  if (item.has_variants) {
+    const variant = item.variants.find((v) => v.variant_id === stockIn.variant_id)
+    variant.remaining_stock += stockIn.quantity
+    newStockLevel = variant.remaining_stock
+    unitCost = getUnitCost(item, stockIn.variant_id)
+  } else {
+    // Handle simple items (fabrics, ADA materials, etc.)
+    unitCost = applyReceiptCost(item, stockIn.quantity, stockIn.unit_cost)
+    adjustLocationStock(item, location, stockIn.quantity)
+    newStockLevel = item.remaining_stock
+
+    if (lotNumber) {
+      addLotStock(item, lotNumber, stockIn.quantity, {
+        received_at: new Date().toISOString(),
+        reference_number: stockIn.reference_number || null,
+      })
+      lots = [{ lot_number: lotNumber, quantity: stockIn.quantity }]
+    }
+  }
+
+  // Update the modification timestamp
+  item.updated_at = new Date().toISOString()
+
+  // Create a stock movement record for audit trail
+  const movement = {
+    id: mockStockMovements.length + 1,
+    inventory_item_id: item.id,
+    variant_id: stockIn.variant_id || null,
+    movement_type: "STOCK_IN",
+    quantity: stockIn.quantity,
+    location,
+    unit_cost: unitCost,
+    lots,
+    remaining_stock_after: newStockLevel,
+    transaction_date: new Date().toISOString(),
+    reference_number: stockIn.reference_number || `AUTO-${Date.now()}`,
+    notes: stockIn.notes || "Stock-in transaction",
+    performed_by_user_id: performedBy,
+    created_at: new Date().toISOString(),
+  }
+
+  mockStockMovements.push(movement)
+
+  // Fill procurement demands waiting on this material, then recheck their sections
+  const procurement = { allocations: [], unallocatedQty: stockIn.quantity, recheckedItems: [] }
+  if (!item.has_variants) {
+    Object.assign(
+      procurement,
+      allocateStockInToDemands(
+        item.id,
+        stockIn.quantity,
+        {
+          reference: movement.reference_number,
+          movementId: movement.id,
+          receivedAt: movement.created_at,
+        },
+        { preferredDemandIds: stockIn.preferredDemandIds }
+      )
+    )
+
+    const orderItemIds = [...new Set(procurement.allocations.map((a) => a.orderItemId))]
+    orderItemIds.forEach((orderItemId) => {
+      const result = rerunSectionInventoryCheck(orderItemId, { checkedBy: "System" })
+      if (result.error) return
+
+      procurement.recheckedItems.push({
+        orderItemId,
+        passedSections: result.data.passedSections,
+        stillFailedSections: result.data.stillFailedSections,
+        status: result.data.item.status,
+        packetCreated: result.data.packetCreated,
+      })
+    })
+
+    if (procurement.allocations.length > 0) {
+      console.log(
+        `📦 Stock-in ${movement.reference_number}: filled ${procurement.allocations.length} procurement demand(s)`
+      )
+    }
+  }
+
+  return { movement, newStockLevel, procurement }
+}
+
 /**
  * GET /inventory
  *
@@ -47,6 +292,7 @@ function isLowStock(item) {
  * - category: Filter by category (FABRIC, MULTI_HEAD, ADA_MATERIAL, etc.)
  * - search: Search by name or SKU (case-insensitive partial match)
  * - low_stock: If "true", return only items below reorder level
+ * - location: Return only items holding stock at this location
  *
  * Returns array of inventory items sorted by name
  */
@@ -61,6 +307,7 @@ export const getInventoryList = http.get("/api/inventory", async ({ request }) =
   const category = categoryRaw?.trim()
   const search = url.searchParams.get("search")
   const lowStockFilter = url.searchParams.get("low_stock") === "true"
+  const location = url.searchParams.get("location")
 
   // Start with all items and progressively filter
   let filteredItems = [...mockInventoryItems]
@@ -90,15 +337,16 @@ export const getInventoryList = http.get("/api/inventory", async ({ request }) =
     filteredItems = filteredItems.filter((item) => isLowStock(item))
   }
 
+  // Filter by location - only items with stock there
+  if (location && location !== "all") {
+    filteredItems = filteredItems.filter((item) => getLocationStock(item, location) > 0)
+  }
+
   // Sort items alphabetically by name for consistent display
   filteredItems.sort((a, b) => a.name.localeCompare(b.name))
 
   // For each item, add computed fields that the frontend will find useful
-  const enrichedItems = filteredItems.map((item) => ({
-    ...item,
-    total_stock: calculateTotalStock(item),
-    is_low_stock: isLowStock(item),
-  }))
+  const enrichedItems = filteredItems.map(withStockFigures)
 
   return HttpResponse.json({
     success: true,
@@ -109,6 +357,7 @@ export const getInventoryList = http.get("/api/inventory", async ({ request }) =
         category: category || null,
         search: search || null,
         low_stock: lowStockFilter,
+        location: location || null,
       },
     },
   })
@@ -140,11 +389,7 @@ export const getInventoryItem = http.get("/api/inventory/:id", async ({ params }
   // Return item with computed fields
   return HttpResponse.json({
     success: true,
-    data: {
-      ...item,
-      total_stock: calculateTotalStock(item),
-      is_low_stock: isLowStock(item),
-    },
+    data: withStockFigures(item),
   })
 })
 
@@ -165,7 +410,10 @@ export const getInventoryItem = http.get("/api/inventory/:id", async ({ params }
 export const createInventoryItem = http.post("/api/inventory", async ({ request }) => {
   await new Promise((resolve) => setTimeout(resolve, 400))
 
-  const data = await request.json()
+  const { denied } = authorizeRequest(request, "inventory.create")
+  if (denied) return denied
+
+  const data = withVendorDetails(await request.json())
 
   // Validation: Check required fields
   if (!data.name || !data.sku || !data.category || !data.unit) {
@@ -234,6 +482,7 @@ export const createInventoryItem = http.post("/api/inventory", async ({ request
     unit_price: data.unit_price || 0,
     has_variants: isReadyStockCategory,
     image_url: data.image_url || "/images/inventory/placeholder.jpg",
+    vendor_id: data.vendor_id || null,
     vendor_name: data.vendor_name || "",
     vendor_contact: data.vendor_contact || "",
     rack_location: data.rack_location || "",
@@ -259,6 +508,14 @@ export const createInventoryItem = http.post("/api/inventory", async ({ request
     newItem.remaining_stock = data.remaining_stock
     newItem.reorder_level = data.reorder_level
     newItem.reorder_amount = data.reorder_amount || 0
+    // Opening stock is received into the main store
+    newItem.stock_locations = [
+      {
+        location: INVENTORY_LOCATION.MAIN_STORE,
+        rack_location: newItem.rack_location || "",
+        quantity: data.remaining_stock,
+      },
+    ]
   }
 
   // Add to mock database
@@ -283,8 +540,11 @@ export const createInventoryItem = http.post("/api/inventory", async ({ request
 export const updateInventoryItem = http.put("/api/inventory/:id", async ({ params, request }) => {
   await new Promise((resolve) => setTimeout(resolve, 400))
 
+  const { denied } = authorizeRequest(request, "inventory.edit")
+  if (denied) return denied
+
   const itemId = parseInt(params.id)
-  const data = await request.json()
+  const data = withVendorDetails(await request.json())
 
   const itemIndex = mockInventoryItems.findIndex((i) => i.id === itemId)
 
@@ -318,6 +578,23 @@ export const updateInventoryItem = http.put("/api/inventory/:id", async ({ param
     }
   }
 
+  // Stock held away from the main store cannot be edited from here, only transferred back
+  const offStoreStock =
+    calculateTotalStock(existingItem) -
+    getLocationStock(existingItem, INVENTORY_LOCATION.MAIN_STORE)
+  if (!existingItem.has_variants && data.remaining_stock !== undefined) {
+    if (data.remaining_stock < offStoreStock) {
+      return HttpResponse.json(
+        {
+          success: false,
+          error: "Validation failed",
+          message: `${offStoreStock} ${existingItem.unit} is held outside the main store, stock cannot be set below that`,
+        },
+        { status: 400 }
+      )
+    }
+  }
+
   // Update the item, merging new data with existing data
   const updatedItem = {
     ...existingItem,
@@ -327,6 +604,14 @@ export const updateInventoryItem = http.put("/api/inventory/:id", async ({ param
     updated_at: new Date().toISOString(), // Update modification date
   }
 
+  // Keep the main store balance and rack in step with the edited fields
+  if (!updatedItem.has_variants) {
+    updatedItem.stock_locations = getItemLocations(existingItem).map((entry) => ({ ...entry }))
+    const stockChange = updatedItem.remaining_stock - existingItem.remaining_stock
+    const mainStore = adjustLocationStock(updatedItem, INVENTORY_LOCATION.MAIN_STORE, stockChange)
+    mainStore.rack_location = updatedItem.rack_location || ""
+  }
+
   // Replace in mock database
   mockInventoryItems[itemIndex] = updatedItem
 
@@ -350,12 +635,22 @@ export const updateInventoryItem = http.put("/api/inventory/:id", async ({ param
  * - variant_id: Required for variant items, specifies which size
  * - reference_number: Optional, PO number or invoice reference
  * - notes: Optional, any additional notes about the transaction
+ * - location: Optional, receiving location (defaults to MAIN_STORE)
+ * - unit_cost: Optional, price paid per unit (defaults to the current average cost)
+ * - lot_number: Optional, dye lot / batch number of a simple item's receipt
+ *
+ * For simple items the received quantity is then allocated FIFO to open
+ * procurement demands for this material, and every order item whose demands
+ * are now received gets its section inventory check re-run.
  */
 export const recordStockIn = http.post(
   "/api/inventory/:id/stock-in",
   async ({ params, request }) => {
     await new Promise((resolve) => setTimeout(resolve, 500))
 
+    const { user, denied } = authorizeRequest(request, "inventory.stock_in")
+    if (denied) return denied
+
     const itemId = parseInt(params.id)
     const data = await request.json()
 
@@ -385,7 +680,12 @@ export const recordStockIn = http.post(
     }
 
     const item = mockInventoryItems[itemIndex]
-    let newStockLevel = 0
+
+    const invalidLocation = rejectInvalidLocation(item, data.location)
+    if (invalidLocation) return invalidLocation
+
+    const invalidLot = rejectInvalidLot(item, data.lot_number?.trim())
+    if (invalidLot) return invalidLot
 
     // Handle variant items (ready stock with sizes)
     if (item.has_variants) {
@@ -413,35 +713,15 @@ export const recordStockIn = http.post(
           { status: 404 }
         )
       }
-
-      // Update the specific variant's stock
-      item.variants[variantIndex].remaining_stock += data.quantity
-      newStockLevel = item.variants[variantIndex].remaining_stock
-    } else {
-      // Handle simple items (fabrics, ADA materials, etc.)
-      item.remaining_stock += data.quantity
-      newStockLevel = item.remaining_stock
     }
 
-    // Update the modification timestamp
-    item.updated_at = new Date().toISOString()
+    const { movement, newStockLevel, procurement } = applyStockIn(item, data, user.id)
 
-    // Create a stock movement record for audit trail
-    const movement = {
-      id: mockStockMovements.length + 1,
-      inventory_item_id: itemId,
-      variant_id: data.variant_id || null,
-      movement_type: "STOCK_IN",
-      quantity: data.quantity,
-      remaining_stock_after: newStockLevel,
-      transaction_date: new Date().toISOString(),
-      reference_number: data.reference_number || `AUTO-${Date.now()}`,
-      notes: data.notes || "Stock-in transaction",
-      performed_by_user_id: 1, // In real system, would be current user ID
-      created_at: new Date().toISOString(),
-    }
-
-    mockStockMovements.push(movement)
+    const demandsFilled = procurement.allocations.length
+    const sectionsReleased = procurement.recheckedItems.reduce(
+      (sum, r) => sum + r.passedSections.length,
+      0
+    )
 
     return HttpResponse.json({
       success: true,
@@ -449,8 +729,13 @@ export const recordStockIn = http.post(
         item: item,
         movement: movement,
         new_stock_level: newStockLevel,
+        procurement,
       },
-      message: `Successfully added ${data.quantity} ${item.unit}${data.quantity > 1 ? "s" : ""} to inventory`,
+      message:
+        `Successfully added ${data.quantity} ${item.unit}${data.quantity > 1 ? "s" : ""} to inventory` +
+        (demandsFilled > 0
+          ? `. Filled ${demandsFilled} procurement demand(s), ${sectionsReleased} section(s) ready for packet.`
+          : ""),
     })
   }
 )
@@ -494,6 +779,7 @@ export const getLowStockItems = http.get("/api/inventory/low-stock", async () =>
       urgency_score: urgencyScore,
       critical_variants: criticalVariants,
       total_stock: calculateTotalStock(item),
+      locations: getItemLocations(item),
     }
   })
 
@@ -510,6 +796,156 @@ export const getLowStockItems = http.get("/api/inventory/low-stock", async () =>
   })
 })
 
+/**
+ * GET /inventory/valuation
+ *
+ * Total value of everything in stock, split by category
+ * Simple items are valued at their weighted average cost, ready stock at its variant price
+ */
+export const getInventoryValuationSummary = http.get("/api/inventory/valuation", async () => {
+  await new Promise((resolve) => setTimeout(resolve, 300))
+
+  return HttpResponse.json({
+    success: true,
+    data: getInventoryValuation(),
+  })
+})
+
+/**
+ * GET /inventory/ledger
+ *
+ * Stock movements across all items, oldest first, for the ledger export
+ * Each movement carries the item's name, SKU and unit, the variant size and
+ * the name of the user who recorded it.
+ *
+ * Query parameters:
+ * - from / to: Dates (YYYY-MM-DD), both inclusive
+ * - category: Only movements of items in this category
+ * - movement_type: STOCK_IN, STOCK_OUT, ADJUSTMENT or TRANSFER
+ */
+export const getMovementLedger = http.get("/api/inventory/ledger", async ({ request }) => {
+  await new Promise((resolve) => setTimeout(resolve, 300))
+
+  const url = new URL(request.url)
+  const from = url.searchParams.get("from")
+  const to = url.searchParams.get("to")
+  const category = url.searchParams.get("category")
+  const movementType = url.searchParams.get("movement_type")
+
+  if (from && to && from > to) {
+    return HttpResponse.json(
+      {
+        success: false,
+        error: "Validation failed",
+        message: "The start date is after the end date",
+      },
+      { status: 400 }
+    )
+  }
+
+  const movements = mockStockMovements
+    .filter((m) => {
+      const day = m.transaction_date.slice(0, 10)
+      return (!from || day >= from) && (!to || day <= to)
+    })
+    .filter((m) => !movementType || m.movement_type === movementType)
+    .map((m) => {
+      const item = mockInventoryItems.find((i) => i.id === m.inventory_item_id)
+      const variant = m.variant_id && item?.variants?.find((v) => v.variant_id === m.variant_id)
+      return {
+        ...m,
+        item_name: item?.name || `Deleted item #${m.inventory_item_id}`,
+        item_sku: variant?.sku || item?.sku || "",
+        category: item?.category || null,
+        unit: item?.unit || "",
+        size: variant?.size || null,
+        performed_by: getUserById(m.performed_by_user_id)?.name || "",
+      }
+    })
+    .filter((m) => !category || m.category === category)
+    .sort((a, b) => new Date(a.transaction_date) - new Date(b.transaction_date))
+
+  return HttpResponse.json({
+    success: true,
+    data: movements,
+    meta: {
+      total: movements.length,
+      filters_applied: {
+        from: from || null,
+        to: to || null,
+        category: category || null,
+        movement_type: movementType || null,
+      },
+    },
+  })
+})
+
+/**
+ * POST /inventory/import
+ *
+ * Import an item sheet (CSV text, see lib/inventorySheets for the columns),
+ * creating new SKUs and updating existing ones
+ *
+ * Request body:
+ * - fileName: Shown in logs
+ * - content: CSV text; the app converts .xlsx files before sending
+ * - dryRun: If true, validate and report the changes without saving
+ *
+ * Every SKU gets a result with its action (create, update, unchanged or
+ * invalid), the field changes, warnings and errors. Invalid SKUs are skipped
+ * on a real import; the others are applied.
+ */
+export const importInventoryItems = http.post("/api/inventory/import", async ({ request }) => {
+  await new Promise((resolve) => setTimeout(resolve, 400))
+
+  for (const permission of ["inventory.create", "inventory.edit"]) {
+    const { denied } = authorizeRequest(request, permission)
+    if (denied) return denied
+  }
+
+  const { fileName, content, dryRun = false } = await request.json()
+  console.log(`📦 POST /inventory/import - ${fileName}${dryRun ? " (dry run)" : ""}`)
+
+  const rows = parseCsv(String(content || ""))
+  if (rows.length === 0) {
+    return HttpResponse.json(
+      { success: false, error: "Invalid file", message: "No rows found in the file" },
+      { status: 400 }
+    )
+  }
+  if (!Object.keys(rows[0]).some((header) => header.trim().toLowerCase() === "sku")) {
+    return HttpResponse.json(
+      { success: false, error: "Invalid file", message: "The sheet needs a sku column" },
+      { status: 400 }
+    )
+  }
+
+  const plans = planInventoryImport(rows)
+  // values is what apply works from, not part of the report
+  const results = (dryRun ? plans : applyInventoryImport(plans)).map((plan) => {
+    const result = { ...plan }
+    delete result.values
+    return result
+  })
+  const countOf = (action) => results.filter((r) => r.action === action).length
+  const summary = {
+    rows: rows.length,
+    skus: results.length,
+    create: countOf(IMPORT_ACTION.CREATE),
+    update: countOf(IMPORT_ACTION.UPDATE),
+    unchanged: countOf(IMPORT_ACTION.UNCHANGED),
+    invalid: countOf(IMPORT_ACTION.INVALID),
+  }
+
+  return HttpResponse.json({
+    success: true,
+    data: { dryRun, summary, results },
+    message: dryRun
+      ? `${summary.create} to create, ${summary.update} to update, ${summary.invalid} with errors`
+      : `Created ${summary.create} and updated ${summary.update} item(s)`,
+  })
+})
+
 /**
  * GET /inventory/:id/movements
  *
@@ -553,18 +989,83 @@ export const getStockMovements = http.get("/api/inventory/:id/movements", async
 })
 
 /**
- * DELETE /inventory/:id
+ * GET /inventory/:id/reservations
  *
- * Delete an inventory item
- * In a real system, you might want to soft-delete or prevent deletion if item has history
+ * Get the active reservations holding stock of an item, with the order,
+ * product and section each one is held for
  */
-export const deleteInventoryItem = http.delete("/api/inventory/:id", async ({ params }) => {
-  await new Promise((resolve) => setTimeout(resolve, 300))
+export const getItemReservations = http.get(
+  "/api/inventory/:id/reservations",
+  async ({ params }) => {
+    await new Promise((resolve) => setTimeout(resolve, 200))
+
+    const itemId = parseInt(params.id)
+
+    const item = mockInventoryItems.find((i) => i.id === itemId)
+    if (!item) {
+      return HttpResponse.json(
+        {
+          success: false,
+          error: "Not found",
+          message: `Inventory item with ID ${itemId} not found`,
+        },
+        { status: 404 }
+      )
+    }
+
+    const reservations = getActiveReservations(itemId)
+      .map((reservation) => {
+        const order = mockOrders.find((o) => o.id === reservation.orderId)
+        const orderItem = mockOrderItems.find((oi) => oi.id === reservation.orderItemId)
+        return {
+          ...reservation,
+          orderNumber: order?.orderNumber || reservation.orderId,
+          customerName: order?.customerName || null,
+          productName: orderItem?.productName || null,
+          orderItemStatus: orderItem?.status || null,
+        }
+      })
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+
+    return HttpResponse.json({
+      success: true,
+      data: {
+        item_id: itemId,
+        item_name: item.name,
+        reservations,
+      },
+      meta: {
+        total_reserved: reservations.reduce((sum, r) => sum + r.quantity, 0),
+      },
+    })
+  }
+)
+
+/**
+ * Whether a rejection snapshot of section lots includes the lot
+ */
+const includesLot = (sectionLots, itemId, lotNumber) =>
+  (sectionLots || []).some(
+    (material) =>
+      material.inventoryItemId === itemId &&
+      material.lots.some((lot) => lot.lotNumber === lotNumber)
+  )
+
+/**
+ * GET /inventory/:id/lots/:lotNumber
+ *
+ * Trace a dye lot / batch: its receipts and stock-outs, and every order item
+ * section whose packet was picked from it, with the dyeing and QA rejections
+ * those sections had while made from the lot
+ */
+export const getLotTrace = http.get("/api/inventory/:id/lots/:lotNumber", async ({ params }) => {
+  await new Promise((resolve) => setTimeout(resolve, 200))
 
   const itemId = parseInt(params.id)
-  const itemIndex = mockInventoryItems.findIndex((i) => i.id === itemId)
+  const { lotNumber } = params
 
-  if (itemIndex === -1) {
+  const item = mockInventoryItems.find((i) => i.id === itemId)
+  if (!item) {
     return HttpResponse.json(
       {
         success: false,
@@ -575,32 +1076,160 @@ export const deleteInventoryItem = http.delete("/api/inventory/:id", async ({ pa
     )
   }
 
-  // Check if item has any stock movements (indicating it's been used)
-  const hasMovements = mockStockMovements.some((m) => m.inventory_item_id === itemId)
-
-  if (hasMovements) {
+  const lot = getItemLots(item).find((l) => l.lot_number === lotNumber)
+  if (!lot) {
     return HttpResponse.json(
       {
         success: false,
-        error: "Cannot delete",
-        message:
-          "This item has transaction history and cannot be deleted. Consider marking it inactive instead.",
+        error: "Not found",
+        message: `${item.name} has no lot ${lotNumber}`,
       },
-      { status: 400 }
+      { status: 404 }
     )
   }
 
-  // Remove from mock database
-  const deletedItem = mockInventoryItems[itemIndex]
-  mockInventoryItems.splice(itemIndex, 1)
+  const movements = mockStockMovements
+    .filter(
+      (m) => m.inventory_item_id === itemId && m.lots?.some((l) => l.lot_number === lotNumber)
+    )
+    .map((movement) => ({
+      ...movement,
+      lot_quantity: movement.lots.find((l) => l.lot_number === lotNumber).quantity,
+      performed_by: getUserById(movement.performed_by_user_id)?.name || null,
+    }))
+    .sort((a, b) => new Date(a.transaction_date) - new Date(b.transaction_date))
+
+  const consumption = getLotPicks(itemId, lotNumber)
+    .map(({ packet, pickItem, quantity, removed }) => {
+      const order = mockOrders.find((o) => o.id === packet.orderId)
+      const orderItem = mockOrderItems.find((oi) => oi.id === packet.orderItemId)
+      const section = orderItem?.sectionStatuses?.[(pickItem.piece || "").toLowerCase()]
+
+      const dyeingRejected = section && includesLot(section.dyeingRejectedLots, itemId, lotNumber)
+      const rejections = [
+        ...(dyeingRejected
+          ? [
+              {
+                stage: "DYEING",
+                reasonCode: section.dyeingRejectionReasonCode,
+                reason: section.dyeingRejectionReason,
+                notes: section.dyeingRejectionNotes,
+                rejectedAt: section.dyeingRejectedAt,
+              },
+            ]
+          : []),
+        ...(section?.qaData?.rounds || [])
+          .filter(
+            (round) => round.status === "REJECTED" && includesLot(round.lots, itemId, lotNumber)
+          )
+          .map((round) => ({
+            stage: "QA",
+            reasonCode: round.reasonCode,
+            reason: round.reasonLabel,
+            notes: round.notes,
+            rejectedAt: round.reviewedAt,
+          })),
+      ]
+
+      return {
+        orderId: packet.orderId,
+        orderNumber: order?.orderNumber || packet.orderId,
+        customerName: order?.customerName || null,
+        orderItemId: packet.orderItemId,
+        productName: orderItem?.productName || null,
+        section: pickItem.piece,
+        sectionStatus: section?.status || null,
+        packetId: packet.id,
+        quantity,
+        pickedAt: pickItem.pickedAt,
+        returnedToStock: removed,
+        rejections,
+      }
+    })
+    .sort((a, b) => new Date(a.pickedAt) - new Date(b.pickedAt))
 
   return HttpResponse.json({
     success: true,
-    data: deletedItem,
-    message: "Inventory item deleted successfully",
+    data: {
+      item: {
+        id: item.id,
+        name: item.name,
+        sku: item.sku,
+        category: item.category,
+        unit: item.unit,
+      },
+      lot,
+      movements,
+      consumption,
+    },
+    meta: {
+      // Stock returned from a dyeing rejection was already received once
+      received: movements
+        .filter(
+          (m) => m.movement_type === "STOCK_IN" && !m.reference_number?.startsWith("DYEING-REJECT")
+        )
+        .reduce((sum, m) => sum + m.lot_quantity, 0),
+      order_items: new Set(consumption.map((c) => c.orderItemId)).size,
+      rejections: consumption.reduce((sum, c) => sum + c.rejections.length, 0),
+    },
   })
 })
 
+/**
+ * DELETE /inventory/:id
+ *
+ * Delete an inventory item
+ * In a real system, you might want to soft-delete or prevent deletion if item has history
+ */
+export const deleteInventoryItem = http.delete(
+  "/api/inventory/:id",
+  async ({ params, request }) => {
+    await new Promise((resolve) => setTimeout(resolve, 300))
+
+    const { denied } = authorizeRequest(request, "inventory.delete")
+    if (denied) return denied
+
+    const itemId = parseInt(params.id)
+    const itemIndex = mockInventoryItems.findIndex((i) => i.id === itemId)
+
+    if (itemIndex === -1) {
+      return HttpResponse.json(
+        {
+          success: false,
+          error: "Not found",
+          message: `Inventory item with ID ${itemId} not found`,
+        },
+        { status: 404 }
+      )
+    }
+
+    // Check if item has any stock movements (indicating it's been used)
+    const hasMovements = mockStockMovements.some((m) => m.inventory_item_id === itemId)
+
+    if (hasMovements) {
+      return HttpResponse.json(
+        {
+          success: false,
+          error: "Cannot delete",
+          message:
+            "This item has transaction history and cannot be deleted. Consider marking it inactive instead.",
+        },
+        { status: 400 }
+      )
+    }
+
+    // Remove from mock database
+    const deletedItem = mockInventoryItems[itemIndex]
+    mockInventoryItems.splice(itemIndex, 1)
+
+    return HttpResponse.json({
+      success: true,
+      data: deletedItem,
+      message: "Inventory item deleted successfully",
+    })
+  }
+)
+
 /**
  * POST /inventory/:id/stock-out
  *
@@ -614,12 +1243,17 @@ export const deleteInventoryItem = http.delete("/api/inventory/:id", async ({ pa
  * - variant_id: Required for variant items
  * - reference_number: Optional, production order reference
  * - notes: Optional, notes about consumption
+ * - location: Optional, location the stock leaves from (defaults to MAIN_STORE)
+ * - lot_number: Optional, lot the material is taken from; otherwise the oldest stock goes first
  */
 export const recordStockOut = http.post(
   "/api/inventory/:id/stock-out",
   async ({ params, request }) => {
     await new Promise((resolve) => setTimeout(resolve, 500))
 
+    const { user, denied } = authorizeRequest(request, "inventory.stock_out")
+    if (denied) return denied
+
     const itemId = parseInt(params.id)
     const data = await request.json()
 
@@ -649,9 +1283,17 @@ export const recordStockOut = http.post(
     }
 
     const item = mockInventoryItems[itemIndex]
+    const location = data.location || INVENTORY_LOCATION.MAIN_STORE
     let newStockLevel = 0
+    let lots = []
     let insufficientStock = false
 
+    const invalidLocation = rejectInvalidLocation(item, location)
+    if (invalidLocation) return invalidLocation
+
+    const invalidLot = rejectInvalidLot(item, data.lot_number, data.quantity)
+    if (invalidLot) return invalidLot
+
     // Handle variant items (ready stock with sizes)
     if (item.has_variants) {
       if (!data.variant_id) {
@@ -695,20 +1337,39 @@ export const recordStockOut = http.post(
       newStockLevel = item.variants[variantIndex].remaining_stock
     } else {
       // Handle simple items
-      // Check if sufficient stock exists
-      if (item.remaining_stock < data.quantity) {
+      // Check if sufficient unreserved stock exists
+      const reservedStock = getReservedQty(itemId)
+      const availableStock = item.remaining_stock - reservedStock
+      if (availableStock < data.quantity) {
+        return HttpResponse.json(
+          {
+            success: false,
+            error: "Insufficient stock",
+            message:
+              reservedStock > 0
+                ? `Only ${availableStock} ${item.unit} available (${reservedStock} reserved for orders), cannot deduct ${data.quantity}`
+                : `Only ${item.remaining_stock} ${item.unit} available, cannot deduct ${data.quantity}`,
+          },
+          { status: 400 }
+        )
+      }
+
+      // The stock must also physically be at the location it leaves from
+      const locationStock = getLocationStock(item, location)
+      if (locationStock < data.quantity) {
         return HttpResponse.json(
           {
             success: false,
             error: "Insufficient stock",
-            message: `Only ${item.remaining_stock} ${item.unit} available, cannot deduct ${data.quantity}`,
+            message: `Only ${locationStock} ${item.unit} held at ${INVENTORY_LOCATION_CONFIG[location].label}, cannot deduct ${data.quantity}`,
           },
           { status: 400 }
         )
       }
 
       // Deduct the stock
-      item.remaining_stock -= data.quantity
+      lots = takeLotStock(item, data.quantity, data.lot_number)
+      adjustLocationStock(item, location, -data.quantity)
       newStockLevel = item.remaining_stock
     }
 
@@ -722,11 +1383,14 @@ export const recordStockOut = http.post(
       variant_id: data.variant_id || null,
       movement_type: "STOCK_OUT",
       quantity: data.quantity,
+      location,
+      unit_cost: getUnitCost(item, data.variant_id),
+      lots,
       remaining_stock_after: newStockLevel,
       transaction_date: new Date().toISOString(),
       reference_number: data.reference_number || `AUTO-${Date.now()}`,
       notes: data.notes || "Stock-out transaction",
-      performed_by_user_id: 1,
+      performed_by_user_id: user.id,
       created_at: new Date().toISOString(),
     }
 
@@ -744,15 +1408,143 @@ export const recordStockOut = http.post(
   }
 )
 
+/**
+ * POST /inventory/:id/transfer
+ *
+ * Move stock of a simple item between locations (e.g., main store to dyeing unit)
+ * The item's total stock is unchanged; only the per-location balances move.
+ *
+ * Request body:
+ * - from_location: Required, location the stock leaves
+ * - to_location: Required, location the stock arrives at
+ * - quantity: Required, positive number
+ * - to_rack_location: Optional, rack at the destination
+ * - reference_number: Optional, transfer slip reference
+ * - notes: Optional
+ */
+export const transferStock = http.post(
+  "/api/inventory/:id/transfer",
+  async ({ params, request }) => {
+    await new Promise((resolve) => setTimeout(resolve, 500))
+
+    const { user, denied } = authorizeRequest(request, "inventory.edit")
+    if (denied) return denied
+
+    const itemId = parseInt(params.id)
+    const data = await request.json()
+
+    const item = mockInventoryItems.find((i) => i.id === itemId)
+
+    if (!item) {
+      return HttpResponse.json(
+        {
+          success: false,
+          error: "Not found",
+          message: `Inventory item with ID ${itemId} not found`,
+        },
+        { status: 404 }
+      )
+    }
+
+    if (item.has_variants) {
+      return HttpResponse.json(
+        {
+          success: false,
+          error: "Validation failed",
+          message: "Ready stock is only held in the main store and cannot be transferred",
+        },
+        { status: 400 }
+      )
+    }
+
+    if (!data.from_location || !data.to_location || data.from_location === data.to_location) {
+      return HttpResponse.json(
+        {
+          success: false,
+          error: "Validation failed",
+          message: "Choose two different locations to transfer between",
+        },
+        { status: 400 }
+      )
+    }
+
+    const invalidLocation =
+      rejectInvalidLocation(item, data.from_location) ||
+      rejectInvalidLocation(item, data.to_location)
+    if (invalidLocation) return invalidLocation
+
+    // Validation: Quantity must be positive
+    if (!data.quantity || data.quantity <= 0) {
+      return HttpResponse.json(
+        {
+          success: false,
+          error: "Validation failed",
+          message: "Quantity must be a positive number",
+        },
+        { status: 400 }
+      )
+    }
+
+    const sourceStock = getLocationStock(item, data.from_location)
+    if (sourceStock < data.quantity) {
+      return HttpResponse.json(
+        {
+          success: false,
+          error: "Insufficient stock",
+          message: `Only ${sourceStock} ${item.unit} held at ${INVENTORY_LOCATION_CONFIG[data.from_location].label}, cannot transfer ${data.quantity}`,
+        },
+        { status: 400 }
+      )
+    }
+
+    adjustLocationStock(item, data.from_location, -data.quantity)
+    adjustLocationStock(item, data.to_location, data.quantity, data.to_rack_location)
+    item.updated_at = new Date().toISOString()
+
+    const movement = {
+      id: mockStockMovements.length + 1,
+      inventory_item_id: itemId,
+      variant_id: null,
+      movement_type: "TRANSFER",
+      quantity: data.quantity,
+      from_location: data.from_location,
+      to_location: data.to_location,
+      remaining_stock_after: item.remaining_stock,
+      transaction_date: new Date().toISOString(),
+      reference_number: data.reference_number || `TRF-${Date.now()}`,
+      notes: data.notes || "Stock transfer",
+      performed_by_user_id: user.id,
+      created_at: new Date().toISOString(),
+    }
+
+    mockStockMovements.push(movement)
+
+    return HttpResponse.json({
+      success: true,
+      data: {
+        item: withStockFigures(item),
+        movement,
+      },
+      message: `Moved ${data.quantity} ${item.unit} from ${INVENTORY_LOCATION_CONFIG[data.from_location].label} to ${INVENTORY_LOCATION_CONFIG[data.to_location].label}`,
+    })
+  }
+)
+
 // Export all handlers as an array
 export const inventoryHandlers = [
   getInventoryList,
   getLowStockItems,
+  getInventoryValuationSummary,
+  getMovementLedger,
   getInventoryItem,
   createInventoryItem,
+  importInventoryItems,
   updateInventoryItem,
   recordStockIn,
   recordStockOut,
+  transferStock,
   getStockMovements,
+  getItemReservations,
+  getLotTrace,
   deleteInventoryItem,
 ]
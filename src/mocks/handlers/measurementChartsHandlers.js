@@ -1,6 +1,7 @@
 import { http, HttpResponse, delay } from "msw"
 import { mockStandardSizeChart, mockStandardHeightChart } from "../data/mockMeasurementCharts"
 import { appConfig } from "@/config/appConfig"
+import { authorizeRequest } from "../requestAuth"
 
 /**
  * Measurement Charts Handlers for Mock Service Worker
@@ -28,6 +29,9 @@ export const measurementChartsHandlers = [
   http.put(`${appConfig.apiBaseUrl}/admin/measurements/standard-size-chart`, async ({ request }) => {
     await delay(300)
 
+    const { denied } = authorizeRequest(request, "measurements.edit")
+    if (denied) return denied
+
     const body = await request.json()
     const { rows } = body
 
@@ -94,6 +98,9 @@ export const measurementChartsHandlers = [
   http.put(`${appConfig.apiBaseUrl}/admin/measurements/standard-height-chart`, async ({ request }) => {
     await delay(300)
 
+    const { denied } = authorizeRequest(request, "measurements.edit")
+    if (denied) return denied
+
     const body = await request.json()
     const { rows } = body
 
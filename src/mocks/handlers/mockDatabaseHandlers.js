@@ -0,0 +1,39 @@
+/**
+ * Mock Database Handlers
+ * src/mocks/handlers/mockDatabaseHandlers.js
+ *
+ * Endpoints:
+ * - POST   /api/mock-db/reset   - Restore all mock data to seed values
+ */
+
+import { http, HttpResponse } from "msw"
+import { resetMockDatabase } from "../data/mockDatabase"
+import { authorizeRequest } from "../requestAuth"
+import { isAdmin } from "@/lib/rbac"
+
+const BASE_URL = "/api/mock-db"
+
+/**
+ * POST /api/mock-db/reset
+ * Drops the persisted IndexedDB snapshot and restores every collection to its seed data
+ * Admins only, like the sidebar action that calls it.
+ */
+const resetDatabase = http.post(`${BASE_URL}/reset`, async ({ request }) => {
+  const { user, denied } = authorizeRequest(request)
+  if (denied) return denied
+  if (!isAdmin(user)) {
+    return HttpResponse.json(
+      { success: false, error: "Forbidden", message: "Only admins can reset the demo data" },
+      { status: 403 }
+    )
+  }
+
+  await resetMockDatabase()
+
+  return HttpResponse.json({
+    success: true,
+    message: "Mock data reset to seed data",
+  })
+})
+
+export const mockDatabaseHandlers = [resetDatabase]
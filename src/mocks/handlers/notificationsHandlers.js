@@ -0,0 +1,163 @@
+/**
+ * Notifications MSW Handlers
+ * src/mocks/handlers/notificationsHandlers.js
+ *
+ * The signed-in user's inbox and event preferences. Notifications are written
+ * by the workflow handlers through publishNotification (mockNotifications).
+ *
+ * Endpoints:
+ *   GET  /api/notifications               - Inbox, newest first (?status=unread, ?limit=)
+ *   POST /api/notifications/:id/read      - Mark one notification read
+ *   POST /api/notifications/read-all      - Mark the whole inbox read
+ *   GET  /api/notifications/preferences   - Events the user can receive and which are muted
+ *   PUT  /api/notifications/preferences   - Save muted events
+ */
+
+import { http, HttpResponse } from "msw"
+import { appConfig } from "@/config/appConfig"
+import {
+  mockNotifications,
+  getNotificationPreferences,
+  getReceivableEvents,
+  saveNotificationPreferences,
+} from "../data/mockNotifications"
+import { authorizeRequest } from "../requestAuth"
+
+const BASE_URL = `${appConfig.apiBaseUrl}/notifications`
+
+const getInbox = (userId) => mockNotifications.filter((n) => n.userId === userId)
+
+const getUnreadCount = (userId) => getInbox(userId).filter((n) => !n.readAt).length
+
+const withReceivableEvents = (user) => ({
+  ...getNotificationPreferences(user.id),
+  receivableEvents: getReceivableEvents(user),
+})
+
+/**
+ * GET /api/notifications
+ * The caller's notifications with the unread count for the bell
+ */
+const getNotifications = http.get(BASE_URL, ({ request }) => {
+  const { user, denied } = authorizeRequest(request)
+  if (denied) return denied
+
+  const url = new URL(request.url)
+  const status = url.searchParams.get("status")
+  const limit = parseInt(url.searchParams.get("limit")) || 50
+
+  const notifications = getInbox(user.id)
+    .filter((n) => status !== "unread" || !n.readAt)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+
+  return HttpResponse.json({
+    success: true,
+    data: {
+      notifications: notifications.slice(0, limit),
+      total: notifications.length,
+      unreadCount: getUnreadCount(user.id),
+    },
+  })
+})
+
+/**
+ * POST /api/notifications/read-all
+ * Mark every unread notification of the caller read
+ */
+const markAllNotificationsRead = http.post(`${BASE_URL}/read-all`, ({ request }) => {
+  const { user, denied } = authorizeRequest(request)
+  if (denied) return denied
+
+  const now = new Date().toISOString()
+  let marked = 0
+  getInbox(user.id).forEach((n) => {
+    if (!n.readAt) {
+      n.readAt = now
+      marked++
+    }
+  })
+
+  return HttpResponse.json({
+    success: true,
+    data: { marked, unreadCount: 0 },
+    message: `${marked} notification${marked === 1 ? "" : "s"} marked as read`,
+  })
+})
+
+/**
+ * POST /api/notifications/:id/read
+ * Mark one of the caller's notifications read
+ */
+const markNotificationRead = http.post(`${BASE_URL}/:id/read`, ({ params, request }) => {
+  const { user, denied } = authorizeRequest(request)
+  if (denied) return denied
+
+  const notification = mockNotifications.find((n) => n.id === params.id && n.userId === user.id)
+  if (!notification) {
+    return HttpResponse.json({ success: false, error: "Notification not found" }, { status: 404 })
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date().toISOString()
+  }
+
+  return HttpResponse.json({
+    success: true,
+    data: { notification, unreadCount: getUnreadCount(user.id) },
+  })
+})
+
+/**
+ * GET /api/notifications/preferences
+ */
+const getPreferences = http.get(`${BASE_URL}/preferences`, ({ request }) => {
+  const { user, denied } = authorizeRequest(request)
+  if (denied) return denied
+
+  return HttpResponse.json({ success: true, data: withReceivableEvents(user) })
+})
+
+/**
+ * PUT /api/notifications/preferences
+ * Body: { mutedEvents: string[] }
+ */
+const updatePreferences = http.put(`${BASE_URL}/preferences`, async ({ request }) => {
+  const { user, denied } = authorizeRequest(request)
+  if (denied) return denied
+
+  const { mutedEvents } = await request.json()
+  if (!Array.isArray(mutedEvents)) {
+    return HttpResponse.json(
+      { success: false, error: "mutedEvents must be a list of events" },
+      { status: 400 }
+    )
+  }
+
+  const receivable = getReceivableEvents(user)
+  const unknown = mutedEvents.filter((event) => !receivable.includes(event))
+  if (unknown.length > 0) {
+    return HttpResponse.json(
+      { success: false, error: `You do not receive these events: ${unknown.join(", ")}` },
+      { status: 400 }
+    )
+  }
+
+  saveNotificationPreferences(user.id, [...new Set(mutedEvents)])
+
+  return HttpResponse.json({
+    success: true,
+    data: withReceivableEvents(user),
+    message: "Notification preferences saved",
+  })
+})
+
+export const notificationsHandlers = [
+  // Preferences (before /:id routes)
+  getPreferences,
+  updatePreferences,
+
+  // Inbox
+  getNotifications,
+  markAllNotificationsRead,
+  markNotificationRead,
+]
@@ -0,0 +1,75 @@
+/**
+ * Order Documents MSW Handlers
+ * src/mocks/handlers/orderDocumentsHandlers.js
+ *
+ * Proforma invoices, invoices and payment receipts attached to an order.
+ * Generating a document that already exists issues a new version under the
+ * same number; every version stays listed.
+ *
+ * Endpoints:
+ *   GET  /api/orders/:orderId/documents  - All versions, newest first
+ *   POST /api/orders/:orderId/documents  - Generate { type, paymentId } (paymentId for receipts)
+ */
+
+import { http, HttpResponse } from "msw"
+import { appConfig } from "@/config/appConfig"
+import { mockOrders } from "../data/mockOrders"
+import {
+  generateOrderDocument,
+  getDocumentError,
+  getOrderDocuments,
+} from "../data/mockOrderDocuments"
+import { ORDER_DOCUMENT_TYPE_CONFIG } from "@/constants/orderConstants"
+import { authorizeRequest } from "../requestAuth"
+
+const BASE_URL = `${appConfig.apiBaseUrl}/orders/:orderId/documents`
+
+const findOrder = (orderId) => mockOrders.find((o) => o.id === orderId)
+
+const errorResponse = (status, error) => HttpResponse.json({ success: false, error }, { status })
+
+/**
+ * GET /api/orders/:orderId/documents
+ */
+const getDocuments = http.get(BASE_URL, ({ params, request }) => {
+  const { denied } = authorizeRequest(request, ["orders.view", "sales.view"])
+  if (denied) return denied
+
+  if (!findOrder(params.orderId)) return errorResponse(404, "Order not found")
+
+  return HttpResponse.json({ success: true, data: getOrderDocuments(params.orderId) })
+})
+
+/**
+ * POST /api/orders/:orderId/documents
+ * Body: { type, paymentId }
+ */
+const generateDocument = http.post(BASE_URL, async ({ params, request }) => {
+  const { user, denied } = authorizeRequest(request, "orders.documents")
+  if (denied) return denied
+
+  const order = findOrder(params.orderId)
+  if (!order) return errorResponse(404, "Order not found")
+
+  const { type, paymentId } = await request.json()
+  const payment = paymentId ? (order.payments || []).find((p) => p.id === paymentId) : null
+  if (paymentId && !payment) return errorResponse(404, "Payment not found")
+
+  const documentError = getDocumentError(order, type, payment)
+  if (documentError) return errorResponse(400, documentError)
+
+  const document = generateOrderDocument(order, { type, payment }, user)
+
+  console.log(`🧾 ${document.number} v${document.version} for ${order.orderNumber}`)
+
+  return HttpResponse.json(
+    {
+      success: true,
+      data: document,
+      message: `${ORDER_DOCUMENT_TYPE_CONFIG[type].label} ${document.number} generated`,
+    },
+    { status: 201 }
+  )
+})
+
+export const orderDocumentsHandlers = [getDocuments, generateDocument]
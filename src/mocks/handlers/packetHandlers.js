@@ -6,6 +6,7 @@
  * - GET    /api/packets/my-tasks                - Get packets assigned to current user
  * - GET    /api/packets/check-queue             - Get packets awaiting check
  * - GET    /api/order-items/:id/packet          - Get packet for an order item
+ * - GET    /api/order-items/:id/lots            - Get the lots each section's material came from
  * - POST   /api/order-items/:id/packet/assign   - Assign packet to fabrication team
  * - POST   /api/order-items/:id/packet/start    - Start picking materials
  * - POST   /api/order-items/:id/packet/pick-item - Mark an item as picked
@@ -22,11 +23,41 @@ import {
   generatePacketId,
   createPartialPacketFromRequirements, // NEW
   addMaterialsToExistingPacket,
+  getSectionLots,
 } from "../data/mockPackets"
 import { mockOrderItems, mockOrders } from "../data/mockOrders"
-import { mockInventoryItems } from "../data/mockInventory"
+import {
+  mockInventoryItems,
+  mockStockMovements,
+  getItemLocations,
+  getLocationStock,
+  adjustLocationStock,
+  suggestPickLocation,
+  getItemLots,
+  takeLotStock,
+} from "../data/mockInventory"
+import { findReservationForPick, getAvailableQty } from "../data/mockReservations"
+import { getUnitCost } from "../data/mockCosting"
 import { mockUsers } from "../data/mockUser"
-import { ORDER_ITEM_STATUS, PACKET_STATUS, SECTION_STATUS } from "../../constants/orderConstants"
+import { publishNotification } from "../data/mockNotifications"
+import { setOrderItemStatus } from "../data/mockStatusHistory"
+import {
+  ORDER_ITEM_STATUS,
+  PACKET_STATUS,
+  SECTION_STATUS,
+  PACKET_TIMELINE_EVENTS,
+  RESERVATION_STATUS,
+  INVENTORY_LOCATION_CONFIG,
+  NOTIFICATION_EVENTS,
+} from "../../constants/orderConstants"
+import {
+  WORKFLOW_LEVEL,
+  checkTransition,
+  canTransition,
+  checkSectionTransitions,
+  WORKFLOW_PRECONDITIONS,
+} from "@/lib/workflow"
+import { authorizeRequest, authorizeTransition } from "../requestAuth"
 
 // ============================================================================
 // HELPER FUNCTIONS
@@ -50,6 +81,82 @@ const findUser = (userId) => {
   return mockUsers.find((u) => u.id === userId || u.id === parseInt(userId))
 }
 
+/**
+ * Validate a packet transition against the workflow table
+ * Returns a 409/403 response when the move is not allowed, otherwise null
+ */
+const rejectInvalidPacketTransition = (action, packet, user) => {
+  const check = checkTransition(WORKFLOW_LEVEL.PACKET, action, packet, { user })
+  return check.allowed ? null : HttpResponse.json(check.body, { status: check.httpStatus })
+}
+
+/**
+ * Where a pick is taken from: the location on the pick list, or wherever
+ * holds enough now. Null when no single location holds the whole quantity,
+ * since a location balance must never go below zero.
+ */
+const getPickSource = (inventoryItem, pickItem, quantity) => {
+  if (pickItem.location && getLocationStock(inventoryItem, pickItem.location) >= quantity) {
+    return { location: pickItem.location, rack_location: pickItem.rackLocation }
+  }
+  const suggested = suggestPickLocation(inventoryItem, quantity)
+  return suggested?.quantity >= quantity ? suggested : null
+}
+
+/**
+ * Take picked material out of stock against the reservation made by the
+ * inventory check and mark the reservation CONSUMED. The location (from
+ * getPickSource) and lots the material came from are kept on the pick list item.
+ * Returns the STOCK_OUT movement.
+ */
+const consumePickReservation = (
+  reservation,
+  packet,
+  pickItem,
+  pickedQty,
+  { source, lotNumber, user, now }
+) => {
+  const inventoryItem = mockInventoryItems.find((inv) => inv.id === reservation.inventoryItemId)
+  if (!inventoryItem) return null
+
+  pickItem.location = source.location
+  pickItem.rackLocation = source.rack_location || pickItem.rackLocation
+  const lots = takeLotStock(inventoryItem, pickedQty, lotNumber)
+  adjustLocationStock(inventoryItem, pickItem.location, -pickedQty)
+  inventoryItem.updated_at = now
+  pickItem.lots = lots.map((lot) => ({ lotNumber: lot.lot_number, quantity: lot.quantity }))
+
+  // The order item's material cost is booked at the average cost on the day of the pick
+  pickItem.unitCost = getUnitCost(inventoryItem)
+
+  const movement = {
+    id: mockStockMovements.length + 1,
+    inventory_item_id: reservation.inventoryItemId,
+    variant_id: null,
+    movement_type: "STOCK_OUT",
+    quantity: pickedQty,
+    location: pickItem.location,
+    unit_cost: pickItem.unitCost,
+    lots,
+    remaining_stock_after: inventoryItem.remaining_stock,
+    transaction_date: now,
+    reference_number: `ORDER-${packet.orderId}-ITEM-${packet.orderItemId}`,
+    notes: `Picked for ${packet.id}, section: ${pickItem.piece}`,
+    performed_by_user_id: user.id,
+    created_at: now,
+  }
+  mockStockMovements.push(movement)
+
+  reservation.status = RESERVATION_STATUS.CONSUMED
+  reservation.consumedQty = pickedQty
+  reservation.pickItemId = pickItem.id
+  reservation.movementId = movement.id
+  reservation.consumedAt = now
+  reservation.updatedAt = now
+
+  return movement
+}
+
 /**
  * Add timeline entry to packet
  */
@@ -278,10 +385,24 @@ const getOrderItemPacket = http.get("/api/order-items/:id/packet", async ({ para
   // Get order item details
   const orderItem = mockOrderItems.find((oi) => oi.id === id)
 
+  // Lots still holding stock, for choosing which roll an unpicked line is cut from
+  const inventoryMap = buildInventoryMap()
+  const pickList = packet.pickList.map((pickItem) => {
+    const inventoryItem = inventoryMap[pickItem.inventoryItemId]
+    if (pickItem.isPicked || !inventoryItem) return pickItem
+    return {
+      ...pickItem,
+      availableLots: getItemLots(inventoryItem)
+        .filter((lot) => lot.quantity > 0)
+        .map((lot) => ({ lotNumber: lot.lot_number, quantity: lot.quantity })),
+    }
+  })
+
   return HttpResponse.json({
     success: true,
     data: {
       ...packet,
+      pickList,
       orderItemDetails: orderItem
         ? {
             productName: orderItem.productName,
@@ -295,6 +416,26 @@ const getOrderItemPacket = http.get("/api/order-items/:id/packet", async ({ para
   })
 })
 
+/**
+ * GET /api/order-items/:id/lots
+ * Lots the picked material of each section came from, so dyeing and QA can
+ * see which batch a rejected section was made of
+ */
+const getOrderItemLots = http.get("/api/order-items/:id/lots", async ({ params }) => {
+  await new Promise((resolve) => setTimeout(resolve, 150))
+
+  const { id } = params
+  const packet = getPacketByOrderItemId(id)
+  const sections = [...new Set((packet?.pickList || []).map((item) => item.piece || "General"))]
+
+  return HttpResponse.json({
+    success: true,
+    data: sections
+      .map((section) => ({ section, materials: getSectionLots(id, section) }))
+      .filter((entry) => entry.materials.length > 0),
+  })
+})
+
 /**
  * POST /api/order-items/:id/packet/assign
  * Assign packet to a fabrication team member
@@ -305,8 +446,10 @@ const assignPacket = http.post(
     await new Promise((resolve) => setTimeout(resolve, 300))
 
     const { id } = params
+    const { user: assigner, denied } = authorizeTransition(request, WORKFLOW_LEVEL.PACKET, "ASSIGN")
+    if (denied) return denied
     const data = await request.json()
-    const { assignToUserId, assignedByUserId } = data
+    const { assignToUserId } = data
 
     // Find or create packet
     let packet = getPacketByOrderItemId(id)
@@ -324,7 +467,6 @@ const assignPacket = http.post(
 
     // Get user details
     const assignee = findUser(assignToUserId)
-    const assigner = findUser(assignedByUserId)
 
     if (!assignee) {
       return HttpResponse.json(
@@ -337,23 +479,21 @@ const assignPacket = http.post(
       )
     }
 
+    const invalid = rejectInvalidPacketTransition("ASSIGN", packet, assigner)
+    if (invalid) return invalid
+
     const now = new Date().toISOString()
 
     // Update packet
     packet.assignedTo = assignToUserId
     packet.assignedToName = assignee.name
-    packet.assignedBy = assignedByUserId
-    packet.assignedByName = assigner?.name || "Unknown"
+    packet.assignedBy = assigner.id
+    packet.assignedByName = assigner.name
     packet.assignedAt = now
     packet.status = PACKET_STATUS.ASSIGNED
     packet.updatedAt = now
 
-    addPacketTimeline(
-      packet,
-      "Packet assigned",
-      assigner?.name || "Production Head",
-      `Assigned to ${assignee.name}`
-    )
+    addPacketTimeline(packet, "Packet assigned", assigner.name, `Assigned to ${assignee.name}`)
 
     // Update order item status if needed
     const orderItemIndex = mockOrderItems.findIndex((oi) => oi.id === id)
@@ -361,6 +501,18 @@ const assignPacket = http.post(
       mockOrderItems[orderItemIndex].updatedAt = now
     }
 
+    const orderItem = mockOrderItems[orderItemIndex]
+    const order = mockOrders.find((o) => o.id === orderItem?.orderId)
+    publishNotification(NOTIFICATION_EVENTS.PACKET_ASSIGNED, {
+      recipientIds: [assignee.id],
+      title: "Packet assigned to you",
+      message: `${assigner.name} assigned you the packet for ${orderItem?.productName || id}${order ? ` (${order.orderNumber})` : ""}`,
+      link: "/packet/my-tasks",
+      orderId: orderItem?.orderId,
+      orderItemId: id,
+      actor: assigner,
+    })
+
     return HttpResponse.json({
       success: true,
       data: packet,
@@ -377,8 +529,8 @@ const startPacket = http.post("/api/order-items/:id/packet/start", async ({ para
   await new Promise((resolve) => setTimeout(resolve, 300))
 
   const { id } = params
-  const data = await request.json()
-  const { userId } = data
+  const { user, denied } = authorizeTransition(request, WORKFLOW_LEVEL.PACKET, "START")
+  if (denied) return denied
 
   const packet = getPacketByOrderItemId(id)
 
@@ -393,30 +545,16 @@ const startPacket = http.post("/api/order-items/:id/packet/start", async ({ para
     )
   }
 
-  if (packet.status !== PACKET_STATUS.ASSIGNED) {
-    return HttpResponse.json(
-      {
-        success: false,
-        error: "Invalid status",
-        message: `Cannot start packet in ${packet.status} status. Must be ASSIGNED.`,
-      },
-      { status: 400 }
-    )
-  }
+  const invalid = rejectInvalidPacketTransition("START", packet, user)
+  if (invalid) return invalid
 
-  const user = findUser(userId)
   const now = new Date().toISOString()
 
   packet.status = PACKET_STATUS.IN_PROGRESS
   packet.startedAt = now
   packet.updatedAt = now
 
-  addPacketTimeline(
-    packet,
-    "Packet started",
-    user?.name || "Fabrication Team",
-    "Started gathering materials"
-  )
+  addPacketTimeline(packet, "Packet started", user.name, "Started gathering materials")
 
   return HttpResponse.json({
     success: true,
@@ -433,8 +571,10 @@ const pickItem = http.post("/api/order-items/:id/packet/pick-item", async ({ par
   await new Promise((resolve) => setTimeout(resolve, 200))
 
   const { id } = params
+  const { user, denied } = authorizeRequest(request)
+  if (denied) return denied
   const data = await request.json()
-  const { pickItemId, pickedQty, userId, notes } = data
+  const { pickItemId, pickedQty, notes, lotNumber } = data
 
   const packet = getPacketByOrderItemId(id)
 
@@ -449,6 +589,19 @@ const pickItem = http.post("/api/order-items/:id/packet/pick-item", async ({ par
     )
   }
 
+  // Only while picking is under way - not before start or after completion
+  const invalid = rejectInvalidPacketTransition("PICK_ITEM", packet, user)
+  if (invalid) return invalid
+
+  // Picking takes stock out of inventory, so only the assignee may do it
+  const notAssignee = WORKFLOW_PRECONDITIONS.packetAssignedToActor(packet, { userId: user.id })
+  if (notAssignee) {
+    return HttpResponse.json(
+      { success: false, error: "Forbidden", message: notAssignee },
+      { status: 403 }
+    )
+  }
+
   const pickItemIndex = packet.pickList.findIndex((item) => item.id === pickItemId)
 
   if (pickItemIndex === -1) {
@@ -462,13 +615,70 @@ const pickItem = http.post("/api/order-items/:id/packet/pick-item", async ({ par
     )
   }
 
-  const user = findUser(userId)
   const now = new Date().toISOString()
   const pickItem = packet.pickList[pickItemIndex]
+  const quantity = pickedQty || pickItem.requiredQty
+
+  // Stock leaves inventory on the first pick. Nothing is reserved for a re-pick
+  // after packet rejection, or for packets created before reservations existed.
+  // Picking more than was reserved can only draw on unreserved stock.
+  const reservation = !pickItem.isPicked && findReservationForPick(id, pickItem)
+  if (reservation) {
+    const inventoryItem = mockInventoryItems.find((inv) => inv.id === reservation.inventoryItemId)
+    const extraQty = quantity - reservation.quantity
+    if (extraQty > 0 && extraQty > getAvailableQty(inventoryItem)) {
+      return HttpResponse.json(
+        {
+          success: false,
+          error: "Insufficient stock",
+          message: `Only ${reservation.quantity} ${pickItem.unit} of ${pickItem.inventoryItemName} is reserved and ${getAvailableQty(inventoryItem)} ${pickItem.unit} is free, cannot pick ${quantity}`,
+        },
+        { status: 400 }
+      )
+    }
+    if (lotNumber) {
+      const lot = getItemLots(inventoryItem).find((l) => l.lot_number === lotNumber)
+      if (!lot || lot.quantity < quantity) {
+        return HttpResponse.json(
+          {
+            success: false,
+            error: "Insufficient stock",
+            message: lot
+              ? `Only ${lot.quantity} ${pickItem.unit} left in lot ${lotNumber}, cannot pick ${quantity}`
+              : `${pickItem.inventoryItemName} has no lot ${lotNumber}`,
+          },
+          { status: 400 }
+        )
+      }
+    }
+
+    const source = getPickSource(inventoryItem, pickItem, quantity)
+    if (!source) {
+      const held = getItemLocations(inventoryItem)
+        .filter((entry) => entry.quantity > 0)
+        .map((entry) => `${INVENTORY_LOCATION_CONFIG[entry.location].label} ${entry.quantity}`)
+        .join(", ")
+      return HttpResponse.json(
+        {
+          success: false,
+          error: "Stock split across locations",
+          message: `No single location holds ${quantity} ${pickItem.unit} of ${pickItem.inventoryItemName} (${held || "none in stock"}). Transfer it to one location first.`,
+        },
+        { status: 409 }
+      )
+    }
+
+    consumePickReservation(reservation, packet, pickItem, quantity, {
+      source,
+      lotNumber,
+      user,
+      now,
+    })
+  }
 
   // Update pick item
   pickItem.isPicked = true
-  pickItem.pickedQty = pickedQty || pickItem.requiredQty
+  pickItem.pickedQty = quantity
   pickItem.pickedAt = now
   pickItem.notes = notes || ""
 
@@ -479,8 +689,11 @@ const pickItem = http.post("/api/order-items/:id/packet/pick-item", async ({ par
   addPacketTimeline(
     packet,
     "Item picked",
-    user?.name || "Fabrication Team",
-    `Picked: ${pickItem.inventoryItemName} - ${pickItem.pickedQty} ${pickItem.unit} from rack ${pickItem.rackLocation}`
+    user.name,
+    `Picked: ${pickItem.inventoryItemName} - ${pickItem.pickedQty} ${pickItem.unit} from ${INVENTORY_LOCATION_CONFIG[pickItem.location]?.label || "rack"} ${pickItem.rackLocation}` +
+      (pickItem.lots?.length > 0
+        ? `, lot ${pickItem.lots.map((lot) => lot.lotNumber).join(", ")}`
+        : "")
   )
 
   return HttpResponse.json({
@@ -500,8 +713,10 @@ const completePacket = http.post(
     await new Promise((resolve) => setTimeout(resolve, 300))
 
     const { id } = params
+    const { user, denied } = authorizeTransition(request, WORKFLOW_LEVEL.PACKET, "COMPLETE")
+    if (denied) return denied
     const data = await request.json()
-    const { userId, notes } = data
+    const { notes } = data
 
     const packet = getPacketByOrderItemId(id)
 
@@ -516,32 +731,10 @@ const completePacket = http.post(
       )
     }
 
-    if (packet.status !== PACKET_STATUS.IN_PROGRESS) {
-      return HttpResponse.json(
-        {
-          success: false,
-          error: "Invalid status",
-          message: `Cannot complete packet in ${packet.status} status. Must be IN_PROGRESS.`,
-        },
-        { status: 400 }
-      )
-    }
-
-    // Check if all items are picked
-    const unPickedItems = packet.pickList.filter((item) => !item.isPicked)
-    if (unPickedItems.length > 0) {
-      return HttpResponse.json(
-        {
-          success: false,
-          error: "Incomplete",
-          message: `${unPickedItems.length} items not yet picked. Please pick all items before completing.`,
-          data: { unPickedItems },
-        },
-        { status: 400 }
-      )
-    }
+    // Must be IN_PROGRESS, worked by the assignee, with every item picked
+    const invalid = rejectInvalidPacketTransition("COMPLETE", packet, user)
+    if (invalid) return invalid
 
-    const user = findUser(userId)
     const now = new Date().toISOString()
 
     packet.status = PACKET_STATUS.COMPLETED
@@ -572,27 +765,39 @@ const completePacket = http.post(
         )
 
         if (!hasAdvancedSections) {
-          mockOrderItems[orderItemIndex].status = packet.isPartial
-            ? ORDER_ITEM_STATUS.PARTIAL_PACKET_CHECK
-            : ORDER_ITEM_STATUS.PACKET_CHECK
+          setOrderItemStatus(
+            mockOrderItems[orderItemIndex],
+            packet.isPartial
+              ? ORDER_ITEM_STATUS.PARTIAL_PACKET_CHECK
+              : ORDER_ITEM_STATUS.PACKET_CHECK,
+            user,
+            now
+          )
         }
         // else: don't change status - keep whatever advanced status it already has
       } else {
-        mockOrderItems[orderItemIndex].status = ORDER_ITEM_STATUS.PACKET_CHECK
+        setOrderItemStatus(
+          mockOrderItems[orderItemIndex],
+          ORDER_ITEM_STATUS.PACKET_CHECK,
+          user,
+          now
+        )
       }
       mockOrderItems[orderItemIndex].updatedAt = now
       mockOrderItems[orderItemIndex].timeline.push({
         id: `log-${Date.now()}`,
         action: "Packet completed - awaiting verification",
-        user: user?.name || "Fabrication Team",
+        user: user.name,
         timestamp: now,
+        event: PACKET_TIMELINE_EVENTS.PACKET_COMPLETED,
+        packetId: packet.id,
       })
     }
 
     addPacketTimeline(
       packet,
       "Packet completed",
-      user?.name || "Fabrication Team",
+      user.name,
       `All ${packet.totalItems} materials gathered. Ready for verification.`
     )
 
@@ -614,8 +819,10 @@ const approvePacket = http.post(
     await new Promise((resolve) => setTimeout(resolve, 300))
 
     const { id } = params
+    const { user, denied } = authorizeTransition(request, WORKFLOW_LEVEL.PACKET, "APPROVE")
+    if (denied) return denied
     const data = await request.json()
-    const { userId, isReadyStock, notes } = data
+    const { isReadyStock, notes } = data
 
     const packet = getPacketByOrderItemId(id)
 
@@ -630,23 +837,14 @@ const approvePacket = http.post(
       )
     }
 
-    if (packet.status !== PACKET_STATUS.COMPLETED) {
-      return HttpResponse.json(
-        {
-          success: false,
-          error: "Invalid status",
-          message: `Cannot approve packet in ${packet.status} status. Must be COMPLETED.`,
-        },
-        { status: 400 }
-      )
-    }
+    const invalid = rejectInvalidPacketTransition("APPROVE", packet, user)
+    if (invalid) return invalid
 
-    const user = findUser(userId)
     const now = new Date().toISOString()
 
     packet.status = PACKET_STATUS.APPROVED
-    packet.checkedBy = userId
-    packet.checkedByName = user?.name || "Production Head"
+    packet.checkedBy = user.id
+    packet.checkedByName = user.name
     packet.checkedAt = now
     packet.checkResult = "APPROVED"
     packet.notes = notes || packet.notes
@@ -670,20 +868,6 @@ const approvePacket = http.post(
         // This prevents resetting sections that are already in dyeing from previous rounds
         const sectionsToUpdate = packet.currentRoundSections || packet.sectionsIncluded || []
 
-        // Statuses that should NOT be overwritten (already beyond packet verification)
-        const protectedStatuses = [
-          SECTION_STATUS.READY_FOR_DYEING,
-          SECTION_STATUS.DYEING_ACCEPTED,
-          SECTION_STATUS.DYEING_IN_PROGRESS,
-          SECTION_STATUS.DYEING_COMPLETED,
-          SECTION_STATUS.READY_FOR_PRODUCTION,
-          SECTION_STATUS.IN_PRODUCTION,
-          SECTION_STATUS.PRODUCTION_COMPLETED,
-          SECTION_STATUS.QA_PENDING,
-          SECTION_STATUS.QA_APPROVED,
-          SECTION_STATUS.COMPLETED,
-        ]
-
         console.log(
           "[approvePacket] Partial packet approval - sections to update:",
           sectionsToUpdate
@@ -700,14 +884,21 @@ const approvePacket = http.post(
           const sectionKey = section.toLowerCase()
           if (orderItem.sectionStatuses[sectionKey]) {
             const currentStatus = orderItem.sectionStatuses[sectionKey].status
-            // Only update if the section is NOT already in a protected status
-            if (!protectedStatuses.includes(currentStatus)) {
+            // Only update sections still waiting on packet verification - never
+            // regress sections that are already in dyeing or beyond
+            if (
+              canTransition(
+                WORKFLOW_LEVEL.SECTION,
+                "VERIFY_PACKET",
+                orderItem.sectionStatuses[sectionKey]
+              )
+            ) {
               orderItem.sectionStatuses[sectionKey].status = SECTION_STATUS.READY_FOR_DYEING
               orderItem.sectionStatuses[sectionKey].updatedAt = now
               console.log(`[approvePacket] Updated ${sectionKey} to READY_FOR_DYEING`)
             } else {
               console.log(
-                `[approvePacket] Skipped ${sectionKey} - already in protected status: ${currentStatus}`
+                `[approvePacket] Skipped ${sectionKey} - cannot verify packet from status: ${currentStatus}`
               )
             }
           }
@@ -761,27 +952,17 @@ const approvePacket = http.post(
             ? packet.currentRoundSections || packet.sectionsIncluded || []
             : Object.keys(orderItem.sectionStatuses)
 
-        // Statuses that should NOT be overwritten (already beyond packet verification)
-        const protectedStatuses = [
-          SECTION_STATUS.READY_FOR_DYEING,
-          SECTION_STATUS.DYEING_ACCEPTED,
-          SECTION_STATUS.DYEING_IN_PROGRESS,
-          SECTION_STATUS.DYEING_COMPLETED,
-          SECTION_STATUS.READY_FOR_PRODUCTION,
-          SECTION_STATUS.IN_PRODUCTION,
-          SECTION_STATUS.PRODUCTION_COMPLETED,
-          SECTION_STATUS.QA_PENDING,
-          SECTION_STATUS.QA_APPROVED,
-          SECTION_STATUS.QA_REJECTED,
-          SECTION_STATUS.COMPLETED,
-        ]
-
         sectionsToUpdate.forEach((section) => {
           const sectionKey = section.toLowerCase()
           if (orderItem.sectionStatuses[sectionKey]) {
-            const currentStatus = orderItem.sectionStatuses[sectionKey].status
-            // Only update if the section is NOT already in a protected status
-            if (!protectedStatuses.includes(currentStatus)) {
+            // Only update sections still waiting on packet verification
+            if (
+              canTransition(
+                WORKFLOW_LEVEL.SECTION,
+                "VERIFY_PACKET",
+                orderItem.sectionStatuses[sectionKey]
+              )
+            ) {
               orderItem.sectionStatuses[sectionKey].status = SECTION_STATUS.READY_FOR_DYEING
               orderItem.sectionStatuses[sectionKey].updatedAt = now
             }
@@ -844,20 +1025,23 @@ const approvePacket = http.post(
     // Update order item status
     const orderItemIndex = mockOrderItems.findIndex((oi) => oi.id === id)
     if (orderItemIndex !== -1) {
-      mockOrderItems[orderItemIndex].status = nextStatus
+      setOrderItemStatus(mockOrderItems[orderItemIndex], nextStatus, user, now)
       mockOrderItems[orderItemIndex].updatedAt = now
       mockOrderItems[orderItemIndex].timeline.push({
         id: `log-${Date.now()}`,
         action: timelineMessage,
-        user: user?.name || "Production Head",
+        user: user.name,
         timestamp: now,
+        event: PACKET_TIMELINE_EVENTS.PACKET_APPROVED,
+        packetId: packet.id,
+        sections: packet.currentRoundSections || packet.sectionsIncluded || [],
       })
     }
 
     addPacketTimeline(
       packet,
       "Packet approved",
-      user?.name || "Production Head",
+      user.name,
       `Verified and approved. Next: ${nextStatus}`
     )
 
@@ -887,8 +1071,10 @@ const rejectPacket = http.post(
     await new Promise((resolve) => setTimeout(resolve, 300))
 
     const { id } = params
+    const { user, denied } = authorizeTransition(request, WORKFLOW_LEVEL.PACKET, "REJECT")
+    if (denied) return denied
     const data = await request.json()
-    const { userId, reasonCode, reason, notes } = data
+    const { reasonCode, reason, notes } = data
 
     if (!reasonCode || !reason) {
       return HttpResponse.json(
@@ -914,18 +1100,9 @@ const rejectPacket = http.post(
       )
     }
 
-    if (packet.status !== PACKET_STATUS.COMPLETED) {
-      return HttpResponse.json(
-        {
-          success: false,
-          error: "Invalid status",
-          message: `Cannot reject packet in ${packet.status} status. Must be COMPLETED.`,
-        },
-        { status: 400 }
-      )
-    }
+    const invalid = rejectInvalidPacketTransition("REJECT", packet, user)
+    if (invalid) return invalid
 
-    const user = findUser(userId)
     const now = new Date().toISOString()
 
     // Determine which sections are being rejected
@@ -945,8 +1122,8 @@ const rejectPacket = http.post(
     console.log("[Packet Reject] Is partial rejection:", isPartialRejection)
 
     // Update packet metadata
-    packet.checkedBy = userId
-    packet.checkedByName = user?.name || "Production Head"
+    packet.checkedBy = user.id
+    packet.checkedByName = user.name
     packet.checkedAt = now
     packet.checkResult = "REJECTED"
     packet.rejectionReason = reason
@@ -1004,7 +1181,7 @@ const rejectPacket = http.post(
               packetRejectedAt: now,
               packetRejectionReason: reason,
               packetRejectionNotes: notes || "",
-              packetRejectedBy: user?.name || "Production Head",
+              packetRejectedBy: user.name,
               updatedAt: now,
             }
           }
@@ -1031,27 +1208,31 @@ const rejectPacket = http.post(
 
         // Set appropriate mixed status
         if (hasInDyeing && hasCreatePacket) {
-          orderItem.status = ORDER_ITEM_STATUS.PARTIALLY_IN_DYEING
+          setOrderItemStatus(orderItem, ORDER_ITEM_STATUS.PARTIALLY_IN_DYEING, user, now)
         } else if (hasReadyForProduction && hasCreatePacket) {
-          orderItem.status = ORDER_ITEM_STATUS.PARTIAL_IN_PRODUCTION
+          setOrderItemStatus(orderItem, ORDER_ITEM_STATUS.PARTIAL_IN_PRODUCTION, user, now)
         } else if (hasCreatePacket) {
-          orderItem.status = ORDER_ITEM_STATUS.CREATE_PACKET
+          setOrderItemStatus(orderItem, ORDER_ITEM_STATUS.CREATE_PACKET, user, now)
         }
 
         orderItem.updatedAt = now
         orderItem.timeline.push({
           id: `log-${Date.now()}`,
           action: `Packet rejected for sections: ${sectionsBeingRejected.join(", ")} - ${reason}`,
-          user: user?.name || "Production Head",
+          user: user.name,
           timestamp: now,
           details: notes || "",
+          event: PACKET_TIMELINE_EVENTS.PACKET_REJECTED,
+          packetId: packet.id,
+          sections: sectionsBeingRejected,
+          reasonCode,
         })
       }
 
       addPacketTimeline(
         packet,
         `Packet rejected for sections: ${sectionsBeingRejected.join(", ")}`,
-        user?.name || "Production Head",
+        user.name,
         `Reason: ${reason}${notes ? `. Notes: ${notes}` : ""}`
       )
 
@@ -1080,13 +1261,22 @@ const rejectPacket = http.post(
       // Update order item back to CREATE_PACKET
       const orderItemIndex = mockOrderItems.findIndex((oi) => oi.id === id)
       if (orderItemIndex !== -1) {
-        mockOrderItems[orderItemIndex].status = ORDER_ITEM_STATUS.CREATE_PACKET
+        setOrderItemStatus(
+          mockOrderItems[orderItemIndex],
+          ORDER_ITEM_STATUS.CREATE_PACKET,
+          user,
+          now
+        )
         mockOrderItems[orderItemIndex].updatedAt = now
         mockOrderItems[orderItemIndex].timeline.push({
           id: `log-${Date.now()}`,
           action: `Packet rejected - ${reason}`,
-          user: user?.name || "Production Head",
+          user: user.name,
           timestamp: now,
+          event: PACKET_TIMELINE_EVENTS.PACKET_REJECTED,
+          packetId: packet.id,
+          sections: sectionsBeingRejected,
+          reasonCode,
         })
 
         // Reset ALL section statuses to CREATE_PACKET
@@ -1102,7 +1292,7 @@ const rejectPacket = http.post(
                 packetRejectedAt: now,
                 packetRejectionReason: reason,
                 packetRejectionNotes: notes || "",
-                packetRejectedBy: user?.name || "Production Head",
+                packetRejectedBy: user.name,
                 updatedAt: now,
               }
             }
@@ -1113,7 +1303,7 @@ const rejectPacket = http.post(
       addPacketTimeline(
         packet,
         "Packet rejected",
-        user?.name || "Production Head",
+        user.name,
         `Reason: ${reason}${notes ? `. Notes: ${notes}` : ""}`
       )
 
@@ -1136,8 +1326,10 @@ const approveSectionPacket = http.post(
     await new Promise((resolve) => setTimeout(resolve, 300))
 
     const { id } = params
+    const { user, denied } = authorizeTransition(request, WORKFLOW_LEVEL.SECTION, "VERIFY_PACKET")
+    if (denied) return denied
     const data = await request.json()
-    const { userId, sections } = data // sections is array of section names to approve
+    const { sections } = data // sections is array of section names to approve
 
     if (!sections || sections.length === 0) {
       return HttpResponse.json({ success: false, error: "No sections specified" }, { status: 400 })
@@ -1148,7 +1340,6 @@ const approveSectionPacket = http.post(
       return HttpResponse.json({ success: false, error: "No packet found" }, { status: 404 })
     }
 
-    const user = findUser(userId)
     const now = new Date().toISOString()
 
     // Update section statuses
@@ -1156,6 +1347,11 @@ const approveSectionPacket = http.post(
     if (orderItemIndex !== -1) {
       const orderItem = mockOrderItems[orderItemIndex]
 
+      const check = checkSectionTransitions("VERIFY_PACKET", orderItem, sections, { user })
+      if (!check.allowed) {
+        return HttpResponse.json(check.body, { status: check.httpStatus })
+      }
+
       sections.forEach((section) => {
         const sectionKey = section.toLowerCase()
         if (orderItem.sectionStatuses && orderItem.sectionStatuses[sectionKey]) {
@@ -1169,7 +1365,7 @@ const approveSectionPacket = http.post(
       orderItem.timeline.push({
         id: `log-${Date.now()}`,
         action: `Partial packet verified for sections: ${sections.join(", ")}`,
-        user: user?.name || "Production Head",
+        user: user.name,
         timestamp: now,
       })
 
@@ -1179,8 +1375,8 @@ const approveSectionPacket = http.post(
     addPacketTimeline(
       packet,
       `Sections verified: ${sections.join(", ")}`,
-      user?.name || "Production Head",
-      `Approved by ${user?.name || "Production Head"}`
+      user.name,
+      `Approved by ${user.name}`
     )
 
     return HttpResponse.json({
@@ -1200,6 +1396,7 @@ export const packetHandlers = [
   getMyPacketTasks,
   getPacketCheckQueue,
   getOrderItemPacket,
+  getOrderItemLots,
   assignPacket,
   startPacket,
   pickItem,
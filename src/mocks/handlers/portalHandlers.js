@@ -0,0 +1,418 @@
+/**
+ * Customer Portal MSW Handlers
+ * src/mocks/handlers/portalHandlers.js
+ *
+ * Staff share a signed, expiring link with the customer; the customer opens
+ * it without logging in to read their order forms, watch their videos and
+ * answer. Answers go through the same code as the staff actions they replace
+ * (approve-form, client-approved, request-alteration) and are stored with the
+ * IP address and time they came from as proof.
+ *
+ * Staff endpoints:
+ *   GET  /api/orders/:orderId/portal-links                  - Links and customer responses
+ *   POST /api/orders/:orderId/portal-links                  - Create { expiresInDays }
+ *   POST /api/orders/:orderId/portal-links/:linkId/revoke   - Withdraw a link
+ *
+ * Public endpoints (the token is the only credential):
+ *   GET  /api/portal/:token           - What the customer can see and answer
+ *   POST /api/portal/:token/respond   - { action, orderItemId, sections, comment }
+ */
+
+import { http, HttpResponse } from "msw"
+import { appConfig } from "@/config/appConfig"
+import { mockOrders, mockOrderItems } from "../data/mockOrders"
+import {
+  createPortalLink,
+  createPortalResponse,
+  getOrderPortalLinks,
+  getOrderPortalResponses,
+  getPortalActorName,
+  markPortalLinkOpened,
+  mockPortalLinks,
+  revokePortalLink,
+  savePortalResponse,
+  verifyPortalToken,
+} from "../data/mockPortalLinks"
+import { publishNotification } from "../data/mockNotifications"
+import {
+  NOTIFICATION_EVENTS,
+  ORDER_FORM_SECTIONS,
+  ORDER_ITEM_STATUS,
+  PORTAL_LINK_MAX_DAYS,
+  PORTAL_RESPONSE_ACTION,
+  PORTAL_RESPONSE_ACTION_CONFIG,
+} from "@/constants/orderConstants"
+import { WORKFLOW_LEVEL, canTransition } from "@/lib/workflow"
+import { approveOrderItemForm } from "./ordersHandlers"
+import { applyAlterationRequest, recordClientApproval } from "./salesApprovalHandlers"
+import { authorizeRequest } from "../requestAuth"
+
+const ORDERS_URL = `${appConfig.apiBaseUrl}/orders/:orderId/portal-links`
+const PORTAL_URL = `${appConfig.apiBaseUrl}/portal/:token`
+
+// Staff who put forms or videos in front of the customer can share the portal
+const SHARE_PERMISSIONS = ["sales.send_to_client", "orders.approve_customer_forms"]
+
+const findOrder = (orderId) => mockOrders.find((o) => o.id === orderId)
+
+const getOrderItems = (orderId) => mockOrderItems.filter((oi) => oi.orderId === orderId)
+
+const errorResponse = (status, error) => HttpResponse.json({ success: false, error }, { status })
+
+/**
+ * Where the request came from
+ * The mock runs in the browser and never sees the connection, so it can only
+ * read proxy headers; a real backend records the socket's remote address.
+ */
+const getClientIp = (request) =>
+  request.headers.get("x-forwarded-for")?.split(",")[0].trim() ||
+  request.headers.get("x-real-ip") ||
+  "unknown"
+
+/**
+ * Why the customer can't review the videos right now, or null
+ * Items waiting on a re-video or an alteration have no current video to approve.
+ */
+const getVideoReviewBlocker = (order) => {
+  if (!canTransition(WORKFLOW_LEVEL.ORDER, "MARK_CLIENT_APPROVED", order)) {
+    return "Your order has no videos waiting for your approval"
+  }
+  const items = getOrderItems(order.id)
+  if (
+    items.some((oi) => oi.reVideoRequest || oi.status === ORDER_ITEM_STATUS.ALTERATION_REQUIRED)
+  ) {
+    return "Your order is being updated; we will share new videos shortly"
+  }
+  return null
+}
+
+const getAlterableSections = (item) =>
+  Object.entries(item.sectionStatuses || {})
+    .filter(([, section]) => canTransition(WORKFLOW_LEVEL.SECTION, "REQUEST_ALTERATION", section))
+    .map(([sectionName]) => sectionName)
+
+/**
+ * What the customer sees: their order forms, videos and earlier answers
+ * Prices, payments and internal notes stay out of the portal.
+ */
+const buildPortalView = (order, link) => {
+  const videoReviewOpen = !getVideoReviewBlocker(order)
+
+  const items = getOrderItems(order.id).map((item) => ({
+    id: item.id,
+    productName: item.productName,
+    productSku: item.productSku,
+    productImage: item.productImage,
+    size: item.size,
+    sizeType: item.sizeType,
+    quantity: item.quantity,
+    includedItems: item.includedItems || [],
+    selectedAddOns: item.selectedAddOns || [],
+    orderForm: item.orderFormGenerated
+      ? {
+          generatedAt: item.orderForm?.generatedAt,
+          version: item.orderFormVersions?.length || 1,
+          style: item.style,
+          color: item.color,
+          fabric: item.fabric,
+          measurementCategories: item.measurementCategories || [],
+          measurements: item.measurements || {},
+        }
+      : null,
+    awaitingFormApproval: canTransition(WORKFLOW_LEVEL.ORDER_ITEM, "APPROVE_FORM", item),
+    orderFormApproval: item.orderFormApproval || null,
+    orderFormChangeRequest: item.orderFormChangeRequest || null,
+    video: item.videoData?.youtubeUrl
+      ? {
+          youtubeUrl: item.videoData.youtubeUrl,
+          youtubeVideoId: item.videoData.youtubeVideoId || null,
+          uploadedAt: item.videoData.uploadedAt,
+        }
+      : null,
+    alterableSections: videoReviewOpen ? getAlterableSections(item) : [],
+  }))
+
+  return {
+    branding: { ...appConfig.branding },
+    expiresAt: link.expiresAt,
+    order: {
+      orderNumber: order.orderNumber,
+      customerName: order.customerName,
+      clientHeight: order.clientHeight,
+      consultantName: order.consultantName,
+      destination: order.destination,
+      address: order.address,
+      fwdDate: order.fwdDate,
+      productionShippingDate: order.productionShippingDate,
+      videoReviewOpen,
+      clientApproved: !!order.clientApprovalData?.approvedAt,
+    },
+    items,
+    responses: getOrderPortalResponses(order.id).map((r) => ({
+      id: r.id,
+      action: r.action,
+      orderItemId: r.orderItemId,
+      sections: r.sections,
+      comment: r.comment,
+      respondedAt: r.respondedAt,
+    })),
+  }
+}
+
+/**
+ * Resolve a portal token to its link and order, or the response refusing it
+ */
+const resolvePortalToken = async (token) => {
+  const { link, status, error } = await verifyPortalToken(token)
+  if (!link) return { refused: errorResponse(status, error) }
+
+  const order = findOrder(link.orderId)
+  if (!order) return { refused: errorResponse(404, "This link is not valid") }
+
+  return { link, order }
+}
+
+// ============================================================================
+// STAFF
+// ============================================================================
+
+/**
+ * GET /api/orders/:orderId/portal-links
+ */
+const getPortalLinks = http.get(ORDERS_URL, ({ params, request }) => {
+  const { denied } = authorizeRequest(request, ["orders.view", "sales.view"])
+  if (denied) return denied
+
+  if (!findOrder(params.orderId)) return errorResponse(404, "Order not found")
+
+  return HttpResponse.json({
+    success: true,
+    data: {
+      links: getOrderPortalLinks(params.orderId),
+      responses: getOrderPortalResponses(params.orderId),
+    },
+  })
+})
+
+/**
+ * POST /api/orders/:orderId/portal-links
+ * Body: { expiresInDays }
+ */
+const createLink = http.post(ORDERS_URL, async ({ params, request }) => {
+  const { user, denied } = authorizeRequest(request, SHARE_PERMISSIONS)
+  if (denied) return denied
+
+  const order = findOrder(params.orderId)
+  if (!order) return errorResponse(404, "Order not found")
+
+  const { expiresInDays } = await request.json()
+  const days = Number(expiresInDays)
+  if (!Number.isInteger(days) || days < 1 || days > PORTAL_LINK_MAX_DAYS) {
+    return errorResponse(400, `A link can be valid for 1 to ${PORTAL_LINK_MAX_DAYS} days`)
+  }
+
+  const link = await createPortalLink(order, { expiresInDays: days }, user)
+
+  console.log(`🔗 Portal link for ${order.orderNumber} until ${link.expiresAt}`)
+
+  return HttpResponse.json(
+    { success: true, data: link, message: "Portal link created" },
+    { status: 201 }
+  )
+})
+
+/**
+ * POST /api/orders/:orderId/portal-links/:linkId/revoke
+ */
+const revokeLink = http.post(`${ORDERS_URL}/:linkId/revoke`, ({ params, request }) => {
+  const { user, denied } = authorizeRequest(request, SHARE_PERMISSIONS)
+  if (denied) return denied
+
+  const order = findOrder(params.orderId)
+  if (!order) return errorResponse(404, "Order not found")
+
+  const link = mockPortalLinks.find((l) => l.id === params.linkId && l.orderId === order.id)
+  if (!link) return errorResponse(404, "Portal link not found")
+  if (link.revokedAt) return errorResponse(409, "This link was already revoked")
+
+  return HttpResponse.json({
+    success: true,
+    data: revokePortalLink(order, link, user),
+    message: "Portal link revoked",
+  })
+})
+
+// ============================================================================
+// PUBLIC
+// ============================================================================
+
+/**
+ * GET /api/portal/:token
+ */
+const getPortal = http.get(PORTAL_URL, async ({ params }) => {
+  const { link, order, refused } = await resolvePortalToken(params.token)
+  if (refused) return refused
+
+  markPortalLinkOpened(link)
+
+  return HttpResponse.json({ success: true, data: buildPortalView(order, link) })
+})
+
+/**
+ * Apply a customer's answer
+ * Returns the refusal response, or the detail written to the order timeline.
+ */
+const applyPortalResponse = (order, response) => {
+  const actorName = getPortalActorName(order)
+  const items = getOrderItems(order.id)
+  const { action, orderItemId, sections, comment } = response
+  const refuse = (result) => ({
+    refused: HttpResponse.json(result.body, { status: result.status }),
+  })
+
+  switch (action) {
+    case PORTAL_RESPONSE_ACTION.APPROVE_FORM: {
+      const item = items.find((oi) => oi.id === orderItemId)
+      if (!item) return { refused: errorResponse(404, "Order item not found") }
+
+      const result = approveOrderItemForm(item.id, { actorName, portalResponseId: response.id })
+      if (result.body) return refuse(result)
+      return { detail: item.productName }
+    }
+
+    case PORTAL_RESPONSE_ACTION.REQUEST_FORM_CHANGES: {
+      const item = items.find((oi) => oi.id === orderItemId)
+      if (!item) return { refused: errorResponse(404, "Order item not found") }
+      if (!canTransition(WORKFLOW_LEVEL.ORDER_ITEM, "APPROVE_FORM", item)) {
+        return { refused: errorResponse(409, "This order form is not waiting for your approval") }
+      }
+      const formSections = ORDER_FORM_SECTIONS.filter((fs) =>
+        sections.some((s) => s.sectionName === fs.value)
+      )
+      if (formSections.length === 0 || formSections.length !== sections.length) {
+        return { refused: errorResponse(400, "Choose the parts of the form you want changed") }
+      }
+
+      item.orderFormChangeRequest = {
+        sections,
+        comment: response.comment,
+        requestedAt: response.respondedAt,
+        portalResponseId: response.id,
+      }
+      item.updatedAt = response.respondedAt
+      if (!item.timeline) item.timeline = []
+      item.timeline.push({
+        id: `log-${Date.now()}`,
+        action: `Customer asked for changes to the order form: ${formSections.map((fs) => fs.label).join(", ")}`,
+        user: actorName,
+        timestamp: response.respondedAt,
+      })
+      return {
+        detail: `${item.productName} - ${formSections.map((fs) => fs.label).join(", ")}`,
+      }
+    }
+
+    case PORTAL_RESPONSE_ACTION.APPROVE_VIDEO: {
+      const blocker = getVideoReviewBlocker(order)
+      if (blocker) return { refused: errorResponse(409, blocker) }
+
+      const result = recordClientApproval(order.id, {
+        actorName,
+        notes: comment,
+        portalResponseId: response.id,
+      })
+      if (result.body) return refuse(result)
+      return { detail: null }
+    }
+
+    case PORTAL_RESPONSE_ACTION.REQUEST_ALTERATION: {
+      const blocker = getVideoReviewBlocker(order)
+      if (blocker) return { refused: errorResponse(409, blocker) }
+
+      const unknown = sections.find((s) => {
+        const item = items.find((oi) => oi.id === s.orderItemId)
+        return !item || !getAlterableSections(item).includes(s.sectionName)
+      })
+      if (unknown) {
+        return { refused: errorResponse(400, `"${unknown.sectionName}" can't be altered`) }
+      }
+
+      const result = applyAlterationRequest(order.id, sections, {
+        actorName,
+        portalResponseId: response.id,
+      })
+      if (result.body) return refuse(result)
+      return {
+        detail: sections
+          .map(
+            (s) => `${s.sectionName} (${items.find((oi) => oi.id === s.orderItemId).productName})`
+          )
+          .join(", "),
+      }
+    }
+
+    case PORTAL_RESPONSE_ACTION.COMMENT:
+      if (!comment) return { refused: errorResponse(400, "Write a comment first") }
+      return { detail: `"${comment}"` }
+
+    default:
+      return { refused: errorResponse(400, `Unknown response "${action}"`) }
+  }
+}
+
+/**
+ * POST /api/portal/:token/respond
+ * Body: { action, orderItemId, sections: [{ orderItemId, sectionName, notes }], comment }
+ */
+const respond = http.post(`${PORTAL_URL}/respond`, async ({ params, request }) => {
+  const { link, order, refused } = await resolvePortalToken(params.token)
+  if (refused) return refused
+
+  const body = await request.json().catch(() => ({}))
+  const sections = (Array.isArray(body.sections) ? body.sections : [])
+    .filter((s) => typeof s?.sectionName === "string")
+    .map((s) => ({
+      orderItemId: s.orderItemId || body.orderItemId || null,
+      sectionName: s.sectionName,
+      notes: typeof s.notes === "string" ? s.notes.trim() : "",
+    }))
+  const response = createPortalResponse(
+    link,
+    {
+      action: body.action,
+      orderItemId: body.orderItemId,
+      sections,
+      comment: typeof body.comment === "string" ? body.comment : "",
+    },
+    { ip: getClientIp(request), userAgent: request.headers.get("user-agent") || "" }
+  )
+
+  const result = applyPortalResponse(order, response)
+  if (result.refused) return result.refused
+
+  savePortalResponse(order, response, result.detail)
+
+  const actionLabel = PORTAL_RESPONSE_ACTION_CONFIG[response.action].label
+  publishNotification(NOTIFICATION_EVENTS.PORTAL_RESPONSE, {
+    recipientIds: [link.createdBy],
+    title: `${order.customerName || "Customer"}: ${actionLabel.toLowerCase()}`,
+    message: `${order.orderNumber}${result.detail ? ` - ${result.detail}` : ""}`,
+    link: `/orders/${order.id}`,
+    orderId: order.id,
+    orderItemId: response.orderItemId,
+    actor: { id: null, name: getPortalActorName(order) },
+  })
+
+  console.log(`🧾 Portal response ${response.action} on ${order.orderNumber} from ${response.ip}`)
+
+  return HttpResponse.json(
+    {
+      success: true,
+      data: buildPortalView(order, link),
+      message: "Thank you - we have your answer",
+    },
+    { status: 201 }
+  )
+})
+
+export const portalHandlers = [getPortalLinks, createLink, revokeLink, getPortal, respond]
@@ -4,6 +4,7 @@ import {
   generateProcurementDemandId,
   getProcurementDemandById,
 } from "../data/mockProcurementDemands"
+import { authorizeRequest } from "../requestAuth"
 
 const BASE_URL = "/api"
 
@@ -44,7 +45,10 @@ export const procurementHandlers = [
       total: mockProcurementDemands.length,
       open: mockProcurementDemands.filter((pd) => pd.status === "OPEN").length,
       ordered: mockProcurementDemands.filter((pd) => pd.status === "ORDERED").length,
+      partiallyReceived: mockProcurementDemands.filter((pd) => pd.status === "PARTIALLY_RECEIVED")
+        .length,
       received: mockProcurementDemands.filter((pd) => pd.status === "RECEIVED").length,
+      fulfilled: mockProcurementDemands.filter((pd) => pd.status === "FULFILLED").length,
       cancelled: mockProcurementDemands.filter((pd) => pd.status === "CANCELLED").length,
     }
     return HttpResponse.json({ success: true, data: stats })
@@ -61,6 +65,9 @@ export const procurementHandlers = [
 
   // Update procurement demand status
   http.patch(`${BASE_URL}/procurement-demands/:id`, async ({ params, request }) => {
+    const { denied } = authorizeRequest(request, "procurement.manage")
+    if (denied) return denied
+
     const data = await request.json()
     const index = mockProcurementDemands.findIndex((pd) => pd.id === params.id)
 
@@ -82,7 +89,10 @@ export const procurementHandlers = [
   }),
 
   // Delete procurement demand
-  http.delete(`${BASE_URL}/procurement-demands/:id`, ({ params }) => {
+  http.delete(`${BASE_URL}/procurement-demands/:id`, ({ params, request }) => {
+    const { denied } = authorizeRequest(request, "procurement.manage")
+    if (denied) return denied
+
     const index = mockProcurementDemands.findIndex((pd) => pd.id === params.id)
 
     if (index === -1) {
@@ -7,22 +7,31 @@
 
 import { http, HttpResponse } from "msw"
 import { mockOrderItems, mockOrders } from "../data/mockOrders"
-import {
-  mockUsers,
-  getActiveProductionHeads,
-  getActiveProductionWorkers,
-  getUserById,
-} from "../data/mockUser"
+import { getActiveProductionHeads, getActiveProductionWorkers, getUserById } from "../data/mockUser"
 import {
   mockProductionTasks,
   mockProductionAssignments,
   roundRobinState,
 } from "../data/mockProductionTasks"
+import {
+  buildProductionSchedule,
+  getTaskDurationEstimates,
+  getTaskLabel,
+  getWorkerCalendar,
+  saveWorkerCalendar,
+} from "../data/mockProductionSchedule"
+import { publishNotification } from "../data/mockNotifications"
+import { setOrderItemStatus } from "../data/mockStatusHistory"
 import {
   ORDER_ITEM_STATUS,
   SECTION_STATUS,
   PRODUCTION_TASK_STATUS,
+  PRODUCTION_TIMELINE_EVENTS,
+  PRODUCTION_TIMELINE_MESSAGES,
+  NOTIFICATION_EVENTS,
 } from "../../constants/orderConstants"
+import { WORKFLOW_LEVEL, checkTransition } from "@/lib/workflow"
+import { authorizeRequest, authorizeTransition, getRequestUser } from "../requestAuth"
 
 const BASE_URL = "/api/production"
 
@@ -30,36 +39,6 @@ const BASE_URL = "/api/production"
 // HELPER FUNCTIONS
 // ============================================================================
 
-/**
- * Get current user from auth token (simplified - in real app, decode JWT)
- */
-// const getCurrentUser = (request) => {
-//   // For now, return a mock logged-in user based on some logic
-//   // In production, this would decode the JWT token
-//   const authHeader = request.headers.get("Authorization")
-//   if (authHeader) {
-//     // Simplified: Return first production head or worker based on role
-//     // In real implementation, decode JWT to get user ID
-//   }
-//   // Default to admin for testing
-//   return mockUsers.find((u) => u.id === 1)
-// }
-
-// AFTER:
-const getCurrentUser = (request) => {
-  // Get the actual logged-in user from localStorage (same as authHandlers)
-  try {
-    const storedUser = localStorage.getItem("user")
-    if (storedUser) {
-      return JSON.parse(storedUser)
-    }
-  } catch (e) {
-    console.error("Error parsing stored user:", e)
-  }
-  // Fallback to admin only if no user is stored
-  return mockUsers.find((u) => u.id === 1)
-}
-
 /**
  * Find order by ID
  */
@@ -127,6 +106,39 @@ const hasProductionHeadAssigned = (orderItemId) => {
   return mockProductionAssignments.some((a) => a.orderItemId === orderItemId)
 }
 
+/**
+ * Why a worker calendar cannot be saved, or null when it is valid
+ */
+const getCalendarError = ({ workDays, startTime, endTime, timeOff }) => {
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/
+
+  if (
+    !Array.isArray(workDays) ||
+    workDays.some((day) => !Number.isInteger(day) || day < 0 || day > 6)
+  ) {
+    return "Work days must be days of the week (0 = Sunday to 6 = Saturday)"
+  }
+  if (!timePattern.test(startTime || "") || !timePattern.test(endTime || "")) {
+    return "Start and end time must be given as HH:mm"
+  }
+  if (endTime <= startTime) {
+    return "End time must be after start time"
+  }
+  if (!Array.isArray(timeOff)) {
+    return "Time off must be a list"
+  }
+  const badTimeOff = timeOff.find(
+    (off) =>
+      !datePattern.test(off.from || "") ||
+      (off.to && (!datePattern.test(off.to) || off.to < off.from))
+  )
+  if (badTimeOff) {
+    return "Time off needs a from date (yyyy-MM-dd) and a to date that is not before it"
+  }
+  return null
+}
+
 /**
  * Get next production head using round robin
  */
@@ -241,8 +253,10 @@ const getReadyForAssignment = http.get(`${BASE_URL}/ready-for-assignment`, async
  */
 const assignProductionHead = http.post(
   `${BASE_URL}/assign-head/:orderItemId`,
-  async ({ params }) => {
+  async ({ params, request }) => {
     const { orderItemId } = params
+    const { user, denied } = authorizeRequest(request, "production.assign_head")
+    if (denied) return denied
     const orderItem = findOrderItem(orderItemId)
 
     if (!orderItem) {
@@ -280,7 +294,7 @@ const assignProductionHead = http.post(
       productionHeadId: assignedHead.id,
       productionHeadName: assignedHead.name,
       assignedAt: new Date().toISOString(),
-      assignedBy: 1, // Admin
+      assignedBy: user.id,
       productionStartedAt: null,
     }
     mockProductionAssignments.push(assignment)
@@ -292,11 +306,22 @@ const assignProductionHead = http.post(
       mockOrderItems[orderItemIndex].timeline.push({
         id: `log-${Date.now()}`,
         action: `Production head assigned: ${assignedHead.name}`,
-        user: "System",
+        user: user.name,
         timestamp: new Date().toISOString(),
       })
     }
 
+    const order = findOrder(orderItem.orderId)
+    publishNotification(NOTIFICATION_EVENTS.PRODUCTION_HEAD_ASSIGNED, {
+      recipientIds: [assignedHead.id],
+      title: "Order item assigned to you",
+      message: `${orderItem.productName}${order ? ` (${order.orderNumber})` : ""} is yours to take through production`,
+      link: `/production/order-item/${orderItemId}`,
+      orderId: orderItem.orderId,
+      orderItemId,
+      actor: user,
+    })
+
     return HttpResponse.json({
       success: true,
       data: {
@@ -313,9 +338,7 @@ const assignProductionHead = http.post(
  * Get order items assigned to current production head
  */
 const getMyAssignments = http.get(`${BASE_URL}/my-assignments`, async ({ request }) => {
-  // In real implementation, get user from JWT
-  // For now, get all production head assignments or filter by a specific user
-  const currentUser = getCurrentUser(request)
+  const currentUser = getRequestUser(request)
 
   // Get assignments for the current user (or all if admin)
   const assignments = mockProductionAssignments.filter((a) => {
@@ -479,6 +502,8 @@ const createSectionTasks = http.post(
   `${BASE_URL}/order-item/:orderItemId/section/:sectionName/tasks`,
   async ({ params, request }) => {
     const { orderItemId, sectionName } = params
+    const { user, denied } = authorizeRequest(request, "production.assign_tasks")
+    if (denied) return denied
     const data = await request.json()
     const { tasks, notes } = data
 
@@ -494,8 +519,20 @@ const createSectionTasks = http.post(
     const sectionKey = sectionName.toLowerCase()
     if (orderItem.sectionStatuses?.[sectionKey]) {
       const sectionData = orderItem.sectionStatuses[sectionKey]
+      const isRework = sectionData.status === SECTION_STATUS.QA_REJECTED || sectionData.isAlteration
+
+      // Tasks are only created for sections about to start production (or rework)
+      const check = checkTransition(
+        WORKFLOW_LEVEL.SECTION,
+        isRework ? "START_REWORK" : "START_PRODUCTION",
+        sectionData,
+        { user }
+      )
+      if (!check.allowed) {
+        return HttpResponse.json(check.body, { status: check.httpStatus })
+      }
 
-      if (sectionData.status === SECTION_STATUS.QA_REJECTED || sectionData.isAlteration) {
+      if (isRework) {
         // Mark old tasks as previous round
         const oldTasks = mockProductionTasks.filter(
           (t) =>
@@ -530,7 +567,7 @@ const createSectionTasks = http.post(
         orderItem.timeline.push({
           id: `log-${Date.now()}`,
           action: `Rework tasks created for ${sectionName} (Round ${sectionData.qaData?.currentRound || 2})`,
-          user: "Production Head",
+          user: user.name,
           timestamp: now,
         })
       }
@@ -549,7 +586,7 @@ const createSectionTasks = http.post(
         assignedToId: parseInt(task.workerId),
         assignedToName: worker?.name || "Unknown",
         assignedAt: now,
-        assignedBy: 3, // Production head
+        assignedBy: user.id,
         status: index === 0 ? PRODUCTION_TASK_STATUS.READY : PRODUCTION_TASK_STATUS.PENDING,
         startedAt: null,
         completedAt: null,
@@ -618,8 +655,14 @@ const getSectionTasks = http.get(
  */
 const startSectionProduction = http.post(
   `${BASE_URL}/order-item/:orderItemId/section/:sectionName/start`,
-  async ({ params }) => {
+  async ({ params, request }) => {
     const { orderItemId, sectionName } = params
+    const { user, denied } = authorizeTransition(
+      request,
+      WORKFLOW_LEVEL.SECTION,
+      "START_PRODUCTION"
+    )
+    if (denied) return denied
     const now = new Date().toISOString()
 
     // Update section status
@@ -627,6 +670,16 @@ const startSectionProduction = http.post(
     if (orderItemIndex !== -1 && mockOrderItems[orderItemIndex].sectionStatuses) {
       const sectionKey = sectionName.toLowerCase()
       if (mockOrderItems[orderItemIndex].sectionStatuses[sectionKey]) {
+        const check = checkTransition(
+          WORKFLOW_LEVEL.SECTION,
+          "START_PRODUCTION",
+          mockOrderItems[orderItemIndex].sectionStatuses[sectionKey],
+          { user }
+        )
+        if (!check.allowed) {
+          return HttpResponse.json(check.body, { status: check.httpStatus })
+        }
+
         mockOrderItems[orderItemIndex].sectionStatuses[sectionKey].status =
           SECTION_STATUS.IN_PRODUCTION
         mockOrderItems[orderItemIndex].sectionStatuses[sectionKey].productionStartedAt = now
@@ -643,9 +696,19 @@ const startSectionProduction = http.post(
       )
 
       if (allInProduction) {
-        mockOrderItems[orderItemIndex].status = ORDER_ITEM_STATUS.IN_PRODUCTION
+        setOrderItemStatus(
+          mockOrderItems[orderItemIndex],
+          ORDER_ITEM_STATUS.IN_PRODUCTION,
+          user,
+          now
+        )
       } else if (hasInProduction) {
-        mockOrderItems[orderItemIndex].status = ORDER_ITEM_STATUS.PARTIAL_IN_PRODUCTION
+        setOrderItemStatus(
+          mockOrderItems[orderItemIndex],
+          ORDER_ITEM_STATUS.PARTIAL_IN_PRODUCTION,
+          user,
+          now
+        )
       }
 
       // Update assignment
@@ -664,7 +727,7 @@ const startSectionProduction = http.post(
       mockOrderItems[orderItemIndex].timeline.push({
         id: `log-${Date.now()}`,
         action: `Production started for ${sectionName} section`,
-        user: "Production Head",
+        user: user.name,
         timestamp: now,
       })
     }
@@ -681,9 +744,7 @@ const startSectionProduction = http.post(
  * Get all tasks assigned to current worker
  */
 const getWorkerTasks = http.get(`${BASE_URL}/worker/my-tasks`, async ({ request }) => {
-  // In real implementation, get user from JWT
-  // For now, return all tasks or filter by a specific worker
-  const currentUser = getCurrentUser(request)
+  const currentUser = getRequestUser(request)
 
   // Get tasks - if worker, filter to their tasks only
   let tasks = mockProductionTasks
@@ -743,130 +804,153 @@ const getWorkerTasks = http.get(`${BASE_URL}/worker/my-tasks`, async ({ request
  * POST /api/production/tasks/:taskId/start
  * Start a task
  */
-const startTaskHandler = http.post(`${BASE_URL}/tasks/:taskId/start`, async ({ params }) => {
-  const { taskId } = params
-  const now = new Date().toISOString()
+const startTaskHandler = http.post(
+  `${BASE_URL}/tasks/:taskId/start`,
+  async ({ params, request }) => {
+    const { taskId } = params
+    const { user, denied } = authorizeRequest(request, "production.start_task")
+    if (denied) return denied
+    const now = new Date().toISOString()
 
-  const taskIndex = mockProductionTasks.findIndex((t) => t.id === taskId)
-  if (taskIndex === -1) {
-    return HttpResponse.json({ success: false, error: "Task not found" }, { status: 404 })
-  }
+    const taskIndex = mockProductionTasks.findIndex((t) => t.id === taskId)
+    if (taskIndex === -1) {
+      return HttpResponse.json({ success: false, error: "Task not found" }, { status: 404 })
+    }
 
-  const task = mockProductionTasks[taskIndex]
+    const task = mockProductionTasks[taskIndex]
 
-  // Check if task can be started (must be READY status)
-  if (task.status !== PRODUCTION_TASK_STATUS.READY) {
-    return HttpResponse.json(
-      { success: false, error: "Task cannot be started. Status must be READY." },
-      { status: 400 }
-    )
-  }
+    // Check if task can be started (must be READY status)
+    if (task.status !== PRODUCTION_TASK_STATUS.READY) {
+      return HttpResponse.json(
+        { success: false, error: "Task cannot be started. Status must be READY." },
+        { status: 400 }
+      )
+    }
 
-  // Update task
-  mockProductionTasks[taskIndex].status = PRODUCTION_TASK_STATUS.IN_PROGRESS
-  mockProductionTasks[taskIndex].startedAt = now
-  mockProductionTasks[taskIndex].updatedAt = now
+    // Update task
+    mockProductionTasks[taskIndex].status = PRODUCTION_TASK_STATUS.IN_PROGRESS
+    mockProductionTasks[taskIndex].startedAt = now
+    mockProductionTasks[taskIndex].startedBy = user.id
+    mockProductionTasks[taskIndex].updatedAt = now
 
-  return HttpResponse.json({
-    success: true,
-    data: mockProductionTasks[taskIndex],
-    message: "Task started successfully",
-  })
-})
+    return HttpResponse.json({
+      success: true,
+      data: mockProductionTasks[taskIndex],
+      message: "Task started successfully",
+    })
+  }
+)
 
 /**
  * POST /api/production/tasks/:taskId/complete
  * Complete a task
  */
-const completeTaskHandler = http.post(`${BASE_URL}/tasks/:taskId/complete`, async ({ params }) => {
-  const { taskId } = params
-  const now = new Date().toISOString()
-
-  const taskIndex = mockProductionTasks.findIndex((t) => t.id === taskId)
-  if (taskIndex === -1) {
-    return HttpResponse.json({ success: false, error: "Task not found" }, { status: 404 })
-  }
+const completeTaskHandler = http.post(
+  `${BASE_URL}/tasks/:taskId/complete`,
+  async ({ params, request }) => {
+    const { taskId } = params
+    const { user, denied } = authorizeRequest(request, "production.complete_task")
+    if (denied) return denied
+    const now = new Date().toISOString()
 
-  const task = mockProductionTasks[taskIndex]
+    const taskIndex = mockProductionTasks.findIndex((t) => t.id === taskId)
+    if (taskIndex === -1) {
+      return HttpResponse.json({ success: false, error: "Task not found" }, { status: 404 })
+    }
 
-  // Check if task can be completed
-  if (task.status !== PRODUCTION_TASK_STATUS.IN_PROGRESS) {
-    return HttpResponse.json(
-      { success: false, error: "Task cannot be completed. Must be IN_PROGRESS." },
-      { status: 400 }
-    )
-  }
+    const task = mockProductionTasks[taskIndex]
 
-  // Calculate duration in minutes
-  const startTime = new Date(task.startedAt)
-  const endTime = new Date(now)
-  const durationMs = endTime - startTime
-  const durationMinutes = Math.round(durationMs / (1000 * 60))
-
-  // Update task
-  mockProductionTasks[taskIndex].status = PRODUCTION_TASK_STATUS.COMPLETED
-  mockProductionTasks[taskIndex].completedAt = now
-  mockProductionTasks[taskIndex].duration = durationMinutes
-  mockProductionTasks[taskIndex].updatedAt = now
-
-  // Mark next task as READY
-  const nextTask = mockProductionTasks.find(
-    (t) =>
-      t.orderItemId === task.orderItemId &&
-      t.sectionName === task.sectionName &&
-      t.sequenceOrder === task.sequenceOrder + 1
-  )
-  if (nextTask) {
-    const nextIndex = mockProductionTasks.findIndex((t) => t.id === nextTask.id)
-    if (nextIndex !== -1) {
-      mockProductionTasks[nextIndex].status = PRODUCTION_TASK_STATUS.READY
-      mockProductionTasks[nextIndex].updatedAt = now
+    // Check if task can be completed
+    if (task.status !== PRODUCTION_TASK_STATUS.IN_PROGRESS) {
+      return HttpResponse.json(
+        { success: false, error: "Task cannot be completed. Must be IN_PROGRESS." },
+        { status: 400 }
+      )
     }
-  }
 
-  // Check if all tasks for this section are complete
-  const sectionTasks = mockProductionTasks.filter(
-    (t) => t.orderItemId === task.orderItemId && t.sectionName === task.sectionName
-  )
-  const allComplete = sectionTasks.every((t) => t.status === PRODUCTION_TASK_STATUS.COMPLETED)
-
-  if (allComplete) {
-    // Update section status to PRODUCTION_COMPLETED
-    const orderItemIndex = mockOrderItems.findIndex((oi) => oi.id === task.orderItemId)
-    if (orderItemIndex !== -1 && mockOrderItems[orderItemIndex].sectionStatuses) {
-      const sectionKey = task.sectionName.toLowerCase()
-      if (mockOrderItems[orderItemIndex].sectionStatuses[sectionKey]) {
-        mockOrderItems[orderItemIndex].sectionStatuses[sectionKey].status =
-          SECTION_STATUS.PRODUCTION_COMPLETED
-        mockOrderItems[orderItemIndex].sectionStatuses[sectionKey].updatedAt = now
+    // Calculate duration in minutes
+    const startTime = new Date(task.startedAt)
+    const endTime = new Date(now)
+    const durationMs = endTime - startTime
+    const durationMinutes = Math.round(durationMs / (1000 * 60))
+
+    // Update task
+    mockProductionTasks[taskIndex].status = PRODUCTION_TASK_STATUS.COMPLETED
+    mockProductionTasks[taskIndex].completedAt = now
+    mockProductionTasks[taskIndex].completedBy = user.id
+    mockProductionTasks[taskIndex].duration = durationMinutes
+    mockProductionTasks[taskIndex].updatedAt = now
+
+    // Mark next task as READY
+    const nextTask = mockProductionTasks.find(
+      (t) =>
+        t.orderItemId === task.orderItemId &&
+        t.sectionName === task.sectionName &&
+        t.sequenceOrder === task.sequenceOrder + 1
+    )
+    if (nextTask) {
+      const nextIndex = mockProductionTasks.findIndex((t) => t.id === nextTask.id)
+      if (nextIndex !== -1) {
+        mockProductionTasks[nextIndex].status = PRODUCTION_TASK_STATUS.READY
+        mockProductionTasks[nextIndex].updatedAt = now
       }
+    }
 
-      // Check if all sections are production completed
-      const allSectionsComplete = Object.values(
-        mockOrderItems[orderItemIndex].sectionStatuses
-      ).every((s) => s.status === SECTION_STATUS.PRODUCTION_COMPLETED)
+    // Check if all tasks for this section are complete
+    const sectionTasks = mockProductionTasks.filter(
+      (t) => t.orderItemId === task.orderItemId && t.sectionName === task.sectionName
+    )
+    const allComplete = sectionTasks.every((t) => t.status === PRODUCTION_TASK_STATUS.COMPLETED)
+
+    if (allComplete) {
+      // Update section status to PRODUCTION_COMPLETED
+      const orderItemIndex = mockOrderItems.findIndex((oi) => oi.id === task.orderItemId)
+      if (orderItemIndex !== -1 && mockOrderItems[orderItemIndex].sectionStatuses) {
+        const sectionKey = task.sectionName.toLowerCase()
+        const sectionData = mockOrderItems[orderItemIndex].sectionStatuses[sectionKey]
+        if (
+          sectionData &&
+          checkTransition(WORKFLOW_LEVEL.SECTION, "COMPLETE_PRODUCTION", sectionData).allowed
+        ) {
+          mockOrderItems[orderItemIndex].sectionStatuses[sectionKey].status =
+            SECTION_STATUS.PRODUCTION_COMPLETED
+          mockOrderItems[orderItemIndex].sectionStatuses[sectionKey].updatedAt = now
+        }
 
-      if (allSectionsComplete) {
-        mockOrderItems[orderItemIndex].status = ORDER_ITEM_STATUS.PRODUCTION_COMPLETED
-      }
+        // Check if all sections are production completed
+        const allSectionsComplete = Object.values(
+          mockOrderItems[orderItemIndex].sectionStatuses
+        ).every((s) => s.status === SECTION_STATUS.PRODUCTION_COMPLETED)
+
+        if (allSectionsComplete) {
+          setOrderItemStatus(
+            mockOrderItems[orderItemIndex],
+            ORDER_ITEM_STATUS.PRODUCTION_COMPLETED,
+            user,
+            now
+          )
+        }
 
-      // Add timeline entry
-      mockOrderItems[orderItemIndex].timeline = mockOrderItems[orderItemIndex].timeline || []
-      mockOrderItems[orderItemIndex].timeline.push({
-        id: `log-${Date.now()}`,
-        action: `Production completed for ${task.sectionName} section${allSectionsComplete ? " - All sections complete!" : ""}`,
-        user: task.assignedToName,
-        timestamp: now,
-      })
+        // Add timeline entry
+        mockOrderItems[orderItemIndex].timeline = mockOrderItems[orderItemIndex].timeline || []
+        mockOrderItems[orderItemIndex].timeline.push({
+          id: `log-${Date.now()}`,
+          action: `Production completed for ${task.sectionName} section${allSectionsComplete ? " - All sections complete!" : ""}`,
+          user: user.name,
+          timestamp: now,
+          event: PRODUCTION_TIMELINE_EVENTS.SECTION_PRODUCTION_COMPLETED,
+          sections: [task.sectionName],
+        })
+      }
     }
-  }
 
-  return HttpResponse.json({
-    success: true,
-    data: mockProductionTasks[taskIndex],
-    message: `Task completed${allComplete ? ` - ${task.sectionName} section production finished!` : ""}`,
-  })
-})
+    return HttpResponse.json({
+      success: true,
+      data: mockProductionTasks[taskIndex],
+      message: `Task completed${allComplete ? ` - ${task.sectionName} section production finished!` : ""}`,
+    })
+  }
+)
 
 /**
  * GET /api/production/order-item/:id/section/:section/timeline
@@ -906,8 +990,10 @@ const getSectionTimeline = http.get(
  */
 const sendSectionToQA = http.post(
   `${BASE_URL}/order-item/:orderItemId/section/:sectionName/send-to-qa`,
-  async ({ params }) => {
+  async ({ params, request }) => {
     const { orderItemId, sectionName } = params
+    const { user, denied } = authorizeTransition(request, WORKFLOW_LEVEL.SECTION, "SEND_TO_QA")
+    if (denied) return denied
     const now = new Date().toISOString()
 
     const orderItemIndex = mockOrderItems.findIndex((oi) => oi.id === orderItemId)
@@ -920,12 +1006,14 @@ const sendSectionToQA = http.post(
       return HttpResponse.json({ success: false, error: "Section not found" }, { status: 404 })
     }
 
-    const currentStatus = mockOrderItems[orderItemIndex].sectionStatuses[sectionKey].status
-    if (currentStatus !== SECTION_STATUS.PRODUCTION_COMPLETED) {
-      return HttpResponse.json(
-        { success: false, error: "Section must be PRODUCTION_COMPLETED to send to QA" },
-        { status: 400 }
-      )
+    const check = checkTransition(
+      WORKFLOW_LEVEL.SECTION,
+      "SEND_TO_QA",
+      mockOrderItems[orderItemIndex].sectionStatuses[sectionKey],
+      { user }
+    )
+    if (!check.allowed) {
+      return HttpResponse.json(check.body, { status: check.httpStatus })
     }
 
     // Update section status
@@ -939,7 +1027,12 @@ const sendSectionToQA = http.post(
     )
 
     if (allSectionsInQA) {
-      mockOrderItems[orderItemIndex].status = ORDER_ITEM_STATUS.QUALITY_ASSURANCE
+      setOrderItemStatus(
+        mockOrderItems[orderItemIndex],
+        ORDER_ITEM_STATUS.QUALITY_ASSURANCE,
+        user,
+        now
+      )
     }
 
     // Add timeline entry
@@ -947,7 +1040,7 @@ const sendSectionToQA = http.post(
     mockOrderItems[orderItemIndex].timeline.push({
       id: `log-${Date.now()}`,
       action: `${sectionName} section sent to QA${allSectionsInQA ? " - All sections now in QA" : ""}`,
-      user: "Production Head",
+      user: user.name,
       timestamp: now,
     })
 
@@ -958,6 +1051,174 @@ const sendSectionToQA = http.post(
   }
 )
 
+// ============================================================================
+// SCHEDULING BOARD
+// ============================================================================
+
+/**
+ * GET /api/production/schedule
+ * Forward schedule of all open tasks on worker calendars, with the order items
+ * projected to finish after their due date
+ */
+const getProductionSchedule = http.get(`${BASE_URL}/schedule`, async ({ request }) => {
+  const { denied } = authorizeRequest(request, "production.manage")
+  if (denied) return denied
+
+  return HttpResponse.json({
+    success: true,
+    data: buildProductionSchedule(),
+  })
+})
+
+/**
+ * POST /api/production/schedule/preview
+ * Schedule as it would be with some tasks moved to other workers. Nothing is saved.
+ * Body: { reassignments: { [taskId]: workerId } }
+ */
+const previewProductionSchedule = http.post(`${BASE_URL}/schedule/preview`, async ({ request }) => {
+  const { denied } = authorizeRequest(request, "production.manage")
+  if (denied) return denied
+  const { reassignments = {} } = await request.json()
+
+  return HttpResponse.json({
+    success: true,
+    data: buildProductionSchedule({ reassignments }),
+  })
+})
+
+/**
+ * GET /api/production/task-estimates
+ * Estimated duration of each task type, learned from completed tasks
+ */
+const getTaskEstimates = http.get(`${BASE_URL}/task-estimates`, async ({ request }) => {
+  const { denied } = authorizeRequest(request, "production.view")
+  if (denied) return denied
+
+  return HttpResponse.json({
+    success: true,
+    data: getTaskDurationEstimates(),
+  })
+})
+
+/**
+ * POST /api/production/tasks/:taskId/reassign
+ * Move a task that has not been started to another worker
+ * Body: { workerId }
+ */
+const reassignTask = http.post(
+  `${BASE_URL}/tasks/:taskId/reassign`,
+  async ({ params, request }) => {
+    const { taskId } = params
+    const { user, denied } = authorizeRequest(request, "production.assign_tasks")
+    if (denied) return denied
+    const { workerId } = await request.json()
+    const now = new Date().toISOString()
+
+    const task = mockProductionTasks.find((t) => t.id === taskId)
+    if (!task) {
+      return HttpResponse.json({ success: false, error: "Task not found" }, { status: 404 })
+    }
+
+    if (
+      task.status !== PRODUCTION_TASK_STATUS.PENDING &&
+      task.status !== PRODUCTION_TASK_STATUS.READY
+    ) {
+      return HttpResponse.json(
+        { success: false, error: "Only tasks that have not been started can be moved" },
+        { status: 400 }
+      )
+    }
+
+    const worker = getActiveProductionWorkers().find((w) => w.id === parseInt(workerId))
+    if (!worker) {
+      return HttpResponse.json(
+        { success: false, error: "Worker not found or not active" },
+        { status: 400 }
+      )
+    }
+
+    if (parseInt(task.assignedToId) === worker.id) {
+      return HttpResponse.json(
+        { success: false, error: `Task is already assigned to ${worker.name}` },
+        { status: 400 }
+      )
+    }
+
+    const fromWorkerName = task.assignedToName
+    task.assignedToId = worker.id
+    task.assignedToName = worker.name
+    task.assignedAt = now
+    task.assignedBy = user.id
+    task.updatedAt = now
+
+    const message = PRODUCTION_TIMELINE_MESSAGES.TASK_REASSIGNED(
+      getTaskLabel(task),
+      task.sectionName,
+      fromWorkerName,
+      worker.name
+    )
+    const orderItem = findOrderItem(task.orderItemId)
+    if (orderItem) {
+      orderItem.timeline = orderItem.timeline || []
+      orderItem.timeline.push({
+        id: `log-${Date.now()}`,
+        action: message,
+        user: user.name,
+        timestamp: now,
+        event: PRODUCTION_TIMELINE_EVENTS.TASK_REASSIGNED,
+        sections: [task.sectionName],
+      })
+    }
+
+    return HttpResponse.json({
+      success: true,
+      data: task,
+      message,
+    })
+  }
+)
+
+/**
+ * PUT /api/production/workers/:workerId/calendar
+ * Set a worker's working days, hours and time off
+ * Body: { workDays, startTime, endTime, timeOff: [{ from, to, reason }] }
+ */
+const updateWorkerCalendar = http.put(
+  `${BASE_URL}/workers/:workerId/calendar`,
+  async ({ params, request }) => {
+    const { user, denied } = authorizeRequest(request, "production.manage")
+    if (denied) return denied
+    const data = await request.json()
+
+    const worker = getUserById(params.workerId)
+    if (!worker || worker.role !== "WORKER") {
+      return HttpResponse.json({ success: false, error: "Worker not found" }, { status: 404 })
+    }
+
+    const calendar = {
+      ...getWorkerCalendar(worker.id),
+      ...data,
+    }
+    calendar.timeOff = (calendar.timeOff || []).map((off, index) => ({
+      id: off.id || `off-${Date.now()}-${index}`,
+      from: off.from,
+      to: off.to || off.from,
+      reason: off.reason || "",
+    }))
+
+    const error = getCalendarError(calendar)
+    if (error) {
+      return HttpResponse.json({ success: false, error }, { status: 400 })
+    }
+
+    return HttpResponse.json({
+      success: true,
+      data: saveWorkerCalendar(worker.id, calendar, user),
+      message: `Calendar updated for ${worker.name}`,
+    })
+  }
+)
+
 // ============================================================================
 // EXPORT HANDLERS
 // ============================================================================
@@ -986,6 +1247,13 @@ export const productionHandlers = [
 
   // Section Completion
   sendSectionToQA,
+
+  // Scheduling Board
+  getProductionSchedule,
+  previewProductionSchedule,
+  getTaskEstimates,
+  reassignTask,
+  updateWorkerCalendar,
 ]
 
 export default productionHandlers
@@ -1,5 +1,6 @@
 import { http, HttpResponse } from "msw"
 import { appConfig } from "@/config/appConfig"
+import { authorizeRequest } from "../requestAuth"
 import {
   mockProducts,
   mockBOMs,
@@ -11,10 +12,37 @@ import {
   getAvailableSizes,
   getNextVersionNumber,
 } from "../data/mockProducts"
+import { getUnitMismatch, normalizeUnit } from "@/lib/units"
 
 // Import mockInventoryItems to enrich the BOM items
 const { mockInventoryItems } = await import("../data/mockInventory")
 
+/**
+ * 400 response when a BOM line's unit cannot be converted to the unit its
+ * material is stocked in, otherwise null
+ */
+const rejectBOMUnit = (unit, inventoryItem) => {
+  const mismatch = getUnitMismatch(unit, inventoryItem.unit)
+  if (!mismatch) return null
+  return HttpResponse.json({ success: false, error: mismatch }, { status: 400 })
+}
+
+/**
+ * 400 response when a product's ready stock link does not point at a
+ * READY_STOCK inventory item, otherwise null
+ */
+const rejectReadyStockItem = (readyStockItemId) => {
+  if (readyStockItemId === null || readyStockItemId === undefined || readyStockItemId === "") {
+    return null
+  }
+  const item = mockInventoryItems.find((inv) => inv.id === parseInt(readyStockItemId))
+  if (item?.category === "READY_STOCK") return null
+  return HttpResponse.json(
+    { success: false, error: `Inventory item ${readyStockItemId} is not a ready stock item` },
+    { status: 400 }
+  )
+}
+
 // ==================== PRODUCTS HANDLERS ====================
 
 export const productsHandlers = [
@@ -83,6 +111,9 @@ export const productsHandlers = [
     async ({ params, request }) => {
       await new Promise((resolve) => setTimeout(resolve, 300))
 
+      const { denied } = authorizeRequest(request, "products.edit")
+      if (denied) return denied
+
       const { productId } = params
       const body = await request.json()
       const productIndex = mockProducts.findIndex((p) => p.id === productId)
@@ -137,6 +168,9 @@ export const productsHandlers = [
     async ({ params, request }) => {
       await new Promise((resolve) => setTimeout(resolve, 300))
 
+      const { denied } = authorizeRequest(request, "products.edit")
+      if (denied) return denied
+
       const { productId } = params
       const body = await request.json()
       const productIndex = mockProducts.findIndex((p) => p.id === productId)
@@ -191,6 +225,9 @@ export const productsHandlers = [
     async ({ params, request }) => {
       await new Promise((resolve) => setTimeout(resolve, 300))
 
+      const { denied } = authorizeRequest(request, "products.edit")
+      if (denied) return denied
+
       const { productId } = params
       const body = await request.json()
       const productIndex = mockProducts.findIndex((p) => p.id === productId)
@@ -388,9 +425,12 @@ export const productsHandlers = [
   // DELETE /products/:productId/measurement-charts/size-chart - Remove size chart
   http.delete(
     `${appConfig.apiBaseUrl}/products/:productId/measurement-charts/size-chart`,
-    async ({ params }) => {
+    async ({ params, request }) => {
       await new Promise((resolve) => setTimeout(resolve, 200))
 
+      const { denied } = authorizeRequest(request, "products.edit")
+      if (denied) return denied
+
       const { productId } = params
       const productIndex = mockProducts.findIndex((p) => p.id === productId)
 
@@ -417,9 +457,12 @@ export const productsHandlers = [
   // DELETE /products/:productId/measurement-charts/height-chart - Remove height chart
   http.delete(
     `${appConfig.apiBaseUrl}/products/:productId/measurement-charts/height-chart`,
-    async ({ params }) => {
+    async ({ params, request }) => {
       await new Promise((resolve) => setTimeout(resolve, 200))
 
+      const { denied } = authorizeRequest(request, "products.edit")
+      if (denied) return denied
+
       const { productId } = params
       const productIndex = mockProducts.findIndex((p) => p.id === productId)
 
@@ -462,12 +505,26 @@ export const productsHandlers = [
 
     // Include available sizes
     const availableSizes = getAvailableSizes(id)
+    const readyStockItem = product.ready_stock_item_id
+      ? mockInventoryItems.find((inv) => inv.id === product.ready_stock_item_id)
+      : null
 
     return HttpResponse.json({
       success: true,
       data: {
         ...product,
         available_sizes: availableSizes, // NEW: List of sizes with BOMs
+        ready_stock_item: readyStockItem
+          ? {
+              id: readyStockItem.id,
+              name: readyStockItem.name,
+              sku: readyStockItem.sku,
+              variants: readyStockItem.variants.map((v) => ({
+                size: v.size,
+                remaining_stock: v.remaining_stock,
+              })),
+            }
+          : null,
       },
     })
   }),
@@ -476,6 +533,9 @@ export const productsHandlers = [
   http.post(`${appConfig.apiBaseUrl}/products`, async ({ request }) => {
     await new Promise((resolve) => setTimeout(resolve, 400))
 
+    const { denied } = authorizeRequest(request, "products.create")
+    if (denied) return denied
+
     const body = await request.json()
 
     // Validation
@@ -503,6 +563,9 @@ export const productsHandlers = [
       )
     }
 
+    const invalidReadyStock = rejectReadyStockItem(body.ready_stock_item_id)
+    if (invalidReadyStock) return invalidReadyStock
+
     // Calculate totals from product_items and add_ons
     const productItems = body.product_items || []
     const addOns = body.add_ons || []
@@ -519,6 +582,7 @@ export const productsHandlers = [
       active: body.is_active !== undefined ? body.is_active : true,
       shopify_product_id: body.shopify_product_id || null,
       shopify_variant_id: body.shopify_variant_id || null,
+      ready_stock_item_id: body.ready_stock_item_id ? parseInt(body.ready_stock_item_id) : null,
       primary_image: body.image_url || null,
 
       // New structure
@@ -548,6 +612,9 @@ export const productsHandlers = [
   http.put(`${appConfig.apiBaseUrl}/products/:id`, async ({ params, request }) => {
     await new Promise((resolve) => setTimeout(resolve, 400))
 
+    const { denied } = authorizeRequest(request, "products.edit")
+    if (denied) return denied
+
     const { id } = params
     const body = await request.json()
     const productIndex = mockProducts.findIndex((p) => p.id === id)
@@ -564,6 +631,9 @@ export const productsHandlers = [
 
     const product = mockProducts[productIndex]
 
+    const invalidReadyStock = rejectReadyStockItem(body.ready_stock_item_id)
+    if (invalidReadyStock) return invalidReadyStock
+
     // If product_items or add_ons changed, recalculate totals
     let subtotal = product.subtotal
     let totalPrice = product.total_price
@@ -626,6 +696,12 @@ export const productsHandlers = [
         body.shopify_variant_id !== undefined
           ? body.shopify_variant_id
           : product.shopify_variant_id,
+      ready_stock_item_id:
+        body.ready_stock_item_id !== undefined
+          ? body.ready_stock_item_id
+            ? parseInt(body.ready_stock_item_id)
+            : null
+          : (product.ready_stock_item_id ?? null),
 
       // New structure
       product_items: body.product_items !== undefined ? body.product_items : product.product_items,
@@ -645,9 +721,12 @@ export const productsHandlers = [
   }),
 
   // DELETE /products/:id - Delete product
-  http.delete(`${appConfig.apiBaseUrl}/products/:id`, async ({ params }) => {
+  http.delete(`${appConfig.apiBaseUrl}/products/:id`, async ({ params, request }) => {
     await new Promise((resolve) => setTimeout(resolve, 300))
 
+    const { denied } = authorizeRequest(request, "products.delete")
+    if (denied) return denied
+
     const { id } = params
     const productIndex = mockProducts.findIndex((p) => p.id === id)
 
@@ -800,6 +879,9 @@ export const productsHandlers = [
   http.post(`${appConfig.apiBaseUrl}/products/:productId/boms`, async ({ params, request }) => {
     await new Promise((resolve) => setTimeout(resolve, 400))
 
+    const { denied } = authorizeRequest(request, "products.manage_bom")
+    if (denied) return denied
+
     const { productId } = params
     const body = await request.json()
 
@@ -861,6 +943,9 @@ export const productsHandlers = [
   http.put(`${appConfig.apiBaseUrl}/boms/:bomId`, async ({ params, request }) => {
     await new Promise((resolve) => setTimeout(resolve, 400))
 
+    const { denied } = authorizeRequest(request, "products.manage_bom")
+    if (denied) return denied
+
     const { bomId } = params
     const body = await request.json()
 
@@ -911,9 +996,12 @@ export const productsHandlers = [
   }),
 
   // DELETE /boms/:bomId - Delete BOM
-  http.delete(`${appConfig.apiBaseUrl}/boms/:bomId`, async ({ params }) => {
+  http.delete(`${appConfig.apiBaseUrl}/boms/:bomId`, async ({ params, request }) => {
     await new Promise((resolve) => setTimeout(resolve, 300))
 
+    const { denied } = authorizeRequest(request, "products.manage_bom")
+    if (denied) return denied
+
     const { bomId } = params
     const bomIndex = mockBOMs.findIndex((b) => b.id === bomId)
 
@@ -1005,6 +1093,9 @@ export const productsHandlers = [
   http.post(`${appConfig.apiBaseUrl}/boms/:bomId/items`, async ({ params, request }) => {
     await new Promise((resolve) => setTimeout(resolve, 400))
 
+    const { denied } = authorizeRequest(request, "products.manage_bom")
+    if (denied) return denied
+
     const { bomId } = params
     const body = await request.json()
 
@@ -1014,7 +1105,7 @@ export const productsHandlers = [
     }
 
     // Validation - only inventory_item_id, quantity_per_unit, and piece are required
-    // Unit will be derived from the inventory item
+    // Unit defaults to the inventory item's and must convert to it
     if (!body.inventory_item_id || !body.quantity_per_unit || !body.piece) {
       return HttpResponse.json(
         {
@@ -1053,12 +1144,17 @@ export const productsHandlers = [
       )
     }
 
+    if (body.unit) {
+      const unitRejection = rejectBOMUnit(body.unit, inventoryItem)
+      if (unitRejection) return unitRejection
+    }
+
     const newItem = {
       id: `bom_item_${Date.now()}`,
       bom_id: bomId,
       inventory_item_id: parseInt(body.inventory_item_id), // Store as number
       quantity_per_unit: parseFloat(body.quantity_per_unit),
-      unit: inventoryItem.unit, // Use the inventory item's unit!
+      unit: body.unit ? normalizeUnit(body.unit) || body.unit : inventoryItem.unit,
       piece: body.piece,
       sequence_order: body.sequence_order || 1,
       notes: body.notes || "",
@@ -1087,6 +1183,9 @@ export const productsHandlers = [
   http.put(`${appConfig.apiBaseUrl}/boms/:bomId/items/:itemId`, async ({ params, request }) => {
     await new Promise((resolve) => setTimeout(resolve, 400))
 
+    const { denied } = authorizeRequest(request, "products.manage_bom")
+    if (denied) return denied
+
     const { bomId, itemId } = params
     const body = await request.json()
 
@@ -1104,6 +1203,18 @@ export const productsHandlers = [
 
     const item = mockBOMItems[itemIndex]
 
+    // A new unit or material must still convert to the material's stock unit
+    if (body.unit || body.inventory_item_id) {
+      const inventoryItemId = parseInt(body.inventory_item_id || item.inventory_item_id)
+      const inventoryItem = mockInventoryItems.find((inv) => inv.id === inventoryItemId)
+      const unit = body.unit || item.unit
+      if (inventoryItem && unit) {
+        const unitRejection = rejectBOMUnit(unit, inventoryItem)
+        if (unitRejection) return unitRejection
+      }
+      if (body.unit) body.unit = normalizeUnit(body.unit) || body.unit
+    }
+
     mockBOMItems[itemIndex] = {
       ...item,
       ...body,
@@ -1119,9 +1230,12 @@ export const productsHandlers = [
   }),
 
   // DELETE /boms/:bomId/items/:itemId - Delete BOM item
-  http.delete(`${appConfig.apiBaseUrl}/boms/:bomId/items/:itemId`, async ({ params }) => {
+  http.delete(`${appConfig.apiBaseUrl}/boms/:bomId/items/:itemId`, async ({ params, request }) => {
     await new Promise((resolve) => setTimeout(resolve, 300))
 
+    const { denied } = authorizeRequest(request, "products.manage_bom")
+    if (denied) return denied
+
     const { bomId, itemId } = params
 
     const itemIndex = mockBOMItems.findIndex((i) => i.id === itemId && i.bom_id === bomId)
@@ -0,0 +1,533 @@
+/**
+ * Purchase Order MSW Handlers
+ * src/mocks/handlers/purchaseOrderHandlers.js
+ *
+ * A purchase order (PO) buys materials from one vendor. Its lines come from
+ * open procurement demands and low-stock items; those demands are linked to
+ * the PO (status ORDERED, purchaseOrderId) as soon as it is created so they
+ * are not ordered twice. Receiving against a PO posts a STOCK_IN movement per
+ * line through applyStockIn, which fills the PO's own demands first and
+ * rechecks the sections waiting on them. The line's unit price moves the
+ * material's weighted average cost, and an optional lotNumber per received
+ * line books the stock under that dye lot / batch.
+ *
+ * Endpoints:
+ *   GET   /api/purchase-orders              - List (?status=, ?vendorId=)
+ *   GET   /api/purchase-orders/suggestions  - Open demands + low stock, grouped by vendor
+ *   GET   /api/purchase-orders/:id          - PO with vendor and linked demands
+ *   POST  /api/purchase-orders              - Create (DRAFT)
+ *   PATCH /api/purchase-orders/:id          - Update expected delivery date / notes
+ *   POST  /api/purchase-orders/:id/send     - DRAFT -> SENT
+ *   POST  /api/purchase-orders/:id/cancel   - Cancel and release linked demands
+ *   POST  /api/purchase-orders/:id/receive  - Receive quantities against lines
+ */
+
+import { http, HttpResponse } from "msw"
+import { addDays, format } from "date-fns"
+import { appConfig } from "@/config/appConfig"
+import {
+  mockPurchaseOrders,
+  generatePurchaseOrderId,
+  generatePurchaseOrderNumber,
+  getPurchaseOrderById,
+  getPurchaseOrderTotal,
+} from "../data/mockPurchaseOrders"
+import { mockVendors, getVendorById } from "../data/mockVendors"
+import { mockProcurementDemands } from "../data/mockProcurementDemands"
+import { mockInventoryItems } from "../data/mockInventory"
+import { generateTimelineId } from "../data/mockOrders"
+import { applyStockIn, rejectInvalidLot } from "./inventoryHandlers"
+import { authorizeRequest } from "../requestAuth"
+import { PROCUREMENT_DEMAND_STATUS, PURCHASE_ORDER_STATUS } from "@/constants/orderConstants"
+
+const BASE_URL = `${appConfig.apiBaseUrl}/purchase-orders`
+
+const OPEN_PO_STATUSES = [
+  PURCHASE_ORDER_STATUS.DRAFT,
+  PURCHASE_ORDER_STATUS.SENT,
+  PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED,
+]
+const CANCELLABLE_PO_STATUSES = [PURCHASE_ORDER_STATUS.DRAFT, PURCHASE_ORDER_STATUS.SENT]
+const RECEIVABLE_PO_STATUSES = [
+  PURCHASE_ORDER_STATUS.SENT,
+  PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED,
+]
+
+const errorResponse = (status, error, message) =>
+  HttpResponse.json({ success: false, error, message }, { status })
+
+const addTimelineEntry = (po, action, user) => {
+  po.timeline.push({
+    id: generateTimelineId(),
+    action,
+    user: user || "System",
+    timestamp: new Date().toISOString(),
+  })
+}
+
+const getOutstandingQty = (line) => line.quantity - line.receivedQty
+
+/** Shortage still to be bought for a demand */
+const getDemandOutstandingQty = (demand) => demand.shortageQty - (demand.receivedQty || 0)
+
+/** Quantity of an item still to arrive on open purchase orders */
+const getOnOrderQty = (inventoryItemId) =>
+  mockPurchaseOrders
+    .filter((po) => OPEN_PO_STATUSES.includes(po.status))
+    .flatMap((po) => po.lines)
+    .filter((line) => line.inventoryItemId === inventoryItemId)
+    .reduce((sum, line) => sum + getOutstandingQty(line), 0)
+
+/**
+ * PO with the running totals the list and detail pages show
+ */
+const withTotals = (po) => ({
+  ...po,
+  totalAmount: getPurchaseOrderTotal(po),
+  totalQuantity: po.lines.reduce((sum, line) => sum + line.quantity, 0),
+  receivedQuantity: po.lines.reduce((sum, line) => sum + line.receivedQty, 0),
+})
+
+/**
+ * Build the reorder suggestions: every open demand that is not on a PO yet,
+ * plus simple items below their reorder level that have nothing on order,
+ * grouped by the item's vendor. Items without a vendor are listed separately.
+ */
+const buildSuggestions = () => {
+  const linesByItem = new Map()
+
+  const getLine = (item) => {
+    if (!linesByItem.has(item.id)) {
+      linesByItem.set(item.id, {
+        inventoryItemId: item.id,
+        name: item.name,
+        sku: item.sku,
+        unit: item.unit,
+        unitPrice: item.unit_price || 0,
+        remainingStock: item.remaining_stock,
+        reorderLevel: item.reorder_level,
+        vendorId: item.vendor_id || null,
+        demandIds: [],
+        demandQty: 0,
+        reorderQty: 0,
+      })
+    }
+    return linesByItem.get(item.id)
+  }
+
+  mockProcurementDemands
+    .filter((pd) => pd.status === PROCUREMENT_DEMAND_STATUS.OPEN && !pd.purchaseOrderId)
+    .forEach((pd) => {
+      const item = mockInventoryItems.find((i) => i.id === pd.inventoryItemId)
+      if (!item || item.has_variants) return
+
+      const line = getLine(item)
+      line.demandIds.push(pd.id)
+      line.demandQty += getDemandOutstandingQty(pd)
+    })
+
+  mockInventoryItems
+    .filter((item) => !item.has_variants && item.remaining_stock < item.reorder_level)
+    .filter((item) => getOnOrderQty(item.id) === 0)
+    .forEach((item) => {
+      getLine(item).reorderQty =
+        item.reorder_amount || Math.max(item.reorder_level - item.remaining_stock, 0)
+    })
+
+  const lines = [...linesByItem.values()]
+    .map((line) => ({ ...line, suggestedQty: line.demandQty + line.reorderQty }))
+    .filter((line) => line.suggestedQty > 0)
+    .sort((a, b) => b.demandQty - a.demandQty || a.name.localeCompare(b.name))
+
+  const vendors = mockVendors
+    .filter((vendor) => vendor.active)
+    .map((vendor) => ({
+      vendorId: vendor.id,
+      vendorName: vendor.name,
+      leadTimeDays: vendor.leadTimeDays,
+      lines: lines.filter((line) => line.vendorId === vendor.id),
+    }))
+    .filter((group) => group.lines.length > 0)
+
+  const activeVendorIds = vendors.map((group) => group.vendorId)
+  const unassigned = lines.filter((line) => !activeVendorIds.includes(line.vendorId))
+
+  return { vendors, unassigned }
+}
+
+/**
+ * Point the given demands at a PO, or release them (po = null) back to OPEN
+ */
+const linkDemands = (demandIds, po) => {
+  const now = new Date().toISOString()
+  mockProcurementDemands
+    .filter((pd) => demandIds.includes(pd.id))
+    .forEach((pd) => {
+      if (po) {
+        pd.status = PROCUREMENT_DEMAND_STATUS.ORDERED
+        pd.purchaseOrderId = po.id
+        pd.purchaseOrderNumber = po.poNumber
+      } else {
+        if (pd.status === PROCUREMENT_DEMAND_STATUS.ORDERED) {
+          pd.status = PROCUREMENT_DEMAND_STATUS.OPEN
+        }
+        pd.purchaseOrderId = null
+        pd.purchaseOrderNumber = null
+      }
+      pd.updatedAt = now
+    })
+}
+
+/**
+ * Validate the lines of a new PO
+ * @returns {string|null} Error message
+ */
+const validateLines = (lines) => {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return "A purchase order needs at least one line"
+  }
+
+  const itemIds = lines.map((line) => line.inventoryItemId)
+  if (new Set(itemIds).size !== itemIds.length) {
+    return "Each material can only appear once on a purchase order"
+  }
+
+  for (const line of lines) {
+    const item = mockInventoryItems.find((i) => i.id === line.inventoryItemId)
+    if (!item) return `Inventory item ${line.inventoryItemId} not found`
+    if (item.has_variants) return `${item.name} has size variants and can't be purchased on a PO`
+    if (!(line.quantity > 0)) return `Quantity for ${item.name} must be a positive number`
+    if (!(line.unitPrice >= 0)) return `Unit price for ${item.name} can't be negative`
+
+    for (const demandId of line.demandIds || []) {
+      const demand = mockProcurementDemands.find((pd) => pd.id === demandId)
+      if (!demand || demand.inventoryItemId !== item.id) {
+        return `Procurement demand ${demandId} is not for ${item.name}`
+      }
+      if (demand.status !== PROCUREMENT_DEMAND_STATUS.OPEN || demand.purchaseOrderId) {
+        return `A demand for ${item.name} is already on ${demand.purchaseOrderNumber || "another order"}`
+      }
+    }
+  }
+
+  return null
+}
+
+export const purchaseOrderHandlers = [
+  // ==================== GET ALL PURCHASE ORDERS ====================
+  http.get(BASE_URL, async ({ request }) => {
+    console.log("🧾 GET /api/purchase-orders")
+
+    const url = new URL(request.url)
+    const status = url.searchParams.get("status")
+    const vendorId = url.searchParams.get("vendorId")
+
+    let purchaseOrders = [...mockPurchaseOrders]
+    if (status) purchaseOrders = purchaseOrders.filter((po) => po.status === status)
+    if (vendorId) purchaseOrders = purchaseOrders.filter((po) => po.vendorId === vendorId)
+
+    purchaseOrders.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+
+    return HttpResponse.json({ success: true, data: purchaseOrders.map(withTotals) })
+  }),
+
+  // IMPORTANT: suggestions MUST come BEFORE :id
+  // ==================== GET REORDER SUGGESTIONS ====================
+  http.get(`${BASE_URL}/suggestions`, async () => {
+    console.log("🧾 GET /api/purchase-orders/suggestions")
+    return HttpResponse.json({ success: true, data: buildSuggestions() })
+  }),
+
+  // ==================== GET SINGLE PURCHASE ORDER ====================
+  http.get(`${BASE_URL}/:id`, async ({ params }) => {
+    console.log(`🧾 GET /api/purchase-orders/${params.id}`)
+
+    const po = getPurchaseOrderById(params.id)
+    if (!po) return errorResponse(404, "Not found", "Purchase order not found")
+
+    const demandIds = po.lines.flatMap((line) => line.demandIds)
+    const demands = mockProcurementDemands.filter((pd) => demandIds.includes(pd.id))
+
+    return HttpResponse.json({
+      success: true,
+      data: { ...withTotals(po), vendor: getVendorById(po.vendorId) || null, demands },
+    })
+  }),
+
+  // ==================== CREATE PURCHASE ORDER ====================
+  http.post(BASE_URL, async ({ request }) => {
+    const { user, denied } = authorizeRequest(request, "procurement.manage")
+    if (denied) return denied
+
+    const data = await request.json()
+    console.log("🧾 POST /api/purchase-orders", data.vendorId)
+
+    const vendor = getVendorById(data.vendorId)
+    if (!vendor) return errorResponse(400, "Validation failed", "Select a vendor")
+    if (!vendor.active) {
+      return errorResponse(400, "Validation failed", `${vendor.name} is inactive`)
+    }
+
+    const lineError = validateLines(data.lines)
+    if (lineError) return errorResponse(400, "Validation failed", lineError)
+
+    const now = new Date().toISOString()
+    const po = {
+      id: generatePurchaseOrderId(),
+      poNumber: generatePurchaseOrderNumber(),
+      vendorId: vendor.id,
+      vendorName: vendor.name,
+      status: PURCHASE_ORDER_STATUS.DRAFT,
+      expectedDeliveryDate:
+        data.expectedDeliveryDate ||
+        format(addDays(new Date(), vendor.leadTimeDays || 0), "yyyy-MM-dd"),
+      notes: data.notes || "",
+      lines: data.lines.map((line, index) => {
+        const item = mockInventoryItems.find((i) => i.id === line.inventoryItemId)
+        return {
+          id: `line-${index + 1}`,
+          inventoryItemId: item.id,
+          name: item.name,
+          sku: item.sku,
+          unit: item.unit,
+          quantity: line.quantity,
+          unitPrice: line.unitPrice,
+          receivedQty: 0,
+          demandIds: line.demandIds || [],
+        }
+      }),
+      receipts: [],
+      timeline: [],
+      createdBy: user.name,
+      sentAt: null,
+      createdAt: now,
+      updatedAt: now,
+    }
+    addTimelineEntry(po, "Purchase order created", po.createdBy)
+
+    mockPurchaseOrders.push(po)
+    linkDemands(
+      po.lines.flatMap((line) => line.demandIds),
+      po
+    )
+
+    console.log(`✅ Created ${po.poNumber} for ${vendor.name} (${po.lines.length} lines)`)
+
+    return HttpResponse.json(
+      { success: true, data: withTotals(po), message: `${po.poNumber} created` },
+      { status: 201 }
+    )
+  }),
+
+  // ==================== UPDATE PURCHASE ORDER ====================
+  http.patch(`${BASE_URL}/:id`, async ({ params, request }) => {
+    const { user, denied } = authorizeRequest(request, "procurement.manage")
+    if (denied) return denied
+
+    const data = await request.json()
+    console.log(`🧾 PATCH /api/purchase-orders/${params.id}`)
+
+    const po = getPurchaseOrderById(params.id)
+    if (!po) return errorResponse(404, "Not found", "Purchase order not found")
+    if (!OPEN_PO_STATUSES.includes(po.status)) {
+      return errorResponse(400, "Invalid status", `${po.poNumber} is ${po.status.toLowerCase()}`)
+    }
+
+    if (data.expectedDeliveryDate && data.expectedDeliveryDate !== po.expectedDeliveryDate) {
+      addTimelineEntry(
+        po,
+        `Expected delivery changed from ${po.expectedDeliveryDate} to ${data.expectedDeliveryDate}`,
+        user.name
+      )
+      po.expectedDeliveryDate = data.expectedDeliveryDate
+    }
+    if (data.notes !== undefined) po.notes = data.notes
+    po.updatedAt = new Date().toISOString()
+
+    return HttpResponse.json({ success: true, data: withTotals(po) })
+  }),
+
+  // ==================== SEND PURCHASE ORDER ====================
+  http.post(`${BASE_URL}/:id/send`, async ({ params, request }) => {
+    const { user, denied } = authorizeRequest(request, "procurement.manage")
+    if (denied) return denied
+
+    console.log(`🧾 POST /api/purchase-orders/${params.id}/send`)
+
+    const po = getPurchaseOrderById(params.id)
+    if (!po) return errorResponse(404, "Not found", "Purchase order not found")
+    if (po.status !== PURCHASE_ORDER_STATUS.DRAFT) {
+      return errorResponse(400, "Invalid status", `${po.poNumber} has already been sent`)
+    }
+
+    const now = new Date().toISOString()
+    po.status = PURCHASE_ORDER_STATUS.SENT
+    po.sentAt = now
+    po.updatedAt = now
+    addTimelineEntry(po, `Sent to ${po.vendorName}`, user.name)
+
+    return HttpResponse.json({
+      success: true,
+      data: withTotals(po),
+      message: `${po.poNumber} marked as sent`,
+    })
+  }),
+
+  // ==================== CANCEL PURCHASE ORDER ====================
+  http.post(`${BASE_URL}/:id/cancel`, async ({ params, request }) => {
+    const { user, denied } = authorizeRequest(request, "procurement.manage")
+    if (denied) return denied
+
+    const data = await request.json().catch(() => ({}))
+    console.log(`🧾 POST /api/purchase-orders/${params.id}/cancel`)
+
+    const po = getPurchaseOrderById(params.id)
+    if (!po) return errorResponse(404, "Not found", "Purchase order not found")
+    if (!CANCELLABLE_PO_STATUSES.includes(po.status)) {
+      return errorResponse(
+        400,
+        "Invalid status",
+        `${po.poNumber} can't be cancelled once stock has been received`
+      )
+    }
+
+    po.status = PURCHASE_ORDER_STATUS.CANCELLED
+    po.updatedAt = new Date().toISOString()
+    addTimelineEntry(po, data.reason ? `Cancelled: ${data.reason}` : "Cancelled", user.name)
+
+    // Demands go back to OPEN so they can be put on another PO
+    linkDemands(
+      po.lines.flatMap((line) => line.demandIds),
+      null
+    )
+
+    return HttpResponse.json({
+      success: true,
+      data: withTotals(po),
+      message: `${po.poNumber} cancelled`,
+    })
+  }),
+
+  // ==================== RECEIVE AGAINST PURCHASE ORDER ====================
+  http.post(`${BASE_URL}/:id/receive`, async ({ params, request }) => {
+    const { user, denied } = authorizeRequest(request, "procurement.manage")
+    if (denied) return denied
+
+    const data = await request.json()
+    console.log(`🧾 POST /api/purchase-orders/${params.id}/receive`)
+
+    const po = getPurchaseOrderById(params.id)
+    if (!po) return errorResponse(404, "Not found", "Purchase order not found")
+    if (!RECEIVABLE_PO_STATUSES.includes(po.status)) {
+      return errorResponse(
+        400,
+        "Invalid status",
+        po.status === PURCHASE_ORDER_STATUS.DRAFT
+          ? `Send ${po.poNumber} to the vendor before receiving against it`
+          : `${po.poNumber} is ${po.status.toLowerCase()}`
+      )
+    }
+
+    const receivedLines = (data.lines || []).filter((line) => line.quantity > 0)
+    if (receivedLines.length === 0) {
+      return errorResponse(
+        400,
+        "Validation failed",
+        "Enter a received quantity for at least one line"
+      )
+    }
+
+    // A line may be entered more than once (e.g. one entry per lot), so the
+    // outstanding check is against its combined quantity
+    const quantityByLine = {}
+    for (const received of receivedLines) {
+      const line = po.lines.find((l) => l.id === received.lineId)
+      if (!line) return errorResponse(400, "Validation failed", `Unknown line ${received.lineId}`)
+      quantityByLine[line.id] = (quantityByLine[line.id] || 0) + received.quantity
+      if (quantityByLine[line.id] > getOutstandingQty(line)) {
+        return errorResponse(
+          400,
+          "Validation failed",
+          `Only ${getOutstandingQty(line)} ${line.unit} of ${line.name} is still outstanding`
+        )
+      }
+      const item = mockInventoryItems.find((i) => i.id === line.inventoryItemId)
+      if (!item) {
+        return errorResponse(400, "Validation failed", `${line.name} is no longer in inventory`)
+      }
+      const invalidLot = rejectInvalidLot(item, received.lotNumber?.trim())
+      if (invalidLot) return invalidLot
+    }
+
+    const receipt = {
+      id: `receipt-${po.receipts.length + 1}`,
+      referenceNumber: data.referenceNumber || "",
+      notes: data.notes || "",
+      receivedBy: user.name,
+      receivedAt: new Date().toISOString(),
+      lines: [],
+    }
+    const procurement = { allocations: [], recheckedItems: [] }
+
+    receivedLines.forEach((received) => {
+      const line = po.lines.find((l) => l.id === received.lineId)
+      const item = mockInventoryItems.find((i) => i.id === line.inventoryItemId)
+
+      const result = applyStockIn(
+        item,
+        {
+          quantity: received.quantity,
+          unit_cost: line.unitPrice,
+          reference_number: po.poNumber,
+          notes:
+            `Received against ${po.poNumber}` +
+            (receipt.referenceNumber ? ` (vendor ref ${receipt.referenceNumber})` : "") +
+            (receipt.notes ? ` - ${receipt.notes}` : ""),
+          preferredDemandIds: line.demandIds,
+          lot_number: received.lotNumber,
+        },
+        user.id
+      )
+
+      line.receivedQty += received.quantity
+      receipt.lines.push({
+        lineId: line.id,
+        inventoryItemId: line.inventoryItemId,
+        quantity: received.quantity,
+        lotNumber: result.movement.lots[0]?.lot_number || null,
+        movementId: result.movement.id,
+      })
+      procurement.allocations.push(...result.procurement.allocations)
+      procurement.recheckedItems.push(...result.procurement.recheckedItems)
+    })
+
+    po.receipts.push(receipt)
+    po.status = po.lines.every((line) => getOutstandingQty(line) <= 0)
+      ? PURCHASE_ORDER_STATUS.RECEIVED
+      : PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED
+    po.updatedAt = receipt.receivedAt
+    addTimelineEntry(
+      po,
+      `Received ${receipt.lines.length} line(s)` +
+        (receipt.referenceNumber ? ` - vendor ref ${receipt.referenceNumber}` : ""),
+      receipt.receivedBy
+    )
+
+    const sectionsReleased = procurement.recheckedItems.reduce(
+      (sum, r) => sum + r.passedSections.length,
+      0
+    )
+
+    console.log(`✅ ${po.poNumber}: received ${receipt.lines.length} line(s), now ${po.status}`)
+
+    return HttpResponse.json({
+      success: true,
+      data: { purchaseOrder: withTotals(po), receipt, procurement },
+      message:
+        `Stock received against ${po.poNumber}` +
+        (procurement.allocations.length > 0
+          ? `. Filled ${procurement.allocations.length} procurement demand(s), ${sectionsReleased} section(s) ready for packet.`
+          : ""),
+    })
+  }),
+]
@@ -12,16 +12,25 @@ import { http, HttpResponse } from "msw"
 import { appConfig } from "@/config/appConfig"
 import { mockOrders, mockOrderItems } from "../data/mockOrders"
 import { mockUsers } from "../data/mockUser"
+import { getSectionLots } from "../data/mockPackets"
+import { mockProductionAssignments } from "../data/mockProductionTasks"
+import { publishNotification, getUserIdsWithPermission } from "../data/mockNotifications"
 import {
   SECTION_STATUS,
   ORDER_ITEM_STATUS,
   ORDER_STATUS,
   QA_REJECTION_REASONS,
+  PHASE_14_TIMELINE_EVENTS,
+  READY_STOCK_ROUTE,
+  NOTIFICATION_EVENTS,
 } from "@/constants/orderConstants"
+import { WORKFLOW_LEVEL, checkTransition, canTransition } from "@/lib/workflow"
+import { authorizeTransition } from "../requestAuth"
 
 const BASE_URL = `${appConfig.apiBaseUrl}/qa`
 
 import { calculateOrderItemStatus } from "./dyeingHandlers"
+import { setOrderItemStatus } from "../data/mockStatusHistory"
 
 // ============================================================================
 // HELPER FUNCTIONS
@@ -65,9 +74,12 @@ const hasVideoUploaded = (orderItem) => {
 }
 
 // Check if all order items in an order have videos
+// Items filled from ready stock for dispatch go out without one
 const allOrderItemsHaveVideos = (order) => {
   const orderItems = mockOrderItems.filter((oi) => oi.orderId === order.id)
-  return orderItems.every((oi) => hasVideoUploaded(oi))
+  return orderItems.every(
+    (oi) => hasVideoUploaded(oi) || oi.readyStockFulfillment?.route === READY_STOCK_ROUTE.DISPATCH
+  )
 }
 
 // ============================================================================
@@ -281,7 +293,8 @@ const approveSection = http.post(
   `${BASE_URL}/section/:orderItemId/:section/approve`,
   async ({ params, request }) => {
     const { orderItemId, section: sectionName } = params
-    const { approvedBy } = await request.json()
+    const { user, denied } = authorizeTransition(request, WORKFLOW_LEVEL.SECTION, "QA_APPROVE")
+    if (denied) return denied
 
     console.log(`✅ POST /api/qa/section/${orderItemId}/${sectionName}/approve`)
 
@@ -300,18 +313,12 @@ const approveSection = http.post(
     const sectionData = orderItem.sectionStatuses[sectionKey]
 
     // Validate section is in QA_PENDING
-    if (sectionData.status !== SECTION_STATUS.QA_PENDING) {
-      return HttpResponse.json(
-        {
-          success: false,
-          error: `Section must be in QA_PENDING status. Current: ${sectionData.status}`,
-        },
-        { status: 400 }
-      )
+    const check = checkTransition(WORKFLOW_LEVEL.SECTION, "QA_APPROVE", sectionData, { user })
+    if (!check.allowed) {
+      return HttpResponse.json(check.body, { status: check.httpStatus })
     }
 
     const now = new Date().toISOString()
-    const approvedByUser = findUser(approvedBy)
     const displaySectionName = sectionKey.charAt(0).toUpperCase() + sectionKey.slice(1)
 
     // Initialize qaData if not exists
@@ -325,16 +332,24 @@ const approveSection = http.post(
     sectionData.qaData.rounds.push({
       round: currentRound,
       status: "APPROVED",
-      reviewedBy: approvedBy,
-      reviewedByName: approvedByUser?.name || "Unknown",
+      reviewedBy: user.id,
+      reviewedByName: user.name,
       reviewedAt: now,
     })
 
-    // Update section status
+    // Update section status; the item is ready for video once ALL sections are approved
     sectionData.status = SECTION_STATUS.QA_APPROVED
-    orderItem.status = calculateOrderItemStatus(orderItem)
+    const allApproved = areAllSectionsQAApproved(orderItem)
+    setOrderItemStatus(
+      orderItem,
+      allApproved
+        ? ORDER_ITEM_STATUS.ALL_SECTIONS_QA_APPROVED
+        : calculateOrderItemStatus(orderItem),
+      user,
+      now
+    )
     sectionData.qaApprovedAt = now
-    sectionData.qaApprovedBy = approvedBy
+    sectionData.qaApprovedBy = user.id
     sectionData.updatedAt = now
 
     // Add timeline entry
@@ -342,14 +357,13 @@ const approveSection = http.post(
     orderItem.timeline.push({
       id: `log-${Date.now()}`,
       action: `${displaySectionName} approved by QA (Round ${currentRound})`,
-      user: approvedByUser?.name || "QA User",
+      user: user.name,
       timestamp: now,
+      event: PHASE_14_TIMELINE_EVENTS.SECTION_QA_APPROVED,
+      sections: [sectionKey],
     })
 
-    // Check if all sections are now QA_APPROVED
-    const allApproved = areAllSectionsQAApproved(orderItem)
     if (allApproved) {
-      mockOrderItems[orderItemIndex].status = ORDER_ITEM_STATUS.ALL_SECTIONS_QA_APPROVED
       orderItem.timeline.push({
         id: `log-${Date.now() + 1}`,
         action: "All sections approved by QA - Ready for video upload",
@@ -380,7 +394,9 @@ const rejectSection = http.post(
   `${BASE_URL}/section/:orderItemId/:section/reject`,
   async ({ params, request }) => {
     const { orderItemId, section: sectionName } = params
-    const { rejectedBy, reasonCode, notes } = await request.json()
+    const { user, denied } = authorizeTransition(request, WORKFLOW_LEVEL.SECTION, "QA_REJECT")
+    if (denied) return denied
+    const { reasonCode, notes } = await request.json()
 
     console.log(`❌ POST /api/qa/section/${orderItemId}/${sectionName}/reject`)
 
@@ -399,14 +415,9 @@ const rejectSection = http.post(
     const sectionData = orderItem.sectionStatuses[sectionKey]
 
     // Validate section is in QA_PENDING
-    if (sectionData.status !== SECTION_STATUS.QA_PENDING) {
-      return HttpResponse.json(
-        {
-          success: false,
-          error: `Section must be in QA_PENDING status. Current: ${sectionData.status}`,
-        },
-        { status: 400 }
-      )
+    const check = checkTransition(WORKFLOW_LEVEL.SECTION, "QA_REJECT", sectionData, { user })
+    if (!check.allowed) {
+      return HttpResponse.json(check.body, { status: check.httpStatus })
     }
 
     // Validate notes are provided (required for rejection)
@@ -418,7 +429,6 @@ const rejectSection = http.post(
     }
 
     const now = new Date().toISOString()
-    const rejectedByUser = findUser(rejectedBy)
     const displaySectionName = sectionKey.charAt(0).toUpperCase() + sectionKey.slice(1)
     const rejectionReason = QA_REJECTION_REASONS[reasonCode]?.label || reasonCode
 
@@ -433,12 +443,14 @@ const rejectSection = http.post(
     sectionData.qaData.rounds.push({
       round: currentRound,
       status: "REJECTED",
-      reviewedBy: rejectedBy,
-      reviewedByName: rejectedByUser?.name || "Unknown",
+      reviewedBy: user.id,
+      reviewedByName: user.name,
       reviewedAt: now,
       reasonCode,
       reasonLabel: rejectionReason,
       notes,
+      // Lots the section's material came from, kept for the lot trace
+      lots: getSectionLots(orderItemId, sectionKey),
     })
 
     // Increment round for next review
@@ -446,9 +458,9 @@ const rejectSection = http.post(
 
     // Update section status to QA_REJECTED (will be sent back to production)
     sectionData.status = SECTION_STATUS.QA_REJECTED
-    orderItem.status = calculateOrderItemStatus(orderItem)
+    setOrderItemStatus(orderItem, calculateOrderItemStatus(orderItem), user, now)
     sectionData.qaRejectedAt = now
-    sectionData.qaRejectedBy = rejectedBy
+    sectionData.qaRejectedBy = user.id
     sectionData.qaRejectionReason = reasonCode
     sectionData.qaRejectionNotes = notes
     sectionData.updatedAt = now
@@ -458,8 +470,26 @@ const rejectSection = http.post(
     orderItem.timeline.push({
       id: `log-${Date.now()}`,
       action: `${displaySectionName} rejected by QA (Round ${currentRound}) - ${rejectionReason}: ${notes}`,
-      user: rejectedByUser?.name || "QA User",
+      user: user.name,
       timestamp: now,
+      event: PHASE_14_TIMELINE_EVENTS.SECTION_QA_REJECTED,
+      sections: [sectionKey],
+      reasonCode,
+    })
+
+    // The item's production head reworks it; unassigned items go to every production manager
+    const assignment = mockProductionAssignments.find((a) => a.orderItemId === orderItemId)
+    const order = findOrderByOrderItem(orderItem)
+    publishNotification(NOTIFICATION_EVENTS.QA_REJECTED, {
+      recipientIds: assignment
+        ? [assignment.productionHeadId]
+        : getUserIdsWithPermission("production.manage"),
+      title: `${displaySectionName} rejected by QA`,
+      message: `${orderItem.productName}${order ? ` (${order.orderNumber})` : ""} - ${rejectionReason}: ${notes}`,
+      link: `/production/order-item/${orderItemId}`,
+      orderId: orderItem.orderId,
+      orderItemId,
+      actor: user,
     })
 
     console.log(`❌ Section ${displaySectionName} rejected (Round ${currentRound})`)
@@ -488,13 +518,14 @@ const uploadOrderItemVideo = http.post(
   `${BASE_URL}/order-item/:orderItemId/upload-video`,
   async ({ params, request }) => {
     const { orderItemId } = params
+    const { user, denied } = authorizeTransition(request, WORKFLOW_LEVEL.ORDER_ITEM, "UPLOAD_VIDEO")
+    if (denied) return denied
 
     console.log(`🎬 POST /api/qa/order-item/${orderItemId}/upload-video`)
 
     // Parse FormData instead of JSON
     const formData = await request.formData()
     const videoFile = formData.get("videoFile")
-    const uploadedBy = Number(formData.get("uploadedBy"))
 
     // Validate video file exists
     if (!videoFile || !(videoFile instanceof File)) {
@@ -530,21 +561,15 @@ const uploadOrderItemVideo = http.post(
     const orderItem = mockOrderItems[orderItemIndex]
 
     // Validate all sections are QA_APPROVED
-    if (!areAllSectionsQAApproved(orderItem)) {
-      return HttpResponse.json(
-        {
-          success: false,
-          error: "All sections must be QA_APPROVED before uploading video",
-        },
-        { status: 400 }
-      )
+    const check = checkTransition(WORKFLOW_LEVEL.ORDER_ITEM, "UPLOAD_VIDEO", orderItem, { user })
+    if (!check.allowed) {
+      return HttpResponse.json(check.body, { status: check.httpStatus })
     }
 
     // Simulate YouTube upload delay (1-2 seconds)
     await new Promise((resolve) => setTimeout(resolve, 1500))
 
     const now = new Date().toISOString()
-    const uploadedByUser = findUser(uploadedBy)
 
     // Generate simulated YouTube URL (as if uploaded to YouTube)
     const mockVideoId = `mock-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`
@@ -554,8 +579,8 @@ const uploadOrderItemVideo = http.post(
     mockOrderItems[orderItemIndex].videoData = {
       youtubeUrl: simulatedYouTubeUrl,
       youtubeVideoId: mockVideoId,
-      uploadedBy,
-      uploadedByName: uploadedByUser?.name || "Unknown",
+      uploadedBy: user.id,
+      uploadedByName: user.name,
       uploadedAt: now,
       originalFileName: videoFile.name,
       originalFileSize: videoFile.size,
@@ -564,14 +589,14 @@ const uploadOrderItemVideo = http.post(
     }
 
     // Update order item status
-    mockOrderItems[orderItemIndex].status = ORDER_ITEM_STATUS.VIDEO_UPLOADED
+    setOrderItemStatus(mockOrderItems[orderItemIndex], ORDER_ITEM_STATUS.VIDEO_UPLOADED, user, now)
 
     // Add timeline entry
     if (!orderItem.timeline) orderItem.timeline = []
     orderItem.timeline.push({
       id: `log-${Date.now()}`,
       action: `YouTube video uploaded (${videoFile.name})`,
-      user: uploadedByUser?.name || "QA User",
+      user: user.name,
       timestamp: now,
       metadata: {
         youtubeUrl: simulatedYouTubeUrl,
@@ -603,13 +628,18 @@ const uploadReVideo = http.post(
   `${BASE_URL}/order-item/:orderItemId/upload-revideo`,
   async ({ params, request }) => {
     const { orderItemId } = params
+    const { user, denied } = authorizeTransition(
+      request,
+      WORKFLOW_LEVEL.ORDER_ITEM,
+      "UPLOAD_REVIDEO"
+    )
+    if (denied) return denied
 
     console.log(`🎬 POST /api/qa/order-item/${orderItemId}/upload-revideo`)
 
     // Parse FormData instead of JSON
     const formData = await request.formData()
     const videoFile = formData.get("videoFile")
-    const uploadedBy = Number(formData.get("uploadedBy"))
 
     // Validate video file exists
     if (!videoFile || !(videoFile instanceof File)) {
@@ -645,18 +675,15 @@ const uploadReVideo = http.post(
     const orderItem = mockOrderItems[orderItemIndex]
 
     // Validate there's a re-video request
-    if (!orderItem.reVideoRequest) {
-      return HttpResponse.json(
-        { success: false, error: "No re-video request found for this order item" },
-        { status: 400 }
-      )
+    const check = checkTransition(WORKFLOW_LEVEL.ORDER_ITEM, "UPLOAD_REVIDEO", orderItem, { user })
+    if (!check.allowed) {
+      return HttpResponse.json(check.body, { status: check.httpStatus })
     }
 
     // Simulate YouTube upload delay (1-2 seconds)
     await new Promise((resolve) => setTimeout(resolve, 1500))
 
     const now = new Date().toISOString()
-    const uploadedByUser = findUser(uploadedBy)
 
     // Generate simulated YouTube URL
     const mockVideoId = `mock-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`
@@ -678,8 +705,8 @@ const uploadReVideo = http.post(
     mockOrderItems[orderItemIndex].videoData = {
       youtubeUrl: simulatedYouTubeUrl,
       youtubeVideoId: mockVideoId,
-      uploadedBy,
-      uploadedByName: uploadedByUser?.name || "Unknown",
+      uploadedBy: user.id,
+      uploadedByName: user.name,
       uploadedAt: now,
       originalFileName: videoFile.name,
       originalFileSize: videoFile.size,
@@ -691,14 +718,14 @@ const uploadReVideo = http.post(
     delete mockOrderItems[orderItemIndex].reVideoRequest
 
     // Update status back to VIDEO_UPLOADED
-    mockOrderItems[orderItemIndex].status = ORDER_ITEM_STATUS.VIDEO_UPLOADED
+    setOrderItemStatus(mockOrderItems[orderItemIndex], ORDER_ITEM_STATUS.VIDEO_UPLOADED, user, now)
 
     // Add timeline entry
     if (!orderItem.timeline) orderItem.timeline = []
     orderItem.timeline.push({
       id: `log-${Date.now()}`,
       action: `New video uploaded - re-video request fulfilled (${videoFile.name})`,
-      user: uploadedByUser?.name || "QA User",
+      user: user.name,
       timestamp: now,
       metadata: {
         youtubeUrl: simulatedYouTubeUrl,
@@ -728,7 +755,8 @@ const sendOrderToSales = http.post(
   `${BASE_URL}/order/:orderId/send-to-sales`,
   async ({ params, request }) => {
     const { orderId } = params
-    const { sentBy } = await request.json()
+    const { user, denied } = authorizeTransition(request, WORKFLOW_LEVEL.ORDER, "SEND_TO_SALES")
+    if (denied) return denied
 
     console.log(`📤 POST /api/qa/order/${orderId}/send-to-sales`)
 
@@ -739,19 +767,18 @@ const sendOrderToSales = http.post(
 
     const order = mockOrders[orderIndex]
 
+    const orderItems = mockOrderItems.filter((oi) => oi.orderId === orderId)
+
     // Validate all order items have videos
-    if (!allOrderItemsHaveVideos(order)) {
-      return HttpResponse.json(
-        {
-          success: false,
-          error: "All order items must have videos uploaded before sending to Sales",
-        },
-        { status: 400 }
-      )
+    const check = checkTransition(WORKFLOW_LEVEL.ORDER, "SEND_TO_SALES", order, {
+      user,
+      orderItems,
+    })
+    if (!check.allowed) {
+      return HttpResponse.json(check.body, { status: check.httpStatus })
     }
 
     const now = new Date().toISOString()
-    const sentByUser = findUser(sentBy)
 
     // Update order status
     mockOrders[orderIndex].status = ORDER_STATUS.READY_FOR_CLIENT_APPROVAL
@@ -761,14 +788,14 @@ const sendOrderToSales = http.post(
     order.timeline.push({
       id: `log-${Date.now()}`,
       action: "Order sent to Sales for client approval",
-      user: sentByUser?.name || "QA User",
+      user: user.name,
       timestamp: now,
     })
 
     // Update all order items status
-    mockOrderItems.forEach((oi, idx) => {
-      if (oi.orderId === orderId) {
-        mockOrderItems[idx].status = ORDER_ITEM_STATUS.READY_FOR_CLIENT_APPROVAL
+    orderItems.forEach((oi) => {
+      if (canTransition(WORKFLOW_LEVEL.ORDER_ITEM, "SEND_TO_SALES", oi)) {
+        setOrderItemStatus(oi, ORDER_ITEM_STATUS.READY_FOR_CLIENT_APPROVAL, user, now)
       }
     })
 
@@ -0,0 +1,483 @@
+/**
+ * Reports MSW Handlers
+ * src/mocks/handlers/reportsHandlers.js
+ *
+ * Read-only analytics computed from the order item, order and packet timelines.
+ * Department events are read from the structured `event` field on timeline
+ * entries (see REPORT_DEPARTMENTS), never from the free-text `action`.
+ *
+ * Every endpoint accepts optional `from` / `to` query params (YYYY-MM-DD, inclusive).
+ *
+ * Endpoints:
+ *   GET /api/reports/throughput      - Units of work finished per department
+ *   GET /api/reports/time-in-status  - Average time order items spend in each status
+ *   GET /api/reports/rejections      - Rejection and rework rates by reason
+ *   GET /api/reports/revenue         - Order value, receipts and refunds by currency and source
+ *
+ * Revenue is reported in each order's own currency and in the base currency:
+ * order totals at the rate of the order date, receipts and refunds at the rate
+ * of the day they were received, and the outstanding balance at today's rate.
+ */
+
+import { http, HttpResponse } from "msw"
+import { appConfig } from "@/config/appConfig"
+import { mockOrders, mockOrderItems } from "../data/mockOrders"
+import {
+  BASE_CURRENCY,
+  ORDER_ITEM_STATUS,
+  ORDER_ITEM_STATUS_CONFIG,
+  ORDER_STATUS,
+  ORDER_SOURCE,
+  ORDER_ITEM_TIMELINE_EVENTS,
+  PACKET_TIMELINE_EVENTS,
+  DYEING_TIMELINE_EVENTS,
+  PHASE_14_TIMELINE_EVENTS,
+  REPORT_DEPARTMENTS,
+  DYEING_REJECTION_REASONS,
+  QA_REJECTION_REASONS,
+  PACKET_REJECTION_REASONS,
+} from "@/constants/orderConstants"
+import { getPaymentTotals } from "@/lib/payments"
+import { convertAmount, roundMoney } from "@/lib/currency"
+import { mockExchangeRates } from "../data/mockExchangeRates"
+import { authorizeRequest } from "../requestAuth"
+
+const BASE_URL = `${appConfig.apiBaseUrl}/reports`
+
+const HOUR_MS = 1000 * 60 * 60
+const DAY_MS = HOUR_MS * 24
+
+const CANCELLED_ORDER_STATUSES = [ORDER_STATUS.CANCELLED, ORDER_STATUS.CANCELLED_BY_CLIENT]
+
+const ORDER_SOURCE_LABELS = {
+  [ORDER_SOURCE.SHOPIFY]: "Shopify",
+  [ORDER_SOURCE.MANUAL]: "Manual",
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Read the inclusive `from` / `to` date range from the query string
+ */
+const parseRange = (request) => {
+  const url = new URL(request.url)
+  const from = url.searchParams.get("from")
+  const to = url.searchParams.get("to")
+
+  return {
+    from: from || null,
+    to: to || null,
+    fromTime: from ? new Date(`${from}T00:00:00`).getTime() : null,
+    toTime: to ? new Date(`${to}T23:59:59.999`).getTime() : null,
+  }
+}
+
+const isInRange = (timestamp, range) => {
+  const time = new Date(timestamp).getTime()
+  if (Number.isNaN(time)) return false
+  if (range.fromTime !== null && time < range.fromTime) return false
+  if (range.toTime !== null && time > range.toTime) return false
+  return true
+}
+
+const toRate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0)
+
+const toHours = (ms) => Math.round((ms / HOUR_MS) * 10) / 10
+
+/**
+ * Every timeline entry in the system, tagged with where it came from.
+ * Packet events are written to the order item timeline, so item and order
+ * timelines cover all departments.
+ */
+const getAllTimelineEntries = () => {
+  const itemEntries = mockOrderItems.flatMap((item) =>
+    (item.timeline || []).map((entry) => ({
+      ...entry,
+      orderId: item.orderId,
+      orderItemId: item.id,
+    }))
+  )
+
+  const orderEntries = mockOrders.flatMap((order) =>
+    (order.timeline || []).map((entry) => ({
+      ...entry,
+      orderId: order.id,
+      orderItemId: null,
+    }))
+  )
+
+  return [...itemEntries, ...orderEntries]
+}
+
+/**
+ * Units of work an entry represents: one per section for section events,
+ * otherwise one per entry (packet, BOM, order or item)
+ */
+const countUnits = (entry) => (entry.sections?.length ? entry.sections.length : 1)
+
+/**
+ * Build a reason breakdown that lists every known reason, even unused ones
+ */
+const buildReasonBreakdown = (reasons, rejectedEntries, getUnits) => {
+  const counts = {}
+  rejectedEntries.forEach((entry) => {
+    const code = entry.reasonCode || "UNSPECIFIED"
+    counts[code] = (counts[code] || 0) + getUnits(entry)
+  })
+
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0)
+  const breakdown = reasons.map((reason) => ({
+    code: reason.code,
+    label: reason.label,
+    count: counts[reason.code] || 0,
+    share: toRate(counts[reason.code] || 0, total),
+  }))
+
+  // Rejections recorded without a reason, or with a code that no longer exists
+  const knownCodes = reasons.map((reason) => reason.code)
+  const unknownCount = Object.entries(counts)
+    .filter(([code]) => !knownCodes.includes(code))
+    .reduce((sum, [, count]) => sum + count, 0)
+  if (unknownCount > 0) {
+    breakdown.push({
+      code: "UNSPECIFIED",
+      label: "Not specified",
+      count: unknownCount,
+      share: toRate(unknownCount, total),
+    })
+  }
+
+  return breakdown
+}
+
+/**
+ * Rejection stats for one review step
+ *
+ * @param {Object} config
+ * @param {Array} config.passed - Entries for work that passed the review
+ * @param {Array} config.rejected - Entries for work that was rejected
+ * @param {Function} config.getSubjects - Returns the ids of the reviewed units of an entry
+ * @param {Function} [config.getUnits] - Units of work an entry represents
+ */
+const buildRejectionStats = ({
+  key,
+  label,
+  unit,
+  reasons,
+  passed,
+  rejected,
+  getSubjects,
+  getUnits = countUnits,
+}) => {
+  const passedUnits = passed.reduce((sum, entry) => sum + getUnits(entry), 0)
+  const rejectedUnits = rejected.reduce((sum, entry) => sum + getUnits(entry), 0)
+
+  const reviewedSubjects = new Set([...passed, ...rejected].flatMap(getSubjects))
+  const reworkedSubjects = new Set(rejected.flatMap(getSubjects))
+
+  return {
+    key,
+    label,
+    unit,
+    reviewed: passedUnits + rejectedUnits,
+    passed: passedUnits,
+    rejected: rejectedUnits,
+    rejectionRate: toRate(rejectedUnits, passedUnits + rejectedUnits),
+    // Share of distinct sections / packets that had to be redone at least once
+    reworkRate: toRate(reworkedSubjects.size, reviewedSubjects.size),
+    reasons: buildReasonBreakdown(reasons, rejected, getUnits),
+  }
+}
+
+const getSectionSubjects = (entry) =>
+  (entry.sections || []).map((section) => `${entry.orderItemId}:${section.toLowerCase()}`)
+
+const getPacketSubjects = (entry) => [entry.packetId || entry.orderItemId]
+
+/**
+ * Split an item's history into stints: { status, start, end }.
+ * The last stint is still open (end = null).
+ */
+const getStatusStints = (item) => {
+  const changes = (item.timeline || [])
+    .filter((entry) => entry.event === ORDER_ITEM_TIMELINE_EVENTS.STATUS_CHANGED)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+
+  const stints = []
+  let status = changes[0]?.fromStatus || item.status
+  let start = item.createdAt
+
+  changes.forEach((change) => {
+    stints.push({ status, start, end: change.timestamp })
+    status = change.toStatus
+    start = change.timestamp
+  })
+  stints.push({ status, start, end: null })
+
+  return stints
+}
+
+const emptyBaseTotals = () => ({
+  totalAmountBase: 0,
+  totalReceivedBase: 0,
+  totalRefundedBase: 0,
+  outstandingBase: 0,
+  unconvertedCount: 0,
+})
+
+/**
+ * Add an order's base-currency amounts to a totals object
+ * Orders whose currency has no rate for the date are counted, not converted.
+ */
+const addBaseAmounts = (totals, order) => {
+  const currency = order.currency || BASE_CURRENCY
+  const { receivedBase, refundedBase, remainingAmount } = getPaymentTotals(order)
+  const totalAmountBase = convertAmount(
+    mockExchangeRates,
+    order.totalAmount || 0,
+    currency,
+    BASE_CURRENCY,
+    order.fwdDate || order.createdAt
+  )
+  const outstandingBase = convertAmount(mockExchangeRates, remainingAmount, currency, BASE_CURRENCY)
+
+  if (totalAmountBase === null || outstandingBase === null) {
+    totals.unconvertedCount += 1
+    return
+  }
+  totals.totalAmountBase = roundMoney(totals.totalAmountBase + totalAmountBase)
+  totals.totalReceivedBase = roundMoney(totals.totalReceivedBase + receivedBase)
+  totals.totalRefundedBase = roundMoney(totals.totalRefundedBase + refundedBase)
+  totals.outstandingBase = roundMoney(totals.outstandingBase + outstandingBase)
+}
+
+/**
+ * Add an order to a per-currency totals map
+ */
+const addToCurrencyTotals = (totals, order) => {
+  const currency = order.currency || BASE_CURRENCY
+  if (!totals[currency]) {
+    totals[currency] = {
+      currency,
+      orderCount: 0,
+      totalAmount: 0,
+      totalReceived: 0,
+      totalRefunded: 0,
+      outstanding: 0,
+      ...emptyBaseTotals(),
+    }
+  }
+
+  const { received, refunded, remainingAmount } = getPaymentTotals(order)
+  totals[currency].orderCount += 1
+  totals[currency].totalAmount = roundMoney(totals[currency].totalAmount + (order.totalAmount || 0))
+  totals[currency].totalReceived = roundMoney(totals[currency].totalReceived + received)
+  totals[currency].totalRefunded = roundMoney(totals[currency].totalRefunded + refunded)
+  totals[currency].outstanding = roundMoney(totals[currency].outstanding + remainingAmount)
+  addBaseAmounts(totals[currency], order)
+}
+
+// ============================================================================
+// GET /api/reports/throughput - Units finished per department
+// ============================================================================
+const getThroughput = http.get(`${BASE_URL}/throughput`, async ({ request }) => {
+  console.log("📊 GET /api/reports/throughput")
+  const { denied } = authorizeRequest(request, "reports.view")
+  if (denied) return denied
+
+  const range = parseRange(request)
+  const entries = getAllTimelineEntries().filter(
+    (entry) => entry.event && isInRange(entry.timestamp, range)
+  )
+
+  // Average per day over the requested range, or since the first event
+  const firstEventTime = Math.min(...entries.map((entry) => new Date(entry.timestamp).getTime()))
+  const rangeStart = range.fromTime ?? (Number.isFinite(firstEventTime) ? firstEventTime : null)
+  const rangeEnd = Math.min(range.toTime ?? Date.now(), Date.now())
+  const days = rangeStart !== null ? Math.max(Math.ceil((rangeEnd - rangeStart) / DAY_MS), 1) : 1
+
+  const departments = REPORT_DEPARTMENTS.map((department) => {
+    const departmentEntries = entries.filter((entry) => entry.event === department.event)
+    const units = departmentEntries.reduce((sum, entry) => sum + countUnits(entry), 0)
+    const lastActivityAt = departmentEntries.reduce(
+      (latest, entry) => (!latest || entry.timestamp > latest ? entry.timestamp : latest),
+      null
+    )
+
+    return {
+      key: department.key,
+      label: department.label,
+      unit: department.unit,
+      events: departmentEntries.length,
+      units,
+      averagePerDay: Math.round((units / days) * 10) / 10,
+      lastActivityAt,
+    }
+  })
+
+  return HttpResponse.json({
+    success: true,
+    data: { from: range.from, to: range.to, days, departments },
+  })
+})
+
+// ============================================================================
+// GET /api/reports/time-in-status - Average time per ORDER_ITEM_STATUS
+// ============================================================================
+const getTimeInStatus = http.get(`${BASE_URL}/time-in-status`, async ({ request }) => {
+  console.log("📊 GET /api/reports/time-in-status")
+  const { denied } = authorizeRequest(request, "reports.view")
+  if (denied) return denied
+
+  const range = parseRange(request)
+  const now = Date.now()
+  const stats = {}
+
+  mockOrderItems.forEach((item) => {
+    getStatusStints(item).forEach((stint) => {
+      if (!stats[stint.status]) {
+        stats[stint.status] = { completedDurations: [], currentAges: [] }
+      }
+      const duration = new Date(stint.end ?? now) - new Date(stint.start)
+
+      if (stint.end) {
+        // Closed stints count towards the range they ended in
+        if (isInRange(stint.end, range)) stats[stint.status].completedDurations.push(duration)
+      } else {
+        stats[stint.status].currentAges.push(duration)
+      }
+    })
+  })
+
+  const average = (values) =>
+    values.length ? toHours(values.reduce((sum, v) => sum + v, 0) / values.length) : null
+
+  const statuses = Object.values(ORDER_ITEM_STATUS).map((status) => {
+    const { completedDurations = [], currentAges = [] } = stats[status] || {}
+    return {
+      status,
+      label: ORDER_ITEM_STATUS_CONFIG[status]?.label || status,
+      completedCount: completedDurations.length,
+      averageHours: average(completedDurations),
+      maxHours: completedDurations.length ? toHours(Math.max(...completedDurations)) : null,
+      currentCount: currentAges.length,
+      currentAverageAgeHours: average(currentAges),
+    }
+  })
+
+  return HttpResponse.json({
+    success: true,
+    data: { from: range.from, to: range.to, statuses },
+  })
+})
+
+// ============================================================================
+// GET /api/reports/rejections - Rejection / rework rates by reason
+// ============================================================================
+const getRejections = http.get(`${BASE_URL}/rejections`, async ({ request }) => {
+  console.log("📊 GET /api/reports/rejections")
+  const { denied } = authorizeRequest(request, "reports.view")
+  if (denied) return denied
+
+  const range = parseRange(request)
+  const entries = getAllTimelineEntries().filter(
+    (entry) => entry.event && isInRange(entry.timestamp, range)
+  )
+  const byEvent = (event) => entries.filter((entry) => entry.event === event)
+
+  const departments = [
+    buildRejectionStats({
+      key: "PACKET",
+      label: "Packet Check",
+      unit: "Packets",
+      reasons: PACKET_REJECTION_REASONS,
+      passed: byEvent(PACKET_TIMELINE_EVENTS.PACKET_APPROVED),
+      rejected: byEvent(PACKET_TIMELINE_EVENTS.PACKET_REJECTED),
+      getSubjects: getPacketSubjects,
+      // A packet check approves or rejects the whole packet
+      getUnits: () => 1,
+    }),
+    buildRejectionStats({
+      key: "DYEING",
+      label: "Dyeing",
+      unit: "Sections",
+      reasons: Object.values(DYEING_REJECTION_REASONS),
+      passed: byEvent(DYEING_TIMELINE_EVENTS.SECTION_COMPLETED),
+      rejected: byEvent(DYEING_TIMELINE_EVENTS.SECTION_REJECTED),
+      getSubjects: getSectionSubjects,
+    }),
+    buildRejectionStats({
+      key: "QA",
+      label: "Quality Assurance",
+      unit: "Sections",
+      reasons: Object.values(QA_REJECTION_REASONS),
+      passed: byEvent(PHASE_14_TIMELINE_EVENTS.SECTION_QA_APPROVED),
+      rejected: byEvent(PHASE_14_TIMELINE_EVENTS.SECTION_QA_REJECTED),
+      getSubjects: getSectionSubjects,
+    }),
+  ]
+
+  return HttpResponse.json({
+    success: true,
+    data: { from: range.from, to: range.to, departments },
+  })
+})
+
+// ============================================================================
+// GET /api/reports/revenue - Order value by currency and source
+// ============================================================================
+const getRevenue = http.get(`${BASE_URL}/revenue`, async ({ request }) => {
+  console.log("📊 GET /api/reports/revenue")
+  const { denied } = authorizeRequest(request, "reports.view")
+  if (denied) return denied
+
+  const range = parseRange(request)
+  const ordersInRange = mockOrders.filter((order) => isInRange(order.createdAt, range))
+  const activeOrders = ordersInRange.filter(
+    (order) => !CANCELLED_ORDER_STATUSES.includes(order.status)
+  )
+
+  const byCurrency = {}
+  const baseTotals = emptyBaseTotals()
+  activeOrders.forEach((order) => {
+    addToCurrencyTotals(byCurrency, order)
+    addBaseAmounts(baseTotals, order)
+  })
+
+  // Amounts in different currencies are only summed in the base currency
+  const bySource = {}
+  activeOrders.forEach((order) => {
+    const source = order.source || ORDER_SOURCE.MANUAL
+    if (!bySource[source]) {
+      bySource[source] = {
+        source,
+        label: ORDER_SOURCE_LABELS[source] || source,
+        orderCount: 0,
+        currencies: {},
+      }
+    }
+    bySource[source].orderCount += 1
+    addToCurrencyTotals(bySource[source].currencies, order)
+  })
+
+  return HttpResponse.json({
+    success: true,
+    data: {
+      from: range.from,
+      to: range.to,
+      orderCount: activeOrders.length,
+      cancelledCount: ordersInRange.length - activeOrders.length,
+      baseCurrency: BASE_CURRENCY,
+      baseTotals,
+      byCurrency: Object.values(byCurrency).sort((a, b) => b.totalAmount - a.totalAmount),
+      bySource: Object.values(bySource).map((source) => ({
+        ...source,
+        currencies: Object.values(source.currencies),
+      })),
+    },
+  })
+})
+
+export const reportsHandlers = [getThroughput, getTimeInStatus, getRejections, getRevenue]
@@ -7,7 +7,7 @@
  * Flow:
  *   QA sends order → READY_FOR_CLIENT_APPROVAL
  *   Sales sends to client → AWAITING_CLIENT_APPROVAL
- *   Client responds:
+ *   Client responds (recorded here by Sales, or by the client in the customer portal):
  *     ✓ Approved → upload screenshots → AWAITING_ACCOUNT_APPROVAL → verify payments → READY_FOR_DISPATCH
  *     📹 Re-video → store reVideoRequest on order item → QA Tab 2
  *     ✂️ Alteration → reset sections to production → ALTERATION_REQUIRED
@@ -20,7 +20,7 @@
  *   GET  /api/sales/awaiting-payment   - Orders approved, verifying payments (Tab 3)
  *   GET  /api/sales/stats              - Dashboard statistics
  *   GET  /api/sales/order/:orderId     - Full order details for approval
- *   POST /api/sales/order/:orderId/send-to-client       - Mark as sent to client
+ *   POST /api/sales/order/:orderId/send-to-client       - Send the approval request to the client
  *   POST /api/sales/order/:orderId/client-approved       - Client approved + screenshots
  *   POST /api/sales/order/:orderId/request-revideo       - Request re-video from QA
  *   POST /api/sales/order/:orderId/request-alteration    - Request alteration (back to production)
@@ -32,10 +32,28 @@
 import { http, HttpResponse } from "msw"
 import { appConfig } from "@/config/appConfig"
 import { mockOrders, mockOrderItems } from "../data/mockOrders"
-import { mockUsers } from "../data/mockUser"
-import { ORDER_STATUS, ORDER_ITEM_STATUS, SECTION_STATUS } from "@/constants/orderConstants"
+import {
+  BASE_CURRENCY,
+  ORDER_STATUS,
+  ORDER_ITEM_STATUS,
+  SECTION_STATUS,
+  PHASE_14_TIMELINE_EVENTS,
+  NOTIFICATION_EVENTS,
+} from "@/constants/orderConstants"
+import { WORKFLOW_LEVEL, checkTransition, canTransition, getTransition } from "@/lib/workflow"
+import { getPaymentTotals } from "@/lib/payments"
 import { mockProductionTasks, mockProductionAssignments } from "../data/mockProductionTasks"
-import { mockProcurementDemands } from "../data/mockProcurementDemands"
+import { clearOpenDemands } from "../data/mockProcurementDemands"
+import { releaseReservations } from "../data/mockReservations"
+import { publishNotification, getUserIdsWithPermission } from "../data/mockNotifications"
+import {
+  getClientMessageDraftError,
+  getOrderClientMessages,
+  queueClientMessage,
+  deliverClientMessage,
+} from "../data/mockClientMessages"
+import { setOrderItemStatus } from "../data/mockStatusHistory"
+import { authorizeTransition } from "../requestAuth"
 
 const BASE_URL = `${appConfig.apiBaseUrl}/sales`
 
@@ -45,11 +63,32 @@ const BASE_URL = `${appConfig.apiBaseUrl}/sales`
 
 const findOrder = (orderId) => mockOrders.find((o) => o.id === orderId)
 const findOrderIndex = (orderId) => mockOrders.findIndex((o) => o.id === orderId)
-const findUser = (userId) =>
-  mockUsers.find((u) => u.id === userId || u.id === parseInt(userId) || u.id === String(userId))
 
 const getOrderItems = (orderId) => mockOrderItems.filter((oi) => oi.orderId === orderId)
 
+/**
+ * Validate an order-level sales action against the workflow table
+ * Returns a 409/403 response when the move is not allowed, otherwise null
+ */
+const rejectInvalidOrderTransition = (action, order, user) => {
+  const check = checkTransition(WORKFLOW_LEVEL.ORDER, action, order, { user })
+  return check.allowed ? null : HttpResponse.json(check.body, { status: check.httpStatus })
+}
+
+/**
+ * Cascade an order-level action to every order item that can take it
+ * @param {Object|string} actor - User (or name) recorded on each item's status change
+ */
+const cascadeToOrderItems = (orderId, action, actor, now) => {
+  const { to } = getTransition(WORKFLOW_LEVEL.ORDER_ITEM, action)
+  mockOrderItems.forEach((oi) => {
+    if (oi.orderId === orderId && canTransition(WORKFLOW_LEVEL.ORDER_ITEM, action, oi)) {
+      setOrderItemStatus(oi, to, actor, now)
+      oi.updatedAt = now
+    }
+  })
+}
+
 /**
  * Build enriched order object for API responses
  * Includes order items with video data, payment summary, etc.
@@ -69,7 +108,11 @@ const buildOrderResponse = (order) => {
     sectionStatuses: oi.sectionStatuses || {},
   }))
 
-  const totalPaid = (order.payments || []).reduce((sum, p) => sum + p.amount, 0)
+  const {
+    netPaid: totalPaid,
+    netPaidBase: totalPaidBase,
+    remainingAmount,
+  } = getPaymentTotals(order)
 
   return {
     orderId: order.id,
@@ -80,9 +123,11 @@ const buildOrderResponse = (order) => {
     customerPhone: order.customerPhone,
     destination: order.destination,
     fwdDate: order.fwdDate,
+    currency: order.currency,
     totalAmount: order.totalAmount,
     totalPaid,
-    remainingAmount: order.totalAmount - totalPaid,
+    totalPaidBase,
+    remainingAmount,
     paymentStatus: order.paymentStatus,
     payments: order.payments || [],
     items,
@@ -93,11 +138,229 @@ const buildOrderResponse = (order) => {
     // Timestamps
     sentToClientAt: order.sentToClientAt || null,
     sentToClientBy: order.sentToClientBy || null,
+    latestClientMessage: getOrderClientMessages(order.id)[0] || null,
     createdAt: order.createdAt,
     updatedAt: order.updatedAt,
   }
 }
 
+// ============================================================================
+// CLIENT RESPONSES
+// Shared by the sales endpoints (staff recording what the client said) and the
+// customer portal (the client answering themselves). Each returns
+// { status, body } when the request is refused, otherwise { data }.
+// ============================================================================
+
+/**
+ * Client approved the order's videos → AWAITING_ACCOUNT_APPROVAL
+ * Staff prove the approval with screenshots; a portal approval is proven by
+ * the portal response it came from.
+ *
+ * @param {string} orderId
+ * @param {Object} options
+ * @param {Object} [options.user] - Staff user; checked against the transition's permissions
+ * @param {string} options.actorName - Name written to the timeline
+ * @param {Array} [options.screenshots] - [{ name, dataUrl }]
+ * @param {string} [options.notes]
+ * @param {string} [options.portalResponseId]
+ */
+export const recordClientApproval = (
+  orderId,
+  { user, actorName, screenshots, notes, portalResponseId = null }
+) => {
+  const orderIndex = findOrderIndex(orderId)
+  if (orderIndex === -1) {
+    return { status: 404, body: { success: false, error: "Order not found" } }
+  }
+
+  const order = mockOrders[orderIndex]
+
+  const check = checkTransition(WORKFLOW_LEVEL.ORDER, "MARK_CLIENT_APPROVED", order, { user })
+  if (!check.allowed) return { status: check.httpStatus, body: check.body }
+
+  // Validate at least one screenshot
+  if (!portalResponseId && (!screenshots || screenshots.length === 0)) {
+    return {
+      status: 400,
+      body: { success: false, error: "At least one approval screenshot is required" },
+    }
+  }
+
+  const now = new Date().toISOString()
+
+  // Store client approval data on the order
+  mockOrders[orderIndex].clientApprovalData = {
+    approvalScreenshots: (screenshots || []).map((ss, i) => ({
+      id: `ss-${Date.now()}-${i}`,
+      name: ss.name,
+      dataUrl: ss.dataUrl,
+      uploadedAt: now,
+      uploadedBy: user?.id ?? null,
+    })),
+    approvedAt: now,
+    approvedBy: user?.id ?? null,
+    approvedByName: actorName,
+    clientNotes: notes || null,
+    portalResponseId,
+  }
+
+  // Update order status → AWAITING_ACCOUNT_APPROVAL (payment verification)
+  mockOrders[orderIndex].status = ORDER_STATUS.AWAITING_ACCOUNT_APPROVAL
+  mockOrders[orderIndex].updatedAt = now
+
+  // Update all order items to CLIENT_APPROVED
+  cascadeToOrderItems(orderId, "MARK_CLIENT_APPROVED", actorName, now)
+
+  // Timeline
+  if (!order.timeline) mockOrders[orderIndex].timeline = []
+  mockOrders[orderIndex].timeline.push({
+    id: `log-${Date.now()}`,
+    action: portalResponseId
+      ? `Client approved the order in the customer portal`
+      : `Client approved the order - screenshots uploaded`,
+    user: actorName,
+    timestamp: now,
+    event: PHASE_14_TIMELINE_EVENTS.CLIENT_APPROVED,
+  })
+
+  console.log(`✅ Order ${order.orderNumber} approved by client → AWAITING_ACCOUNT_APPROVAL`)
+
+  return {
+    data: {
+      orderId,
+      orderNumber: order.orderNumber,
+      status: ORDER_STATUS.AWAITING_ACCOUNT_APPROVAL,
+      clientApprovalData: mockOrders[orderIndex].clientApprovalData,
+    },
+  }
+}
+
+/**
+ * Client asked for alterations → the sections go back to production
+ *
+ * @param {string} orderId
+ * @param {Array} sections - [{ orderItemId, sectionName, notes }]
+ * @param {Object} options
+ * @param {Object} [options.user] - Staff user; checked against the transition's permissions
+ * @param {string} options.actorName - Name written to the timeline
+ * @param {string} [options.portalResponseId]
+ */
+export const applyAlterationRequest = (
+  orderId,
+  sections,
+  { user, actorName, portalResponseId = null }
+) => {
+  const orderIndex = findOrderIndex(orderId)
+  if (orderIndex === -1) {
+    return { status: 404, body: { success: false, error: "Order not found" } }
+  }
+
+  const order = mockOrders[orderIndex]
+
+  const check = checkTransition(WORKFLOW_LEVEL.ORDER, "REQUEST_ALTERATION", order, { user })
+  if (!check.allowed) return { status: check.httpStatus, body: check.body }
+
+  if (!sections || sections.length === 0) {
+    return {
+      status: 400,
+      body: { success: false, error: "At least one section must be selected for alteration" },
+    }
+  }
+
+  // Every requested section must be QA-approved before it can go back to production
+  for (const { orderItemId, sectionName } of sections) {
+    const orderItem = mockOrderItems.find((oi) => oi.id === orderItemId && oi.orderId === orderId)
+    const sectionData = orderItem?.sectionStatuses?.[sectionName.toLowerCase()]
+    if (!sectionData) continue
+
+    const sectionCheck = checkTransition(WORKFLOW_LEVEL.SECTION, "REQUEST_ALTERATION", sectionData)
+    if (!sectionCheck.allowed) {
+      return {
+        status: sectionCheck.httpStatus,
+        body: {
+          ...sectionCheck.body,
+          message: `${sectionCheck.body.message} (${orderItemId} / ${sectionName})`,
+        },
+      }
+    }
+  }
+
+  const now = new Date().toISOString()
+  const updatedItems = []
+
+  sections.forEach(({ orderItemId, sectionName, notes }) => {
+    const oiIndex = mockOrderItems.findIndex(
+      (oi) => oi.id === orderItemId && oi.orderId === orderId
+    )
+    if (oiIndex === -1) return
+
+    const sectionKey = sectionName.toLowerCase()
+    if (!mockOrderItems[oiIndex].sectionStatuses?.[sectionKey]) return
+
+    // Reset section to PRODUCTION_COMPLETED (ready for rework by production head)
+    mockOrderItems[oiIndex].sectionStatuses[sectionKey] = {
+      ...mockOrderItems[oiIndex].sectionStatuses[sectionKey],
+      status: SECTION_STATUS.READY_FOR_PRODUCTION, // ← CORRECT
+      alterationNotes: notes || "",
+      alterationRequestedBy: user?.id ?? null,
+      alterationRequestedAt: now,
+      alterationPortalResponseId: portalResponseId,
+      isAlteration: true, // Flag for production to know this is an alteration
+      updatedAt: now,
+    }
+
+    // Update order item status
+    if (canTransition(WORKFLOW_LEVEL.ORDER_ITEM, "REQUEST_ALTERATION", mockOrderItems[oiIndex])) {
+      setOrderItemStatus(
+        mockOrderItems[oiIndex],
+        ORDER_ITEM_STATUS.ALTERATION_REQUIRED,
+        actorName,
+        now
+      )
+      mockOrderItems[oiIndex].updatedAt = now
+    }
+
+    updatedItems.push({ orderItemId, sectionName: sectionKey })
+  })
+
+  const affectedOrderItemIds = [...new Set(sections.map((s) => s.orderItemId))]
+  affectedOrderItemIds.forEach((oiId) => {
+    const oiIdx = mockOrderItems.findIndex((oi) => oi.id === oiId && oi.orderId === orderId)
+    if (oiIdx !== -1) {
+      // Clear video data — QA must re-upload after alteration completes
+      delete mockOrderItems[oiIdx].videoData
+      // Also clear any lingering reVideoRequest
+      delete mockOrderItems[oiIdx].reVideoRequest
+    }
+  })
+
+  // Update order status - goes back to a state where production can see it
+  // Keep it in AWAITING_CLIENT_APPROVAL or set a specific alteration status
+  // Per the data flow doc, we keep the order in AWAITING_CLIENT_APPROVAL
+  // but the affected order items go to ALTERATION_REQUIRED
+  mockOrders[orderIndex].updatedAt = now
+
+  // Timeline
+  const sectionList = sections.map((s) => `${s.sectionName} (${s.orderItemId})`).join(", ")
+  if (!order.timeline) mockOrders[orderIndex].timeline = []
+  mockOrders[orderIndex].timeline.push({
+    id: `log-${Date.now()}`,
+    action: `Alteration requested for sections: ${sectionList}`,
+    user: actorName,
+    timestamp: now,
+  })
+
+  console.log(`✅ Alteration requested for ${updatedItems.length} sections`)
+
+  return {
+    data: {
+      orderId,
+      updatedItems,
+      orderStatus: order.status,
+    },
+  }
+}
+
 // ============================================================================
 // GET /api/sales/approval-queue - Orders ready to send to client (Tab 1)
 // ============================================================================
@@ -188,13 +451,18 @@ const getOrderDetails = http.get(`${BASE_URL}/order/:orderId`, async ({ params }
 })
 
 // ============================================================================
-// POST /api/sales/order/:orderId/send-to-client - Mark as sent to client
+// POST /api/sales/order/:orderId/send-to-client - Send the approval request
+// Body: { message: { channel, templateKey, subject, body } } - the message is
+// optional; without it the order is only marked as sent. A message that fails
+// to deliver stays in the outbox to retry and does not hold the order back.
 // ============================================================================
 const sendToClient = http.post(
   `${BASE_URL}/order/:orderId/send-to-client`,
   async ({ params, request }) => {
     const { orderId } = params
-    const { sentBy } = await request.json()
+    const { user, denied } = authorizeTransition(request, WORKFLOW_LEVEL.ORDER, "SEND_TO_CLIENT")
+    if (denied) return denied
+    const { message: draft } = await request.json().catch(() => ({}))
 
     console.log(`📤 POST /api/sales/order/${orderId}/send-to-client`)
 
@@ -206,42 +474,40 @@ const sendToClient = http.post(
     const order = mockOrders[orderIndex]
 
     // Validate order is in correct status
-    if (order.status !== ORDER_STATUS.READY_FOR_CLIENT_APPROVAL) {
-      return HttpResponse.json(
-        {
-          success: false,
-          error: `Order must be in READY_FOR_CLIENT_APPROVAL status. Current: ${order.status}`,
-        },
-        { status: 400 }
-      )
+    const invalid = rejectInvalidOrderTransition("SEND_TO_CLIENT", order, user)
+    if (invalid) return invalid
+
+    const draftError = draft && getClientMessageDraftError(order, draft)
+    if (draftError) {
+      return HttpResponse.json({ success: false, error: draftError }, { status: 400 })
     }
 
     const now = new Date().toISOString()
-    const sentByUser = findUser(sentBy)
 
     // Update order status
     mockOrders[orderIndex].status = ORDER_STATUS.AWAITING_CLIENT_APPROVAL
     mockOrders[orderIndex].sentToClientAt = now
-    mockOrders[orderIndex].sentToClientBy = sentBy
+    mockOrders[orderIndex].sentToClientBy = user.id
     mockOrders[orderIndex].updatedAt = now
 
     // Update all order items status
-    mockOrderItems.forEach((oi, idx) => {
-      if (oi.orderId === orderId && oi.status === ORDER_ITEM_STATUS.READY_FOR_CLIENT_APPROVAL) {
-        mockOrderItems[idx].status = ORDER_ITEM_STATUS.AWAITING_CLIENT_APPROVAL
-        mockOrderItems[idx].updatedAt = now
-      }
-    })
+    cascadeToOrderItems(orderId, "SEND_TO_CLIENT", user, now)
 
     // Add timeline entry
     if (!order.timeline) mockOrders[orderIndex].timeline = []
     mockOrders[orderIndex].timeline.push({
       id: `log-${Date.now()}`,
       action: `Order sent to client for approval`,
-      user: sentByUser?.name || "Sales User",
+      user: user.name,
       timestamp: now,
     })
 
+    let clientMessage = null
+    if (draft) {
+      clientMessage = queueClientMessage(mockOrders[orderIndex], { ...draft, sender: user })
+      await deliverClientMessage(mockOrders[orderIndex], clientMessage, user)
+    }
+
     console.log(`✅ Order ${order.orderNumber} sent to client`)
 
     return HttpResponse.json({
@@ -252,6 +518,7 @@ const sendToClient = http.post(
         orderNumber: order.orderNumber,
         status: ORDER_STATUS.AWAITING_CLIENT_APPROVAL,
         sentToClientAt: now,
+        clientMessage,
       },
     })
   }
@@ -264,84 +531,28 @@ const clientApproved = http.post(
   `${BASE_URL}/order/:orderId/client-approved`,
   async ({ params, request }) => {
     const { orderId } = params
-    const { screenshots, notes, approvedBy } = await request.json()
+    const { user, denied } = authorizeTransition(
+      request,
+      WORKFLOW_LEVEL.ORDER,
+      "MARK_CLIENT_APPROVED"
+    )
+    if (denied) return denied
+    const { screenshots, notes } = await request.json()
 
     console.log(`✅ POST /api/sales/order/${orderId}/client-approved`)
 
-    const orderIndex = findOrderIndex(orderId)
-    if (orderIndex === -1) {
-      return HttpResponse.json({ success: false, error: "Order not found" }, { status: 404 })
-    }
-
-    const order = mockOrders[orderIndex]
-
-    if (order.status !== ORDER_STATUS.AWAITING_CLIENT_APPROVAL) {
-      return HttpResponse.json(
-        {
-          success: false,
-          error: `Order must be in AWAITING_CLIENT_APPROVAL status. Current: ${order.status}`,
-        },
-        { status: 400 }
-      )
-    }
-
-    // Validate at least one screenshot
-    if (!screenshots || screenshots.length === 0) {
-      return HttpResponse.json(
-        { success: false, error: "At least one approval screenshot is required" },
-        { status: 400 }
-      )
-    }
-
-    const now = new Date().toISOString()
-    const approvedByUser = findUser(approvedBy)
-
-    // Store client approval data on the order
-    mockOrders[orderIndex].clientApprovalData = {
-      approvalScreenshots: screenshots.map((ss, i) => ({
-        id: `ss-${Date.now()}-${i}`,
-        name: ss.name,
-        dataUrl: ss.dataUrl,
-        uploadedAt: now,
-        uploadedBy: approvedBy,
-      })),
-      approvedAt: now,
-      approvedBy,
-      clientNotes: notes || null,
-    }
-
-    // Update order status → AWAITING_ACCOUNT_APPROVAL (payment verification)
-    mockOrders[orderIndex].status = ORDER_STATUS.AWAITING_ACCOUNT_APPROVAL
-    mockOrders[orderIndex].updatedAt = now
-
-    // Update all order items to CLIENT_APPROVED
-    mockOrderItems.forEach((oi, idx) => {
-      if (oi.orderId === orderId && oi.status === ORDER_ITEM_STATUS.AWAITING_CLIENT_APPROVAL) {
-        mockOrderItems[idx].status = ORDER_ITEM_STATUS.CLIENT_APPROVED
-        mockOrderItems[idx].updatedAt = now
-      }
-    })
-
-    // Timeline
-    if (!order.timeline) mockOrders[orderIndex].timeline = []
-    mockOrders[orderIndex].timeline.push({
-      id: `log-${Date.now()}`,
-      action: `Client approved the order - screenshots uploaded`,
-      user: approvedByUser?.name || "Sales User",
-      timestamp: now,
+    const result = recordClientApproval(orderId, {
+      user,
+      actorName: user.name,
+      screenshots,
+      notes,
     })
-
-    console.log(`✅ Order ${order.orderNumber} approved by client → AWAITING_ACCOUNT_APPROVAL`)
+    if (result.body) return HttpResponse.json(result.body, { status: result.status })
 
     return HttpResponse.json({
       success: true,
       message: "Client approval recorded successfully",
-      data: {
-        orderId,
-        orderNumber: order.orderNumber,
-        status: ORDER_STATUS.AWAITING_ACCOUNT_APPROVAL,
-        clientApprovalData: mockOrders[orderIndex].clientApprovalData,
-      },
+      data: result.data,
     })
   }
 )
@@ -353,7 +564,9 @@ const requestReVideo = http.post(
   `${BASE_URL}/order/:orderId/request-revideo`,
   async ({ params, request }) => {
     const { orderId } = params
-    const { orderItemId, sections, requestedBy } = await request.json()
+    const { user, denied } = authorizeTransition(request, WORKFLOW_LEVEL.ORDER, "REQUEST_REVIDEO")
+    if (denied) return denied
+    const { orderItemId, sections } = await request.json()
 
     console.log(`📹 POST /api/sales/order/${orderId}/request-revideo`)
 
@@ -364,12 +577,8 @@ const requestReVideo = http.post(
 
     const order = mockOrders[orderIndex]
 
-    if (order.status !== ORDER_STATUS.AWAITING_CLIENT_APPROVAL) {
-      return HttpResponse.json(
-        { success: false, error: `Order must be in AWAITING_CLIENT_APPROVAL status` },
-        { status: 400 }
-      )
-    }
+    const invalid = rejectInvalidOrderTransition("REQUEST_REVIDEO", order, user)
+    if (invalid) return invalid
 
     // Validate orderItemId
     const orderItemIndex = mockOrderItems.findIndex(
@@ -391,7 +600,6 @@ const requestReVideo = http.post(
     }
 
     const now = new Date().toISOString()
-    const requestedByUser = findUser(requestedBy)
 
     // Build notes map from sections array
     const notesMap = {}
@@ -403,8 +611,8 @@ const requestReVideo = http.post(
 
     // Store re-video request on the order item
     mockOrderItems[orderItemIndex].reVideoRequest = {
-      requestedBy,
-      requestedByName: requestedByUser?.name || "Sales User",
+      requestedBy: user.id,
+      requestedByName: user.name,
       requestedAt: now,
       sections: sectionNames,
       notes: notesMap,
@@ -418,10 +626,20 @@ const requestReVideo = http.post(
     mockOrders[orderIndex].timeline.push({
       id: `log-${Date.now()}`,
       action: `Re-video requested for ${mockOrderItems[orderItemIndex].productName} - Sections: ${sectionNames.join(", ")}`,
-      user: requestedByUser?.name || "Sales User",
+      user: user.name,
       timestamp: now,
     })
 
+    publishNotification(NOTIFICATION_EVENTS.RE_VIDEO_REQUESTED, {
+      recipientIds: getUserIdsWithPermission("qa.upload_video"),
+      title: "Re-video requested",
+      message: `${user.name} needs a new video of ${mockOrderItems[orderItemIndex].productName} (${order.orderNumber}) - ${sectionNames.join(", ")}`,
+      link: "/qa",
+      orderId,
+      orderItemId,
+      actor: user,
+    })
+
     console.log(
       `✅ Re-video requested for order item ${orderItemId}, sections: ${sectionNames.join(", ")}`
     )
@@ -445,100 +663,24 @@ const requestAlteration = http.post(
   `${BASE_URL}/order/:orderId/request-alteration`,
   async ({ params, request }) => {
     const { orderId } = params
-    const { sections, requestedBy } = await request.json()
+    const { user, denied } = authorizeTransition(
+      request,
+      WORKFLOW_LEVEL.ORDER,
+      "REQUEST_ALTERATION"
+    )
+    if (denied) return denied
+    const { sections } = await request.json()
     // sections: [{ orderItemId, sectionName, notes }]
 
     console.log(`✂️ POST /api/sales/order/${orderId}/request-alteration`)
 
-    const orderIndex = findOrderIndex(orderId)
-    if (orderIndex === -1) {
-      return HttpResponse.json({ success: false, error: "Order not found" }, { status: 404 })
-    }
-
-    const order = mockOrders[orderIndex]
-
-    if (order.status !== ORDER_STATUS.AWAITING_CLIENT_APPROVAL) {
-      return HttpResponse.json(
-        { success: false, error: `Order must be in AWAITING_CLIENT_APPROVAL status` },
-        { status: 400 }
-      )
-    }
-
-    if (!sections || sections.length === 0) {
-      return HttpResponse.json(
-        { success: false, error: "At least one section must be selected for alteration" },
-        { status: 400 }
-      )
-    }
-
-    const now = new Date().toISOString()
-    const requestedByUser = findUser(requestedBy)
-    const updatedItems = []
-
-    sections.forEach(({ orderItemId, sectionName, notes }) => {
-      const oiIndex = mockOrderItems.findIndex(
-        (oi) => oi.id === orderItemId && oi.orderId === orderId
-      )
-      if (oiIndex === -1) return
-
-      const sectionKey = sectionName.toLowerCase()
-      if (!mockOrderItems[oiIndex].sectionStatuses?.[sectionKey]) return
-
-      // Reset section to PRODUCTION_COMPLETED (ready for rework by production head)
-      mockOrderItems[oiIndex].sectionStatuses[sectionKey] = {
-        ...mockOrderItems[oiIndex].sectionStatuses[sectionKey],
-        status: SECTION_STATUS.READY_FOR_PRODUCTION, // ← CORRECT
-        alterationNotes: notes || "",
-        alterationRequestedBy: requestedBy,
-        alterationRequestedAt: now,
-        isAlteration: true, // Flag for production to know this is an alteration
-        updatedAt: now,
-      }
-
-      // Update order item status
-      mockOrderItems[oiIndex].status = ORDER_ITEM_STATUS.ALTERATION_REQUIRED
-      mockOrderItems[oiIndex].updatedAt = now
-
-      updatedItems.push({ orderItemId, sectionName: sectionKey })
-    })
-
-    const affectedOrderItemIds = [...new Set(sections.map((s) => s.orderItemId))]
-    affectedOrderItemIds.forEach((oiId) => {
-      const oiIdx = mockOrderItems.findIndex((oi) => oi.id === oiId && oi.orderId === orderId)
-      if (oiIdx !== -1) {
-        // Clear video data — QA must re-upload after alteration completes
-        delete mockOrderItems[oiIdx].videoData
-        // Also clear any lingering reVideoRequest
-        delete mockOrderItems[oiIdx].reVideoRequest
-      }
-    })
-
-    // Update order status - goes back to a state where production can see it
-    // Keep it in AWAITING_CLIENT_APPROVAL or set a specific alteration status
-    // Per the data flow doc, we keep the order in AWAITING_CLIENT_APPROVAL
-    // but the affected order items go to ALTERATION_REQUIRED
-    mockOrders[orderIndex].updatedAt = now
-
-    // Timeline
-    const sectionList = sections.map((s) => `${s.sectionName} (${s.orderItemId})`).join(", ")
-    if (!order.timeline) mockOrders[orderIndex].timeline = []
-    mockOrders[orderIndex].timeline.push({
-      id: `log-${Date.now()}`,
-      action: `Alteration requested for sections: ${sectionList}`,
-      user: requestedByUser?.name || "Sales User",
-      timestamp: now,
-    })
-
-    console.log(`✅ Alteration requested for ${updatedItems.length} sections`)
+    const result = applyAlterationRequest(orderId, sections, { user, actorName: user.name })
+    if (result.body) return HttpResponse.json(result.body, { status: result.status })
 
     return HttpResponse.json({
       success: true,
-      message: `Alteration requested for ${updatedItems.length} section(s)`,
-      data: {
-        orderId,
-        updatedItems,
-        orderStatus: order.status,
-      },
+      message: `Alteration requested for ${result.data.updatedItems.length} section(s)`,
+      data: result.data,
     })
   }
 )
@@ -550,7 +692,9 @@ const clientRejected = http.post(
   `${BASE_URL}/order/:orderId/client-rejected`,
   async ({ params, request }) => {
     const { orderId } = params
-    const { reason, cancelledBy } = await request.json()
+    const { user, denied } = authorizeTransition(request, WORKFLOW_LEVEL.ORDER, "CANCEL_BY_CLIENT")
+    if (denied) return denied
+    const { reason } = await request.json()
 
     console.log(`❌ POST /api/sales/order/${orderId}/client-rejected`)
 
@@ -561,20 +705,15 @@ const clientRejected = http.post(
 
     const order = mockOrders[orderIndex]
 
-    if (order.status !== ORDER_STATUS.AWAITING_CLIENT_APPROVAL) {
-      return HttpResponse.json(
-        { success: false, error: `Order must be in AWAITING_CLIENT_APPROVAL status` },
-        { status: 400 }
-      )
-    }
+    const invalid = rejectInvalidOrderTransition("CANCEL_BY_CLIENT", order, user)
+    if (invalid) return invalid
 
     const now = new Date().toISOString()
-    const cancelledByUser = findUser(cancelledBy)
 
     // Store cancellation data
     mockOrders[orderIndex].cancellationData = {
       cancelledAt: now,
-      cancelledBy,
+      cancelledBy: user.id,
       reason: reason || "Client rejected order",
       type: "CLIENT_REJECTED",
     }
@@ -584,19 +723,14 @@ const clientRejected = http.post(
     mockOrders[orderIndex].updatedAt = now
 
     // Update all order items
-    mockOrderItems.forEach((oi, idx) => {
-      if (oi.orderId === orderId) {
-        mockOrderItems[idx].status = ORDER_ITEM_STATUS.CANCELLED_BY_CLIENT
-        mockOrderItems[idx].updatedAt = now
-      }
-    })
+    cascadeToOrderItems(orderId, "CANCEL_BY_CLIENT", user, now)
 
     // Timeline
     if (!order.timeline) mockOrders[orderIndex].timeline = []
     mockOrders[orderIndex].timeline.push({
       id: `log-${Date.now()}`,
       action: `Order cancelled by client - Reason: ${reason || "Not specified"}`,
-      user: cancelledByUser?.name || "Sales User",
+      user: user.name,
       timestamp: now,
     })
 
@@ -622,7 +756,13 @@ const startFromScratch = http.post(
   `${BASE_URL}/order/:orderId/start-from-scratch`,
   async ({ params, request }) => {
     const { orderId } = params
-    const { confirmedBy, reason } = await request.json()
+    const { user, denied } = authorizeTransition(
+      request,
+      WORKFLOW_LEVEL.ORDER,
+      "START_FROM_SCRATCH"
+    )
+    if (denied) return denied
+    const { reason } = await request.json()
 
     console.log(`🔄 POST /api/sales/order/${orderId}/start-from-scratch`)
 
@@ -633,15 +773,10 @@ const startFromScratch = http.post(
 
     const order = mockOrders[orderIndex]
 
-    if (order.status !== ORDER_STATUS.AWAITING_CLIENT_APPROVAL) {
-      return HttpResponse.json(
-        { success: false, error: `Order must be in AWAITING_CLIENT_APPROVAL status` },
-        { status: 400 }
-      )
-    }
+    const invalid = rejectInvalidOrderTransition("START_FROM_SCRATCH", order, user)
+    if (invalid) return invalid
 
     const now = new Date().toISOString()
-    const confirmedByUser = findUser(confirmedBy)
 
     // Reset order status to INVENTORY_CHECK
     mockOrders[orderIndex].status = ORDER_STATUS.INVENTORY_CHECK
@@ -655,11 +790,14 @@ const startFromScratch = http.post(
     // ── Step 1: Collect order item IDs for this order ──
     const orderItemIds = mockOrderItems.filter((oi) => oi.orderId === orderId).map((oi) => oi.id)
 
-    for (let i = mockProcurementDemands.length - 1; i >= 0; i--) {
-      if (orderItemIds.includes(mockProcurementDemands[i].orderItemId)) {
-        mockProcurementDemands.splice(i, 1)
-      }
-    }
+    // Open demands are raised again by the next inventory check; those already
+    // on a purchase order are kept so receiving the PO still allocates to them
+    orderItemIds.forEach((orderItemId) => clearOpenDemands(orderItemId))
+
+    // Give back stock the earlier inventory checks reserved but nobody picked
+    orderItemIds.forEach((orderItemId) =>
+      releaseReservations(orderItemId, { reason: "Order restarted from scratch" })
+    )
 
     // ── Step 2: Remove all production tasks for these order items ──
     // (In a real backend, you'd mark as SUPERSEDED; in MSW, we remove them)
@@ -679,7 +817,7 @@ const startFromScratch = http.post(
     // ── Step 4: Reset all order items ──
     mockOrderItems.forEach((oi, idx) => {
       if (oi.orderId === orderId) {
-        mockOrderItems[idx].status = ORDER_ITEM_STATUS.INVENTORY_CHECK
+        setOrderItemStatus(mockOrderItems[idx], ORDER_ITEM_STATUS.INVENTORY_CHECK, user, now)
         mockOrderItems[idx].updatedAt = now
 
         // Archive and clear video data
@@ -691,6 +829,13 @@ const startFromScratch = http.post(
         // Clear re-video request
         delete mockOrderItems[idx].reVideoRequest
 
+        // The ready stock garment the client turned down stays with the order;
+        // the next inventory check takes another one or sends the item to production
+        if (oi.readyStockFulfillment) {
+          mockOrderItems[idx].archivedReadyStockFulfillment = oi.readyStockFulfillment
+          delete mockOrderItems[idx].readyStockFulfillment
+        }
+
         // Clear packet-level data
         delete mockOrderItems[idx].packetId
         delete mockOrderItems[idx].packetCreatedAt
@@ -728,7 +873,7 @@ const startFromScratch = http.post(
           id: `log-${Date.now()}-${idx}`,
           action:
             "Order reset to start from scratch - all sections, tasks, and assignments cleared",
-          user: confirmedByUser?.name || "Sales User",
+          user: user.name,
           timestamp: now,
         })
       }
@@ -739,7 +884,7 @@ const startFromScratch = http.post(
     mockOrders[orderIndex].timeline.push({
       id: `log-${Date.now()}`,
       action: `Order reset to start from scratch${reason ? ` - Reason: ${reason}` : ""}`,
-      user: confirmedByUser?.name || "Sales User",
+      user: user.name,
       timestamp: now,
     })
 
@@ -764,7 +909,8 @@ const approvePayments = http.post(
   `${BASE_URL}/order/:orderId/approve-payments`,
   async ({ params, request }) => {
     const { orderId } = params
-    const { approvedBy } = await request.json()
+    const { user, denied } = authorizeTransition(request, WORKFLOW_LEVEL.ORDER, "APPROVE_PAYMENTS")
+    if (denied) return denied
 
     console.log(`💰 POST /api/sales/order/${orderId}/approve-payments`)
 
@@ -775,46 +921,32 @@ const approvePayments = http.post(
 
     const order = mockOrders[orderIndex]
 
-    if (order.status !== ORDER_STATUS.AWAITING_ACCOUNT_APPROVAL) {
-      return HttpResponse.json(
-        { success: false, error: `Order must be in AWAITING_ACCOUNT_APPROVAL status` },
-        { status: 400 }
-      )
-    }
+    // Validate status and total paid >= total amount
+    const invalid = rejectInvalidOrderTransition("APPROVE_PAYMENTS", order, user)
+    if (invalid) return invalid
 
-    // Validate total paid >= total amount
-    const totalPaid = (order.payments || []).reduce((sum, p) => sum + p.amount, 0)
-    if (totalPaid < order.totalAmount) {
-      return HttpResponse.json(
-        {
-          success: false,
-          error: `Payment insufficient. Total: PKR ${order.totalAmount}, Paid: PKR ${totalPaid}, Remaining: PKR ${order.totalAmount - totalPaid}`,
-        },
-        { status: 400 }
-      )
-    }
+    const { netPaid: totalPaid, netPaidBase: totalPaidBase } = getPaymentTotals(order)
+    const { currency } = order
+    const baseNote =
+      currency !== BASE_CURRENCY
+        ? `; ${BASE_CURRENCY} ${totalPaidBase.toLocaleString()} received`
+        : ""
 
     const now = new Date().toISOString()
-    const approvedByUser = findUser(approvedBy)
 
     // Update order status
     mockOrders[orderIndex].status = ORDER_STATUS.READY_FOR_DISPATCH
     mockOrders[orderIndex].updatedAt = now
 
     // Update all order items to READY_FOR_DISPATCH
-    mockOrderItems.forEach((oi, idx) => {
-      if (oi.orderId === orderId && oi.status === ORDER_ITEM_STATUS.CLIENT_APPROVED) {
-        mockOrderItems[idx].status = ORDER_ITEM_STATUS.READY_FOR_DISPATCH
-        mockOrderItems[idx].updatedAt = now
-      }
-    })
+    cascadeToOrderItems(orderId, "APPROVE_PAYMENTS", user, now)
 
     // Timeline
     if (!order.timeline) mockOrders[orderIndex].timeline = []
     mockOrders[orderIndex].timeline.push({
       id: `log-${Date.now()}`,
-      action: `Payments verified and approved (PKR ${totalPaid} / PKR ${order.totalAmount}) - Ready for dispatch`,
-      user: approvedByUser?.name || "Sales User",
+      action: `Payments verified and approved (${currency} ${totalPaid.toLocaleString()} / ${currency} ${order.totalAmount.toLocaleString()}${baseNote}) - Ready for dispatch`,
+      user: user.name,
       timestamp: now,
     })
 
@@ -827,7 +959,9 @@ const approvePayments = http.post(
         orderId,
         orderNumber: order.orderNumber,
         status: ORDER_STATUS.READY_FOR_DISPATCH,
+        currency,
         totalPaid,
+        totalPaidBase,
         totalAmount: order.totalAmount,
       },
     })
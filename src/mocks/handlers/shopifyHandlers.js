@@ -0,0 +1,599 @@
+/**
+ * Shopify MSW Handlers
+ * src/mocks/handlers/shopifyHandlers.js
+ *
+ * Creates ORDER_SOURCE.SHOPIFY orders from Shopify order payloads instead of
+ * sales re-typing them in CreateOrderPage. Line items are matched to
+ * mockProducts by SKU (falling back to shopify_variant_id), and each item gets
+ * the product's includedItems plus the add-ons named in its line item
+ * properties. Both endpoints are idempotent on shopifyOrderId: an order that
+ * was already imported is reported as a duplicate and left untouched.
+ *
+ * Endpoints:
+ *   POST /api/shopify/webhooks/orders-create - Shopify "orders/create" webhook body
+ *   POST /api/shopify/import                 - Shopify export file (JSON or admin CSV)
+ */
+
+import { http, HttpResponse } from "msw"
+import { appConfig } from "@/config/appConfig"
+import { parseCsv } from "@/lib/csv"
+import { authorizeRequest } from "../requestAuth"
+import { verifyWebhookSignature } from "../webhookSignature"
+import {
+  mockOrders,
+  mockOrderItems,
+  getOrderWithItems,
+  generateOrderNumber,
+  generateOrderId,
+  generateOrderItemId,
+  generateTimelineId,
+  createPaymentEntry,
+} from "../data/mockOrders"
+import { findOrCreateCustomerForOrder } from "../data/mockCustomers"
+import { mockProducts } from "../data/mockProducts"
+import { mockExchangeRates, getMissingRate } from "../data/mockExchangeRates"
+import { convertPiecePrices } from "@/lib/currency"
+import {
+  BASE_CURRENCY,
+  ORDER_ITEM_STATUS,
+  ORDER_SOURCE,
+  PAYMENT_STATUS,
+  SIZE_TYPE,
+  CUSTOMIZATION_TYPE,
+  STANDARD_SIZES,
+} from "@/constants/orderConstants"
+
+const BASE_URL = `${appConfig.apiBaseUrl}/shopify`
+
+/** Actor recorded on webhook imports, which no logged-in user makes */
+const SHOPIFY_ACTOR = { id: null, name: "Shopify" }
+
+// Webhook signing key - a real backend keeps this in its environment, never in the client
+const SHOPIFY_WEBHOOK_SECRET = "mock-shopify-webhook-secret"
+
+/** Line item property names (lowercased) that carry order details */
+const ADD_ONS_PROPERTIES = ["add-ons", "add-on", "addons", "_addons"]
+const SIZE_PROPERTIES = ["size"]
+const HEIGHT_PROPERTIES = ["height", "client height"]
+
+const CUSTOM_SIZE_VALUES = ["custom", "custom size", "made to measure"]
+
+/** Shopify financial_status -> PAYMENT_STATUS */
+const FINANCIAL_STATUS_MAP = {
+  paid: PAYMENT_STATUS.PAID,
+  partially_paid: PAYMENT_STATUS.PARTIAL,
+  partially_refunded: PAYMENT_STATUS.PAID,
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+const toAmount = (value) => {
+  const amount = parseFloat(value)
+  return Number.isFinite(amount) ? amount : 0
+}
+
+const normalize = (value) => String(value ?? "").trim()
+
+/** "2025-03-10T10:20:00+05:00" (API) or "2025-03-10 10:20:00 -0500" (CSV) -> "2025-03-10" */
+const getDatePart = (value) => normalize(value).match(/^\d{4}-\d{2}-\d{2}/)?.[0] || ""
+
+const getProperty = (lineItem, names) => {
+  const property = (lineItem.properties || []).find((p) =>
+    names.includes(normalize(p.name).toLowerCase())
+  )
+  return property ? normalize(property.value) : ""
+}
+
+const findOrderByShopifyId = (shopifyOrderId) =>
+  mockOrders.find((o) => o.shopifyOrderId && String(o.shopifyOrderId) === shopifyOrderId)
+
+/**
+ * Match a line item to a product: SKU first, then Shopify variant id
+ */
+const findProductForLineItem = (lineItem) => {
+  const sku = normalize(lineItem.sku).toLowerCase()
+  if (sku) {
+    const product = mockProducts.find((p) => p.sku?.toLowerCase() === sku)
+    if (product) return product
+  }
+
+  if (lineItem.variant_id) {
+    return mockProducts.find(
+      (p) => p.shopify_variant_id && String(p.shopify_variant_id) === String(lineItem.variant_id)
+    )
+  }
+
+  return null
+}
+
+/**
+ * Read size from the variant title (e.g. "M" or "Custom") or a "Size" property.
+ * Anything that is not a standard size is treated as custom, so measurements
+ * are taken before production instead of guessing a BOM.
+ */
+const resolveSize = (lineItem) => {
+  const value = getProperty(lineItem, SIZE_PROPERTIES) || normalize(lineItem.variant_title)
+  const standardSize = STANDARD_SIZES.find((s) => s.value.toLowerCase() === value.toLowerCase())
+
+  if (standardSize) {
+    return { sizeType: SIZE_TYPE.STANDARD, size: standardSize.value }
+  }
+
+  if (value && !CUSTOM_SIZE_VALUES.includes(value.toLowerCase())) {
+    return { sizeType: SIZE_TYPE.CUSTOM, size: "Custom", sizeNote: value }
+  }
+
+  return { sizeType: SIZE_TYPE.CUSTOM, size: "Custom" }
+}
+
+/**
+ * Resolve the comma-separated add-ons property against the product's add_ons
+ */
+const resolveAddOns = (lineItem, product) => {
+  const requested = getProperty(lineItem, ADD_ONS_PROPERTIES)
+    .split(",")
+    .map((piece) => piece.trim().toLowerCase())
+    .filter(Boolean)
+
+  const selectedAddOns = []
+  const unknown = []
+
+  requested.forEach((piece) => {
+    const addOn = (product.add_ons || []).find((a) => a.piece.toLowerCase() === piece)
+    if (addOn) selectedAddOns.push({ ...addOn })
+    else unknown.push(piece)
+  })
+
+  return { selectedAddOns, unknown }
+}
+
+const formatShopifyAddress = (address) =>
+  [address.address1, address.address2, address.city, address.province, address.zip, address.country]
+    .map(normalize)
+    .filter(Boolean)
+    .join(", ")
+
+const getCustomerName = (shopifyOrder) => {
+  const shipping = shopifyOrder.shipping_address || {}
+  const customer = shopifyOrder.customer || {}
+  return (
+    normalize(shipping.name) ||
+    [shipping.first_name, shipping.last_name].map(normalize).filter(Boolean).join(" ") ||
+    [customer.first_name, customer.last_name].map(normalize).filter(Boolean).join(" ") ||
+    normalize(shopifyOrder.email)
+  )
+}
+
+/**
+ * Map a Shopify order payload to an order and its items without saving them.
+ * Returns { errors } when any line item cannot be mapped, so an order is
+ * never created with missing items. `user` is the acting user ({ id, name }).
+ */
+const mapShopifyOrder = (shopifyOrder, { user, via }) => {
+  const errors = []
+  const shopifyOrderId = normalize(shopifyOrder.id)
+  const lineItems = shopifyOrder.line_items || []
+
+  if (!shopifyOrderId) errors.push("Missing Shopify order id")
+  if (lineItems.length === 0) errors.push("Order has no line items")
+
+  const now = new Date().toISOString()
+  const shopifyOrderNumber = normalize(shopifyOrder.name) || `#${shopifyOrder.order_number}`
+  const customerName = getCustomerName(shopifyOrder)
+  const currency = normalize(shopifyOrder.currency) || BASE_CURRENCY
+  const orderDate = getDatePart(shopifyOrder.created_at) || now.split("T")[0]
+  let clientHeight = ""
+
+  // Product piece prices are in the base currency
+  const missingRate = getMissingRate(BASE_CURRENCY, currency, orderDate)
+  if (missingRate) errors.push(missingRate)
+
+  const items = lineItems.map((lineItem, index) => {
+    const label = lineItem.sku || lineItem.title || `line item ${index + 1}`
+    const product = findProductForLineItem(lineItem)
+
+    if (!product) {
+      errors.push(`No product matches SKU "${label}"`)
+      return null
+    }
+
+    const { selectedAddOns, unknown } = resolveAddOns(lineItem, product)
+    if (unknown.length > 0) {
+      errors.push(`${product.sku}: unknown add-on(s) ${unknown.join(", ")}`)
+    }
+
+    const { sizeType, size, sizeNote } = resolveSize(lineItem)
+    clientHeight = clientHeight || getProperty(lineItem, HEIGHT_PROPERTIES)
+
+    return {
+      productId: product.id,
+      productName: product.name,
+      productImage: product.primary_image,
+      productSku: product.sku,
+      sizeType,
+      size,
+      sizeNote,
+      quantity: parseInt(lineItem.quantity) || 1,
+      unitPrice: toAmount(lineItem.price) || product.total_price || 0,
+      includedItems: convertPiecePrices(
+        mockExchangeRates,
+        product.product_items,
+        currency,
+        orderDate
+      ),
+      selectedAddOns: convertPiecePrices(mockExchangeRates, selectedAddOns, currency, orderDate),
+    }
+  })
+
+  if (errors.length > 0) {
+    return { errors, shopifyOrderId, shopifyOrderNumber, customerName }
+  }
+
+  const shipping = shopifyOrder.shipping_address || shopifyOrder.billing_address || {}
+  const totalAmount = toAmount(shopifyOrder.total_price)
+  const paymentStatus =
+    FINANCIAL_STATUS_MAP[shopifyOrder.financial_status] || PAYMENT_STATUS.PENDING
+
+  // Amount already captured by Shopify becomes the first payment
+  const amountPaid =
+    shopifyOrder.total_outstanding !== undefined
+      ? totalAmount - toAmount(shopifyOrder.total_outstanding)
+      : paymentStatus === PAYMENT_STATUS.PAID
+        ? totalAmount
+        : 0
+
+  const gateway = (shopifyOrder.payment_gateway_names || [])[0] || shopifyOrder.gateway || ""
+
+  const order = {
+    orderNumber: null,
+    shopifyOrderId,
+    shopifyOrderNumber,
+    source: ORDER_SOURCE.SHOPIFY,
+    customerName,
+    customerEmail: normalize(shopifyOrder.email || shopifyOrder.customer?.email) || null,
+    customerPhone: normalize(shopifyOrder.phone || shipping.phone) || null,
+    destination: normalize(shipping.country),
+    address: formatShopifyAddress(shipping),
+    shippingAddress: {
+      street1: normalize(shipping.address1),
+      street2: normalize(shipping.address2),
+      city: normalize(shipping.city),
+      state: normalize(shipping.province),
+      postalCode: normalize(shipping.zip),
+      country: normalize(shipping.country),
+    },
+    clientHeight,
+    modesty: "NO",
+    consultantId: null,
+    consultantName: null,
+    productionInchargeId: null,
+    productionInchargeName: null,
+    currency,
+    paymentMethod: gateway,
+    discount: toAmount(shopifyOrder.total_discounts),
+    extraPayment: 0,
+    totalAmount,
+    payments:
+      amountPaid > 0
+        ? [
+            createPaymentEntry(
+              {
+                amount: amountPaid,
+                currency,
+                method: "other",
+                receivedAt: orderDate,
+                reference: `Shopify ${shopifyOrderNumber}`,
+                notes: gateway ? `Captured by Shopify via ${gateway}` : "Captured by Shopify",
+              },
+              { currency },
+              user,
+              now
+            ),
+          ]
+        : [],
+    paymentStatus,
+    fwdDate: orderDate,
+    productionShippingDate: null,
+    actualShippingDate: null,
+    preTrackingId: null,
+    urgent: null,
+    notes: normalize(shopifyOrder.note),
+    orderFormLink: null,
+    itemIds: [],
+    timeline: [
+      {
+        id: generateTimelineId(),
+        action: `Order imported from Shopify ${shopifyOrderNumber} (${via})`,
+        user: user.name,
+        timestamp: now,
+      },
+    ],
+    createdAt: now,
+    updatedAt: now,
+  }
+
+  return { order, items, shopifyOrderId, shopifyOrderNumber, customerName, errors: [] }
+}
+
+/**
+ * Save a mapped order and its items, linked to the customer with the same
+ * email or phone (a new customer when there is none)
+ */
+const createMappedOrder = ({ order, items }, user) => {
+  const now = order.createdAt
+  const newOrder = {
+    ...order,
+    id: generateOrderId(),
+    orderNumber: generateOrderNumber(),
+    customerId: findOrCreateCustomerForOrder(order, now).id,
+  }
+
+  items.forEach(({ sizeNote, ...itemData }) => {
+    const newItem = {
+      ...itemData,
+      id: generateOrderItemId(),
+      orderId: newOrder.id,
+      status: ORDER_ITEM_STATUS.RECEIVED,
+      style: { type: CUSTOMIZATION_TYPE.ORIGINAL, details: {}, attachments: [], image: null },
+      color: { type: CUSTOMIZATION_TYPE.ORIGINAL, details: "", attachments: [], image: null },
+      fabric: { type: CUSTOMIZATION_TYPE.ORIGINAL, details: "", attachments: [], image: null },
+      measurementCategories: [],
+      measurements: {},
+      orderFormGenerated: false,
+      orderFormApproved: false,
+      orderForm: null,
+      orderFormVersions: [],
+      timeline: [
+        {
+          id: generateTimelineId(),
+          action: sizeNote
+            ? `Order item created from Shopify ${order.shopifyOrderNumber} (size "${sizeNote}" needs measurements)`
+            : `Order item created from Shopify ${order.shopifyOrderNumber}`,
+          user: user.name,
+          timestamp: now,
+        },
+      ],
+      createdAt: now,
+      updatedAt: now,
+    }
+    mockOrderItems.push(newItem)
+    newOrder.itemIds.push(newItem.id)
+  })
+
+  mockOrders.push(newOrder)
+  return newOrder
+}
+
+/**
+ * Import one Shopify order. Returns a per-order result row.
+ * `batchIds` collects the ids of orders imported (or ready, in a dry run)
+ * earlier in the same file, so a dry run also reports repeated orders as
+ * duplicates. Failed orders are left out, so a corrected repeat still imports.
+ */
+const importShopifyOrder = (shopifyOrder, { user, via, dryRun = false, batchIds = new Set() }) => {
+  const mapped = mapShopifyOrder(shopifyOrder, { user, via })
+  const result = {
+    shopifyOrderId: mapped.shopifyOrderId,
+    shopifyOrderNumber: mapped.shopifyOrderNumber,
+    customerName: mapped.customerName,
+    itemCount: (shopifyOrder.line_items || []).length,
+    orderId: null,
+    orderNumber: null,
+    errors: mapped.errors,
+  }
+
+  const existing = mapped.shopifyOrderId && findOrderByShopifyId(mapped.shopifyOrderId)
+  if (existing || batchIds.has(mapped.shopifyOrderId)) {
+    return {
+      ...result,
+      status: "duplicate",
+      orderId: existing?.id || null,
+      orderNumber: existing?.orderNumber || null,
+      errors: [],
+    }
+  }
+
+  if (mapped.errors.length > 0) return { ...result, status: "failed" }
+  if (dryRun) {
+    if (mapped.shopifyOrderId) batchIds.add(mapped.shopifyOrderId)
+    return { ...result, status: "ready" }
+  }
+
+  const order = createMappedOrder(mapped, user)
+  if (mapped.shopifyOrderId) batchIds.add(mapped.shopifyOrderId)
+  console.log(`🛍️ Imported Shopify ${mapped.shopifyOrderNumber} as ${order.orderNumber}`)
+  return { ...result, status: "created", orderId: order.id, orderNumber: order.orderNumber }
+}
+
+/**
+ * Turn Shopify admin "Export orders" CSV rows into order payloads.
+ * The export has one row per line item; order fields are only filled on the
+ * first row of each order (grouped by the "Name" column).
+ */
+const csvRowsToShopifyOrders = (rows) => {
+  const orders = new Map()
+
+  rows.forEach((row) => {
+    const name = normalize(row["Name"])
+    if (!name) return
+
+    if (!orders.has(name)) {
+      orders.set(name, {
+        id: normalize(row["Id"]) || name,
+        name,
+        email: row["Email"],
+        phone: row["Phone"] || row["Shipping Phone"],
+        financial_status: normalize(row["Financial Status"]).toLowerCase(),
+        currency: row["Currency"],
+        total_price: row["Total"],
+        total_discounts: row["Discount Amount"],
+        total_outstanding:
+          row["Outstanding Balance"] === "" ? undefined : row["Outstanding Balance"],
+        created_at: row["Created at"],
+        note: row["Notes"],
+        payment_gateway_names: row["Payment Method"] ? [row["Payment Method"]] : [],
+        shipping_address: {
+          name: row["Shipping Name"] || row["Billing Name"],
+          address1: row["Shipping Address1"] || row["Shipping Street"],
+          address2: row["Shipping Address2"],
+          city: row["Shipping City"],
+          province: row["Shipping Province"],
+          zip: normalize(row["Shipping Zip"]).replace(/^'/, ""),
+          country: row["Shipping Country"],
+          phone: row["Shipping Phone"],
+        },
+        line_items: [],
+      })
+    }
+
+    // "Lineitem name" is "Product - Variant"; line item properties are not exported
+    const lineItemName = normalize(row["Lineitem name"])
+    const variantTitle = lineItemName.includes(" - ") ? lineItemName.split(" - ").pop() : ""
+
+    orders.get(name).line_items.push({
+      sku: row["Lineitem sku"],
+      title: lineItemName,
+      variant_title: variantTitle,
+      quantity: row["Lineitem quantity"],
+      price: row["Lineitem price"],
+      properties: [],
+    })
+  })
+
+  return [...orders.values()]
+}
+
+/**
+ * Read a Shopify export file: JSON (an order, an array of orders, or the
+ * Admin API { orders: [...] } shape) or the admin CSV export
+ */
+const parseShopifyExport = (fileName, content) => {
+  const text = String(content || "").trim()
+  if (!text) throw new Error("The file is empty")
+
+  const looksLikeJson = text.startsWith("{") || text.startsWith("[")
+  if (!looksLikeJson || fileName?.toLowerCase().endsWith(".csv")) {
+    return csvRowsToShopifyOrders(parseCsv(text))
+  }
+
+  const data = JSON.parse(text)
+  if (Array.isArray(data)) return data
+  if (Array.isArray(data.orders)) return data.orders
+  if (data.order) return [data.order]
+  return [data]
+}
+
+const summarizeResults = (results) => ({
+  total: results.length,
+  created: results.filter((r) => r.status === "created").length,
+  ready: results.filter((r) => r.status === "ready").length,
+  duplicates: results.filter((r) => r.status === "duplicate").length,
+  failed: results.filter((r) => r.status === "failed").length,
+})
+
+// ============================================================================
+// HANDLERS
+// ============================================================================
+
+export const shopifyHandlers = [
+  /**
+   * POST /api/shopify/webhooks/orders-create
+   * Body: Shopify order JSON as sent by the orders/create webhook.
+   * 401 unless X-Shopify-Hmac-Sha256 signs the body; 201 when created, 200
+   * when the order was already imported, 422 when a line item cannot be mapped.
+   */
+  http.post(`${BASE_URL}/webhooks/orders-create`, async ({ request }) => {
+    console.log("🛍️ POST /shopify/webhooks/orders-create")
+
+    const body = await request.text()
+    const signature = request.headers.get("X-Shopify-Hmac-Sha256")
+    if (!(await verifyWebhookSignature(body, signature, SHOPIFY_WEBHOOK_SECRET))) {
+      return HttpResponse.json(
+        { success: false, error: "Unauthorized", message: "Invalid webhook signature" },
+        { status: 401 }
+      )
+    }
+
+    let shopifyOrder
+    try {
+      shopifyOrder = JSON.parse(body)
+    } catch {
+      return HttpResponse.json(
+        { success: false, error: "Invalid payload", message: "Webhook body must be JSON" },
+        { status: 400 }
+      )
+    }
+
+    const result = importShopifyOrder(shopifyOrder, { user: SHOPIFY_ACTOR, via: "webhook" })
+
+    if (result.status === "failed") {
+      return HttpResponse.json(
+        {
+          success: false,
+          error: "Unmapped order",
+          message: result.errors.join("; "),
+          data: result,
+        },
+        { status: 422 }
+      )
+    }
+
+    return HttpResponse.json(
+      {
+        success: true,
+        data: { ...result, order: getOrderWithItems(result.orderId) },
+        message:
+          result.status === "duplicate"
+            ? `Shopify ${result.shopifyOrderNumber} was already imported as ${result.orderNumber}`
+            : `Created ${result.orderNumber} from Shopify ${result.shopifyOrderNumber}`,
+      },
+      { status: result.status === "created" ? 201 : 200 }
+    )
+  }),
+
+  /**
+   * POST /api/shopify/import
+   * Body: { fileName, content, dryRun? }
+   * dryRun maps every order and reports what would happen without saving.
+   */
+  http.post(`${BASE_URL}/import`, async ({ request }) => {
+    const { user, denied } = authorizeRequest(request, "orders.create")
+    if (denied) return denied
+
+    const { fileName, content, dryRun = false } = await request.json()
+    console.log(`🛍️ POST /shopify/import - ${fileName}${dryRun ? " (dry run)" : ""}`)
+
+    let shopifyOrders
+    try {
+      shopifyOrders = parseShopifyExport(fileName, content)
+    } catch (error) {
+      return HttpResponse.json(
+        { success: false, error: "Invalid file", message: error.message },
+        { status: 400 }
+      )
+    }
+
+    if (shopifyOrders.length === 0) {
+      return HttpResponse.json(
+        { success: false, error: "Invalid file", message: "No orders found in the file" },
+        { status: 400 }
+      )
+    }
+
+    const batchIds = new Set()
+    const results = shopifyOrders.map((shopifyOrder) =>
+      importShopifyOrder(shopifyOrder, { user, via: `file ${fileName}`, dryRun, batchIds })
+    )
+    const summary = summarizeResults(results)
+
+    return HttpResponse.json({
+      success: true,
+      data: { dryRun, summary, results },
+      message: dryRun
+        ? `${summary.ready} of ${summary.total} orders ready to import`
+        : `Imported ${summary.created} of ${summary.total} orders`,
+    })
+  }),
+]
@@ -0,0 +1,487 @@
+/**
+ * Stocktake MSW Handlers
+ * src/mocks/handlers/stocktakeHandlers.js
+ *
+ * A stocktake session lists what is on record for one category or a rack
+ * range: a line per location a simple item is held at, and a line per size
+ * for ready stock. Counters enter what is physically there; each count also
+ * refreshes the line's recorded quantity so stock moving during a long count
+ * is not taken as a variance. Posting a submitted session writes an ADJUSTMENT
+ * movement (signed quantity) for every counted line that is off and moves the
+ * stock to the counted quantity. Variances are valued at the unit cost when
+ * counted (weighted average cost, or the variant price for ready stock).
+ *
+ * Endpoints:
+ *   GET  /api/stocktakes              - List (?status=, ?inventoryItemId=)
+ *   GET  /api/stocktakes/:id          - Session with variances
+ *   POST /api/stocktakes              - Open a session for a category or rack range
+ *   PUT  /api/stocktakes/:id/counts   - Save counted quantities
+ *   POST /api/stocktakes/:id/submit   - COUNTING -> SUBMITTED (counts locked for review)
+ *   POST /api/stocktakes/:id/reopen   - SUBMITTED -> COUNTING
+ *   POST /api/stocktakes/:id/post     - Post variances as ADJUSTMENT movements
+ *   POST /api/stocktakes/:id/cancel   - Cancel an unposted session
+ */
+
+import { http, HttpResponse } from "msw"
+import { appConfig } from "@/config/appConfig"
+import {
+  mockStocktakes,
+  generateStocktakeId,
+  generateStocktakeNumber,
+  getStocktakeById,
+  getLineVariance,
+} from "../data/mockStocktakes"
+import {
+  mockInventoryItems,
+  mockStockMovements,
+  getItemLocations,
+  getLocationStock,
+  adjustLocationStock,
+  takeLotStock,
+} from "../data/mockInventory"
+import { getUnitCost } from "../data/mockCosting"
+import { generateTimelineId } from "../data/mockOrders"
+import { authorizeRequest } from "../requestAuth"
+import { INVENTORY_LOCATION, STOCKTAKE_SCOPE, STOCKTAKE_STATUS } from "@/constants/orderConstants"
+
+const BASE_URL = `${appConfig.apiBaseUrl}/stocktakes`
+
+const UNPOSTED_STATUSES = [STOCKTAKE_STATUS.COUNTING, STOCKTAKE_STATUS.SUBMITTED]
+
+const errorResponse = (status, error, message) =>
+  HttpResponse.json({ success: false, error, message }, { status })
+
+const addTimelineEntry = (stocktake, action, user) => {
+  stocktake.timeline.push({
+    id: generateTimelineId(),
+    action,
+    user: user || "System",
+    timestamp: new Date().toISOString(),
+  })
+}
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100
+
+/** Racks compare naturally (A2 before A10), ignoring case */
+const compareRacks = (a, b) =>
+  String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: "base" })
+
+const isRackInRange = (rack, rackFrom, rackTo) =>
+  !!rack && compareRacks(rack, rackFrom) >= 0 && compareRacks(rack, rackTo) <= 0
+
+/** Quantity on record for a line right now */
+const getSystemQty = (item, line) => {
+  if (line.variantId !== null) {
+    return item.variants.find((v) => v.variant_id === line.variantId)?.remaining_stock || 0
+  }
+  return getLocationStock(item, line.location)
+}
+
+/**
+ * Lines for a new session: every location (simple items) or size (ready
+ * stock) in scope, with the quantity on record
+ */
+const buildLines = (scope) => {
+  const lines = []
+  const addLine = (item, fields) => {
+    const line = {
+      id: `line-${lines.length + 1}`,
+      inventoryItemId: item.id,
+      variantId: null,
+      size: null,
+      name: item.name,
+      sku: item.sku,
+      unit: item.unit,
+      countedQty: null,
+      countedBy: null,
+      countedAt: null,
+      movementId: null,
+      ...fields,
+    }
+    line.systemQty = getSystemQty(item, line)
+    line.unitCost = getUnitCost(item, line.variantId)
+    lines.push(line)
+  }
+
+  mockInventoryItems.forEach((item) => {
+    if (scope.type === STOCKTAKE_SCOPE.CATEGORY && item.category !== scope.category) return
+
+    getItemLocations(item)
+      .filter(
+        (entry) =>
+          scope.type !== STOCKTAKE_SCOPE.RACK_RANGE ||
+          isRackInRange(entry.rack_location, scope.rackFrom, scope.rackTo)
+      )
+      .forEach((entry) => {
+        if (item.has_variants) {
+          item.variants.forEach((variant) =>
+            addLine(item, {
+              variantId: variant.variant_id,
+              size: variant.size,
+              sku: variant.sku || item.sku,
+              location: entry.location,
+              rackLocation: entry.rack_location || "",
+            })
+          )
+        } else {
+          addLine(item, { location: entry.location, rackLocation: entry.rack_location || "" })
+        }
+      })
+  })
+
+  return lines.sort(
+    (a, b) => compareRacks(a.rackLocation, b.rackLocation) || a.name.localeCompare(b.name)
+  )
+}
+
+const describeScope = (scope) =>
+  scope.type === STOCKTAKE_SCOPE.CATEGORY
+    ? scope.category.replace("_", " ")
+    : `Racks ${scope.rackFrom} - ${scope.rackTo}`
+
+/**
+ * Session with each line's variance and the totals the review shows
+ */
+const withVariances = (stocktake) => {
+  const lines = stocktake.lines.map((line) => {
+    const variance = getLineVariance(line)
+    return {
+      ...line,
+      variance,
+      varianceValue: variance === null ? null : roundMoney(variance * line.unitCost),
+    }
+  })
+  const counted = lines.filter((line) => line.variance !== null)
+  const off = counted.filter((line) => line.variance !== 0)
+
+  return {
+    ...stocktake,
+    scopeLabel: describeScope(stocktake.scope),
+    lines,
+    summary: {
+      totalLines: lines.length,
+      countedLines: counted.length,
+      varianceLines: off.length,
+      surplusValue: roundMoney(
+        off.filter((l) => l.variance > 0).reduce((sum, l) => sum + l.varianceValue, 0)
+      ),
+      shortageValue: roundMoney(
+        off.filter((l) => l.variance < 0).reduce((sum, l) => sum + l.varianceValue, 0)
+      ),
+      netValue: roundMoney(off.reduce((sum, l) => sum + l.varianceValue, 0)),
+    },
+  }
+}
+
+/**
+ * Move an item to the counted quantity and record the ADJUSTMENT
+ * @returns {Object} The movement
+ */
+const postLineAdjustment = (stocktake, line, reason, user, now) => {
+  const item = mockInventoryItems.find((i) => i.id === line.inventoryItemId)
+  const variance = getLineVariance(line)
+  let remainingStockAfter
+  let lots = []
+
+  if (line.variantId !== null) {
+    const variant = item.variants.find((v) => v.variant_id === line.variantId)
+    variant.remaining_stock = Math.max(0, variant.remaining_stock + variance)
+    remainingStockAfter = variant.remaining_stock
+  } else {
+    // A shortage comes out of the lots like a stock-out; a surplus is unlotted
+    if (variance < 0) lots = takeLotStock(item, -variance)
+    adjustLocationStock(item, line.location, variance, line.rackLocation)
+    remainingStockAfter = item.remaining_stock
+  }
+  item.updated_at = now
+
+  const movement = {
+    id: mockStockMovements.length + 1,
+    inventory_item_id: item.id,
+    variant_id: line.variantId,
+    movement_type: "ADJUSTMENT",
+    quantity: variance,
+    location: line.location || INVENTORY_LOCATION.MAIN_STORE,
+    unit_cost: line.unitCost,
+    lots: lots.map((lot) => ({ ...lot, quantity: -lot.quantity })),
+    remaining_stock_after: remainingStockAfter,
+    transaction_date: now,
+    reference_number: stocktake.sessionNumber,
+    notes: `Stocktake ${variance > 0 ? "surplus" : "shortage"}: ${reason}`,
+    stocktake_id: stocktake.id,
+    performed_by_user_id: user.id,
+    created_at: now,
+  }
+  mockStockMovements.push(movement)
+  return movement
+}
+
+export const stocktakeHandlers = [
+  // ==================== LIST STOCKTAKES ====================
+  http.get(BASE_URL, ({ request }) => {
+    const url = new URL(request.url)
+    const status = url.searchParams.get("status")
+    const inventoryItemId = parseInt(url.searchParams.get("inventoryItemId"))
+
+    const stocktakes = mockStocktakes
+      .filter((st) => !status || st.status === status)
+      .filter(
+        (st) => !inventoryItemId || st.lines.some((l) => l.inventoryItemId === inventoryItemId)
+      )
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(withVariances)
+
+    return HttpResponse.json({ success: true, data: stocktakes })
+  }),
+
+  // ==================== GET STOCKTAKE ====================
+  http.get(`${BASE_URL}/:id`, ({ params }) => {
+    const stocktake = getStocktakeById(params.id)
+    if (!stocktake) return errorResponse(404, "Not found", "Stocktake not found")
+
+    return HttpResponse.json({ success: true, data: withVariances(stocktake) })
+  }),
+
+  // ==================== OPEN STOCKTAKE ====================
+  http.post(BASE_URL, async ({ request }) => {
+    const { user, denied } = authorizeRequest(request, "inventory.count")
+    if (denied) return denied
+
+    const data = await request.json()
+    console.log("📋 POST /api/stocktakes", data.scopeType)
+
+    let scope
+    if (data.scopeType === STOCKTAKE_SCOPE.CATEGORY) {
+      if (!data.category) return errorResponse(400, "Validation failed", "Select a category")
+      scope = {
+        type: STOCKTAKE_SCOPE.CATEGORY,
+        category: data.category,
+        rackFrom: null,
+        rackTo: null,
+      }
+    } else if (data.scopeType === STOCKTAKE_SCOPE.RACK_RANGE) {
+      const rackFrom = data.rackFrom?.trim()
+      const rackTo = data.rackTo?.trim()
+      if (!rackFrom || !rackTo) {
+        return errorResponse(400, "Validation failed", "Enter the first and last rack to count")
+      }
+      if (compareRacks(rackFrom, rackTo) > 0) {
+        return errorResponse(400, "Validation failed", `Rack ${rackFrom} comes after ${rackTo}`)
+      }
+      scope = { type: STOCKTAKE_SCOPE.RACK_RANGE, category: null, rackFrom, rackTo }
+    } else {
+      return errorResponse(400, "Validation failed", "Count by category or by rack range")
+    }
+
+    const lines = buildLines(scope)
+    if (lines.length === 0) {
+      return errorResponse(400, "Nothing to count", `No stock is held in ${describeScope(scope)}`)
+    }
+
+    const now = new Date().toISOString()
+    const stocktake = {
+      id: generateStocktakeId(),
+      sessionNumber: generateStocktakeNumber(),
+      status: STOCKTAKE_STATUS.COUNTING,
+      scope,
+      notes: data.notes || "",
+      lines,
+      reason: null,
+      timeline: [],
+      createdBy: user.name,
+      submittedAt: null,
+      postedBy: null,
+      postedAt: null,
+      createdAt: now,
+      updatedAt: now,
+    }
+    addTimelineEntry(
+      stocktake,
+      `Opened for ${describeScope(scope)} (${lines.length} lines)`,
+      user.name
+    )
+    mockStocktakes.push(stocktake)
+
+    return HttpResponse.json(
+      {
+        success: true,
+        data: withVariances(stocktake),
+        message: `${stocktake.sessionNumber} opened`,
+      },
+      { status: 201 }
+    )
+  }),
+
+  // ==================== SAVE COUNTS ====================
+  http.put(`${BASE_URL}/:id/counts`, async ({ params, request }) => {
+    const { user, denied } = authorizeRequest(request, "inventory.count")
+    if (denied) return denied
+
+    const { counts = [] } = await request.json()
+
+    const stocktake = getStocktakeById(params.id)
+    if (!stocktake) return errorResponse(404, "Not found", "Stocktake not found")
+    if (stocktake.status !== STOCKTAKE_STATUS.COUNTING) {
+      return errorResponse(
+        400,
+        "Invalid status",
+        `${stocktake.sessionNumber} is ${stocktake.status.toLowerCase()}, counts can't change`
+      )
+    }
+
+    for (const count of counts) {
+      const line = stocktake.lines.find((l) => l.id === count.lineId)
+      if (!line) return errorResponse(400, "Validation failed", `Unknown line ${count.lineId}`)
+      if (count.countedQty !== null && !(count.countedQty >= 0)) {
+        return errorResponse(
+          400,
+          "Validation failed",
+          `Enter a count of 0 or more for ${line.name}`
+        )
+      }
+    }
+
+    const now = new Date().toISOString()
+    counts.forEach((count) => {
+      const line = stocktake.lines.find((l) => l.id === count.lineId)
+      if (line.countedQty === count.countedQty) return
+
+      const item = mockInventoryItems.find((i) => i.id === line.inventoryItemId)
+      line.countedQty = count.countedQty
+      line.countedBy = count.countedQty === null ? null : user.name
+      line.countedAt = count.countedQty === null ? null : now
+      if (item) {
+        line.systemQty = getSystemQty(item, line)
+        line.unitCost = getUnitCost(item, line.variantId)
+      }
+    })
+    stocktake.updatedAt = now
+
+    return HttpResponse.json({ success: true, data: withVariances(stocktake) })
+  }),
+
+  // ==================== SUBMIT FOR REVIEW ====================
+  http.post(`${BASE_URL}/:id/submit`, ({ params, request }) => {
+    const { user, denied } = authorizeRequest(request, "inventory.count")
+    if (denied) return denied
+
+    const stocktake = getStocktakeById(params.id)
+    if (!stocktake) return errorResponse(404, "Not found", "Stocktake not found")
+    if (stocktake.status !== STOCKTAKE_STATUS.COUNTING) {
+      return errorResponse(400, "Invalid status", `${stocktake.sessionNumber} is not being counted`)
+    }
+    if (!stocktake.lines.some((line) => line.countedQty !== null)) {
+      return errorResponse(400, "Nothing counted", "Count at least one line before submitting")
+    }
+
+    const now = new Date().toISOString()
+    stocktake.status = STOCKTAKE_STATUS.SUBMITTED
+    stocktake.submittedAt = now
+    stocktake.updatedAt = now
+    addTimelineEntry(stocktake, "Submitted for review", user.name)
+
+    return HttpResponse.json({
+      success: true,
+      data: withVariances(stocktake),
+      message: `${stocktake.sessionNumber} submitted for review`,
+    })
+  }),
+
+  // ==================== REOPEN FOR COUNTING ====================
+  http.post(`${BASE_URL}/:id/reopen`, ({ params, request }) => {
+    const { user, denied } = authorizeRequest(request, "inventory.count")
+    if (denied) return denied
+
+    const stocktake = getStocktakeById(params.id)
+    if (!stocktake) return errorResponse(404, "Not found", "Stocktake not found")
+    if (stocktake.status !== STOCKTAKE_STATUS.SUBMITTED) {
+      return errorResponse(400, "Invalid status", `${stocktake.sessionNumber} is not in review`)
+    }
+
+    stocktake.status = STOCKTAKE_STATUS.COUNTING
+    stocktake.submittedAt = null
+    stocktake.updatedAt = new Date().toISOString()
+    addTimelineEntry(stocktake, "Reopened for counting", user.name)
+
+    return HttpResponse.json({
+      success: true,
+      data: withVariances(stocktake),
+      message: `${stocktake.sessionNumber} reopened`,
+    })
+  }),
+
+  // ==================== POST VARIANCES ====================
+  http.post(`${BASE_URL}/:id/post`, async ({ params, request }) => {
+    const { user, denied } = authorizeRequest(request, "inventory.adjust")
+    if (denied) return denied
+
+    const { reason } = await request.json()
+    console.log(`📋 POST /api/stocktakes/${params.id}/post`)
+
+    const stocktake = getStocktakeById(params.id)
+    if (!stocktake) return errorResponse(404, "Not found", "Stocktake not found")
+    if (stocktake.status !== STOCKTAKE_STATUS.SUBMITTED) {
+      return errorResponse(
+        400,
+        "Invalid status",
+        `Submit ${stocktake.sessionNumber} for review before posting it`
+      )
+    }
+
+    const varianceLines = stocktake.lines.filter((line) => getLineVariance(line))
+    if (varianceLines.length > 0 && !reason?.trim()) {
+      return errorResponse(400, "Validation failed", "Give a reason for the adjustments")
+    }
+
+    const now = new Date().toISOString()
+    varianceLines.forEach((line) => {
+      line.movementId = postLineAdjustment(stocktake, line, reason.trim(), user, now).id
+    })
+
+    stocktake.status = STOCKTAKE_STATUS.POSTED
+    stocktake.reason = reason?.trim() || null
+    stocktake.postedBy = user.name
+    stocktake.postedAt = now
+    stocktake.updatedAt = now
+    addTimelineEntry(
+      stocktake,
+      varianceLines.length > 0
+        ? `Posted ${varianceLines.length} adjustment(s): ${stocktake.reason}`
+        : "Posted with no variances",
+      user.name
+    )
+
+    return HttpResponse.json({
+      success: true,
+      data: withVariances(stocktake),
+      message:
+        varianceLines.length > 0
+          ? `${stocktake.sessionNumber} posted, ${varianceLines.length} item(s) adjusted`
+          : `${stocktake.sessionNumber} posted, stock matched the count`,
+    })
+  }),
+
+  // ==================== CANCEL STOCKTAKE ====================
+  http.post(`${BASE_URL}/:id/cancel`, async ({ params, request }) => {
+    const { user, denied } = authorizeRequest(request, "inventory.count")
+    if (denied) return denied
+
+    const data = await request.json().catch(() => ({}))
+
+    const stocktake = getStocktakeById(params.id)
+    if (!stocktake) return errorResponse(404, "Not found", "Stocktake not found")
+    if (!UNPOSTED_STATUSES.includes(stocktake.status)) {
+      return errorResponse(400, "Invalid status", `${stocktake.sessionNumber} has been posted`)
+    }
+
+    stocktake.status = STOCKTAKE_STATUS.CANCELLED
+    stocktake.updatedAt = new Date().toISOString()
+    addTimelineEntry(stocktake, data.reason ? `Cancelled: ${data.reason}` : "Cancelled", user.name)
+
+    return HttpResponse.json({
+      success: true,
+      data: withVariances(stocktake),
+      message: `${stocktake.sessionNumber} cancelled`,
+    })
+  }),
+]
@@ -9,6 +9,7 @@ import { http, HttpResponse } from "msw"
 // import { mockUsers, getUserById } from "../data/mockUsers"
 import { mockUsers, getUserById } from "../data/mockUser"
 import { appConfig } from "@/config/appConfig"
+import { authorizeRequest } from "../requestAuth"
 
 // const appConfig.apiBaseUrl = "/api"
 
@@ -97,6 +98,9 @@ export const usersHandlers = [
    * Create a new user
    */
   http.post(`${appConfig.apiBaseUrl}/users`, async ({ request }) => {
+    const { denied } = authorizeRequest(request, "users.create")
+    if (denied) return denied
+
     const body = await request.json()
 
     // Validation
@@ -172,6 +176,9 @@ export const usersHandlers = [
    * Update an existing user
    */
   http.put(`${appConfig.apiBaseUrl}/users/:id`, async ({ params, request }) => {
+    const { denied } = authorizeRequest(request, "users.edit")
+    if (denied) return denied
+
     const { id } = params
     const body = await request.json()
 
@@ -241,7 +248,10 @@ export const usersHandlers = [
    * Delete (deactivate) a user
    * Note: We don't actually delete users, we just deactivate them
    */
-  http.delete(`${appConfig.apiBaseUrl}/users/:id`, ({ params }) => {
+  http.delete(`${appConfig.apiBaseUrl}/users/:id`, ({ params, request }) => {
+    const { denied } = authorizeRequest(request, "users.delete")
+    if (denied) return denied
+
     const { id } = params
 
     const userIndex = mockUsers.findIndex((u) => u.id === parseInt(id))
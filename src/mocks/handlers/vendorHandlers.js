@@ -0,0 +1,242 @@
+/**
+ * Vendor MSW Handlers
+ * src/mocks/handlers/vendorHandlers.js
+ *
+ * Supplier master data for purchase orders. Inventory items keep a copy of
+ * their vendor's name and phone (vendor_name / vendor_contact), so renaming a
+ * vendor updates the items linked to it. Vendors are deactivated, never
+ * deleted, because purchase orders keep pointing at them.
+ *
+ * Endpoints:
+ *   GET  /api/vendors      - List (?search=, ?active=true|false)
+ *   GET  /api/vendors/:id  - Vendor with its items and purchase order summary
+ *   POST /api/vendors      - Create
+ *   PUT  /api/vendors/:id  - Update (including active)
+ */
+
+import { http, HttpResponse } from "msw"
+import { appConfig } from "@/config/appConfig"
+import { mockVendors, generateVendorId, getVendorById } from "../data/mockVendors"
+import { mockPurchaseOrders, getPurchaseOrderTotal } from "../data/mockPurchaseOrders"
+import { mockInventoryItems } from "../data/mockInventory"
+import { PURCHASE_ORDER_STATUS } from "@/constants/orderConstants"
+import { authorizeRequest } from "../requestAuth"
+
+const BASE_URL = `${appConfig.apiBaseUrl}/vendors`
+
+const OPEN_PO_STATUSES = [
+  PURCHASE_ORDER_STATUS.DRAFT,
+  PURCHASE_ORDER_STATUS.SENT,
+  PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED,
+]
+
+const EDITABLE_FIELDS = [
+  "name",
+  "contactPerson",
+  "phone",
+  "email",
+  "address",
+  "paymentTerms",
+  "leadTimeDays",
+  "notes",
+  "active",
+]
+
+const pickEditableFields = (data) =>
+  Object.fromEntries(EDITABLE_FIELDS.filter((f) => data[f] !== undefined).map((f) => [f, data[f]]))
+
+const isDuplicateName = (name, exceptId) =>
+  mockVendors.some(
+    (v) => v.id !== exceptId && v.name.trim().toLowerCase() === name.trim().toLowerCase()
+  )
+
+/**
+ * Vendor plus counts used by the vendor list
+ */
+const withSummary = (vendor) => {
+  const purchaseOrders = mockPurchaseOrders.filter((po) => po.vendorId === vendor.id)
+  return {
+    ...vendor,
+    itemCount: mockInventoryItems.filter((item) => item.vendor_id === vendor.id).length,
+    openPurchaseOrderCount: purchaseOrders.filter((po) => OPEN_PO_STATUSES.includes(po.status))
+      .length,
+  }
+}
+
+/**
+ * Keep the denormalized vendor name / contact on inventory items in sync
+ */
+const syncInventoryItems = (vendor) => {
+  mockInventoryItems
+    .filter((item) => item.vendor_id === vendor.id)
+    .forEach((item) => {
+      item.vendor_name = vendor.name
+      item.vendor_contact = vendor.phone
+    })
+}
+
+export const vendorHandlers = [
+  // ==================== GET ALL VENDORS ====================
+  http.get(BASE_URL, async ({ request }) => {
+    console.log("🏭 GET /api/vendors")
+
+    const url = new URL(request.url)
+    const search = url.searchParams.get("search")?.toLowerCase()
+    const active = url.searchParams.get("active")
+
+    let vendors = [...mockVendors]
+
+    if (search) {
+      vendors = vendors.filter(
+        (v) =>
+          v.name.toLowerCase().includes(search) ||
+          v.contactPerson?.toLowerCase().includes(search) ||
+          v.phone?.includes(search)
+      )
+    }
+    if (active === "true" || active === "false") {
+      vendors = vendors.filter((v) => v.active === (active === "true"))
+    }
+
+    vendors.sort((a, b) => a.name.localeCompare(b.name))
+
+    return HttpResponse.json({ success: true, data: vendors.map(withSummary) })
+  }),
+
+  // ==================== GET SINGLE VENDOR ====================
+  http.get(`${BASE_URL}/:id`, async ({ params }) => {
+    console.log(`🏭 GET /api/vendors/${params.id}`)
+
+    const vendor = getVendorById(params.id)
+    if (!vendor) {
+      return HttpResponse.json(
+        { success: false, error: "Not found", message: "Vendor not found" },
+        { status: 404 }
+      )
+    }
+
+    const items = mockInventoryItems
+      .filter((item) => item.vendor_id === vendor.id)
+      .map(({ id, name, sku, category, unit, unit_price, remaining_stock, reorder_level }) => ({
+        id,
+        name,
+        sku,
+        category,
+        unit,
+        unit_price,
+        remaining_stock,
+        reorder_level,
+      }))
+
+    const purchaseOrders = mockPurchaseOrders
+      .filter((po) => po.vendorId === vendor.id)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map((po) => ({
+        id: po.id,
+        poNumber: po.poNumber,
+        status: po.status,
+        expectedDeliveryDate: po.expectedDeliveryDate,
+        totalAmount: getPurchaseOrderTotal(po),
+        createdAt: po.createdAt,
+      }))
+
+    return HttpResponse.json({
+      success: true,
+      data: { ...withSummary(vendor), items, purchaseOrders },
+    })
+  }),
+
+  // ==================== CREATE VENDOR ====================
+  http.post(BASE_URL, async ({ request }) => {
+    const { denied } = authorizeRequest(request, "procurement.manage")
+    if (denied) return denied
+
+    const data = await request.json()
+    console.log("🏭 POST /api/vendors", data.name)
+
+    if (!data.name?.trim()) {
+      return HttpResponse.json(
+        { success: false, error: "Validation failed", message: "Vendor name is required" },
+        { status: 400 }
+      )
+    }
+    if (isDuplicateName(data.name)) {
+      return HttpResponse.json(
+        {
+          success: false,
+          error: "Duplicate vendor",
+          message: `A vendor named ${data.name.trim()} already exists`,
+        },
+        { status: 400 }
+      )
+    }
+
+    const now = new Date().toISOString()
+    const vendor = {
+      id: generateVendorId(),
+      name: "",
+      contactPerson: "",
+      phone: "",
+      email: "",
+      address: "",
+      paymentTerms: "",
+      leadTimeDays: 7,
+      notes: "",
+      active: true,
+      ...pickEditableFields(data),
+      createdAt: now,
+      updatedAt: now,
+    }
+    vendor.name = vendor.name.trim()
+
+    mockVendors.push(vendor)
+
+    return HttpResponse.json(
+      { success: true, data: withSummary(vendor), message: `Vendor ${vendor.name} created` },
+      { status: 201 }
+    )
+  }),
+
+  // ==================== UPDATE VENDOR ====================
+  http.put(`${BASE_URL}/:id`, async ({ params, request }) => {
+    const { denied } = authorizeRequest(request, "procurement.manage")
+    if (denied) return denied
+
+    const data = await request.json()
+    console.log(`🏭 PUT /api/vendors/${params.id}`)
+
+    const vendor = getVendorById(params.id)
+    if (!vendor) {
+      return HttpResponse.json(
+        { success: false, error: "Not found", message: "Vendor not found" },
+        { status: 404 }
+      )
+    }
+    if (data.name !== undefined && !data.name.trim()) {
+      return HttpResponse.json(
+        { success: false, error: "Validation failed", message: "Vendor name is required" },
+        { status: 400 }
+      )
+    }
+    if (data.name && isDuplicateName(data.name, vendor.id)) {
+      return HttpResponse.json(
+        {
+          success: false,
+          error: "Duplicate vendor",
+          message: `A vendor named ${data.name.trim()} already exists`,
+        },
+        { status: 400 }
+      )
+    }
+
+    Object.assign(vendor, pickEditableFields(data), { updatedAt: new Date().toISOString() })
+    vendor.name = vendor.name.trim()
+    syncInventoryItems(vendor)
+
+    return HttpResponse.json({
+      success: true,
+      data: withSummary(vendor),
+      message: `Vendor ${vendor.name} updated`,
+    })
+  }),
+]
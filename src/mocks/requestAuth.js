@@ -0,0 +1,97 @@
+/**
+ * Request Authorization for Mock Handlers
+ * src/mocks/requestAuth.js
+ *
+ * The UI hides actions with hasPermission, but the API has to refuse them
+ * too. Every mutating handler starts with authorizeRequest: it resolves the
+ * caller from the bearer token httpClient sends, checks the permission the
+ * endpoint needs and hands back the user to record as the actor. Actor IDs in
+ * request bodies (sentBy, approvedBy, userId, ...) are no longer trusted.
+ *
+ * A 401 makes httpClient refresh the token and retry; a 403 names the
+ * missing permission so the toast tells the user what to ask for.
+ */
+
+import { HttpResponse } from "msw"
+import { mockUsers } from "./data/mockUser"
+import { hasAnyPermission } from "@/lib/rbac"
+import { getTransition } from "@/lib/workflow"
+
+/**
+ * Read the payload of a token from generateMockToken
+ */
+const decodeMockToken = (token) => {
+  try {
+    return JSON.parse(atob(token.split(".")[1]))
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Resolve the signed-in user from the Authorization header
+ * @returns {Object|null} Active user, or null for a missing, invalid or expired token
+ */
+export const getRequestUser = (request) => {
+  const authHeader = request.headers.get("Authorization")
+  if (!authHeader?.startsWith("Bearer ")) return null
+
+  const payload = decodeMockToken(authHeader.slice("Bearer ".length))
+  if (!payload?.userId || payload.exp < Date.now()) return null
+
+  const user = mockUsers.find((u) => u.id === payload.userId)
+  return user?.is_active ? user : null
+}
+
+/**
+ * Authorize a request for an endpoint
+ *
+ * @param {Request} request - Incoming request
+ * @param {string|string[]} [permission] - Permission the endpoint needs; with an
+ *   array any one of them is enough. Omit to only require a signed-in user.
+ * @returns {{ user: Object } | { denied: Response }}
+ *
+ * @example
+ * const { user, denied } = authorizeRequest(request, "sales.approve_payments")
+ * if (denied) return denied
+ */
+export const authorizeRequest = (request, permission) => {
+  const user = getRequestUser(request)
+
+  if (!user) {
+    return {
+      denied: HttpResponse.json(
+        {
+          success: false,
+          error: "Unauthorized",
+          message: "Your session has expired. Please sign in again.",
+        },
+        { status: 401 }
+      ),
+    }
+  }
+
+  const required = permission ? [].concat(permission) : []
+  if (required.length > 0 && !hasAnyPermission(user, required)) {
+    return {
+      denied: HttpResponse.json(
+        {
+          success: false,
+          error: "Forbidden",
+          message: `You do not have the "${required.join('" or "')}" permission`,
+          permission: required.length === 1 ? required[0] : required,
+        },
+        { status: 403 }
+      ),
+    }
+  }
+
+  return { user }
+}
+
+/**
+ * Authorize a request for a workflow action, using the permissions the
+ * transition table lists for it
+ */
+export const authorizeTransition = (request, level, action) =>
+  authorizeRequest(request, getTransition(level, action).permissions)
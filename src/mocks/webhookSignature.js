@@ -0,0 +1,37 @@
+/**
+ * Webhook Signatures for Mock Handlers
+ * src/mocks/webhookSignature.js
+ *
+ * Provider callbacks (Shopify orders, WhatsApp delivery receipts) carry no
+ * user token, so they are trusted only when a header holds the base64
+ * HMAC-SHA256 of the raw body, keyed with a secret shared with the provider.
+ */
+
+/**
+ * Base64 HMAC-SHA256 of a request body
+ * @param {string} body - Raw body, exactly as received
+ * @param {string} secret
+ * @returns {Promise<string>}
+ */
+const signWebhookBody = async (body, secret) => {
+  const encoder = new TextEncoder()
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  )
+  const digest = await crypto.subtle.sign("HMAC", key, encoder.encode(body))
+  return btoa(String.fromCharCode(...new Uint8Array(digest)))
+}
+
+/**
+ * Check a signature header against the body; a missing signature never passes
+ * @param {string} body - Raw body, exactly as received
+ * @param {string|null} signature - Header value
+ * @param {string} secret
+ * @returns {Promise<boolean>}
+ */
+export const verifyWebhookSignature = async (body, signature, secret) =>
+  !!signature && signature === (await signWebhookBody(body, secret))
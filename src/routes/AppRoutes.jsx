@@ -5,6 +5,7 @@ import ProtectedRoute from "@/routes/ProtectedRoute"
 
 // Auth pages
 import LoginPage from "@/features/auth/pages/LoginPage"
+import CustomerPortalPage from "@/features/portal/pages/CustomerPortalPage"
 
 // General pages
 import DashboardPage from "@/pages/DashboardPage"
@@ -14,6 +15,7 @@ import NotFoundPage from "@/pages/NotFoundPage"
 import { MeasurementChartsSettings } from "@/features/admin/pages/MeasurementChartsSettings"
 import UserListPage from "@/features/admin/pages/UserListPage"
 import UserFormPage from "@/features/admin/pages/UserFormPage"
+import ExchangeRatesPage from "@/features/admin/pages/ExchangeRatesPage"
 
 // Inventory pages
 import InventoryListPage from "@/features/inventory/pages/InventoryListPage"
@@ -21,6 +23,10 @@ import InventoryDetailPage from "@/features/inventory/pages/InventoryDetailPage"
 import CreateInventoryItemPage from "@/features/inventory/pages/CreateInventoryItemPage"
 import EditInventoryItemPage from "@/features/inventory/pages/EditInventoryItemPage"
 import LowStockAlertsPage from "@/features/inventory/pages/LowStockAlertsPage"
+import StocktakesPage from "@/features/inventory/pages/StocktakesPage"
+import StocktakeDetailPage from "@/features/inventory/pages/StocktakeDetailPage"
+import InventoryImportPage from "@/features/inventory/pages/InventoryImportPage"
+import LotTracePage from "@/features/inventory/pages/LotTracePage"
 
 // Products pages
 import ProductsListPage from "@/features/products/pages/ProductsListPage"
@@ -36,12 +42,20 @@ import OrderFormGeneratorPage from "@/features/orders/pages/OrderFormGeneratorPa
 import CreateOrderPage from "@/features/orders/pages/CreateOrderPage"
 import EditOrderPage from "@/features/orders/pages/EditOrderPage"
 
+// Customers pages
+import CustomersPage from "@/features/customers/pages/CustomersPage"
+import CustomerDetailPage from "@/features/customers/pages/CustomerDetailPage"
+
 // Fabrication pages
 import FabricationOrdersListPage from "@/features/fabrication/pages/FabricationOrdersListPage"
 import FabricationOrderDetailPage from "@/features/fabrication/pages/FabricationOrderDetailPage"
 import FabricationItemDetailPage from "@/features/fabrication/pages/FabricationItemDetailPage"
 
 import ProcurementDashboardPage from "../features/procurement/pages/ProcurementDashBoard"
+import PurchaseOrdersPage from "../features/procurement/pages/PurchaseOrdersPage"
+import CreatePurchaseOrderPage from "../features/procurement/pages/CreatePurchaseOrderPage"
+import PurchaseOrderDetailPage from "../features/procurement/pages/PurchaseOrderDetailPage"
+import VendorsPage from "../features/procurement/pages/VendorsPage"
 
 import PacketCreatorQueuePage from "@/features/packet/pages/PacketCreatorQueuePage"
 import PacketCheckQueuePage from "@/features/packet/pages/PacketCheckQueuePage"
@@ -56,6 +70,7 @@ import DyeingTaskDetailPage from "@/features/dyeing/pages/DyeingTaskDetailPage"
 import ProductionDashboardPage from "@/features/production/pages/ProductionDashboardPage"
 // import ProductionAssignmentPage from "@/features/production/pages/ProductionAssignmentPage"
 import ProductionOrderItemPage from "@/features/production/pages/ProductionOrderItemPage"
+import ProductionSchedulePage from "@/features/production/pages/ProductionSchedulePage"
 // import WorkerTasksPage from "@/features/production/pages/WorkerTasksPage"
 
 import QADashboardPage from "@/features/qa/pages/QADashboardPage"
@@ -64,6 +79,10 @@ import SalesApprovalDashboardPage from "@/features/sales/pages/SalesApprovalDash
 
 import DispatchDashboardPage from "@/features/dispatch/pages/DispatchDashboardPage"
 
+import ReportsPage from "@/features/reports/pages/ReportsPage"
+import ShopifyImportPage from "@/features/shopify/pages/ShopifyImportPage"
+import NotificationsPage from "@/features/notifications/pages/NotificationsPage"
+
 /**
  * AppRoutes - Central routing configuration
  */
@@ -78,6 +97,9 @@ export default function AppRoutes() {
         <Route path="/login" element={<LoginPage />} />
       </Route>
 
+      {/* Customer portal - reached through a signed link, no login */}
+      <Route path="/portal/:token" element={<CustomerPortalPage />} />
+
       {/* ==================== PROTECTED ROUTES ==================== */}
       <Route
         element={
@@ -89,6 +111,9 @@ export default function AppRoutes() {
         {/* Dashboard - Everyone can access */}
         <Route path="/dashboard" element={<DashboardPage />} />
 
+        {/* Notifications - everyone has an inbox */}
+        <Route path="/notifications" element={<NotificationsPage />} />
+
         {/* ==================== ORDERS ROUTES ==================== */}
         <Route path="/orders">
           <Route
@@ -141,6 +166,26 @@ export default function AppRoutes() {
           />
         </Route>
 
+        {/* ==================== CUSTOMERS ROUTES ==================== */}
+        <Route path="/customers">
+          <Route
+            index
+            element={
+              <ProtectedRoute requiredPermissions={["orders.view"]}>
+                <CustomersPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path=":id"
+            element={
+              <ProtectedRoute requiredPermissions={["orders.view"]}>
+                <CustomerDetailPage />
+              </ProtectedRoute>
+            }
+          />
+        </Route>
+
         {/* ==================== INVENTORY ROUTES ==================== */}
         <Route path="/inventory">
           <Route
@@ -159,6 +204,14 @@ export default function AppRoutes() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="import"
+            element={
+              <ProtectedRoute requiredPermissions={["inventory.create", "inventory.edit"]}>
+                <InventoryImportPage />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path=":id"
             element={
@@ -167,6 +220,14 @@ export default function AppRoutes() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path=":id/lots/:lotNumber"
+            element={
+              <ProtectedRoute requiredPermissions={["inventory.view"]}>
+                <LotTracePage />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path=":id/edit"
             element={
@@ -183,9 +244,67 @@ export default function AppRoutes() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="stocktakes"
+            element={
+              <ProtectedRoute requiredPermissions={["inventory.view"]}>
+                <StocktakesPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="stocktakes/:id"
+            element={
+              <ProtectedRoute requiredPermissions={["inventory.view"]}>
+                <StocktakeDetailPage />
+              </ProtectedRoute>
+            }
+          />
         </Route>
 
-        <Route path="/procurement" element={<ProcurementDashboardPage />} />
+        {/* ==================== PROCUREMENT ROUTES ==================== */}
+        <Route path="/procurement">
+          <Route
+            index
+            element={
+              <ProtectedRoute requiredPermissions={["procurement.view"]}>
+                <ProcurementDashboardPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="purchase-orders"
+            element={
+              <ProtectedRoute requiredPermissions={["procurement.view"]}>
+                <PurchaseOrdersPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="purchase-orders/new"
+            element={
+              <ProtectedRoute requiredPermissions={["procurement.manage"]}>
+                <CreatePurchaseOrderPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="purchase-orders/:id"
+            element={
+              <ProtectedRoute requiredPermissions={["procurement.view"]}>
+                <PurchaseOrderDetailPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="vendors"
+            element={
+              <ProtectedRoute requiredPermissions={["procurement.view"]}>
+                <VendorsPage />
+              </ProtectedRoute>
+            }
+          />
+        </Route>
 
         {/* ==================== PRODUCTS ROUTES ==================== */}
         <Route path="/products">
@@ -337,6 +456,16 @@ export default function AppRoutes() {
               </ProtectedRoute>
             }
           />
+
+          {/* Production Head: Scheduling board - projected finish dates and worker loads */}
+          <Route
+            path="schedule"
+            element={
+              <ProtectedRoute requiredPermissions={["production.manage"]}>
+                <ProductionSchedulePage />
+              </ProtectedRoute>
+            }
+          />
         </Route>
 
         {/* ==================== QA ROUTES (Phase 14) ==================== */}
@@ -376,6 +505,30 @@ export default function AppRoutes() {
           />
         </Route>
 
+        {/* ==================== REPORTS ROUTES ==================== */}
+        <Route path="/reports">
+          <Route
+            index
+            element={
+              <ProtectedRoute requiredPermissions={["reports.view"]}>
+                <ReportsPage />
+              </ProtectedRoute>
+            }
+          />
+        </Route>
+
+        {/* ==================== SHOPIFY ROUTES ==================== */}
+        <Route path="/shopify">
+          <Route
+            index
+            element={
+              <ProtectedRoute requiredPermissions={["orders.create"]}>
+                <ShopifyImportPage />
+              </ProtectedRoute>
+            }
+          />
+        </Route>
+
         {/* ==================== ADMIN ROUTES ==================== */}
         <Route path="/admin">
           <Route
@@ -410,6 +563,14 @@ export default function AppRoutes() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="exchange-rates"
+            element={
+              <ProtectedRoute requiredPermissions={["exchange_rates.edit"]}>
+                <ExchangeRatesPage />
+              </ProtectedRoute>
+            }
+          />
         </Route>
 
         {/* ==================== FUTURE ROUTES ==================== */}
@@ -417,7 +578,6 @@ export default function AppRoutes() {
          * /production - Production management
          * /qa - Quality assurance
          * /dispatch - Dispatch management
-         * /shopify - Shopify integration
          */}
       </Route>
 
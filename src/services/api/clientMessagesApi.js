@@ -0,0 +1,71 @@
+/**
+ * Client Messages API Service
+ * src/services/api/clientMessagesApi.js
+ *
+ * Outbox of templated messages to customers (email, WhatsApp or sent by hand).
+ * The approval request itself goes out with salesApprovalApi.sendOrderToClient.
+ * Pattern: httpClient returns full response, we unwrap with response.data
+ */
+
+import { httpClient } from "@/services/http/httpClient"
+
+const BASE_URL = "/client-messages"
+
+/**
+ * Get the channels (with whether each is configured) and the message templates
+ * @returns {Promise<{ channels: Array, templates: Array }>}
+ */
+export const getChannels = async () => {
+  const response = await httpClient.get(`${BASE_URL}/channels`)
+  return response.data
+}
+
+/**
+ * Get an order's messages, newest first
+ * @param {string} orderId
+ * @returns {Promise<Array>}
+ */
+export const getOrderMessages = async (orderId) => {
+  const response = await httpClient.get(BASE_URL, { params: { orderId } })
+  return response.data
+}
+
+/**
+ * Fill a template for an order
+ * @param {Object} data - { orderId, templateKey, channel }
+ * @returns {Promise<{ subject: string|null, body: string, recipient: Object|null }>}
+ */
+export const previewMessage = async (data) => {
+  const response = await httpClient.post(`${BASE_URL}/preview`, data)
+  return response.data
+}
+
+/**
+ * Send a follow-up to a client whose approval is awaited
+ * @param {Object} data - { orderId, channel, templateKey, subject, body }
+ * @returns {Promise<Object>} The message, FAILED with its error if it could not be sent
+ */
+export const sendMessage = async (data) => {
+  const response = await httpClient.post(BASE_URL, data)
+  return response.data
+}
+
+/**
+ * Deliver a failed message again
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+export const retryMessage = async (id) => {
+  const response = await httpClient.post(`${BASE_URL}/${id}/retry`)
+  return response.data
+}
+
+export const clientMessagesApi = {
+  getChannels,
+  getOrderMessages,
+  previewMessage,
+  sendMessage,
+  retryMessage,
+}
+
+export default clientMessagesApi
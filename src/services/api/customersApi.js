@@ -0,0 +1,126 @@
+/**
+ * Customers API Service
+ * src/services/api/customersApi.js
+ *
+ * Customer directory: contact details, saved addresses and dated measurement
+ * profiles used to prefill new orders.
+ * Pattern: httpClient returns full response, we unwrap with response.data
+ */
+
+import { httpClient } from "@/services/http/httpClient"
+
+const BASE_URL = "/customers"
+
+/**
+ * Get customers sorted by name
+ * @param {Object} [params] - { search } (name, email or phone)
+ * @returns {Promise<Array>} Customers with orderCount, lastOrderAt and lifetimeValue
+ */
+export const getCustomers = async (params = {}) => {
+  const response = await httpClient.get(BASE_URL, { params })
+  return response.data
+}
+
+/**
+ * Get a customer with their orders
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+export const getCustomerById = async (id) => {
+  const response = await httpClient.get(`${BASE_URL}/${id}`)
+  return response.data
+}
+
+/**
+ * Create a customer
+ * @param {Object} data - { name, email, phone, notes, address? }
+ * @returns {Promise<Object>}
+ */
+export const createCustomer = async (data) => {
+  const response = await httpClient.post(BASE_URL, data)
+  return response.data
+}
+
+/**
+ * Update a customer's name, contact details or notes
+ * @param {string} id
+ * @param {Object} data
+ * @returns {Promise<Object>}
+ */
+export const updateCustomer = async (id, data) => {
+  const response = await httpClient.put(`${BASE_URL}/${id}`, data)
+  return response.data
+}
+
+/**
+ * Delete a customer who has no orders
+ * @param {string} id
+ */
+export const deleteCustomer = async (id) => {
+  const response = await httpClient.delete(`${BASE_URL}/${id}`)
+  return response.data
+}
+
+/**
+ * Add an address
+ * @param {string} id
+ * @param {Object} data - { label, street1, street2, city, state, postalCode, country, isDefault }
+ * @returns {Promise<Object>} The updated customer
+ */
+export const addAddress = async (id, data) => {
+  const response = await httpClient.post(`${BASE_URL}/${id}/addresses`, data)
+  return response.data
+}
+
+/**
+ * Update an address; isDefault: true makes it the default
+ * @returns {Promise<Object>} The updated customer
+ */
+export const updateAddress = async (id, addressId, data) => {
+  const response = await httpClient.put(`${BASE_URL}/${id}/addresses/${addressId}`, data)
+  return response.data
+}
+
+/**
+ * Remove an address
+ * @returns {Promise<Object>} The updated customer
+ */
+export const deleteAddress = async (id, addressId) => {
+  const response = await httpClient.delete(`${BASE_URL}/${id}/addresses/${addressId}`)
+  return response.data
+}
+
+/**
+ * Record a new set of measurements
+ * @param {string} id
+ * @param {Object} data - { takenAt, clientHeight, categories, measurements, notes }
+ * @returns {Promise<Object>} The updated customer
+ */
+export const addMeasurementProfile = async (id, data) => {
+  const response = await httpClient.post(`${BASE_URL}/${id}/measurement-profiles`, data)
+  return response.data
+}
+
+/**
+ * Remove a measurement profile
+ * @returns {Promise<Object>} The updated customer
+ */
+export const deleteMeasurementProfile = async (id, profileId) => {
+  const response = await httpClient.delete(`${BASE_URL}/${id}/measurement-profiles/${profileId}`)
+  return response.data
+}
+
+export const customersApi = {
+  getCustomers,
+  getCustomerById,
+  createCustomer,
+  updateCustomer,
+  deleteCustomer,
+  addAddress,
+  updateAddress,
+  deleteAddress,
+  addMeasurementProfile,
+  deleteMeasurementProfile,
+}
+
+export default customersApi
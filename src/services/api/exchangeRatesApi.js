@@ -0,0 +1,51 @@
+/**
+ * Exchange Rates API Service
+ * src/services/api/exchangeRatesApi.js
+ *
+ * Dated exchange-rate table used to price foreign-currency orders and convert
+ * payments and reports to the base currency.
+ * Pattern: httpClient returns full response, we unwrap with response.data
+ */
+
+import { httpClient } from "@/services/http/httpClient"
+
+const BASE_URL = "/exchange-rates"
+
+/**
+ * Get every rate row, newest first per currency
+ * @param {Object} [params] - { currency }
+ * @returns {Promise<Array>}
+ */
+export const getExchangeRates = async (params = {}) => {
+  const response = await httpClient.get(BASE_URL, { params })
+  return response.data
+}
+
+/**
+ * Add a rate from its effective date
+ * @param {Object} data - { currency, rate, effectiveDate, notes }
+ * @returns {Promise<Object>}
+ */
+export const createExchangeRate = async (data) => {
+  const response = await httpClient.post(BASE_URL, data)
+  return response.data
+}
+
+/**
+ * Correct a rate row
+ * @param {string} id
+ * @param {Object} data - { rate, effectiveDate, notes }
+ * @returns {Promise<Object>}
+ */
+export const updateExchangeRate = async (id, data) => {
+  const response = await httpClient.put(`${BASE_URL}/${id}`, data)
+  return response.data
+}
+
+export const exchangeRatesApi = {
+  getExchangeRates,
+  createExchangeRate,
+  updateExchangeRate,
+}
+
+export default exchangeRatesApi
@@ -33,6 +33,7 @@ import { httpClient } from "@/services/http/httpClient"
  * @param {string} options.category - Filter by category (FABRIC, MULTI_HEAD, etc.)
  * @param {string} options.search - Search term for name or SKU
  * @param {boolean} options.low_stock - If true, return only low stock items
+ * @param {string} options.location - Only items holding stock at this location (MAIN_STORE, etc.)
  * @returns {Promise<Array>} Array of inventory items
  *
  * Example usage:
@@ -179,6 +180,8 @@ export async function updateInventoryItem(itemId, updates) {
  * @param {number} stockData.variant_id - Required for variant items, specifies which size
  * @param {string} stockData.reference_number - Optional, PO or invoice number
  * @param {string} stockData.notes - Optional, any notes about this shipment
+ * @param {string} stockData.location - Optional, receiving location (defaults to MAIN_STORE)
+ * @param {number} stockData.unit_cost - Optional, price paid per unit; moves the weighted average cost
  * @returns {Promise<Object>} Result with updated item and movement record
  *
  * Example usage for fabric (simple item):
@@ -256,6 +259,53 @@ export async function getStockMovements(itemId) {
   return response
 }
 
+/**
+ * Get the active reservations holding stock of an inventory item
+ *
+ * A passing inventory check reserves material for an order item section, so
+ * the stock is still on the rack but no longer available to other orders.
+ * Each reservation comes back with the order number, customer, product and
+ * section it is held for. It is consumed when the packet item is picked and
+ * released when a dyeing rejection sends the section back.
+ *
+ * @param {number} itemId - ID of the inventory item
+ * @returns {Promise<Object>} Object containing item info and reservations array
+ *
+ * Example usage:
+ *   const holders = await getItemReservations(1) // Tissue Silk
+ *   holders.data.reservations.forEach(r => {
+ *     console.log(`${r.orderNumber} ${r.section}: ${r.quantity}`)
+ *   })
+ */
+export async function getItemReservations(itemId) {
+  const response = await httpClient.get(`/inventory/${itemId}/reservations`)
+  return response
+}
+
+/**
+ * Trace a dye lot / batch of an item
+ *
+ * Returns the lot with its stock movements and every order item section whose
+ * packet was picked from it, including the dyeing and QA rejections those
+ * sections had. Used to check whether a whole batch is bad.
+ *
+ * @param {number} itemId - ID of the inventory item
+ * @param {string} lotNumber - Lot number as received
+ * @returns {Promise<Object>} Object with item, lot, movements and consumption
+ *
+ * Example usage:
+ *   const trace = await getLotTrace(1, "TS-2403-A")
+ *   trace.data.consumption.forEach(c => {
+ *     console.log(`${c.orderNumber} ${c.section}: ${c.quantity}`)
+ *   })
+ */
+export async function getLotTrace(itemId, lotNumber) {
+  const response = await httpClient.get(
+    `/inventory/${itemId}/lots/${encodeURIComponent(lotNumber)}`
+  )
+  return response
+}
+
 /**
  * Delete an inventory item
  *
@@ -348,6 +398,7 @@ export async function checkStockAvailability(itemId, quantityNeeded, variantId =
  * @param {number} stockData.variant_id - Required for variant items, specifies which size
  * @param {string} stockData.reference_number - Optional, production order reference
  * @param {string} stockData.notes - Optional, notes about consumption
+ * @param {string} stockData.location - Optional, location the stock leaves from (defaults to MAIN_STORE)
  * @returns {Promise<Object>} Result with updated item and movement record
  *
  * Example usage for fabric (simple item):
@@ -370,6 +421,94 @@ export async function recordStockOut(itemId, stockData) {
   return response
 }
 
+/**
+ * Move stock of a simple item between locations
+ *
+ * Stock sitting at the dyeing unit or on the stitching floor is still counted
+ * in the item's total, so a transfer never changes remaining_stock. It only
+ * moves the per-location balances and records a TRANSFER movement.
+ *
+ * @param {number} itemId - The ID of the inventory item
+ * @param {Object} transferData - Details about the transfer
+ * @param {string} transferData.from_location - Location the stock leaves
+ * @param {string} transferData.to_location - Location the stock arrives at
+ * @param {number} transferData.quantity - Amount moved (in item's unit)
+ * @param {string} transferData.to_rack_location - Optional, rack at the destination
+ * @param {string} transferData.reference_number - Optional, transfer slip reference
+ * @param {string} transferData.notes - Optional
+ * @returns {Promise<Object>} Result with updated item and movement record
+ *
+ * Example usage:
+ *   await transferStock(1, {
+ *     from_location: "MAIN_STORE",
+ *     to_location: "DYEING_UNIT",
+ *     quantity: 12,
+ *     to_rack_location: "DU-1",
+ *   })
+ */
+export async function transferStock(itemId, transferData) {
+  const response = await httpClient.post(`/inventory/${itemId}/transfer`, transferData)
+  return response
+}
+
+/**
+ * Get the total value of stock on hand
+ *
+ * Simple items are valued at their weighted average cost, which every priced
+ * stock-in (including purchase order receipts) moves. Ready stock is valued at
+ * its variant price. The response splits the total by category.
+ *
+ * @returns {Promise<Object>} { totalValue, currency, itemCount, categories: [...] }
+ *
+ * Example usage:
+ *   const { data } = await getInventoryValuation()
+ *   console.log(`Stock on hand is worth PKR ${data.totalValue}`)
+ */
+export async function getInventoryValuation() {
+  const response = await httpClient.get("/inventory/valuation")
+  return response
+}
+
+/**
+ * Get stock movements across all items for the ledger export
+ *
+ * Unlike getStockMovements this is not tied to one item: every movement in the
+ * date range comes back oldest first, with the item name, SKU, unit, variant
+ * size and the name of the user who recorded it, ready to write to a sheet.
+ *
+ * @param {Object} options
+ * @param {string} options.from - Optional, first day (YYYY-MM-DD)
+ * @param {string} options.to - Optional, last day (YYYY-MM-DD)
+ * @param {string} options.category - Optional, only items in this category
+ * @param {string} options.movement_type - Optional, STOCK_IN, STOCK_OUT, ADJUSTMENT or TRANSFER
+ * @returns {Promise<Object>} Response with the movements in data
+ *
+ * Example usage:
+ *   const { data } = await getMovementLedger({ from: "2024-03-01", to: "2024-03-31" })
+ */
+export async function getMovementLedger(options = {}) {
+  const response = await httpClient.get("/inventory/ledger", { params: options })
+  return response
+}
+
+/**
+ * Import an item sheet, creating new SKUs and updating existing ones
+ *
+ * Run it with dryRun first: nothing is saved and every SKU comes back with the
+ * action it would get (create, update, unchanged or invalid) and its field
+ * changes, so the user can check the diff before importing for real.
+ *
+ * @param {Object} params
+ * @param {string} params.fileName - Name of the uploaded file
+ * @param {string} params.content - CSV text (see readSpreadsheetFile for .xlsx)
+ * @param {boolean} params.dryRun - If true, only report what would change
+ * @returns {Promise<Object>} Response with { dryRun, summary, results } in data
+ */
+export async function importInventoryItems({ fileName, content, dryRun = false }) {
+  const response = await httpClient.post("/inventory/import", { fileName, content, dryRun })
+  return response
+}
+
 /**
  * Barrel export for convenient importing
  *
@@ -387,8 +526,14 @@ export const inventoryApi = {
   updateInventoryItem,
   recordStockIn,
   recordStockOut,
+  transferStock,
   getLowStockItems,
+  getInventoryValuation,
   getStockMovements,
+  getMovementLedger,
+  getItemReservations,
+  getLotTrace,
   deleteInventoryItem,
   checkStockAvailability,
+  importInventoryItems,
 }
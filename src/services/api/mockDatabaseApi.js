@@ -0,0 +1,6 @@
+import { httpClient } from "@/services/http/httpClient"
+
+// Reset all mock backend data to its seed values
+export const resetMockDatabase = () => {
+  return httpClient.post("/mock-db/reset")
+}
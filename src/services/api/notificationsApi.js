@@ -0,0 +1,69 @@
+/**
+ * Notifications API Service
+ * src/services/api/notificationsApi.js
+ *
+ * The signed-in user's inbox of workflow events and which events they receive.
+ * Pattern: httpClient returns full response, we unwrap with response.data
+ */
+
+import { httpClient } from "@/services/http/httpClient"
+
+const BASE_URL = "/notifications"
+
+/**
+ * Get the inbox, newest first
+ * @param {Object} [params] - { status: "unread", limit }
+ * @returns {Promise<{ notifications: Array, total: number, unreadCount: number }>}
+ */
+export const getNotifications = async (params = {}) => {
+  const response = await httpClient.get(BASE_URL, { params })
+  return response.data
+}
+
+/**
+ * Mark one notification read
+ * @param {string} id
+ * @returns {Promise<{ notification: Object, unreadCount: number }>}
+ */
+export const markNotificationRead = async (id) => {
+  const response = await httpClient.post(`${BASE_URL}/${id}/read`)
+  return response.data
+}
+
+/**
+ * Mark every unread notification read
+ * @returns {Promise<{ marked: number, unreadCount: number }>}
+ */
+export const markAllNotificationsRead = async () => {
+  const response = await httpClient.post(`${BASE_URL}/read-all`)
+  return response.data
+}
+
+/**
+ * Get the events the user can receive and the ones they muted
+ * @returns {Promise<{ receivableEvents: Array, mutedEvents: Array, updatedAt: string|null }>}
+ */
+export const getNotificationPreferences = async () => {
+  const response = await httpClient.get(`${BASE_URL}/preferences`)
+  return response.data
+}
+
+/**
+ * Save the events the user does not want to receive
+ * @param {Array<string>} mutedEvents - NOTIFICATION_EVENTS
+ * @returns {Promise<Object>}
+ */
+export const updateNotificationPreferences = async (mutedEvents) => {
+  const response = await httpClient.put(`${BASE_URL}/preferences`, { mutedEvents })
+  return response.data
+}
+
+export const notificationsApi = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+}
+
+export default notificationsApi
@@ -0,0 +1,37 @@
+/**
+ * Order Documents API Service
+ * src/services/api/orderDocumentsApi.js
+ *
+ * Proforma invoices, invoices and payment receipts attached to an order.
+ * Pattern: httpClient returns full response, we unwrap with response.data
+ */
+
+import { httpClient } from "@/services/http/httpClient"
+
+/**
+ * Get every version of an order's documents, newest first
+ * @param {string} orderId
+ * @returns {Promise<Array>}
+ */
+export const getOrderDocuments = async (orderId) => {
+  const response = await httpClient.get(`/orders/${orderId}/documents`)
+  return response.data
+}
+
+/**
+ * Generate a document, or a new version of one already issued
+ * @param {string} orderId
+ * @param {Object} data - { type, paymentId } (paymentId for receipts)
+ * @returns {Promise<Object>}
+ */
+export const generateOrderDocument = async (orderId, data) => {
+  const response = await httpClient.post(`/orders/${orderId}/documents`, data)
+  return response.data
+}
+
+export const orderDocumentsApi = {
+  getOrderDocuments,
+  generateOrderDocument,
+}
+
+export default orderDocumentsApi
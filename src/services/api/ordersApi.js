@@ -34,6 +34,13 @@ export const getOrderById = async (orderId) => {
   return httpClient.get(`/orders/${orderId}`)
 }
 
+/**
+ * Get material cost and margin per order item (costs in PKR)
+ */
+export const getOrderCosting = async (orderId) => {
+  return httpClient.get(`/orders/${orderId}/costing`)
+}
+
 /**
  * Create new order (manual)
  */
@@ -58,17 +65,17 @@ export const deleteOrder = async (orderId) => {
 // ==================== PAYMENTS ====================
 
 /**
- * Add payment to order
+ * Record a payment, refund or chargeback against an order
  */
 export const addPayment = async (orderId, paymentData) => {
   return httpClient.post(`/orders/${orderId}/payments`, paymentData)
 }
 
 /**
- * Delete payment from order
+ * Void a ledger entry with a reason; entries are never deleted
  */
-export const deletePayment = async (orderId, paymentId) => {
-  return httpClient.delete(`/orders/${orderId}/payments/${paymentId}`)
+export const voidPayment = async (orderId, paymentId, reason) => {
+  return httpClient.post(`/orders/${orderId}/payments/${paymentId}/void`, { reason })
 }
 
 // ==================== ORDER ITEMS ====================
@@ -0,0 +1,73 @@
+/**
+ * Customer Portal API Service
+ * src/services/api/portalApi.js
+ *
+ * Staff side: portal links shared with a customer and what they answered.
+ * Customer side: the portal itself, reached with the link's token and no login.
+ * Pattern: httpClient returns full response, we unwrap with response.data
+ */
+
+import { httpClient } from "@/services/http/httpClient"
+
+/**
+ * Get an order's portal links and the customer's responses
+ * @param {string} orderId
+ * @returns {Promise<{ links: Array, responses: Array }>}
+ */
+export const getOrderPortalLinks = async (orderId) => {
+  const response = await httpClient.get(`/orders/${orderId}/portal-links`)
+  return response.data
+}
+
+/**
+ * Create a link to the order
+ * @param {string} orderId
+ * @param {Object} data - { expiresInDays }
+ * @returns {Promise<Object>}
+ */
+export const createPortalLink = async (orderId, data) => {
+  const response = await httpClient.post(`/orders/${orderId}/portal-links`, data)
+  return response.data
+}
+
+/**
+ * Withdraw a link before it expires
+ * @param {string} orderId
+ * @param {string} linkId
+ * @returns {Promise<Object>}
+ */
+export const revokePortalLink = async (orderId, linkId) => {
+  const response = await httpClient.post(`/orders/${orderId}/portal-links/${linkId}/revoke`)
+  return response.data
+}
+
+/**
+ * Get what the customer can see through a link
+ * @param {string} token
+ * @returns {Promise<Object>}
+ */
+export const getPortal = async (token) => {
+  const response = await httpClient.get(`/portal/${token}`)
+  return response.data
+}
+
+/**
+ * Send the customer's answer
+ * @param {string} token
+ * @param {Object} data - { action, orderItemId, sections: [{ orderItemId, sectionName, notes }], comment }
+ * @returns {Promise<Object>} The refreshed portal view
+ */
+export const respondInPortal = async (token, data) => {
+  const response = await httpClient.post(`/portal/${token}/respond`, data)
+  return response.data
+}
+
+export const portalApi = {
+  getOrderPortalLinks,
+  createPortalLink,
+  revokePortalLink,
+  getPortal,
+  respondInPortal,
+}
+
+export default portalApi
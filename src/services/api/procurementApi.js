@@ -34,3 +34,8 @@ export const runInventoryCheck = (orderItemId, data = {}) => {
 export const rerunSectionInventoryCheck = (orderItemId, data = {}) => {
   return httpClient.post(`/order-items/${orderItemId}/rerun-section-inventory-check`, data)
 }
+
+// Ready stock variant an RTS order item would be filled from (data is null when none)
+export const fetchReadyStockMatch = (orderItemId) => {
+  return httpClient.get(`/order-items/${orderItemId}/ready-stock`)
+}
@@ -206,6 +206,59 @@ export const sendSectionToQA = async (orderItemId, section, data) => {
   return response.data
 }
 
+// ============================================================================
+// SCHEDULING BOARD
+// ============================================================================
+
+/**
+ * Get the forward schedule of open tasks with order items at risk of missing their date
+ * @returns {Promise} { workers, tasks, orderItems, estimates, summary }
+ */
+export const getSchedule = async () => {
+  const response = await httpClient.get(`${BASE_URL}/schedule`)
+  return response.data
+}
+
+/**
+ * Get the schedule as it would be with tasks moved to other workers (nothing is saved)
+ * @param {Object} reassignments - { [taskId]: workerId }
+ * @returns {Promise} Schedule in the same shape as getSchedule
+ */
+export const previewSchedule = async (reassignments) => {
+  const response = await httpClient.post(`${BASE_URL}/schedule/preview`, { reassignments })
+  return response.data
+}
+
+/**
+ * Get estimated durations per task type, learned from completed tasks
+ * @returns {Promise} List of { key, taskType, label, minutes, basis, samples }
+ */
+export const getTaskEstimates = async () => {
+  const response = await httpClient.get(`${BASE_URL}/task-estimates`)
+  return response.data
+}
+
+/**
+ * Move a task that has not been started to another worker
+ * @param {string} taskId - The task ID
+ * @param {Object} data - { workerId }
+ * @returns {Promise} Response with the updated task and message
+ */
+export const reassignTask = async (taskId, data) => {
+  return httpClient.post(`${BASE_URL}/tasks/${taskId}/reassign`, data)
+}
+
+/**
+ * Set a worker's working days, hours and time off
+ * @param {number} workerId - Worker user ID
+ * @param {Object} calendar - { workDays, startTime, endTime, timeOff }
+ * @returns {Promise} Saved calendar
+ */
+export const updateWorkerCalendar = async (workerId, calendar) => {
+  const response = await httpClient.put(`${BASE_URL}/workers/${workerId}/calendar`, calendar)
+  return response.data
+}
+
 // ============================================================================
 // EXPORT
 // ============================================================================
@@ -235,6 +288,13 @@ export const productionApi = {
 
   // Section Completion
   sendSectionToQA,
+
+  // Scheduling Board
+  getSchedule,
+  previewSchedule,
+  getTaskEstimates,
+  reassignTask,
+  updateWorkerCalendar,
 }
 
 export default productionApi
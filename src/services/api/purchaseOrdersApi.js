@@ -0,0 +1,117 @@
+/**
+ * Purchase Orders API Service
+ * src/services/api/purchaseOrdersApi.js
+ *
+ * Purchase orders group procurement demands and low-stock reorders for one
+ * vendor. Receiving against a PO posts stock-in movements.
+ * Pattern: httpClient returns full response, we unwrap with response.data
+ */
+
+import { httpClient } from "@/services/http/httpClient"
+
+const BASE_URL = "/purchase-orders"
+
+/**
+ * Get purchase orders, newest first
+ * @param {Object} [params] - { status, vendorId }
+ * @returns {Promise<Array>}
+ */
+export const getPurchaseOrders = async (params = {}) => {
+  const response = await httpClient.get(BASE_URL, { params })
+  return response.data
+}
+
+/**
+ * Get open demands and low-stock items that are not on order yet, by vendor
+ * @returns {Promise<Object>} { vendors: [{ vendorId, vendorName, leadTimeDays, lines }], unassigned }
+ */
+export const getPurchaseOrderSuggestions = async () => {
+  const response = await httpClient.get(`${BASE_URL}/suggestions`)
+  return response.data
+}
+
+/**
+ * Get a purchase order with its vendor and linked demands
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+export const getPurchaseOrderById = async (id) => {
+  const response = await httpClient.get(`${BASE_URL}/${id}`)
+  return response.data
+}
+
+/**
+ * Create a DRAFT purchase order
+ * @param {Object} data
+ * @param {string} data.vendorId
+ * @param {Array} data.lines - [{ inventoryItemId, quantity, unitPrice, demandIds }]
+ * @param {string} [data.expectedDeliveryDate] - Defaults to today + vendor lead time
+ * @param {string} [data.notes]
+ * @param {string} [data.createdBy]
+ * @returns {Promise<Object>}
+ */
+export const createPurchaseOrder = async (data) => {
+  const response = await httpClient.post(BASE_URL, data)
+  return response.data
+}
+
+/**
+ * Update the expected delivery date or notes of an open purchase order
+ * @param {string} id
+ * @param {Object} data - { expectedDeliveryDate, notes, updatedBy }
+ * @returns {Promise<Object>}
+ */
+export const updatePurchaseOrder = async (id, data) => {
+  const response = await httpClient.patch(`${BASE_URL}/${id}`, data)
+  return response.data
+}
+
+/**
+ * Mark a DRAFT purchase order as sent to the vendor
+ * @param {string} id
+ * @param {Object} [data] - { sentBy }
+ * @returns {Promise<Object>}
+ */
+export const sendPurchaseOrder = async (id, data = {}) => {
+  const response = await httpClient.post(`${BASE_URL}/${id}/send`, data)
+  return response.data
+}
+
+/**
+ * Cancel a purchase order that has nothing received; its demands go back to OPEN
+ * @param {string} id
+ * @param {Object} [data] - { reason, cancelledBy }
+ * @returns {Promise<Object>}
+ */
+export const cancelPurchaseOrder = async (id, data = {}) => {
+  const response = await httpClient.post(`${BASE_URL}/${id}/cancel`, data)
+  return response.data
+}
+
+/**
+ * Receive stock against a purchase order
+ * @param {string} id
+ * @param {Object} data
+ * @param {Array} data.lines - [{ lineId, quantity }]
+ * @param {string} [data.referenceNumber] - Vendor delivery note / invoice number
+ * @param {string} [data.notes]
+ * @param {string} [data.receivedBy]
+ * @returns {Promise<Object>} { purchaseOrder, receipt, procurement }
+ */
+export const receivePurchaseOrder = async (id, data) => {
+  const response = await httpClient.post(`${BASE_URL}/${id}/receive`, data)
+  return response.data
+}
+
+export const purchaseOrdersApi = {
+  getPurchaseOrders,
+  getPurchaseOrderSuggestions,
+  getPurchaseOrderById,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  cancelPurchaseOrder,
+  receivePurchaseOrder,
+}
+
+export default purchaseOrdersApi
@@ -0,0 +1,76 @@
+/**
+ * Reports API Service
+ * src/services/api/reportsApi.js
+ *
+ * Handles all API calls for the Reports & Analytics module.
+ * Every report accepts an optional { from, to } date range (YYYY-MM-DD).
+ * Pattern: httpClient returns full response, we unwrap with response.data
+ */
+
+import { httpClient } from "@/services/http/httpClient"
+
+const BASE_URL = "/reports"
+
+/**
+ * Build the query string for a date range, skipping empty bounds
+ */
+const buildRangeQuery = ({ from, to } = {}) => {
+  const params = new URLSearchParams()
+  if (from) params.append("from", from)
+  if (to) params.append("to", to)
+  const query = params.toString()
+  return query ? `?${query}` : ""
+}
+
+/**
+ * Get units of work finished per department
+ * @param {Object} [range] - { from, to }
+ * @returns {Promise<Object>} { days, departments: [{ key, label, unit, units, averagePerDay }] }
+ */
+export const getThroughput = async (range) => {
+  const response = await httpClient.get(`${BASE_URL}/throughput${buildRangeQuery(range)}`)
+  return response.data
+}
+
+/**
+ * Get average time order items spend in each ORDER_ITEM_STATUS
+ * @param {Object} [range] - { from, to }
+ * @returns {Promise<Object>} { statuses: [{ status, label, averageHours, currentCount }] }
+ */
+export const getTimeInStatus = async (range) => {
+  const response = await httpClient.get(`${BASE_URL}/time-in-status${buildRangeQuery(range)}`)
+  return response.data
+}
+
+/**
+ * Get rejection and rework rates for packet check, dyeing and QA
+ * @param {Object} [range] - { from, to }
+ * @returns {Promise<Object>} { departments: [{ key, rejectionRate, reworkRate, reasons }] }
+ */
+export const getRejections = async (range) => {
+  const response = await httpClient.get(`${BASE_URL}/rejections${buildRangeQuery(range)}`)
+  return response.data
+}
+
+/**
+ * Get order value and receipts by currency and by source
+ * @param {Object} [range] - { from, to }
+ * @returns {Promise<Object>} { byCurrency: [...], bySource: [...] }
+ */
+export const getRevenue = async (range) => {
+  const response = await httpClient.get(`${BASE_URL}/revenue${buildRangeQuery(range)}`)
+  return response.data
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+export const reportsApi = {
+  getThroughput,
+  getTimeInStatus,
+  getRejections,
+  getRevenue,
+}
+
+export default reportsApi
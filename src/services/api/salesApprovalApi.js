@@ -92,8 +92,10 @@ export const getOrderDetails = async (orderId) => {
  * All order item videos become visible to the client
  *
  * @param {string} orderId - The order ID
- * @param {Object} data - { sentBy: userId }
- * @returns {Promise} Updated order with new status and sentToClientAt timestamp
+ * @param {Object} data - {
+ *   message: { channel, templateKey, subject, body } (optional - approval request to deliver)
+ * }
+ * @returns {Promise} Updated order with new status, sentToClientAt and the clientMessage
  */
 export const sendOrderToClient = async (orderId, data) => {
   const response = await httpClient.post(`${BASE_URL}/order/${orderId}/send-to-client`, data)
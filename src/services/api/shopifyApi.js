@@ -0,0 +1,38 @@
+/**
+ * Shopify API Service
+ * src/services/api/shopifyApi.js
+ *
+ * Imports Shopify orders as ORDER_SOURCE.SHOPIFY orders.
+ * The webhook endpoint (/shopify/webhooks/orders-create) is called by Shopify
+ * itself; the app only uses the file import.
+ * Pattern: httpClient returns full response, we unwrap with response.data
+ */
+
+import { httpClient } from "@/services/http/httpClient"
+
+const BASE_URL = "/shopify"
+
+/**
+ * Import orders from a Shopify export file
+ * @param {Object} params
+ * @param {string} params.fileName - Used to tell JSON from CSV
+ * @param {string} params.content - File text (JSON orders or admin CSV export)
+ * @param {boolean} [params.dryRun] - Map the orders without creating them
+ * @param {string} [params.importedBy] - Name written to the order timeline
+ * @returns {Promise<Object>} { dryRun, summary, results }
+ */
+export const importOrders = async ({ fileName, content, dryRun = false, importedBy }) => {
+  const response = await httpClient.post(`${BASE_URL}/import`, {
+    fileName,
+    content,
+    dryRun,
+    importedBy,
+  })
+  return response.data
+}
+
+export const shopifyApi = {
+  importOrders,
+}
+
+export default shopifyApi
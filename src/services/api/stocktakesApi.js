@@ -0,0 +1,113 @@
+/**
+ * Stocktakes API Service
+ * src/services/api/stocktakesApi.js
+ *
+ * Cycle count sessions for a category or rack range. Posting a session turns
+ * its variances into ADJUSTMENT stock movements.
+ * Pattern: httpClient returns full response, we unwrap with response.data
+ */
+
+import { httpClient } from "@/services/http/httpClient"
+
+const BASE_URL = "/stocktakes"
+
+/**
+ * Get stocktake sessions, newest first
+ * @param {Object} [params] - { status, inventoryItemId }
+ * @returns {Promise<Array>}
+ */
+export const getStocktakes = async (params = {}) => {
+  const response = await httpClient.get(BASE_URL, { params })
+  return response.data
+}
+
+/**
+ * Get a stocktake session with line variances and the variance summary
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+export const getStocktakeById = async (id) => {
+  const response = await httpClient.get(`${BASE_URL}/${id}`)
+  return response.data
+}
+
+/**
+ * Open a count session
+ * @param {Object} data
+ * @param {string} data.scopeType - STOCKTAKE_SCOPE
+ * @param {string} [data.category] - For a CATEGORY count
+ * @param {string} [data.rackFrom] - For a RACK_RANGE count, inclusive
+ * @param {string} [data.rackTo]
+ * @param {string} [data.notes]
+ * @returns {Promise<Object>}
+ */
+export const createStocktake = async (data) => {
+  const response = await httpClient.post(BASE_URL, data)
+  return response.data
+}
+
+/**
+ * Save counted quantities; a null count clears the line
+ * @param {string} id
+ * @param {Array} counts - [{ lineId, countedQty }]
+ * @returns {Promise<Object>}
+ */
+export const saveStocktakeCounts = async (id, counts) => {
+  const response = await httpClient.put(`${BASE_URL}/${id}/counts`, { counts })
+  return response.data
+}
+
+/**
+ * Finish counting and send the session for review
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+export const submitStocktake = async (id) => {
+  const response = await httpClient.post(`${BASE_URL}/${id}/submit`)
+  return response.data
+}
+
+/**
+ * Send a submitted session back for recounting
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+export const reopenStocktake = async (id) => {
+  const response = await httpClient.post(`${BASE_URL}/${id}/reopen`)
+  return response.data
+}
+
+/**
+ * Post the variances as ADJUSTMENT movements
+ * @param {string} id
+ * @param {Object} data - { reason } (required when any line is off)
+ * @returns {Promise<Object>}
+ */
+export const postStocktake = async (id, data) => {
+  const response = await httpClient.post(`${BASE_URL}/${id}/post`, data)
+  return response.data
+}
+
+/**
+ * Cancel a session that has not been posted
+ * @param {string} id
+ * @param {Object} [data] - { reason }
+ * @returns {Promise<Object>}
+ */
+export const cancelStocktake = async (id, data = {}) => {
+  const response = await httpClient.post(`${BASE_URL}/${id}/cancel`, data)
+  return response.data
+}
+
+export const stocktakesApi = {
+  getStocktakes,
+  getStocktakeById,
+  createStocktake,
+  saveStocktakeCounts,
+  submitStocktake,
+  reopenStocktake,
+  postStocktake,
+  cancelStocktake,
+}
+
+export default stocktakesApi
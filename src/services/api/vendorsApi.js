@@ -0,0 +1,61 @@
+/**
+ * Vendors API Service
+ * src/services/api/vendorsApi.js
+ *
+ * Supplier master data used by purchase orders and inventory items.
+ * Pattern: httpClient returns full response, we unwrap with response.data
+ */
+
+import { httpClient } from "@/services/http/httpClient"
+
+const BASE_URL = "/vendors"
+
+/**
+ * Get vendors sorted by name
+ * @param {Object} [params] - { search, active: "true" | "false" }
+ * @returns {Promise<Array>} Vendors with itemCount and openPurchaseOrderCount
+ */
+export const getVendors = async (params = {}) => {
+  const response = await httpClient.get(BASE_URL, { params })
+  return response.data
+}
+
+/**
+ * Get a vendor with the items it supplies and its purchase orders
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+export const getVendorById = async (id) => {
+  const response = await httpClient.get(`${BASE_URL}/${id}`)
+  return response.data
+}
+
+/**
+ * Create a vendor
+ * @param {Object} data - { name, contactPerson, phone, email, address, paymentTerms, leadTimeDays, notes }
+ * @returns {Promise<Object>}
+ */
+export const createVendor = async (data) => {
+  const response = await httpClient.post(BASE_URL, data)
+  return response.data
+}
+
+/**
+ * Update a vendor; set active: false to stop new purchase orders
+ * @param {string} id
+ * @param {Object} data
+ * @returns {Promise<Object>}
+ */
+export const updateVendor = async (id, data) => {
+  const response = await httpClient.put(`${BASE_URL}/${id}`, data)
+  return response.data
+}
+
+export const vendorsApi = {
+  getVendors,
+  getVendorById,
+  createVendor,
+  updateVendor,
+}
+
+export default vendorsApi
@@ -131,3 +131,23 @@ export function timeAgo(date) {
 
   return "just now"
 }
+
+/**
+ * Format a saved customer address as a single line
+ * @param {Object} address - { street1, street2, city, state, postalCode, country }
+ * @returns {string} Comma-separated address, or "" when missing
+ */
+export function formatAddress(address) {
+  if (!address) return ""
+
+  return [
+    address.street1,
+    address.street2,
+    address.city,
+    address.state,
+    address.postalCode,
+    address.country,
+  ]
+    .filter(Boolean)
+    .join(", ")
+}
@@ -1,9 +1,12 @@
 /**
  * Inventory Check Utility
  * Computes material requirements and checks against available stock
+ * (on-hand minus what active reservations hold)
  */
 
-import { mockInventoryItems } from "@/mocks/data/mockInventoryItems"
+import { mockInventoryItems } from "@/mocks/data/mockInventory"
+import { getAvailableQty } from "@/mocks/data/mockReservations"
+import { convertQuantity, getUnitMismatch } from "@/lib/units"
 
 /**
  * Find inventory item by ID or SKU
@@ -14,6 +17,31 @@ export const findInventoryItem = (inventoryItemId, sku) => {
   )
 }
 
+/**
+ * A BOM quantity in the unit its material is stocked in
+ * BOM lines without a unit are taken to be written in the stock unit.
+ * @throws {Error} When the BOM unit cannot be converted to the stock unit
+ */
+export const toStockQuantity = (quantity, bomUnit, inventoryItem) => {
+  if (!bomUnit || !inventoryItem?.unit) return quantity
+  return convertQuantity(quantity, bomUnit, inventoryItem.unit)
+}
+
+/**
+ * BOM lines whose unit cannot be converted to the unit their material is stocked in
+ * @returns {string[]} One message per line, empty when every line converts
+ */
+export const findBOMUnitMismatches = (bomItems) =>
+  (bomItems || []).flatMap((item) => {
+    const inventoryItem = findInventoryItem(
+      item.inventory_item_id || item.inventoryItemId,
+      item.inventory_item_sku || item.inventoryItemSku
+    )
+    if (!item.unit || !inventoryItem?.unit) return []
+    const mismatch = getUnitMismatch(item.unit, inventoryItem.unit)
+    return mismatch ? [`${inventoryItem.name} (${item.piece || item.section}): ${mismatch}`] : []
+  })
+
 /**
  * Get the relevant pieces from an order item (includedItems + selectedAddOns)
  */
@@ -49,7 +77,10 @@ export const filterBOMByPieces = (bomItems, relevantPieces) => {
 
 /**
  * Compute material requirements from BOM items
+ * Quantities are converted to the unit each material is stocked in before
+ * they are added up, so BOM lines may be written in any compatible unit.
  * Returns array of { inventoryItemId, inventoryItemName, inventoryItemSku, requiredQty, availableQty, unit, status }
+ * @throws {Error} When a BOM line's unit cannot be converted (see findBOMUnitMismatches)
  */
 export const computeMaterialRequirements = (bomItems, quantity = 1) => {
   const requirements = []
@@ -62,7 +93,11 @@ export const computeMaterialRequirements = (bomItems, quantity = 1) => {
     if (!key) return
 
     const existing = consolidatedMap.get(key)
-    const itemQty = parseFloat(item.quantity) || 0
+    const inventoryItem = findInventoryItem(
+      key,
+      item.inventory_item_sku || item.inventoryItemSku || item.sku
+    )
+    const itemQty = toStockQuantity(parseFloat(item.quantity) || 0, item.unit, inventoryItem)
 
     if (existing) {
       existing.requiredQty += itemQty * quantity
@@ -72,16 +107,16 @@ export const computeMaterialRequirements = (bomItems, quantity = 1) => {
         inventoryItemName: item.inventory_item_name || item.inventoryItemName || item.name,
         inventoryItemSku: item.inventory_item_sku || item.inventoryItemSku || item.sku,
         requiredQty: itemQty * quantity,
-        unit: item.unit || "Unit",
+        unit: inventoryItem?.unit || item.unit || "Unit",
         piece: item.piece || item.section || "General",
       })
     }
   })
 
-  // Check against inventory
+  // Check against inventory - stock reserved by earlier checks is not available
   consolidatedMap.forEach((req) => {
     const inventoryItem = findInventoryItem(req.inventoryItemId, req.inventoryItemSku)
-    const availableQty = inventoryItem?.remaining_stock || 0
+    const availableQty = getAvailableQty(inventoryItem)
 
     requirements.push({
       ...req,